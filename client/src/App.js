@@ -13,6 +13,10 @@ import ForgotPassword from './pages/Auth/ForgotPassword';
 import ResetPassword from './pages/Auth/ResetPassword';
 import Terms from './pages/Legal/Terms';
 import Privacy from './pages/Legal/Privacy';
+import SharedItem from './pages/Share/SharedItem';
+import PayInvoice from './pages/Pay/PayInvoice';
+import MockCheckout from './pages/Pay/MockCheckout';
+import AcceptQuotation from './pages/Quote/AcceptQuotation';
 import MobileDeviceNotice from './components/Common/MobileDeviceNotice';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Clients from './pages/Clients/Clients';
@@ -23,6 +27,10 @@ import Quotations from './pages/Quotations/Quotations';
 import QuotationDetail from './pages/Quotations/QuotationDetail';
 import Invoices from './pages/Invoices/Invoices';
 import InvoiceDetail from './pages/Invoices/InvoiceDetail';
+import RecurringInvoices from './pages/Invoices/RecurringInvoices';
+import CreditNotes from './pages/Invoices/CreditNotes';
+import Catalog from './pages/Invoices/Catalog';
+import CreditNoteDetail from './pages/Invoices/CreditNoteDetail';
 import Files from './pages/Files/Files';
 import Credentials from './pages/Credentials/Credentials';
 import CredentialDetail from './pages/Credentials/CredentialDetail';
@@ -31,10 +39,13 @@ import ConversationDetail from './pages/Conversations/ConversationDetail';
 import Users from './pages/Users/Users';
 import Roles from './pages/Roles/Roles';
 import Reports from './pages/Reports/Reports';
+import AccountingExport from './pages/Reports/AccountingExport';
+import AuditLog from './pages/Audit/AuditLog';
 import Guide from './pages/Guide/Guide';
 import Settings from './pages/Settings/Settings';
 import Subscriptions from './pages/Subscriptions/Subscriptions';
 import Inquiries from './pages/Inquiries/Inquiries';
+import ScheduledJobs from './pages/Jobs/ScheduledJobs';
 import Workspace from './pages/ProjectManagement/Workspace';
 
 // Context
@@ -172,6 +183,11 @@ function App() {
               />
               <Route path="/terms" element={<Terms />} />
               <Route path="/privacy" element={<Privacy />} />
+              {/* Share, pay and quotation acceptance links open for anyone with the link, signed in or not */}
+              <Route path="/share/:token" element={<SharedItem />} />
+              <Route path="/pay/:token" element={<PayInvoice />} />
+              <Route path="/pay/:token/mock-checkout" element={<MockCheckout />} />
+              <Route path="/quote/:token" element={<AcceptQuotation />} />
 
               {/* Protected Routes */}
               <Route
@@ -191,6 +207,10 @@ function App() {
                 <Route path="quotations" element={<Quotations />} />
                 <Route path="quotations/:id" element={<QuotationDetail />} />
                 <Route path="invoices" element={<Invoices />} />
+                <Route path="invoices/recurring" element={<RecurringInvoices />} />
+                <Route path="invoices/credit-notes" element={<CreditNotes />} />
+                <Route path="invoices/credit-notes/:id" element={<CreditNoteDetail />} />
+                <Route path="invoices/catalog" element={<Catalog />} />
                 <Route path="invoices/:id" element={<InvoiceDetail />} />
                 <Route path="files" element={<Files />} />
                 <Route path="credentials" element={<Credentials />} />
@@ -200,10 +220,13 @@ function App() {
                 <Route path="users" element={<Users />} />
                 <Route path="roles" element={<Roles />} />
                 <Route path="reports" element={<Reports />} />
+                <Route path="reports/accounting-export" element={<AccountingExport />} />
+                <Route path="audit" element={<AuditLog />} />
                 <Route path="guide" element={<Guide />} />
                 <Route path="settings" element={<Settings />} />
                 <Route path="subscriptions" element={<Subscriptions />} />
                 <Route path="inquiries" element={<Inquiries />} />
+                <Route path="jobs" element={<ScheduledJobs />} />
               </Route>
 
               {/* Project Management Routes (separate layout) */}
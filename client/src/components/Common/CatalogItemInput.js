@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Package, X } from 'lucide-react';
+
+const MAX_SUGGESTIONS = 8;
+
+const formatPrice = (amount) => Number(amount || 0).toFixed(2);
+
+/**
+ * Item name input of a quotation/invoice line with suggestions from the products and services catalog.
+ * inputProps is the react-hook-form register() result of the item name; picking a suggestion calls onSelect with
+ * the catalog item, and the modal copies its fields onto the line. linkedItemId is the line's catalog_item_id.
+ */
+const CatalogItemInput = ({ catalogItems = [], inputProps, value, linkedItemId, onSelect, onUnlink, className, placeholder }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const term = String(value || '').trim().toLowerCase();
+  const suggestions = catalogItems
+    .filter((item) => !term
+      || item.name.toLowerCase().includes(term)
+      || (item.sku && item.sku.toLowerCase().includes(term)))
+    .slice(0, MAX_SUGGESTIONS);
+  const linkedItem = linkedItemId ? catalogItems.find((item) => String(item.id) === String(linkedItemId)) : null;
+
+  const select = (item) => {
+    onSelect(item);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((index) => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((index) => (index - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      select(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        {...inputProps}
+        onChange={(e) => {
+          inputProps.onChange(e);
+          setIsOpen(true);
+          setHighlighted(0);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={(e) => {
+          inputProps.onBlur(e);
+          setIsOpen(false);
+        }}
+        onKeyDown={handleKeyDown}
+        className={className}
+        placeholder={placeholder}
+        autoComplete="off"
+      />
+      {isOpen && suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg">
+          {suggestions.map((item, index) => (
+            <li
+              key={item.id}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(item);
+              }}
+              className={`px-3 py-2 cursor-pointer text-sm ${index === highlighted ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+            >
+              <div className="flex justify-between gap-2">
+                <span className="font-medium text-gray-900 truncate">{item.name}</span>
+                <span className="text-gray-600 whitespace-nowrap">
+                  {formatPrice(item.default_price)}{item.unit ? ` / ${item.unit}` : ''}
+                </span>
+              </div>
+              {(item.sku || item.description) && (
+                <div className="text-xs text-gray-500 truncate">
+                  {[item.sku, item.description].filter(Boolean).join(' · ')}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {linkedItemId && (
+        <p className="mt-1 flex items-center text-xs text-gray-500">
+          <Package className="h-3 w-3 mr-1" />
+          <span className="truncate">
+            Catalog: {linkedItem ? (linkedItem.sku || linkedItem.name) : 'archived item'}
+          </span>
+          <button type="button" onClick={onUnlink} className="ml-1 text-gray-400 hover:text-gray-600" title="Unlink from catalog">
+            <X className="h-3 w-3" />
+          </button>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CatalogItemInput;
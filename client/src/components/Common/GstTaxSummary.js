@@ -0,0 +1,75 @@
+import React from 'react';
+
+const formatRate = (rate) => `${Number(rate || 0).toFixed(2).replace(/\.?0+$/, '')}%`;
+
+// GST breakdown of a quotation/invoice: taxable value and CGST/SGST or IGST per HSN/SAC code and rate
+const GstTaxSummary = ({ document, formatCurrency }) => {
+  const rows = document?.tax_summary || [];
+  if (!document?.supply_type || rows.length === 0) return null;
+
+  const isIntraState = document.supply_type === 'intra_state';
+  const taxableTotal = rows.reduce((sum, row) => sum + Number(row.taxable_value || 0), 0);
+
+  return (
+    <div className="card">
+      <div className="card-header flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-medium text-gray-900">GST Breakdown</h3>
+        <div className="text-sm text-gray-600">
+          {document.place_of_supply_name && <>Place of supply: <span className="font-medium">{document.place_of_supply_name}</span> · </>}
+          {isIntraState ? 'Intra-state (CGST + SGST)' : 'Inter-state (IGST)'}
+        </div>
+      </div>
+      <div className="card-body overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">HSN/SAC</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Taxable Value</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+              {isIntraState ? (
+                <>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">CGST</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">SGST</th>
+                </>
+              ) : (
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">IGST</th>
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200 text-sm text-gray-900">
+            {rows.map((row) => (
+              <tr key={`${row.hsn_sac || ''}-${row.tax_rate}`}>
+                <td className="px-4 py-2">{row.hsn_sac || '-'}</td>
+                <td className="px-4 py-2 text-right">{formatCurrency(row.taxable_value, document.currency)}</td>
+                <td className="px-4 py-2 text-right">{formatRate(row.tax_rate)}</td>
+                {isIntraState ? (
+                  <>
+                    <td className="px-4 py-2 text-right">{formatCurrency(row.cgst_amount, document.currency)}</td>
+                    <td className="px-4 py-2 text-right">{formatCurrency(row.sgst_amount, document.currency)}</td>
+                  </>
+                ) : (
+                  <td className="px-4 py-2 text-right">{formatCurrency(row.igst_amount, document.currency)}</td>
+                )}
+              </tr>
+            ))}
+            <tr className="font-medium bg-gray-50">
+              <td className="px-4 py-2">Total</td>
+              <td className="px-4 py-2 text-right">{formatCurrency(taxableTotal, document.currency)}</td>
+              <td className="px-4 py-2" />
+              {isIntraState ? (
+                <>
+                  <td className="px-4 py-2 text-right">{formatCurrency(document.cgst_amount, document.currency)}</td>
+                  <td className="px-4 py-2 text-right">{formatCurrency(document.sgst_amount, document.currency)}</td>
+                </>
+              ) : (
+                <td className="px-4 py-2 text-right">{formatCurrency(document.igst_amount, document.currency)}</td>
+              )}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default GstTaxSummary;
@@ -0,0 +1,243 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { X, Send, Loader, Paperclip, CheckCircle, XCircle, Clock } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  to: '',
+  cc: '',
+  subject: '',
+  message: '',
+  attach_pdf: true,
+  save_cc: false,
+};
+
+const STATUS_ICONS = {
+  sent: <CheckCircle className="h-4 w-4 text-green-600" />,
+  failed: <XCircle className="h-4 w-4 text-red-600" />,
+  pending: <Clock className="h-4 w-4 text-gray-400" />,
+};
+
+const REMINDER_LABELS = {
+  before: 'Reminder (before due date)',
+  due: 'Reminder (due date)',
+};
+
+const getEmailTypeLabel = (email) => {
+  if (email.email_type !== 'reminder') return 'Sent';
+  if (REMINDER_LABELS[email.reminder_key]) return REMINDER_LABELS[email.reminder_key];
+  const stage = String(email.reminder_key || '').replace('overdue_', '');
+  return `Overdue reminder ${stage}`;
+};
+
+const DOCUMENT_LABELS = {
+  invoice: 'invoice',
+  quotation: 'quotation',
+  statement: 'statement',
+};
+
+const splitEmails = (value) => value.split(/[,;\n]/).map((email) => email.trim()).filter(Boolean);
+
+/**
+ * Email an invoice, quotation or statement to the client (editable recipients, CC and message) and show previous sends.
+ * api: { getEmails(id, params), send(id, data) }; params (e.g. a statement period) go to both calls.
+ */
+const SendDocumentModal = ({ isOpen, onClose, api, documentId, documentType, documentNumber, params, onSent }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const prefilled = useRef(false);
+  const queryKey = ['document-emails', documentType, String(documentId), params || {}];
+  const documentLabel = DOCUMENT_LABELS[documentType] || 'document';
+
+  const { data, isLoading, error } = useQuery(
+    queryKey,
+    () => api.getEmails(documentId, params),
+    { enabled: isOpen && !!documentId, retry: false }
+  );
+  const defaults = data?.data?.data?.defaults;
+  const history = data?.data?.data?.history || [];
+
+  // Prefill once per opening, so a background refetch does not overwrite edits
+  useEffect(() => {
+    if (!isOpen) {
+      prefilled.current = false;
+    } else if (defaults && !prefilled.current) {
+      prefilled.current = true;
+      setForm({
+        ...emptyForm,
+        to: defaults.to.join(', '),
+        cc: defaults.cc.join(', '),
+        subject: defaults.subject,
+        message: defaults.message,
+      });
+    }
+  }, [isOpen, defaults]);
+
+  const sendMutation = useMutation(
+    (payload) => api.send(documentId, payload),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['document-emails', documentType, String(documentId)]);
+        queryClient.invalidateQueries('conversations');
+        if (onSent) onSent(response.data.data);
+        onClose();
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || `Failed to send ${documentType}`);
+      },
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    sendMutation.mutate({
+      ...params,
+      to: splitEmails(form.to),
+      cc: splitEmails(form.cc),
+      subject: form.subject,
+      message: form.message,
+      attach_pdf: form.attach_pdf,
+      save_cc: form.save_cc,
+    });
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Send {documentLabel}</h2>
+            {documentNumber && <p className="text-sm text-gray-500 mt-0.5">{documentNumber}</p>}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="h-6 w-6 animate-spin text-primary-600" />
+          </div>
+        ) : error ? (
+          <div className="m-6 rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+            {error.response?.data?.message || 'Unable to load the email form.'}
+          </div>
+        ) : (
+          <div className="p-6 space-y-6">
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="send_to" className="form-label">To *</label>
+                <input
+                  id="send_to"
+                  type="text"
+                  value={form.to}
+                  onChange={(e) => setForm((prev) => ({ ...prev, to: e.target.value }))}
+                  className="form-input"
+                  placeholder="client@example.com"
+                  required
+                />
+                {defaults && defaults.to.length === 0 && (
+                  <p className="text-xs text-amber-700 mt-1">The client has no email address on file.</p>
+                )}
+              </div>
+              <div>
+                <label htmlFor="send_cc" className="form-label">CC</label>
+                <input
+                  id="send_cc"
+                  type="text"
+                  value={form.cc}
+                  onChange={(e) => setForm((prev) => ({ ...prev, cc: e.target.value }))}
+                  className="form-input"
+                  placeholder="Separate addresses with commas"
+                />
+                <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.save_cc}
+                    onChange={(e) => setForm((prev) => ({ ...prev, save_cc: e.target.checked }))}
+                    className="rounded border-gray-300"
+                  />
+                  Use these CC addresses for this client's future invoices and quotations
+                </label>
+              </div>
+              <div>
+                <label htmlFor="send_subject" className="form-label">Subject *</label>
+                <input
+                  id="send_subject"
+                  type="text"
+                  maxLength={255}
+                  value={form.subject}
+                  onChange={(e) => setForm((prev) => ({ ...prev, subject: e.target.value }))}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="send_message" className="form-label">Message *</label>
+                <textarea
+                  id="send_message"
+                  rows={8}
+                  value={form.message}
+                  onChange={(e) => setForm((prev) => ({ ...prev, message: e.target.value }))}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.attach_pdf}
+                  onChange={(e) => setForm((prev) => ({ ...prev, attach_pdf: e.target.checked }))}
+                  className="rounded border-gray-300"
+                />
+                <Paperclip className="h-4 w-4 text-gray-400" />
+                Attach {documentLabel} PDF
+              </label>
+              <div className="flex justify-end gap-3 pt-2">
+                <button type="button" onClick={onClose} className="btn btn-outline">
+                  Cancel
+                </button>
+                <button type="submit" disabled={sendMutation.isLoading} className="btn btn-primary inline-flex items-center">
+                  {sendMutation.isLoading ? <Loader className="h-4 w-4 animate-spin mr-2" /> : <Send className="h-4 w-4 mr-2" />}
+                  {sendMutation.isLoading ? 'Sending...' : 'Send'}
+                </button>
+              </div>
+            </form>
+
+            {history.length > 0 && (
+              <div className="border-t pt-4">
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Previous emails</h3>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {history.map((email) => (
+                    <li key={email.id} className="py-2 flex items-start gap-2">
+                      <span className="mt-0.5">{STATUS_ICONS[email.status] || STATUS_ICONS.pending}</span>
+                      <div className="min-w-0 flex-1">
+                        <p className="text-gray-900">
+                          {getEmailTypeLabel(email)} to {email.recipients}
+                          {email.cc && <span className="text-gray-500"> (CC {email.cc})</span>}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {new Date(email.created_at).toLocaleString()}
+                          {email.sent_by_name ? ` by ${email.sent_by_name}` : ' (automatic)'}
+                          {email.has_attachment ? ' • PDF attached' : ''}
+                        </p>
+                        {email.status === 'failed' && email.error_message && (
+                          <p className="text-xs text-red-600 mt-0.5">{email.error_message}</p>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SendDocumentModal;
@@ -0,0 +1,317 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { X, Link2, Copy, Check, Lock, Ban, ChevronDown, ChevronRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EXPIRY_OPTIONS = [
+  { value: 1, label: '1 hour' },
+  { value: 24, label: '24 hours' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '7 days' },
+  { value: 720, label: '30 days' },
+];
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-700',
+  exhausted: 'bg-yellow-100 text-yellow-800',
+  revoked: 'bg-red-100 text-red-800',
+};
+
+const STATUS_LABELS = {
+  active: 'Active',
+  expired: 'Expired',
+  exhausted: 'Used up',
+  revoked: 'Revoked',
+};
+
+const OUTCOME_LABELS = {
+  opened: 'Opened page',
+  viewed: 'Viewed',
+  downloaded: 'Downloaded',
+  wrong_passphrase: 'Wrong passphrase',
+  expired: 'Refused (expired)',
+  revoked: 'Refused (revoked)',
+  exhausted: 'Refused (used up)',
+};
+
+const emptyForm = {
+  label: '',
+  expires_in_hours: 24,
+  max_views: '1',
+  passphrase: '',
+  reason: '',
+};
+
+/**
+ * Create, list and revoke share links for a credential or a file.
+ * api: { getShareLinks(id), createShareLink(id, data), revokeShareLink(id, linkId) }
+ */
+const ShareLinksModal = ({ isOpen, onClose, api, resourceId, resourceType, resourceName, reasonRequired = false }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const [createdUrl, setCreatedUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [expandedLinkId, setExpandedLinkId] = useState(null);
+  const queryKey = ['share-links', resourceType, resourceId];
+  const viewNoun = resourceType === 'file' ? 'downloads' : 'views';
+
+  const { data, isLoading, error } = useQuery(
+    queryKey,
+    () => api.getShareLinks(resourceId),
+    { enabled: isOpen && !!resourceId, retry: false }
+  );
+  const links = data?.data?.data || [];
+
+  const createMutation = useMutation(
+    (payload) => api.createShareLink(resourceId, payload),
+    {
+      onSuccess: (response) => {
+        const { token } = response.data.data;
+        setCreatedUrl(`${window.location.origin}/share/${token}`);
+        setCopied(false);
+        setForm(emptyForm);
+        queryClient.invalidateQueries(queryKey);
+        if (resourceType === 'credential') {
+          queryClient.invalidateQueries(['credential-access-log', String(resourceId)]);
+        }
+        toast.success('Share link created');
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to create share link');
+      },
+    }
+  );
+
+  const revokeMutation = useMutation(
+    (linkId) => api.revokeShareLink(resourceId, linkId),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(queryKey);
+        toast.success('Share link revoked');
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.message || 'Failed to revoke share link');
+      },
+    }
+  );
+
+  const handleClose = () => {
+    setForm(emptyForm);
+    setCreatedUrl(null);
+    setExpandedLinkId(null);
+    onClose();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      label: form.label.trim() || null,
+      expires_in_hours: Number(form.expires_in_hours),
+      max_views: form.max_views ? Number(form.max_views) : null,
+      passphrase: form.passphrase || null,
+      reason: form.reason.trim() || undefined,
+    });
+  };
+
+  const copyUrl = () => {
+    navigator.clipboard.writeText(createdUrl);
+    setCopied(true);
+    toast.success('Link copied to clipboard');
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Share links</h2>
+            {resourceName && <p className="text-sm text-gray-500 mt-0.5">{resourceName}</p>}
+          </div>
+          <button onClick={handleClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {createdUrl && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+              <p className="text-sm font-medium text-green-800">
+                Copy this link now – it will not be shown again.
+              </p>
+              <div className="mt-2 flex gap-2">
+                <input type="text" readOnly value={createdUrl} className="form-input font-mono text-sm" onFocus={(e) => e.target.select()} />
+                <button type="button" onClick={copyUrl} className="btn btn-primary whitespace-nowrap">
+                  {copied ? <Check className="h-4 w-4 mr-2" /> : <Copy className="h-4 w-4 mr-2" />}
+                  Copy
+                </button>
+              </div>
+              <p className="mt-2 text-xs text-green-700">
+                Send the passphrase (if any) through a different channel than the link.
+              </p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="md:col-span-2">
+                <label className="form-label">Label</label>
+                <input
+                  type="text"
+                  value={form.label}
+                  onChange={(e) => setForm({ ...form, label: e.target.value })}
+                  maxLength={255}
+                  className="form-input"
+                  placeholder="e.g. Hosting login for the Acme team (shown to the recipient)"
+                />
+              </div>
+              <div>
+                <label className="form-label">Expires after</label>
+                <select
+                  value={form.expires_in_hours}
+                  onChange={(e) => setForm({ ...form, expires_in_hours: e.target.value })}
+                  className="form-input"
+                >
+                  {EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Max {viewNoun}</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={form.max_views}
+                  onChange={(e) => setForm({ ...form, max_views: e.target.value })}
+                  className="form-input"
+                  placeholder="Unlimited until expiry"
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label className="form-label">Passphrase (optional)</label>
+                <input
+                  type="text"
+                  value={form.passphrase}
+                  onChange={(e) => setForm({ ...form, passphrase: e.target.value })}
+                  minLength={6}
+                  maxLength={128}
+                  autoComplete="off"
+                  className="form-input"
+                  placeholder="At least 6 characters"
+                />
+              </div>
+              {reasonRequired && (
+                <div className="md:col-span-2">
+                  <label className="form-label">Reason *</label>
+                  <input
+                    type="text"
+                    value={form.reason}
+                    onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                    maxLength={500}
+                    className="form-input"
+                    placeholder="Why are you sharing this credential?"
+                  />
+                </div>
+              )}
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={createMutation.isLoading || (reasonRequired && !form.reason.trim())}
+                className="btn btn-primary"
+              >
+                <Link2 className="h-4 w-4 mr-2" />
+                {createMutation.isLoading ? 'Creating...' : 'Create link'}
+              </button>
+            </div>
+          </form>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Existing links</h3>
+            {isLoading ? (
+              <p className="text-sm text-gray-500">Loading...</p>
+            ) : error ? (
+              <p className="text-sm text-red-600">{error.response?.data?.message || 'Failed to load share links'}</p>
+            ) : links.length === 0 ? (
+              <p className="text-sm text-gray-500">No share links yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 border rounded-lg">
+                {links.map((link) => (
+                  <li key={link.id} className="p-3">
+                    <div className="flex items-start justify-between gap-3">
+                      <button
+                        type="button"
+                        onClick={() => setExpandedLinkId(expandedLinkId === link.id ? null : link.id)}
+                        className="flex items-start gap-2 text-left"
+                      >
+                        {expandedLinkId === link.id ? (
+                          <ChevronDown className="h-4 w-4 mt-0.5 text-gray-400" />
+                        ) : (
+                          <ChevronRight className="h-4 w-4 mt-0.5 text-gray-400" />
+                        )}
+                        <div>
+                          <div className="flex items-center gap-2">
+                            <span className="text-sm font-medium text-gray-900">{link.label || 'Untitled link'}</span>
+                            <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[link.status]}`}>
+                              {STATUS_LABELS[link.status]}
+                            </span>
+                            {link.has_passphrase && <Lock className="h-3.5 w-3.5 text-gray-400" title="Passphrase protected" />}
+                          </div>
+                          <p className="text-xs text-gray-500 mt-0.5">
+                            {link.view_count}{link.max_views ? ` / ${link.max_views}` : ''} {viewNoun}
+                            {' · '}
+                            {link.status === 'revoked'
+                              ? `revoked ${new Date(link.revoked_at).toLocaleString()}`
+                              : `expires ${new Date(link.expires_at).toLocaleString()}`}
+                            {link.created_by_name ? ` · created by ${link.created_by_name}` : ''}
+                          </p>
+                        </div>
+                      </button>
+                      {link.status === 'active' && (
+                        <button
+                          type="button"
+                          onClick={() => revokeMutation.mutate(link.id)}
+                          disabled={revokeMutation.isLoading}
+                          className="btn btn-outline btn-sm text-red-600"
+                        >
+                          <Ban className="h-4 w-4 mr-1" />
+                          Revoke
+                        </button>
+                      )}
+                    </div>
+                    {expandedLinkId === link.id && (
+                      <div className="mt-2 ml-6">
+                        {link.access_log.length === 0 ? (
+                          <p className="text-xs text-gray-500">Not opened yet.</p>
+                        ) : (
+                          <table className="min-w-full text-xs">
+                            <tbody className="divide-y divide-gray-100">
+                              {link.access_log.map((entry) => (
+                                <tr key={entry.id}>
+                                  <td className="py-1 pr-4 text-gray-700 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                                  <td className="py-1 pr-4 text-gray-900">{OUTCOME_LABELS[entry.outcome] || entry.outcome}</td>
+                                  <td className="py-1 text-gray-500">{entry.ip_address || '—'}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShareLinksModal;
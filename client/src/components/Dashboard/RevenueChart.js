@@ -1,6 +1,7 @@
 import React from 'react';
 
-const RevenueChart = ({ data }) => {
+// Monthly paid revenue, already converted to the workspace base currency by the API
+const RevenueChart = ({ data, currency = 'USD' }) => {
   if (!data || data.length === 0) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -9,7 +10,12 @@ const RevenueChart = ({ data }) => {
     );
   }
 
-  const maxRevenue = Math.max(...data.map(item => item.revenue || 0));
+  const maxRevenue = Math.max(...data.map(item => parseFloat(item.revenue) || 0));
+  const formatAmount = (value) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 0,
+  }).format(parseFloat(value) || 0);
 
   return (
     <div className="space-y-4">
@@ -22,11 +28,11 @@ const RevenueChart = ({ data }) => {
             <div className="w-32 bg-gray-200 rounded-full h-2">
               <div
                 className="bg-success-600 h-2 rounded-full"
-                style={{ width: `${((item.revenue || 0) / maxRevenue) * 100}%` }}
+                style={{ width: `${maxRevenue > 0 ? ((parseFloat(item.revenue) || 0) / maxRevenue) * 100 : 0}%` }}
               />
             </div>
-            <span className="text-sm text-gray-600 w-16 text-right">
-              ${parseFloat(item.revenue || 0).toFixed(0)}
+            <span className="text-sm text-gray-600 w-20 text-right">
+              {formatAmount(item.revenue)}
             </span>
           </div>
         </div>
@@ -13,7 +13,6 @@ import {
   MessageSquare,
   BarChart3,
   Settings,
-  Bell,
   User,
   LogOut,
   BookOpen,
@@ -23,11 +22,14 @@ import {
   ChevronRight,
   CreditCard,
   Mail,
+  History,
+  Timer,
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { usePermissions } from '../../hooks/usePermissions';
 import { NAVIGATION_PERMISSIONS } from '../../utils/permissions';
 import WorkspaceDisplay from './WorkspaceDisplay';
+import NotificationBell from './NotificationBell';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -47,11 +49,19 @@ const Layout = () => {
     localStorage.setItem('cms-sidebar-collapsed', JSON.stringify(isCollapsed));
   }, [isCollapsed]);
 
+  // Workspace requires 2FA and this user has not enrolled yet: keep them on the security settings
+  useEffect(() => {
+    if (user?.two_factor_setup_required && location.pathname !== '/settings') {
+      navigate('/settings?tab=security', { replace: true });
+    }
+  }, [user?.two_factor_setup_required, location.pathname, navigate]);
+
   // Define all navigation items (subscriptions shown only for super admin in filter below)
   const allNavigationItems = [
     { name: 'Dashboard', href: '/dashboard', icon: Home, key: 'dashboard' },
     { name: 'Subscriptions', href: '/subscriptions', icon: CreditCard, key: 'subscriptions' },
     { name: 'Inquiries', href: '/inquiries', icon: Mail, key: 'inquiries' },
+    { name: 'Background Jobs', href: '/jobs', icon: Timer, key: 'jobs' },
     { name: 'Clients', href: '/clients', icon: Users, key: 'clients' },
     { name: 'Projects', href: '/projects', icon: FolderOpen, key: 'projects' },
     { name: 'Quotations', href: '/quotations', icon: FileText, key: 'quotations' },
@@ -62,13 +72,14 @@ const Layout = () => {
     { name: 'Users', href: '/users', icon: UserCog, key: 'users' },
     { name: 'Roles & Permissions', href: '/roles', icon: Shield, key: 'roles' },
     { name: 'Reports', href: '/reports', icon: BarChart3, key: 'reports' },
+    { name: 'Audit Log', href: '/audit', icon: History, key: 'audit' },
     { name: 'Guide', href: '/guide', icon: BookOpen, key: 'guide' },
     { name: 'Settings', href: '/settings', icon: Settings, key: 'settings' },
   ];
 
   // Filter navigation based on permissions (subscriptions: super admin only)
   const navigation = allNavigationItems.filter(item => {
-    if (item.key === 'subscriptions' || item.key === 'inquiries') {
+    if (item.key === 'subscriptions' || item.key === 'inquiries' || item.key === 'jobs') {
       return Boolean(user?.is_super_admin || user?.isSuperAdmin);
     }
     const permission = NAVIGATION_PERMISSIONS[item.key];
@@ -161,9 +172,7 @@ const Layout = () => {
 
             <div className="ml-4 flex items-center md:ml-6 space-x-4">
               {/* Notifications */}
-              <button className="bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500">
-                <Bell className="h-6 w-6" />
-              </button>
+              <NotificationBell />
 
               {/* User menu – clicking icon or name opens dropdown with Profile and Sign out */}
               <div className="ml-3 relative overflow-visible">
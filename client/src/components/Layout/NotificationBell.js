@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Bell, CheckCheck, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { notificationsAPI, pmAPI } from '../../services/api';
+
+const TYPE_DOT_COLORS = {
+  info: 'bg-primary-500',
+  success: 'bg-success-500',
+  warning: 'bg-warning-500',
+  error: 'bg-danger-500',
+  reminder: 'bg-gray-400',
+};
+
+const NotificationBell = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  // Unread count is cheap - poll it; the list is only fetched while the dropdown is open
+  const { data: countData } = useQuery(
+    'notifications-unread-count',
+    notificationsAPI.getUnreadCount,
+    {
+      refetchInterval: 60000,
+      refetchOnWindowFocus: true,
+      retry: 1,
+    }
+  );
+
+  const { data: listData, isLoading } = useQuery(
+    ['notifications', 'latest'],
+    () => notificationsAPI.getAll({ limit: 15 }),
+    {
+      enabled: isOpen,
+      retry: 1,
+    }
+  );
+
+  const unreadCount = countData?.data?.data?.unread_count || 0;
+  const notifications = listData?.data?.data?.notifications || [];
+
+  const invalidate = () => {
+    queryClient.invalidateQueries('notifications-unread-count');
+    queryClient.invalidateQueries('notifications');
+  };
+
+  const markReadMutation = useMutation((id) => notificationsAPI.markRead(id), {
+    onSuccess: invalidate,
+  });
+
+  const markAllReadMutation = useMutation(() => notificationsAPI.markAllRead(), {
+    onSuccess: invalidate,
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+    },
+  });
+
+  const deleteMutation = useMutation((id) => notificationsAPI.delete(id), {
+    onSuccess: invalidate,
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to delete notification');
+    },
+  });
+
+  // Close dropdown on outside click
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  // Resolve the page a notification points to
+  const openRelated = async (notification) => {
+    const { related_type: type, related_id: id } = notification;
+    if (!id) return;
+
+    switch (type) {
+      case 'client':
+        navigate(`/clients/${id}`);
+        break;
+      case 'project':
+        navigate(`/projects/${id}`);
+        break;
+      case 'invoice':
+        navigate(`/invoices/${id}`);
+        break;
+      case 'quotation':
+        navigate(`/quotations/${id}`);
+        break;
+      case 'chat':
+        navigate(`/project-management/${id}/backlog`);
+        break;
+      case 'user_story':
+      case 'task': {
+        try {
+          const response = type === 'task' ? await pmAPI.getTaskById(id) : await pmAPI.getUserStoryById(id);
+          const workspaceId = response.data?.data?.workspace_id;
+          if (workspaceId) {
+            navigate(`/project-management/${workspaceId}/backlog`);
+          }
+        } catch (error) {
+          toast.error(error.response?.data?.message || 'This item is no longer available');
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.is_read) {
+      markReadMutation.mutate(notification.id);
+    }
+    setIsOpen(false);
+    await openRelated(notification);
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative bg-white p-1 rounded-full text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <Bell className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-danger-600 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 sm:w-96 bg-white rounded-md shadow-large border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={() => markAllReadMutation.mutate()}
+                disabled={markAllReadMutation.isLoading}
+                className="flex items-center text-xs font-medium text-primary-600 hover:text-primary-700"
+              >
+                <CheckCheck className="h-4 w-4 mr-1" />
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto scrollbar-thin">
+            {isLoading ? (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+              </div>
+            ) : notifications.length === 0 ? (
+              <p className="text-center text-sm text-gray-500 py-6">No notifications</p>
+            ) : (
+              notifications.map((notification) => (
+                <div
+                  key={notification.id}
+                  className={`group flex items-start px-4 py-3 border-b border-gray-100 last:border-b-0 hover:bg-gray-50 cursor-pointer ${
+                    notification.is_read ? '' : 'bg-primary-50'
+                  }`}
+                  onClick={() => handleNotificationClick(notification)}
+                >
+                  <span
+                    className={`mt-1.5 mr-3 h-2 w-2 rounded-full flex-shrink-0 ${
+                      notification.is_read ? 'bg-transparent' : (TYPE_DOT_COLORS[notification.type] || TYPE_DOT_COLORS.info)
+                    }`}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm text-gray-900 ${notification.is_read ? '' : 'font-semibold'}`}>
+                      {notification.title}
+                    </p>
+                    <p className="text-sm text-gray-600 break-words">{notification.message}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true })}
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      deleteMutation.mutate(notification.id);
+                    }}
+                    className="ml-2 p-1 text-gray-300 hover:text-gray-500 opacity-0 group-hover:opacity-100"
+                    title="Delete notification"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
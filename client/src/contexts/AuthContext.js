@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, setSessionTokens, clearSessionTokens } from '../services/api';
 
 const AuthContext = createContext();
 
@@ -9,6 +9,8 @@ const initialState = {
   isAuthenticated: false,
   loading: true,
   trialExpired: false,
+  // Set after a correct password when the account has 2FA: { token } for the second login step
+  twoFactorChallenge: null,
 };
 
 const authReducer = (state, action) => {
@@ -25,6 +27,7 @@ const authReducer = (state, action) => {
         token: action.payload.token,
         isAuthenticated: true,
         loading: false,
+        twoFactorChallenge: null,
       };
     case 'LOGIN_FAILURE':
       return {
@@ -33,6 +36,18 @@ const authReducer = (state, action) => {
         token: null,
         isAuthenticated: false,
         loading: false,
+        twoFactorChallenge: null,
+      };
+    case 'TWO_FACTOR_REQUIRED':
+      return {
+        ...state,
+        loading: false,
+        twoFactorChallenge: action.payload,
+      };
+    case 'TWO_FACTOR_CANCELLED':
+      return {
+        ...state,
+        twoFactorChallenge: null,
       };
     case 'LOGOUT':
       return {
@@ -54,6 +69,11 @@ const authReducer = (state, action) => {
         ...state,
         user: action.payload,
       };
+    case 'UPDATE_TOKEN':
+      return {
+        ...state,
+        token: action.payload,
+      };
     default:
       return state;
   }
@@ -91,7 +111,7 @@ export const AuthProvider = ({ children }) => {
           if (isTrialExpired) {
             sessionStorage.setItem('trial_expired', '1');
           }
-          localStorage.removeItem('token');
+          clearSessionTokens();
           dispatch({ type: 'LOGIN_FAILURE' });
         }
       } else {
@@ -102,61 +122,120 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Store the session from a login response, load permissions and mark the user as signed in
+  const completeLogin = async (loginData) => {
+    const { user, token, refreshToken, workspace } = loginData;
+
+    // Store tokens first so the profile request below is authenticated
+    setSessionTokens({ token, refreshToken });
+
+    // Fetch user permissions after login
+    let userWithPermissions = user;
+    try {
+      const profileResponse = await authAPI.getProfile();
+      userWithPermissions = profileResponse.data.data;
+      if (!userWithPermissions.permissions) {
+        userWithPermissions.permissions = [];
+      }
+      // Preserve workspace info from login response if not in profile
+      if (workspace && !userWithPermissions.workspace) {
+        userWithPermissions.workspace = workspace;
+      }
+    } catch (profileError) {
+      console.error('Failed to fetch permissions:', profileError);
+      userWithPermissions.permissions = [];
+      // Preserve workspace info from login response
+      if (workspace) {
+        userWithPermissions.workspace = workspace;
+      }
+    }
+
+    dispatch({
+      type: 'LOGIN_SUCCESS',
+      payload: { user: userWithPermissions, token },
+    });
+  };
+
+  const getLoginError = (error, fallback) => {
+    const code = error.response?.data?.code;
+    return {
+      success: false,
+      error: error.response?.data?.message || fallback,
+      requiresVerification: error.response?.data?.requiresVerification || false,
+      trialExpired: error.response?.status === 403 && code === 'TRIAL_EXPIRED',
+    };
+  };
+
   const login = async (credentials) => {
     dispatch({ type: 'LOGIN_START' });
     
     try {
       const response = await authAPI.login(credentials);
-      const { user, token, workspace } = response.data.data;
-      
-      // Fetch user permissions after login
-      let userWithPermissions = user;
-      try {
-        const profileResponse = await authAPI.getProfile();
-        userWithPermissions = profileResponse.data.data;
-        if (!userWithPermissions.permissions) {
-          userWithPermissions.permissions = [];
-        }
-        // Preserve workspace info from login response if not in profile
-        if (workspace && !userWithPermissions.workspace) {
-          userWithPermissions.workspace = workspace;
-        }
-      } catch (profileError) {
-        console.error('Failed to fetch permissions:', profileError);
-        userWithPermissions.permissions = [];
-        // Preserve workspace info from login response
-        if (workspace) {
-          userWithPermissions.workspace = workspace;
-        }
+      const loginData = response.data.data;
+
+      // Password was correct but the account has 2FA: Login shows the code step
+      if (loginData.requires_two_factor) {
+        dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: { token: loginData.two_factor_token } });
+        return { success: false, requiresTwoFactor: true };
       }
-      
-      localStorage.setItem('token', token);
-      
-      dispatch({
-        type: 'LOGIN_SUCCESS',
-        payload: { user: userWithPermissions, token },
-      });
-      
+
+      await completeLogin(loginData);
       return { success: true };
     } catch (error) {
+      clearSessionTokens();
       dispatch({ type: 'LOGIN_FAILURE' });
-      const code = error.response?.data?.code;
+      return getLoginError(error, 'Login failed');
+    }
+  };
+
+  // Second login step: TOTP code or recovery code
+  const verifyTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.verifyTwoFactorLogin({
+        two_factor_token: state.twoFactorChallenge?.token,
+        code,
+      });
+      await completeLogin(response.data.data);
       return {
-        success: false,
-        error: error.response?.data?.message || 'Login failed',
-        requiresVerification: error.response?.data?.requiresVerification || false,
-        trialExpired: error.response?.status === 403 && code === 'TRIAL_EXPIRED',
+        success: true,
+        recoveryCodesRemaining: response.data.data.recovery_codes_remaining,
       };
+    } catch (error) {
+      // An expired challenge or a locked account means starting over from the password step
+      if (['TWO_FACTOR_CHALLENGE_EXPIRED', 'ACCOUNT_LOCKED'].includes(error.response?.data?.code)) {
+        dispatch({ type: 'TWO_FACTOR_CANCELLED' });
+      }
+      return getLoginError(error, 'Verification failed');
     }
   };
 
+  const cancelTwoFactor = () => {
+    dispatch({ type: 'TWO_FACTOR_CANCELLED' });
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
+      clearSessionTokens();
+      dispatch({ type: 'LOGOUT' });
+    }
+  };
+
+  // Revoke every session of this user (all devices), including this one
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to log out from all devices',
+      };
+    } finally {
+      clearSessionTokens();
       dispatch({ type: 'LOGOUT' });
     }
   };
@@ -193,7 +272,12 @@ export const AuthProvider = ({ children }) => {
 
   const changePassword = async (passwordData) => {
     try {
-      await authAPI.changePassword(passwordData);
+      const response = await authAPI.changePassword(passwordData);
+      // Other sessions were revoked; keep this device signed in with the new tokens
+      if (response.data?.data?.token) {
+        setSessionTokens(response.data.data);
+        dispatch({ type: 'UPDATE_TOKEN', payload: response.data.data.token });
+      }
       return { success: true };
     } catch (error) {
       const errorMessage =
@@ -210,7 +294,10 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     logout,
+    logoutAll,
     updateProfile,
     changePassword,
   };
@@ -1,7 +1,8 @@
 import { useState } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import { pmAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
+import { useWorkspaceRealtime } from './useRealtime';
 
 /**
  * Hook to get unread chat message counts for all workspaces
@@ -47,13 +48,21 @@ export const useWorkspaceChatNotifications = (workspaceId) => {
 
   const chatRoom = roomData?.data?.data;
 
+  // Refresh the count when messages arrive or are read; polling is the fallback
+  const queryClient = useQueryClient();
+  const { connected: realtimeConnected } = useWorkspaceRealtime(workspaceId, (event) => {
+    if ((event.type === 'chat:message' || event.type === 'chat:read') && chatRoom?.id) {
+      queryClient.invalidateQueries(['pm-chat-unread-count', chatRoom.id]);
+    }
+  });
+
   // Get unread count - poll less frequently
   const { data: unreadData, error: unreadError } = useQuery(
     ['pm-chat-unread-count', chatRoom?.id],
     () => pmAPI.getUnreadMessageCount(chatRoom.id),
     {
       enabled: !!chatRoom?.id && !!user?.id && !hasError,
-      refetchInterval: 30000, // Poll every 30 seconds (reduced from 15)
+      refetchInterval: realtimeConnected ? false : 30000, // Poll every 30 seconds when real-time is unavailable
       refetchOnWindowFocus: false, // Don't refetch on window focus
       retry: (failureCount, error) => {
         // Don't retry on 429 errors
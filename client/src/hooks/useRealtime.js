@@ -0,0 +1,154 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+/**
+ * Shared WebSocket connection to /api/realtime.
+ * One socket is opened per browser tab and reused by every component; workspace
+ * subscriptions are reference-counted and re-sent after a reconnect.
+ */
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const REALTIME_URL = `${API_URL.replace(/^http/, 'ws')}/realtime`;
+const MAX_RECONNECT_DELAY = 30000;
+
+let socket = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let connected = false;
+const subscriptions = new Map(); // workspaceId -> Set of listeners
+const statusListeners = new Set();
+
+const setConnected = (value) => {
+  connected = value;
+  statusListeners.forEach((listener) => listener(value));
+};
+
+const sendRaw = (payload) => {
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || subscriptions.size === 0) return;
+  const delay = Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY);
+  reconnectAttempts += 1;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, delay);
+};
+
+function connect() {
+  const token = localStorage.getItem('token');
+  if (!token || typeof WebSocket === 'undefined') return;
+  if (socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING)) return;
+
+  // The token goes in the Sec-WebSocket-Protocol header, not the URL, so it stays out of access logs
+  socket = new WebSocket(REALTIME_URL, ['bearer', token]);
+
+  socket.onopen = () => {
+    reconnectAttempts = 0;
+    setConnected(true);
+    subscriptions.forEach((_, workspaceId) => {
+      sendRaw({ type: 'subscribe', workspace_id: workspaceId });
+    });
+  };
+
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (error) {
+      return;
+    }
+    const listeners = message.workspace_id ? subscriptions.get(message.workspace_id) : null;
+    if (listeners) {
+      listeners.forEach((listener) => listener(message));
+    }
+  };
+
+  socket.onclose = () => {
+    socket = null;
+    setConnected(false);
+    scheduleReconnect();
+  };
+
+  socket.onerror = () => {
+    // onclose follows and handles reconnecting
+  };
+}
+
+const disconnect = () => {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (socket) {
+    socket.onclose = null;
+    socket.close();
+    socket = null;
+  }
+  setConnected(false);
+};
+
+const addListener = (workspaceId, listener) => {
+  if (!subscriptions.has(workspaceId)) {
+    subscriptions.set(workspaceId, new Set());
+    sendRaw({ type: 'subscribe', workspace_id: workspaceId });
+  }
+  subscriptions.get(workspaceId).add(listener);
+  connect();
+};
+
+const removeListener = (workspaceId, listener) => {
+  const listeners = subscriptions.get(workspaceId);
+  if (!listeners) return;
+  listeners.delete(listener);
+  if (listeners.size === 0) {
+    subscriptions.delete(workspaceId);
+    sendRaw({ type: 'unsubscribe', workspace_id: workspaceId });
+  }
+  if (subscriptions.size === 0) {
+    disconnect();
+  }
+};
+
+/**
+ * Subscribe to real-time events for a PM workspace
+ * @param {number} workspaceId - PM workspace ID
+ * @param {Function} onEvent - Called with { type, workspace_id, data } for each event
+ * @returns {{ connected: boolean, sendTyping: Function }}
+ *   connected is false while the socket is down, so callers can fall back to polling
+ */
+export const useWorkspaceRealtime = (workspaceId, onEvent) => {
+  const [isConnected, setIsConnected] = useState(connected);
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  const id = workspaceId ? parseInt(workspaceId, 10) : null;
+
+  useEffect(() => {
+    statusListeners.add(setIsConnected);
+    setIsConnected(connected);
+    return () => statusListeners.delete(setIsConnected);
+  }, []);
+
+  useEffect(() => {
+    if (!id) return undefined;
+    const listener = (message) => {
+      if (onEventRef.current) onEventRef.current(message);
+    };
+    addListener(id, listener);
+    return () => removeListener(id, listener);
+  }, [id]);
+
+  const sendTyping = useCallback((isTyping) => {
+    if (id) {
+      sendRaw({ type: 'typing', workspace_id: id, is_typing: Boolean(isTyping) });
+    }
+  }, [id]);
+
+  return { connected: Boolean(id) && isConnected, sendTyping };
+};
+
+export default useWorkspaceRealtime;
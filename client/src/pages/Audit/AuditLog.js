@@ -0,0 +1,352 @@
+import React, { Fragment, useState } from 'react';
+import { useQuery, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import { ChevronDown, ChevronRight, Loader, RefreshCw } from 'lucide-react';
+import { auditAPI } from '../../services/api';
+
+const TABLE_LABELS = {
+  clients: 'Client',
+  projects: 'Project',
+  quotations: 'Quotation',
+  quotation_items: 'Quotation item',
+  invoices: 'Invoice',
+  invoice_items: 'Invoice item',
+  payments: 'Payment',
+  credit_notes: 'Credit note',
+  refunds: 'Refund',
+  catalog_items: 'Catalog item',
+  expenses: 'Expense',
+  credentials: 'Credential',
+  files: 'File',
+  users: 'User',
+  roles: 'Role',
+};
+
+// Detail pages for entities that have one
+const RECORD_LINKS = {
+  clients: (id) => `/clients/${id}`,
+  projects: (id) => `/projects/${id}`,
+  quotations: (id) => `/quotations/${id}`,
+  invoices: (id) => `/invoices/${id}`,
+  credit_notes: (id) => `/invoices/credit-notes/${id}`,
+  credentials: (id) => `/credentials/${id}`,
+};
+
+const ACTION_BADGES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+};
+
+const EMPTY_FILTERS = {
+  table_name: '',
+  record_id: '',
+  user_id: '',
+  action: '',
+  date_from: '',
+  date_to: '',
+  search: '',
+};
+
+const formatAction = (action) => action.replace(/_/g, ' ');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Field-by-field view of an entry: old -> new for updates, the full record for creates/deletes
+const AuditChanges = ({ entry }) => {
+  const oldValues = entry.old_values || {};
+  const newValues = entry.new_values || {};
+  const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])];
+
+  if (fields.length === 0) {
+    return <p className="text-sm text-gray-500">No field details recorded.</p>;
+  }
+
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr>
+          <th className="pr-4 py-1 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+          <th className="pr-4 py-1 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+          <th className="py-1 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {fields.map((field) => (
+          <tr key={field} className="align-top">
+            <td className="pr-4 py-1 font-mono text-xs text-gray-700 whitespace-nowrap">{field}</td>
+            <td className="pr-4 py-1 text-xs text-red-700 break-all">
+              {field in oldValues ? formatValue(oldValues[field]) : '—'}
+            </td>
+            <td className="py-1 text-xs text-green-700 break-all">
+              {field in newValues ? formatValue(newValues[field]) : '—'}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const AuditLog = () => {
+  const queryClient = useQueryClient();
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    ['audit-log', page, filters],
+    () => auditAPI.getAll({
+      page,
+      limit: 25,
+      ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '')),
+    }),
+    { keepPreviousData: true, retry: false }
+  );
+
+  const { data: filtersData } = useQuery('audit-log-filters', auditAPI.getFilters, { retry: false });
+  const filterOptions = filtersData?.data?.data || { tables: [], actions: [], users: [] };
+
+  const entries = data?.data?.data?.entries || [];
+  const pagination = data?.data?.data?.pagination || {};
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }));
+    setPage(1);
+  };
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600 mt-1">Who created, changed or deleted records, and what changed</p>
+        </div>
+        <button
+          onClick={() => queryClient.invalidateQueries('audit-log')}
+          className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2 self-start"
+        >
+          <RefreshCw className="w-4 h-4" />
+          <span className="hidden md:inline">Refresh</span>
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <label className="form-label">Entity</label>
+            <select
+              value={filters.table_name}
+              onChange={(e) => updateFilter('table_name', e.target.value)}
+              className="form-input"
+            >
+              <option value="">All entities</option>
+              {filterOptions.tables.map((table) => (
+                <option key={table} value={table}>{TABLE_LABELS[table] || table}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Record ID</label>
+            <input
+              type="number"
+              min="1"
+              value={filters.record_id}
+              onChange={(e) => updateFilter('record_id', e.target.value)}
+              placeholder="Any"
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">User</label>
+            <select
+              value={filters.user_id}
+              onChange={(e) => updateFilter('user_id', e.target.value)}
+              className="form-input"
+            >
+              <option value="">All users</option>
+              {filterOptions.users.map((user) => (
+                <option key={user.id} value={user.id}>{user.full_name || user.email}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Action</label>
+            <select
+              value={filters.action}
+              onChange={(e) => updateFilter('action', e.target.value)}
+              className="form-input capitalize"
+            >
+              <option value="">All actions</option>
+              {filterOptions.actions.map((action) => (
+                <option key={action} value={action}>{formatAction(action)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">From</label>
+            <input
+              type="date"
+              value={filters.date_from}
+              onChange={(e) => updateFilter('date_from', e.target.value)}
+              className="form-input"
+            />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input
+              type="date"
+              value={filters.date_to}
+              onChange={(e) => updateFilter('date_to', e.target.value)}
+              className="form-input"
+            />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="form-label">Search</label>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => updateFilter('search', e.target.value)}
+                placeholder="User, IP address or changed value..."
+                className="form-input"
+              />
+              <button
+                type="button"
+                onClick={() => {
+                  setFilters(EMPTY_FILTERS);
+                  setPage(1);
+                }}
+                className="btn btn-secondary flex-shrink-0"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader className="w-5 h-5 animate-spin mr-2" />
+            Loading...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600 p-6">
+            {error.response?.data?.message || 'Failed to load the audit log'}
+          </p>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500 py-12 text-center">No audit entries found</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 w-8"></th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Record</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changed fields</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP address</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {entries.map((entry) => {
+                  const isExpanded = expandedId === entry.id;
+                  // Only updates carry both sides; creates and deletes hold the whole record
+                  const changedFields = entry.old_values && entry.new_values ? Object.keys(entry.new_values) : [];
+                  const recordLink = entry.record_id && RECORD_LINKS[entry.table_name];
+                  return (
+                    <Fragment key={entry.id}>
+                      <tr
+                        className="hover:bg-gray-50 cursor-pointer"
+                        onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                      >
+                        <td className="px-4 py-3 text-gray-400">
+                          {isExpanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                          {new Date(entry.created_at).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {entry.user_name || entry.user_email || (entry.user_id ? `User #${entry.user_id}` : 'System')}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${ACTION_BADGES[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                            {formatAction(entry.action)}
+                          </span>
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                          {TABLE_LABELS[entry.table_name] || entry.table_name}{' '}
+                          {recordLink ? (
+                            <Link
+                              to={recordLink(entry.record_id)}
+                              onClick={(e) => e.stopPropagation()}
+                              className="text-primary-600 hover:text-primary-800"
+                            >
+                              #{entry.record_id}
+                            </Link>
+                          ) : entry.record_id ? `#${entry.record_id}` : ''}
+                        </td>
+                        <td className="px-4 py-3 text-xs text-gray-500 max-w-xs truncate">
+                          {changedFields.join(', ')}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{entry.ip_address || '—'}</td>
+                      </tr>
+                      {isExpanded && (
+                        <tr className="bg-gray-50">
+                          <td></td>
+                          <td colSpan={6} className="px-4 py-3">
+                            <AuditChanges entry={entry} />
+                            {entry.user_agent && (
+                              <p className="mt-2 text-xs text-gray-500 break-all">Browser: {entry.user_agent}</p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.totalPages > 1 && (
+          <div className="bg-gray-50 px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+            <span className="text-sm text-gray-700">
+              Page {pagination.page} of {pagination.totalPages} ({pagination.total} entries)
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={!pagination.hasPrev}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={!pagination.hasNext}
+                className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
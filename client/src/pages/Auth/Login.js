@@ -1,7 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { Link, useLocation } from 'react-router-dom';
-import { Lock, User, Shield, Eye, EyeOff } from 'lucide-react';
+import { Lock, User, Shield, Eye, EyeOff, KeyRound } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import toast from 'react-hot-toast';
 
@@ -11,8 +11,10 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [bgImageError, setBgImageError] = useState(false);
-  const { login } = useAuth();
+  const { login, verifyTwoFactor, cancelTwoFactor, twoFactorChallenge } = useAuth();
   const location = useLocation();
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const {
     register,
@@ -44,7 +46,7 @@ const Login = () => {
       const result = await login(data);
       if (result.success) {
         toast.success('Login successful!');
-      } else {
+      } else if (!result.requiresTwoFactor) {
         if (result.requiresVerification) {
           toast.error(result.error || 'Please verify your email address before logging in.', { duration: 6000 });
         } else if (result.trialExpired) {
@@ -65,6 +67,35 @@ const Login = () => {
     }
   };
 
+  const onSubmitTwoFactor = async (e) => {
+    e.preventDefault();
+    if (!twoFactorCode.trim()) {
+      toast.error(useRecoveryCode ? 'Enter a recovery code' : 'Enter the 6-digit code');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const result = await verifyTwoFactor(twoFactorCode.trim());
+      if (result.success) {
+        toast.success('Login successful!');
+        if (result.recoveryCodesRemaining !== undefined) {
+          toast(`You have ${result.recoveryCodesRemaining} recovery code(s) left. Generate new ones in Settings.`, { duration: 8000 });
+        }
+      } else {
+        setTwoFactorCode('');
+        toast.error(result.error || 'Invalid verification code');
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    cancelTwoFactor();
+  };
+
   return (
     <div className="auth-page">
       <div className="auth-page-bg">
@@ -100,116 +131,183 @@ const Login = () => {
         </div>
 
         <div className="auth-form-panel">
-          <h2 className="text-lg font-semibold text-gray-900">Sign in</h2>
-          <p className="mt-0.5 text-xs text-gray-600">Enter your credentials to access your account.</p>
+          {twoFactorChallenge ? (
+            <>
+              <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+              <p className="mt-0.5 text-xs text-gray-600">
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </p>
 
-          {showTrialExpiredBanner && (
-            <div className="mt-3 rounded-lg bg-amber-50 border border-amber-200 py-2 px-3 text-center text-amber-800 text-xs">
-              Your free trial has ended. Please contact sales to upgrade.
-            </div>
-          )}
+              <form className="mt-4 space-y-3" onSubmit={onSubmitTwoFactor}>
+                <div>
+                  <label htmlFor="two-factor-code" className="auth-label">
+                    {useRecoveryCode ? 'Recovery code' : 'Verification code'}
+                  </label>
+                  <div className="auth-input-wrap">
+                    <div className="relative group">
+                      <KeyRound className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 group-focus-within:text-primary-600 pointer-events-none transition-colors" />
+                      <input
+                        id="two-factor-code"
+                        type="text"
+                        value={twoFactorCode}
+                        onChange={(e) => setTwoFactorCode(e.target.value)}
+                        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                        autoComplete="one-time-code"
+                        autoFocus
+                        maxLength={useRecoveryCode ? 11 : 6}
+                        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                        className="auth-input pl-9 pr-3 tracking-widest"
+                      />
+                    </div>
+                  </div>
+                </div>
 
-          <form className="mt-4 space-y-3" onSubmit={handleSubmit(onSubmit)}>
-            <div>
-              <label htmlFor="username" className="auth-label">
-                Username or email
-              </label>
-              <div className="auth-input-wrap">
-                <div className="relative group">
-                  <User className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 group-focus-within:text-primary-600 pointer-events-none transition-colors" />
-                  <input
-                    id="username"
-                    type="text"
-                    {...register('username', { required: 'Username or email is required' })}
-                    placeholder="you@company.com"
-                    className={`auth-input pl-9 pr-3 ${errors.username ? 'auth-input-error' : ''}`}
-                  />
+                <div className="pt-0.5">
+                  <button type="submit" disabled={isLoading} className="auth-btn-primary">
+                    {isLoading ? (
+                      <>
+                        <span className="h-4 w-4 animate-spin rounded-full border-2 border-white border-t-transparent" />
+                        Verifying...
+                      </>
+                    ) : (
+                      'Verify'
+                    )}
+                  </button>
                 </div>
-                {errors.username && <p className="auth-error-msg">{errors.username.message}</p>}
+              </form>
+
+              <div className="mt-4 flex items-center justify-between text-xs">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                  }}
+                  className="auth-link"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button type="button" onClick={handleCancelTwoFactor} className="auth-link">
+                  Back to sign in
+                </button>
               </div>
-            </div>
+            </>
+          ) : (
+            <>
+              <h2 className="text-lg font-semibold text-gray-900">Sign in</h2>
+              <p className="mt-0.5 text-xs text-gray-600">Enter your credentials to access your account.</p>
+
+              {showTrialExpiredBanner && (
+                <div className="mt-3 rounded-lg bg-amber-50 border border-amber-200 py-2 px-3 text-center text-amber-800 text-xs">
+                  Your free trial has ended. Please contact sales to upgrade.
+                </div>
+              )}
+
+              <form className="mt-4 space-y-3" onSubmit={handleSubmit(onSubmit)}>
+                <div>
+                  <label htmlFor="username" className="auth-label">
+                    Username or email
+                  </label>
+                  <div className="auth-input-wrap">
+                    <div className="relative group">
+                      <User className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 group-focus-within:text-primary-600 pointer-events-none transition-colors" />
+                      <input
+                        id="username"
+                        type="text"
+                        {...register('username', { required: 'Username or email is required' })}
+                        placeholder="you@company.com"
+                        className={`auth-input pl-9 pr-3 ${errors.username ? 'auth-input-error' : ''}`}
+                      />
+                    </div>
+                    {errors.username && <p className="auth-error-msg">{errors.username.message}</p>}
+                  </div>
+                </div>
 
-            <div>
-              <label htmlFor="password" className="auth-label">
-                Password
-              </label>
-              <div className="auth-input-wrap">
-                <div className="relative group">
-                  <Lock className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 group-focus-within:text-primary-600 pointer-events-none transition-colors" />
-                  <input
-                    id="password"
-                    type={showPassword ? 'text' : 'password'}
-                    {...register('password', {
-                      required: 'Password is required',
-                      minLength: { value: 6, message: 'Password must be at least 6 characters' },
-                    })}
-                    placeholder="••••••••"
-                    className={`auth-input pl-9 pr-12 py-2.5 ${errors.password ? 'auth-input-error' : ''}`}
-                  />
+                <div>
+                  <label htmlFor="password" className="auth-label">
+                    Password
+                  </label>
+                  <div className="auth-input-wrap">
+                    <div className="relative group">
+                      <Lock className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 group-focus-within:text-primary-600 pointer-events-none transition-colors" />
+                      <input
+                        id="password"
+                        type={showPassword ? 'text' : 'password'}
+                        {...register('password', {
+                          required: 'Password is required',
+                          minLength: { value: 6, message: 'Password must be at least 6 characters' },
+                        })}
+                        placeholder="••••••••"
+                        className={`auth-input pl-9 pr-12 py-2.5 ${errors.password ? 'auth-input-error' : ''}`}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-primary-600 hover:text-primary-700 transition-colors"
+                        aria-label={showPassword ? 'Hide password' : 'Show password'}
+                      >
+                        {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                      </button>
+                    </div>
+                    {errors.password && <p className="auth-error-msg">{errors.password.message}</p>}
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between text-xs">
+                  <label className="flex items-center gap-2 cursor-pointer select-none text-gray-700">
+                    <input
+                      type="checkbox"
+                      {...register('rememberMe')}
+                      className="h-3.5 w-3.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500 bg-white"
+                    />
+                    Remember me
+                  </label>
+                  <Link to="/forgot-password" className="auth-link">
+                    Forgot password?
+                  </Link>
+                </div>
+
+                <div className="pt-0.5">
                   <button
-                    type="button"
-                    onClick={() => setShowPassword(!showPassword)}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-primary-600 hover:text-primary-700 transition-colors"
-                    aria-label={showPassword ? 'Hide password' : 'Show password'}
+                    type="submit"
+                    disabled={isLoading}
+                    className="auth-btn-primary"
                   >
-                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                    {isLoading ? (
+                      <>
+                        <span className="h-4 w-4 animate-spin rounded-full border-2 border-white border-t-transparent" />
+                        Signing in...
+                      </>
+                    ) : (
+                      'Sign in'
+                    )}
                   </button>
                 </div>
-                {errors.password && <p className="auth-error-msg">{errors.password.message}</p>}
-              </div>
-            </div>
+              </form>
 
-            <div className="flex items-center justify-between text-xs">
-              <label className="flex items-center gap-2 cursor-pointer select-none text-gray-700">
-                <input
-                  type="checkbox"
-                  {...register('rememberMe')}
-                  className="h-3.5 w-3.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500 bg-white"
-                />
-                Remember me
-              </label>
-              <Link to="/forgot-password" className="auth-link">
-                Forgot password?
-              </Link>
-            </div>
+              <div className="mt-4 flex items-center gap-2">
+                <span className="flex-1 h-px bg-gray-200" />
+                <span className="text-xs font-medium text-gray-500 uppercase">or</span>
+                <span className="flex-1 h-px bg-gray-200" />
+              </div>
 
-            <div className="pt-0.5">
-              <button
-                type="submit"
-                disabled={isLoading}
-                className="auth-btn-primary"
+              <Link
+                to="/register"
+                className="mt-3 flex items-center justify-center w-full py-2.5 px-4 rounded-lg text-sm font-semibold text-primary-600 bg-primary-50 border border-primary-200 hover:bg-primary-100 focus:outline-none focus:ring-2 focus:ring-primary-500/30 transition-all"
               >
-                {isLoading ? (
-                  <>
-                    <span className="h-4 w-4 animate-spin rounded-full border-2 border-white border-t-transparent" />
-                    Signing in...
-                  </>
-                ) : (
-                  'Sign in'
-                )}
-              </button>
-            </div>
-          </form>
-
-          <div className="mt-4 flex items-center gap-2">
-            <span className="flex-1 h-px bg-gray-200" />
-            <span className="text-xs font-medium text-gray-500 uppercase">or</span>
-            <span className="flex-1 h-px bg-gray-200" />
-          </div>
+                Create an account
+              </Link>
 
-          <Link
-            to="/register"
-            className="mt-3 flex items-center justify-center w-full py-2.5 px-4 rounded-lg text-sm font-semibold text-primary-600 bg-primary-50 border border-primary-200 hover:bg-primary-100 focus:outline-none focus:ring-2 focus:ring-primary-500/30 transition-all"
-          >
-            Create an account
-          </Link>
-
-          <p className="mt-4 text-center text-xs text-gray-600">
-            Need to verify your email?{' '}
-            <Link to="/resend-verification" className="auth-link">
-              Resend verification
-            </Link>
-          </p>
+              <p className="mt-4 text-center text-xs text-gray-600">
+                Need to verify your email?{' '}
+                <Link to="/resend-verification" className="auth-link">
+                  Resend verification
+                </Link>
+              </p>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -16,16 +16,19 @@ import {
   DollarSign,
   Plus,
   ExternalLink,
+  Receipt,
 } from 'lucide-react';
 import { clientsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import ClientModal from './ClientModal';
+import StatementModal from './StatementModal';
 
 const ClientDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [isStatementModalOpen, setIsStatementModalOpen] = useState(false);
 
   // Fetch client data
   const {
@@ -128,13 +131,22 @@ const ClientDetail = () => {
             )}
           </div>
         </div>
-        <button
-          onClick={() => setIsEditModalOpen(true)}
-          className="btn btn-primary"
-        >
-          <Edit className="h-4 w-4 mr-2" />
-          Edit Client
-        </button>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setIsStatementModalOpen(true)}
+            className="btn btn-outline"
+          >
+            <Receipt className="h-4 w-4 mr-2" />
+            Statement
+          </button>
+          <button
+            onClick={() => setIsEditModalOpen(true)}
+            className="btn btn-primary"
+          >
+            <Edit className="h-4 w-4 mr-2" />
+            Edit Client
+          </button>
+        </div>
       </div>
 
       {/* Client Overview */}
@@ -362,6 +374,53 @@ const ClientDetail = () => {
         </div>
       </div>
 
+      {/* Account Balance (per currency; credit notes and refunds included) */}
+      {client.balances && client.balances.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Account Balance</h3>
+          </div>
+          <div className="card-body overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currency</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Invoiced</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credited</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Refunded</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {client.balances.map((balance) => {
+                  const format = (amount) => new Intl.NumberFormat('en-US', {
+                    style: 'currency',
+                    currency: balance.currency,
+                  }).format(amount || 0);
+                  return (
+                    <tr key={balance.currency}>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {balance.currency}
+                        <span className="text-xs text-gray-500 ml-1">({balance.invoice_count} invoices)</span>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-900">{format(balance.invoiced)}</td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-900">{format(balance.credited)}</td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-900">{format(balance.paid)}</td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-900">{format(balance.refunded)}</td>
+                      <td className={`px-4 py-2 text-sm text-right font-semibold ${balance.balance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {format(Math.abs(balance.balance))}
+                        {balance.balance < 0 && <span className="block text-xs font-normal">in credit</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Recent Invoices */}
       <div className="card">
         <div className="card-header">
@@ -477,6 +536,13 @@ const ClientDetail = () => {
         }}
         client={client}
       />
+
+      {/* Statement of Account Modal */}
+      <StatementModal
+        isOpen={isStatementModalOpen}
+        onClose={() => setIsStatementModalOpen(false)}
+        client={client}
+      />
     </div>
   );
 };
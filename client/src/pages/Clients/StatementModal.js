@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { X, Download, Send, Loader } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { clientsAPI } from '../../services/api';
+import SendDocumentModal from '../../components/Common/SendDocumentModal';
+
+const AGING_COLUMNS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days_1_30', label: '1-30 days' },
+  { key: 'days_31_60', label: '31-60 days' },
+  { key: 'days_61_90', label: '61-90 days' },
+  { key: 'days_90_plus', label: '90+ days' },
+];
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const formatDate = (dateString) => {
+  if (!dateString) return '';
+  return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+/**
+ * Statement of account of a client for a period (whole history when there is no start date): transactions with a
+ * running balance and the aging of open invoices per currency, downloadable as PDF or emailed to the client.
+ */
+const StatementModal = ({ isOpen, onClose, client }) => {
+  const [period, setPeriod] = useState({ start_date: '', end_date: todayString() });
+  const [isSendModalOpen, setIsSendModalOpen] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const params = {
+    ...(period.start_date ? { start_date: period.start_date } : {}),
+    end_date: period.end_date || todayString(),
+  };
+  const invalidPeriod = !!params.start_date && params.start_date > params.end_date;
+
+  const { data, isLoading, error } = useQuery(
+    ['client-statement', String(client?.id), params],
+    () => clientsAPI.getStatement(client.id, params),
+    { enabled: isOpen && !!client?.id && !invalidPeriod, keepPreviousData: true, retry: false }
+  );
+  const statement = data?.data?.data;
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const response = await clientsAPI.downloadStatement(client.id, params);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `Statement-${params.end_date}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error('Failed to download statement');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Statement of account</h2>
+            <p className="text-sm text-gray-500 mt-0.5">{client.company_name || client.full_name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex flex-wrap items-end gap-4">
+            <div>
+              <label htmlFor="statement_start" className="form-label">From</label>
+              <input
+                id="statement_start"
+                type="date"
+                value={period.start_date}
+                onChange={(e) => setPeriod((prev) => ({ ...prev, start_date: e.target.value }))}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label htmlFor="statement_end" className="form-label">To</label>
+              <input
+                id="statement_end"
+                type="date"
+                value={period.end_date}
+                onChange={(e) => setPeriod((prev) => ({ ...prev, end_date: e.target.value }))}
+                className="form-input"
+              />
+            </div>
+            <div className="flex gap-2 ml-auto">
+              <button
+                onClick={handleDownload}
+                disabled={isDownloading || invalidPeriod || !statement}
+                className="btn btn-outline inline-flex items-center"
+              >
+                {isDownloading ? <Loader className="h-4 w-4 animate-spin mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+                Download PDF
+              </button>
+              <button
+                onClick={() => setIsSendModalOpen(true)}
+                disabled={invalidPeriod || !statement}
+                className="btn btn-primary inline-flex items-center"
+              >
+                <Send className="h-4 w-4 mr-2" />
+                Email
+              </button>
+            </div>
+          </div>
+          {!period.start_date && (
+            <p className="text-xs text-gray-500 -mt-4">Leave the start date empty for the whole account history.</p>
+          )}
+
+          {invalidPeriod ? (
+            <p className="text-sm text-red-600">The end date must be on or after the start date.</p>
+          ) : isLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader className="h-6 w-6 animate-spin text-primary-600" />
+            </div>
+          ) : error ? (
+            <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+              {error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Unable to load the statement.'}
+            </div>
+          ) : statement && statement.currencies.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">No invoices or payments up to {formatDate(statement.end_date)}.</p>
+          ) : statement && statement.currencies.map((section) => {
+            const format = (amount) => new Intl.NumberFormat('en-US', {
+              style: 'currency',
+              currency: section.currency,
+            }).format(amount || 0);
+            return (
+              <div key={section.currency} className="space-y-3">
+                {statement.currencies.length > 1 && (
+                  <h3 className="text-sm font-medium text-gray-900">{section.currency}</h3>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Debit</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Credit</th>
+                        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-100">
+                      <tr className="bg-gray-50">
+                        <td className="px-3 py-2 text-gray-500">{formatDate(statement.start_date)}</td>
+                        <td className="px-3 py-2" />
+                        <td className="px-3 py-2 font-medium text-gray-900">
+                          {statement.start_date ? 'Opening balance' : 'Balance brought forward'}
+                        </td>
+                        <td className="px-3 py-2" />
+                        <td className="px-3 py-2" />
+                        <td className="px-3 py-2 text-right font-medium text-gray-900">{format(section.opening_balance)}</td>
+                      </tr>
+                      {section.transactions.map((transaction) => (
+                        <tr key={`${transaction.type}-${transaction.id}`}>
+                          <td className="px-3 py-2 text-gray-500 whitespace-nowrap">{formatDate(transaction.date)}</td>
+                          <td className="px-3 py-2 text-gray-900">{transaction.reference}</td>
+                          <td className="px-3 py-2 text-gray-700">{transaction.description}</td>
+                          <td className="px-3 py-2 text-right text-gray-900">{transaction.debit ? format(transaction.debit) : ''}</td>
+                          <td className="px-3 py-2 text-right text-gray-900">{transaction.credit ? format(transaction.credit) : ''}</td>
+                          <td className="px-3 py-2 text-right text-gray-900">{format(transaction.balance)}</td>
+                        </tr>
+                      ))}
+                      <tr className="bg-gray-50 font-semibold">
+                        <td className="px-3 py-2 text-gray-500">{formatDate(statement.end_date)}</td>
+                        <td className="px-3 py-2" />
+                        <td className="px-3 py-2 text-gray-900">Closing balance</td>
+                        <td className="px-3 py-2 text-right text-gray-900">{format(section.total_debit)}</td>
+                        <td className="px-3 py-2 text-right text-gray-900">{format(section.total_credit)}</td>
+                        <td className={`px-3 py-2 text-right ${section.closing_balance > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {format(section.closing_balance)}
+                        </td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+                <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+                  {AGING_COLUMNS.map((column) => (
+                    <div key={column.key} className="rounded border border-gray-200 p-2">
+                      <p className="text-xs text-gray-500">{column.label}</p>
+                      <p className="text-sm font-medium text-gray-900">{format(section.aging[column.key])}</p>
+                    </div>
+                  ))}
+                  <div className="rounded border border-gray-300 bg-gray-50 p-2">
+                    <p className="text-xs text-gray-500">Total due</p>
+                    <p className="text-sm font-semibold text-gray-900">{format(section.aging.total)}</p>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <SendDocumentModal
+        isOpen={isSendModalOpen}
+        onClose={() => setIsSendModalOpen(false)}
+        api={{ getEmails: clientsAPI.getStatementEmails, send: clientsAPI.sendStatement }}
+        documentId={client.id}
+        documentType="statement"
+        documentNumber={`As of ${formatDate(params.end_date)}`}
+        params={params}
+      />
+    </div>
+  );
+};
+
+export default StatementModal;
@@ -1,18 +1,33 @@
 import React, { useState } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Edit, Trash2, Eye, EyeOff, Copy, Check, Globe, Server, Database, Key, Cloud, Lock } from 'lucide-react';
+import { ArrowLeft, Edit, Trash2, Eye, EyeOff, Copy, Check, Globe, Server, Database, Key, Cloud, Lock, Loader, History, Share2 } from 'lucide-react';
 import { credentialsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import CredentialModal from './CredentialModal';
 import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+import ShareLinksModal from '../../components/Common/ShareLinksModal';
+
+const ACCESS_ACTION_LABELS = {
+  reveal: 'Revealed',
+  copy: 'Copied',
+  share: 'Created share link',
+  share_view: 'Viewed via share link',
+};
 
 const CredentialDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  // Password is fetched on demand (POST /reveal, logged) and kept only in component state
+  const [revealedPassword, setRevealedPassword] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
+  const [revealing, setRevealing] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [reason, setReason] = useState('');
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [copiedField, setCopiedField] = useState(null);
 
   // Fetch credential details
@@ -31,6 +46,13 @@ const CredentialDetail = () => {
 
   const credential = credentialData?.data?.data;
 
+  const { data: accessLogData, error: accessLogError } = useQuery(
+    ['credential-access-log', id],
+    () => credentialsAPI.getAccessLog(id, { limit: 20 }),
+    { enabled: !!id, retry: false }
+  );
+  const accessLog = accessLogData?.data?.data?.entries || [];
+
   const getCredentialIcon = (type) => {
     switch (type) {
       case 'admin_panel':
@@ -71,6 +93,52 @@ const CredentialDetail = () => {
     setTimeout(() => setCopiedField(null), 2000);
   };
 
+  // Reveal or copy the password; asks for a reason first when the workspace requires one for this type
+  const requestPassword = async (action, reasonText = '') => {
+    if (credential.reveal_reason_required && !reasonText.trim()) {
+      setPendingAction(action);
+      return;
+    }
+    setRevealing(action);
+    try {
+      const response = await credentialsAPI.reveal(id, { action, reason: reasonText.trim() || undefined });
+      const password = response.data.data.password;
+      setRevealedPassword(password);
+      setPendingAction(null);
+      setReason('');
+      if (action === 'copy') {
+        copyToClipboard(password, 'password');
+      } else {
+        setShowPassword(true);
+      }
+      queryClient.invalidateQueries(['credential-access-log', id]);
+    } catch (error) {
+      if (error.response?.data?.code === 'REVEAL_REASON_REQUIRED') {
+        setPendingAction(action);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to reveal password');
+      }
+    } finally {
+      setRevealing(null);
+    }
+  };
+
+  const handleTogglePassword = () => {
+    if (showPassword) {
+      setShowPassword(false);
+    } else if (revealedPassword !== null) {
+      setShowPassword(true);
+    } else {
+      requestPassword('reveal');
+    }
+  };
+
+  const handleReasonSubmit = (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    requestPassword(pendingAction, reason);
+  };
+
   const handleDelete = async () => {
     try {
       await credentialsAPI.delete(id);
@@ -133,6 +201,13 @@ const CredentialDetail = () => {
           </div>
         </div>
         <div className="flex gap-2">
+          <button
+            onClick={() => setIsShareModalOpen(true)}
+            className="btn btn-outline"
+          >
+            <Share2 className="h-4 w-4 mr-2" />
+            Share
+          </button>
           <button
             onClick={() => setIsEditModalOpen(true)}
             className="btn btn-outline"
@@ -290,20 +365,28 @@ const CredentialDetail = () => {
                 <label className="text-sm font-medium text-gray-500">Password</label>
                 <div className="flex items-center gap-2">
                   <button
-                    onClick={() => copyToClipboard(credential.password, 'password')}
+                    onClick={() => requestPassword('copy')}
+                    disabled={revealing !== null}
                     className="text-gray-400 hover:text-gray-600"
+                    title="Copy password"
                   >
-                    {copiedField === 'password' ? (
+                    {revealing === 'copy' ? (
+                      <Loader className="h-4 w-4 animate-spin" />
+                    ) : copiedField === 'password' ? (
                       <Check className="h-4 w-4 text-green-500" />
                     ) : (
                       <Copy className="h-4 w-4" />
                     )}
                   </button>
                   <button
-                    onClick={() => setShowPassword(!showPassword)}
+                    onClick={handleTogglePassword}
+                    disabled={revealing !== null}
                     className="text-gray-400 hover:text-gray-600"
+                    title={showPassword ? 'Hide password' : 'Reveal password'}
                   >
-                    {showPassword ? (
+                    {revealing === 'reveal' ? (
+                      <Loader className="h-4 w-4 animate-spin" />
+                    ) : showPassword ? (
                       <EyeOff className="h-4 w-4" />
                     ) : (
                       <Eye className="h-4 w-4" />
@@ -311,8 +394,42 @@ const CredentialDetail = () => {
                   </button>
                 </div>
               </div>
-              <p className="mt-1 text-sm text-gray-900 font-mono">
-                {showPassword ? credential.password : '••••••••'}
+              <p className="mt-1 text-sm text-gray-900 font-mono break-all">
+                {showPassword && revealedPassword !== null ? revealedPassword : '••••••••'}
+              </p>
+              {pendingAction && (
+                <form onSubmit={handleReasonSubmit} className="mt-3 space-y-2">
+                  <label className="form-label">
+                    Why do you need this password?
+                  </label>
+                  <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    maxLength={500}
+                    autoFocus
+                    placeholder="e.g. Deploying the March release"
+                    className="form-input"
+                  />
+                  <div className="flex gap-2">
+                    <button type="submit" disabled={!reason.trim() || revealing !== null} className="btn btn-primary">
+                      {pendingAction === 'copy' ? 'Copy password' : 'Reveal password'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setPendingAction(null);
+                        setReason('');
+                      }}
+                      className="btn btn-secondary"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              )}
+              <p className="mt-2 text-xs text-gray-500">
+                Revealing or copying the password is logged{credential.reveal_reason_required ? ' and requires a reason' : ''}.
               </p>
             </div>
           </div>
@@ -331,7 +448,65 @@ const CredentialDetail = () => {
         )}
       </div>
 
+      {/* Access history */}
+      <div className="card">
+        <div className="card-header flex items-center gap-2">
+          <History className="h-5 w-5 text-gray-400" />
+          <h2 className="text-lg font-semibold text-gray-900">Access History</h2>
+        </div>
+        <div className="card-body">
+          {accessLogError ? (
+            <p className="text-sm text-red-600">
+              {accessLogError.response?.data?.message || 'Failed to load access history'}
+            </p>
+          ) : accessLog.length === 0 ? (
+            <p className="text-sm text-gray-500">Nobody has revealed or copied this password yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP address</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {accessLog.map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-700">
+                        {new Date(entry.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {entry.action === 'share_view'
+                          ? 'Share link recipient'
+                          : entry.user_name || entry.user_email || 'Deleted user'}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-700 ">{ACCESS_ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td className="px-4 py-2 text-sm text-gray-700">{entry.reason || '—'}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-700">{entry.ip_address || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Modals */}
+      <ShareLinksModal
+        isOpen={isShareModalOpen}
+        onClose={() => setIsShareModalOpen(false)}
+        api={credentialsAPI}
+        resourceId={credential.id}
+        resourceType="credential"
+        resourceName={credential.title}
+        reasonRequired={credential.reveal_reason_required}
+      />
+
       <CredentialModal
         isOpen={isEditModalOpen}
         onClose={() => {
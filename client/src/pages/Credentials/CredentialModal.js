@@ -71,7 +71,7 @@ const CredentialModal = ({ isOpen, onClose, onSuccess, credential }) => {
           ip_address: cred.ip_address || '',
           username: cred.username || '',
           email: cred.email || '',
-          password: cred.password || '', // Decrypted password from API
+          password: '', // Never sent by the API; left blank to keep the current password
           notes: cred.notes || '',
         });
       },
@@ -139,7 +139,6 @@ const CredentialModal = ({ isOpen, onClose, onSuccess, credential }) => {
     const credentialData = {
       title: data.title,
       credential_type: data.credential_type,
-      password: data.password,
       client_id: data.client_id && data.client_id !== '' ? parseInt(data.client_id) : null,
       project_id: data.project_id && data.project_id !== '' ? parseInt(data.project_id) : null,
       url: data.url && data.url.trim() !== '' ? data.url.trim() : null,
@@ -148,6 +147,9 @@ const CredentialModal = ({ isOpen, onClose, onSuccess, credential }) => {
       email: data.email && data.email.trim() !== '' ? data.email.trim() : null,
       notes: data.notes && data.notes.trim() !== '' ? data.notes.trim() : null,
     };
+    if (!credential || data.password) {
+      credentialData.password = data.password;
+    }
 
     mutation.mutate(credentialData);
   };
@@ -275,13 +277,14 @@ const CredentialModal = ({ isOpen, onClose, onSuccess, credential }) => {
             </div>
 
             <div className="md:col-span-2">
-              <label className="form-label">Password *</label>
+              <label className="form-label">Password{credential ? '' : ' *'}</label>
               <div className="relative">
                 <input
-                  {...register('password', { required: 'Password is required' })}
+                  {...register('password', { required: credential ? false : 'Password is required' })}
                   type={showPassword ? 'text' : 'password'}
                   className={`form-input pr-10 ${errors.password ? 'border-red-500' : ''}`}
-                  placeholder="Enter password"
+                  placeholder={credential ? 'Leave blank to keep current password' : 'Enter password'}
+                  autoComplete="new-password"
                 />
                 <button
                   type="button"
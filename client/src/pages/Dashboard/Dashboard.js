@@ -60,6 +60,7 @@ const Dashboard = () => {
 
   // API response structure: { data: { success: true, data: { stats: {...}, ... } } }
   const stats = overviewData?.data?.data?.stats || {};
+  const baseCurrency = overviewData?.data?.data?.base_currency || 'USD';
   const quickStats = quickStatsData?.data?.data || {};
 
   // Calculate percentage changes (comparing with previous period)
@@ -106,7 +107,7 @@ const Dashboard = () => {
       subtitle: `${stats.unpaid_invoices || 0} unpaid`,
       icon: Receipt,
       color: 'danger',
-      change: stats.total_revenue ? `Revenue: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(stats.total_revenue)}` : null,
+      change: stats.total_revenue ? `Revenue: ${new Intl.NumberFormat('en-US', { style: 'currency', currency: baseCurrency }).format(stats.total_revenue)}` : null,
       changeType: 'positive',
     },
   ];
@@ -156,10 +157,10 @@ const Dashboard = () => {
         {/* Revenue Chart */}
         <div className="card">
           <div className="card-header">
-            <h3 className="text-lg font-medium text-gray-900">Monthly Revenue</h3>
+            <h3 className="text-lg font-medium text-gray-900">Monthly Revenue ({baseCurrency})</h3>
           </div>
           <div className="card-body">
-            <RevenueChart data={overviewData?.data?.data?.monthlyRevenue || []} />
+            <RevenueChart data={overviewData?.data?.data?.monthlyRevenue || []} currency={baseCurrency} />
           </div>
         </div>
       </div>
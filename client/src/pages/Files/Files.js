@@ -13,11 +13,13 @@ import {
   File,
   RefreshCw,
   X,
+  Share2,
 } from 'lucide-react';
 import { filesAPI, clientsAPI, projectsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import FileModal from './FileModal';
 import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+import ShareLinksModal from '../../components/Common/ShareLinksModal';
 
 const Files = () => {
   const queryClient = useQueryClient();
@@ -29,6 +31,7 @@ const Files = () => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingFile, setEditingFile] = useState(null);
   const [deleteFile, setDeleteFile] = useState(null);
+  const [sharingFile, setSharingFile] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
 
@@ -389,6 +392,13 @@ const Files = () => {
                             >
                               <Download className="h-4 w-4" />
                             </button>
+                            <button
+                              onClick={() => setSharingFile(file)}
+                              className="text-green-600 hover:text-green-900"
+                              title="Share link"
+                            >
+                              <Share2 className="h-4 w-4" />
+                            </button>
                             <button
                               onClick={() => handleEdit(file)}
                               className="text-indigo-600 hover:text-indigo-900"
@@ -453,6 +463,15 @@ const Files = () => {
         file={editingFile}
       />
 
+      <ShareLinksModal
+        isOpen={!!sharingFile}
+        onClose={() => setSharingFile(null)}
+        api={filesAPI}
+        resourceId={sharingFile?.id}
+        resourceType="file"
+        resourceName={sharingFile?.original_name}
+      />
+
       <DeleteConfirmModal
         isOpen={!!deleteFile}
         onClose={() => setDeleteFile(null)}
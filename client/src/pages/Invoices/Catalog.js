@@ -0,0 +1,316 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import {
+  Plus,
+  Search,
+  RefreshCw,
+  ArrowLeft,
+  Package,
+  Edit,
+  Trash2,
+  Archive,
+  ArchiveRestore,
+} from 'lucide-react';
+import { catalogAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import CatalogItemModal from './CatalogItemModal';
+import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+
+const formatPrice = (amount) => Number(amount || 0).toFixed(2);
+
+/**
+ * Products and services catalog offered when adding quotation, invoice and recurring invoice lines
+ */
+const Catalog = () => {
+  const queryClient = useQueryClient();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [page, setPage] = useState(1);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [selectedItem, setSelectedItem] = useState(null);
+
+  const { data, isLoading, error, refetch } = useQuery(
+    ['catalog-items', searchTerm, typeFilter, statusFilter, page],
+    () => {
+      const params = { page, limit: 20, status: statusFilter };
+      if (searchTerm) params.search = searchTerm;
+      if (typeFilter) params.item_type = typeFilter;
+      return catalogAPI.getAll(params);
+    },
+    { keepPreviousData: true, refetchOnWindowFocus: false }
+  );
+
+  const items = data?.data?.data?.items || [];
+  const pagination = data?.data?.data?.pagination;
+  const thClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  const archiveMutation = useMutation(
+    (item) => catalogAPI.update(item.id, { ...item, is_active: !item.is_active }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.data.is_active ? 'Catalog item restored' : 'Catalog item archived');
+        queryClient.invalidateQueries('catalog-items');
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.message || 'Failed to update catalog item');
+      },
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => catalogAPI.delete(id),
+    {
+      onSuccess: () => {
+        toast.success('Catalog item deleted successfully');
+        queryClient.invalidateQueries('catalog-items');
+        setIsDeleteModalOpen(false);
+        setSelectedItem(null);
+      },
+      onError: (err) => {
+        // Items used on documents can only be archived (409)
+        toast.error(err.response?.data?.message || 'Failed to delete catalog item');
+        setIsDeleteModalOpen(false);
+      },
+    }
+  );
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-500">{error.response?.data?.message || 'Failed to load catalog'}</p>
+        <button onClick={() => refetch()} className="btn btn-primary mt-4">
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/invoices" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Invoices
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Products &amp; Services</h1>
+          <p className="text-gray-600">Reusable line items with default price, unit and GST details</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={() => refetch()} className="btn btn-outline" disabled={isLoading}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button
+            onClick={() => {
+              setSelectedItem(null);
+              setIsModalOpen(true);
+            }}
+            className="btn btn-primary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Item
+          </button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="form-label">Search</label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => {
+                    setSearchTerm(e.target.value);
+                    setPage(1);
+                  }}
+                  className="form-input pl-10"
+                  placeholder="Search by name, SKU or description..."
+                />
+              </div>
+            </div>
+            <div>
+              <label className="form-label">Type</label>
+              <select
+                value={typeFilter}
+                onChange={(e) => {
+                  setTypeFilter(e.target.value);
+                  setPage(1);
+                }}
+                className="form-select"
+              >
+                <option value="">All Types</option>
+                <option value="service">Services</option>
+                <option value="product">Products</option>
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Status</label>
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(1);
+                }}
+                className="form-select"
+              >
+                <option value="active">Active</option>
+                <option value="archived">Archived</option>
+                <option value="all">All</option>
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="spinner h-8 w-8"></div>
+            </div>
+          ) : items.length === 0 ? (
+            <div className="text-center py-12">
+              <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">No catalog items found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={thClass}>Item</th>
+                    <th className={thClass}>Type</th>
+                    <th className={thClass}>Default Price</th>
+                    <th className={thClass}>HSN/SAC</th>
+                    <th className={thClass}>GST Rate</th>
+                    <th className={thClass}>Status</th>
+                    <th className={thClass}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {items.map((item) => (
+                    <tr key={item.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="text-sm font-medium text-gray-900">{item.name}</div>
+                        <div className="text-sm text-gray-500">
+                          {[item.sku, item.description].filter(Boolean).join(' · ')}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{item.item_type}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatPrice(item.default_price)}
+                        {item.unit && <span className="text-gray-500 font-normal"> / {item.unit}</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{item.hsn_sac || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {item.tax_rate !== null && item.tax_rate !== undefined ? `${parseFloat(item.tax_rate)}%` : 'Document rate'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge badge-${item.is_active ? 'green' : 'gray'}`}>
+                          {item.is_active ? 'Active' : 'Archived'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => {
+                              setSelectedItem(item);
+                              setIsModalOpen(true);
+                            }}
+                            className="btn btn-outline btn-sm"
+                            title="Edit"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => archiveMutation.mutate(item)}
+                            disabled={archiveMutation.isLoading}
+                            className="btn btn-outline btn-sm"
+                            title={item.is_active ? 'Archive' : 'Restore'}
+                          >
+                            {item.is_active ? <Archive className="h-4 w-4" /> : <ArchiveRestore className="h-4 w-4" />}
+                          </button>
+                          <button
+                            onClick={() => {
+                              setSelectedItem(item);
+                              setIsDeleteModalOpen(true);
+                            }}
+                            className="btn btn-outline btn-sm text-red-600"
+                            title="Delete"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between mt-4">
+              <p className="text-sm text-gray-500">
+                Page {pagination.page} of {pagination.totalPages}
+              </p>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setPage((current) => current - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="btn btn-outline btn-sm"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage((current) => current + 1)}
+                  disabled={!pagination.hasNext}
+                  className="btn btn-outline btn-sm"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <CatalogItemModal
+        isOpen={isModalOpen}
+        onClose={() => {
+          setIsModalOpen(false);
+          setSelectedItem(null);
+        }}
+        onSuccess={() => {
+          queryClient.invalidateQueries('catalog-items');
+          setIsModalOpen(false);
+          setSelectedItem(null);
+        }}
+        item={selectedItem}
+      />
+
+      <DeleteConfirmModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => {
+          setIsDeleteModalOpen(false);
+          setSelectedItem(null);
+        }}
+        onConfirm={() => selectedItem && deleteMutation.mutate(selectedItem.id)}
+        title="Delete Catalog Item"
+        message={`Are you sure you want to delete "${selectedItem?.name}"? Items already used on documents can only be archived.`}
+        isLoading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default Catalog;
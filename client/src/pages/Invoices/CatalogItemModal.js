@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { useMutation } from 'react-query';
+import { X, Package } from 'lucide-react';
+import { catalogAPI } from '../../services/api';
+import { GST_RATES } from '../../utils/gst';
+import toast from 'react-hot-toast';
+
+const getDefaultValues = () => ({
+  name: '',
+  item_type: 'service',
+  sku: '',
+  unit: '',
+  default_price: 0,
+  hsn_sac: '',
+  tax_rate: '',
+  description: '',
+  is_active: true,
+});
+
+/**
+ * Create or edit a products and services catalog item
+ */
+const CatalogItemModal = ({ isOpen, onClose, onSuccess, item }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: getDefaultValues() });
+
+  useEffect(() => {
+    if (!isOpen) return;
+    reset(item
+      ? {
+        name: item.name || '',
+        item_type: item.item_type || 'service',
+        sku: item.sku || '',
+        unit: item.unit || '',
+        default_price: item.default_price ?? 0,
+        hsn_sac: item.hsn_sac || '',
+        tax_rate: item.tax_rate ?? '',
+        description: item.description || '',
+        is_active: Boolean(item.is_active),
+      }
+      : getDefaultValues());
+  }, [isOpen, item, reset]);
+
+  const mutation = useMutation(
+    (data) => (item ? catalogAPI.update(item.id, data) : catalogAPI.create(data)),
+    {
+      onSuccess: () => {
+        toast.success(item ? 'Catalog item updated successfully' : 'Catalog item created successfully');
+        onSuccess();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save catalog item');
+      },
+      onSettled: () => {
+        setIsSubmitting(false);
+      },
+    }
+  );
+
+  const onSubmit = (data) => {
+    setIsSubmitting(true);
+    mutation.mutate({
+      ...data,
+      default_price: parseFloat(data.default_price) || 0,
+      sku: data.sku ? data.sku.trim() : null,
+      unit: data.unit ? data.unit.trim() : null,
+      hsn_sac: data.hsn_sac ? String(data.hsn_sac).trim() : null,
+      tax_rate: data.tax_rate === '' || data.tax_rate === null || data.tax_rate === undefined ? null : parseFloat(data.tax_rate),
+      description: data.description || null,
+    });
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+            <Package className="h-5 w-5 mr-2 text-gray-500" />
+            {item ? 'Edit Catalog Item' : 'New Catalog Item'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label className="form-label">Name *</label>
+              <input
+                {...register('name', {
+                  required: 'Name is required',
+                  maxLength: { value: 200, message: 'Name must be at most 200 characters' }
+                })}
+                className={`form-input ${errors.name ? 'border-red-500' : ''}`}
+                placeholder="e.g., Website Development"
+              />
+              {errors.name && (
+                <p className="text-red-500 text-sm mt-1">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Type</label>
+              <select {...register('item_type')} className="form-select">
+                <option value="service">Service</option>
+                <option value="product">Product</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="form-label">SKU</label>
+              <input
+                {...register('sku', { maxLength: { value: 64, message: 'SKU must be at most 64 characters' } })}
+                className={`form-input ${errors.sku ? 'border-red-500' : ''}`}
+                placeholder="e.g., WEB-DEV"
+              />
+              {errors.sku && (
+                <p className="text-red-500 text-sm mt-1">{errors.sku.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Default Price *</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                {...register('default_price', {
+                  required: 'Default price is required',
+                  min: { value: 0, message: 'Default price must be positive' }
+                })}
+                className={`form-input ${errors.default_price ? 'border-red-500' : ''}`}
+              />
+              {errors.default_price && (
+                <p className="text-red-500 text-sm mt-1">{errors.default_price.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Unit</label>
+              <input
+                {...register('unit', { maxLength: { value: 30, message: 'Unit must be at most 30 characters' } })}
+                className={`form-input ${errors.unit ? 'border-red-500' : ''}`}
+                placeholder="e.g., hour, piece, month"
+              />
+              {errors.unit && (
+                <p className="text-red-500 text-sm mt-1">{errors.unit.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">HSN/SAC</label>
+              <input
+                {...register('hsn_sac', {
+                  pattern: { value: /^[0-9]{4,8}$/, message: 'HSN/SAC code must be 4 to 8 digits' }
+                })}
+                className={`form-input ${errors.hsn_sac ? 'border-red-500' : ''}`}
+                placeholder="e.g., 998314"
+              />
+              {errors.hsn_sac && (
+                <p className="text-red-500 text-sm mt-1">{errors.hsn_sac.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">GST Rate (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max="100"
+                list="catalog-gst-rates"
+                {...register('tax_rate')}
+                className="form-input"
+                placeholder="Document rate"
+              />
+              <datalist id="catalog-gst-rates">
+                {GST_RATES.map((rate) => (
+                  <option key={rate} value={rate} />
+                ))}
+              </datalist>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="form-label">Description</label>
+              <textarea
+                {...register('description')}
+                className="form-input"
+                rows={3}
+                placeholder="Copied onto the line when the item is picked"
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="flex items-center space-x-2">
+                <input type="checkbox" {...register('is_active')} className="rounded border-gray-300" />
+                <span className="text-sm text-gray-700">Active (offered when adding line items)</span>
+              </label>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-outline"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="btn btn-primary"
+            >
+              {isSubmitting ? 'Saving...' : item ? 'Update Item' : 'Create Item'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CatalogItemModal;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { ArrowLeft, Download, XCircle, FileText } from 'lucide-react';
+import { creditNotesAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import GstTaxSummary from '../../components/Common/GstTaxSummary';
+import { downloadCreditNotePdf } from './CreditNotes';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+};
+
+const CreditNoteDetail = () => {
+  const { id } = useParams();
+  const queryClient = useQueryClient();
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const { data, isLoading, error } = useQuery(['credit-note', id], () => creditNotesAPI.getById(id), {
+    enabled: !!id,
+  });
+  const creditNote = data?.data?.data;
+
+  const cancelMutation = useMutation(
+    () => creditNotesAPI.cancel(id),
+    {
+      onSuccess: () => {
+        toast.success('Credit note cancelled successfully');
+        queryClient.invalidateQueries(['credit-note', id]);
+        queryClient.invalidateQueries(['credit-notes']);
+        queryClient.invalidateQueries(['invoice', String(creditNote?.invoice_id)]);
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.message || 'Failed to cancel credit note');
+      },
+    }
+  );
+
+  const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: creditNote?.currency || 'USD',
+  }).format(amount || 0);
+
+  const handleCancel = () => {
+    if (window.confirm(`Cancel credit note "${creditNote.credit_note_number}"? Its amount will be owed on invoice ${creditNote.invoice_number} again.`)) {
+      cancelMutation.mutate();
+    }
+  };
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    await downloadCreditNotePdf(creditNote);
+    setIsDownloading(false);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner h-8 w-8"></div>
+      </div>
+    );
+  }
+
+  if (error || !creditNote) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">{error?.response?.data?.message || 'Credit note not found'}</p>
+        <Link to="/invoices/credit-notes" className="btn btn-primary mt-4">
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Credit Notes
+        </Link>
+      </div>
+    );
+  }
+
+  const isIssued = creditNote.status === 'issued';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/invoices/credit-notes" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Credit Notes
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">{creditNote.credit_note_number}</h1>
+          <p className="text-gray-600">
+            Against invoice{' '}
+            <Link to={`/invoices/${creditNote.invoice_id}`} className="text-primary-600 hover:text-primary-800">
+              {creditNote.invoice_number}
+            </Link>
+            {' '}• {creditNote.client_name} {creditNote.client_company && `• ${creditNote.client_company}`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <button onClick={handleDownload} className="btn btn-primary" disabled={isDownloading}>
+            <Download className={`h-4 w-4 mr-2 ${isDownloading ? 'animate-spin' : ''}`} />
+            {isDownloading ? 'Downloading...' : 'Download PDF'}
+          </button>
+          {isIssued && (
+            <button onClick={handleCancel} className="btn btn-outline text-red-600" disabled={cancelMutation.isLoading}>
+              <XCircle className="h-4 w-4 mr-2" />
+              Cancel Credit Note
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Credit Note Information</h3>
+          </div>
+          <div className="card-body space-y-4">
+            <div>
+              <label className="text-sm font-medium text-gray-500">Status</label>
+              <div className="mt-1">
+                <span className={`badge badge-${isIssued ? 'blue' : 'gray'}`}>{isIssued ? 'Issued' : 'Cancelled'}</span>
+              </div>
+              {!isIssued && creditNote.cancelled_at && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Cancelled {formatDate(creditNote.cancelled_at)}{creditNote.cancelled_by_name && ` by ${creditNote.cancelled_by_name}`}
+                </p>
+              )}
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-500">Credit Date</label>
+              <p className="text-gray-900">{formatDate(creditNote.credit_date)}</p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-500">Reason</label>
+              <p className="text-gray-900">{creditNote.reason || 'N/A'}</p>
+            </div>
+            {creditNote.created_by_name && (
+              <div>
+                <label className="text-sm font-medium text-gray-500">Issued By</label>
+                <p className="text-gray-900">{creditNote.created_by_name}</p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Amounts</h3>
+          </div>
+          <div className="card-body space-y-4">
+            <div>
+              <label className="text-sm font-medium text-gray-500">Subtotal</label>
+              <p className="text-gray-900 font-medium text-lg">{formatCurrency(creditNote.subtotal)}</p>
+            </div>
+            <div>
+              <label className="text-sm font-medium text-gray-500">Tax</label>
+              <p className="text-gray-900 font-medium">{formatCurrency(creditNote.tax_amount)}</p>
+            </div>
+            <div className="border-t pt-4">
+              <label className="text-sm font-medium text-gray-500">Total Credited</label>
+              <p className={`font-bold text-xl ${isIssued ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                {formatCurrency(creditNote.total_amount)}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Credited Items</h3>
+        </div>
+        <div className="card-body">
+          {creditNote.items?.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Unit Price</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {creditNote.items.map((item) => (
+                    <tr key={item.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="text-sm font-medium text-gray-900">{item.item_name}</div>
+                        {item.description && <div className="text-xs text-gray-500">{item.description}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{item.quantity}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-900">{formatCurrency(item.unit_price)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-gray-900">{formatCurrency(item.total_price)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-8">
+              <FileText className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">No items found</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <GstTaxSummary document={creditNote} formatCurrency={formatCurrency} />
+
+      {creditNote.notes && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Notes</h3>
+          </div>
+          <div className="card-body">
+            <p className="text-gray-700 whitespace-pre-wrap">{creditNote.notes}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CreditNoteDetail;
@@ -0,0 +1,308 @@
+import React, { useEffect, useState } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { useMutation } from 'react-query';
+import { X, Plus, Trash2, FileMinus } from 'lucide-react';
+import { creditNotesAPI } from '../../services/api';
+import { calculateGstTotals, calculateLineAmount } from '../../utils/gst';
+import toast from 'react-hot-toast';
+
+const emptyItem = {
+  invoice_item_id: null, item_name: '', description: '', quantity: 1, unit: '', unit_price: 0, discount_type: '',
+  discount_value: '', hsn_sac: '', tax_rate: ''
+};
+
+// The invoice's document discount as a percentage of its subtotal; the server credits every line less this share
+const getDocumentDiscountPercent = (invoice) => {
+  const subtotal = parseFloat(invoice?.subtotal) || 0;
+  const discount = parseFloat(invoice?.discount_amount) || 0;
+  if (subtotal <= 0 || discount <= 0) return 0;
+  return invoice.discount_type === 'percentage' ? parseFloat(invoice.discount_value) : (discount * 100) / subtotal;
+};
+
+// Credit lines start as a copy of the invoice lines, with their discounts; remove or reduce the ones that are not credited
+const itemsFromInvoice = (invoice) => (invoice?.items?.length > 0
+  ? invoice.items.map((item) => ({
+    invoice_item_id: item.id,
+    item_name: item.item_name,
+    description: item.description || '',
+    quantity: Number(item.quantity),
+    unit: item.unit || '',
+    unit_price: item.unit_price,
+    discount_type: item.discount_type || '',
+    discount_value: item.discount_type ? item.discount_value : '',
+    hsn_sac: item.hsn_sac || '',
+    tax_rate: item.tax_rate ?? '',
+  }))
+  : [emptyItem]);
+
+const CreditNoteModal = ({ isOpen, onClose, onSuccess, invoice }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    watch,
+    reset,
+    formState: { errors },
+  } = useForm({
+    defaultValues: {
+      credit_date: new Date().toISOString().split('T')[0],
+      reason: '',
+      notes: '',
+      items: itemsFromInvoice(invoice),
+    }
+  });
+
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: 'items'
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset({
+        credit_date: new Date().toISOString().split('T')[0],
+        reason: '',
+        notes: '',
+        items: itemsFromInvoice(invoice),
+      });
+    }
+  }, [isOpen, invoice, reset]);
+
+  const watchedItems = watch('items');
+  const discountPercent = getDocumentDiscountPercent(invoice);
+  const totals = calculateGstTotals(watchedItems, invoice?.tax_rate, null, {
+    type: discountPercent > 0 ? 'percentage' : null,
+    value: discountPercent,
+  });
+  const taxableValue = totals.subtotal - totals.discountAmount;
+
+  const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: invoice?.currency || 'USD',
+  }).format(amount || 0);
+
+  const creditable = Math.max(0, (parseFloat(invoice?.total_amount) || 0) - (parseFloat(invoice?.credited_amount) || 0));
+
+  const mutation = useMutation(
+    (data) => creditNotesAPI.create(data),
+    {
+      onSuccess: (response) => {
+        toast.success(response?.data?.message || 'Credit note issued successfully');
+        onSuccess(response?.data?.data);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to issue credit note');
+      },
+      onSettled: () => {
+        setIsSubmitting(false);
+      },
+    }
+  );
+
+  const onSubmit = (data) => {
+    setIsSubmitting(true);
+    mutation.mutate({
+      invoice_id: invoice.id,
+      credit_date: data.credit_date,
+      reason: data.reason || null,
+      notes: data.notes || null,
+      items: data.items.map((item) => ({
+        invoice_item_id: item.invoice_item_id || null,
+        item_name: item.item_name,
+        description: item.description || null,
+        quantity: parseFloat(item.quantity),
+        unit: item.unit || null,
+        unit_price: parseFloat(item.unit_price),
+        discount_type: item.discount_type || null,
+        discount_value: item.discount_type ? parseFloat(item.discount_value) || 0 : 0,
+        hsn_sac: item.hsn_sac || null,
+        tax_rate: item.tax_rate === '' || item.tax_rate == null ? null : parseFloat(item.tax_rate),
+      })),
+    });
+  };
+
+  if (!isOpen || !invoice) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b flex-shrink-0">
+          <h2 className="text-xl font-semibold text-gray-900">
+            Issue Credit Note – {invoice.invoice_number}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 overflow-y-auto flex-1 space-y-6">
+          <div className="bg-gray-50 rounded-lg p-4 text-sm text-gray-600">
+            Lines are discounted and taxed like the invoice{invoice.supply_type ? ' (same GST supply type)' : ''}, and
+            a line cannot credit more than is left of the invoice line. The credit note total cannot exceed {formatCurrency(creditable)} not yet credited on this invoice.
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Credit Date *</label>
+              <input
+                type="date"
+                {...register('credit_date', { required: 'Credit date is required' })}
+                className={`form-input ${errors.credit_date ? 'border-red-500' : ''}`}
+              />
+              {errors.credit_date && (
+                <p className="text-red-500 text-sm mt-1">{errors.credit_date.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="form-label">Reason</label>
+              <input
+                type="text"
+                {...register('reason', { maxLength: { value: 255, message: 'Reason must be at most 255 characters' } })}
+                className={`form-input ${errors.reason ? 'border-red-500' : ''}`}
+                placeholder="e.g. Returned goods, pricing correction"
+              />
+              {errors.reason && (
+                <p className="text-red-500 text-sm mt-1">{errors.reason.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Credited Items</h3>
+              <button
+                type="button"
+                onClick={() => append(emptyItem)}
+                className="btn btn-outline btn-sm"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Item
+              </button>
+            </div>
+            <div className="space-y-3">
+              {fields.map((field, index) => (
+                <div key={field.id} className="grid grid-cols-12 gap-3 items-start border border-gray-200 rounded-lg p-3">
+                  <div className="col-span-12 md:col-span-5">
+                    <label className="form-label">Item *</label>
+                    <input
+                      type="text"
+                      {...register(`items.${index}.item_name`, { required: 'Item name is required' })}
+                      className={`form-input ${errors.items?.[index]?.item_name ? 'border-red-500' : ''}`}
+                    />
+                    {errors.items?.[index]?.item_name && (
+                      <p className="text-red-500 text-sm mt-1">{errors.items[index].item_name.message}</p>
+                    )}
+                  </div>
+                  <div className="col-span-4 md:col-span-2">
+                    <label className="form-label">Quantity *</label>
+                    <input
+                      type="number"
+                      min="0.001"
+                      step="0.001"
+                      {...register(`items.${index}.quantity`, {
+                        required: 'Quantity is required',
+                        min: { value: 0.001, message: 'Quantity must be greater than 0' }
+                      })}
+                      className={`form-input ${errors.items?.[index]?.quantity ? 'border-red-500' : ''}`}
+                    />
+                  </div>
+                  <div className="col-span-4 md:col-span-2">
+                    <label className="form-label">Unit Price *</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      {...register(`items.${index}.unit_price`, {
+                        required: 'Unit price is required',
+                        min: { value: 0, message: 'Unit price must be positive' }
+                      })}
+                      className={`form-input ${errors.items?.[index]?.unit_price ? 'border-red-500' : ''}`}
+                    />
+                  </div>
+                  <div className="col-span-3 md:col-span-2 text-right pt-8 text-sm font-medium text-gray-900">
+                    {formatCurrency(calculateLineAmount(watchedItems?.[index] || {}))}
+                    {watchedItems?.[index]?.discount_type && parseFloat(watchedItems[index].discount_value) > 0 && (
+                      <p className="text-xs font-normal text-gray-500">
+                        less {watchedItems[index].discount_type === 'percentage'
+                          ? `${watchedItems[index].discount_value}%`
+                          : formatCurrency(watchedItems[index].discount_value)}
+                      </p>
+                    )}
+                    <input type="hidden" {...register(`items.${index}.discount_type`)} />
+                    <input type="hidden" {...register(`items.${index}.discount_value`)} />
+                  </div>
+                  <div className="col-span-1 pt-7 text-right">
+                    {fields.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => remove(index)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Remove line"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+            {totals.discountAmount > 0 && (
+              <p className="text-right text-sm text-gray-600 mt-3">
+                Invoice discount ({Math.round(discountPercent * 100) / 100}%):{' '}
+                <span className="font-medium text-gray-900">-{formatCurrency(totals.discountAmount)}</span>
+              </p>
+            )}
+            <p className="text-right text-sm text-gray-600 mt-3">
+              Credited before tax: <span className="font-medium text-gray-900">{formatCurrency(taxableValue)}</span>
+            </p>
+          </div>
+
+          <div>
+            <label className="form-label">Notes</label>
+            <textarea
+              {...register('notes')}
+              className="form-textarea"
+              rows="3"
+              placeholder="Shown on the credit note PDF"
+            />
+          </div>
+
+          <div className="flex items-center justify-end space-x-3 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-outline"
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSubmitting || taxableValue <= 0}
+            >
+              {isSubmitting ? (
+                <>
+                  <div className="spinner h-4 w-4 mr-2"></div>
+                  Issuing...
+                </>
+              ) : (
+                <>
+                  <FileMinus className="h-4 w-4 mr-2" />
+                  Issue Credit Note
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreditNoteModal;
@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  Search,
+  RefreshCw,
+  Calendar,
+  Building,
+  ArrowLeft,
+  FileMinus,
+  Download,
+} from 'lucide-react';
+import { creditNotesAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  // Date-only strings are calendar dates; parse them as local dates so they don't shift a day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatCurrency = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+  }).format(amount || 0);
+};
+
+export const downloadCreditNotePdf = async (creditNote) => {
+  try {
+    const response = await creditNotesAPI.download(creditNote.id);
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `CreditNote-${creditNote.credit_note_number}.pdf`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    toast.error('Failed to download credit note');
+  }
+};
+
+/**
+ * Credit notes issued against invoices (they are issued from the invoice page)
+ */
+const CreditNotes = () => {
+  const navigate = useNavigate();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, error, refetch } = useQuery(
+    ['credit-notes', searchTerm, statusFilter, page],
+    () => {
+      const params = { page, limit: 20 };
+      if (searchTerm) params.search = searchTerm;
+      if (statusFilter) params.status = statusFilter;
+      return creditNotesAPI.getAll(params);
+    },
+    { keepPreviousData: true, refetchOnWindowFocus: false }
+  );
+
+  const creditNotes = data?.data?.data?.credit_notes || [];
+  const pagination = data?.data?.data?.pagination;
+  const thClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-500">{error.response?.data?.message || 'Failed to load credit notes'}</p>
+        <button onClick={() => refetch()} className="btn btn-primary mt-4">
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/invoices" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Invoices
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Credit Notes</h1>
+          <p className="text-gray-600">Corrections issued against invoices; issue one from the invoice page</p>
+        </div>
+        <button onClick={() => refetch()} className="btn btn-outline" disabled={isLoading}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Search</label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => {
+                    setSearchTerm(e.target.value);
+                    setPage(1);
+                  }}
+                  className="form-input pl-10"
+                  placeholder="Search by number, invoice or client..."
+                />
+              </div>
+            </div>
+            <div>
+              <label className="form-label">Status</label>
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(1);
+                }}
+                className="form-select"
+              >
+                <option value="">All Statuses</option>
+                <option value="issued">Issued</option>
+                <option value="cancelled">Cancelled</option>
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="spinner h-8 w-8"></div>
+            </div>
+          ) : creditNotes.length === 0 ? (
+            <div className="text-center py-12">
+              <FileMinus className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">No credit notes found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={thClass}>Credit Note</th>
+                    <th className={thClass}>Invoice</th>
+                    <th className={thClass}>Client</th>
+                    <th className={thClass}>Date</th>
+                    <th className={thClass}>Amount</th>
+                    <th className={thClass}>Status</th>
+                    <th className={thClass}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {creditNotes.map((creditNote) => (
+                    <tr
+                      key={creditNote.id}
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => navigate(`/invoices/credit-notes/${creditNote.id}`)}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{creditNote.credit_note_number}</div>
+                        {creditNote.reason && (
+                          <div className="text-sm text-gray-500">{creditNote.reason}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Link
+                          to={`/invoices/${creditNote.invoice_id}`}
+                          onClick={(e) => e.stopPropagation()}
+                          className="text-sm text-primary-600 hover:text-primary-800"
+                        >
+                          {creditNote.invoice_number}
+                        </Link>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <Building className="h-4 w-4 text-gray-400 mr-2" />
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{creditNote.client_name}</div>
+                            {creditNote.client_company && (
+                              <div className="text-sm text-gray-500">{creditNote.client_company}</div>
+                            )}
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <Calendar className="h-4 w-4 text-gray-400 mr-2" />
+                          <span className="text-sm text-gray-900">{formatDate(creditNote.credit_date)}</span>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatCurrency(creditNote.total_amount, creditNote.currency)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge badge-${creditNote.status === 'issued' ? 'blue' : 'gray'}`}>
+                          {creditNote.status === 'issued' ? 'Issued' : 'Cancelled'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            downloadCreditNotePdf(creditNote);
+                          }}
+                          className="btn btn-outline btn-sm"
+                          title="Download PDF"
+                        >
+                          <Download className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between mt-4">
+              <p className="text-sm text-gray-500">
+                Page {pagination.page} of {pagination.totalPages}
+              </p>
+              <div className="space-x-2">
+                <button
+                  onClick={() => setPage((current) => current - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="btn btn-outline btn-sm"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage((current) => current + 1)}
+                  disabled={!pagination.hasNext}
+                  className="btn btn-outline btn-sm"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CreditNotes;
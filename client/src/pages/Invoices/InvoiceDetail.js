@@ -19,12 +19,21 @@ import {
   XCircle,
   Clock,
   AlertCircle,
+  Send,
+  Link2,
+  FileMinus,
+  RotateCcw,
 } from 'lucide-react';
 import { invoicesAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import InvoiceModal from './InvoiceModal';
 import PaymentModal from './PaymentModal';
+import CreditNoteModal from './CreditNoteModal';
+import RefundModal from './RefundModal';
 import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+import GstTaxSummary from '../../components/Common/GstTaxSummary';
+import { formatQuantity } from '../../utils/gst';
+import SendDocumentModal from '../../components/Common/SendDocumentModal';
 
 const InvoiceDetail = () => {
   const { id } = useParams();
@@ -34,6 +43,9 @@ const InvoiceDetail = () => {
   const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [isDownloading, setIsDownloading] = useState(false);
+  const [isSendModalOpen, setIsSendModalOpen] = useState(false);
+  const [isCreditNoteModalOpen, setIsCreditNoteModalOpen] = useState(false);
+  const [refundPayment, setRefundPayment] = useState(null);
 
   // Fetch invoice data
   const {
@@ -86,6 +98,17 @@ const InvoiceDetail = () => {
     }
   };
 
+  // Copy the client's online pay link (the one in invoice emails and the PDF)
+  const handleCopyPayLink = async () => {
+    try {
+      const response = await invoicesAPI.getPaymentLink(id);
+      await navigator.clipboard.writeText(response.data.data.url);
+      toast.success('Pay link copied to clipboard');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to get pay link');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'draft':
@@ -182,7 +205,10 @@ const InvoiceDetail = () => {
     );
   }
 
-  const outstandingAmount = Math.max(0, (parseFloat(invoice.total_amount) || 0) - (parseFloat(invoice.paid_amount) || 0));
+  const creditedAmount = parseFloat(invoice.credited_amount) || 0;
+  const outstandingAmount = Math.max(0, (parseFloat(invoice.total_amount) || 0) - (parseFloat(invoice.paid_amount) || 0) - creditedAmount);
+  const canCredit = ['sent', 'partial', 'overdue', 'paid'].includes(invoice.status)
+    && creditedAmount < (parseFloat(invoice.total_amount) || 0);
   const overdue = isOverdue(invoice.due_date, invoice.status);
 
   return (
@@ -212,6 +238,25 @@ const InvoiceDetail = () => {
             <Download className={`h-4 w-4 mr-2 ${isDownloading ? 'animate-spin' : ''}`} />
             {isDownloading ? 'Downloading...' : 'Download PDF'}
           </button>
+          {invoice.status !== 'cancelled' && (
+            <button
+              onClick={() => setIsSendModalOpen(true)}
+              className="btn btn-outline"
+            >
+              <Send className="h-4 w-4 mr-2" />
+              Send
+            </button>
+          )}
+          {['sent', 'partial', 'overdue'].includes(invoice.status) && (
+            <button
+              onClick={handleCopyPayLink}
+              className="btn btn-outline"
+              title="Copy the link the client can pay this invoice online with"
+            >
+              <Link2 className="h-4 w-4 mr-2" />
+              Pay Link
+            </button>
+          )}
           {invoice.status !== 'paid' && invoice.status !== 'cancelled' && (
             <button
               onClick={() => setIsPaymentModalOpen(true)}
@@ -221,6 +266,15 @@ const InvoiceDetail = () => {
               Record Payment
             </button>
           )}
+          {canCredit && (
+            <button
+              onClick={() => setIsCreditNoteModalOpen(true)}
+              className="btn btn-outline"
+            >
+              <FileMinus className="h-4 w-4 mr-2" />
+              Credit Note
+            </button>
+          )}
           <button
             onClick={() => setIsEditModalOpen(true)}
             className="btn btn-outline"
@@ -305,12 +359,40 @@ const InvoiceDetail = () => {
                 {formatCurrency(invoice.subtotal, invoice.currency)}
               </p>
             </div>
-            <div>
-              <label className="text-sm font-medium text-gray-500">Tax ({invoice.tax_rate || 0}%)</label>
-              <p className="text-gray-900 font-medium">
-                {formatCurrency(invoice.tax_amount, invoice.currency)}
-              </p>
-            </div>
+            {parseFloat(invoice.discount_amount) > 0 && (
+              <div>
+                <label className="text-sm font-medium text-gray-500">
+                  Discount{invoice.discount_type === 'percentage' ? ` (${Number(invoice.discount_value)}%)` : ''}
+                </label>
+                <p className="text-gray-900 font-medium">
+                  -{formatCurrency(invoice.discount_amount, invoice.currency)}
+                </p>
+              </div>
+            )}
+            {invoice.supply_type === 'intra_state' ? (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="text-sm font-medium text-gray-500">CGST</label>
+                  <p className="text-gray-900 font-medium">{formatCurrency(invoice.cgst_amount, invoice.currency)}</p>
+                </div>
+                <div>
+                  <label className="text-sm font-medium text-gray-500">SGST</label>
+                  <p className="text-gray-900 font-medium">{formatCurrency(invoice.sgst_amount, invoice.currency)}</p>
+                </div>
+              </div>
+            ) : invoice.supply_type === 'inter_state' ? (
+              <div>
+                <label className="text-sm font-medium text-gray-500">IGST</label>
+                <p className="text-gray-900 font-medium">{formatCurrency(invoice.igst_amount, invoice.currency)}</p>
+              </div>
+            ) : (
+              <div>
+                <label className="text-sm font-medium text-gray-500">Tax ({invoice.tax_rate || 0}%)</label>
+                <p className="text-gray-900 font-medium">
+                  {formatCurrency(invoice.tax_amount, invoice.currency)}
+                </p>
+              </div>
+            )}
             <div className="border-t pt-4">
               <label className="text-sm font-medium text-gray-500">Total Amount</label>
               <p className="text-gray-900 font-bold text-xl">
@@ -323,6 +405,14 @@ const InvoiceDetail = () => {
                 {formatCurrency(invoice.paid_amount, invoice.currency)}
               </p>
             </div>
+            {creditedAmount > 0 && (
+              <div>
+                <label className="text-sm font-medium text-gray-500">Credited Amount</label>
+                <p className="text-gray-900 font-medium">
+                  {formatCurrency(creditedAmount, invoice.currency)}
+                </p>
+              </div>
+            )}
             <div className="border-t pt-4">
               <label className="text-sm font-medium text-gray-500">Outstanding Amount</label>
               <p className={`font-bold text-lg ${outstandingAmount > 0 ? 'text-red-600' : 'text-green-600'}`}>
@@ -332,6 +422,9 @@ const InvoiceDetail = () => {
             <div>
               <label className="text-sm font-medium text-gray-500">Currency</label>
               <p className="text-gray-900">{invoice.currency || 'USD'}</p>
+              {invoice.exchange_rate && Number(invoice.exchange_rate) !== 1 && (
+                <p className="text-xs text-gray-500">Exchange rate: {Number(invoice.exchange_rate)} (base currency per 1 {invoice.currency})</p>
+              )}
             </div>
           </div>
         </div>
@@ -382,6 +475,18 @@ const InvoiceDetail = () => {
                 </div>
               </div>
             )}
+            {invoice.client_gst_number && (
+              <div>
+                <label className="text-sm font-medium text-gray-500">GSTIN</label>
+                <p className="text-gray-900 font-mono">{invoice.client_gst_number}</p>
+              </div>
+            )}
+            {invoice.place_of_supply_name && (
+              <div>
+                <label className="text-sm font-medium text-gray-500">Place of Supply</label>
+                <p className="text-gray-900">{invoice.place_of_supply_name}</p>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -419,12 +524,19 @@ const InvoiceDetail = () => {
                     <tr key={item.id || index} className="hover:bg-gray-50">
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm font-medium text-gray-900">{item.item_name}</div>
+                        {(item.hsn_sac || (invoice.supply_type && item.tax_rate != null)) && (
+                          <div className="text-xs text-gray-500">
+                            {item.hsn_sac && `HSN/SAC ${item.hsn_sac}`}
+                            {item.hsn_sac && invoice.supply_type && item.tax_rate != null && ' · '}
+                            {invoice.supply_type && item.tax_rate != null && `GST ${Number(item.tax_rate)}%`}
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4">
                         <div className="text-sm text-gray-500">{item.description || 'N/A'}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right">
-                        <div className="text-sm text-gray-900">{item.quantity}</div>
+                        <div className="text-sm text-gray-900">{formatQuantity(item.quantity, item.unit)}</div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right">
                         <div className="text-sm text-gray-900">
@@ -435,6 +547,13 @@ const InvoiceDetail = () => {
                         <div className="text-sm font-medium text-gray-900">
                           {formatCurrency(item.total_price, invoice.currency)}
                         </div>
+                        {parseFloat(item.discount_amount) > 0 && (
+                          <div className="text-xs text-gray-500">
+                            after {item.discount_type === 'percentage'
+                              ? `${Number(item.discount_value)}%`
+                              : formatCurrency(item.discount_amount, invoice.currency)} off
+                          </div>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -450,6 +569,8 @@ const InvoiceDetail = () => {
         </div>
       </div>
 
+      <GstTaxSummary document={invoice} formatCurrency={formatCurrency} />
+
       {/* Payment History */}
       {invoice.payments && invoice.payments.length > 0 && (
         <div className="card">
@@ -476,6 +597,7 @@ const InvoiceDetail = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Notes
                     </th>
+                    <th className="px-6 py-3"></th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -488,12 +610,24 @@ const InvoiceDetail = () => {
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="text-sm text-gray-900">{payment.payment_method}</div>
+                        <div className="text-sm text-gray-900">
+                          {payment.payment_method}
+                          {payment.gateway && (
+                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">
+                              Online
+                            </span>
+                          )}
+                        </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-right">
                         <div className="text-sm font-medium text-green-600">
                           {formatCurrency(payment.amount, invoice.currency)}
                         </div>
+                        {parseFloat(payment.refunded_amount) > 0 && (
+                          <div className="text-xs text-orange-600">
+                            {formatCurrency(payment.refunded_amount, invoice.currency)} refunded
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-500">{payment.reference_number || 'N/A'}</div>
@@ -501,6 +635,128 @@ const InvoiceDetail = () => {
                       <td className="px-6 py-4">
                         <div className="text-sm text-gray-500">{payment.notes || 'N/A'}</div>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {(parseFloat(payment.amount) || 0) - (parseFloat(payment.refunded_amount) || 0) > 0 && (
+                          <button
+                            onClick={() => setRefundPayment(payment)}
+                            className="btn btn-outline btn-sm"
+                          >
+                            <RotateCcw className="h-4 w-4 mr-1" />
+                            Refund
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Credit Notes */}
+      {invoice.credit_notes && invoice.credit_notes.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Credit Notes</h3>
+          </div>
+          <div className="card-body">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Credit Note
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Date
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reason
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Amount
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {invoice.credit_notes.map((creditNote) => (
+                    <tr
+                      key={creditNote.id}
+                      className="hover:bg-gray-50 cursor-pointer"
+                      onClick={() => navigate(`/invoices/credit-notes/${creditNote.id}`)}
+                    >
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-primary-600">
+                        {creditNote.credit_note_number}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatDate(creditNote.credit_date)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500">{creditNote.reason || 'N/A'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge ${creditNote.status === 'issued' ? 'badge-blue' : 'badge-gray'}`}>
+                          {getStatusText(creditNote.status)}
+                        </span>
+                      </td>
+                      <td className={`px-6 py-4 whitespace-nowrap text-right text-sm font-medium ${creditNote.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                        {formatCurrency(creditNote.total_amount, invoice.currency)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Refunds */}
+      {invoice.refunds && invoice.refunds.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Refunds</h3>
+          </div>
+          <div className="card-body">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Refund Date
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Refund Method
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Amount
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reference Number
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Reason
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {invoice.refunds.map((refund) => (
+                    <tr key={refund.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(refund.refund_date)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{refund.refund_method}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium text-orange-600">
+                        {formatCurrency(refund.amount, invoice.currency)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{refund.reference_number || 'N/A'}</td>
+                      <td className="px-6 py-4 text-sm text-gray-500">
+                        {refund.reason || 'N/A'}
+                        {refund.credit_note_number && (
+                          <span className="block text-xs">Pays out {refund.credit_note_number}</span>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -549,6 +805,43 @@ const InvoiceDetail = () => {
         invoice={invoice}
       />
 
+      <CreditNoteModal
+        isOpen={isCreditNoteModalOpen}
+        onClose={() => setIsCreditNoteModalOpen(false)}
+        onSuccess={() => {
+          queryClient.invalidateQueries(['invoice', id]);
+          queryClient.invalidateQueries(['invoices']);
+          queryClient.invalidateQueries(['credit-notes']);
+          setIsCreditNoteModalOpen(false);
+        }}
+        invoice={invoice}
+      />
+
+      <RefundModal
+        isOpen={Boolean(refundPayment)}
+        onClose={() => setRefundPayment(null)}
+        onSuccess={() => {
+          queryClient.invalidateQueries(['invoice', id]);
+          queryClient.invalidateQueries(['invoices']);
+          setRefundPayment(null);
+        }}
+        invoice={invoice}
+        payment={refundPayment}
+      />
+
+      <SendDocumentModal
+        isOpen={isSendModalOpen}
+        onClose={() => setIsSendModalOpen(false)}
+        api={invoicesAPI}
+        documentId={id}
+        documentType="invoice"
+        documentNumber={invoice.invoice_number}
+        onSent={() => {
+          queryClient.invalidateQueries(['invoice', id]);
+          queryClient.invalidateQueries(['invoices']);
+        }}
+      />
+
       <DeleteConfirmModal
         isOpen={isDeleteModalOpen}
         onClose={() => {
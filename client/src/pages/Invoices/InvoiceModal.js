@@ -1,9 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useForm, useFieldArray } from 'react-hook-form';
 import { useQuery, useMutation } from 'react-query';
-import { X, Plus, Trash2, Calculator } from 'lucide-react';
-import { invoicesAPI, clientsAPI, projectsAPI, quotationsAPI } from '../../services/api';
+import { X, Plus, Trash2, Calculator, Receipt } from 'lucide-react';
+import {
+  invoicesAPI, clientsAPI, projectsAPI, quotationsAPI, settingsAPI, catalogAPI, expensesAPI
+} from '../../services/api';
+import {
+  GST_RATES, calculateGstTotals, calculateLineAmount, getClientPlaceOfSupply
+} from '../../utils/gst';
 import toast from 'react-hot-toast';
+import CatalogItemInput from '../../components/Common/CatalogItemInput';
+
+const emptyItem = {
+  catalog_item_id: '', item_name: '', description: '', hsn_sac: '', tax_rate: '', quantity: 1, unit: '', unit_price: 0,
+  discount_type: '', discount_value: '', total_price: 0, expense_id: ''
+};
 
 const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -27,9 +38,23 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
     { enabled: isOpen }
   );
 
+  // Workspace GST registration (no GST fields when the workspace has no GST state)
+  const { data: gstData } = useQuery('workspace-gst', settingsAPI.getWorkspaceGst, { enabled: isOpen, retry: false });
+
+  // Active catalog items for the item name suggestions
+  const { data: catalogData } = useQuery(
+    ['catalog-items', 'active'],
+    () => catalogAPI.getAll({ status: 'active', limit: 1000 }),
+    { enabled: isOpen, retry: false }
+  );
+  const catalogItems = catalogData?.data?.data?.items || [];
+
   const clients = clientsData?.data?.data?.clients || [];
   const projects = projectsData?.data?.data?.projects || [];
   const quotations = quotationsData?.data?.data?.quotations || [];
+  const gstSettings = gstData?.data?.data;
+  const gstStateCode = gstSettings?.gst_state_code || '';
+  const gstStates = gstSettings?.states || [];
 
   const {
     register,
@@ -50,11 +75,14 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
       status: 'draft',
       subtotal: 0,
       tax_rate: 0,
+      discount_type: '',
+      discount_value: '',
       tax_amount: 0,
       total_amount: 0,
       currency: 'USD',
+      place_of_supply: '',
       notes: '',
-      items: [{ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 }]
+      items: [emptyItem]
     }
   });
 
@@ -66,28 +94,71 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
   // Watch values for calculations
   const watchedItems = watch('items');
   const watchedTaxRate = watch('tax_rate');
+  const watchedDiscountType = watch('discount_type');
+  const watchedDiscountValue = watch('discount_value');
+  const watchedClientId = watch('client_id');
+  const watchedPlaceOfSupply = watch('place_of_supply');
+  const watchedProjectId = watch('project_id');
+  const watchedCurrency = watch('currency');
+
+  // Billable expenses of the selected project that no invoice bills yet (and that are not on a line already)
+  const { data: expensesData } = useQuery(
+    ['project-expenses', String(watchedProjectId), 'unbilled'],
+    () => expensesAPI.getAll({ project_id: watchedProjectId, billable: true, billed: false, limit: 1000 }),
+    { enabled: isOpen && !!watchedProjectId, retry: false }
+  );
+  const linkedExpenseIds = (watchedItems || []).map((item) => String(item.expense_id || ''));
+  const billableExpenses = watchedProjectId
+    ? (expensesData?.data?.data?.expenses || []).filter((expense) => !linkedExpenseIds.includes(String(expense.id)))
+    : [];
+
+  // Copy a picked catalog item onto the line; the line stays editable afterwards
+  const applyCatalogItem = (index, catalogItem) => {
+    setValue(`items.${index}.item_name`, catalogItem.name, { shouldValidate: true });
+    setValue(`items.${index}.description`, catalogItem.description || '');
+    setValue(`items.${index}.unit_price`, Number(catalogItem.default_price) || 0);
+    setValue(`items.${index}.unit`, catalogItem.unit || '');
+    setValue(`items.${index}.hsn_sac`, catalogItem.hsn_sac || '');
+    setValue(`items.${index}.tax_rate`, catalogItem.tax_rate ?? '');
+    setValue(`items.${index}.catalog_item_id`, String(catalogItem.id));
+  };
 
-  // Stable signature so effect only runs when item qty/price actually change (avoids infinite loop from new array refs)
-  const itemsSignature = (watchedItems || [])
-    .map((item) => `${parseFloat(item.quantity) || 0}-${parseFloat(item.unit_price) || 0}`)
-    .join(',');
+  // Bill an expense at cost on a new line (or on the first line while it is still empty)
+  const addExpenseItem = (expense) => {
+    const label = expense.category.charAt(0).toUpperCase() + expense.category.slice(1);
+    const line = {
+      ...emptyItem,
+      item_name: expense.vendor ? `${label}: ${expense.vendor}` : label,
+      description: expense.description || '',
+      unit_price: Number(expense.amount) || 0,
+      expense_id: String(expense.id),
+    };
+    if (fields.length === 1 && !watchedItems?.[0]?.item_name) {
+      Object.entries(line).forEach(([key, value]) => setValue(`items.0.${key}`, value));
+    } else {
+      append(line);
+    }
+  };
 
-  // Calculate totals when items or tax rate changes
+  // Supply type as the server will decide it: same state as the workspace -> CGST + SGST, otherwise IGST
+  const selectedClient = clients.find((client) => String(client.id) === String(watchedClientId));
+  const effectivePlaceOfSupply = gstStateCode
+    ? watchedPlaceOfSupply || getClientPlaceOfSupply(selectedClient, gstStates) || gstStateCode
+    : '';
+  const supplyType = gstStateCode
+    ? (effectivePlaceOfSupply === gstStateCode ? 'intra_state' : 'inter_state')
+    : null;
+  const documentDiscount = { type: watchedDiscountType, value: watchedDiscountValue };
+  const gstTotals = calculateGstTotals(watchedItems, watchedTaxRate, supplyType, documentDiscount);
+
+  // Keep the totals fields in step with the items, tax rate and discount; the effect depends on the numbers only, so
+  // new item arrays from watch() do not re-run it
+  const documentTotals = calculateGstTotals(watchedItems, watchedTaxRate, null, documentDiscount);
   useEffect(() => {
-    const subtotal = (watchedItems || []).reduce((sum, item) => {
-      const quantity = parseFloat(item.quantity) || 0;
-      const unitPrice = parseFloat(item.unit_price) || 0;
-      return sum + (quantity * unitPrice);
-    }, 0);
-
-    const taxRate = parseFloat(watchedTaxRate) || 0;
-    const taxAmount = (subtotal * taxRate) / 100;
-    const totalAmount = subtotal + taxAmount;
-
-    setValue('subtotal', subtotal);
-    setValue('tax_amount', taxAmount);
-    setValue('total_amount', totalAmount);
-  }, [itemsSignature, watchedTaxRate, setValue]);
+    setValue('subtotal', documentTotals.subtotal);
+    setValue('tax_amount', documentTotals.taxAmount);
+    setValue('total_amount', documentTotals.totalAmount);
+  }, [documentTotals.subtotal, documentTotals.taxAmount, documentTotals.totalAmount, setValue]);
 
   // Reset form when invoice prop changes (use stable id so we don't run on every parent re-render)
   const invoiceId = invoice?.id ?? null;
@@ -103,11 +174,25 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
         status: invoice.status || 'draft',
         subtotal: invoice.subtotal || 0,
         tax_rate: invoice.tax_rate || 0,
+        discount_type: invoice.discount_type || '',
+        discount_value: invoice.discount_type ? invoice.discount_value : '',
         tax_amount: invoice.tax_amount || 0,
         total_amount: invoice.total_amount || 0,
         currency: invoice.currency || 'USD',
+        place_of_supply: invoice.place_of_supply || '',
         notes: invoice.notes || '',
-        items: invoice.items?.length > 0 ? invoice.items : [{ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 }]
+        items: invoice.items?.length > 0
+          ? invoice.items.map((item) => ({
+            ...item,
+            hsn_sac: item.hsn_sac || '',
+            tax_rate: item.tax_rate ?? '',
+            unit: item.unit || '',
+            discount_type: item.discount_type || '',
+            discount_value: item.discount_type ? item.discount_value : '',
+            catalog_item_id: item.catalog_item_id ? String(item.catalog_item_id) : '',
+            expense_id: item.expense_id ? String(item.expense_id) : ''
+          }))
+          : [emptyItem]
       });
     } else {
       reset({
@@ -120,11 +205,14 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
         status: 'draft',
         subtotal: 0,
         tax_rate: 0,
+        discount_type: '',
+        discount_value: '',
         tax_amount: 0,
         total_amount: 0,
         currency: 'USD',
+        place_of_supply: '',
         notes: '',
-        items: [{ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 }]
+        items: [emptyItem]
       });
     }
   }, [invoiceId, reset]);
@@ -158,9 +246,16 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
     // Calculate item totals
     const processedItems = data.items.map(item => ({
       ...item,
-      quantity: parseInt(item.quantity),
+      quantity: parseFloat(item.quantity),
+      unit: item.unit ? item.unit.trim() : null,
       unit_price: parseFloat(item.unit_price),
-      total_price: parseInt(item.quantity) * parseFloat(item.unit_price)
+      discount_type: item.discount_type || null,
+      discount_value: item.discount_type ? parseFloat(item.discount_value) || 0 : 0,
+      total_price: calculateLineAmount(item),
+      hsn_sac: item.hsn_sac ? String(item.hsn_sac).trim() : null,
+      tax_rate: item.tax_rate === '' || item.tax_rate === null || item.tax_rate === undefined ? null : parseFloat(item.tax_rate),
+      catalog_item_id: item.catalog_item_id ? parseInt(item.catalog_item_id) : null,
+      expense_id: item.expense_id ? parseInt(item.expense_id) : null
     }));
 
     const invoiceData = {
@@ -170,8 +265,11 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
       quotation_id: data.quotation_id ? parseInt(data.quotation_id) : null,
       subtotal: parseFloat(data.subtotal),
       tax_rate: parseFloat(data.tax_rate),
+      discount_type: data.discount_type || null,
+      discount_value: data.discount_type ? parseFloat(data.discount_value) || 0 : 0,
       tax_amount: parseFloat(data.tax_amount),
       total_amount: parseFloat(data.total_amount),
+      place_of_supply: data.place_of_supply || null,
       items: processedItems
     };
 
@@ -179,7 +277,7 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
   };
 
   const addItem = () => {
-    append({ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 });
+    append(emptyItem);
   };
 
   const removeItem = (index) => {
@@ -325,6 +423,24 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
                 <p className="text-red-500 text-sm mt-1">{errors.currency.message}</p>
               )}
             </div>
+
+            {gstStateCode && (
+              <div>
+                <label className="form-label">Place of Supply</label>
+                <select {...register('place_of_supply')} className="form-select">
+                  <option value="">From client ({effectivePlaceOfSupply || 'unknown'})</option>
+                  {gstStates.map((state) => (
+                    <option key={state.code} value={state.code}>
+                      {state.code} - {state.name}
+                    </option>
+                  ))}
+                  <option value="96">96 - Foreign Country</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  {supplyType === 'intra_state' ? 'Same state: CGST + SGST' : 'Other state or abroad: IGST'}
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Items */}
@@ -341,17 +457,57 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
               </button>
             </div>
 
+            {billableExpenses.length > 0 && (
+              <div className="mb-4 rounded-lg border border-amber-200 bg-amber-50 p-3">
+                <p className="text-sm font-medium text-amber-900 flex items-center mb-2">
+                  <Receipt className="h-4 w-4 mr-2" />
+                  Unbilled billable expenses of this project
+                </p>
+                <div className="space-y-1">
+                  {billableExpenses.map((expense) => (
+                    <div key={expense.id} className="flex items-center justify-between text-sm">
+                      <span className="text-amber-900">
+                        {expense.expense_date?.split('T')[0]} - {expense.vendor || expense.category}
+                        {' '}({Number(expense.amount).toFixed(2)} {expense.currency})
+                        {expense.currency !== watchedCurrency && (
+                          <span className="text-amber-700"> - not in the invoice currency</span>
+                        )}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => addExpenseItem(expense)}
+                        className="btn btn-outline btn-sm"
+                      >
+                        <Plus className="h-4 w-4 mr-1" />
+                        Add
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="space-y-4">
               {fields.map((field, index) => (
                 <div key={field.id} className="border rounded-lg p-4 bg-gray-50">
                   <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                     <div>
                       <label className="form-label">Item Name *</label>
-                      <input
-                        {...register(`items.${index}.item_name`, { required: 'Item name is required' })}
+                      <CatalogItemInput
+                        catalogItems={catalogItems}
+                        inputProps={register(`items.${index}.item_name`, { required: 'Item name is required' })}
+                        value={watchedItems?.[index]?.item_name}
+                        linkedItemId={watchedItems?.[index]?.catalog_item_id}
+                        onSelect={(catalogItem) => applyCatalogItem(index, catalogItem)}
+                        onUnlink={() => setValue(`items.${index}.catalog_item_id`, '')}
                         className={`form-input ${errors.items?.[index]?.item_name ? 'border-red-500' : ''}`}
                         placeholder="e.g., Website Development"
                       />
+                      <input type="hidden" {...register(`items.${index}.catalog_item_id`)} />
+                      <input type="hidden" {...register(`items.${index}.expense_id`)} />
+                      {watchedItems?.[index]?.expense_id && (
+                        <p className="text-xs text-gray-500 mt-1">Bills a project expense</p>
+                      )}
                       {errors.items?.[index]?.item_name && (
                         <p className="text-red-500 text-sm mt-1">{errors.items[index].item_name.message}</p>
                       )}
@@ -370,10 +526,11 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
                       <label className="form-label">Quantity *</label>
                       <input
                         type="number"
-                        min="1"
+                        step="0.001"
+                        min="0.001"
                         {...register(`items.${index}.quantity`, { 
                           required: 'Quantity is required',
-                          min: { value: 1, message: 'Quantity must be at least 1' }
+                          min: { value: 0.001, message: 'Quantity must be greater than 0' }
                         })}
                         className={`form-input ${errors.items?.[index]?.quantity ? 'border-red-500' : ''}`}
                       />
@@ -382,6 +539,18 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
                       )}
                     </div>
 
+                    <div>
+                      <label className="form-label">Unit</label>
+                      <input
+                        {...register(`items.${index}.unit`, { maxLength: { value: 30, message: 'Unit must be at most 30 characters' } })}
+                        className={`form-input ${errors.items?.[index]?.unit ? 'border-red-500' : ''}`}
+                        placeholder="e.g., hours"
+                      />
+                      {errors.items?.[index]?.unit && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].unit.message}</p>
+                      )}
+                    </div>
+
                     <div>
                       <label className="form-label">Unit Price *</label>
                       <input
@@ -399,23 +568,91 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
                         <p className="text-red-500 text-sm mt-1">{errors.items[index].unit_price.message}</p>
                       )}
                     </div>
+
+                    <div>
+                      <label className="form-label">Discount</label>
+                      <div className="flex space-x-2">
+                        <select {...register(`items.${index}.discount_type`)} className="form-select w-20">
+                          <option value="">None</option>
+                          <option value="percentage">%</option>
+                          <option value="fixed">Amt</option>
+                        </select>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          {...register(`items.${index}.discount_value`, {
+                            min: { value: 0, message: 'Discount must be positive' },
+                            validate: (value) => watchedItems?.[index]?.discount_type !== 'percentage' ||
+                              (parseFloat(value) || 0) <= 100 || 'Percentage discount cannot exceed 100'
+                          })}
+                          className={`form-input ${errors.items?.[index]?.discount_value ? 'border-red-500' : ''}`}
+                          placeholder="0"
+                          disabled={!watchedItems?.[index]?.discount_type}
+                        />
+                      </div>
+                      {errors.items?.[index]?.discount_value && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].discount_value.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">HSN/SAC</label>
+                      <input
+                        {...register(`items.${index}.hsn_sac`, {
+                          pattern: { value: /^[0-9]{4,8}$/, message: 'HSN/SAC code must be 4 to 8 digits' }
+                        })}
+                        className={`form-input ${errors.items?.[index]?.hsn_sac ? 'border-red-500' : ''}`}
+                        placeholder="e.g., 998314"
+                      />
+                      {errors.items?.[index]?.hsn_sac && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].hsn_sac.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">GST Rate (%)</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        max="100"
+                        list="invoice-gst-rates"
+                        {...register(`items.${index}.tax_rate`)}
+                        className="form-input"
+                        placeholder={`${parseFloat(watchedTaxRate) || 0} (default)`}
+                      />
+                    </div>
                   </div>
 
-                  {fields.length > 1 && (
-                    <button
-                      type="button"
-                      onClick={() => removeItem(index)}
-                      className="btn btn-outline btn-sm text-red-600 mt-2"
-                    >
-                      <Trash2 className="h-4 w-4 mr-2" />
-                      Remove Item
-                    </button>
-                  )}
+                  <div className="flex items-center justify-between mt-2">
+                    <div>
+                      {fields.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeItem(index)}
+                          className="btn btn-outline btn-sm text-red-600"
+                        >
+                          <Trash2 className="h-4 w-4 mr-2" />
+                          Remove Item
+                        </button>
+                      )}
+                    </div>
+                    <span className="text-sm text-gray-700">
+                      Amount: <strong>{calculateLineAmount(watchedItems?.[index]).toFixed(2)}</strong>
+                    </span>
+                  </div>
                 </div>
               ))}
             </div>
           </div>
 
+          <datalist id="invoice-gst-rates">
+            {GST_RATES.map((rate) => (
+              <option key={rate} value={rate} />
+            ))}
+          </datalist>
+
           {/* Totals */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div>
@@ -427,6 +664,39 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
               />
             </div>
 
+            <div>
+              <label className="form-label">Discount</label>
+              <select {...register('discount_type')} className="form-select">
+                <option value="">No discount</option>
+                <option value="percentage">Percentage (%)</option>
+                <option value="fixed">Fixed amount</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="form-label">Discount Value</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                {...register('discount_value', {
+                  min: { value: 0, message: 'Discount must be positive' },
+                  validate: (value) => watchedDiscountType !== 'percentage' ||
+                    (parseFloat(value) || 0) <= 100 || 'Percentage discount cannot exceed 100'
+                })}
+                className={`form-input ${errors.discount_value ? 'border-red-500' : ''}`}
+                placeholder="0.00"
+                disabled={!watchedDiscountType}
+              />
+              {errors.discount_value ? (
+                <p className="text-red-500 text-sm mt-1">{errors.discount_value.message}</p>
+              ) : gstTotals.discountAmount > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Less {gstTotals.discountAmount.toFixed(2)} before tax
+                </p>
+              )}
+            </div>
+
             <div>
               <label className="form-label">Tax Rate (%)</label>
               <input
@@ -455,6 +725,19 @@ const InvoiceModal = ({ isOpen, onClose, onSuccess, invoice }) => {
               />
             </div>
 
+            {supplyType && (
+              <div className="md:col-span-3 flex flex-wrap gap-6 text-sm text-gray-700">
+                {supplyType === 'intra_state' ? (
+                  <>
+                    <span>CGST: <strong>{gstTotals.cgstAmount.toFixed(2)}</strong></span>
+                    <span>SGST: <strong>{gstTotals.sgstAmount.toFixed(2)}</strong></span>
+                  </>
+                ) : (
+                  <span>IGST: <strong>{gstTotals.igstAmount.toFixed(2)}</strong></span>
+                )}
+              </div>
+            )}
+
             <div className="md:col-span-3">
               <label className="form-label">Total Amount</label>
               <input
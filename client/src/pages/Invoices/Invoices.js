@@ -15,6 +15,9 @@ import {
   Building,
   FileText,
   CreditCard,
+  Repeat,
+  FileMinus,
+  Package,
 } from 'lucide-react';
 import { invoicesAPI } from '../../services/api';
 import toast from 'react-hot-toast';
@@ -187,13 +190,27 @@ const Invoices = () => {
           <h1 className="text-2xl font-bold text-gray-900">Invoices</h1>
           <p className="text-gray-600">Manage your invoices and payments</p>
         </div>
-        <button
-          onClick={() => setIsModalOpen(true)}
-          className="btn btn-primary"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Add Invoice
-        </button>
+        <div className="flex items-center space-x-2">
+          <Link to="/invoices/recurring" className="btn btn-outline">
+            <Repeat className="h-4 w-4 mr-2" />
+            Recurring
+          </Link>
+          <Link to="/invoices/credit-notes" className="btn btn-outline">
+            <FileMinus className="h-4 w-4 mr-2" />
+            Credit Notes
+          </Link>
+          <Link to="/invoices/catalog" className="btn btn-outline">
+            <Package className="h-4 w-4 mr-2" />
+            Catalog
+          </Link>
+          <button
+            onClick={() => setIsModalOpen(true)}
+            className="btn btn-primary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Invoice
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
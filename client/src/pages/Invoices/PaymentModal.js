@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { useMutation } from 'react-query';
+import { useMutation, useQuery } from 'react-query';
 import { X, CreditCard, DollarSign } from 'lucide-react';
-import { invoicesAPI } from '../../services/api';
+import { invoicesAPI, settingsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 
 const PaymentModal = ({ isOpen, onClose, onSuccess, invoice }) => {
@@ -19,10 +19,19 @@ const PaymentModal = ({ isOpen, onClose, onSuccess, invoice }) => {
       payment_method: '',
       payment_date: new Date().toISOString().split('T')[0],
       reference_number: '',
+      exchange_rate: '',
       notes: ''
     }
   });
 
+  // Foreign-currency invoices: the rate on the payment date is captured for FX gain/loss (blank = stored rate)
+  const { data: currencyData } = useQuery('workspace-currency', settingsAPI.getWorkspaceCurrency, {
+    retry: false,
+    enabled: Boolean(isOpen),
+  });
+  const baseCurrency = currencyData?.data?.data?.base_currency;
+  const isForeignCurrency = Boolean(baseCurrency && invoice?.currency && invoice.currency !== baseCurrency);
+
   const watchedAmount = watch('amount');
 
   // Record payment mutation
@@ -74,25 +83,26 @@ const PaymentModal = ({ isOpen, onClose, onSuccess, invoice }) => {
     const paymentData = {
       ...data,
       amount: paymentAmount,
-      payment_date: data.payment_date
+      payment_date: data.payment_date,
+      exchange_rate: isForeignCurrency && data.exchange_rate ? parseFloat(data.exchange_rate) : null
     };
 
     mutation.mutate(paymentData);
   };
 
   const formatCurrency = (amount) => {
-    if (!amount) return '$0.00';
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
-    }).format(amount);
+      currency: invoice?.currency || 'USD',
+    }).format(amount || 0);
   };
 
   const getOutstandingAmount = () => {
     if (!invoice) return 0;
     const total = parseFloat(invoice.total_amount) || 0;
     const paid = parseFloat(invoice.paid_amount) || 0;
-    const outstanding = total - paid;
+    const credited = parseFloat(invoice.credited_amount) || 0;
+    const outstanding = total - paid - credited;
     return Math.max(0, outstanding); // Ensure non-negative
   };
 
@@ -136,6 +146,12 @@ const PaymentModal = ({ isOpen, onClose, onSuccess, invoice }) => {
                 <span className="text-gray-600">Paid Amount:</span>
                 <span className="font-medium">{formatCurrency(invoice.paid_amount || 0)}</span>
               </div>
+              {parseFloat(invoice.credited_amount) > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Credited:</span>
+                  <span className="font-medium">{formatCurrency(invoice.credited_amount)}</span>
+                </div>
+              )}
               <div className="flex justify-between border-t pt-2">
                 <span className="text-gray-900 font-medium">Outstanding:</span>
                 <span className={`font-bold ${outstandingAmount > 0 ? 'text-red-600' : 'text-green-600'}`}>
@@ -214,6 +230,24 @@ const PaymentModal = ({ isOpen, onClose, onSuccess, invoice }) => {
               )}
             </div>
 
+            {/* Exchange Rate (foreign-currency invoices) */}
+            {isForeignCurrency && (
+              <div>
+                <label className="form-label">Exchange Rate ({baseCurrency} per 1 {invoice.currency})</label>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  {...register('exchange_rate', { min: { value: 0, message: 'Rate must be positive' } })}
+                  className="form-input"
+                  placeholder="Leave blank to use the stored rate for the payment date"
+                />
+                {errors.exchange_rate && (
+                  <p className="text-red-500 text-sm mt-1">{errors.exchange_rate.message}</p>
+                )}
+              </div>
+            )}
+
             {/* Reference Number */}
             <div>
               <label className="form-label">Reference Number</label>
@@ -0,0 +1,645 @@
+import React, { useState, useEffect } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { useQuery, useMutation } from 'react-query';
+import { X, Plus, Trash2, Repeat } from 'lucide-react';
+import { recurringInvoicesAPI, clientsAPI, projectsAPI, catalogAPI } from '../../services/api';
+import { GST_RATES, calculateGstTotals, calculateLineAmount } from '../../utils/gst';
+import toast from 'react-hot-toast';
+import CatalogItemInput from '../../components/Common/CatalogItemInput';
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const emptyItem = {
+  catalog_item_id: '', item_name: '', description: '', hsn_sac: '', tax_rate: '', quantity: 1, unit: '', unit_price: 0,
+  discount_type: '', discount_value: ''
+};
+
+const getDefaultValues = () => ({
+  title: '',
+  client_id: '',
+  project_id: '',
+  frequency: 'monthly',
+  interval_count: 1,
+  day_of_month: '1',
+  start_date: todayString(),
+  end_date: '',
+  payment_terms_days: 30,
+  tax_rate: 0,
+  discount_type: '',
+  discount_value: '',
+  currency: 'USD',
+  auto_send: false,
+  notes: '',
+  items: [{ ...emptyItem }]
+});
+
+const RecurringInvoiceModal = ({ isOpen, onClose, onSuccess, profileId }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { data: clientsData } = useQuery(
+    ['clients', 'dropdown'],
+    () => clientsAPI.getAll({ limit: 1000 }),
+    { enabled: isOpen }
+  );
+
+  const { data: projectsData } = useQuery(
+    ['projects', 'dropdown'],
+    () => projectsAPI.getAll({ limit: 1000 }),
+    { enabled: isOpen }
+  );
+
+  // The list rows have no items, so load the full profile when editing
+  const { data: profileData } = useQuery(
+    ['recurring-invoice', profileId],
+    () => recurringInvoicesAPI.getById(profileId),
+    { enabled: isOpen && !!profileId }
+  );
+
+  // Active catalog items for the item name suggestions
+  const { data: catalogData } = useQuery(
+    ['catalog-items', 'active'],
+    () => catalogAPI.getAll({ status: 'active', limit: 1000 }),
+    { enabled: isOpen, retry: false }
+  );
+  const catalogItems = catalogData?.data?.data?.items || [];
+
+  const clients = clientsData?.data?.data?.clients || [];
+  const projects = projectsData?.data?.data?.projects || [];
+  const profile = profileId ? profileData?.data?.data : null;
+
+  const {
+    register,
+    handleSubmit,
+    control,
+    watch,
+    reset,
+    setValue,
+    formState: { errors },
+  } = useForm({ defaultValues: getDefaultValues() });
+
+  const { fields, append, remove } = useFieldArray({
+    control,
+    name: 'items'
+  });
+
+  const watchedItems = watch('items');
+  const watchedTaxRate = watch('tax_rate');
+  const watchedDiscountType = watch('discount_type');
+  const watchedDiscountValue = watch('discount_value');
+  const watchedFrequency = watch('frequency');
+
+  // Copy a picked catalog item onto the line; the line stays editable afterwards
+  const applyCatalogItem = (index, catalogItem) => {
+    setValue(`items.${index}.item_name`, catalogItem.name, { shouldValidate: true });
+    setValue(`items.${index}.description`, catalogItem.description || '');
+    setValue(`items.${index}.unit_price`, Number(catalogItem.default_price) || 0);
+    setValue(`items.${index}.unit`, catalogItem.unit || '');
+    setValue(`items.${index}.hsn_sac`, catalogItem.hsn_sac || '');
+    setValue(`items.${index}.tax_rate`, catalogItem.tax_rate ?? '');
+    setValue(`items.${index}.catalog_item_id`, String(catalogItem.id));
+  };
+
+  // Lines without their own GST rate use the profile tax rate; the CGST/SGST/IGST split is decided per generated invoice
+  const { subtotal, discountAmount, totalAmount } = calculateGstTotals(watchedItems, watchedTaxRate, null, {
+    type: watchedDiscountType,
+    value: watchedDiscountValue,
+  });
+
+  // react-query keeps the same profile object until the fetched data changes, so this runs once per loaded profile
+  useEffect(() => {
+    if (!isOpen) return;
+    if (profile) {
+      reset({
+        title: profile.title || '',
+        client_id: profile.client_id ? String(profile.client_id) : '',
+        project_id: profile.project_id ? String(profile.project_id) : '',
+        frequency: profile.frequency || 'monthly',
+        interval_count: profile.interval_count || 1,
+        day_of_month: profile.day_of_month ? String(profile.day_of_month) : '',
+        start_date: profile.start_date || todayString(),
+        end_date: profile.end_date || '',
+        payment_terms_days: profile.payment_terms_days ?? 30,
+        tax_rate: profile.tax_rate || 0,
+        discount_type: profile.discount_type || '',
+        discount_value: profile.discount_type ? profile.discount_value : '',
+        currency: profile.currency || 'USD',
+        auto_send: Boolean(profile.auto_send),
+        notes: profile.notes || '',
+        items: profile.items?.length > 0
+          ? profile.items.map(({
+            catalog_item_id, item_name, description, hsn_sac, tax_rate, quantity, unit, unit_price, discount_type, discount_value
+          }) => ({
+            catalog_item_id: catalog_item_id ? String(catalog_item_id) : '', item_name, description: description || '',
+            hsn_sac: hsn_sac || '', tax_rate: tax_rate ?? '', quantity, unit: unit || '', unit_price,
+            discount_type: discount_type || '', discount_value: discount_type ? discount_value : ''
+          }))
+          : [{ ...emptyItem }]
+      });
+    } else if (!profileId) {
+      reset(getDefaultValues());
+    }
+  }, [isOpen, profile, profileId, reset]);
+
+  const mutation = useMutation(
+    (data) => (profileId ? recurringInvoicesAPI.update(profileId, data) : recurringInvoicesAPI.create(data)),
+    {
+      onSuccess: () => {
+        toast.success(profileId ? 'Recurring invoice updated successfully' : 'Recurring invoice created successfully');
+        onSuccess();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save recurring invoice');
+      },
+      onSettled: () => {
+        setIsSubmitting(false);
+      },
+    }
+  );
+
+  const onSubmit = (data) => {
+    setIsSubmitting(true);
+    mutation.mutate({
+      ...data,
+      client_id: parseInt(data.client_id),
+      project_id: data.project_id ? parseInt(data.project_id) : null,
+      interval_count: parseInt(data.interval_count) || 1,
+      day_of_month: data.frequency === 'weekly' || !data.day_of_month ? null : parseInt(data.day_of_month),
+      end_date: data.end_date || null,
+      payment_terms_days: parseInt(data.payment_terms_days) || 0,
+      tax_rate: parseFloat(data.tax_rate) || 0,
+      discount_type: data.discount_type || null,
+      discount_value: data.discount_type ? parseFloat(data.discount_value) || 0 : 0,
+      items: data.items.map((item) => ({
+        ...item,
+        quantity: parseFloat(item.quantity),
+        unit: item.unit ? item.unit.trim() : null,
+        unit_price: parseFloat(item.unit_price),
+        discount_type: item.discount_type || null,
+        discount_value: item.discount_type ? parseFloat(item.discount_value) || 0 : 0,
+        hsn_sac: item.hsn_sac ? String(item.hsn_sac).trim() : null,
+        tax_rate: item.tax_rate === '' || item.tax_rate === null || item.tax_rate === undefined ? null : parseFloat(item.tax_rate),
+        catalog_item_id: item.catalog_item_id ? parseInt(item.catalog_item_id) : null
+      }))
+    });
+  };
+
+  const frequencyUnit = {
+    weekly: 'week(s)',
+    monthly: 'month(s)',
+    quarterly: 'quarter(s)',
+    yearly: 'year(s)',
+  }[watchedFrequency];
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900">
+            {profileId ? 'Edit Recurring Invoice' : 'New Recurring Invoice'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="md:col-span-2">
+              <label className="form-label">Title *</label>
+              <input
+                {...register('title', { required: 'Title is required' })}
+                className={`form-input ${errors.title ? 'border-red-500' : ''}`}
+                placeholder="e.g., Monthly hosting & maintenance"
+              />
+              {errors.title && (
+                <p className="text-red-500 text-sm mt-1">{errors.title.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Client *</label>
+              <select
+                {...register('client_id', { required: 'Client is required' })}
+                className={`form-select ${errors.client_id ? 'border-red-500' : ''}`}
+              >
+                <option value="">Select Client</option>
+                {clients.map((client) => (
+                  <option key={client.id} value={client.id}>
+                    {client.full_name} {client.company_name && `(${client.company_name})`}
+                  </option>
+                ))}
+              </select>
+              {errors.client_id && (
+                <p className="text-red-500 text-sm mt-1">{errors.client_id.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Project</label>
+              <select
+                {...register('project_id')}
+                className="form-select"
+              >
+                <option value="">Select Project (Optional)</option>
+                {projects.map((project) => (
+                  <option key={project.id} value={project.id}>
+                    {project.title}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Schedule */}
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Schedule</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div>
+                <label className="form-label">Frequency *</label>
+                <select {...register('frequency')} className="form-select">
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="quarterly">Quarterly</option>
+                  <option value="yearly">Yearly</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="form-label">Repeat every</label>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="1"
+                    max="12"
+                    {...register('interval_count', {
+                      min: { value: 1, message: 'Must be between 1 and 12' },
+                      max: { value: 12, message: 'Must be between 1 and 12' }
+                    })}
+                    className={`form-input ${errors.interval_count ? 'border-red-500' : ''}`}
+                  />
+                  <span className="text-sm text-gray-600 whitespace-nowrap">{frequencyUnit}</span>
+                </div>
+                {errors.interval_count && (
+                  <p className="text-red-500 text-sm mt-1">{errors.interval_count.message}</p>
+                )}
+              </div>
+
+              {watchedFrequency !== 'weekly' && (
+                <div>
+                  <label className="form-label">Day of month</label>
+                  <select {...register('day_of_month')} className="form-select">
+                    <option value="">Same day as start date</option>
+                    {Array.from({ length: 31 }, (_, i) => i + 1).map((day) => (
+                      <option key={day} value={day}>
+                        {day}{day > 28 ? ' (or last day of shorter months)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="form-label">Start Date *</label>
+                <input
+                  type="date"
+                  {...register('start_date', { required: 'Start date is required' })}
+                  className={`form-input ${errors.start_date ? 'border-red-500' : ''}`}
+                />
+                {errors.start_date && (
+                  <p className="text-red-500 text-sm mt-1">{errors.start_date.message}</p>
+                )}
+              </div>
+
+              <div>
+                <label className="form-label">End Date</label>
+                <input
+                  type="date"
+                  {...register('end_date')}
+                  className="form-input"
+                />
+                <p className="text-xs text-gray-500 mt-1">Leave blank to repeat until paused.</p>
+              </div>
+
+              <div>
+                <label className="form-label">Payment terms (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="365"
+                  {...register('payment_terms_days', {
+                    min: { value: 0, message: 'Must be between 0 and 365' },
+                    max: { value: 365, message: 'Must be between 0 and 365' }
+                  })}
+                  className={`form-input ${errors.payment_terms_days ? 'border-red-500' : ''}`}
+                />
+                {errors.payment_terms_days && (
+                  <p className="text-red-500 text-sm mt-1">{errors.payment_terms_days.message}</p>
+                )}
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+              <input type="checkbox" {...register('auto_send')} className="rounded border-gray-300" />
+              Email generated invoices to the client (otherwise they are created as drafts for review)
+            </label>
+          </div>
+
+          {/* Items */}
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Items</h3>
+              <button
+                type="button"
+                onClick={() => append({ ...emptyItem })}
+                className="btn btn-outline btn-sm"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Item
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              {fields.map((field, index) => (
+                <div key={field.id} className="border rounded-lg p-4 bg-gray-50">
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                    <div>
+                      <label className="form-label">Item Name *</label>
+                      <CatalogItemInput
+                        catalogItems={catalogItems}
+                        inputProps={register(`items.${index}.item_name`, { required: 'Item name is required' })}
+                        value={watchedItems?.[index]?.item_name}
+                        linkedItemId={watchedItems?.[index]?.catalog_item_id}
+                        onSelect={(catalogItem) => applyCatalogItem(index, catalogItem)}
+                        onUnlink={() => setValue(`items.${index}.catalog_item_id`, '')}
+                        className={`form-input ${errors.items?.[index]?.item_name ? 'border-red-500' : ''}`}
+                        placeholder="e.g., Hosting"
+                      />
+                      <input type="hidden" {...register(`items.${index}.catalog_item_id`)} />
+                      {errors.items?.[index]?.item_name && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].item_name.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">Description</label>
+                      <input
+                        {...register(`items.${index}.description`)}
+                        className="form-input"
+                        placeholder="Item description"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="form-label">Quantity *</label>
+                      <input
+                        type="number"
+                        step="0.001"
+                        min="0.001"
+                        {...register(`items.${index}.quantity`, {
+                          required: 'Quantity is required',
+                          min: { value: 0.001, message: 'Quantity must be greater than 0' }
+                        })}
+                        className={`form-input ${errors.items?.[index]?.quantity ? 'border-red-500' : ''}`}
+                      />
+                      {errors.items?.[index]?.quantity && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].quantity.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">Unit</label>
+                      <input
+                        {...register(`items.${index}.unit`, { maxLength: { value: 30, message: 'Unit must be at most 30 characters' } })}
+                        className={`form-input ${errors.items?.[index]?.unit ? 'border-red-500' : ''}`}
+                        placeholder="e.g., hours"
+                      />
+                      {errors.items?.[index]?.unit && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].unit.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">Unit Price *</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        {...register(`items.${index}.unit_price`, {
+                          required: 'Unit price is required',
+                          min: { value: 0, message: 'Unit price must be positive' }
+                        })}
+                        className={`form-input ${errors.items?.[index]?.unit_price ? 'border-red-500' : ''}`}
+                        placeholder="0.00"
+                      />
+                      {errors.items?.[index]?.unit_price && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].unit_price.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">Discount</label>
+                      <div className="flex space-x-2">
+                        <select {...register(`items.${index}.discount_type`)} className="form-select w-20">
+                          <option value="">None</option>
+                          <option value="percentage">%</option>
+                          <option value="fixed">Amt</option>
+                        </select>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          {...register(`items.${index}.discount_value`, {
+                            min: { value: 0, message: 'Discount must be positive' },
+                            validate: (value) => watchedItems?.[index]?.discount_type !== 'percentage' ||
+                              (parseFloat(value) || 0) <= 100 || 'Percentage discount cannot exceed 100'
+                          })}
+                          className={`form-input ${errors.items?.[index]?.discount_value ? 'border-red-500' : ''}`}
+                          placeholder="0"
+                          disabled={!watchedItems?.[index]?.discount_type}
+                        />
+                      </div>
+                      {errors.items?.[index]?.discount_value && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].discount_value.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">HSN/SAC</label>
+                      <input
+                        {...register(`items.${index}.hsn_sac`, {
+                          pattern: { value: /^[0-9]{4,8}$/, message: 'HSN/SAC code must be 4 to 8 digits' }
+                        })}
+                        className={`form-input ${errors.items?.[index]?.hsn_sac ? 'border-red-500' : ''}`}
+                        placeholder="e.g., 998315"
+                      />
+                      {errors.items?.[index]?.hsn_sac && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].hsn_sac.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">GST Rate (%)</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        max="100"
+                        list="recurring-gst-rates"
+                        {...register(`items.${index}.tax_rate`)}
+                        className="form-input"
+                        placeholder={`${parseFloat(watchedTaxRate) || 0} (default)`}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex items-center justify-between mt-2">
+                    <div>
+                      {fields.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => remove(index)}
+                          className="btn btn-outline btn-sm text-red-600"
+                        >
+                          <Trash2 className="h-4 w-4 mr-2" />
+                          Remove Item
+                        </button>
+                      )}
+                    </div>
+                    <span className="text-sm text-gray-700">
+                      Amount: <strong>{calculateLineAmount(watchedItems?.[index]).toFixed(2)}</strong>
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <datalist id="recurring-gst-rates">
+            {GST_RATES.map((rate) => (
+              <option key={rate} value={rate} />
+            ))}
+          </datalist>
+
+          {/* Totals */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <div>
+              <label className="form-label">Currency</label>
+              <select {...register('currency')} className="form-select">
+                <option value="USD">USD ($)</option>
+                <option value="EUR">EUR (€)</option>
+                <option value="GBP">GBP (£)</option>
+                <option value="INR">INR (₹)</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="form-label">Tax Rate (%)</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max="100"
+                {...register('tax_rate', {
+                  min: { value: 0, message: 'Tax rate must be between 0 and 100' },
+                  max: { value: 100, message: 'Tax rate must be between 0 and 100' }
+                })}
+                className={`form-input ${errors.tax_rate ? 'border-red-500' : ''}`}
+              />
+              {errors.tax_rate && (
+                <p className="text-red-500 text-sm mt-1">{errors.tax_rate.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Subtotal</label>
+              <input value={subtotal.toFixed(2)} className="form-input" readOnly />
+            </div>
+
+            <div>
+              <label className="form-label">Total per invoice</label>
+              <input value={totalAmount.toFixed(2)} className="form-input font-bold" readOnly />
+            </div>
+
+            <div>
+              <label className="form-label">Discount</label>
+              <select {...register('discount_type')} className="form-select">
+                <option value="">No discount</option>
+                <option value="percentage">Percentage (%)</option>
+                <option value="fixed">Fixed amount</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="form-label">Discount Value</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                {...register('discount_value', {
+                  min: { value: 0, message: 'Discount must be positive' },
+                  validate: (value) => watchedDiscountType !== 'percentage' ||
+                    (parseFloat(value) || 0) <= 100 || 'Percentage discount cannot exceed 100'
+                })}
+                className={`form-input ${errors.discount_value ? 'border-red-500' : ''}`}
+                placeholder="0.00"
+                disabled={!watchedDiscountType}
+              />
+              {errors.discount_value ? (
+                <p className="text-red-500 text-sm mt-1">{errors.discount_value.message}</p>
+              ) : discountAmount > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Less {discountAmount.toFixed(2)} before tax
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className="form-label">Notes</label>
+            <textarea
+              {...register('notes')}
+              className="form-textarea"
+              rows="3"
+              placeholder="Copied onto every generated invoice"
+            />
+          </div>
+
+          <div className="flex items-center justify-end space-x-3 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-outline"
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={isSubmitting || (profileId && !profile)}
+            >
+              {isSubmitting ? (
+                <>
+                  <div className="spinner h-4 w-4 mr-2"></div>
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <Repeat className="h-4 w-4 mr-2" />
+                  {profileId ? 'Update Schedule' : 'Create Schedule'}
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringInvoiceModal;
@@ -0,0 +1,617 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Link } from 'react-router-dom';
+import {
+  Plus,
+  Search,
+  Edit,
+  Trash2,
+  RefreshCw,
+  Calendar,
+  Building,
+  Repeat,
+  Pause,
+  Play,
+  Zap,
+  ArrowLeft,
+  CheckCircle,
+  XCircle,
+  Clock,
+} from 'lucide-react';
+import { recurringInvoicesAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import RecurringInvoiceModal from './RecurringInvoiceModal';
+import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+
+const FREQUENCY_LABELS = {
+  weekly: ['Weekly', 'weeks'],
+  monthly: ['Monthly', 'months'],
+  quarterly: ['Quarterly', 'quarters'],
+  yearly: ['Yearly', 'years'],
+};
+
+const STATUS_COLORS = {
+  active: 'green',
+  paused: 'yellow',
+  completed: 'gray',
+  success: 'green',
+  failed: 'red',
+  pending: 'blue',
+};
+
+const describeSchedule = (profile) => {
+  const [label, unit] = FREQUENCY_LABELS[profile.frequency] || [profile.frequency, 'periods'];
+  let text = profile.interval_count > 1 ? `Every ${profile.interval_count} ${unit}` : label;
+  if (profile.frequency !== 'weekly' && profile.day_of_month) {
+    text += ` on day ${profile.day_of_month}`;
+  }
+  return text;
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  // Date-only strings are calendar dates; parse them as local dates so they don't shift a day
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatCurrency = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+  }).format(amount || 0);
+};
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+/**
+ * Recurring invoice profiles, their upcoming runs and the generation log
+ */
+const RecurringInvoices = () => {
+  const queryClient = useQueryClient();
+  const [activeTab, setActiveTab] = useState('profiles');
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [selectedProfile, setSelectedProfile] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [upcomingDays, setUpcomingDays] = useState(30);
+  const [runStatusFilter, setRunStatusFilter] = useState('');
+  const [runsPage, setRunsPage] = useState(1);
+
+  const {
+    data: profilesData,
+    isLoading,
+    error,
+    refetch,
+  } = useQuery(
+    ['recurring-invoices', searchTerm, statusFilter],
+    () => {
+      const params = { limit: 1000 };
+      if (searchTerm) params.search = searchTerm;
+      if (statusFilter) params.status = statusFilter;
+      return recurringInvoicesAPI.getAll(params);
+    },
+    { refetchOnWindowFocus: false }
+  );
+
+  const { data: upcomingData, isLoading: isUpcomingLoading } = useQuery(
+    ['recurring-invoices-upcoming', upcomingDays],
+    () => recurringInvoicesAPI.getUpcoming({ days: upcomingDays }),
+    { enabled: activeTab === 'upcoming', refetchOnWindowFocus: false }
+  );
+
+  const { data: runsData, isLoading: isRunsLoading } = useQuery(
+    ['recurring-invoice-runs', runStatusFilter, runsPage],
+    () => {
+      const params = { page: runsPage, limit: 20 };
+      if (runStatusFilter) params.status = runStatusFilter;
+      return recurringInvoicesAPI.getRuns(params);
+    },
+    { enabled: activeTab === 'log', keepPreviousData: true, refetchOnWindowFocus: false }
+  );
+
+  const refreshAll = () => {
+    queryClient.invalidateQueries('recurring-invoices');
+    queryClient.invalidateQueries('recurring-invoices-upcoming');
+    queryClient.invalidateQueries('recurring-invoice-runs');
+  };
+
+  const statusMutation = useMutation(
+    ({ id, status }) => recurringInvoicesAPI.setStatus(id, status),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refreshAll();
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.message || 'Failed to change status');
+      },
+    }
+  );
+
+  const generateMutation = useMutation(
+    (id) => recurringInvoicesAPI.generate(id),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        refreshAll();
+        queryClient.invalidateQueries('invoices');
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.message || 'Failed to generate invoice');
+        refreshAll();
+      },
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => recurringInvoicesAPI.delete(id),
+    {
+      onSuccess: () => {
+        toast.success('Recurring invoice deleted successfully');
+        refreshAll();
+        setIsDeleteModalOpen(false);
+        setSelectedProfile(null);
+      },
+      onError: (err) => {
+        toast.error(err.response?.data?.message || 'Failed to delete recurring invoice');
+      },
+    }
+  );
+
+  const profiles = profilesData?.data?.data?.profiles || [];
+  const upcomingRuns = upcomingData?.data?.data?.runs || [];
+  const runs = runsData?.data?.data?.runs || [];
+  const runsPagination = runsData?.data?.data?.pagination;
+
+  const handleGenerate = (profile) => {
+    if (window.confirm(`Generate the next invoice for "${profile.title}" now? The schedule moves on to the following period.`)) {
+      generateMutation.mutate(profile.id);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-500">{error.response?.data?.message || 'Failed to load recurring invoices'}</p>
+        <button onClick={() => refetch()} className="btn btn-primary mt-4">
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const tabClass = (tab) => `py-2 px-1 border-b-2 font-medium text-sm ${
+    activeTab === tab
+      ? 'border-primary-500 text-primary-600'
+      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+  }`;
+
+  const thClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  const renderProfiles = () => (
+    <>
+      <div className="card">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Search</label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="form-input pl-10"
+                  placeholder="Search by title or client..."
+                />
+              </div>
+            </div>
+            <div>
+              <label className="form-label">Status</label>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="form-select"
+              >
+                <option value="">All Statuses</option>
+                <option value="active">Active</option>
+                <option value="paused">Paused</option>
+                <option value="completed">Completed</option>
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="spinner h-8 w-8"></div>
+            </div>
+          ) : profiles.length === 0 ? (
+            <div className="text-center py-12">
+              <Repeat className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <p className="text-gray-500">No recurring invoices found</p>
+              <button onClick={() => setIsModalOpen(true)} className="btn btn-primary mt-4">
+                <Plus className="h-4 w-4 mr-2" />
+                Create First Schedule
+              </button>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={thClass}>Title</th>
+                    <th className={thClass}>Client</th>
+                    <th className={thClass}>Schedule</th>
+                    <th className={thClass}>Next Run</th>
+                    <th className={thClass}>Amount</th>
+                    <th className={thClass}>Generated</th>
+                    <th className={thClass}>Status</th>
+                    <th className={thClass}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {profiles.map((profile) => (
+                    <tr key={profile.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <div className="text-sm font-medium text-gray-900">{profile.title}</div>
+                        {profile.project_title && (
+                          <div className="text-sm text-gray-500">{profile.project_title}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <Building className="h-4 w-4 text-gray-400 mr-2" />
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{profile.client_name}</div>
+                            {profile.client_company && (
+                              <div className="text-sm text-gray-500">{profile.client_company}</div>
+                            )}
+                          </div>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{describeSchedule(profile)}</div>
+                        <div className="text-xs text-gray-500">
+                          {formatDate(profile.start_date)} – {profile.end_date ? formatDate(profile.end_date) : 'no end'}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <Calendar className="h-4 w-4 text-gray-400 mr-2" />
+                          <span className="text-sm text-gray-900">
+                            {profile.status === 'active' ? formatDate(profile.next_run_date) : '—'}
+                          </span>
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatCurrency(profile.total_amount, profile.currency)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {profile.occurrences_generated}
+                        {profile.last_run_at && (
+                          <div className="text-xs text-gray-500">last {formatDate(profile.last_run_at)}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge badge-${STATUS_COLORS[profile.status] || 'gray'}`}>
+                          {capitalize(profile.status)}
+                        </span>
+                        {profile.auto_send && (
+                          <div className="text-xs text-gray-500 mt-1">Auto-send</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex items-center space-x-2">
+                          {profile.status === 'active' && (
+                            <button
+                              onClick={() => handleGenerate(profile)}
+                              disabled={generateMutation.isLoading}
+                              className="btn btn-outline btn-sm text-blue-600"
+                              title="Generate next invoice now"
+                            >
+                              <Zap className="h-4 w-4" />
+                            </button>
+                          )}
+                          {profile.status === 'active' && (
+                            <button
+                              onClick={() => statusMutation.mutate({ id: profile.id, status: 'paused' })}
+                              disabled={statusMutation.isLoading}
+                              className="btn btn-outline btn-sm text-yellow-600"
+                              title="Pause"
+                            >
+                              <Pause className="h-4 w-4" />
+                            </button>
+                          )}
+                          {profile.status === 'paused' && (
+                            <button
+                              onClick={() => statusMutation.mutate({ id: profile.id, status: 'active' })}
+                              disabled={statusMutation.isLoading}
+                              className="btn btn-outline btn-sm text-green-600"
+                              title="Resume"
+                            >
+                              <Play className="h-4 w-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => {
+                              setSelectedProfile(profile);
+                              setIsModalOpen(true);
+                            }}
+                            className="btn btn-outline btn-sm"
+                            title="Edit"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => {
+                              setSelectedProfile(profile);
+                              setIsDeleteModalOpen(true);
+                            }}
+                            className="btn btn-outline btn-sm text-red-600"
+                            title="Delete"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+
+  const renderUpcoming = () => (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Upcoming invoices</h3>
+          <select
+            value={upcomingDays}
+            onChange={(e) => setUpcomingDays(Number(e.target.value))}
+            className="form-select w-auto"
+          >
+            <option value={7}>Next 7 days</option>
+            <option value={30}>Next 30 days</option>
+            <option value={90}>Next 90 days</option>
+            <option value={365}>Next 12 months</option>
+          </select>
+        </div>
+      </div>
+      <div className="card-body">
+        {isUpcomingLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="spinner h-8 w-8"></div>
+          </div>
+        ) : upcomingRuns.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No invoices scheduled in this period.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={thClass}>Run Date</th>
+                  <th className={thClass}>Schedule</th>
+                  <th className={thClass}>Client</th>
+                  <th className={thClass}>Due Date</th>
+                  <th className={thClass}>Amount</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {upcomingRuns.map((run) => (
+                  <tr key={`${run.recurring_invoice_id}-${run.date}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(run.date)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {run.title}
+                      {run.auto_send && <span className="ml-2 text-xs text-gray-500">auto-send</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {run.client_name}{run.client_company ? ` (${run.client_company})` : ''}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(run.due_date)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {formatCurrency(run.total_amount, run.currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderLog = () => (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Generation log</h3>
+          <select
+            value={runStatusFilter}
+            onChange={(e) => {
+              setRunStatusFilter(e.target.value);
+              setRunsPage(1);
+            }}
+            className="form-select w-auto"
+          >
+            <option value="">All results</option>
+            <option value="success">Generated</option>
+            <option value="failed">Failed</option>
+            <option value="pending">In progress</option>
+          </select>
+        </div>
+      </div>
+      <div className="card-body">
+        {isRunsLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="spinner h-8 w-8"></div>
+          </div>
+        ) : runs.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No invoices have been generated yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className={thClass}>Run Date</th>
+                  <th className={thClass}>Schedule</th>
+                  <th className={thClass}>Result</th>
+                  <th className={thClass}>Invoice</th>
+                  <th className={thClass}>Triggered</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(run.scheduled_for)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {run.profile_title || 'Deleted schedule'}
+                      {run.client_name && <div className="text-xs text-gray-500">{run.client_name}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`inline-flex items-center badge badge-${STATUS_COLORS[run.status] || 'gray'}`}>
+                        {run.status === 'success' && <CheckCircle className="h-3 w-3 mr-1" />}
+                        {run.status === 'failed' && <XCircle className="h-3 w-3 mr-1" />}
+                        {run.status === 'pending' && <Clock className="h-3 w-3 mr-1" />}
+                        {run.status === 'success' ? 'Generated' : capitalize(run.status)}
+                      </span>
+                      {run.error_message && (
+                        <div className="text-xs text-red-600 mt-1">{run.error_message}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {run.invoice_id && run.invoice_number ? (
+                        <Link to={`/invoices/${run.invoice_id}`} className="text-primary-600 hover:text-primary-800">
+                          {run.invoice_number}
+                        </Link>
+                      ) : '—'}
+                      {run.invoice_number && (
+                        <div className="text-xs text-gray-500">{formatCurrency(run.total_amount, run.currency)}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {run.triggered_by === 'manual' ? `Manually${run.triggered_by_name ? ` by ${run.triggered_by_name}` : ''}` : 'Scheduler'}
+                      <div className="text-xs">{new Date(run.created_at).toLocaleString()}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {runsPagination && runsPagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-4">
+            <p className="text-sm text-gray-500">
+              Page {runsPagination.page} of {runsPagination.totalPages}
+            </p>
+            <div className="space-x-2">
+              <button
+                onClick={() => setRunsPage((page) => page - 1)}
+                disabled={!runsPagination.hasPrev}
+                className="btn btn-outline btn-sm"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setRunsPage((page) => page + 1)}
+                disabled={!runsPagination.hasNext}
+                className="btn btn-outline btn-sm"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/invoices" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Invoices
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Recurring Invoices</h1>
+          <p className="text-gray-600">Retainers and subscriptions that invoice themselves on a schedule</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button onClick={refreshAll} className="btn btn-outline" disabled={isLoading}>
+            <RefreshCw className={`h-4 w-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+          <button onClick={() => setIsModalOpen(true)} className="btn btn-primary">
+            <Plus className="h-4 w-4 mr-2" />
+            New Schedule
+          </button>
+        </div>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          <button onClick={() => setActiveTab('profiles')} className={tabClass('profiles')}>
+            Schedules ({profiles.length})
+          </button>
+          <button onClick={() => setActiveTab('upcoming')} className={tabClass('upcoming')}>
+            Upcoming
+          </button>
+          <button onClick={() => setActiveTab('log')} className={tabClass('log')}>
+            Generation Log
+          </button>
+        </nav>
+      </div>
+
+      {activeTab === 'profiles' && renderProfiles()}
+      {activeTab === 'upcoming' && renderUpcoming()}
+      {activeTab === 'log' && renderLog()}
+
+      <RecurringInvoiceModal
+        isOpen={isModalOpen}
+        onClose={() => {
+          setIsModalOpen(false);
+          setSelectedProfile(null);
+        }}
+        onSuccess={() => {
+          refreshAll();
+          queryClient.invalidateQueries('recurring-invoice');
+          setIsModalOpen(false);
+          setSelectedProfile(null);
+        }}
+        profileId={selectedProfile?.id}
+      />
+
+      <DeleteConfirmModal
+        isOpen={isDeleteModalOpen}
+        onClose={() => {
+          setIsDeleteModalOpen(false);
+          setSelectedProfile(null);
+        }}
+        onConfirm={() => selectedProfile && deleteMutation.mutate(selectedProfile.id)}
+        title="Delete Recurring Invoice"
+        message={`Are you sure you want to delete "${selectedProfile?.title}"? Invoices it already generated are kept.`}
+        isLoading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default RecurringInvoices;
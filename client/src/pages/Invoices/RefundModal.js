@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useMutation } from 'react-query';
+import { X, RotateCcw } from 'lucide-react';
+import { invoicesAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const RefundModal = ({ isOpen, onClose, onSuccess, invoice, payment }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const refundable = Math.max(0, (parseFloat(payment?.amount) || 0) - (parseFloat(payment?.refunded_amount) || 0));
+  const creditNotes = (invoice?.credit_notes || []).filter((creditNote) => creditNote.status === 'issued');
+
+  useEffect(() => {
+    if (isOpen && payment) {
+      reset({
+        amount: refundable.toFixed(2),
+        refund_method: payment.payment_method || '',
+        refund_date: new Date().toISOString().split('T')[0],
+        reference_number: '',
+        reason: '',
+        credit_note_id: '',
+      });
+    }
+  }, [isOpen, payment, refundable, reset]);
+
+  const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: invoice?.currency || 'USD',
+  }).format(amount || 0);
+
+  const mutation = useMutation(
+    (data) => invoicesAPI.refundPayment(invoice.id, payment.id, data),
+    {
+      onSuccess: () => {
+        toast.success('Refund recorded successfully');
+        onSuccess();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to record refund');
+      },
+      onSettled: () => {
+        setIsSubmitting(false);
+      },
+    }
+  );
+
+  const onSubmit = (data) => {
+    setIsSubmitting(true);
+    mutation.mutate({
+      ...data,
+      amount: parseFloat(data.amount),
+      credit_note_id: data.credit_note_id ? parseInt(data.credit_note_id, 10) : null,
+    });
+  };
+
+  if (!isOpen || !invoice || !payment) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-6 border-b flex-shrink-0">
+          <h2 className="text-xl font-semibold text-gray-900">
+            Refund Payment
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          <div className="bg-gray-50 rounded-lg p-4 mb-6 space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Payment:</span>
+              <span className="font-medium">{formatCurrency(payment.amount)} · {payment.payment_method}</span>
+            </div>
+            {parseFloat(payment.refunded_amount) > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Already refunded:</span>
+                <span className="font-medium">{formatCurrency(payment.refunded_amount)}</span>
+              </div>
+            )}
+            <div className="flex justify-between border-t pt-2">
+              <span className="text-gray-900 font-medium">Refundable:</span>
+              <span className="font-bold">{formatCurrency(refundable)}</span>
+            </div>
+          </div>
+
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div>
+              <label className="form-label">Refund Amount *</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={refundable}
+                {...register('amount', {
+                  required: 'Refund amount is required',
+                  min: { value: 0.01, message: 'Amount must be greater than 0' },
+                  max: { value: refundable, message: `Amount cannot exceed ${formatCurrency(refundable)}` }
+                })}
+                className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+              />
+              {errors.amount && (
+                <p className="text-red-500 text-sm mt-1">{errors.amount.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Refund Method *</label>
+              <select
+                {...register('refund_method', { required: 'Refund method is required' })}
+                className={`form-select ${errors.refund_method ? 'border-red-500' : ''}`}
+              >
+                <option value="">Select Refund Method</option>
+                <option value="bank_transfer">Bank Transfer</option>
+                <option value="credit_card">Credit Card</option>
+                <option value="debit_card">Debit Card</option>
+                <option value="upi">UPI</option>
+                <option value="cash">Cash</option>
+                <option value="check">Check</option>
+                <option value="paypal">PayPal</option>
+                <option value="stripe">Stripe</option>
+                <option value="razorpay">Razorpay</option>
+                <option value="other">Other</option>
+              </select>
+              {errors.refund_method && (
+                <p className="text-red-500 text-sm mt-1">{errors.refund_method.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Refund Date *</label>
+              <input
+                type="date"
+                {...register('refund_date', { required: 'Refund date is required' })}
+                className={`form-input ${errors.refund_date ? 'border-red-500' : ''}`}
+              />
+              {errors.refund_date && (
+                <p className="text-red-500 text-sm mt-1">{errors.refund_date.message}</p>
+              )}
+            </div>
+
+            {creditNotes.length > 0 && (
+              <div>
+                <label className="form-label">Pays Out Credit Note</label>
+                <select {...register('credit_note_id')} className="form-select">
+                  <option value="">None</option>
+                  {creditNotes.map((creditNote) => (
+                    <option key={creditNote.id} value={creditNote.id}>
+                      {creditNote.credit_note_number} ({formatCurrency(creditNote.total_amount)})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="form-label">Reference Number</label>
+              <input
+                type="text"
+                {...register('reference_number')}
+                className="form-input"
+                placeholder="Transaction ID, check number, etc."
+              />
+            </div>
+
+            <div>
+              <label className="form-label">Reason</label>
+              <input
+                type="text"
+                {...register('reason', { maxLength: { value: 255, message: 'Reason must be at most 255 characters' } })}
+                className="form-input"
+              />
+              {errors.reason && (
+                <p className="text-red-500 text-sm mt-1">{errors.reason.message}</p>
+              )}
+            </div>
+
+            <div className="flex items-center justify-end space-x-3 pt-6 border-t mt-6">
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-outline"
+                disabled={isSubmitting}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-warning"
+                disabled={isSubmitting || refundable <= 0}
+              >
+                {isSubmitting ? (
+                  <>
+                    <div className="spinner h-4 w-4 mr-2"></div>
+                    Recording...
+                  </>
+                ) : (
+                  <>
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Record Refund
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefundModal;
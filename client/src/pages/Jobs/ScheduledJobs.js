@@ -0,0 +1,354 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Loader, Play, Pause, Timer, RefreshCw, ChevronLeft, ChevronRight } from 'lucide-react';
+import { jobsAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const formatDate = (d) => {
+  if (!d) return '—';
+  return new Date(d).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${ms} ms`;
+  return `${(ms / 1000).toFixed(1)} s`;
+};
+
+// Job summaries are small objects of counts, e.g. { marked: 3 }
+const formatResult = (result) => {
+  if (!result || typeof result !== 'object') return '—';
+  const parts = Object.entries(result)
+    .filter(([, value]) => typeof value === 'number' || typeof value === 'string')
+    .map(([key, value]) => `${key.replace(/_/g, ' ')}: ${value}`);
+  return parts.length ? parts.join(', ') : '—';
+};
+
+const STATUS_STYLES = {
+  success: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  running: 'bg-blue-100 text-blue-800',
+};
+
+const StatusBadge = ({ status }) => {
+  if (!status) return <span className="text-xs text-gray-400">Never run</span>;
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${
+        STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'
+      }`}
+    >
+      {status}
+    </span>
+  );
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+export default function ScheduledJobs() {
+  const queryClient = useQueryClient();
+  const [filters, setFilters] = useState({ job_key: '', status: '' });
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, error } = useQuery(
+    'scheduled-jobs',
+    () => jobsAPI.getAll().then((res) => res.data.data),
+    {
+      retry: false,
+      refetchInterval: 30000,
+      onError: (err) => {
+        if (err.response?.status === 403) {
+          toast.error('Super admin access required');
+        } else {
+          toast.error(err.response?.data?.message || 'Failed to load background jobs');
+        }
+      },
+    }
+  );
+
+  const { data: runsData, isLoading: runsLoading } = useQuery(
+    ['scheduled-job-runs', filters, page],
+    () => jobsAPI.getRuns({ ...filters, page, limit: 25 }).then((res) => res.data.data),
+    { retry: false, keepPreviousData: true, enabled: !error }
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries('scheduled-jobs');
+    queryClient.invalidateQueries('scheduled-job-runs');
+  };
+
+  const runMutation = useMutation((key) => jobsAPI.run(key), {
+    onSuccess: (res) => {
+      toast.success(res.data.message || 'Job finished');
+      refresh();
+    },
+    onError: (err) => {
+      toast.error(getErrorMessage(err, 'Failed to run job'));
+      refresh();
+    },
+  });
+
+  const toggleMutation = useMutation(({ key, enabled }) => jobsAPI.update(key, { enabled }), {
+    onSuccess: (res) => {
+      toast.success(res.data.message || 'Job updated');
+      refresh();
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to update job')),
+  });
+
+  const jobs = data?.jobs || [];
+  const runs = runsData?.runs || [];
+  const pagination = runsData?.pagination;
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader className="h-10 w-10 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-6">
+        <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+          <p className="text-red-800 font-medium">
+            {error.response?.status === 403
+              ? 'Super admin access required to view background jobs.'
+              : getErrorMessage(error, 'Failed to load background jobs')}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Background jobs</h1>
+          <p className="text-gray-600 mt-1">
+            Scheduled tasks such as recurring invoices, payment reminders and the nightly status updates. Only visible to super admins.
+          </p>
+        </div>
+        <button type="button" onClick={refresh} className="btn btn-secondary flex items-center gap-2">
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {!data?.scheduler_enabled && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+          The scheduler is turned off on this server (JOB_SCHEDULER_ENABLED=false). Jobs only run on other instances or when started here.
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Job</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden md:table-cell">
+                  Schedule
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last run</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden lg:table-cell">
+                  Next run
+                </th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {jobs.map((job) => (
+                <tr key={job.key} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="flex items-center">
+                      <div className="flex-shrink-0 h-10 w-10 rounded-full bg-primary-100 flex items-center justify-center">
+                        <Timer className="h-5 w-5 text-primary-600" />
+                      </div>
+                      <div className="ml-4">
+                        <div className="text-sm font-medium text-gray-900 flex items-center gap-2">
+                          {job.name}
+                          {!job.enabled && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">Paused</span>
+                          )}
+                          {!job.available && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Off by configuration
+                            </span>
+                          )}
+                          {job.running && (
+                            <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">Running</span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500 max-w-md">{job.description}</p>
+                      </div>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 hidden md:table-cell">{job.schedule}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <StatusBadge status={job.last_status} />
+                    {job.last_run_at && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {formatDate(job.last_run_at)} · {formatDuration(job.last_duration_ms)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 hidden lg:table-cell">
+                    {job.enabled && job.available ? formatDate(job.next_run_at) : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right space-x-3">
+                    <button
+                      type="button"
+                      onClick={() => runMutation.mutate(job.key)}
+                      disabled={job.running || runMutation.isLoading}
+                      className="inline-flex items-center gap-1 text-primary-600 hover:text-primary-800 text-sm font-medium disabled:opacity-50"
+                    >
+                      {runMutation.isLoading && runMutation.variables === job.key ? (
+                        <Loader className="h-4 w-4 animate-spin" />
+                      ) : (
+                        <Play className="h-4 w-4" />
+                      )}
+                      Run now
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => toggleMutation.mutate({ key: job.key, enabled: !job.enabled })}
+                      disabled={toggleMutation.isLoading}
+                      className="inline-flex items-center gap-1 text-gray-600 hover:text-gray-900 text-sm font-medium disabled:opacity-50"
+                    >
+                      {job.enabled ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                      {job.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <h2 className="text-lg font-semibold text-gray-900">Run history</h2>
+          <div className="flex gap-3">
+            <select
+              value={filters.job_key}
+              onChange={(e) => handleFilterChange('job_key', e.target.value)}
+              className="input"
+            >
+              <option value="">All jobs</option>
+              {jobs.map((job) => (
+                <option key={job.key} value={job.key}>{job.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+              className="input"
+            >
+              <option value="">All statuses</option>
+              <option value="success">Success</option>
+              <option value="failed">Failed</option>
+              <option value="running">Running</option>
+            </select>
+          </div>
+        </div>
+
+        {runsLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="h-8 w-8 animate-spin text-primary-600" />
+          </div>
+        ) : runs.length === 0 ? (
+          <div className="p-12 text-center text-gray-500">
+            <Timer className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p>No runs yet.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Job</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden md:table-cell">
+                    Duration
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden lg:table-cell">
+                    Triggered by
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{run.job_name}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <StatusBadge status={run.status} />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">{formatDate(run.started_at)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 hidden md:table-cell">
+                      {formatDuration(run.duration_ms)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 hidden lg:table-cell">
+                      {run.triggered_by === 'manual' ? `Manual (${run.triggered_by_name || 'unknown'})` : 'Schedule'}
+                      <div className="text-xs text-gray-400">{run.instance_id}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      {run.status === 'failed' ? (
+                        <span className="text-red-700">{run.error_message || 'Failed'}</span>
+                      ) : (
+                        <span className="text-gray-600">{formatResult(run.result)}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+            <span>
+              Page {pagination.page} of {pagination.totalPages} · {pagination.total} runs
+            </span>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setPage((p) => p - 1)}
+                disabled={!pagination.hasPrev}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => setPage((p) => p + 1)}
+                disabled={!pagination.hasNext}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
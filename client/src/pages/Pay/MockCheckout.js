@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { FlaskConical, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { payAPI } from '../../services/api';
+
+/**
+ * Checkout page of the mock payment gateway (PAYMENT_GATEWAY=mock, development only).
+ * Stands in for a gateway's hosted checkout: completing or failing the payment sends a signed webhook
+ * to the server, then returns to the pay page like a real gateway would.
+ */
+const MockCheckout = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const checkout = searchParams.get('checkout');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  const { data, isLoading } = useQuery(['pay-invoice', token], () => payAPI.get(token), {
+    retry: false,
+    refetchOnWindowFocus: false,
+  });
+  const invoice = data?.data?.data;
+
+  const complete = async (outcome) => {
+    setIsSubmitting(true);
+    setSubmitError(null);
+    try {
+      await payAPI.completeMockCheckout(token, { checkout, outcome });
+      navigate(`/pay/${token}?status=${outcome === 'paid' ? 'success' : 'cancelled'}`, { replace: true });
+    } catch (err) {
+      setSubmitError(err.response?.data?.message || 'The mock payment could not be completed.');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="flex items-center justify-center gap-2 mb-6">
+          <FlaskConical className="h-6 w-6 text-amber-600" />
+          <span className="text-lg font-bold text-gray-900">Mock payment gateway</span>
+        </div>
+        <div className="card">
+          <div className="card-body space-y-4">
+            <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg p-3">
+              Test checkout – no money is moved. Choose the outcome the gateway should report.
+            </p>
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              </div>
+            ) : !invoice || !checkout ? (
+              <div className="flex items-center gap-2 text-sm text-red-600">
+                <AlertCircle className="h-5 w-5" />
+                This checkout is invalid.
+              </div>
+            ) : (
+              <>
+                <div className="text-sm">
+                  <p className="text-gray-500">Invoice {invoice.invoice_number}</p>
+                  <p className="text-2xl font-semibold text-gray-900">
+                    {new Intl.NumberFormat('en-US', { style: 'currency', currency: invoice.currency || 'USD' })
+                      .format(Number(invoice.outstanding_amount) || 0)}
+                  </p>
+                </div>
+                {submitError && <p className="text-sm text-red-600">{submitError}</p>}
+                <div className="flex gap-3">
+                  <button
+                    type="button"
+                    onClick={() => complete('paid')}
+                    disabled={isSubmitting}
+                    className="btn btn-success flex-1 justify-center"
+                  >
+                    <CheckCircle className="h-4 w-4 mr-2" />
+                    Pay
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => complete('failed')}
+                    disabled={isSubmitting}
+                    className="btn btn-outline flex-1 justify-center text-red-600"
+                  >
+                    <XCircle className="h-4 w-4 mr-2" />
+                    Fail payment
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MockCheckout;
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { useParams, useSearchParams } from 'react-router-dom';
+import { Receipt, CreditCard, CheckCircle, AlertCircle, Loader } from 'lucide-react';
+import { payAPI } from '../../services/api';
+import { formatQuantity } from '../../utils/gst';
+
+const formatCurrency = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: currency || 'USD',
+}).format(Number(amount) || 0);
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  : '—');
+
+/**
+ * Public pay page for an invoice (/pay/:token) – no login required.
+ * "Pay now" opens the gateway's hosted checkout, which returns here with ?status=success or ?status=cancelled.
+ */
+const PayInvoice = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const returnStatus = searchParams.get('status');
+  const [isRedirecting, setIsRedirecting] = useState(false);
+  const [checkoutError, setCheckoutError] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    ['pay-invoice', token],
+    () => payAPI.get(token),
+    {
+      retry: false,
+      refetchOnWindowFocus: false,
+      // Back from a successful checkout: the gateway's webhook may arrive a few seconds later
+      refetchInterval: (response) => (
+        returnStatus === 'success' && response?.data?.data?.payable ? 3000 : false
+      ),
+    }
+  );
+  const invoice = data?.data?.data;
+
+  const handlePay = async () => {
+    setIsRedirecting(true);
+    setCheckoutError(null);
+    try {
+      const response = await payAPI.checkout(token);
+      window.location.assign(response.data.data.url);
+    } catch (err) {
+      setCheckoutError(err.response?.data?.message || 'The payment could not be started. Please try again.');
+      setIsRedirecting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      );
+    }
+
+    if (error || !invoice) {
+      return (
+        <div className="text-center py-4">
+          <AlertCircle className="h-10 w-10 text-red-500 mx-auto mb-3" />
+          <h2 className="text-lg font-semibold text-gray-900">Link unavailable</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            {error?.response?.data?.message || 'This payment link is invalid.'}
+          </p>
+          <p className="mt-3 text-xs text-gray-500">Please contact the sender of the invoice.</p>
+        </div>
+      );
+    }
+
+    const isPaid = invoice.status === 'paid' || Number(invoice.outstanding_amount) <= 0;
+    return (
+      <div className="space-y-5">
+        <div className="flex items-start gap-3">
+          <div className="p-2 bg-primary-50 rounded-lg">
+            <Receipt className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Invoice {invoice.invoice_number}</h2>
+            {invoice.from_name && <p className="text-sm text-gray-600">From {invoice.from_name}</p>}
+            <p className="text-xs text-gray-500 mt-1">
+              {invoice.client_name ? `Billed to ${invoice.client_name} · ` : ''}Due {formatDate(invoice.due_date)}
+            </p>
+          </div>
+        </div>
+
+        {invoice.items?.length > 0 && (
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {invoice.items.map((item, index) => (
+              <div key={index} className="flex justify-between gap-4 px-3 py-2 text-sm">
+                <div>
+                  <p className="text-gray-900">{item.item_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatQuantity(item.quantity, item.unit)} × {formatCurrency(item.unit_price, invoice.currency)}
+                    {Number(item.discount_amount) > 0 && ` less ${formatCurrency(item.discount_amount, invoice.currency)}`}
+                  </p>
+                </div>
+                <p className="text-gray-900 whitespace-nowrap">{formatCurrency(item.total_price, invoice.currency)}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <dl className="space-y-1 text-sm">
+          {Number(invoice.discount_amount) > 0 && (
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Discount</dt>
+              <dd className="text-gray-900">-{formatCurrency(invoice.discount_amount, invoice.currency)}</dd>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <dt className="text-gray-500">Total</dt>
+            <dd className="text-gray-900">{formatCurrency(invoice.total_amount, invoice.currency)}</dd>
+          </div>
+          {Number(invoice.paid_amount) > 0 && (
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Paid</dt>
+              <dd className="text-gray-900">{formatCurrency(invoice.paid_amount, invoice.currency)}</dd>
+            </div>
+          )}
+          {Number(invoice.credited_amount) > 0 && (
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Credited</dt>
+              <dd className="text-gray-900">{formatCurrency(invoice.credited_amount, invoice.currency)}</dd>
+            </div>
+          )}
+          <div className="flex justify-between font-semibold">
+            <dt className="text-gray-900">Amount due</dt>
+            <dd className="text-gray-900">{formatCurrency(invoice.outstanding_amount, invoice.currency)}</dd>
+          </div>
+        </dl>
+
+        {isPaid ? (
+          <div className="flex items-center gap-2 rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-800">
+            <CheckCircle className="h-5 w-5 flex-shrink-0" />
+            {returnStatus === 'success' ? 'Thank you – your payment has been received.' : 'This invoice has been paid.'}
+          </div>
+        ) : returnStatus === 'success' && invoice.payable ? (
+          <div className="flex items-center gap-2 rounded-lg bg-blue-50 border border-blue-200 p-3 text-sm text-blue-800">
+            <Loader className="h-5 w-5 flex-shrink-0 animate-spin" />
+            Confirming your payment with {invoice.gateway?.name || 'the payment provider'}...
+          </div>
+        ) : invoice.payable ? (
+          <>
+            {returnStatus === 'cancelled' && (
+              <p className="text-sm text-gray-600">The payment was cancelled. You can try again below.</p>
+            )}
+            {checkoutError && <p className="text-sm text-red-600">{checkoutError}</p>}
+            <button
+              type="button"
+              onClick={handlePay}
+              disabled={isRedirecting}
+              className="btn btn-primary w-full justify-center"
+            >
+              <CreditCard className="h-4 w-4 mr-2" />
+              {isRedirecting ? 'Redirecting...' : `Pay ${formatCurrency(invoice.outstanding_amount, invoice.currency)}`}
+            </button>
+            <p className="text-xs text-gray-500 text-center">
+              You will be redirected to {invoice.gateway?.name || 'our payment provider'} to complete the payment securely.
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-gray-600">{invoice.not_payable_reason}</p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="flex items-center justify-center gap-2 mb-6">
+          <Receipt className="h-6 w-6 text-primary-600" />
+          <span className="text-lg font-bold text-gray-900">WT Project Management</span>
+        </div>
+        <div className="card">
+          <div className="card-body">
+            {renderContent()}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PayInvoice;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useQueryClient } from 'react-query';
 import { 
   Activity, 
   Filter, 
@@ -14,8 +14,10 @@ import {
 } from 'lucide-react';
 import { pmAPI } from '../../../services/api';
 import { formatDistanceToNow } from 'date-fns';
+import { useWorkspaceRealtime } from '../../../hooks/useRealtime';
 
 const ActivityFeed = ({ workspaceId }) => {
+  const queryClient = useQueryClient();
   const [filters, setFilters] = useState({
     entity_type: '',
     action: '',
@@ -27,13 +29,20 @@ const ActivityFeed = ({ workspaceId }) => {
   const [page, setPage] = useState(1);
   const limit = 20;
 
+  // New activities are pushed over the real-time channel; poll only when it is unavailable
+  const { connected: realtimeConnected } = useWorkspaceRealtime(workspaceId, (event) => {
+    if (event.type === 'activity:created') {
+      queryClient.invalidateQueries(['pm-activities', workspaceId]);
+    }
+  });
+
   // Fetch activities
   const { data: activitiesData, isLoading, error, refetch } = useQuery(
     ['pm-activities', workspaceId, filters, page],
     () => pmAPI.getActivities(workspaceId, { ...filters, limit, offset: (page - 1) * limit }),
     {
       enabled: !!workspaceId,
-      refetchInterval: 30000, // Refetch every 30 seconds
+      refetchInterval: realtimeConnected ? false : 30000, // Refetch every 30 seconds while offline
     }
   );
 
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { useMutation } from 'react-query';
+import { X, Receipt } from 'lucide-react';
+import { expensesAPI, filesAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+export const EXPENSE_CATEGORIES = [
+  { value: 'software', label: 'Software' },
+  { value: 'hosting', label: 'Hosting' },
+  { value: 'hardware', label: 'Hardware' },
+  { value: 'travel', label: 'Travel' },
+  { value: 'subcontractor', label: 'Subcontractor' },
+  { value: 'materials', label: 'Materials' },
+  { value: 'fees', label: 'Fees' },
+  { value: 'other', label: 'Other' },
+];
+
+const getDefaultValues = (currency) => ({
+  expense_date: new Date().toISOString().split('T')[0],
+  vendor: '',
+  category: 'other',
+  description: '',
+  amount: '',
+  currency: currency || 'USD',
+  is_billable: false,
+});
+
+/**
+ * Create or edit an expense of a project. A receipt picked here is uploaded to the project files first and linked
+ * to the expense.
+ */
+const ExpenseModal = ({ isOpen, onClose, onSuccess, projectId, expense, defaultCurrency }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [receiptFile, setReceiptFile] = useState(null);
+  const [removeReceipt, setRemoveReceipt] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: getDefaultValues(defaultCurrency) });
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setReceiptFile(null);
+    setRemoveReceipt(false);
+    reset(expense
+      ? {
+        expense_date: expense.expense_date ? String(expense.expense_date).split('T')[0] : '',
+        vendor: expense.vendor || '',
+        category: expense.category || 'other',
+        description: expense.description || '',
+        amount: expense.amount ?? '',
+        currency: expense.currency || 'USD',
+        is_billable: Boolean(expense.is_billable),
+      }
+      : getDefaultValues(defaultCurrency));
+  }, [isOpen, expense, defaultCurrency, reset]);
+
+  const mutation = useMutation(
+    (data) => (expense ? expensesAPI.update(expense.id, data) : expensesAPI.create(data)),
+    {
+      onSuccess: () => {
+        toast.success(expense ? 'Expense updated successfully' : 'Expense added successfully');
+        onSuccess();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save expense');
+      },
+      onSettled: () => {
+        setIsSubmitting(false);
+      },
+    }
+  );
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+    let receiptFileId = removeReceipt ? null : expense?.receipt_file_id || null;
+    if (receiptFile) {
+      try {
+        const formData = new FormData();
+        formData.append('file', receiptFile);
+        formData.append('project_id', projectId);
+        formData.append('description', data.vendor ? `Receipt: ${data.vendor.trim()}` : 'Expense receipt');
+        const response = await filesAPI.upload(formData);
+        receiptFileId = response.data.data.id;
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to upload receipt');
+        setIsSubmitting(false);
+        return;
+      }
+    }
+    mutation.mutate({
+      ...data,
+      project_id: projectId,
+      amount: parseFloat(data.amount),
+      vendor: data.vendor ? data.vendor.trim() : null,
+      description: data.description || null,
+      receipt_file_id: receiptFileId,
+    });
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+            <Receipt className="h-5 w-5 mr-2 text-gray-500" />
+            {expense ? 'Edit Expense' : 'New Expense'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="form-label">Date *</label>
+              <input
+                type="date"
+                {...register('expense_date', { required: 'Date is required' })}
+                className={`form-input ${errors.expense_date ? 'border-red-500' : ''}`}
+              />
+              {errors.expense_date && (
+                <p className="text-red-500 text-sm mt-1">{errors.expense_date.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Category</label>
+              <select {...register('category')} className="form-select">
+                {EXPENSE_CATEGORIES.map((category) => (
+                  <option key={category.value} value={category.value}>{category.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="form-label">Vendor</label>
+              <input
+                {...register('vendor', { maxLength: { value: 200, message: 'Vendor must be at most 200 characters' } })}
+                className={`form-input ${errors.vendor ? 'border-red-500' : ''}`}
+                placeholder="e.g., DigitalOcean"
+              />
+              {errors.vendor && (
+                <p className="text-red-500 text-sm mt-1">{errors.vendor.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Amount *</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                {...register('amount', {
+                  required: 'Amount is required',
+                  min: { value: 0.01, message: 'Amount must be greater than 0' }
+                })}
+                className={`form-input ${errors.amount ? 'border-red-500' : ''}`}
+              />
+              {errors.amount && (
+                <p className="text-red-500 text-sm mt-1">{errors.amount.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label className="form-label">Currency</label>
+              <select {...register('currency')} className="form-select">
+                <option value="USD">USD</option>
+                <option value="EUR">EUR</option>
+                <option value="GBP">GBP</option>
+                <option value="INR">INR</option>
+              </select>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="form-label">Description</label>
+              <textarea
+                {...register('description')}
+                className="form-input"
+                rows={3}
+                placeholder="Used as the line description when the expense is billed"
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="form-label">Receipt</label>
+              {expense?.receipt_file_id && !removeReceipt && !receiptFile && (
+                <div className="flex items-center justify-between mb-2 text-sm text-gray-700">
+                  <span>{expense.receipt_name || 'Receipt'}</span>
+                  <button
+                    type="button"
+                    onClick={() => setRemoveReceipt(true)}
+                    className="text-danger-600 hover:text-danger-700"
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+              <input
+                type="file"
+                onChange={(e) => setReceiptFile(e.target.files[0] || null)}
+                className="form-input"
+              />
+              <p className="text-xs text-gray-500 mt-1">Uploaded to the project files.</p>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  {...register('is_billable')}
+                  className="rounded border-gray-300"
+                />
+                <span className="text-sm text-gray-700">
+                  Billable (can be added to an invoice of the client)
+                  {expense?.invoice_number && ` - billed on ${expense.invoice_number}`}
+                </span>
+              </label>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-6 border-t">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-outline"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="btn btn-primary"
+            >
+              {isSubmitting ? 'Saving...' : expense ? 'Update Expense' : 'Add Expense'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ExpenseModal;
@@ -5,6 +5,9 @@ import { pmAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import { useAuth } from '../../contexts/AuthContext';
 import ChatMessageList from './ChatMessageList';
+import { useWorkspaceRealtime } from '../../hooks/useRealtime';
+
+const TYPING_TIMEOUT_MS = 4000;
 
 const ProjectChatModal = ({ isOpen, onClose, project, workspace }) => {
   const queryClient = useQueryClient();
@@ -14,8 +17,10 @@ const ProjectChatModal = ({ isOpen, onClose, project, workspace }) => {
   const [showMentionList, setShowMentionList] = useState(false);
   const [mentionSearch, setMentionSearch] = useState('');
   const [mentionIndex, setMentionIndex] = useState(-1);
+  const [typingUsers, setTypingUsers] = useState({});
   const messageInputRef = useRef(null);
   const mentionListRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
 
   // Get or create chat room
   const { data: roomData, isLoading: roomLoading } = useQuery(
@@ -29,13 +34,52 @@ const ProjectChatModal = ({ isOpen, onClose, project, workspace }) => {
 
   const chatRoom = roomData?.data?.data;
 
+  // Real-time updates; polling below is only a fallback while the socket is down
+  const { connected: realtimeConnected, sendTyping } = useWorkspaceRealtime(
+    isOpen ? workspace?.id : null,
+    (event) => {
+      if (event.type === 'chat:message' || event.type === 'chat:read') {
+        if (event.data?.chat_room_id === chatRoom?.id) {
+          queryClient.invalidateQueries(['pm-chat-messages', chatRoom.id]);
+        }
+        if (event.type === 'chat:message') {
+          setTypingUsers((prev) => {
+            const { [event.data.user_id]: _removed, ...rest } = prev;
+            return rest;
+          });
+        }
+      } else if (event.type === 'chat:typing') {
+        const { user_id: typingUserId, user_name: typingUserName, is_typing: isTyping } = event.data || {};
+        setTypingUsers((prev) => {
+          const { [typingUserId]: _removed, ...rest } = prev;
+          return isTyping ? { ...rest, [typingUserId]: { name: typingUserName, at: Date.now() } } : rest;
+        });
+      }
+    }
+  );
+
+  // Expire typing indicators if the "stopped typing" event never arrives
+  useEffect(() => {
+    if (Object.keys(typingUsers).length === 0) return undefined;
+    const intervalId = setInterval(() => {
+      setTypingUsers((prev) => {
+        const now = Date.now();
+        const active = Object.fromEntries(
+          Object.entries(prev).filter(([, entry]) => now - entry.at < TYPING_TIMEOUT_MS)
+        );
+        return Object.keys(active).length === Object.keys(prev).length ? prev : active;
+      });
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [typingUsers]);
+
   // Fetch messages - with error handling and reduced polling
   const { data: messagesData, isLoading: messagesLoading, error: messagesError } = useQuery(
     ['pm-chat-messages', chatRoom?.id],
     () => pmAPI.getChatMessages(chatRoom.id, { limit: 50 }),
     {
       enabled: Boolean(isOpen && chatRoom?.id),
-      refetchInterval: Boolean(isOpen && chatRoom?.id) ? 10000 : false, // Poll every 10 seconds only when modal is open
+      refetchInterval: Boolean(isOpen && chatRoom?.id) && !realtimeConnected ? 10000 : false, // Poll every 10 seconds only when modal is open and real-time is unavailable
       refetchOnWindowFocus: false,
       refetchOnMount: true,
       retry: (failureCount, error) => {
@@ -79,6 +123,8 @@ const ProjectChatModal = ({ isOpen, onClose, project, workspace }) => {
       onSuccess: () => {
         setMessage('');
         setMentions([]);
+        lastTypingSentRef.current = 0;
+        sendTyping(false);
         // Invalidate queries to refresh data
         queryClient.invalidateQueries(['pm-chat-messages', chatRoom.id]);
         queryClient.invalidateQueries(['pm-chat-unread-count', chatRoom.id]);
@@ -118,6 +164,16 @@ const ProjectChatModal = ({ isOpen, onClose, project, workspace }) => {
     const value = e.target.value;
     setMessage(value);
 
+    // Throttle typing notifications to one every couple of seconds
+    const now = Date.now();
+    if (value && now - lastTypingSentRef.current > 2000) {
+      lastTypingSentRef.current = now;
+      sendTyping(true);
+    } else if (!value && lastTypingSentRef.current) {
+      lastTypingSentRef.current = 0;
+      sendTyping(false);
+    }
+
     const cursorPosition = e.target.selectionStart;
     const textBeforeCursor = value.substring(0, cursorPosition);
     const lastAtIndex = textBeforeCursor.lastIndexOf('@');
@@ -268,6 +324,12 @@ const ProjectChatModal = ({ isOpen, onClose, project, workspace }) => {
         {/* Message Input */}
         {chatRoom && (
           <div className="p-4 border-t border-gray-200 relative">
+            {Object.keys(typingUsers).length > 0 && (
+              <p className="text-xs text-gray-500 mb-2">
+                {Object.values(typingUsers).map((entry) => entry.name || 'Someone').join(', ')}
+                {Object.keys(typingUsers).length === 1 ? ' is typing...' : ' are typing...'}
+              </p>
+            )}
             <form onSubmit={handleSendMessage} className="flex items-end gap-2">
               <div className="flex-1 relative">
                 <textarea
@@ -14,16 +14,20 @@ import {
   Plus,
   Download,
   Trash2,
+  Receipt,
 } from 'lucide-react';
-import { projectsAPI, filesAPI } from '../../services/api';
+import { projectsAPI, filesAPI, expensesAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import ProjectModal from './ProjectModal';
+import ExpenseModal, { EXPENSE_CATEGORIES } from './ExpenseModal';
 
 const ProjectDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [isExpenseModalOpen, setIsExpenseModalOpen] = useState(false);
+  const [selectedExpense, setSelectedExpense] = useState(null);
 
   // Fetch project data
   const {
@@ -39,6 +43,18 @@ const ProjectDetail = () => {
   );
 
   const project = projectData?.data?.data;
+  // Without migration 030 the project has no computed costs and expenses are not tracked
+  const costs = project?.costs;
+
+  const { data: expensesData } = useQuery(
+    ['project-expenses', id],
+    () => expensesAPI.getAll({ project_id: id, limit: 1000 }),
+    {
+      enabled: !!id && !!costs,
+    }
+  );
+
+  const expenses = expensesData?.data?.data?.expenses || [];
 
   // File handling functions
   const handleDownloadFile = async (fileId) => {
@@ -57,6 +73,28 @@ const ProjectDetail = () => {
     }
   };
 
+  const refreshExpenses = () => {
+    queryClient.invalidateQueries(['project-expenses', id]);
+    queryClient.invalidateQueries(['project', id]);
+  };
+
+  const handleOpenExpense = (expense = null) => {
+    setSelectedExpense(expense);
+    setIsExpenseModalOpen(true);
+  };
+
+  const handleDeleteExpense = async (expense) => {
+    if (window.confirm('Are you sure you want to delete this expense?')) {
+      try {
+        await expensesAPI.delete(expense.id);
+        toast.success('Expense deleted successfully');
+        refreshExpenses();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete expense');
+      }
+    }
+  };
+
   const handleDeleteFile = async (fileId) => {
     if (window.confirm('Are you sure you want to delete this file?')) {
       try {
@@ -114,6 +152,15 @@ const ProjectDetail = () => {
     }).format(amount);
   };
 
+  const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency || 'USD',
+  }).format(amount || 0);
+
+  const getCategoryText = (category) => (
+    EXPENSE_CATEGORIES.find((option) => option.value === category)?.label || getTypeText(category)
+  );
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -298,6 +345,43 @@ const ProjectDetail = () => {
               <p className="text-sm font-medium text-gray-900">Invoices</p>
               <p className="text-sm text-gray-600">{project.invoice_count || 0} total</p>
             </div>
+
+            {costs ? (
+              <div className="pt-4 border-t space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Expenses</span>
+                  <span className="text-gray-900">{formatMoney(costs.expense_cost, costs.base_currency)}</span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Time ({costs.labour_hours}h)</span>
+                  <span className="text-gray-900">{formatMoney(costs.labour_cost, costs.base_currency)}</span>
+                </div>
+                <div className="flex justify-between text-sm font-medium">
+                  <span className="text-gray-900">Actual Cost</span>
+                  <span className={project.budget && costs.actual_cost > project.budget ? 'text-danger-600' : 'text-gray-900'}>
+                    {formatMoney(costs.actual_cost, costs.base_currency)}
+                    {project.budget ? ` of ${formatMoney(project.budget, costs.base_currency)}` : ''}
+                  </span>
+                </div>
+                {costs.unbilled_billable > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Unbilled billable expenses</span>
+                    <span className="text-warning-600">{formatMoney(costs.unbilled_billable, costs.base_currency)}</span>
+                  </div>
+                )}
+                {(costs.uncosted_hours > 0 || costs.unconverted_expenses > 0) && (
+                  <p className="text-xs text-gray-500">
+                    {costs.uncosted_hours > 0 && `${costs.uncosted_hours}h logged by users without a cost rate are not costed. `}
+                    {costs.unconverted_expenses > 0 && `${costs.unconverted_expenses} expense(s) without an exchange rate are left out.`}
+                  </p>
+                )}
+              </div>
+            ) : project.actual_cost ? (
+              <div>
+                <p className="text-sm font-medium text-gray-900">Actual Cost</p>
+                <p className="text-sm text-gray-600">{formatCurrency(project.actual_cost)}</p>
+              </div>
+            ) : null}
           </div>
         </div>
       </div>
@@ -461,6 +545,92 @@ const ProjectDetail = () => {
         </div>
       </div>
 
+      {/* Expenses */}
+      {costs && (
+        <div className="card">
+          <div className="card-header">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">Expenses</h3>
+              <button
+                onClick={() => handleOpenExpense()}
+                className="btn btn-primary btn-sm"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Expense
+              </button>
+            </div>
+          </div>
+          <div className="card-body">
+            {expenses.length > 0 ? (
+              <div className="space-y-4">
+                {expenses.map((expense) => (
+                  <div
+                    key={expense.id}
+                    className="flex items-center justify-between p-4 bg-gray-50 rounded-lg"
+                  >
+                    <div className="flex-1">
+                      <h4 className="font-medium text-gray-900">
+                        {expense.vendor || getCategoryText(expense.category)}
+                      </h4>
+                      <div className="flex items-center space-x-4 mt-1 text-sm text-gray-600">
+                        <span>{formatDate(expense.expense_date)}</span>
+                        <span>{getCategoryText(expense.category)}</span>
+                        {expense.description && <span className="truncate max-w-xs">{expense.description}</span>}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <span className="font-medium text-gray-900">
+                        {formatMoney(expense.amount, expense.currency)}
+                      </span>
+                      {expense.invoice_id ? (
+                        <button
+                          onClick={() => navigate(`/invoices/${expense.invoice_id}`)}
+                          className="badge badge-success"
+                          title="Open invoice"
+                        >
+                          Billed {expense.invoice_number}
+                        </button>
+                      ) : expense.is_billable ? (
+                        <span className="badge badge-warning">Billable</span>
+                      ) : null}
+                      {expense.receipt_file_id && (
+                        <button
+                          onClick={() => handleDownloadFile(expense.receipt_file_id)}
+                          className="btn btn-outline btn-sm"
+                          title="Download receipt"
+                        >
+                          <Download className="h-4 w-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleOpenExpense(expense)}
+                        className="btn btn-outline btn-sm"
+                        title="Edit"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteExpense(expense)}
+                        disabled={!!expense.invoice_id}
+                        className="btn btn-outline btn-sm text-danger-600"
+                        title={expense.invoice_id ? 'Remove it from the invoice first' : 'Delete'}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8">
+                <Receipt className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                <p className="text-gray-500">No expenses recorded for this project</p>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Project Files */}
       <div className="card">
         <div className="card-header">
@@ -548,6 +718,18 @@ const ProjectDetail = () => {
         }}
         project={project}
       />
+
+      <ExpenseModal
+        isOpen={isExpenseModalOpen}
+        onClose={() => setIsExpenseModalOpen(false)}
+        onSuccess={() => {
+          refreshExpenses();
+          setIsExpenseModalOpen(false);
+        }}
+        projectId={project.id}
+        expense={selectedExpense}
+        defaultCurrency={costs?.base_currency}
+      />
     </div>
   );
 };
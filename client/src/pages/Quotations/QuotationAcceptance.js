@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import { Link2, Copy, CheckCircle, XCircle, RefreshCw, Ban } from 'lucide-react';
+import { quotationsAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'N/A');
+
+/**
+ * Online acceptance of a quotation: the public link the client accepts or declines it on,
+ * automatic conversion to an invoice, and the client's answer
+ */
+const QuotationAcceptance = ({ quotation }) => {
+  const queryClient = useQueryClient();
+  const [acceptanceUrl, setAcceptanceUrl] = useState(null);
+
+  const linkMutation = useMutation(
+    (replace) => quotationsAPI.getAcceptanceLink(quotation.id, replace ? { replace: true } : undefined),
+    {
+      onSuccess: (response, replace) => {
+        const url = response.data.data.url;
+        setAcceptanceUrl(url);
+        navigator.clipboard.writeText(url);
+        toast.success(replace ? 'New acceptance link copied to clipboard; earlier links no longer work' : 'Acceptance link copied to clipboard');
+        queryClient.invalidateQueries(['quotation-revisions', String(quotation.id)]);
+        if (replace) queryClient.invalidateQueries(['quotation', String(quotation.id)]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create acceptance link');
+      },
+    }
+  );
+
+  const revokeMutation = useMutation(
+    () => quotationsAPI.revokeAcceptanceLink(quotation.id),
+    {
+      onSuccess: (response) => {
+        setAcceptanceUrl(null);
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['quotation', String(quotation.id)]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to turn off acceptance link');
+      },
+    }
+  );
+
+  const isLinkRevoked = Boolean(quotation.acceptance_link_revoked_at);
+
+  const settingsMutation = useMutation(
+    (autoConvert) => quotationsAPI.updateAcceptanceSettings(quotation.id, { auto_convert_on_accept: autoConvert }),
+    {
+      onSuccess: (response) => {
+        toast.success(response.data.message);
+        queryClient.invalidateQueries(['quotation', String(quotation.id)]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update acceptance settings');
+      },
+    }
+  );
+
+  const isAcceptedOnline = quotation.status === 'accepted' && quotation.accepted_at;
+  const isDeclinedOnline = quotation.status === 'declined' && quotation.declined_at;
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Client Acceptance</h3>
+      </div>
+      <div className="card-body space-y-4">
+        {isAcceptedOnline && (
+          <div className="flex items-start gap-2 rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-800">
+            <CheckCircle className="h-5 w-5 flex-shrink-0" />
+            <div>
+              <p>
+                Accepted online by <span className="font-medium">{quotation.accepted_by_name}</span> on {formatDateTime(quotation.accepted_at)}
+                {quotation.accepted_revision ? ` (revision ${quotation.accepted_revision})` : ''}
+              </p>
+              {quotation.accepted_ip && <p className="text-xs mt-1">IP address {quotation.accepted_ip}</p>}
+            </div>
+          </div>
+        )}
+        {isDeclinedOnline && (
+          <div className="flex items-start gap-2 rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-800">
+            <XCircle className="h-5 w-5 flex-shrink-0" />
+            <div>
+              <p>Declined online on {formatDateTime(quotation.declined_at)}</p>
+              {quotation.decline_reason && <p className="mt-1 whitespace-pre-wrap">Reason: {quotation.decline_reason}</p>}
+            </div>
+          </div>
+        )}
+
+        {quotation.status === 'draft' ? (
+          <p className="text-sm text-gray-600">
+            Once the quotation is sent, the client can accept or decline it online. Quotation emails include the link.
+          </p>
+        ) : (
+          <div>
+            <p className="text-sm text-gray-600 mb-2">
+              {isLinkRevoked
+                ? 'The acceptance link is turned off. A new link replaces every earlier one.'
+                : 'The client views the current revision on this link and accepts it by typing their name.'}
+            </p>
+            <div className="flex items-center gap-2">
+              {acceptanceUrl && !isLinkRevoked && (
+                <input type="text" readOnly value={acceptanceUrl} className="form-input text-sm" onFocus={(e) => e.target.select()} />
+              )}
+              {isLinkRevoked ? (
+                <button
+                  type="button"
+                  onClick={() => linkMutation.mutate(true)}
+                  className="btn btn-outline btn-sm whitespace-nowrap"
+                  disabled={linkMutation.isLoading}
+                >
+                  <RefreshCw className="h-4 w-4 mr-2" />
+                  Create New Link
+                </button>
+              ) : (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => linkMutation.mutate(false)}
+                    className="btn btn-outline btn-sm whitespace-nowrap"
+                    disabled={linkMutation.isLoading}
+                  >
+                    {acceptanceUrl ? <Copy className="h-4 w-4 mr-2" /> : <Link2 className="h-4 w-4 mr-2" />}
+                    {acceptanceUrl ? 'Copy' : 'Copy Acceptance Link'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      if (window.confirm('Replace the acceptance link? Links already sent to the client will stop working.')) {
+                        linkMutation.mutate(true);
+                      }
+                    }}
+                    className="btn btn-outline btn-sm"
+                    title="Replace link"
+                    disabled={linkMutation.isLoading}
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      if (window.confirm('Turn off the acceptance link? The client will no longer be able to answer online.')) {
+                        revokeMutation.mutate();
+                      }
+                    }}
+                    className="btn btn-outline btn-sm text-danger-600"
+                    title="Turn off link"
+                    disabled={revokeMutation.isLoading}
+                  >
+                    <Ban className="h-4 w-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        <label className="flex items-start gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            className="mt-1"
+            checked={Boolean(quotation.auto_convert_on_accept)}
+            disabled={settingsMutation.isLoading}
+            onChange={(e) => settingsMutation.mutate(e.target.checked)}
+          />
+          <span>Convert to a draft invoice automatically when the client accepts online</span>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default QuotationAcceptance;
@@ -15,11 +15,18 @@ import {
   CheckCircle,
   XCircle,
   Clock,
+  Send,
 } from 'lucide-react';
 import { quotationsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import QuotationModal from './QuotationModal';
 import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+import GstTaxSummary from '../../components/Common/GstTaxSummary';
+import { formatQuantity } from '../../utils/gst';
+import SendDocumentModal from '../../components/Common/SendDocumentModal';
+import QuotationAcceptance from './QuotationAcceptance';
+import QuotationRevisions from './QuotationRevisions';
+import { downloadQuotationPdf } from './Quotations';
 
 const QuotationDetail = () => {
   const { id } = useParams();
@@ -27,6 +34,8 @@ const QuotationDetail = () => {
   const queryClient = useQueryClient();
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
+  const [isSendModalOpen, setIsSendModalOpen] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
 
   // Fetch quotation data
   const {
@@ -71,6 +80,13 @@ const QuotationDetail = () => {
     }
   );
 
+  // Download quotation PDF
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    await downloadQuotationPdf(quotation);
+    setIsDownloading(false);
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'draft':
@@ -166,6 +182,14 @@ const QuotationDetail = () => {
           </div>
         </div>
         <div className="flex items-center space-x-3">
+          <button
+            onClick={handleDownload}
+            className="btn btn-outline"
+            disabled={isDownloading}
+          >
+            <Download className={`h-4 w-4 mr-2 ${isDownloading ? 'animate-spin' : ''}`} />
+            {isDownloading ? 'Downloading...' : 'Download PDF'}
+          </button>
           {quotation.status === 'accepted' && (
             <button
               onClick={() => convertToInvoiceMutation.mutate()}
@@ -176,6 +200,15 @@ const QuotationDetail = () => {
               Convert to Invoice
             </button>
           )}
+          {quotation.status !== 'expired' && (
+            <button
+              onClick={() => setIsSendModalOpen(true)}
+              className="btn btn-outline"
+            >
+              <Send className="h-4 w-4 mr-2" />
+              Send
+            </button>
+          )}
           <button
             onClick={() => setIsEditModalOpen(true)}
             className="btn btn-primary"
@@ -282,6 +315,20 @@ const QuotationDetail = () => {
                 <p className="text-sm text-gray-600">{quotation.client_address}</p>
               </div>
             )}
+
+            {quotation.client_gst_number && (
+              <div>
+                <p className="text-sm font-medium text-gray-900">GSTIN</p>
+                <p className="text-sm text-gray-600 font-mono">{quotation.client_gst_number}</p>
+              </div>
+            )}
+
+            {quotation.place_of_supply_name && (
+              <div>
+                <p className="text-sm font-medium text-gray-900">Place of Supply</p>
+                <p className="text-sm text-gray-600">{quotation.place_of_supply_name}</p>
+              </div>
+            )}
           </div>
         </div>
 
@@ -298,6 +345,17 @@ const QuotationDetail = () => {
               </p>
             </div>
 
+            {parseFloat(quotation.discount_amount) > 0 && (
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  Discount{quotation.discount_type === 'percentage' ? ` (${Number(quotation.discount_value)}%)` : ''}
+                </p>
+                <p className="text-lg font-bold text-gray-900">
+                  -{formatCurrency(quotation.discount_amount)}
+                </p>
+              </div>
+            )}
+
             <div>
               <p className="text-sm font-medium text-gray-900">Tax Rate</p>
               <p className="text-sm text-gray-600">{quotation.tax_rate}%</p>
@@ -308,6 +366,14 @@ const QuotationDetail = () => {
               <p className="text-lg font-bold text-gray-900">
                 {formatCurrency(quotation.tax_amount)}
               </p>
+              {quotation.supply_type === 'intra_state' && (
+                <p className="text-sm text-gray-600">
+                  CGST {formatCurrency(quotation.cgst_amount)} + SGST {formatCurrency(quotation.sgst_amount)}
+                </p>
+              )}
+              {quotation.supply_type === 'inter_state' && (
+                <p className="text-sm text-gray-600">IGST {formatCurrency(quotation.igst_amount)}</p>
+              )}
             </div>
 
             <div className="border-t pt-4">
@@ -382,6 +448,13 @@ const QuotationDetail = () => {
                         <div className="text-sm font-medium text-gray-900">
                           {item.item_name}
                         </div>
+                        {(item.hsn_sac || (quotation.supply_type && item.tax_rate != null)) && (
+                          <div className="text-xs text-gray-500">
+                            {item.hsn_sac && `HSN/SAC ${item.hsn_sac}`}
+                            {item.hsn_sac && quotation.supply_type && item.tax_rate != null && ' · '}
+                            {quotation.supply_type && item.tax_rate != null && `GST ${Number(item.tax_rate)}%`}
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4">
                         <div className="text-sm text-gray-600">
@@ -390,7 +463,7 @@ const QuotationDetail = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
-                          {item.quantity}
+                          {formatQuantity(item.quantity, item.unit)}
                         </div>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -402,6 +475,13 @@ const QuotationDetail = () => {
                         <div className="text-sm font-medium text-gray-900">
                           {formatCurrency(item.total_price)}
                         </div>
+                        {parseFloat(item.discount_amount) > 0 && (
+                          <div className="text-xs text-gray-500">
+                            after {item.discount_type === 'percentage'
+                              ? `${Number(item.discount_value)}%`
+                              : formatCurrency(item.discount_amount)} off
+                          </div>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -417,6 +497,16 @@ const QuotationDetail = () => {
         </div>
       </div>
 
+      <GstTaxSummary document={quotation} formatCurrency={formatCurrency} />
+
+      {/* Online acceptance and revisions (migration 025) */}
+      {quotation.revision_number !== undefined && (
+        <>
+          <QuotationAcceptance quotation={quotation} />
+          <QuotationRevisions quotation={quotation} />
+        </>
+      )}
+
       {/* Notes and Terms */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {quotation.notes && (
@@ -487,11 +577,26 @@ const QuotationDetail = () => {
         onClose={() => setIsEditModalOpen(false)}
         onSuccess={() => {
           queryClient.invalidateQueries(['quotation', id]);
+          queryClient.invalidateQueries(['quotation-revisions', id]);
           setIsEditModalOpen(false);
         }}
         quotation={quotation}
       />
 
+      <SendDocumentModal
+        isOpen={isSendModalOpen}
+        onClose={() => setIsSendModalOpen(false)}
+        api={quotationsAPI}
+        documentId={id}
+        documentType="quotation"
+        documentNumber={quotation.quote_number}
+        onSent={() => {
+          queryClient.invalidateQueries(['quotation', id]);
+          queryClient.invalidateQueries(['quotation-revisions', id]);
+          queryClient.invalidateQueries(['quotations']);
+        }}
+      />
+
       <DeleteConfirmModal
         isOpen={isDeleteModalOpen}
         onClose={() => setIsDeleteModalOpen(false)}
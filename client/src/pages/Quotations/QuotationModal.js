@@ -2,8 +2,12 @@ import React, { useState, useEffect } from 'react';
 import { useForm, useFieldArray } from 'react-hook-form';
 import { useQuery, useMutation } from 'react-query';
 import { X, Plus, Trash2, Calculator } from 'lucide-react';
-import { quotationsAPI, clientsAPI, projectsAPI } from '../../services/api';
+import { quotationsAPI, clientsAPI, projectsAPI, settingsAPI, catalogAPI } from '../../services/api';
+import {
+  GST_RATES, calculateGstTotals, calculateLineAmount, getClientPlaceOfSupply
+} from '../../utils/gst';
 import toast from 'react-hot-toast';
+import CatalogItemInput from '../../components/Common/CatalogItemInput';
 
 // Normalize API date (Date, ISO string, or YYYY-MM-DD) to YYYY-MM-DD for input type="date"
 const toDateOnly = (value) => {
@@ -14,6 +18,11 @@ const toDateOnly = (value) => {
   return d.toISOString().split('T')[0];
 };
 
+const emptyItem = {
+  catalog_item_id: '', item_name: '', description: '', hsn_sac: '', tax_rate: '', quantity: 1, unit: '', unit_price: 0,
+  discount_type: '', discount_value: '', total_price: 0
+};
+
 const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -36,12 +45,15 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
       status: 'draft',
       subtotal: 0,
       tax_rate: 0,
+      discount_type: '',
+      discount_value: '',
       tax_amount: 0,
       total_amount: 0,
       currency: 'USD',
       notes: '',
+      place_of_supply: '',
       terms_conditions: '',
-      items: [{ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 }]
+      items: [emptyItem]
     }
   });
 
@@ -66,6 +78,20 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
 
   const projects = projectsData?.data?.data?.projects || [];
 
+  // Workspace GST registration (no GST fields when the workspace has no GST state)
+  const { data: gstData } = useQuery('workspace-gst', settingsAPI.getWorkspaceGst, { enabled: isOpen, retry: false });
+  const gstSettings = gstData?.data?.data;
+
+  // Active catalog items for the item name suggestions
+  const { data: catalogData } = useQuery(
+    ['catalog-items', 'active'],
+    () => catalogAPI.getAll({ status: 'active', limit: 1000 }),
+    { enabled: isOpen, retry: false }
+  );
+  const catalogItems = catalogData?.data?.data?.items || [];
+  const gstStateCode = gstSettings?.gst_state_code || '';
+  const gstStates = gstSettings?.states || [];
+
   const { fields, append, remove } = useFieldArray({
     control,
     name: 'items'
@@ -89,27 +115,51 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
       ? parseFloat(rawTaxRate)
       : 0;
 
-    const subtotal = items.reduce((sum, item) => {
-      const quantity = parseFloat(item?.quantity) || 0;
-      const unitPrice = parseFloat(item?.unit_price) || 0;
-      return sum + quantity * unitPrice;
-    }, 0);
-
-    const taxAmount = (subtotal * taxRate) / 100;
-    const totalAmount = subtotal + taxAmount;
+    // Lines without their own GST rate use the quotation tax rate
+    const totals = calculateGstTotals(items, taxRate, null, {
+      type: getValues('discount_type'),
+      value: getValues('discount_value'),
+    });
 
-    setValue('subtotal', subtotal);
-    setValue('tax_amount', taxAmount);
-    setValue('total_amount', totalAmount);
+    setValue('subtotal', totals.subtotal);
+    setValue('tax_amount', totals.taxAmount);
+    setValue('total_amount', totals.totalAmount);
   };
 
   // Watch values for calculations (live updates as user types)
   const watchedItems = watch('items');
   const watchedTaxRate = watch('tax_rate');
+  const watchedDiscountType = watch('discount_type');
+  const watchedDiscountValue = watch('discount_value');
+  const watchedPlaceOfSupply = watch('place_of_supply');
+
+  // Copy a picked catalog item onto the line; the line stays editable afterwards
+  const applyCatalogItem = (index, catalogItem) => {
+    setValue(`items.${index}.item_name`, catalogItem.name, { shouldValidate: true });
+    setValue(`items.${index}.description`, catalogItem.description || '');
+    setValue(`items.${index}.unit_price`, Number(catalogItem.default_price) || 0);
+    setValue(`items.${index}.unit`, catalogItem.unit || '');
+    setValue(`items.${index}.hsn_sac`, catalogItem.hsn_sac || '');
+    setValue(`items.${index}.tax_rate`, catalogItem.tax_rate ?? '');
+    setValue(`items.${index}.catalog_item_id`, String(catalogItem.id));
+  };
+
+  // Supply type as the server will decide it: same state as the workspace -> CGST + SGST, otherwise IGST
+  const selectedClient = clients.find((client) => String(client.id) === String(selectedClientId));
+  const effectivePlaceOfSupply = gstStateCode
+    ? watchedPlaceOfSupply || getClientPlaceOfSupply(selectedClient, gstStates) || gstStateCode
+    : '';
+  const supplyType = gstStateCode
+    ? (effectivePlaceOfSupply === gstStateCode ? 'intra_state' : 'inter_state')
+    : null;
+  const gstTotals = calculateGstTotals(watchedItems, watchedTaxRate, supplyType, {
+    type: watchedDiscountType,
+    value: watchedDiscountValue,
+  });
 
   useEffect(() => {
     recalculateTotals();
-  }, [watchedItems, watchedTaxRate, setValue]);
+  }, [watchedItems, watchedTaxRate, watchedDiscountType, watchedDiscountValue, setValue]);
 
   // On blur of Unit Price or Quantity, recalculate so totals update when user leaves the field (tax = 0 if not set)
   const withBlurRecalc = (registered) => ({
@@ -135,12 +185,25 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
         status: effectiveQuotation.status || 'draft',
         subtotal: effectiveQuotation.subtotal || 0,
         tax_rate: effectiveQuotation.tax_rate || 0,
+        discount_type: effectiveQuotation.discount_type || '',
+        discount_value: effectiveQuotation.discount_type ? effectiveQuotation.discount_value : '',
         tax_amount: effectiveQuotation.tax_amount || 0,
         total_amount: effectiveQuotation.total_amount || 0,
         currency: effectiveQuotation.currency || 'USD',
         notes: effectiveQuotation.notes || '',
+        place_of_supply: effectiveQuotation.place_of_supply || '',
         terms_conditions: effectiveQuotation.terms_conditions || '',
-        items: effectiveQuotation.items?.length > 0 ? effectiveQuotation.items : [{ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 }]
+        items: effectiveQuotation.items?.length > 0
+          ? effectiveQuotation.items.map((item) => ({
+            ...item,
+            hsn_sac: item.hsn_sac || '',
+            tax_rate: item.tax_rate ?? '',
+            unit: item.unit || '',
+            discount_type: item.discount_type || '',
+            discount_value: item.discount_type ? item.discount_value : '',
+            catalog_item_id: item.catalog_item_id ? String(item.catalog_item_id) : ''
+          }))
+          : [emptyItem]
       });
     } else {
       reset({
@@ -152,12 +215,15 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
         status: 'draft',
         subtotal: 0,
         tax_rate: 0,
+        discount_type: '',
+        discount_value: '',
         tax_amount: 0,
         total_amount: 0,
         currency: 'USD',
         notes: '',
+        place_of_supply: '',
         terms_conditions: '',
-        items: [{ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 }]
+        items: [emptyItem]
       });
     }
   }, [effectiveQuotation, fullQuotation, needsFullQuotation, reset]);
@@ -204,9 +270,15 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
     // Calculate item totals
     const processedItems = data.items.map(item => ({
       ...item,
-      quantity: parseInt(item.quantity),
+      quantity: parseFloat(item.quantity),
+      unit: item.unit ? item.unit.trim() : null,
       unit_price: parseFloat(item.unit_price),
-      total_price: parseInt(item.quantity) * parseFloat(item.unit_price)
+      discount_type: item.discount_type || null,
+      discount_value: item.discount_type ? parseFloat(item.discount_value) || 0 : 0,
+      total_price: calculateLineAmount(item),
+      hsn_sac: item.hsn_sac ? String(item.hsn_sac).trim() : null,
+      tax_rate: item.tax_rate === '' || item.tax_rate === null || item.tax_rate === undefined ? null : parseFloat(item.tax_rate),
+      catalog_item_id: item.catalog_item_id ? parseInt(item.catalog_item_id) : null
     }));
 
     const quotationData = {
@@ -217,11 +289,14 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
       valid_till_date: data.valid_till_date && data.valid_till_date !== '' ? data.valid_till_date : null,
       subtotal: parseFloat(data.subtotal) || 0,
       tax_rate: parseFloat(data.tax_rate) || 0,
+      discount_type: data.discount_type || null,
+      discount_value: data.discount_type ? parseFloat(data.discount_value) || 0 : 0,
       tax_amount: parseFloat(data.tax_amount) || 0,
       total_amount: parseFloat(data.total_amount) || 0,
       currency: data.currency || 'USD',
       notes: data.notes || null,
       terms_conditions: data.terms_conditions || null,
+      place_of_supply: data.place_of_supply || null,
       items: processedItems
     };
 
@@ -229,7 +304,7 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
   };
 
   const addItem = () => {
-    append({ item_name: '', description: '', quantity: 1, unit_price: 0, total_price: 0 });
+    append(emptyItem);
   };
 
   const removeItem = (index) => {
@@ -370,6 +445,24 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
                 <p className="text-red-500 text-sm mt-1">{errors.currency.message}</p>
               )}
             </div>
+
+            {gstStateCode && (
+              <div>
+                <label className="form-label">Place of Supply</label>
+                <select {...register('place_of_supply')} className="form-select">
+                  <option value="">From client ({effectivePlaceOfSupply || 'unknown'})</option>
+                  {gstStates.map((state) => (
+                    <option key={state.code} value={state.code}>
+                      {state.code} - {state.name}
+                    </option>
+                  ))}
+                  <option value="96">96 - Foreign Country</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  {supplyType === 'intra_state' ? 'Same state: CGST + SGST' : 'Other state or abroad: IGST'}
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Items */}
@@ -392,11 +485,17 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
                   <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                     <div>
                       <label className="form-label">Item Name *</label>
-                      <input
-                        {...register(`items.${index}.item_name`, { required: 'Item name is required' })}
+                      <CatalogItemInput
+                        catalogItems={catalogItems}
+                        inputProps={register(`items.${index}.item_name`, { required: 'Item name is required' })}
+                        value={watchedItems?.[index]?.item_name}
+                        linkedItemId={watchedItems?.[index]?.catalog_item_id}
+                        onSelect={(catalogItem) => applyCatalogItem(index, catalogItem)}
+                        onUnlink={() => setValue(`items.${index}.catalog_item_id`, '')}
                         className={`form-input ${errors.items?.[index]?.item_name ? 'border-red-500' : ''}`}
                         placeholder="e.g., Website Development"
                       />
+                      <input type="hidden" {...register(`items.${index}.catalog_item_id`)} />
                       {errors.items?.[index]?.item_name && (
                         <p className="text-red-500 text-sm mt-1">{errors.items[index].item_name.message}</p>
                       )}
@@ -415,10 +514,11 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
                       <label className="form-label">Quantity *</label>
                       <input
                         type="number"
-                        min="1"
+                        step="0.001"
+                        min="0.001"
                         {...withBlurRecalc(register(`items.${index}.quantity`, { 
                           required: 'Quantity is required',
-                          min: { value: 1, message: 'Quantity must be at least 1' }
+                          min: { value: 0.001, message: 'Quantity must be greater than 0' }
                         }))}
                         className={`form-input ${errors.items?.[index]?.quantity ? 'border-red-500' : ''}`}
                       />
@@ -427,6 +527,18 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
                       )}
                     </div>
 
+                    <div>
+                      <label className="form-label">Unit</label>
+                      <input
+                        {...register(`items.${index}.unit`, { maxLength: { value: 30, message: 'Unit must be at most 30 characters' } })}
+                        className={`form-input ${errors.items?.[index]?.unit ? 'border-red-500' : ''}`}
+                        placeholder="e.g., hours"
+                      />
+                      {errors.items?.[index]?.unit && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].unit.message}</p>
+                      )}
+                    </div>
+
                     <div>
                       <label className="form-label">Unit Price *</label>
                       <input
@@ -444,23 +556,91 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
                         <p className="text-red-500 text-sm mt-1">{errors.items[index].unit_price.message}</p>
                       )}
                     </div>
+
+                    <div>
+                      <label className="form-label">Discount</label>
+                      <div className="flex space-x-2">
+                        <select {...register(`items.${index}.discount_type`)} className="form-select w-20">
+                          <option value="">None</option>
+                          <option value="percentage">%</option>
+                          <option value="fixed">Amt</option>
+                        </select>
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          {...register(`items.${index}.discount_value`, {
+                            min: { value: 0, message: 'Discount must be positive' },
+                            validate: (value) => watchedItems?.[index]?.discount_type !== 'percentage' ||
+                              (parseFloat(value) || 0) <= 100 || 'Percentage discount cannot exceed 100'
+                          })}
+                          className={`form-input ${errors.items?.[index]?.discount_value ? 'border-red-500' : ''}`}
+                          placeholder="0"
+                          disabled={!watchedItems?.[index]?.discount_type}
+                        />
+                      </div>
+                      {errors.items?.[index]?.discount_value && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].discount_value.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">HSN/SAC</label>
+                      <input
+                        {...register(`items.${index}.hsn_sac`, {
+                          pattern: { value: /^[0-9]{4,8}$/, message: 'HSN/SAC code must be 4 to 8 digits' }
+                        })}
+                        className={`form-input ${errors.items?.[index]?.hsn_sac ? 'border-red-500' : ''}`}
+                        placeholder="e.g., 998314"
+                      />
+                      {errors.items?.[index]?.hsn_sac && (
+                        <p className="text-red-500 text-sm mt-1">{errors.items[index].hsn_sac.message}</p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="form-label">GST Rate (%)</label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        max="100"
+                        list="quotation-gst-rates"
+                        {...withBlurRecalc(register(`items.${index}.tax_rate`))}
+                        className="form-input"
+                        placeholder={`${parseFloat(watchedTaxRate) || 0} (default)`}
+                      />
+                    </div>
                   </div>
 
-                  {fields.length > 1 && (
-                    <button
-                      type="button"
-                      onClick={() => removeItem(index)}
-                      className="btn btn-outline btn-sm text-red-600 mt-2"
-                    >
-                      <Trash2 className="h-4 w-4 mr-2" />
-                      Remove Item
-                    </button>
-                  )}
+                  <div className="flex items-center justify-between mt-2">
+                    <div>
+                      {fields.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => removeItem(index)}
+                          className="btn btn-outline btn-sm text-red-600"
+                        >
+                          <Trash2 className="h-4 w-4 mr-2" />
+                          Remove Item
+                        </button>
+                      )}
+                    </div>
+                    <span className="text-sm text-gray-700">
+                      Amount: <strong>{calculateLineAmount(watchedItems?.[index]).toFixed(2)}</strong>
+                    </span>
+                  </div>
                 </div>
               ))}
             </div>
           </div>
 
+          <datalist id="quotation-gst-rates">
+            {GST_RATES.map((rate) => (
+              <option key={rate} value={rate} />
+            ))}
+          </datalist>
+
           {/* Totals */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div>
@@ -472,6 +652,39 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
               />
             </div>
 
+            <div>
+              <label className="form-label">Discount</label>
+              <select {...register('discount_type')} className="form-select">
+                <option value="">No discount</option>
+                <option value="percentage">Percentage (%)</option>
+                <option value="fixed">Fixed amount</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="form-label">Discount Value</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                {...register('discount_value', {
+                  min: { value: 0, message: 'Discount must be positive' },
+                  validate: (value) => watchedDiscountType !== 'percentage' ||
+                    (parseFloat(value) || 0) <= 100 || 'Percentage discount cannot exceed 100'
+                })}
+                className={`form-input ${errors.discount_value ? 'border-red-500' : ''}`}
+                placeholder="0.00"
+                disabled={!watchedDiscountType}
+              />
+              {errors.discount_value ? (
+                <p className="text-red-500 text-sm mt-1">{errors.discount_value.message}</p>
+              ) : gstTotals.discountAmount > 0 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Less {gstTotals.discountAmount.toFixed(2)} before tax
+                </p>
+              )}
+            </div>
+
             <div>
               <label className="form-label">Tax Rate (%)</label>
               <input
@@ -500,6 +713,19 @@ const QuotationModal = ({ isOpen, onClose, onSuccess, quotation }) => {
               />
             </div>
 
+            {supplyType && (
+              <div className="md:col-span-3 flex flex-wrap gap-6 text-sm text-gray-700">
+                {supplyType === 'intra_state' ? (
+                  <>
+                    <span>CGST: <strong>{gstTotals.cgstAmount.toFixed(2)}</strong></span>
+                    <span>SGST: <strong>{gstTotals.sgstAmount.toFixed(2)}</strong></span>
+                  </>
+                ) : (
+                  <span>IGST: <strong>{gstTotals.igstAmount.toFixed(2)}</strong></span>
+                )}
+              </div>
+            )}
+
             <div className="md:col-span-3">
               <label className="form-label">Total Amount</label>
               <input
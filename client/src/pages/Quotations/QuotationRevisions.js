@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { History, X } from 'lucide-react';
+import { quotationsAPI } from '../../services/api';
+import { formatQuantity } from '../../utils/gst';
+
+const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('en-US', { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : 'N/A');
+
+const ITEM_FIELD_LABELS = {
+  item_name: 'Item',
+  description: 'Description',
+  quantity: 'Quantity',
+  unit: 'Unit',
+  unit_price: 'Unit price',
+  discount_type: 'Discount type',
+  discount_value: 'Discount',
+  discount_amount: 'Discount amount',
+  total_price: 'Total',
+  hsn_sac: 'HSN/SAC',
+  tax_rate: 'GST rate',
+  tax_amount: 'Tax',
+};
+
+const AMOUNT_FIELDS = ['subtotal', 'discount_amount', 'tax_amount', 'total_amount', 'unit_price', 'total_price'];
+
+const CHANGE_STYLES = {
+  added: { label: 'Added', badge: 'green' },
+  removed: { label: 'Removed', badge: 'red' },
+  changed: { label: 'Changed', badge: 'blue' },
+};
+
+/**
+ * Revisions of a sent quotation: the list, and the content of one revision with its changes
+ * since the previous revision (or another one picked in "Compare to")
+ */
+const QuotationRevisions = ({ quotation }) => {
+  const [selectedRevision, setSelectedRevision] = useState(null);
+  const [compareTo, setCompareTo] = useState('');
+
+  const { data: revisionsData, isLoading } = useQuery(
+    ['quotation-revisions', String(quotation.id)],
+    () => quotationsAPI.getRevisions(quotation.id),
+    { retry: false, refetchOnWindowFocus: false }
+  );
+  const revisions = revisionsData?.data?.data?.revisions || [];
+
+  const { data: revisionData, isLoading: isRevisionLoading } = useQuery(
+    ['quotation-revision', String(quotation.id), selectedRevision, compareTo],
+    () => quotationsAPI.getRevision(quotation.id, selectedRevision, compareTo ? { compare_to: compareTo } : undefined),
+    { enabled: selectedRevision !== null, refetchOnWindowFocus: false }
+  );
+  const revision = revisionData?.data?.data;
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (AMOUNT_FIELDS.includes(field)) {
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: revision?.snapshot?.currency || quotation.currency || 'USD',
+      }).format(Number(value));
+    }
+    if (field === 'tax_rate') return `${Number(value)}%`;
+    return String(value);
+  };
+
+  const openRevision = (revisionNumber) => {
+    setSelectedRevision(revisionNumber);
+    setCompareTo('');
+  };
+
+  if (isLoading || revisions.length === 0) return null;
+
+  const thClass = 'px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+  const currentRevision = revisionsData?.data?.data?.current_revision;
+  const acceptedRevision = revisionsData?.data?.data?.accepted_revision;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Revisions</h3>
+        <span className="text-sm text-gray-500">Each edit after sending is kept as a revision</span>
+      </div>
+      <div className="card-body space-y-4">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={thClass}>Revision</th>
+                <th className={thClass}>Saved</th>
+                <th className={thClass}>By</th>
+                <th className={`${thClass} text-right`}>Total</th>
+                <th className={thClass}></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {revisions.map((item) => (
+                <tr
+                  key={item.id}
+                  className={`hover:bg-gray-50 cursor-pointer ${selectedRevision === item.revision_number ? 'bg-gray-50' : ''}`}
+                  onClick={() => openRevision(item.revision_number)}
+                >
+                  <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                    Revision {item.revision_number}
+                    {item.revision_number === currentRevision && <span className="badge badge-blue ml-2">Current</span>}
+                    {item.revision_number === acceptedRevision && <span className="badge badge-green ml-2">Accepted</span>}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{formatDateTime(item.created_at)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{item.created_by_name || '—'}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900 text-right">
+                    {new Intl.NumberFormat('en-US', { style: 'currency', currency: item.currency || 'USD' }).format(Number(item.total_amount) || 0)}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-right">
+                    <History className="h-4 w-4 text-gray-400 inline" />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {selectedRevision !== null && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="flex items-center justify-between">
+              <h4 className="font-medium text-gray-900">Revision {selectedRevision}</h4>
+              <div className="flex items-center gap-2">
+                {revisions.length > 1 && (
+                  <select
+                    value={compareTo}
+                    onChange={(e) => setCompareTo(e.target.value)}
+                    className="form-select text-sm"
+                  >
+                    <option value="">{selectedRevision > 1 ? 'Compare to previous' : 'Compare to...'}</option>
+                    {revisions
+                      .filter((item) => item.revision_number !== selectedRevision)
+                      .map((item) => (
+                        <option key={item.id} value={item.revision_number}>Compare to revision {item.revision_number}</option>
+                      ))}
+                  </select>
+                )}
+                <button type="button" onClick={() => setSelectedRevision(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            {isRevisionLoading || !revision ? (
+              <div className="flex justify-center py-4">
+                <div className="spinner h-6 w-6"></div>
+              </div>
+            ) : (
+              <>
+                {revision.diff ? (
+                  revision.diff.fields.length === 0 && revision.diff.items.length === 0 ? (
+                    <p className="text-sm text-gray-600">No differences from revision {revision.compare_to}.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      <p className="text-sm text-gray-600">
+                        Changes between revision {Math.min(revision.compare_to, revision.revision_number)} and revision {Math.max(revision.compare_to, revision.revision_number)}
+                      </p>
+                      {revision.diff.fields.length > 0 && (
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                          <thead className="bg-gray-50">
+                            <tr>
+                              <th className={thClass}>Field</th>
+                              <th className={thClass}>Before</th>
+                              <th className={thClass}>After</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-200">
+                            {revision.diff.fields.map((change) => (
+                              <tr key={change.field}>
+                                <td className="px-4 py-2 font-medium text-gray-900">{change.label}</td>
+                                <td className="px-4 py-2 text-red-700 line-through whitespace-pre-wrap">{formatValue(change.field, change.before)}</td>
+                                <td className="px-4 py-2 text-green-700 whitespace-pre-wrap">{formatValue(change.field, change.after)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                      {revision.diff.items.length > 0 && (
+                        <ul className="space-y-2">
+                          {revision.diff.items.map((change, index) => {
+                            const item = change.after || change.before;
+                            return (
+                              <li key={index} className="text-sm">
+                                <span className={`badge badge-${CHANGE_STYLES[change.change].badge} mr-2`}>{CHANGE_STYLES[change.change].label}</span>
+                                <span className="font-medium text-gray-900">{item.item_name}</span>
+                                {change.change === 'changed' ? (
+                                  <span className="text-gray-600">
+                                    {': '}
+                                    {change.fields.map((field) => (
+                                      `${ITEM_FIELD_LABELS[field]} ${formatValue(field, change.before[field])} → ${formatValue(field, change.after[field])}`
+                                    )).join('; ')}
+                                  </span>
+                                ) : (
+                                  <span className="text-gray-600">
+                                    {` (${formatQuantity(item.quantity, item.unit)} × ${formatValue('unit_price', item.unit_price)})`}
+                                  </span>
+                                )}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      )}
+                    </div>
+                  )
+                ) : (
+                  <p className="text-sm text-gray-600">First version sent to the client.</p>
+                )}
+
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className={thClass}>Item</th>
+                      <th className={`${thClass} text-right`}>Quantity</th>
+                      <th className={`${thClass} text-right`}>Unit Price</th>
+                      <th className={`${thClass} text-right`}>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {(revision.snapshot.items || []).map((item, index) => (
+                      <tr key={index}>
+                        <td className="px-4 py-2">
+                          <div className="text-gray-900">{item.item_name}</div>
+                          {item.description && <div className="text-xs text-gray-500">{item.description}</div>}
+                        </td>
+                        <td className="px-4 py-2 text-right text-gray-900">{formatQuantity(item.quantity, item.unit)}</td>
+                        <td className="px-4 py-2 text-right text-gray-900">{formatValue('unit_price', item.unit_price)}</td>
+                        <td className="px-4 py-2 text-right text-gray-900">{formatValue('total_price', item.total_price)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <dl className="text-sm space-y-1 ml-auto max-w-xs">
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Subtotal</dt>
+                    <dd className="text-gray-900">{formatValue('subtotal', revision.snapshot.subtotal)}</dd>
+                  </div>
+                  {Number(revision.snapshot.discount_amount) > 0 && (
+                    <div className="flex justify-between">
+                      <dt className="text-gray-500">Discount</dt>
+                      <dd className="text-gray-900">-{formatValue('discount_amount', revision.snapshot.discount_amount)}</dd>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <dt className="text-gray-500">Tax</dt>
+                    <dd className="text-gray-900">{formatValue('tax_amount', revision.snapshot.tax_amount)}</dd>
+                  </div>
+                  <div className="flex justify-between font-semibold">
+                    <dt className="text-gray-900">Total</dt>
+                    <dd className="text-gray-900">{formatValue('total_amount', revision.snapshot.total_amount)}</dd>
+                  </div>
+                  {revision.snapshot.valid_till_date && (
+                    <div className="flex justify-between">
+                      <dt className="text-gray-500">Valid until</dt>
+                      <dd className="text-gray-900">{revision.snapshot.valid_till_date}</dd>
+                    </div>
+                  )}
+                </dl>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuotationRevisions;
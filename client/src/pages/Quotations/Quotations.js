@@ -20,6 +20,23 @@ import toast from 'react-hot-toast';
 import QuotationModal from './QuotationModal';
 import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
 
+export const downloadQuotationPdf = async (quotation) => {
+  try {
+    const response = await quotationsAPI.download(quotation.id);
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `Quotation-${quotation.quote_number}.pdf`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+    toast.success('Quotation downloaded successfully');
+  } catch (error) {
+    toast.error('Failed to download quotation');
+  }
+};
+
 const Quotations = () => {
   const queryClient = useQueryClient();
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -354,6 +371,13 @@ const Quotations = () => {
                           >
                             <Eye className="h-4 w-4" />
                           </Link>
+                          <button
+                            onClick={() => downloadQuotationPdf(quotation)}
+                            className="btn btn-outline btn-sm text-blue-600"
+                            title="Download PDF"
+                          >
+                            <Download className="h-4 w-4" />
+                          </button>
                           <button
                             onClick={() => {
                               setSelectedQuotation(quotation);
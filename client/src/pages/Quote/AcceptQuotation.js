@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { useParams } from 'react-router-dom';
+import { FileText, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { quoteAPI } from '../../services/api';
+import { formatQuantity } from '../../utils/gst';
+
+const formatCurrency = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: currency || 'USD',
+}).format(Number(amount) || 0);
+
+const formatDate = (value) => (value
+  ? new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+  : '—');
+
+/**
+ * Public acceptance page for a quotation (/quote/:token) – no login required.
+ * The client accepts the revision shown by typing their name, or declines it with an optional reason.
+ */
+const AcceptQuotation = () => {
+  const { token } = useParams();
+  const [name, setName] = useState('');
+  const [isDeclining, setIsDeclining] = useState(false);
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [responseError, setResponseError] = useState(null);
+
+  const { data, isLoading, error, refetch } = useQuery(
+    ['accept-quotation', token],
+    () => quoteAPI.get(token),
+    { retry: false, refetchOnWindowFocus: false }
+  );
+  const quotation = data?.data?.data;
+
+  const respond = async (request) => {
+    setIsSubmitting(true);
+    setResponseError(null);
+    try {
+      await request();
+    } catch (err) {
+      setResponseError(err.response?.data?.message || 'Your answer could not be saved. Please try again.');
+    }
+    // Also reloads a quotation that was revised or answered in the meantime
+    await refetch();
+    setIsSubmitting(false);
+  };
+
+  const handleAccept = (e) => {
+    e.preventDefault();
+    respond(() => quoteAPI.accept(token, { name: name.trim(), revision_number: quotation.revision_number }));
+  };
+
+  const handleDecline = (e) => {
+    e.preventDefault();
+    respond(() => quoteAPI.decline(token, { reason: reason.trim() || null, revision_number: quotation.revision_number }));
+  };
+
+  const renderResponse = () => {
+    if (quotation.status === 'accepted') {
+      return (
+        <div className="flex items-center gap-2 rounded-lg bg-green-50 border border-green-200 p-3 text-sm text-green-800">
+          <CheckCircle className="h-5 w-5 flex-shrink-0" />
+          {quotation.accepted_by_name
+            ? `Accepted by ${quotation.accepted_by_name} on ${formatDate(quotation.accepted_at)}. Thank you!`
+            : 'This quotation has been accepted.'}
+        </div>
+      );
+    }
+    if (quotation.status === 'declined') {
+      return (
+        <div className="flex items-center gap-2 rounded-lg bg-gray-50 border border-gray-200 p-3 text-sm text-gray-700">
+          <XCircle className="h-5 w-5 flex-shrink-0" />
+          {quotation.declined_at ? `Declined on ${formatDate(quotation.declined_at)}.` : 'This quotation has been declined.'}
+        </div>
+      );
+    }
+    if (!quotation.can_respond) {
+      return <p className="text-sm text-gray-600">{quotation.blocked_reason}</p>;
+    }
+
+    if (isDeclining) {
+      return (
+        <form onSubmit={handleDecline} className="space-y-3">
+          <div>
+            <label className="form-label">Reason (optional)</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={1000}
+              rows="3"
+              className="form-textarea"
+              placeholder="Let us know why, so we can improve our offer"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setIsDeclining(false)} className="btn btn-outline flex-1 justify-center" disabled={isSubmitting}>
+              Back
+            </button>
+            <button type="submit" className="btn btn-danger flex-1 justify-center" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : 'Decline Quotation'}
+            </button>
+          </div>
+        </form>
+      );
+    }
+
+    return (
+      <form onSubmit={handleAccept} className="space-y-3">
+        <div>
+          <label className="form-label">Type your full name to accept</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={255}
+            className="form-input"
+            placeholder="Full name"
+            autoComplete="name"
+          />
+        </div>
+        <p className="text-xs text-gray-500">
+          By accepting, you agree to this quotation{quotation.terms_conditions ? ' and its terms' : ''}. Your name,
+          IP address and the time are recorded.
+        </p>
+        <button
+          type="submit"
+          className="btn btn-success w-full justify-center"
+          disabled={isSubmitting || name.trim().length < 2}
+        >
+          <CheckCircle className="h-4 w-4 mr-2" />
+          {isSubmitting ? 'Saving...' : 'Accept Quotation'}
+        </button>
+        <button
+          type="button"
+          onClick={() => setIsDeclining(true)}
+          className="btn btn-outline w-full justify-center"
+          disabled={isSubmitting}
+        >
+          Decline
+        </button>
+      </form>
+    );
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      );
+    }
+
+    if (error || !quotation) {
+      return (
+        <div className="text-center py-4">
+          <AlertCircle className="h-10 w-10 text-red-500 mx-auto mb-3" />
+          <h2 className="text-lg font-semibold text-gray-900">Link unavailable</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            {error?.response?.data?.message || 'This quotation link is invalid.'}
+          </p>
+          <p className="mt-3 text-xs text-gray-500">Please contact the sender of the quotation.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-5">
+        <div className="flex items-start gap-3">
+          <div className="p-2 bg-primary-50 rounded-lg">
+            <FileText className="h-6 w-6 text-primary-600" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">
+              Quotation {quotation.quote_number}
+              {quotation.revision_number > 1 && (
+                <span className="ml-2 text-sm font-normal text-gray-500">Revision {quotation.revision_number}</span>
+              )}
+            </h2>
+            {quotation.from_name && <p className="text-sm text-gray-600">From {quotation.from_name}</p>}
+            <p className="text-xs text-gray-500 mt-1">
+              {quotation.client_name ? `Prepared for ${quotation.client_name} · ` : ''}
+              {quotation.valid_till_date ? `Valid until ${formatDate(quotation.valid_till_date)}` : `Dated ${formatDate(quotation.quote_date)}`}
+            </p>
+          </div>
+        </div>
+
+        {quotation.items?.length > 0 && (
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+            {quotation.items.map((item, index) => (
+              <div key={index} className="flex justify-between gap-4 px-3 py-2 text-sm">
+                <div>
+                  <p className="text-gray-900">{item.item_name}</p>
+                  {item.description && <p className="text-xs text-gray-500">{item.description}</p>}
+                  <p className="text-xs text-gray-500">
+                    {formatQuantity(item.quantity, item.unit)} × {formatCurrency(item.unit_price, quotation.currency)}
+                    {Number(item.discount_amount) > 0 && ` less ${formatCurrency(item.discount_amount, quotation.currency)}`}
+                  </p>
+                </div>
+                <p className="text-gray-900 whitespace-nowrap">{formatCurrency(item.total_price, quotation.currency)}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <dl className="space-y-1 text-sm">
+          <div className="flex justify-between">
+            <dt className="text-gray-500">Subtotal</dt>
+            <dd className="text-gray-900">{formatCurrency(quotation.subtotal, quotation.currency)}</dd>
+          </div>
+          {Number(quotation.discount_amount) > 0 && (
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Discount</dt>
+              <dd className="text-gray-900">-{formatCurrency(quotation.discount_amount, quotation.currency)}</dd>
+            </div>
+          )}
+          {Number(quotation.tax_amount) > 0 && (
+            <div className="flex justify-between">
+              <dt className="text-gray-500">Tax</dt>
+              <dd className="text-gray-900">{formatCurrency(quotation.tax_amount, quotation.currency)}</dd>
+            </div>
+          )}
+          <div className="flex justify-between font-semibold">
+            <dt className="text-gray-900">Total</dt>
+            <dd className="text-gray-900">{formatCurrency(quotation.total_amount, quotation.currency)}</dd>
+          </div>
+        </dl>
+
+        {quotation.notes && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Notes</h3>
+            <p className="text-sm text-gray-600 whitespace-pre-wrap">{quotation.notes}</p>
+          </div>
+        )}
+        {quotation.terms_conditions && (
+          <div>
+            <h3 className="text-sm font-medium text-gray-900">Terms &amp; Conditions</h3>
+            <p className="text-sm text-gray-600 whitespace-pre-wrap">{quotation.terms_conditions}</p>
+          </div>
+        )}
+
+        {responseError && <p className="text-sm text-red-600">{responseError}</p>}
+        {renderResponse()}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-lg">
+        <div className="flex items-center justify-center gap-2 mb-6">
+          <FileText className="h-6 w-6 text-primary-600" />
+          <span className="text-lg font-bold text-gray-900">WT Project Management</span>
+        </div>
+        <div className="card">
+          <div className="card-body">
+            {renderContent()}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptQuotation;
@@ -0,0 +1,472 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useForm } from 'react-hook-form';
+import { Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  BookOpen,
+  Download,
+  RefreshCw,
+  Trash2,
+  AlertCircle,
+  Save,
+} from 'lucide-react';
+import { accountingExportsAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
+
+const FORMAT_LABELS = {
+  tally: 'Tally XML (vouchers)',
+  iif: 'QuickBooks IIF (general journal)',
+  csv: 'Double-entry CSV',
+};
+
+const LEDGER_LABELS = {
+  receivable: 'Accounts Receivable',
+  sales: 'Sales',
+  sales_returns: 'Sales Returns (credit notes)',
+  cgst: 'Output CGST',
+  sgst: 'Output SGST',
+  igst: 'Output IGST',
+  tax: 'Sales Tax (non-GST invoices)',
+  bank: 'Bank (default for payments)',
+  fx_gain_loss: 'Exchange Gain/Loss',
+};
+
+const PAYMENT_METHODS = [
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'credit_card', label: 'Credit Card' },
+  { value: 'debit_card', label: 'Debit Card' },
+  { value: 'upi', label: 'UPI' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'check', label: 'Check' },
+  { value: 'paypal', label: 'PayPal' },
+  { value: 'stripe', label: 'Stripe' },
+  { value: 'other', label: 'Other' },
+];
+
+const DOCUMENT_LABELS = {
+  invoice: 'Invoices',
+  payment: 'Payments',
+  credit_note: 'Credit notes',
+  refund: 'Refunds',
+};
+
+const toInputDate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().split('T')[0];
+};
+
+const getDefaultPeriod = () => {
+  const today = new Date();
+  return {
+    start_date: toInputDate(new Date(today.getFullYear(), today.getMonth(), 1)),
+    end_date: toInputDate(today),
+  };
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const downloadExport = async (record) => {
+  try {
+    const response = await accountingExportsAPI.download(record.id);
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', record.file_name);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    toast.error('Failed to download export');
+  }
+};
+
+/**
+ * Export invoices, payments, credit notes and refunds of a period as journal entries for Tally, QuickBooks or any
+ * double-entry ledger, with the workspace's ledger mappings
+ */
+const AccountingExport = () => {
+  const queryClient = useQueryClient();
+  const [period, setPeriod] = useState(getDefaultPeriod);
+  const [format, setFormat] = useState('tally');
+  const [includeExported, setIncludeExported] = useState(false);
+  const [showMappings, setShowMappings] = useState(false);
+  const [selectedExport, setSelectedExport] = useState(null);
+
+  const { register, handleSubmit, reset } = useForm();
+
+  const { data: settingsData, error: settingsError } = useQuery(
+    'accounting-settings',
+    () => accountingExportsAPI.getSettings(),
+    { refetchOnWindowFocus: false, retry: false }
+  );
+  const settings = settingsData?.data?.data?.settings;
+  const defaults = settingsData?.data?.data?.defaults || {};
+
+  useEffect(() => {
+    if (!settings) return;
+    reset({
+      ledgers: settings.ledgers,
+      payment_method_ledgers: PAYMENT_METHODS.reduce((values, method) => {
+        values[method.value] = settings.payment_method_ledgers[method.value] || '';
+        return values;
+      }, {}),
+      use_client_ledgers: settings.use_client_ledgers,
+      tally_company: settings.tally_company || '',
+    });
+  }, [settings, reset]);
+
+  const periodValid = Boolean(period.start_date && period.end_date && period.end_date >= period.start_date);
+
+  const { data: previewData, isFetching: isPreviewing } = useQuery(
+    ['accounting-export-preview', period, includeExported],
+    () => accountingExportsAPI.preview({ ...period, include_exported: includeExported }),
+    { enabled: periodValid && !settingsError, keepPreviousData: true, refetchOnWindowFocus: false }
+  );
+  const preview = previewData?.data?.data;
+
+  const { data: exportsData, isLoading: isLoadingExports, refetch } = useQuery(
+    'accounting-exports',
+    () => accountingExportsAPI.getAll({ limit: 50 }),
+    { enabled: !settingsError, refetchOnWindowFocus: false }
+  );
+  const exports = exportsData?.data?.data?.exports || [];
+  const thClass = 'px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+  const settingsMutation = useMutation(
+    (data) => accountingExportsAPI.updateSettings(data),
+    {
+      onSuccess: () => {
+        toast.success('Ledger mappings saved');
+        queryClient.invalidateQueries('accounting-settings');
+        queryClient.invalidateQueries('accounting-export-preview');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to save ledger mappings');
+      },
+    }
+  );
+
+  const exportMutation = useMutation(
+    () => accountingExportsAPI.create({ ...period, format, include_exported: includeExported }),
+    {
+      onSuccess: (response) => {
+        const { export: record, skipped } = response.data.data;
+        toast.success('Accounting export created');
+        if (skipped.length > 0) {
+          toast.error(`${skipped.length} document(s) were left out because their exchange rate is unknown`);
+        }
+        queryClient.invalidateQueries('accounting-exports');
+        queryClient.invalidateQueries('accounting-export-preview');
+        downloadExport(record);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to create accounting export');
+      },
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => accountingExportsAPI.delete(id),
+    {
+      onSuccess: () => {
+        toast.success('Export deleted; its documents will be included in the next export');
+        queryClient.invalidateQueries('accounting-exports');
+        queryClient.invalidateQueries('accounting-export-preview');
+        setSelectedExport(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to delete export');
+        setSelectedExport(null);
+      },
+    }
+  );
+
+  const onSaveMappings = (data) => {
+    settingsMutation.mutate({
+      ...data,
+      payment_method_ledgers: Object.fromEntries(
+        Object.entries(data.payment_method_ledgers || {}).filter(([, ledger]) => ledger && ledger.trim())
+      ),
+    });
+  };
+
+  if (settingsError) {
+    return (
+      <div className="text-center py-12">
+        <AlertCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-red-500">{settingsError.response?.data?.message || 'Failed to load accounting export'}</p>
+        <Link to="/reports" className="btn btn-outline mt-4">Back to Reports</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to="/reports" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-1">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Reports
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-900">Accounting Export</h1>
+          <p className="text-gray-600">Invoices, payments, credit notes and refunds as journal entries for Tally or QuickBooks</p>
+        </div>
+        <button onClick={() => setShowMappings(!showMappings)} className="btn btn-outline">
+          <BookOpen className="h-4 w-4 mr-2" />
+          Ledger Mappings
+        </button>
+      </div>
+
+      {showMappings && settings && (
+        <div className="card">
+          <div className="card-body">
+            <form onSubmit={handleSubmit(onSaveMappings)} className="space-y-6">
+              <div>
+                <h2 className="text-lg font-medium text-gray-900">Ledgers</h2>
+                <p className="text-sm text-gray-500">Names of the ledgers (accounts) in your books. Leave blank for the default.</p>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {Object.entries(LEDGER_LABELS).map(([key, label]) => (
+                  <div key={key}>
+                    <label className="form-label">{label}</label>
+                    <input
+                      {...register(`ledgers.${key}`)}
+                      maxLength={100}
+                      className="form-input"
+                      placeholder={defaults[key]}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <h3 className="text-sm font-medium text-gray-900">Bank ledger per payment method</h3>
+                <p className="text-sm text-gray-500">Payments and refunds by other methods use the bank ledger.</p>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {PAYMENT_METHODS.map((method) => (
+                  <div key={method.value}>
+                    <label className="form-label">{method.label}</label>
+                    <input
+                      {...register(`payment_method_ledgers.${method.value}`)}
+                      maxLength={100}
+                      className="form-input"
+                      placeholder={settings.ledgers.bank}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="form-label">Tally Company</label>
+                  <input
+                    {...register('tally_company')}
+                    maxLength={255}
+                    className="form-input"
+                    placeholder="Currently open company"
+                  />
+                </div>
+                <div className="flex items-end">
+                  <label className="flex items-center space-x-2">
+                    <input type="checkbox" {...register('use_client_ledgers')} className="rounded border-gray-300" />
+                    <span className="text-sm text-gray-700">
+                      Post receivables to a ledger per client (Tally party ledgers); QuickBooks files always use the
+                      receivable account with the client as customer
+                    </span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex justify-end">
+                <button type="submit" disabled={settingsMutation.isLoading} className="btn btn-primary">
+                  <Save className="h-4 w-4 mr-2" />
+                  {settingsMutation.isLoading ? 'Saving...' : 'Save Mappings'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* New export */}
+      <div className="card">
+        <div className="card-body space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="form-label">Start Date</label>
+              <input
+                type="date"
+                value={period.start_date}
+                onChange={(e) => setPeriod((current) => ({ ...current, start_date: e.target.value }))}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">End Date</label>
+              <input
+                type="date"
+                value={period.end_date}
+                min={period.start_date || undefined}
+                onChange={(e) => setPeriod((current) => ({ ...current, end_date: e.target.value }))}
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Format</label>
+              <select value={format} onChange={(e) => setFormat(e.target.value)} className="form-select">
+                {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={includeExported}
+                  onChange={(e) => setIncludeExported(e.target.checked)}
+                  className="rounded border-gray-300"
+                />
+                <span className="text-sm text-gray-700">Include documents exported before</span>
+              </label>
+            </div>
+          </div>
+
+          {preview && (
+            <div className="rounded-lg bg-gray-50 p-4 text-sm text-gray-700 space-y-1">
+              <p>
+                {Object.entries(preview.counts)
+                  .map(([type, count]) => `${count} ${DOCUMENT_LABELS[type]?.toLowerCase() || type}`)
+                  .join(', ')}
+                {' '}to export, in {preview.base_currency}.
+              </p>
+              {preview.already_exported > 0 && (
+                <p className="text-gray-500">
+                  {preview.already_exported} document(s) of this period were exported before and will be skipped.
+                </p>
+              )}
+              {preview.skipped.length > 0 && (
+                <p className="text-yellow-700">
+                  Left out until an exchange rate is stored: {preview.skipped.map((item) => `${item.number} (${item.reason})`).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              onClick={() => exportMutation.mutate()}
+              disabled={!periodValid || exportMutation.isLoading || isPreviewing || preview?.voucher_count === 0}
+              className="btn btn-primary"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              {exportMutation.isLoading ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Past exports */}
+      <div className="card">
+        <div className="card-body">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-medium text-gray-900">Past Exports</h2>
+            <button onClick={() => refetch()} className="btn btn-outline btn-sm" disabled={isLoadingExports}>
+              <RefreshCw className={`h-4 w-4 ${isLoadingExports ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+          {isLoadingExports ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="spinner h-8 w-8"></div>
+            </div>
+          ) : exports.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No exports yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className={thClass}>Period</th>
+                    <th className={thClass}>Format</th>
+                    <th className={thClass}>Documents</th>
+                    <th className={thClass}>Created</th>
+                    <th className={thClass}>Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {exports.map((record) => (
+                    <tr key={record.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {formatDate(record.start_date)} – {formatDate(record.end_date)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {FORMAT_LABELS[record.format] || record.format}
+                        <div className="text-gray-500">{record.base_currency}</div>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {[
+                          ['invoice', record.invoice_count],
+                          ['payment', record.payment_count],
+                          ['credit_note', record.credit_note_count],
+                          ['refund', record.refund_count],
+                        ]
+                          .filter(([, count]) => count > 0)
+                          .map(([type, count]) => `${count} ${DOCUMENT_LABELS[type].toLowerCase()}`)
+                          .join(', ')}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(record.created_at)}
+                        {record.created_by_name && <div>{record.created_by_name}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => downloadExport(record)}
+                            className="btn btn-outline btn-sm"
+                            title="Download"
+                          >
+                            <Download className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => setSelectedExport(record)}
+                            className="btn btn-outline btn-sm text-red-600"
+                            title="Delete"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <DeleteConfirmModal
+        isOpen={Boolean(selectedExport)}
+        onClose={() => setSelectedExport(null)}
+        onConfirm={() => selectedExport && deleteMutation.mutate(selectedExport.id)}
+        title="Delete Export"
+        message="Delete this export? Its documents will be included again in the next export of the period. Delete only exports that were not imported into your books."
+        isLoading={deleteMutation.isLoading}
+      />
+    </div>
+  );
+};
+
+export default AccountingExport;
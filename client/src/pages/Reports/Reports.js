@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
 import {
   BarChart3,
   DollarSign,
@@ -15,6 +16,10 @@ import {
   AlertCircle,
   CheckCircle,
   X,
+  Landmark,
+  Package,
+  BookOpen,
+  Clock,
 } from 'lucide-react';
 import { reportsAPI, clientsAPI, projectsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
@@ -71,6 +76,12 @@ const Reports = () => {
           return reportsAPI.getProjectPerformance(params);
         case 'invoices':
           return reportsAPI.getInvoices(params);
+        case 'gst':
+          return reportsAPI.getGst(params);
+        case 'catalog-revenue':
+          return reportsAPI.getCatalogRevenue(params);
+        case 'aging':
+          return reportsAPI.getAging(params.client_id ? { client_id: params.client_id } : {});
         case 'summary':
           return reportsAPI.getSummary();
         default:
@@ -110,10 +121,11 @@ const Reports = () => {
     // TODO: Implement export functionality
   };
 
-  const formatCurrency = (amount) => {
+  // Report totals are in the workspace base currency; single invoices keep their own currency
+  const formatCurrency = (amount, currency = reportData?.data?.data?.base_currency || 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency,
     }).format(amount || 0);
   };
 
@@ -203,18 +215,32 @@ const Reports = () => {
     const summary = data.summary || {};
     const revenueByMonth = data.revenue_by_month || [];
     const revenueByClient = data.revenue_by_client || [];
+    const fxGainLoss = data.fx_gain_loss || { total: 0, by_currency: [] };
 
     return (
       <div className="space-y-6">
+        {Number(summary.unconverted_invoices) > 0 && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+            {summary.unconverted_invoices} invoice(s) have no exchange rate to {data.base_currency} and are left out of the totals.
+            Add the missing rates under Settings.
+          </div>
+        )}
+
         {/* Summary Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <p className="text-sm text-gray-600">Total Invoiced</p>
             <p className="text-2xl font-bold text-gray-900 mt-1">{formatCurrency(summary.total_amount)}</p>
+            {Number(summary.total_credited) > 0 && (
+              <p className="text-xs text-gray-500 mt-1">after {formatCurrency(summary.total_credited)} credit notes</p>
+            )}
           </div>
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <p className="text-sm text-gray-600">Total Paid</p>
             <p className="text-2xl font-bold text-success-600 mt-1">{formatCurrency(summary.total_paid)}</p>
+            {Number(summary.total_refunded) > 0 && (
+              <p className="text-xs text-gray-500 mt-1">{formatCurrency(summary.total_refunded)} refunded in period</p>
+            )}
           </div>
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <p className="text-sm text-gray-600">Outstanding</p>
@@ -226,6 +252,46 @@ const Reports = () => {
           </div>
         </div>
 
+        {/* Realised FX gain/loss on foreign-currency payments */}
+        {fxGainLoss.by_currency.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Realised FX Gain/Loss</h3>
+              <p className={`text-lg font-bold ${fxGainLoss.total < 0 ? 'text-danger-600' : 'text-success-600'}`}>
+                {formatCurrency(fxGainLoss.total)}
+              </p>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payments</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">At Invoice Rate</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">At Payment Rate</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Gain/Loss</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {fxGainLoss.by_currency.map((row) => (
+                    <tr key={row.currency} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 font-medium text-gray-900">{row.currency}</td>
+                      <td className="px-4 py-3 text-gray-900">{row.payment_count}</td>
+                      <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(row.amount, row.currency)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(row.invoiced_value)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(row.received_value)}</td>
+                      <td className={`px-4 py-3 text-right font-medium ${Number(row.gain_loss) < 0 ? 'text-danger-600' : 'text-success-600'}`}>
+                        {formatCurrency(row.gain_loss)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* Revenue by Month */}
         {revenueByMonth.length > 0 && (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -363,9 +429,33 @@ const Reports = () => {
     const projects = data.projects || [];
     const statusDistribution = data.status_distribution || [];
     const typeDistribution = data.type_distribution || [];
+    const totals = data.totals || {};
 
     return (
       <div className="space-y-6">
+        {/* Profitability */}
+        {projects.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Revenue (pre-tax)</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(totals.revenue)}</p>
+            </div>
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Actual Cost</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(totals.actual_cost)}</p>
+              {!data.costed && (
+                <p className="text-xs text-gray-500 mt-1">Entered on the projects; run migration 030 to compute it</p>
+              )}
+            </div>
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">Margin</p>
+              <p className={`text-2xl font-bold ${totals.margin < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatCurrency(totals.margin)}
+              </p>
+            </div>
+          </div>
+        )}
+
         {/* Distribution Charts */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           {statusDistribution.length > 0 && (
@@ -415,7 +505,9 @@ const Reports = () => {
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Client</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
                     <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Budget</th>
-                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Invoiced</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Duration</th>
                   </tr>
                 </thead>
@@ -444,11 +536,41 @@ const Reports = () => {
                       </td>
                       <td className="px-4 py-3 text-right">
                         <p className="font-medium text-gray-900">{formatCurrency(project.budget)}</p>
-                        {project.actual_cost && (
-                          <p className="text-sm text-gray-600">Actual: {formatCurrency(project.actual_cost)}</p>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {project.actual_cost !== null && project.actual_cost !== undefined ? (
+                          <>
+                            <p className={`font-medium ${project.budget && project.actual_cost > project.budget ? 'text-red-600' : 'text-gray-900'}`}>
+                              {formatCurrency(project.actual_cost)}
+                            </p>
+                            {data.costed && (
+                              <p className="text-xs text-gray-600">
+                                {formatCurrency(project.expense_cost)} exp. + {formatCurrency(project.labour_cost)} time
+                              </p>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-gray-400">N/A</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <p className="font-medium text-gray-900">{formatCurrency(project.revenue)}</p>
+                        <p className="text-xs text-gray-600">Invoiced: {formatCurrency(project.total_invoiced)}</p>
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        {project.margin !== null && project.margin !== undefined ? (
+                          <>
+                            <p className={`font-medium ${project.margin < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                              {formatCurrency(project.margin)}
+                            </p>
+                            {project.margin_percent !== null && (
+                              <p className="text-xs text-gray-600">{project.margin_percent}%</p>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-gray-400">N/A</span>
                         )}
                       </td>
-                      <td className="px-4 py-3 text-right font-medium text-gray-900">{formatCurrency(project.total_invoiced)}</td>
                       <td className="px-4 py-3 text-gray-600">
                         {project.duration_days ? `${project.duration_days} days` : 'N/A'}
                       </td>
@@ -536,9 +658,9 @@ const Reports = () => {
                           {invoice.status}
                         </span>
                       </td>
-                      <td className="px-4 py-3 text-right font-medium text-gray-900">{formatCurrency(invoice.total_amount)}</td>
-                      <td className="px-4 py-3 text-right text-success-600">{formatCurrency(invoice.paid_amount)}</td>
-                      <td className="px-4 py-3 text-right text-warning-600">{formatCurrency(invoice.outstanding_amount)}</td>
+                      <td className="px-4 py-3 text-right font-medium text-gray-900">{formatCurrency(invoice.total_amount, invoice.currency || undefined)}</td>
+                      <td className="px-4 py-3 text-right text-success-600">{formatCurrency(invoice.paid_amount, invoice.currency || undefined)}</td>
+                      <td className="px-4 py-3 text-right text-warning-600">{formatCurrency(invoice.outstanding_amount, invoice.currency || undefined)}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -555,6 +677,318 @@ const Reports = () => {
     );
   };
 
+  const renderGstReport = () => {
+    const data = reportData?.data?.data || {};
+    const summary = data.summary || {};
+    const creditNotes = data.credit_notes;
+    const net = data.net || summary;
+    const byRate = data.by_rate || [];
+    const byPlaceOfSupply = data.by_place_of_supply || [];
+    const formatRate = (rate) => `${Number(rate || 0).toFixed(2).replace(/\.?0+$/, '')}%`;
+
+    return (
+      <div className="space-y-6">
+        {/* GST Totals */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+          {[
+            ['Taxable Value', net.taxable_value],
+            ['CGST', net.cgst_amount],
+            ['SGST', net.sgst_amount],
+            ['IGST', net.igst_amount],
+            ['Total GST', net.tax_amount],
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <p className="text-sm text-gray-600">{label}</p>
+              <p className="text-2xl font-bold text-gray-900 mt-1">{formatCurrency(value)}</p>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          {summary.invoice_count || 0} invoice(s) with GST; drafts and cancelled invoices are excluded.
+          {Number(creditNotes?.credit_note_count) > 0 && (
+            <> Net of {creditNotes.credit_note_count} credit note(s): taxable value {formatCurrency(creditNotes.taxable_value)},
+            GST {formatCurrency(creditNotes.tax_amount)}.</>
+          )}
+        </p>
+
+        {byRate.length > 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">By Rate and HSN/SAC</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">HSN/SAC</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Taxable Value</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">CGST</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">SGST</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">IGST</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {byRate.map((row) => (
+                    <tr key={`${row.tax_rate}-${row.hsn_sac || ''}`} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 font-medium text-gray-900">{formatRate(row.tax_rate)}</td>
+                      <td className="px-4 py-3 text-gray-600">{row.hsn_sac || '-'}</td>
+                      <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(row.taxable_value)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(row.cgst_amount)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(row.sgst_amount)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(row.igst_amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <Landmark className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No GST invoices found for the selected filters</p>
+          </div>
+        )}
+
+        {byPlaceOfSupply.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">By Place of Supply</h3>
+            <div className="space-y-3">
+              {byPlaceOfSupply.map((row) => (
+                <div key={row.place_of_supply || 'unknown'} className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">{row.place_of_supply_name || 'Unknown'}</p>
+                    <p className="text-xs text-gray-600">{row.invoice_count} invoice(s)</p>
+                  </div>
+                  <div className="text-right">
+                    <p className="font-medium text-gray-900">{formatCurrency(row.taxable_value)}</p>
+                    <p className="text-xs text-gray-600">GST {formatCurrency(row.tax_amount)}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderCatalogRevenueReport = () => {
+    const data = reportData?.data?.data || {};
+    const summary = data.summary || {};
+    const items = data.items || [];
+    const formatQuantity = (quantity) => Number(quantity || 0).toFixed(2).replace(/\.?0+$/, '');
+
+    return (
+      <div className="space-y-6">
+        {/* Totals */}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {[
+            ['Invoiced', summary.invoiced_amount],
+            ['Credited', summary.credited_amount],
+            ['Net Revenue', summary.net_amount],
+            ['From Catalog Items', summary.catalog_net_amount],
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <p className="text-sm text-gray-600">{label}</p>
+              <p className="text-2xl font-bold text-gray-900 mt-1">{formatCurrency(value)}</p>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          Line totals before tax, net of issued credit notes; drafts and cancelled invoices are excluded.
+          {Number(summary.unconverted_lines) > 0 && (
+            <> {summary.unconverted_lines} line(s) in other currencies have no exchange rate and are left out.</>
+          )}
+        </p>
+
+        {items.length > 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">By Catalog Item</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Invoices</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Invoiced</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credited</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {items.map((row) => (
+                    <tr key={row.catalog_item_id || 'none'} className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        {row.catalog_item_id ? (
+                          <>
+                            <p className="font-medium text-gray-900">
+                              {row.name}
+                              {row.is_active === false && <span className="ml-2 text-xs text-gray-500">(archived)</span>}
+                            </p>
+                            {row.sku && <p className="text-xs text-gray-600">{row.sku}</p>}
+                          </>
+                        ) : (
+                          <p className="text-gray-600 italic">Lines not from the catalog</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right text-gray-600">
+                        {formatQuantity(row.quantity)}{row.unit ? ` ${row.unit}` : ''}
+                      </td>
+                      <td className="px-4 py-3 text-right text-gray-600">{row.invoice_count}</td>
+                      <td className="px-4 py-3 text-right text-gray-900">{formatCurrency(row.invoiced_amount)}</td>
+                      <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(row.credited_amount)}</td>
+                      <td className="px-4 py-3 text-right font-medium text-gray-900">{formatCurrency(row.net_amount)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <Package className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No invoiced line items found for the selected filters</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderAgingReport = () => {
+    const data = reportData?.data?.data || {};
+    const buckets = data.buckets || [];
+    const clientRows = data.clients || [];
+    const totals = data.totals || {};
+    const invoices = data.invoices;
+    const bucketLabels = buckets.reduce((labels, bucket) => ({ ...labels, [bucket.key]: bucket.label }), {});
+
+    return (
+      <div className="space-y-6">
+        {/* Totals per bucket */}
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+          {[...buckets, { key: 'total', label: 'Total Outstanding' }].map((bucket) => (
+            <div key={bucket.key} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <p className="text-sm text-gray-600">{bucket.label}</p>
+              <p className={`text-xl font-bold mt-1 ${bucket.key === 'days_90_plus' && totals[bucket.key] > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatCurrency(totals[bucket.key])}
+              </p>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          Unpaid balances of issued invoices (after payments and credit notes) as of {formatDate(data.as_of)}, by days
+          past the due date. Click a client to see the invoices.
+          {Number(totals.unconverted_invoices) > 0 && (
+            <> {totals.unconverted_invoices} invoice(s) in other currencies have no exchange rate and are left out of the amounts.</>
+          )}
+        </p>
+
+        {filters.client_id && invoices ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">
+                Open Invoices{clientRows[0] ? ` of ${clientRows[0].company_name || clientRows[0].client_name}` : ''}
+              </h3>
+              <div className="flex items-center gap-4 text-sm">
+                <Link to={`/clients/${filters.client_id}`} className="text-primary-600 hover:text-primary-700">
+                  Client & statement
+                </Link>
+                <button
+                  onClick={() => handleFilterChange('client_id', '')}
+                  className="text-gray-600 hover:text-gray-800"
+                >
+                  All clients
+                </button>
+              </div>
+            </div>
+            {invoices.length > 0 ? (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Invoice Date</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due Date</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Days Overdue</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Bucket</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {invoices.map((invoice) => (
+                      <tr key={invoice.id} className="hover:bg-gray-50">
+                        <td className="px-4 py-3">
+                          <Link to={`/invoices/${invoice.id}`} className="font-medium text-primary-600 hover:text-primary-700">
+                            {invoice.invoice_number}
+                          </Link>
+                        </td>
+                        <td className="px-4 py-3 text-gray-600">{formatDate(invoice.invoice_date)}</td>
+                        <td className="px-4 py-3 text-gray-600">{formatDate(invoice.due_date)}</td>
+                        <td className="px-4 py-3 text-right text-gray-600">{formatCurrency(invoice.total_amount, invoice.currency)}</td>
+                        <td className="px-4 py-3 text-right font-medium text-gray-900">
+                          {formatCurrency(invoice.outstanding_amount, invoice.currency)}
+                        </td>
+                        <td className="px-4 py-3 text-right text-gray-600">{invoice.days_overdue}</td>
+                        <td className="px-4 py-3 text-gray-600">{bucketLabels[invoice.bucket] || invoice.bucket}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="text-gray-600 text-center py-8">This client has no outstanding invoices</p>
+            )}
+          </div>
+        ) : clientRows.length > 0 ? (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">By Client</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Client</th>
+                    {buckets.map((bucket) => (
+                      <th key={bucket.key} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{bucket.label}</th>
+                    ))}
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {clientRows.map((row) => (
+                    <tr
+                      key={row.client_id}
+                      onClick={() => handleFilterChange('client_id', String(row.client_id))}
+                      className="hover:bg-gray-50 cursor-pointer"
+                    >
+                      <td className="px-4 py-3">
+                        <p className="font-medium text-gray-900">{row.client_name}</p>
+                        <p className="text-xs text-gray-600">
+                          {row.company_name ? `${row.company_name} • ` : ''}{row.invoice_count} invoice(s)
+                        </p>
+                      </td>
+                      {buckets.map((bucket) => (
+                        <td key={bucket.key} className="px-4 py-3 text-right text-gray-600">
+                          {row[bucket.key] ? formatCurrency(row[bucket.key]) : '-'}
+                        </td>
+                      ))}
+                      <td className="px-4 py-3 text-right font-medium text-gray-900">{formatCurrency(row.total)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center">
+            <CheckCircle className="w-12 h-12 text-green-500 mx-auto mb-4" />
+            <p className="text-gray-600">No outstanding invoices</p>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const renderReportContent = () => {
     if (isLoading) {
       return (
@@ -599,6 +1033,12 @@ const Reports = () => {
         return renderProjectPerformanceReport();
       case 'invoices':
         return renderInvoiceReport();
+      case 'gst':
+        return renderGstReport();
+      case 'catalog-revenue':
+        return renderCatalogRevenueReport();
+      case 'aging':
+        return renderAgingReport();
       default:
         return renderSummaryReport();
     }
@@ -613,6 +1053,13 @@ const Reports = () => {
           <p className="text-gray-600 mt-1">Generate comprehensive reports and analytics</p>
         </div>
         <div className="flex items-center gap-2">
+          <Link
+            to="/reports/accounting-export"
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
+          >
+            <BookOpen className="w-4 h-4" />
+            Accounting Export
+          </Link>
           <button
             onClick={() => setShowFilters(!showFilters)}
             className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
@@ -688,6 +1135,39 @@ const Reports = () => {
             <Receipt className="w-4 h-4" />
             Invoices
           </button>
+          <button
+            onClick={() => setReportType('gst')}
+            className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 ${
+              reportType === 'gst'
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Landmark className="w-4 h-4" />
+            GST
+          </button>
+          <button
+            onClick={() => setReportType('catalog-revenue')}
+            className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 ${
+              reportType === 'catalog-revenue'
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Package className="w-4 h-4" />
+            Revenue by Item
+          </button>
+          <button
+            onClick={() => setReportType('aging')}
+            className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 ${
+              reportType === 'aging'
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Clock className="w-4 h-4" />
+            Receivables Aging
+          </button>
         </div>
       </div>
 
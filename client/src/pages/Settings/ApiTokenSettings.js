@@ -0,0 +1,313 @@
+import React, { useMemo, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { KeyRound, Plus, Trash2, Copy, Loader, X } from 'lucide-react';
+import { apiTokensAPI } from '../../services/api';
+
+const EXPIRY_OPTIONS = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 180, label: '180 days' },
+  { value: 365, label: '1 year' },
+];
+
+const STATUS_BADGES = {
+  active: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800',
+};
+
+const formatModule = (module) => module.replace(/^pm_/, 'PM ').replace(/_/g, ' ');
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const ApiTokenSettings = () => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [name, setName] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  const [createdToken, setCreatedToken] = useState(null);
+
+  const { data: tokensData, isLoading, error } = useQuery('api-tokens', apiTokensAPI.getAll, { retry: false });
+  const tokens = tokensData?.data?.data?.tokens || [];
+
+  const { data: scopesData } = useQuery('api-token-scopes', apiTokensAPI.getScopes, {
+    enabled: showForm,
+    retry: false,
+  });
+
+  // Group grantable scopes by module for the checkbox grid
+  const scopesByModule = useMemo(() => {
+    const groups = {};
+    (scopesData?.data?.data?.scopes || []).forEach((scope) => {
+      if (!groups[scope.module]) groups[scope.module] = [];
+      groups[scope.module].push(scope);
+    });
+    return groups;
+  }, [scopesData]);
+
+  const resetForm = () => {
+    setShowForm(false);
+    setName('');
+    setExpiresInDays(90);
+    setSelectedScopes([]);
+  };
+
+  const createMutation = useMutation((data) => apiTokensAPI.create(data), {
+    onSuccess: (response) => {
+      setCreatedToken(response.data.data);
+      resetForm();
+      queryClient.invalidateQueries('api-tokens');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to create API token')),
+  });
+
+  const revokeMutation = useMutation((id) => apiTokensAPI.revoke(id), {
+    onSuccess: () => {
+      toast.success('API token revoked');
+      queryClient.invalidateQueries('api-tokens');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to revoke API token')),
+  });
+
+  const toggleScope = (scope) => {
+    setSelectedScopes((current) => (
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]
+    ));
+  };
+
+  const toggleModule = (module) => {
+    const moduleScopes = scopesByModule[module].map((s) => s.scope);
+    const allSelected = moduleScopes.every((s) => selectedScopes.includes(s));
+    setSelectedScopes((current) => (
+      allSelected
+        ? current.filter((s) => !moduleScopes.includes(s))
+        : [...new Set([...current, ...moduleScopes])]
+    ));
+  };
+
+  const handleRevoke = (token) => {
+    if (window.confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) {
+      revokeMutation.mutate(token.id);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken.token);
+      toast.success('Token copied');
+    } catch (err) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    createMutation.mutate({
+      name: name.trim(),
+      scopes: selectedScopes,
+      expires_in_days: expiresInDays,
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6">
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">API Tokens</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Personal tokens for scripts and integrations. Send them as <code>Authorization: Bearer &lt;token&gt;</code>;
+            a token can only do what its permissions allow, and never more than you can.
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="btn btn-primary flex items-center flex-shrink-0"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New token
+          </button>
+        )}
+      </div>
+
+      {createdToken && (
+        <div className="mb-6 p-4 bg-success-50 border border-success-200 rounded-lg">
+          <div className="flex items-start justify-between">
+            <p className="text-sm font-medium text-gray-900">
+              Token &quot;{createdToken.name}&quot; created. Copy it now - it will not be shown again.
+            </p>
+            <button type="button" onClick={() => setCreatedToken(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <div className="mt-3 flex flex-col sm:flex-row gap-2">
+            <code className="flex-1 px-3 py-2 bg-white border border-gray-200 rounded text-sm break-all">
+              {createdToken.token}
+            </code>
+            <button type="button" onClick={handleCopy} className="btn btn-secondary flex items-center justify-center">
+              <Copy className="h-4 w-4 mr-2" />
+              Copy
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 border border-gray-200 rounded-lg space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                placeholder="e.g. CRM sync"
+                className="form-input"
+              />
+            </div>
+            <div>
+              <label className="form-label">Expires in</label>
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(parseInt(e.target.value, 10))}
+                className="form-input"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="form-label">Permissions</label>
+            {Object.keys(scopesByModule).length === 0 ? (
+              <p className="text-sm text-gray-500">Loading permissions...</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 max-h-80 overflow-y-auto">
+                {Object.entries(scopesByModule).map(([module, scopes]) => (
+                  <div key={module} className="p-3 border border-gray-200 rounded-lg">
+                    <button
+                      type="button"
+                      onClick={() => toggleModule(module)}
+                      className="text-sm font-medium text-gray-900 capitalize hover:text-primary-600"
+                    >
+                      {formatModule(module)}
+                    </button>
+                    <div className="mt-2 space-y-1">
+                      {scopes.map((scope) => (
+                        <label key={scope.scope} className="flex items-center gap-2 text-sm text-gray-700" title={scope.description || ''}>
+                          <input
+                            type="checkbox"
+                            checked={selectedScopes.includes(scope.scope)}
+                            onChange={() => toggleScope(scope.scope)}
+                            className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                          />
+                          {scope.action.replace(/_/g, ' ')}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={!name.trim() || selectedScopes.length === 0 || createMutation.isLoading}
+              className="btn btn-primary flex items-center"
+            >
+              {createMutation.isLoading ? (
+                <Loader className="h-4 w-4 animate-spin mr-2" />
+              ) : (
+                <KeyRound className="h-4 w-4 mr-2" />
+              )}
+              Create token
+            </button>
+            <button type="button" onClick={resetForm} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-sm text-gray-500">
+          <Loader className="h-4 w-4 animate-spin mr-2" />
+          Loading...
+        </div>
+      ) : error ? (
+        <p className="text-sm text-danger-600">{getErrorMessage(error, 'Failed to load API tokens')}</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">You have no API tokens yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Permissions</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last used</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {tokens.map((token) => (
+                <tr key={token.id}>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium text-gray-900">{token.name}</div>
+                    <div className="text-xs text-gray-500 font-mono">{token.token_prefix}…</div>
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-600 max-w-xs">
+                    {token.scopes.join(', ')}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                    {new Date(token.expires_at).toLocaleDateString()}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                    {token.last_used_at ? (
+                      <>
+                        <div>{new Date(token.last_used_at).toLocaleString()}</div>
+                        {token.last_used_ip && <div className="text-xs text-gray-500">{token.last_used_ip}</div>}
+                      </>
+                    ) : 'Never'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_BADGES[token.status]}`}>
+                      {token.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right">
+                    {token.status === 'active' && (
+                      <button
+                        type="button"
+                        onClick={() => handleRevoke(token)}
+                        disabled={revokeMutation.isLoading}
+                        className="text-red-600 hover:text-red-900"
+                        title="Revoke token"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokenSettings;
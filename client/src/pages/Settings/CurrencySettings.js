@@ -0,0 +1,271 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { Info, Loader, Plus, Save, Trash2, Upload } from 'lucide-react';
+import { settingsAPI } from '../../services/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyRate = () => ({ currency: '', rate: '', rate_date: today() });
+
+// Workspace base currency and exchange rates: reports and the dashboard convert invoice amounts to the base currency
+const CurrencySettings = () => {
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [baseCurrency, setBaseCurrency] = useState('');
+  const [rateForm, setRateForm] = useState(emptyRate);
+  const [importErrors, setImportErrors] = useState([]);
+
+  const { data, isLoading, error } = useQuery('workspace-currency', settingsAPI.getWorkspaceCurrency, { retry: false });
+  const currency = data?.data?.data;
+  const { data: ratesData } = useQuery('exchange-rates', () => settingsAPI.getExchangeRates(), {
+    retry: false,
+    enabled: Boolean(currency),
+  });
+  const rates = ratesData?.data?.data?.rates || [];
+
+  useEffect(() => {
+    if (currency) setBaseCurrency(currency.base_currency);
+  }, [currency]);
+
+  const updateMutation = useMutation((values) => settingsAPI.updateWorkspaceCurrency(values), {
+    onSuccess: () => {
+      toast.success('Base currency saved');
+      queryClient.invalidateQueries('workspace-currency');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save base currency')),
+  });
+
+  const saveRateMutation = useMutation((values) => settingsAPI.saveExchangeRate(values), {
+    onSuccess: () => {
+      toast.success('Exchange rate saved');
+      setRateForm(emptyRate());
+      queryClient.invalidateQueries('exchange-rates');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save exchange rate')),
+  });
+
+  const deleteRateMutation = useMutation((id) => settingsAPI.deleteExchangeRate(id), {
+    onSuccess: () => {
+      toast.success('Exchange rate deleted');
+      queryClient.invalidateQueries('exchange-rates');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to delete exchange rate')),
+  });
+
+  const importMutation = useMutation((csv) => settingsAPI.importExchangeRates(csv), {
+    onSuccess: (response) => {
+      const result = response.data.data;
+      toast.success(response.data.message);
+      setImportErrors(result.errors || []);
+      queryClient.invalidateQueries('exchange-rates');
+    },
+    onError: (err) => {
+      setImportErrors(err.response?.data?.data?.errors || []);
+      toast.error(getErrorMessage(err, 'Failed to import exchange rates'));
+    },
+  });
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => importMutation.mutate(String(reader.result || ''));
+    reader.onerror = () => toast.error('Could not read the file');
+    reader.readAsText(file);
+  };
+
+  const handleAddRate = (e) => {
+    e.preventDefault();
+    saveRateMutation.mutate({
+      currency: rateForm.currency.trim().toUpperCase(),
+      rate: rateForm.rate,
+      rate_date: rateForm.rate_date,
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader className="h-6 w-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  if (error || !currency) {
+    return (
+      <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+        {getErrorMessage(error || {}, 'Unable to load currency settings.')}
+      </div>
+    );
+  }
+
+  const canEdit = currency.can_edit;
+  const currencyOptions = currency.currencies.includes(currency.base_currency)
+    ? currency.currencies
+    : [currency.base_currency, ...currency.currencies];
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Currency &amp; Exchange Rates</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Reports and the dashboard convert invoices and payments to the base currency. Each invoice and payment keeps
+          the latest rate on or before its date; the difference between the two is shown as realised FX gain/loss.
+        </p>
+      </div>
+
+      {!canEdit && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-start">
+          <Info className="h-5 w-5 text-blue-600 mt-0.5 mr-2 flex-shrink-0" />
+          <p className="text-sm text-blue-800">Only workspace administrators can edit the base currency and exchange rates.</p>
+        </div>
+      )}
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          updateMutation.mutate({ base_currency: baseCurrency });
+        }}
+        className="flex flex-wrap items-end gap-3 mb-6"
+      >
+        <div>
+          <label htmlFor="base_currency" className="form-label">Base currency</label>
+          <select
+            id="base_currency"
+            value={baseCurrency}
+            onChange={(e) => setBaseCurrency(e.target.value)}
+            className="form-select"
+            disabled={!canEdit || currency.locked}
+          >
+            {currencyOptions.map((code) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        {canEdit && !currency.locked && (
+          <button type="submit" disabled={updateMutation.isLoading} className="btn btn-primary inline-flex items-center">
+            {updateMutation.isLoading ? <Loader className="h-4 w-4 animate-spin mr-2" /> : <Save className="h-4 w-4 mr-2" />}
+            Save
+          </button>
+        )}
+        {currency.locked && (
+          <p className="text-sm text-gray-500">Locked: invoices have already captured rates to {currency.base_currency}.</p>
+        )}
+      </form>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h4 className="text-md font-medium text-gray-900">
+          Exchange rates <span className="text-sm font-normal text-gray-500">({currency.base_currency} per 1 unit)</span>
+        </h4>
+        {canEdit && (
+          <>
+            <input ref={fileInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileChange} />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importMutation.isLoading}
+              className="btn btn-outline btn-sm inline-flex items-center"
+              title="CSV columns: currency, rate, date (YYYY-MM-DD, optional)"
+            >
+              {importMutation.isLoading ? <Loader className="h-4 w-4 animate-spin mr-1" /> : <Upload className="h-4 w-4 mr-1" />}
+              Import CSV
+            </button>
+          </>
+        )}
+      </div>
+
+      {importErrors.length > 0 && (
+        <div className="mb-3 rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+          <p className="font-medium mb-1">Some lines were skipped:</p>
+          <ul className="list-disc pl-5">
+            {importErrors.slice(0, 10).map((item) => (
+              <li key={`${item.line}-${item.message}`}>Line {item.line}: {item.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleAddRate} className="grid grid-cols-1 sm:grid-cols-4 gap-3 mb-4">
+          <input
+            type="text"
+            maxLength={3}
+            value={rateForm.currency}
+            onChange={(e) => setRateForm((prev) => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+            className="form-input uppercase"
+            placeholder="Currency (e.g. EUR)"
+            required
+          />
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={rateForm.rate}
+            onChange={(e) => setRateForm((prev) => ({ ...prev, rate: e.target.value }))}
+            className="form-input"
+            placeholder={`Rate in ${currency.base_currency}`}
+            required
+          />
+          <input
+            type="date"
+            value={rateForm.rate_date}
+            onChange={(e) => setRateForm((prev) => ({ ...prev, rate_date: e.target.value }))}
+            className="form-input"
+            required
+          />
+          <button type="submit" disabled={saveRateMutation.isLoading} className="btn btn-primary inline-flex items-center justify-center">
+            <Plus className="h-4 w-4 mr-1" /> Add Rate
+          </button>
+        </form>
+      )}
+
+      {rates.length === 0 ? (
+        <p className="text-sm text-gray-500">No exchange rates yet. Invoices in other currencies are left out of converted totals until a rate exists.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currency</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rate</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                {canEdit && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200 text-sm text-gray-900">
+              {rates.map((rate) => (
+                <tr key={rate.id}>
+                  <td className="px-4 py-2">{rate.rate_date}</td>
+                  <td className="px-4 py-2 font-medium">{rate.currency}</td>
+                  <td className="px-4 py-2 text-right font-mono">{rate.rate}</td>
+                  <td className="px-4 py-2 text-gray-500">{rate.source === 'csv' ? 'CSV import' : 'Manual'}</td>
+                  {canEdit && (
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => deleteRateMutation.mutate(rate.id)}
+                        disabled={deleteRateMutation.isLoading}
+                        className="text-red-600 hover:text-red-800"
+                        title="Delete rate"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrencySettings;
@@ -0,0 +1,382 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useQuery, useMutation } from 'react-query';
+import toast from 'react-hot-toast';
+import { ArrowDown, ArrowUp, Info, Loader, Save, Trash2, Upload } from 'lucide-react';
+import { settingsAPI } from '../../services/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const ACCENT_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const FIELD_LABELS = {
+  notes: 'Notes',
+  terms: 'Terms & Conditions (quotations)',
+  bank_details: 'Bank / payment details',
+  signature: 'Signature',
+};
+
+const IMAGE_LABELS = {
+  logo: 'Logo',
+  signature: 'Signature',
+};
+
+// Uploads a PNG/JPEG logo or signature right away; the server checks the type and size again
+const TemplateImage = ({ kind, image, canEdit, maxBytes, onChange }) => {
+  const inputRef = useRef(null);
+
+  const uploadMutation = useMutation((file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return settingsAPI.uploadDocumentTemplateImage(kind, formData);
+  }, {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      onChange(response.data.data[kind]);
+    },
+    onError: (err) => toast.error(getErrorMessage(err, `Failed to upload ${kind}`)),
+  });
+
+  const removeMutation = useMutation(() => settingsAPI.deleteDocumentTemplateImage(kind), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      onChange(null);
+    },
+    onError: (err) => toast.error(getErrorMessage(err, `Failed to remove ${kind}`)),
+  });
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (maxBytes && file.size > maxBytes) {
+      toast.error(`The image must be at most ${Math.round(maxBytes / 1024)} KB`);
+      return;
+    }
+    uploadMutation.mutate(file);
+  };
+
+  return (
+    <div>
+      <label className="form-label">{IMAGE_LABELS[kind]}</label>
+      <div className="flex items-center gap-3">
+        <div className="h-16 w-40 flex items-center justify-center rounded border border-dashed border-gray-300 bg-gray-50">
+          {image ? (
+            <img src={image} alt={IMAGE_LABELS[kind]} className="max-h-14 max-w-[9.5rem] object-contain" />
+          ) : (
+            <span className="text-xs text-gray-400">None</span>
+          )}
+        </div>
+        {canEdit && (
+          <div className="flex flex-col gap-2">
+            <input ref={inputRef} type="file" accept="image/png,image/jpeg" className="hidden" onChange={handleFileChange} />
+            <button
+              type="button"
+              onClick={() => inputRef.current?.click()}
+              disabled={uploadMutation.isLoading}
+              className="btn btn-outline btn-sm inline-flex items-center"
+            >
+              {uploadMutation.isLoading ? <Loader className="h-4 w-4 animate-spin mr-1" /> : <Upload className="h-4 w-4 mr-1" />}
+              {image ? 'Replace' : 'Upload'}
+            </button>
+            {image && (
+              <button
+                type="button"
+                onClick={() => removeMutation.mutate()}
+                disabled={removeMutation.isLoading}
+                className="btn btn-outline btn-sm inline-flex items-center text-red-600"
+              >
+                <Trash2 className="h-4 w-4 mr-1" />
+                Remove
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Workspace document template: branding of invoice, quotation and credit note PDFs and document emails,
+// with a live preview of a sample document rendered by the server
+const DocumentTemplateSettings = () => {
+  const [form, setForm] = useState(null);
+  const [images, setImages] = useState({ logo: null, signature: null });
+  const [previewType, setPreviewType] = useState('invoice');
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+
+  const { data, isLoading, error } = useQuery('document-template', settingsAPI.getDocumentTemplate, {
+    retry: false,
+    refetchOnWindowFocus: false,
+  });
+  const template = data?.data?.data;
+
+  // Filled once, so refetches do not discard unsaved changes
+  useEffect(() => {
+    if (template && !form) {
+      setForm({
+        accent_color: template.accent_color,
+        footer_text: template.footer_text,
+        bank_details: template.bank_details,
+        bank_details_on_quotations: template.bank_details_on_quotations,
+        signature_label: template.signature_label,
+        field_order: template.field_order,
+      });
+      setImages({ logo: template.logo, signature: template.signature });
+    }
+  }, [template, form]);
+
+  // Re-render the preview shortly after the last change
+  useEffect(() => {
+    if (!form) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await settingsAPI.previewDocumentTemplate({
+          ...form,
+          accent_color: ACCENT_COLOR_PATTERN.test(form.accent_color) ? form.accent_color : undefined,
+          document_type: previewType,
+        });
+        if (cancelled) return;
+        const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+        setPreviewUrl(url);
+        setPreviewError(null);
+      } catch (err) {
+        if (!cancelled) setPreviewError('The preview could not be rendered.');
+      }
+    }, 600);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [form, images, previewType]);
+
+  // Frees the previous preview once it is replaced, and the last one on unmount
+  useEffect(() => () => {
+    if (previewUrl) window.URL.revokeObjectURL(previewUrl);
+  }, [previewUrl]);
+
+  const updateMutation = useMutation((values) => settingsAPI.updateDocumentTemplate(values), {
+    onSuccess: () => toast.success('Document template saved'),
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save document template')),
+  });
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const moveField = (index, offset) => {
+    setForm((prev) => {
+      const order = [...prev.field_order];
+      const [key] = order.splice(index, 1);
+      order.splice(index + offset, 0, key);
+      return { ...prev, field_order: order };
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!ACCENT_COLOR_PATTERN.test(form.accent_color)) {
+      toast.error('Accent colour must be a hex colour such as #4F46E5');
+      return;
+    }
+    updateMutation.mutate(form);
+  };
+
+  if (isLoading || (template && !form)) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader className="h-6 w-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  if (error || !template) {
+    return (
+      <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+        {getErrorMessage(error || {}, 'Unable to load the document template.')}
+      </div>
+    );
+  }
+
+  const canEdit = template.can_edit;
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Document Template</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Branding of invoice, quotation and credit note PDFs and of the emails they are sent with. Bank details are
+          printed on invoices (and on quotations if you choose); the blocks under the totals follow the order below.
+        </p>
+      </div>
+
+      {!canEdit && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-start">
+          <Info className="h-5 w-5 text-blue-600 mt-0.5 mr-2 flex-shrink-0" />
+          <p className="text-sm text-blue-800">Only workspace administrators can edit the document template.</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <TemplateImage
+              kind="logo"
+              image={images.logo}
+              canEdit={canEdit}
+              maxBytes={template.max_image_bytes}
+              onChange={(image) => setImages((prev) => ({ ...prev, logo: image }))}
+            />
+            <TemplateImage
+              kind="signature"
+              image={images.signature}
+              canEdit={canEdit}
+              maxBytes={template.max_image_bytes}
+              onChange={(image) => setImages((prev) => ({ ...prev, signature: image }))}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="accent_color" className="form-label">Accent colour</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={ACCENT_COLOR_PATTERN.test(form.accent_color) ? form.accent_color : '#4F46E5'}
+                onChange={(e) => setField('accent_color', e.target.value.toUpperCase())}
+                className="w-12 h-8 border border-gray-300 rounded cursor-pointer"
+                disabled={!canEdit}
+              />
+              <input
+                id="accent_color"
+                type="text"
+                value={form.accent_color}
+                onChange={(e) => setField('accent_color', e.target.value)}
+                className="form-input w-28"
+                placeholder="#4F46E5"
+                maxLength={7}
+                disabled={!canEdit}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="signature_label" className="form-label">Signature label</label>
+            <input
+              id="signature_label"
+              type="text"
+              value={form.signature_label}
+              onChange={(e) => setField('signature_label', e.target.value)}
+              className="form-input"
+              placeholder="Authorised Signatory"
+              maxLength={100}
+              disabled={!canEdit}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="bank_details" className="form-label">Bank / payment details</label>
+            <textarea
+              id="bank_details"
+              rows={4}
+              value={form.bank_details}
+              onChange={(e) => setField('bank_details', e.target.value)}
+              className="form-input"
+              placeholder={'Bank name\nAccount number\nIFSC / SWIFT\nUPI ID'}
+              maxLength={2000}
+              disabled={!canEdit}
+            />
+            <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.bank_details_on_quotations}
+                onChange={(e) => setField('bank_details_on_quotations', e.target.checked)}
+                className="rounded border-gray-300"
+                disabled={!canEdit}
+              />
+              Also print them on quotations
+            </label>
+          </div>
+
+          <div>
+            <label htmlFor="footer_text" className="form-label">Footer text</label>
+            <input
+              id="footer_text"
+              type="text"
+              value={form.footer_text}
+              onChange={(e) => setField('footer_text', e.target.value)}
+              className="form-input"
+              placeholder="Registered office, website, company number"
+              maxLength={300}
+              disabled={!canEdit}
+            />
+          </div>
+
+          <div>
+            <label className="form-label">Order under the totals</label>
+            <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+              {form.field_order.map((key, index) => (
+                <li key={key} className="flex items-center justify-between px-3 py-2 text-sm text-gray-900">
+                  <span>{index + 1}. {FIELD_LABELS[key]}</span>
+                  {canEdit && (
+                    <span className="flex items-center gap-1">
+                      <button
+                        type="button"
+                        onClick={() => moveField(index, -1)}
+                        disabled={index === 0}
+                        className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ArrowUp className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveField(index, 1)}
+                        disabled={index === form.field_order.length - 1}
+                        className="p-1 text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ArrowDown className="h-4 w-4" />
+                      </button>
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {canEdit && (
+            <button type="submit" disabled={updateMutation.isLoading} className="btn btn-primary inline-flex items-center">
+              {updateMutation.isLoading ? <Loader className="h-4 w-4 animate-spin mr-2" /> : <Save className="h-4 w-4 mr-2" />}
+              Save
+            </button>
+          )}
+        </form>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-700">Preview</span>
+            <select
+              value={previewType}
+              onChange={(e) => setPreviewType(e.target.value)}
+              className="form-select text-sm w-auto"
+            >
+              <option value="invoice">Sample invoice</option>
+              <option value="quotation">Sample quotation</option>
+            </select>
+          </div>
+          {previewError ? (
+            <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">{previewError}</div>
+          ) : previewUrl ? (
+            <iframe src={previewUrl} title="Document template preview" className="w-full h-[600px] rounded border border-gray-200" />
+          ) : (
+            <div className="flex items-center justify-center h-[600px] rounded border border-gray-200">
+              <Loader className="h-6 w-6 animate-spin text-primary-600" />
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentTemplateSettings;
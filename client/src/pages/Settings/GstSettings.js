@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { Info, Loader, Save } from 'lucide-react';
+import { settingsAPI } from '../../services/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+// Workspace GST registration: the state decides CGST + SGST (same state) or IGST (other state / abroad)
+const GstSettings = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ gstin: '', gst_state_code: '' });
+
+  const { data, isLoading, error } = useQuery('workspace-gst', settingsAPI.getWorkspaceGst, { retry: false });
+  const gst = data?.data?.data;
+
+  useEffect(() => {
+    if (gst) {
+      setForm({ gstin: gst.gstin || '', gst_state_code: gst.gst_state_code || '' });
+    }
+  }, [gst]);
+
+  const updateMutation = useMutation((values) => settingsAPI.updateWorkspaceGst(values), {
+    onSuccess: () => {
+      toast.success('GST settings saved');
+      queryClient.invalidateQueries('workspace-gst');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save GST settings')),
+  });
+
+  // The first two digits of a GSTIN are the state code
+  const handleGstinChange = (value) => {
+    const gstin = value.toUpperCase();
+    const prefix = gstin.substring(0, 2);
+    const stateFromGstin = gst?.states?.some((state) => state.code === prefix) ? prefix : '';
+    setForm((prev) => ({
+      gstin,
+      gst_state_code: stateFromGstin || prev.gst_state_code,
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateMutation.mutate({
+      gstin: form.gstin.trim() || null,
+      gst_state_code: form.gst_state_code || null,
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader className="h-6 w-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  if (error || !gst) {
+    return (
+      <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+        {getErrorMessage(error || {}, 'Unable to load GST settings.')}
+      </div>
+    );
+  }
+
+  const canEdit = gst.can_edit;
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">GST Registration</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          When a state is set, quotations and invoices are split into CGST + SGST for clients in the same state
+          and IGST for other states or clients abroad. Leave it empty if the workspace does not charge GST.
+        </p>
+      </div>
+
+      {!canEdit && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-start">
+          <Info className="h-5 w-5 text-blue-600 mt-0.5 mr-2 flex-shrink-0" />
+          <p className="text-sm text-blue-800">Only workspace administrators can edit GST settings.</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="gstin" className="form-label">GSTIN</label>
+          <input
+            id="gstin"
+            type="text"
+            maxLength={15}
+            value={form.gstin}
+            onChange={(e) => handleGstinChange(e.target.value)}
+            className="form-input font-mono"
+            placeholder="29ABCDE1234F1Z5"
+            disabled={!canEdit}
+          />
+        </div>
+        <div>
+          <label htmlFor="gst_state_code" className="form-label">State</label>
+          <select
+            id="gst_state_code"
+            value={form.gst_state_code}
+            onChange={(e) => setForm((prev) => ({ ...prev, gst_state_code: e.target.value }))}
+            className="form-select"
+            disabled={!canEdit}
+          >
+            <option value="">Not registered for GST</option>
+            {gst.states.map((state) => (
+              <option key={state.code} value={state.code}>
+                {state.code} - {state.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        {canEdit && (
+          <div className="md:col-span-2">
+            <button type="submit" disabled={updateMutation.isLoading} className="btn btn-primary inline-flex items-center">
+              {updateMutation.isLoading ? (
+                <><Loader className="h-4 w-4 animate-spin mr-2" /> Saving...</>
+              ) : (
+                <><Save className="h-4 w-4 mr-2" /> Save GST Settings</>
+              )}
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default GstSettings;
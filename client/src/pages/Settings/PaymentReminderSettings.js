@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import { Info, Loader, Save } from 'lucide-react';
+import { settingsAPI } from '../../services/api';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const emptyForm = {
+  enabled: false,
+  days_before: 3,
+  on_due_date: true,
+  overdue_every_days: 7,
+  max_overdue_reminders: 3,
+};
+
+// Automatic payment reminders: emailed with the invoice PDF before, on and after the due date until it is paid
+const PaymentReminderSettings = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+
+  const { data, isLoading, error } = useQuery('payment-reminders', settingsAPI.getPaymentReminders, { retry: false });
+  const reminders = data?.data?.data;
+
+  useEffect(() => {
+    if (reminders) {
+      setForm({
+        enabled: reminders.enabled,
+        days_before: reminders.days_before,
+        on_due_date: reminders.on_due_date,
+        overdue_every_days: reminders.overdue_every_days,
+        max_overdue_reminders: reminders.max_overdue_reminders,
+      });
+    }
+  }, [reminders]);
+
+  const updateMutation = useMutation((values) => settingsAPI.updatePaymentReminders(values), {
+    onSuccess: () => {
+      toast.success('Payment reminders saved');
+      queryClient.invalidateQueries('payment-reminders');
+    },
+    onError: (err) => toast.error(getErrorMessage(err, 'Failed to save payment reminders')),
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateMutation.mutate({
+      enabled: form.enabled,
+      days_before: Number(form.days_before) || 0,
+      on_due_date: form.on_due_date,
+      overdue_every_days: Number(form.overdue_every_days) || 0,
+      max_overdue_reminders: Number(form.max_overdue_reminders) || 0,
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader className="h-6 w-6 animate-spin text-primary-600" />
+      </div>
+    );
+  }
+
+  if (error || !reminders) {
+    return (
+      <div className="rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+        {getErrorMessage(error || {}, 'Unable to load payment reminder settings.')}
+      </div>
+    );
+  }
+
+  const canEdit = reminders.can_edit;
+
+  return (
+    <div>
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Payment Reminders</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Unpaid invoices are emailed to the client (and their saved CC addresses) with the PDF attached. Each reminder
+          is sent once and reminders stop as soon as the invoice is paid or cancelled. Set a number to 0 to skip that reminder.
+        </p>
+      </div>
+
+      {!canEdit && (
+        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-start">
+          <Info className="h-5 w-5 text-blue-600 mt-0.5 mr-2 flex-shrink-0" />
+          <p className="text-sm text-blue-800">Only workspace administrators can edit payment reminders.</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(e) => setForm((prev) => ({ ...prev, enabled: e.target.checked }))}
+            className="rounded border-gray-300"
+            disabled={!canEdit}
+          />
+          Send automatic payment reminders
+        </label>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div>
+            <label htmlFor="days_before" className="form-label">Days before due date</label>
+            <input
+              id="days_before"
+              type="number"
+              min="0"
+              max="60"
+              value={form.days_before}
+              onChange={(e) => setForm((prev) => ({ ...prev, days_before: e.target.value }))}
+              className="form-input"
+              disabled={!canEdit || !form.enabled}
+            />
+          </div>
+          <div>
+            <label htmlFor="overdue_every_days" className="form-label">When overdue, every (days)</label>
+            <input
+              id="overdue_every_days"
+              type="number"
+              min="0"
+              max="90"
+              value={form.overdue_every_days}
+              onChange={(e) => setForm((prev) => ({ ...prev, overdue_every_days: e.target.value }))}
+              className="form-input"
+              disabled={!canEdit || !form.enabled}
+            />
+          </div>
+          <div>
+            <label htmlFor="max_overdue_reminders" className="form-label">Overdue reminders at most</label>
+            <input
+              id="max_overdue_reminders"
+              type="number"
+              min="0"
+              max="12"
+              value={form.max_overdue_reminders}
+              onChange={(e) => setForm((prev) => ({ ...prev, max_overdue_reminders: e.target.value }))}
+              className="form-input"
+              disabled={!canEdit || !form.enabled}
+            />
+          </div>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.on_due_date}
+            onChange={(e) => setForm((prev) => ({ ...prev, on_due_date: e.target.checked }))}
+            className="rounded border-gray-300"
+            disabled={!canEdit || !form.enabled}
+          />
+          Remind on the due date
+        </label>
+
+        {canEdit && (
+          <button type="submit" disabled={updateMutation.isLoading} className="btn btn-primary inline-flex items-center">
+            {updateMutation.isLoading ? <Loader className="h-4 w-4 animate-spin mr-2" /> : <Save className="h-4 w-4 mr-2" />}
+            Save
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default PaymentReminderSettings;
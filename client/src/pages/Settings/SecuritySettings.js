@@ -0,0 +1,475 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
+import {
+  ShieldCheck,
+  ShieldOff,
+  KeyRound,
+  LogOut,
+  Loader,
+  AlertCircle,
+  Copy,
+  Download,
+} from 'lucide-react';
+import { authAPI, settingsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+// Recovery codes are only shown once, right after they are generated
+const RecoveryCodesPanel = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${text}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-warning-50 border border-warning-200 rounded-lg">
+      <p className="text-sm font-medium text-gray-900">Save your recovery codes</p>
+      <p className="text-sm text-gray-600 mt-1">
+        Each code can be used once to sign in if you lose access to your authenticator app.
+        They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 mt-3 font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <span key={code} className="px-2 py-1 bg-white border border-gray-200 rounded">{code}</span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2 mt-4">
+        <button type="button" onClick={handleCopy} className="btn btn-secondary flex items-center">
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </button>
+        <button type="button" onClick={handleDownload} className="btn btn-secondary flex items-center">
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary">
+          I have saved these codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const SecuritySettings = () => {
+  const { user, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [setupData, setSetupData] = useState(null);
+  const [enableCode, setEnableCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisableForm, setShowDisableForm] = useState(false);
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [regenerateCode, setRegenerateCode] = useState('');
+  const [loggingOutAll, setLoggingOutAll] = useState(false);
+
+  const { data: statusData, isLoading: statusLoading, error: statusError } = useQuery(
+    'two-factor-status',
+    authAPI.getTwoFactorStatus,
+    { retry: false }
+  );
+  const status = statusData?.data?.data;
+
+  const { data: securityData } = useQuery(
+    'workspace-security',
+    settingsAPI.getWorkspaceSecurity,
+    { enabled: Boolean(user?.workspace?.id || user?.workspace_id), retry: false }
+  );
+  const workspaceSecurity = securityData?.data?.data;
+
+  const { data: credentialPolicyData } = useQuery(
+    'credential-policy',
+    settingsAPI.getCredentialPolicy,
+    { enabled: Boolean(workspaceSecurity?.can_edit), retry: false }
+  );
+  const credentialPolicy = credentialPolicyData?.data?.data;
+
+  const refreshStatus = () => {
+    queryClient.invalidateQueries('two-factor-status');
+  };
+
+  const setupMutation = useMutation(() => authAPI.setupTwoFactor(), {
+    onSuccess: (response) => {
+      setSetupData(response.data.data);
+      setEnableCode('');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to start two-factor setup')),
+  });
+
+  const enableMutation = useMutation((code) => authAPI.enableTwoFactor(code), {
+    onSuccess: (response) => {
+      toast.success('Two-factor authentication enabled');
+      setSetupData(null);
+      setRecoveryCodes(response.data.data.recovery_codes);
+      refreshStatus();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Invalid verification code')),
+  });
+
+  const disableMutation = useMutation((data) => authAPI.disableTwoFactor(data), {
+    onSuccess: () => {
+      toast.success('Two-factor authentication disabled');
+      setShowDisableForm(false);
+      setDisableForm({ password: '', code: '' });
+      refreshStatus();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to disable two-factor authentication')),
+  });
+
+  const regenerateMutation = useMutation((code) => authAPI.regenerateRecoveryCodes(code), {
+    onSuccess: (response) => {
+      setRegenerateCode('');
+      setRecoveryCodes(response.data.data.recovery_codes);
+      refreshStatus();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to generate recovery codes')),
+  });
+
+  const policyMutation = useMutation((requireTwoFactor) => settingsAPI.updateWorkspaceSecurity({
+    require_two_factor: requireTwoFactor,
+  }), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('workspace-security');
+      refreshStatus();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to update security settings')),
+  });
+
+  const credentialPolicyMutation = useMutation((types) => settingsAPI.updateCredentialPolicy({
+    reason_required_types: types,
+  }), {
+    onSuccess: (response) => {
+      toast.success(response.data.message);
+      queryClient.invalidateQueries('credential-policy');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to update credential policy')),
+  });
+
+  const toggleReasonRequiredType = (type) => {
+    const current = credentialPolicy?.reason_required_types || [];
+    credentialPolicyMutation.mutate(
+      current.includes(type) ? current.filter((t) => t !== type) : [...current, type]
+    );
+  };
+
+  const handleRecoveryCodesDone = () => {
+    setRecoveryCodes(null);
+    // Enrolment may have lifted a workspace 2FA requirement: reload so the app unlocks
+    if (user?.two_factor_setup_required) {
+      window.location.href = '/dashboard';
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) return;
+    setLoggingOutAll(true);
+    const result = await logoutAll();
+    setLoggingOutAll(false);
+    if (result.success) {
+      toast.success('Signed out of all devices');
+    } else {
+      toast.error(result.error);
+    }
+    navigate('/login');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6">
+      <div className="mb-6">
+        <h2 className="text-xl font-semibold text-gray-900">Security</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          Protect your account with two-factor authentication and manage your sessions
+        </p>
+      </div>
+
+      {user?.two_factor_setup_required && (
+        <div className="mb-6 p-3 bg-warning-50 border border-warning-200 rounded-lg flex items-start">
+          <AlertCircle className="h-5 w-5 text-warning-600 mt-0.5 mr-2 flex-shrink-0" />
+          <p className="text-sm text-gray-800">
+            Your workspace requires two-factor authentication. Set it up below to continue using the app.
+          </p>
+        </div>
+      )}
+
+      {/* Two-factor authentication */}
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          After your password, sign-in will ask for a code from an authenticator app
+          (Google Authenticator, Microsoft Authenticator, 1Password, Authy and similar).
+        </p>
+
+        {statusLoading ? (
+          <div className="flex items-center mt-4 text-sm text-gray-500">
+            <Loader className="h-4 w-4 animate-spin mr-2" />
+            Loading...
+          </div>
+        ) : statusError ? (
+          <p className="mt-4 text-sm text-danger-600">
+            {getErrorMessage(statusError, 'Failed to load two-factor status')}
+          </p>
+        ) : status?.enabled ? (
+          <div className="mt-4 space-y-4">
+            <div className="flex items-center text-sm text-success-700">
+              <ShieldCheck className="h-5 w-5 mr-2" />
+              Enabled
+              {status.enabled_at && ` since ${new Date(status.enabled_at).toLocaleDateString()}`}
+              <span className="text-gray-500 ml-2">
+                · {status.recovery_codes_remaining} recovery code(s) left
+              </span>
+            </div>
+
+            {recoveryCodes && (
+              <RecoveryCodesPanel codes={recoveryCodes} onDone={handleRecoveryCodesDone} />
+            )}
+
+            {!recoveryCodes && (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  regenerateMutation.mutate(regenerateCode.trim());
+                }}
+                className="flex flex-col sm:flex-row sm:items-end gap-2"
+              >
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    New recovery codes
+                  </label>
+                  <input
+                    type="text"
+                    value={regenerateCode}
+                    onChange={(e) => setRegenerateCode(e.target.value)}
+                    placeholder="Current 6-digit code"
+                    autoComplete="one-time-code"
+                    className="form-input"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={!regenerateCode.trim() || regenerateMutation.isLoading}
+                  className="btn btn-secondary flex items-center justify-center"
+                >
+                  <KeyRound className="h-4 w-4 mr-2" />
+                  Generate new codes
+                </button>
+              </form>
+            )}
+
+            {status.required_by_workspace ? (
+              <p className="text-sm text-gray-500">
+                Your workspace requires two-factor authentication, so it cannot be turned off.
+              </p>
+            ) : showDisableForm ? (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  disableMutation.mutate(disableForm);
+                }}
+                className="p-4 border border-gray-200 rounded-lg space-y-3"
+              >
+                <p className="text-sm text-gray-700">Confirm with your password and a current code (or a recovery code).</p>
+                <input
+                  type="password"
+                  value={disableForm.password}
+                  onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                  placeholder="Password"
+                  autoComplete="current-password"
+                  className="form-input"
+                />
+                <input
+                  type="text"
+                  value={disableForm.code}
+                  onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value })}
+                  placeholder="6-digit code or recovery code"
+                  autoComplete="one-time-code"
+                  className="form-input"
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={!disableForm.password || !disableForm.code.trim() || disableMutation.isLoading}
+                    className="btn btn-danger flex items-center"
+                  >
+                    <ShieldOff className="h-4 w-4 mr-2" />
+                    Disable
+                  </button>
+                  <button type="button" onClick={() => setShowDisableForm(false)} className="btn btn-secondary">
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setShowDisableForm(true)}
+                className="btn btn-secondary flex items-center"
+              >
+                <ShieldOff className="h-4 w-4 mr-2" />
+                Disable two-factor authentication
+              </button>
+            )}
+          </div>
+        ) : setupData ? (
+          <div className="mt-4 flex flex-col md:flex-row gap-6">
+            <img
+              src={setupData.qr_code}
+              alt="Two-factor QR code"
+              className="h-48 w-48 border border-gray-200 rounded-lg"
+            />
+            <div className="flex-1 space-y-3">
+              <p className="text-sm text-gray-700">
+                1. Scan the QR code with your authenticator app, or enter this key manually:
+              </p>
+              <code className="block px-3 py-2 bg-gray-50 border border-gray-200 rounded text-sm break-all">
+                {setupData.secret}
+              </code>
+              <p className="text-sm text-gray-700">2. Enter the 6-digit code the app shows:</p>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  enableMutation.mutate(enableCode.trim());
+                }}
+                className="flex flex-col sm:flex-row gap-2"
+              >
+                <input
+                  type="text"
+                  value={enableCode}
+                  onChange={(e) => setEnableCode(e.target.value)}
+                  inputMode="numeric"
+                  maxLength={6}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  className="form-input sm:w-40 tracking-widest"
+                />
+                <button
+                  type="submit"
+                  disabled={enableCode.trim().length !== 6 || enableMutation.isLoading}
+                  className="btn btn-primary flex items-center justify-center"
+                >
+                  {enableMutation.isLoading ? (
+                    <Loader className="h-4 w-4 animate-spin mr-2" />
+                  ) : (
+                    <ShieldCheck className="h-4 w-4 mr-2" />
+                  )}
+                  Verify and enable
+                </button>
+                <button type="button" onClick={() => setSetupData(null)} className="btn btn-secondary">
+                  Cancel
+                </button>
+              </form>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setupMutation.mutate()}
+            disabled={setupMutation.isLoading}
+            className="btn btn-primary mt-4 flex items-center"
+          >
+            {setupMutation.isLoading ? (
+              <Loader className="h-4 w-4 animate-spin mr-2" />
+            ) : (
+              <ShieldCheck className="h-4 w-4 mr-2" />
+            )}
+            Set up two-factor authentication
+          </button>
+        )}
+
+        {!status?.enabled && recoveryCodes && (
+          <RecoveryCodesPanel codes={recoveryCodes} onDone={handleRecoveryCodesDone} />
+        )}
+      </div>
+
+      {/* Workspace policy (workspace administrators) */}
+      {workspaceSecurity?.can_edit && (
+        <div className="mt-8 pt-6 border-t border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Workspace policy</h3>
+          <label className="mt-3 flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={workspaceSecurity.require_two_factor}
+              disabled={policyMutation.isLoading}
+              onChange={(e) => policyMutation.mutate(e.target.checked)}
+              className="mt-1 h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            <span>
+              <span className="block text-sm font-medium text-gray-900">
+                Require two-factor authentication for all members
+              </span>
+              <span className="block text-sm text-gray-600">
+                Members without 2FA will have to set it up before they can use the app.
+              </span>
+            </span>
+          </label>
+
+          {credentialPolicy && (
+            <div className="mt-5">
+              <p className="text-sm font-medium text-gray-900">Require a reason to reveal credential passwords</p>
+              <p className="text-sm text-gray-600">
+                Every reveal and copy is logged; for these types the member must also say why.
+              </p>
+              <div className="mt-2 flex flex-wrap gap-x-6 gap-y-2">
+                {credentialPolicy.credential_types.map((type) => (
+                  <label key={type} className="inline-flex items-center gap-2 text-sm text-gray-700 capitalize">
+                    <input
+                      type="checkbox"
+                      checked={credentialPolicy.reason_required_types.includes(type)}
+                      disabled={credentialPolicyMutation.isLoading}
+                      onChange={() => toggleReasonRequiredType(type)}
+                      className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    {type.replace(/_/g, ' ')}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Sessions */}
+      <div className="mt-8 pt-6 border-t border-gray-200">
+        <h3 className="text-lg font-semibold text-gray-900">Sessions</h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Signed in on a device you no longer use? Sign out everywhere to revoke every session, including this one.
+          Changing your password also signs out your other devices.
+        </p>
+        <button
+          type="button"
+          onClick={handleLogoutAll}
+          disabled={loggingOutAll}
+          className="btn btn-secondary mt-4 flex items-center justify-center"
+        >
+          {loggingOutAll ? (
+            <Loader className="h-4 w-4 animate-spin mr-2" />
+          ) : (
+            <LogOut className="h-4 w-4 mr-2" />
+          )}
+          Log out of all devices
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -24,11 +24,18 @@ import {
   Send,
   Server,
   FileText,
+  KeyRound,
 } from 'lucide-react';
 import { settingsAPI } from '../../services/api';
 import { usePermissions } from '../../hooks/usePermissions';
+import SecuritySettings from './SecuritySettings';
+import ApiTokenSettings from './ApiTokenSettings';
+import GstSettings from './GstSettings';
+import CurrencySettings from './CurrencySettings';
+import PaymentReminderSettings from './PaymentReminderSettings';
+import DocumentTemplateSettings from './DocumentTemplateSettings';
 
-const VALID_TABS = ['profile', 'password', 'account', 'invoice-from', 'smtp'];
+const VALID_TABS = ['profile', 'password', 'security', 'api-tokens', 'account', 'invoice-from', 'smtp'];
 
 const Settings = () => {
   const { user, updateProfile, changePassword } = useAuth();
@@ -269,7 +276,7 @@ const Settings = () => {
     {
       onSuccess: () => {
         resetPassword();
-        toast.success('Password changed successfully');
+        toast.success('Password changed successfully. Other devices have been signed out.');
         setPasswordErrors({});
       },
       onError: (error) => {
@@ -543,6 +550,30 @@ const Settings = () => {
             <Lock className="inline-block h-4 w-4 mr-2 flex-shrink-0" />
             Change Password
           </button>
+          <button
+            onClick={() => { setActiveTab('security'); setSearchParams({ tab: 'security' }, { replace: true }); }}
+            className={`inline-flex items-center px-3 py-2 text-xs sm:text-sm font-medium border-b-2 transition-colors whitespace-nowrap ${
+              activeTab === 'security'
+                ? 'border-primary-600 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Shield className="inline-block h-4 w-4 mr-2 flex-shrink-0" />
+            Security
+          </button>
+          {!isSuperAdmin && (
+            <button
+              onClick={() => { setActiveTab('api-tokens'); setSearchParams({ tab: 'api-tokens' }, { replace: true }); }}
+              className={`inline-flex items-center px-3 py-2 text-xs sm:text-sm font-medium border-b-2 transition-colors whitespace-nowrap ${
+                activeTab === 'api-tokens'
+                  ? 'border-primary-600 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <KeyRound className="inline-block h-4 w-4 mr-2 flex-shrink-0" />
+              API Tokens
+            </button>
+          )}
           <button
             onClick={() => { setActiveTab('account'); setSearchParams({ tab: 'account' }, { replace: true }); }}
             className={`inline-flex items-center px-3 py-2 text-xs sm:text-sm font-medium border-b-2 transition-colors whitespace-nowrap ${
@@ -737,6 +768,7 @@ const Settings = () => {
               </button>
             </div>
           </form>
+
         </div>
       )}
 
@@ -929,6 +961,12 @@ const Settings = () => {
         </div>
       )}
 
+      {/* Security Tab */}
+      {activeTab === 'security' && <SecuritySettings />}
+
+      {/* API Tokens Tab */}
+      {activeTab === 'api-tokens' && !isSuperAdmin && <ApiTokenSettings />}
+
       {/* Account Information Tab */}
       {activeTab === 'account' && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6">
@@ -1211,6 +1249,22 @@ const Settings = () => {
               </form>
             </>
           )}
+
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            <DocumentTemplateSettings />
+          </div>
+
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            <GstSettings />
+          </div>
+
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            <CurrencySettings />
+          </div>
+
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            <PaymentReminderSettings />
+          </div>
         </div>
       )}
 
@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { useParams } from 'react-router-dom';
+import { Shield, Key, File, Download, Eye, Copy, Check, AlertCircle, Lock } from 'lucide-react';
+import { shareAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Blob responses (downloads) carry the JSON error body as a Blob
+const getErrorMessage = async (error, fallback) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback;
+    } catch (parseError) {
+      return fallback;
+    }
+  }
+  return data?.message || fallback;
+};
+
+const getDownloadName = (response, fallback) => {
+  const disposition = response.headers?.['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  return match ? decodeURIComponent(match[1]) : fallback;
+};
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return null;
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+/**
+ * Public page for a share link (/share/:token) – no login required
+ */
+const SharedItem = () => {
+  const { token } = useParams();
+  const [passphrase, setPassphrase] = useState('');
+  const [isOpening, setIsOpening] = useState(false);
+  const [openError, setOpenError] = useState(null);
+  const [credential, setCredential] = useState(null);
+  const [downloaded, setDownloaded] = useState(false);
+  const [copiedField, setCopiedField] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    ['shared-item', token],
+    () => shareAPI.get(token),
+    { retry: false, refetchOnWindowFocus: false }
+  );
+  const item = data?.data?.data;
+
+  const copyToClipboard = (text, field) => {
+    navigator.clipboard.writeText(text);
+    setCopiedField(field);
+    toast.success('Copied to clipboard');
+    setTimeout(() => setCopiedField(null), 2000);
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setIsOpening(true);
+    setOpenError(null);
+    const payload = item.requires_passphrase ? { passphrase } : {};
+    try {
+      if (item.resource_type === 'credential') {
+        const response = await shareAPI.reveal(token, payload);
+        setCredential(response.data.data);
+      } else {
+        const response = await shareAPI.download(token, payload);
+        const url = window.URL.createObjectURL(new Blob([response.data]));
+        const link = document.createElement('a');
+        link.href = url;
+        link.setAttribute('download', getDownloadName(response, item.name || 'download'));
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        window.URL.revokeObjectURL(url);
+        setDownloaded(true);
+      }
+    } catch (err) {
+      setOpenError(await getErrorMessage(err, 'This link could not be opened.'));
+    } finally {
+      setIsOpening(false);
+    }
+  };
+
+  const renderField = (label, value, field, secret = false) => {
+    if (!value) return null;
+    return (
+      <div>
+        <p className="text-xs font-medium text-gray-500">{label}</p>
+        <div className="mt-1 flex items-center gap-2">
+          <p className={`flex-1 text-sm text-gray-900 break-all ${secret ? 'font-mono' : ''}`}>{value}</p>
+          <button
+            type="button"
+            onClick={() => copyToClipboard(value, field)}
+            className="text-gray-400 hover:text-gray-600"
+            title={`Copy ${label.toLowerCase()}`}
+          >
+            {copiedField === field ? <Check className="h-4 w-4 text-green-500" /> : <Copy className="h-4 w-4" />}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      );
+    }
+
+    if (error || !item) {
+      return (
+        <div className="text-center py-4">
+          <AlertCircle className="h-10 w-10 text-red-500 mx-auto mb-3" />
+          <h2 className="text-lg font-semibold text-gray-900">Link unavailable</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            {error?.response?.data?.message || 'This link is invalid.'}
+          </p>
+          <p className="mt-3 text-xs text-gray-500">Ask the sender for a new link.</p>
+        </div>
+      );
+    }
+
+    if (credential) {
+      return (
+        <div className="space-y-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">{credential.title}</h2>
+            <p className="text-xs text-gray-500 mt-0.5">Save these details somewhere safe – this page may not open again.</p>
+          </div>
+          {renderField('URL', credential.url, 'url')}
+          {renderField('Username', credential.username, 'username')}
+          {renderField('Email', credential.email, 'email')}
+          {renderField('Password', credential.password, 'password', true)}
+        </div>
+      );
+    }
+
+    const isCredential = item.resource_type === 'credential';
+    return (
+      <form onSubmit={handleOpen} className="space-y-4">
+        <div className="flex items-start gap-3">
+          <div className="p-2 bg-primary-50 rounded-lg">
+            {isCredential ? <Key className="h-6 w-6 text-primary-600" /> : <File className="h-6 w-6 text-primary-600" />}
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">
+              {item.name || (isCredential ? 'Shared login details' : 'Shared file')}
+            </h2>
+            {item.label && <p className="text-sm text-gray-600">{item.label}</p>}
+            <p className="text-xs text-gray-500 mt-1">
+              {formatFileSize(item.file_size) ? `${formatFileSize(item.file_size)} · ` : ''}
+              Expires {new Date(item.expires_at).toLocaleString()}
+              {item.views_remaining !== null && ` · ${item.views_remaining} ${isCredential ? 'view' : 'download'}${item.views_remaining === 1 ? '' : 's'} left`}
+            </p>
+          </div>
+        </div>
+
+        {item.requires_passphrase && (
+          <div>
+            <label className="form-label flex items-center gap-1">
+              <Lock className="h-3.5 w-3.5" />
+              Passphrase
+            </label>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoFocus
+              autoComplete="off"
+              className="form-input"
+              placeholder="Enter the passphrase you were given"
+            />
+          </div>
+        )}
+
+        {openError && (
+          <p className="text-sm text-red-600">{openError}</p>
+        )}
+        {downloaded && (
+          <p className="text-sm text-green-700">Download started.</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isOpening || (item.requires_passphrase && !passphrase)}
+          className="btn btn-primary w-full justify-center"
+        >
+          {isCredential ? <Eye className="h-4 w-4 mr-2" /> : <Download className="h-4 w-4 mr-2" />}
+          {isOpening ? 'Opening...' : isCredential ? 'Show login details' : 'Download file'}
+        </button>
+        <p className="text-xs text-gray-500 text-center">Every access to this link is logged.</p>
+      </form>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="flex items-center justify-center gap-2 mb-6">
+          <Shield className="h-6 w-6 text-primary-600" />
+          <span className="text-lg font-bold text-gray-900">WT Project Management</span>
+        </div>
+        <div className="card">
+          <div className="card-body">
+            {renderContent()}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SharedItem;
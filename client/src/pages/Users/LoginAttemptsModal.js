@@ -0,0 +1,174 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { X, CheckCircle, XCircle, Loader } from 'lucide-react';
+import { usersAPI } from '../../services/api';
+
+const FAILURE_REASONS = {
+  unknown_user: 'Unknown user',
+  invalid_password: 'Wrong password',
+  account_locked: 'Account locked',
+  invalid_two_factor: 'Wrong 2FA code',
+};
+
+// Sign-in history for admins: every attempt, or one user's when `user` is set
+const LoginAttemptsModal = ({ isOpen, onClose, user }) => {
+  const [page, setPage] = useState(1);
+  const [failedOnly, setFailedOnly] = useState(true);
+  const [search, setSearch] = useState('');
+
+  const { data, isLoading, error } = useQuery(
+    ['login-attempts', user?.id || null, page, failedOnly, search],
+    () => usersAPI.getLoginAttempts({
+      page,
+      limit: 20,
+      user_id: user?.id || undefined,
+      success: failedOnly ? false : undefined,
+      search: search || undefined,
+    }),
+    { enabled: isOpen, keepPreviousData: true, retry: false }
+  );
+
+  const attempts = data?.data?.data?.attempts || [];
+  const pagination = data?.data?.data?.pagination || {};
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full">
+          <div className="bg-white px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">
+                {user ? `Sign-in attempts: ${user.full_name || user.email}` : 'Sign-in attempts'}
+              </h3>
+              <button
+                onClick={onClose}
+                className="text-gray-400 hover:text-gray-500"
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3 mt-3">
+              {!user && (
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => {
+                    setSearch(e.target.value);
+                    setPage(1);
+                  }}
+                  placeholder="Search username, email or IP..."
+                  className="form-input sm:max-w-xs"
+                />
+              )}
+              <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={failedOnly}
+                  onChange={(e) => {
+                    setFailedOnly(e.target.checked);
+                    setPage(1);
+                  }}
+                  className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                Failed attempts only
+              </label>
+            </div>
+          </div>
+
+          <div className="px-6 py-4 max-h-[calc(100vh-260px)] overflow-y-auto">
+            {isLoading ? (
+              <div className="flex items-center justify-center py-8 text-gray-500">
+                <Loader className="w-5 h-5 animate-spin mr-2" />
+                Loading...
+              </div>
+            ) : error ? (
+              <p className="text-sm text-red-600 py-4">
+                {error.response?.data?.message || 'Failed to load sign-in attempts'}
+              </p>
+            ) : attempts.length === 0 ? (
+              <p className="text-sm text-gray-500 py-8 text-center">No sign-in attempts found</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">When</th>
+                    {!user && (
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Login</th>
+                    )}
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP address</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Browser</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {attempts.map((attempt) => (
+                    <tr key={attempt.id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-700">
+                        {new Date(attempt.created_at).toLocaleString()}
+                      </td>
+                      {!user && (
+                        <td className="px-4 py-2 text-sm text-gray-900">
+                          <div>{attempt.identifier}</div>
+                          {attempt.user_name && (
+                            <div className="text-xs text-gray-500">{attempt.user_name}</div>
+                          )}
+                        </td>
+                      )}
+                      <td className="px-4 py-2 whitespace-nowrap text-sm">
+                        {attempt.success ? (
+                          <span className="inline-flex items-center text-green-700">
+                            <CheckCircle className="w-4 h-4 mr-1" />
+                            Success
+                          </span>
+                        ) : (
+                          <span className="inline-flex items-center text-red-700">
+                            <XCircle className="w-4 h-4 mr-1" />
+                            {FAILURE_REASONS[attempt.failure_reason] || 'Failed'}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-700">{attempt.ip_address || '—'}</td>
+                      <td className="px-4 py-2 text-xs text-gray-500 max-w-xs truncate" title={attempt.user_agent || ''}>
+                        {attempt.user_agent || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {pagination.totalPages > 1 && (
+            <div className="bg-gray-50 px-6 py-3 border-t border-gray-200 flex items-center justify-between">
+              <span className="text-sm text-gray-700">
+                Page {pagination.page} of {pagination.totalPages}
+              </span>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={!pagination.hasPrev}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={!pagination.hasNext}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoginAttemptsModal;
@@ -35,8 +35,11 @@ const UserModal = ({ isOpen, onClose, onSuccess, user }) => {
       client_id: '',
       is_active: true,
       send_credentials_email: false,
+      cost_rate: '',
     }
   });
+  // Users have an hourly cost rate once migration 030 is applied
+  const [hasCostRate, setHasCostRate] = useState(false);
 
   const watchedRole = watch('role');
   const watchedPassword = watch('password');
@@ -58,7 +61,9 @@ const UserModal = ({ isOpen, onClose, onSuccess, user }) => {
           client_id: userData.client_id ? String(userData.client_id) : '',
           is_active: userData.is_active !== undefined ? userData.is_active : true,
           send_credentials_email: false,
+          cost_rate: userData.cost_rate ?? '',
         });
+        setHasCostRate(userData.cost_rate !== undefined);
         setGeneratePassword(false);
       },
     }
@@ -76,7 +81,9 @@ const UserModal = ({ isOpen, onClose, onSuccess, user }) => {
         client_id: '',
         is_active: true,
         send_credentials_email: false,
+        cost_rate: '',
       });
+      setHasCostRate(false);
       setGeneratePassword(!user);
       setShowPassword(false);
     }
@@ -146,6 +153,10 @@ const UserModal = ({ isOpen, onClose, onSuccess, user }) => {
         submitData.send_credentials_email = data.send_credentials_email;
       }
 
+      if (user && hasCostRate) {
+        submitData.cost_rate = data.cost_rate === '' ? null : parseFloat(data.cost_rate);
+      }
+
       if (user) {
         await updateMutation.mutateAsync(submitData);
       } else {
@@ -345,6 +356,27 @@ const UserModal = ({ isOpen, onClose, onSuccess, user }) => {
                   </div>
                 )}
 
+                {/* Cost rate (used to cost the time the user logs) */}
+                {user && hasCostRate && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Hourly Cost Rate <span className="text-gray-500 text-xs">(Optional, base currency)</span>
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      {...register('cost_rate', { min: { value: 0, message: 'Cost rate must be positive' } })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent form-input"
+                      placeholder="e.g., 25.00"
+                    />
+                    {errors.cost_rate && (
+                      <p className="mt-1 text-sm text-red-600">{errors.cost_rate.message}</p>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">Applies to time logged from now on; used for project costs.</p>
+                  </div>
+                )}
+
                 {/* Active Status */}
                 <div className="flex items-center">
                   <input
@@ -16,10 +16,15 @@ import {
   RefreshCw,
   X,
   Shield,
+  ShieldOff,
+  Lock,
+  Unlock,
+  History,
 } from 'lucide-react';
 import { usersAPI, clientsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 import UserModal from './UserModal';
+import LoginAttemptsModal from './LoginAttemptsModal';
 import DeleteConfirmModal from '../../components/Common/DeleteConfirmModal';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -37,6 +42,8 @@ const Users = () => {
   const [deleteUser, setDeleteUser] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [showLoginAttempts, setShowLoginAttempts] = useState(false);
+  const [loginAttemptsUser, setLoginAttemptsUser] = useState(null);
 
   // Fetch users data
   const {
@@ -89,6 +96,47 @@ const Users = () => {
     }
   );
 
+  // Reset 2FA mutation (user lost their authenticator and recovery codes)
+  const resetTwoFactorMutation = useMutation(
+    (id) => usersAPI.resetTwoFactor(id),
+    {
+      onSuccess: () => {
+        toast.success('Two-factor authentication reset');
+        queryClient.invalidateQueries('users');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to reset two-factor authentication');
+      },
+    }
+  );
+
+  const handleResetTwoFactor = (user) => {
+    if (window.confirm(`Reset two-factor authentication for ${user.full_name || user.email}? They will be signed out and can enrol again.`)) {
+      resetTwoFactorMutation.mutate(user.id);
+    }
+  };
+
+  // Unlock mutation (account locked after repeated failed logins)
+  const unlockMutation = useMutation(
+    (id) => usersAPI.unlock(id),
+    {
+      onSuccess: () => {
+        toast.success('Account unlocked');
+        queryClient.invalidateQueries('users');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to unlock account');
+      },
+    }
+  );
+
+  const isLocked = (user) => Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+
+  const openLoginAttempts = (user = null) => {
+    setLoginAttemptsUser(user);
+    setShowLoginAttempts(true);
+  };
+
   const users = usersData?.data?.data?.users || [];
   const pagination = usersData?.data?.data?.pagination || {};
 
@@ -175,6 +223,13 @@ const Users = () => {
             <RefreshCw className="w-4 h-4" />
             <span className="hidden md:inline">Refresh</span>
           </button>
+          <button
+            onClick={() => openLoginAttempts()}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors flex items-center gap-2"
+          >
+            <History className="w-4 h-4" />
+            <span className="hidden md:inline">Sign-in log</span>
+          </button>
           <button
             onClick={handleAdd}
             className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors flex items-center gap-2"
@@ -404,6 +459,15 @@ const Users = () => {
                             Inactive
                           </span>
                         )}
+                        {isLocked(user) && (
+                          <span
+                            className="ml-1 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                            title={`Locked until ${new Date(user.locked_until).toLocaleString()}`}
+                          >
+                            <Lock className="w-3 h-3 mr-1" />
+                            Locked
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {user.last_login
@@ -419,6 +483,33 @@ const Users = () => {
                           >
                             <Edit className="w-4 h-4" />
                           </button>
+                          {isLocked(user) && (
+                            <button
+                              onClick={() => unlockMutation.mutate(user.id)}
+                              className="text-warning-600 hover:text-warning-900"
+                              title="Unlock account"
+                              disabled={unlockMutation.isLoading}
+                            >
+                              <Unlock className="w-4 h-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => openLoginAttempts(user)}
+                            className="text-gray-500 hover:text-gray-700"
+                            title="Sign-in history"
+                          >
+                            <History className="w-4 h-4" />
+                          </button>
+                          {user.two_factor_enabled ? (
+                            <button
+                              onClick={() => handleResetTwoFactor(user)}
+                              className="text-warning-600 hover:text-warning-900"
+                              title="Reset two-factor authentication"
+                              disabled={resetTwoFactorMutation.isLoading}
+                            >
+                              <ShieldOff className="w-4 h-4" />
+                            </button>
+                          ) : null}
                           <button
                             onClick={() => handleDelete(user)}
                             className="text-red-600 hover:text-red-900"
@@ -481,6 +572,16 @@ const Users = () => {
         user={editingUser}
       />
 
+      <LoginAttemptsModal
+        key={loginAttemptsUser?.id || 'all'}
+        isOpen={showLoginAttempts}
+        onClose={() => {
+          setShowLoginAttempts(false);
+          setLoginAttemptsUser(null);
+        }}
+        user={loginAttemptsUser}
+      />
+
       <DeleteConfirmModal
         isOpen={!!deleteUser}
         onClose={() => setDeleteUser(null)}
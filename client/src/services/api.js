@@ -1,11 +1,44 @@
 import axios from 'axios';
 
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
 // Create axios instance
 const api = axios.create({
-  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  baseURL: API_BASE_URL,
   timeout: 30000, // Increased timeout for registration (email sending can take time)
 });
 
+// Session tokens: short-lived access token + rotating refresh token
+export const setSessionTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSessionTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// One refresh at a time; concurrent 401s wait for the same request
+let refreshPromise = null;
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        setSessionTokens(response.data.data);
+        return response.data.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -23,11 +56,40 @@ api.interceptors.request.use(
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Wrong password / code on the login form: let the form show the error
+    const isLoginRequest = originalRequest?.url?.startsWith('/auth/login');
+
+    if (error.response?.status === 401 && !isLoginRequest) {
+      const sentRefreshToken = localStorage.getItem('refreshToken');
+      const canRefresh = sentRefreshToken && originalRequest && !originalRequest._retry &&
+        !NO_REFRESH_URLS.some((url) => originalRequest.url?.startsWith(url));
+
+      if (canRefresh) {
+        originalRequest._retry = true;
+        try {
+          await refreshSession();
+          return api(originalRequest);
+        } catch (refreshError) {
+          // Another tab may have rotated the refresh token in the meantime
+          const currentRefreshToken = localStorage.getItem('refreshToken');
+          if (currentRefreshToken && currentRefreshToken !== sentRefreshToken) {
+            return api(originalRequest);
+          }
+        }
+      }
+
+      clearSessionTokens();
       window.location.href = '/login';
     }
+
+    // Workspace requires 2FA and this user has not enrolled yet
+    if (error.response?.status === 403 && error.response?.data?.code === 'TWO_FACTOR_SETUP_REQUIRED' &&
+        window.location.pathname !== '/settings') {
+      window.location.href = '/settings?tab=security';
+    }
     return Promise.reject(error);
   }
 );
@@ -44,19 +106,36 @@ export const inquiriesAPI = {
   getAll: () => api.get('/inquiries'),
 };
 
+// Background jobs – super admin only
+export const jobsAPI = {
+  getAll: () => api.get('/jobs'),
+  getRuns: (params) => api.get('/jobs/runs', { params }),
+  run: (key) => api.post(`/jobs/${key}/run`),
+  update: (key, data) => api.patch(`/jobs/${key}`, data),
+};
+
 // Auth API
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
+  verifyTwoFactorLogin: (data) => api.post('/auth/login/2fa', data),
   register: (data) => api.post('/auth/register', data),
   verifyEmail: (token) => api.get('/auth/verify-email', { params: { token } }),
   resendVerification: (email) => api.post('/auth/resend-verification', { email }),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
   resetPassword: (data) => api.post('/auth/reset-password', data),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
   logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (data) => api.put('/auth/profile', data),
   changePassword: (data) => api.put('/auth/change-password', data),
   getPermissions: () => api.get('/auth/permissions'),
+  // Two-factor authentication (TOTP)
+  getTwoFactorStatus: () => api.get('/auth/2fa/status'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
 };
 
 // Dashboard API
@@ -69,6 +148,29 @@ export const dashboardAPI = {
   getRecentInvoices: () => api.get('/dashboard/recent-invoices'),
 };
 
+// Notifications API (in-app notifications for the logged-in user)
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllRead: () => api.put('/notifications/read-all'),
+  delete: (id) => api.delete(`/notifications/${id}`),
+};
+
+// Personal API tokens API
+export const apiTokensAPI = {
+  getAll: () => api.get('/api-tokens'),
+  getScopes: () => api.get('/api-tokens/scopes'),
+  create: (data) => api.post('/api-tokens', data),
+  revoke: (id) => api.delete(`/api-tokens/${id}`),
+};
+
+// Audit log API
+export const auditAPI = {
+  getAll: (params) => api.get('/audit', { params }),
+  getFilters: () => api.get('/audit/filters'),
+};
+
 // Clients API
 export const clientsAPI = {
   getAll: (params) => api.get('/clients', { params }),
@@ -77,6 +179,10 @@ export const clientsAPI = {
   update: (id, data) => api.put(`/clients/${id}`, data),
   delete: (id) => api.delete(`/clients/${id}`),
   getStats: () => api.get('/clients/stats/overview'),
+  getStatement: (id, params) => api.get(`/clients/${id}/statement`, { params }),
+  downloadStatement: (id, params) => api.get(`/clients/${id}/statement/download`, { params, responseType: 'blob' }),
+  getStatementEmails: (id, params) => api.get(`/clients/${id}/statement/emails`, { params }),
+  sendStatement: (id, data) => api.post(`/clients/${id}/statement/send`, data),
 };
 
 // Projects API
@@ -97,6 +203,14 @@ export const quotationsAPI = {
   update: (id, data) => api.put(`/quotations/${id}`, data),
   delete: (id) => api.delete(`/quotations/${id}`),
   convertToInvoice: (id) => api.post(`/quotations/${id}/convert-to-invoice`),
+  download: (id) => api.get(`/quotations/${id}/download`, { responseType: 'blob' }),
+  getEmails: (id) => api.get(`/quotations/${id}/emails`),
+  send: (id, data) => api.post(`/quotations/${id}/send`, data),
+  getRevisions: (id) => api.get(`/quotations/${id}/revisions`),
+  getRevision: (id, revision, params) => api.get(`/quotations/${id}/revisions/${revision}`, { params }),
+  getAcceptanceLink: (id, data) => api.post(`/quotations/${id}/acceptance-link`, data),
+  revokeAcceptanceLink: (id) => api.delete(`/quotations/${id}/acceptance-link`),
+  updateAcceptanceSettings: (id, data) => api.put(`/quotations/${id}/acceptance-settings`, data),
 };
 
 // Invoices API
@@ -109,6 +223,50 @@ export const invoicesAPI = {
   markAsPaid: (id, data) => api.put(`/invoices/${id}/mark-paid`, data),
   recordPayment: (id, data) => api.post(`/invoices/${id}/payment`, data),
   download: (id) => api.get(`/invoices/${id}/download`, { responseType: 'blob' }),
+  getEmails: (id) => api.get(`/invoices/${id}/emails`),
+  send: (id, data) => api.post(`/invoices/${id}/send`, data),
+  getPaymentLink: (id) => api.get(`/invoices/${id}/payment-link`),
+  refundPayment: (id, paymentId, data) => api.post(`/invoices/${id}/payments/${paymentId}/refunds`, data),
+};
+
+// Credit Notes API
+export const creditNotesAPI = {
+  getAll: (params) => api.get('/credit-notes', { params }),
+  getById: (id) => api.get(`/credit-notes/${id}`),
+  create: (data) => api.post('/credit-notes', data),
+  cancel: (id) => api.post(`/credit-notes/${id}/cancel`),
+  download: (id) => api.get(`/credit-notes/${id}/download`, { responseType: 'blob' }),
+};
+
+// Products and services catalog API (line item autocomplete)
+export const catalogAPI = {
+  getAll: (params) => api.get('/catalog-items', { params }),
+  getById: (id) => api.get(`/catalog-items/${id}`),
+  create: (data) => api.post('/catalog-items', data),
+  update: (id, data) => api.put(`/catalog-items/${id}`, data),
+  delete: (id) => api.delete(`/catalog-items/${id}`),
+};
+
+// Project expenses API
+export const expensesAPI = {
+  getAll: (params) => api.get('/expenses', { params }),
+  getById: (id) => api.get(`/expenses/${id}`),
+  create: (data) => api.post('/expenses', data),
+  update: (id, data) => api.put(`/expenses/${id}`, data),
+  delete: (id) => api.delete(`/expenses/${id}`),
+};
+
+// Recurring Invoices API
+export const recurringInvoicesAPI = {
+  getAll: (params) => api.get('/recurring-invoices', { params }),
+  getById: (id) => api.get(`/recurring-invoices/${id}`),
+  getUpcoming: (params) => api.get('/recurring-invoices/upcoming', { params }),
+  getRuns: (params) => api.get('/recurring-invoices/runs', { params }),
+  create: (data) => api.post('/recurring-invoices', data),
+  update: (id, data) => api.put(`/recurring-invoices/${id}`, data),
+  setStatus: (id, status) => api.put(`/recurring-invoices/${id}/status`, { status }),
+  generate: (id) => api.post(`/recurring-invoices/${id}/generate`),
+  delete: (id) => api.delete(`/recurring-invoices/${id}`),
 };
 
 // Files API
@@ -123,6 +281,10 @@ export const filesAPI = {
   update: (id, data) => api.put(`/files/${id}`, data),
   delete: (id) => api.delete(`/files/${id}`),
   download: (id) => api.get(`/files/${id}/download`, { responseType: 'blob' }),
+  getShareLinks: (id) => api.get(`/files/${id}/share-links`),
+  // Returns { link, token }; the token is only shown once
+  createShareLink: (id, data) => api.post(`/files/${id}/share-links`, data),
+  revokeShareLink: (id, linkId) => api.delete(`/files/${id}/share-links/${linkId}`),
 };
 
 // Credentials API
@@ -132,6 +294,34 @@ export const credentialsAPI = {
   create: (data) => api.post('/credentials', data),
   update: (id, data) => api.put(`/credentials/${id}`, data),
   delete: (id) => api.delete(`/credentials/${id}`),
+  // Returns the password; every call is logged (action: 'reveal' | 'copy')
+  reveal: (id, data) => api.post(`/credentials/${id}/reveal`, data),
+  getAccessLog: (id, params) => api.get(`/credentials/${id}/access-log`, { params }),
+  getShareLinks: (id) => api.get(`/credentials/${id}/share-links`),
+  // Returns { link, token }; the token is only shown once
+  createShareLink: (id, data) => api.post(`/credentials/${id}/share-links`, data),
+  revokeShareLink: (id, linkId) => api.delete(`/credentials/${id}/share-links/${linkId}`),
+};
+
+// Public share links (no login) – the /share/:token page
+export const shareAPI = {
+  get: (token) => api.get(`/share/${token}`),
+  reveal: (token, data) => api.post(`/share/${token}/reveal`, data),
+  download: (token, data) => api.post(`/share/${token}/download`, data, { responseType: 'blob' }),
+};
+
+// Public pay links (no login) – the /pay/:token page and the mock gateway's checkout page
+export const payAPI = {
+  get: (token) => api.get(`/pay/${token}`),
+  checkout: (token) => api.post(`/pay/${token}/checkout`),
+  completeMockCheckout: (token, data) => api.post(`/pay/${token}/mock-checkout`, data),
+};
+
+// Public quotation acceptance links (no login) – the /quote/:token page
+export const quoteAPI = {
+  get: (token) => api.get(`/quote/${token}`),
+  accept: (token, data) => api.post(`/quote/${token}/accept`, data),
+  decline: (token, data) => api.post(`/quote/${token}/decline`, data),
 };
 
 // Conversations API
@@ -151,6 +341,9 @@ export const usersAPI = {
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
   assignProjects: (id, projectIds) => api.post(`/users/${id}/projects`, { project_ids: projectIds }),
+  resetTwoFactor: (id) => api.post(`/users/${id}/reset-2fa`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  getLoginAttempts: (params) => api.get('/users/login-attempts', { params }),
 };
 
 // Roles API
@@ -172,9 +365,23 @@ export const reportsAPI = {
   getClientPerformance: (params) => api.get('/reports/client-performance', { params }),
   getProjectPerformance: (params) => api.get('/reports/project-performance', { params }),
   getInvoices: (params) => api.get('/reports/invoices', { params }),
+  getGst: (params) => api.get('/reports/gst', { params }),
+  getCatalogRevenue: (params) => api.get('/reports/catalog-revenue', { params }),
+  getAging: (params) => api.get('/reports/aging', { params }),
   getSummary: () => api.get('/reports/summary'),
 };
 
+// Accounting exports (Tally XML, QuickBooks IIF, double-entry CSV)
+export const accountingExportsAPI = {
+  getAll: (params) => api.get('/accounting-exports', { params }),
+  preview: (params) => api.get('/accounting-exports/preview', { params }),
+  create: (data) => api.post('/accounting-exports', data),
+  download: (id) => api.get(`/accounting-exports/${id}/download`, { responseType: 'blob' }),
+  delete: (id) => api.delete(`/accounting-exports/${id}`),
+  getSettings: () => api.get('/accounting-exports/settings'),
+  updateSettings: (data) => api.put('/accounting-exports/settings', data),
+};
+
 // Health check
 export const healthAPI = {
   check: () => api.get('/health'),
@@ -293,6 +500,35 @@ export const settingsAPI = {
   // Workspace invoice "From" details (for PDF) – view all; only admin can update
   getWorkspaceInvoiceFrom: () => api.get('/settings/workspace-invoice-from'),
   updateWorkspaceInvoiceFrom: (data) => api.put('/settings/workspace-invoice-from', data),
+  // Workspace security policy (require 2FA) – view all; only admin can update
+  getWorkspaceSecurity: () => api.get('/settings/workspace-security'),
+  updateWorkspaceSecurity: (data) => api.put('/settings/workspace-security', data),
+  // Workspace GST registration (GSTIN + state) – view all; only admin can update
+  getWorkspaceGst: () => api.get('/settings/workspace-gst'),
+  updateWorkspaceGst: (data) => api.put('/settings/workspace-gst', data),
+  // Base currency and exchange rates – view all; only admin can update
+  getWorkspaceCurrency: () => api.get('/settings/workspace-currency'),
+  updateWorkspaceCurrency: (data) => api.put('/settings/workspace-currency', data),
+  getExchangeRates: (params) => api.get('/settings/exchange-rates', { params }),
+  saveExchangeRate: (data) => api.post('/settings/exchange-rates', data),
+  importExchangeRates: (csv) => api.post('/settings/exchange-rates/import', { csv }),
+  deleteExchangeRate: (id) => api.delete(`/settings/exchange-rates/${id}`),
+  // Automatic payment reminders – view all; only admin can update
+  getPaymentReminders: () => api.get('/settings/payment-reminders'),
+  updatePaymentReminders: (data) => api.put('/settings/payment-reminders', data),
+  // Document template (PDF and email branding) – view all; only admin can update
+  getDocumentTemplate: () => api.get('/settings/document-template'),
+  updateDocumentTemplate: (data) => api.put('/settings/document-template', data),
+  previewDocumentTemplate: (data) => api.post('/settings/document-template/preview', data, { responseType: 'blob' }),
+  uploadDocumentTemplateImage: (kind, formData) => api.post(`/settings/document-template/${kind}`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+  }),
+  deleteDocumentTemplateImage: (kind) => api.delete(`/settings/document-template/${kind}`),
+  // Credential types that need a reason to reveal – view all; only admin can update
+  getCredentialPolicy: () => api.get('/settings/credential-policy'),
+  updateCredentialPolicy: (data) => api.put('/settings/credential-policy', data),
 };
 
 export default api;
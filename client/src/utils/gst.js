@@ -0,0 +1,110 @@
+/**
+ * GST preview helpers for the quotation and invoice forms
+ * The server recomputes the same figures on save (server/utils/gst.js); these only drive the live totals.
+ */
+
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+export const FOREIGN_COUNTRY_CODE = '96';
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const isIndia = (country) =>
+  !country || ['india', 'in', 'ind', 'bharat'].includes(String(country).trim().toLowerCase());
+
+/**
+ * Place of supply of a client: GSTIN state, then state name, "96" abroad; '' when unknown
+ * @param {Object} client - Client with gst_number, state and country
+ * @param {Array} states - GST states ({ code, name }) from the workspace GST settings
+ * @returns {string}
+ */
+export const getClientPlaceOfSupply = (client, states = []) => {
+  if (!client) return '';
+  if (!isIndia(client.country)) return FOREIGN_COUNTRY_CODE;
+  const prefix = String(client.gst_number || '').trim().substring(0, 2);
+  if (states.some((state) => state.code === prefix)) return prefix;
+  const name = String(client.state || '').trim().toLowerCase();
+  const state = states.find((s) => s.name.toLowerCase() === name);
+  return state ? state.code : '';
+};
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const roundQuantity = (value) => Math.round((Number(value) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Quantity without trailing zeros, with its unit when there is one: "7.5 hours", "2"
+ * @param {number|string} quantity
+ * @param {string} [unit]
+ * @returns {string}
+ */
+export const formatQuantity = (quantity, unit) => {
+  const value = String(roundQuantity(parseFloat(quantity) || 0));
+  return unit ? `${value} ${unit}` : value;
+};
+
+const hasDiscount = (type, value) => DISCOUNT_TYPES.includes(type) && (parseFloat(value) || 0) > 0;
+
+/**
+ * Discount on an amount: a percentage of it (at most 100) or a fixed amount, never more than the amount itself
+ * @param {number} amount
+ * @param {string} type - 'percentage', 'fixed' or '' (no discount)
+ * @param {number|string} value
+ * @returns {number}
+ */
+export const calculateDiscount = (amount, type, value) => {
+  if (!hasDiscount(type, value) || amount <= 0) return 0;
+  const discountValue = parseFloat(value);
+  const discount = type === 'percentage' ? round2((amount * Math.min(discountValue, 100)) / 100) : round2(discountValue);
+  return Math.min(discount, amount);
+};
+
+/**
+ * Amount of a form line: quantity x unit price less the line discount
+ * @param {Object} item - Form item (quantity, unit_price, discount_type, discount_value)
+ * @returns {number}
+ */
+export const calculateLineAmount = (item) => {
+  const gross = round2(roundQuantity(parseFloat(item?.quantity) || 0) * (parseFloat(item?.unit_price) || 0));
+  return round2(gross - calculateDiscount(gross, item?.discount_type, item?.discount_value));
+};
+
+/**
+ * Subtotal, discount, tax and CGST/SGST/IGST of form items.
+ * The document discount is spread over the lines in proportion to their amounts and each line is taxed on the rest.
+ * @param {Array} items - Form items (quantity, unit_price, tax_rate, discount_type, discount_value)
+ * @param {number} defaultRate - Document tax rate, used for lines without their own rate
+ * @param {string|null} supplyType - 'intra_state', 'inter_state' or null (single tax line)
+ * @param {Object} [discount] - Document discount ({ type, value })
+ * @returns {Object}
+ */
+export const calculateGstTotals = (items, defaultRate, supplyType, discount = {}) => {
+  const amounts = (items || []).map(calculateLineAmount);
+  const subtotal = round2(amounts.reduce((total, amount) => total + amount, 0));
+  const discountAmount = calculateDiscount(subtotal, discount.type, discount.value);
+  const totals = { subtotal, discountAmount, taxAmount: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0 };
+  let runningTotal = 0;
+  let allocated = 0;
+  (items || []).forEach((item, index) => {
+    runningTotal = round2(runningTotal + amounts[index]);
+    const allocatedSoFar = subtotal > 0 ? Math.round((discountAmount * 100 * runningTotal) / subtotal) / 100 : 0;
+    const taxable = round2(amounts[index] - (allocatedSoFar - allocated));
+    allocated = allocatedSoFar;
+    const hasOwnRate = item.tax_rate !== null && item.tax_rate !== undefined && item.tax_rate !== '';
+    const rate = parseFloat(hasOwnRate ? item.tax_rate : defaultRate) || 0;
+    const tax = round2((taxable * rate) / 100);
+    totals.taxAmount += tax;
+    if (supplyType === 'intra_state') {
+      const paise = Math.round(tax * 100);
+      totals.cgstAmount += Math.ceil(paise / 2) / 100;
+      totals.sgstAmount += Math.floor(paise / 2) / 100;
+    } else if (supplyType === 'inter_state') {
+      totals.igstAmount += tax;
+    }
+  });
+  Object.keys(totals).forEach((key) => {
+    totals[key] = round2(totals[key]);
+  });
+  totals.totalAmount = round2(totals.subtotal - totals.discountAmount + totals.taxAmount);
+  return totals;
+};
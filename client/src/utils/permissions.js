@@ -113,6 +113,7 @@ export const NAVIGATION_PERMISSIONS = {
   users: { module: 'users', action: 'view' },
   roles: { module: 'roles', action: 'view' },
   reports: { module: 'reports', action: 'view' },
+  audit: { module: 'audit', action: 'view' },
   guide: null, // No permission required
   settings: null, // No permission required (users can always access their own settings)
 };
@@ -0,0 +1,10 @@
+-- In-app notifications: extra related types
+-- The notification service links notifications to PM user stories/tasks and to
+-- PM chat mentions (related_id = pm_workspaces.id). Extends the related_type ENUM
+-- and adds an index for the unread-count query used by the header bell.
+-- Run once; if you get "Duplicate key name" on the index, it was already applied.
+
+ALTER TABLE notifications
+  MODIFY COLUMN related_type ENUM('client', 'project', 'invoice', 'quotation', 'user_story', 'task', 'chat', 'general') DEFAULT 'general';
+
+ALTER TABLE notifications ADD INDEX idx_notifications_user_read (user_id, is_read, created_at);
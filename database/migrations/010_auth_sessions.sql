@@ -0,0 +1,36 @@
+-- Server-side sessions: rotating refresh tokens, access token denylist, "log out everywhere"
+-- Access tokens are short-lived JWTs (JWT_EXPIRES_IN, default 15m) carrying a jti and a session id (sid).
+-- auth_refresh_tokens stores only a SHA-256 hash of each refresh token; every refresh rotates the token
+-- and re-use of a rotated token revokes the whole session.
+-- revoked_access_tokens holds the jti of access tokens revoked before they expire (logout).
+-- users.tokens_valid_after invalidates every token issued before it (logout everywhere, password change/reset).
+--
+-- Tables are created WITHOUT foreign keys to users(id), like password_reset_tokens (007).
+-- Run once; if you get "Duplicate column" on users.tokens_valid_after, it was already applied.
+
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  session_id CHAR(36) NOT NULL COMMENT 'Shared by all rotations of one login',
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL DEFAULT NULL,
+  revoked_reason VARCHAR(50) NULL DEFAULT NULL COMMENT 'rotated, logout, logout_all, password_change, password_reset, reuse_detected, deactivated, two_factor_reset',
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_token_hash (token_hash),
+  INDEX idx_user_id (user_id),
+  INDEX idx_session_id (session_id),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS revoked_access_tokens (
+  jti CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL COMMENT 'Row can be purged after the token itself expires',
+  revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE users ADD COLUMN tokens_valid_after DATETIME NULL DEFAULT NULL COMMENT 'Tokens issued before this time are rejected';
@@ -0,0 +1,25 @@
+-- TOTP two-factor authentication
+-- users.two_factor_secret holds the AES-GCM encrypted TOTP secret; it is set during enrolment and only
+-- enforced at login once two_factor_enabled = 1 (after the first code has been verified).
+-- two_factor_last_step stores the last accepted 30-second time step so a code cannot be replayed.
+-- user_recovery_codes stores SHA-256 hashes of one-time recovery codes.
+-- workspaces.require_two_factor lets workspace administrators make 2FA mandatory for members.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE users ADD COLUMN two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN two_factor_secret VARCHAR(255) NULL DEFAULT NULL;
+ALTER TABLE users ADD COLUMN two_factor_enabled_at DATETIME NULL DEFAULT NULL;
+ALTER TABLE users ADD COLUMN two_factor_last_step BIGINT NULL DEFAULT NULL;
+
+ALTER TABLE workspaces ADD COLUMN require_two_factor TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Members must enrol in 2FA before using the app';
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user_id (user_id),
+  UNIQUE KEY uk_user_code (user_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
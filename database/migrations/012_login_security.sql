@@ -0,0 +1,27 @@
+-- Brute-force protection: failed login tracking and temporary account lockout
+-- login_attempts records every login / 2FA attempt (successful or not) with IP and user agent so admins can
+-- review failed sign-ins. user_id is NULL when the username/email did not match an account.
+-- users.failed_login_count counts consecutive failures; once it reaches LOGIN_MAX_FAILED_ATTEMPTS the account
+-- is locked until users.locked_until (lockout doubles on each further round of failures, capped at 24 hours).
+-- A successful login or an admin unlock (POST /api/users/:id/unlock) resets both.
+--
+-- Tables are created WITHOUT foreign keys to users(id), like auth_refresh_tokens (010).
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NULL DEFAULT NULL,
+  identifier VARCHAR(255) NOT NULL COMMENT 'Username or email as entered (lowercased)',
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  failure_reason VARCHAR(50) NULL DEFAULT NULL COMMENT 'unknown_user, invalid_password, account_locked, invalid_two_factor',
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(500) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user_id (user_id, created_at),
+  INDEX idx_identifier (identifier, created_at),
+  INDEX idx_ip_address (ip_address, created_at),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE users ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN locked_until DATETIME NULL DEFAULT NULL COMMENT 'Login refused until this time';
@@ -0,0 +1,24 @@
+-- Personal API tokens for integrations and scripts
+-- A token acts as its owner, limited to the scopes it was created with ("module:action" pairs from the
+-- permissions table, e.g. "invoices:view"). Only a SHA-256 hash of the token is stored; token_prefix keeps
+-- the first characters so users can tell their tokens apart. Tokens always expire and can be revoked.
+--
+-- Tables are created WITHOUT foreign keys to users(id), like auth_refresh_tokens (010).
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  workspace_id INT NULL DEFAULT NULL COMMENT 'Tenant workspace the token was created in',
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  token_prefix VARCHAR(20) NOT NULL,
+  scopes JSON NOT NULL COMMENT 'Array of "module:action" strings',
+  expires_at DATETIME NOT NULL,
+  last_used_at DATETIME NULL DEFAULT NULL,
+  last_used_ip VARCHAR(45) NULL DEFAULT NULL,
+  revoked_at DATETIME NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_token_hash (token_hash),
+  INDEX idx_user_id (user_id),
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,38 @@
+-- Audit trail for CRM entities (clients, projects, quotations, invoices, payments, credentials, files, users, roles)
+-- activity_logs already exists in complete_schema.sql; this adds the tenant workspace so /api/audit can be
+-- scoped per workspace, plus indexes for the filters used by the audit UI.
+-- Rows are written by server/utils/auditLogger.js: old_values/new_values hold only the changed fields for
+-- updates (the full record for creates/deletes), with secrets replaced by "[redacted]".
+-- Also adds the audit:view permission (granted to the admin role) that guards /api/audit.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS activity_logs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  user_id INT,
+  action VARCHAR(100) NOT NULL,
+  table_name VARCHAR(50),
+  record_id INT,
+  old_values JSON,
+  new_values JSON,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE activity_logs ADD COLUMN workspace_id INT NULL DEFAULT NULL AFTER user_id;
+
+ALTER TABLE activity_logs ADD INDEX idx_activity_logs_workspace (workspace_id, created_at);
+ALTER TABLE activity_logs ADD INDEX idx_activity_logs_record (table_name, record_id);
+ALTER TABLE activity_logs ADD INDEX idx_activity_logs_user (user_id, created_at);
+
+INSERT INTO permissions (module, action, description) VALUES
+('audit', 'view', 'View the audit log')
+ON DUPLICATE KEY UPDATE description = VALUES(description);
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+CROSS JOIN permissions p
+WHERE r.name = 'admin' AND p.module = 'audit'
+ON DUPLICATE KEY UPDATE role_id = VALUES(role_id);
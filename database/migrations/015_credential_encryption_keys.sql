@@ -0,0 +1,12 @@
+-- Credentials vault: AES-256-GCM with key rotation (server/utils/credentialVault.js)
+-- encryption_key_id records which key encrypted each password; NULL means a pre-GCM (AES-256-CBC) row
+-- encrypted with CREDENTIAL_ENCRYPTION_KEY. password becomes TEXT because GCM values carry a key ID and auth tag.
+-- After applying, migrate old rows with: npm run reencrypt-credentials
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE credentials MODIFY COLUMN password TEXT NOT NULL;
+
+ALTER TABLE credentials ADD COLUMN encryption_key_id VARCHAR(32) NULL DEFAULT NULL AFTER password;
+
+ALTER TABLE credentials ADD INDEX idx_credentials_encryption_key (encryption_key_id);
@@ -0,0 +1,22 @@
+-- Reveal-on-demand for stored credentials
+-- GET /api/credentials/:id no longer returns the password; POST /api/credentials/:id/reveal does, and every
+-- reveal/copy is recorded in credential_access_logs (who, when, IP, user agent, optional reason).
+-- workspaces.credential_reason_types lists credential types (e.g. ["database","hosting"]) that need a reason to reveal.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS credential_access_logs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  credential_id INT NOT NULL,
+  workspace_id INT NULL DEFAULT NULL,
+  user_id INT NULL DEFAULT NULL,
+  action VARCHAR(20) NOT NULL COMMENT 'reveal or copy',
+  reason VARCHAR(500) NULL DEFAULT NULL,
+  ip_address VARCHAR(45) NULL DEFAULT NULL,
+  user_agent VARCHAR(500) NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_credential_access_credential (credential_id, created_at),
+  INDEX idx_credential_access_user (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE workspaces ADD COLUMN credential_reason_types JSON NULL DEFAULT NULL COMMENT 'Credential types that require a reason to reveal';
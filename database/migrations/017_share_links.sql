@@ -0,0 +1,41 @@
+-- Expiring share links for credentials and files
+-- Lets a workspace hand a credential or a file to someone without an account: the link opens the public
+-- /share/:token page, expires at expires_at, stops working after max_views successful views/downloads
+-- (NULL = unlimited until expiry) and can be protected with a passphrase (bcrypt hash) or revoked early.
+-- Only the SHA-256 hash of the token is stored; the link itself is shown once, when it is created.
+-- Every public access (including refused ones: wrong passphrase, expired, revoked, used up) is recorded in
+-- share_link_access_logs.
+--
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS share_links (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NULL DEFAULT NULL,
+  resource_type VARCHAR(20) NOT NULL COMMENT 'credential or file',
+  resource_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  label VARCHAR(255) NULL DEFAULT NULL COMMENT 'Shown to the recipient, e.g. who the link is for',
+  passphrase_hash VARCHAR(255) NULL DEFAULT NULL,
+  expires_at DATETIME NOT NULL,
+  max_views INT NULL DEFAULT NULL,
+  view_count INT NOT NULL DEFAULT 0,
+  last_accessed_at DATETIME NULL DEFAULT NULL,
+  created_by INT NULL DEFAULT NULL,
+  revoked_at DATETIME NULL DEFAULT NULL,
+  revoked_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_share_links_token (token_hash),
+  INDEX idx_share_links_resource (resource_type, resource_id),
+  INDEX idx_share_links_workspace (workspace_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS share_link_access_logs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  share_link_id INT NOT NULL,
+  outcome VARCHAR(30) NOT NULL COMMENT 'opened, viewed, downloaded, wrong_passphrase, expired, revoked, exhausted',
+  ip_address VARCHAR(45) NULL DEFAULT NULL,
+  user_agent VARCHAR(500) NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_share_link_access_link (share_link_id, created_at),
+  CONSTRAINT fk_share_link_access_link FOREIGN KEY (share_link_id) REFERENCES share_links(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,70 @@
+-- Recurring invoices (retainers, hosting, maintenance)
+-- A recurring_invoices profile holds the client, line items (recurring_invoice_items) and a schedule:
+-- frequency (weekly, monthly, quarterly, yearly) every interval_count periods, on day_of_month (clamped to
+-- short months), from start_date until end_date. The scheduler in server/utils/recurringInvoices.js creates an
+-- invoice for every due next_run_date: a fresh invoice number, invoice_date = run date, due_date = run date +
+-- payment_terms_days, status 'sent' when auto_send is on, otherwise 'draft'.
+-- Each generation (or failure) is logged in recurring_invoice_runs; the unique (profile, date) key makes sure a
+-- run date is only invoiced once, even with several server instances.
+-- invoices.recurring_invoice_id links generated invoices back to their profile.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS recurring_invoices (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NULL DEFAULT NULL,
+  title VARCHAR(255) NOT NULL,
+  client_id INT NOT NULL,
+  project_id INT NULL DEFAULT NULL,
+  frequency VARCHAR(20) NOT NULL DEFAULT 'monthly' COMMENT 'weekly, monthly, quarterly or yearly',
+  interval_count INT NOT NULL DEFAULT 1,
+  day_of_month TINYINT NULL DEFAULT NULL COMMENT '1-31; ignored for weekly',
+  start_date DATE NOT NULL,
+  end_date DATE NULL DEFAULT NULL,
+  next_run_date DATE NULL DEFAULT NULL,
+  payment_terms_days INT NOT NULL DEFAULT 30,
+  tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  notes TEXT NULL,
+  auto_send BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active' COMMENT 'active, paused or completed',
+  occurrences_generated INT NOT NULL DEFAULT 0,
+  last_run_at DATETIME NULL DEFAULT NULL,
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_recurring_invoices_due (status, next_run_date),
+  INDEX idx_recurring_invoices_workspace (workspace_id),
+  INDEX idx_recurring_invoices_client (client_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS recurring_invoice_items (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  recurring_invoice_id INT NOT NULL,
+  item_name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sort_order INT NOT NULL DEFAULT 0,
+  INDEX idx_recurring_invoice_items_profile (recurring_invoice_id),
+  CONSTRAINT fk_recurring_invoice_items_profile FOREIGN KEY (recurring_invoice_id) REFERENCES recurring_invoices(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS recurring_invoice_runs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  recurring_invoice_id INT NOT NULL,
+  workspace_id INT NULL DEFAULT NULL,
+  scheduled_for DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' COMMENT 'pending, success or failed',
+  invoice_id INT NULL DEFAULT NULL,
+  triggered_by VARCHAR(20) NOT NULL DEFAULT 'scheduler' COMMENT 'scheduler or manual',
+  triggered_by_user INT NULL DEFAULT NULL,
+  error_message VARCHAR(1000) NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL DEFAULT NULL,
+  UNIQUE KEY uq_recurring_invoice_runs_date (recurring_invoice_id, scheduled_for),
+  INDEX idx_recurring_invoice_runs_workspace (workspace_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE invoices ADD COLUMN recurring_invoice_id INT NULL DEFAULT NULL;
+ALTER TABLE invoices ADD INDEX idx_invoices_recurring (recurring_invoice_id);
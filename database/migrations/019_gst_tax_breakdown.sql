@@ -0,0 +1,33 @@
+-- GST tax breakdown (CGST/SGST/IGST) on quotations and invoices
+-- workspaces.gst_state_code marks a GST-registered workspace (GSTIN shown on its PDFs). For its documents the place of
+-- supply (GST state code, "96" for clients abroad) decides the supply type: intra_state splits tax into CGST + SGST,
+-- inter_state charges IGST. Lines carry an HSN/SAC code and their own GST rate; see server/utils/gst.js.
+-- Documents of workspaces without GST settings keep supply_type NULL and a single tax amount.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE workspaces ADD COLUMN gstin VARCHAR(15) NULL COMMENT 'GSTIN printed on quotations and invoices';
+ALTER TABLE workspaces ADD COLUMN gst_state_code VARCHAR(2) NULL COMMENT 'GST state code of the workspace (supplier location)';
+
+ALTER TABLE invoices ADD COLUMN place_of_supply VARCHAR(2) NULL COMMENT 'GST state code; 96 = foreign country';
+ALTER TABLE invoices ADD COLUMN supply_type VARCHAR(20) NULL COMMENT 'intra_state (CGST+SGST), inter_state (IGST) or NULL (no GST)';
+ALTER TABLE invoices ADD COLUMN cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE quotations ADD COLUMN place_of_supply VARCHAR(2) NULL COMMENT 'GST state code; 96 = foreign country';
+ALTER TABLE quotations ADD COLUMN supply_type VARCHAR(20) NULL COMMENT 'intra_state (CGST+SGST), inter_state (IGST) or NULL (no GST)';
+ALTER TABLE quotations ADD COLUMN cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE invoice_items ADD COLUMN hsn_sac VARCHAR(8) NULL COMMENT 'HSN (goods) or SAC (services) code';
+ALTER TABLE invoice_items ADD COLUMN tax_rate DECIMAL(5,2) NULL COMMENT 'GST rate of this line; NULL = invoice tax_rate';
+ALTER TABLE invoice_items ADD COLUMN tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE quotation_items ADD COLUMN hsn_sac VARCHAR(8) NULL COMMENT 'HSN (goods) or SAC (services) code';
+ALTER TABLE quotation_items ADD COLUMN tax_rate DECIMAL(5,2) NULL COMMENT 'GST rate of this line; NULL = quotation tax_rate';
+ALTER TABLE quotation_items ADD COLUMN tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE recurring_invoice_items ADD COLUMN hsn_sac VARCHAR(8) NULL COMMENT 'HSN (goods) or SAC (services) code';
+ALTER TABLE recurring_invoice_items ADD COLUMN tax_rate DECIMAL(5,2) NULL COMMENT 'GST rate of this line; NULL = profile tax_rate';
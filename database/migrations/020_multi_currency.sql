@@ -0,0 +1,27 @@
+-- Multi-currency: workspace base currency, exchange rates and the rate captured on invoices and payments
+-- exchange_rates.rate is the value of 1 unit of `currency` in the workspace's base currency on rate_date
+-- (entered manually or imported from CSV). When an invoice or payment is saved, the latest rate on or before its
+-- date is stored in exchange_rate (1 for the base currency); reports convert amounts with it. Rows without a
+-- captured rate fall back to the stored rates at report time. The difference between the payment rate and the
+-- invoice rate is the realised FX gain/loss. See server/utils/currency.js.
+-- The base currency can no longer be changed once invoices have captured a rate.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE workspaces ADD COLUMN base_currency VARCHAR(3) NOT NULL DEFAULT 'USD' COMMENT 'Currency reports are converted to';
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  rate_date DATE NOT NULL,
+  rate DECIMAL(18,8) NOT NULL COMMENT 'Base currency per 1 unit of currency',
+  source VARCHAR(20) NOT NULL DEFAULT 'manual' COMMENT 'manual or csv',
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_exchange_rates_day (workspace_id, currency, rate_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE invoices ADD COLUMN exchange_rate DECIMAL(18,8) NULL COMMENT 'Base currency per 1 unit of invoice currency on invoice_date';
+ALTER TABLE payments ADD COLUMN exchange_rate DECIMAL(18,8) NULL COMMENT 'Base currency per 1 unit of invoice currency on payment_date';
@@ -0,0 +1,33 @@
+-- Emailing invoices and quotations, and automatic payment reminders
+-- POST /api/invoices/:id/send and POST /api/quotations/:id/send email the document (invoices with the PDF attached)
+-- to the client and CC addresses; every send and reminder is recorded in document_emails and as an outbound email
+-- conversation. clients.billing_cc_emails keeps the CC addresses offered the next time a document is sent.
+-- workspaces.payment_reminder_settings holds the reminder schedule (before the due date, on the due date and every
+-- N days overdue). Each scheduled reminder claims its reminder_key first, so it goes out at most once even with
+-- several server instances. Reminders stop once an invoice is paid or cancelled. See server/utils/documentEmails.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS document_emails (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NULL DEFAULT NULL,
+  document_type VARCHAR(20) NOT NULL COMMENT 'invoice or quotation',
+  document_id INT NOT NULL,
+  email_type VARCHAR(20) NOT NULL DEFAULT 'send' COMMENT 'send or reminder',
+  reminder_key VARCHAR(30) NULL DEFAULT NULL COMMENT 'before, due or overdue_N for scheduled reminders',
+  recipients VARCHAR(1000) NOT NULL,
+  cc VARCHAR(1000) NULL DEFAULT NULL,
+  subject VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'sent' COMMENT 'pending, sent or failed',
+  error_message VARCHAR(1000) NULL DEFAULT NULL,
+  has_attachment TINYINT(1) NOT NULL DEFAULT 0,
+  conversation_id INT NULL DEFAULT NULL,
+  sent_by INT NULL DEFAULT NULL COMMENT 'NULL for automatic reminders',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_document_emails_reminder (document_type, document_id, reminder_key),
+  INDEX idx_document_emails_document (document_type, document_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE clients ADD COLUMN billing_cc_emails VARCHAR(1000) NULL DEFAULT NULL COMMENT 'Comma-separated CC addresses for invoices and quotations';
+
+ALTER TABLE workspaces ADD COLUMN payment_reminder_settings JSON NULL DEFAULT NULL COMMENT 'Payment reminder schedule';
@@ -0,0 +1,42 @@
+-- Background job scheduler: persisted job state, run history and a lock per job
+-- Jobs are defined in server/utils/scheduledJobs.js; each server instance checks every minute for due jobs.
+-- A job runs only on the instance that takes its lock (locked_by / locked_until on scheduled_jobs), so several
+-- instances never run the same job at once; an expired lock (crashed instance) is taken over on the next check.
+-- scheduled_jobs.enabled lets a super admin pause a job; every run is recorded in scheduled_job_runs.
+-- conversations.follow_up_notified_for remembers which follow-up date was already notified.
+-- workspaces.suspension_reason marks workspaces the trial expiry job suspended, so only those are reactivated
+-- when their trial is extended.
+-- See server/utils/jobScheduler.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  job_key VARCHAR(50) PRIMARY KEY,
+  enabled TINYINT(1) NOT NULL DEFAULT 1,
+  next_run_at DATETIME NULL DEFAULT NULL,
+  last_run_at DATETIME NULL DEFAULT NULL,
+  last_status VARCHAR(20) NULL DEFAULT NULL COMMENT 'success or failed',
+  last_duration_ms INT NULL DEFAULT NULL,
+  locked_by VARCHAR(100) NULL DEFAULT NULL COMMENT 'Instance running the job',
+  locked_until DATETIME NULL DEFAULT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  job_key VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'running' COMMENT 'running, success or failed',
+  triggered_by VARCHAR(20) NOT NULL DEFAULT 'schedule' COMMENT 'schedule or manual',
+  triggered_by_user INT NULL DEFAULT NULL,
+  instance_id VARCHAR(100) NULL DEFAULT NULL,
+  started_at DATETIME NOT NULL,
+  finished_at DATETIME NULL DEFAULT NULL,
+  duration_ms INT NULL DEFAULT NULL,
+  result JSON NULL DEFAULT NULL COMMENT 'Summary returned by the job',
+  error_message VARCHAR(1000) NULL DEFAULT NULL,
+  INDEX idx_scheduled_job_runs_job (job_key, started_at),
+  INDEX idx_scheduled_job_runs_started (started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE conversations ADD COLUMN follow_up_notified_for DATE NULL DEFAULT NULL COMMENT 'Follow-up date already notified';
+ALTER TABLE workspaces ADD COLUMN suspension_reason VARCHAR(50) NULL DEFAULT NULL COMMENT 'Why the workspace is suspended, e.g. trial_expired';
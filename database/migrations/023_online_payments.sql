@@ -0,0 +1,53 @@
+-- Online invoice payments through a payment gateway (mock, Razorpay or Stripe; PAYMENT_GATEWAY)
+-- Invoice emails and PDFs carry a pay link (/pay/:token, invoices.payment_token) to a public page that redirects the
+-- client to the gateway's hosted checkout (payment_checkouts). The gateway reports the outcome to
+-- POST /api/pay/webhooks/:gateway; only webhooks with a valid signature are processed, each event once
+-- (payment_gateway_events), and a paid checkout is written to payments and updates the invoice's paid_amount and status.
+-- Gateway payments have no creating user (payments.created_by NULL) and are unique per gateway payment ID.
+-- See server/utils/paymentGateway.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE invoices ADD COLUMN payment_token VARCHAR(64) NULL DEFAULT NULL COMMENT 'Token of the public pay link';
+ALTER TABLE invoices ADD UNIQUE INDEX uniq_invoices_payment_token (payment_token);
+
+ALTER TABLE payments MODIFY created_by INT NULL COMMENT 'NULL for payments received through a payment gateway';
+ALTER TABLE payments ADD COLUMN gateway VARCHAR(20) NULL DEFAULT NULL COMMENT 'mock, razorpay or stripe for online payments';
+ALTER TABLE payments ADD COLUMN gateway_payment_id VARCHAR(255) NULL DEFAULT NULL;
+ALTER TABLE payments ADD UNIQUE INDEX uniq_payments_gateway_payment (gateway, gateway_payment_id);
+
+CREATE TABLE IF NOT EXISTS payment_checkouts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  invoice_id INT NOT NULL,
+  workspace_id INT NULL DEFAULT NULL,
+  gateway VARCHAR(20) NOT NULL,
+  gateway_checkout_id VARCHAR(255) NULL DEFAULT NULL COMMENT 'Razorpay payment link / Stripe Checkout Session ID',
+  amount DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'created' COMMENT 'created, paid, failed or expired',
+  checkout_url VARCHAR(1000) NULL DEFAULT NULL,
+  payment_id INT NULL DEFAULT NULL,
+  error_message VARCHAR(1000) NULL DEFAULT NULL,
+  ip_address VARCHAR(45) NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME NULL DEFAULT NULL,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+  FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_payment_checkouts_gateway (gateway, gateway_checkout_id),
+  INDEX idx_payment_checkouts_invoice (invoice_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS payment_gateway_events (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  gateway VARCHAR(20) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NULL DEFAULT NULL,
+  checkout_id INT NULL DEFAULT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received' COMMENT 'received, processed, ignored or failed',
+  error_message VARCHAR(1000) NULL DEFAULT NULL,
+  payload JSON NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at DATETIME NULL DEFAULT NULL,
+  UNIQUE KEY uniq_payment_gateway_events (gateway, event_id),
+  INDEX idx_payment_gateway_events_checkout (checkout_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
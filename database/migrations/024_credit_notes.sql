@@ -0,0 +1,83 @@
+-- Credit notes and refunds
+-- A credit note (credit_notes + credit_note_items) corrects an issued invoice without editing it: it has its own
+-- number (CN-YYYY-NNNN per workspace), line items taxed like the invoice (same GST supply type and place of
+-- supply) and a PDF. Issued credit notes are summed into invoices.credited_amount, so an invoice's balance is
+-- total_amount - paid_amount - credited_amount; a negative balance is credit owed to the client.
+-- Credit notes are never deleted; cancelling one removes its amount from the invoice again.
+-- A refund (refunds) returns part or all of a payment to the client and lowers the invoice's paid_amount
+-- (payments keep their original amount). Reports net credit notes and refunds out of revenue.
+-- See server/utils/creditNotes.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE invoices ADD COLUMN credited_amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'Total of issued credit notes' AFTER paid_amount;
+
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NULL DEFAULT NULL,
+  credit_note_number VARCHAR(50) NOT NULL,
+  invoice_id INT NOT NULL,
+  client_id INT NOT NULL,
+  credit_date DATE NOT NULL,
+  reason VARCHAR(255) NULL DEFAULT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'issued' COMMENT 'issued or cancelled',
+  subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+  tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  place_of_supply VARCHAR(2) NULL COMMENT 'GST state code of the invoice',
+  supply_type VARCHAR(20) NULL COMMENT 'Supply type of the invoice: intra_state, inter_state or NULL',
+  cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  exchange_rate DECIMAL(18,8) NULL COMMENT 'Rate of the invoice (credit notes reverse it at the same rate)',
+  notes TEXT NULL,
+  created_by INT NULL DEFAULT NULL,
+  cancelled_by INT NULL DEFAULT NULL,
+  cancelled_at DATETIME NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_credit_notes_number (workspace_id, credit_note_number),
+  INDEX idx_credit_notes_invoice (invoice_id),
+  INDEX idx_credit_notes_client (client_id),
+  INDEX idx_credit_notes_date (workspace_id, credit_date),
+  CONSTRAINT fk_credit_notes_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  credit_note_id INT NOT NULL,
+  invoice_item_id INT NULL DEFAULT NULL COMMENT 'Invoice line being credited, if any',
+  item_name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  total_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  hsn_sac VARCHAR(8) NULL,
+  tax_rate DECIMAL(5,2) NULL,
+  tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  INDEX idx_credit_note_items_note (credit_note_id),
+  CONSTRAINT fk_credit_note_items_note FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NULL DEFAULT NULL,
+  payment_id INT NOT NULL,
+  invoice_id INT NOT NULL,
+  credit_note_id INT NULL DEFAULT NULL COMMENT 'Credit note the refund pays out, if any',
+  amount DECIMAL(10,2) NOT NULL,
+  refund_date DATE NOT NULL,
+  refund_method VARCHAR(50) NOT NULL,
+  reference_number VARCHAR(100) NULL DEFAULT NULL,
+  reason VARCHAR(255) NULL DEFAULT NULL,
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_refunds_payment (payment_id),
+  INDEX idx_refunds_invoice (invoice_id),
+  INDEX idx_refunds_date (workspace_id, refund_date),
+  CONSTRAINT fk_refunds_payment FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE RESTRICT,
+  CONSTRAINT fk_refunds_invoice FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE RESTRICT,
+  CONSTRAINT fk_refunds_credit_note FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
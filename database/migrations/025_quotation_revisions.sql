@@ -0,0 +1,38 @@
+-- Quotation revisions and online acceptance by the client
+-- Once a quotation has been sent, every edit that changes its content is kept as a numbered revision
+-- (quotation_revisions: a JSON snapshot of the header and line items); quotations.revision_number is the current one.
+-- Revision 1 is the version that was sent. Staff can view each revision and diff it against another.
+-- Quotation emails carry an acceptance link (/quote/:token, signed with the quotation ID and
+-- quotations.acceptance_link_version; nothing secret is stored) to a public page where the
+-- client sees the current revision and accepts it by typing their name, or declines it. Acceptance records the
+-- name, IP address, user agent, time and revision, sets the status to accepted and, when auto_convert_on_accept is
+-- set, converts the quotation to a draft invoice.
+-- See server/utils/quotationRevisions.js and server/utils/quotationAcceptance.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE quotations ADD COLUMN revision_number INT NOT NULL DEFAULT 0 COMMENT 'Current revision; 0 until the quotation is sent';
+ALTER TABLE quotations ADD COLUMN acceptance_link_version INT NOT NULL DEFAULT 1 COMMENT 'Signed into the acceptance link; raised to replace the link';
+ALTER TABLE quotations ADD COLUMN acceptance_link_revoked_at DATETIME NULL DEFAULT NULL COMMENT 'Acceptance link turned off until it is replaced';
+ALTER TABLE quotations ADD COLUMN auto_convert_on_accept TINYINT(1) NOT NULL DEFAULT 0 COMMENT 'Convert to an invoice when the client accepts online';
+ALTER TABLE quotations ADD COLUMN accepted_by_name VARCHAR(255) NULL DEFAULT NULL COMMENT 'Name typed by the client when accepting online';
+ALTER TABLE quotations ADD COLUMN accepted_ip VARCHAR(45) NULL DEFAULT NULL;
+ALTER TABLE quotations ADD COLUMN accepted_user_agent VARCHAR(500) NULL DEFAULT NULL;
+ALTER TABLE quotations ADD COLUMN accepted_at DATETIME NULL DEFAULT NULL;
+ALTER TABLE quotations ADD COLUMN accepted_revision INT NULL DEFAULT NULL COMMENT 'Revision the client accepted';
+ALTER TABLE quotations ADD COLUMN declined_at DATETIME NULL DEFAULT NULL;
+ALTER TABLE quotations ADD COLUMN decline_reason VARCHAR(1000) NULL DEFAULT NULL;
+
+CREATE TABLE IF NOT EXISTS quotation_revisions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  quotation_id INT NOT NULL,
+  workspace_id INT NULL DEFAULT NULL,
+  revision_number INT NOT NULL,
+  snapshot JSON NOT NULL COMMENT 'Quotation header fields and line items of this revision',
+  total_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_quotation_revisions_number (quotation_id, revision_number),
+  CONSTRAINT fk_quotation_revisions_quotation FOREIGN KEY (quotation_id) REFERENCES quotations(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
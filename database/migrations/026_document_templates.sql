@@ -0,0 +1,28 @@
+-- Branded document templates (one per workspace)
+-- Invoice, quotation and credit note PDFs and document emails use the workspace's template: logo, accent colour
+-- (table header, email header and buttons), footer text, a bank/payment details block, a signature image and the
+-- order of the blocks printed under the totals (notes, terms, bank details, signature). Workspaces without a row
+-- get the default layout. The logo and signature are stored here rather than in uploads/, so every server instance
+-- can print them. Configured under Settings → Invoice From. See server/utils/documentTemplates.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS document_templates (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NOT NULL,
+  accent_color VARCHAR(7) NOT NULL DEFAULT '#4F46E5',
+  logo MEDIUMBLOB NULL DEFAULT NULL COMMENT 'PNG or JPEG',
+  logo_type VARCHAR(20) NULL DEFAULT NULL,
+  signature MEDIUMBLOB NULL DEFAULT NULL COMMENT 'PNG or JPEG',
+  signature_type VARCHAR(20) NULL DEFAULT NULL,
+  signature_label VARCHAR(100) NULL DEFAULT NULL COMMENT 'Printed under the signature',
+  footer_text VARCHAR(300) NULL DEFAULT NULL,
+  bank_details TEXT NULL DEFAULT NULL COMMENT 'Printed on invoices',
+  bank_details_on_quotations TINYINT(1) NOT NULL DEFAULT 0,
+  field_order JSON NULL DEFAULT NULL COMMENT 'Order of notes, terms, bank_details and signature under the totals',
+  updated_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_document_templates_workspace (workspace_id),
+  CONSTRAINT fk_document_templates_workspace FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,37 @@
+-- Products and services catalog (one per workspace)
+-- Catalog items hold the name, SKU, description, unit, default price and tax code (HSN/SAC and GST rate) of what a
+-- workspace sells. Quotation, invoice and recurring invoice lines picked from the catalog keep a reference to it in
+-- catalog_item_id; the line still stores its own name, price and tax, so editing the catalog never changes saved
+-- documents. Reports break revenue down by catalog item. Items that have been used are archived (is_active = 0)
+-- instead of deleted. See server/utils/catalog.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS catalog_items (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NOT NULL,
+  item_type VARCHAR(20) NOT NULL DEFAULT 'service' COMMENT 'product or service',
+  sku VARCHAR(64) NULL DEFAULT NULL COMMENT 'Unique within the workspace',
+  name VARCHAR(200) NOT NULL,
+  description TEXT NULL,
+  unit VARCHAR(30) NULL DEFAULT NULL COMMENT 'e.g. hour, month, piece',
+  default_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+  hsn_sac VARCHAR(8) NULL DEFAULT NULL COMMENT 'HSN (goods) or SAC (services) code',
+  tax_rate DECIMAL(5,2) NULL DEFAULT NULL COMMENT 'GST rate; NULL = the document tax_rate',
+  is_active TINYINT(1) NOT NULL DEFAULT 1,
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_catalog_items_sku (workspace_id, sku),
+  INDEX idx_catalog_items_name (workspace_id, is_active, name),
+  CONSTRAINT fk_catalog_items_workspace FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE quotation_items ADD COLUMN catalog_item_id INT NULL DEFAULT NULL COMMENT 'Catalog item the line was picked from';
+ALTER TABLE quotation_items ADD INDEX idx_quotation_items_catalog (catalog_item_id);
+
+ALTER TABLE invoice_items ADD COLUMN catalog_item_id INT NULL DEFAULT NULL COMMENT 'Catalog item the line was picked from';
+ALTER TABLE invoice_items ADD INDEX idx_invoice_items_catalog (catalog_item_id);
+
+ALTER TABLE recurring_invoice_items ADD COLUMN catalog_item_id INT NULL DEFAULT NULL COMMENT 'Catalog item the line was picked from';
+ALTER TABLE recurring_invoice_items ADD INDEX idx_recurring_invoice_items_catalog (catalog_item_id);
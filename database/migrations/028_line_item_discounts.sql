@@ -0,0 +1,46 @@
+-- Fractional quantities, units and discounts on line items
+-- Quantities of quotation, invoice, recurring invoice and credit note lines become decimals (7.5 hours) and lines
+-- get a unit label (hours, months, pcs). A line can have its own discount and a quotation, invoice or recurring
+-- profile a document discount, each either a percentage or a fixed amount (discount_type 'percentage' or 'fixed',
+-- discount_value; NULL type = no discount).
+-- total_price of a line is quantity x unit_price less the line discount; the document subtotal is the sum of the
+-- lines, and total_amount = subtotal - discount_amount + tax_amount. The document discount is spread over the lines
+-- in proportion to their total_price, and each line is taxed on what is left (taxable_value), so GST is charged on
+-- the discounted value. See calculateTaxBreakdown in server/utils/gst.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+ALTER TABLE quotation_items MODIFY COLUMN quantity DECIMAL(12,3) NOT NULL DEFAULT 1;
+ALTER TABLE quotation_items ADD COLUMN unit VARCHAR(30) NULL DEFAULT NULL COMMENT 'e.g. hours, months, pcs';
+ALTER TABLE quotation_items ADD COLUMN discount_type VARCHAR(20) NULL DEFAULT NULL COMMENT 'percentage or fixed; NULL = no discount';
+ALTER TABLE quotation_items ADD COLUMN discount_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE quotation_items ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'Line discount';
+ALTER TABLE quotation_items ADD COLUMN taxable_value DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'total_price less its share of the document discount';
+UPDATE quotation_items SET taxable_value = total_price;
+
+ALTER TABLE invoice_items MODIFY COLUMN quantity DECIMAL(12,3) NOT NULL DEFAULT 1;
+ALTER TABLE invoice_items ADD COLUMN unit VARCHAR(30) NULL DEFAULT NULL COMMENT 'e.g. hours, months, pcs';
+ALTER TABLE invoice_items ADD COLUMN discount_type VARCHAR(20) NULL DEFAULT NULL COMMENT 'percentage or fixed; NULL = no discount';
+ALTER TABLE invoice_items ADD COLUMN discount_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE invoice_items ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'Line discount';
+ALTER TABLE invoice_items ADD COLUMN taxable_value DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'total_price less its share of the document discount';
+UPDATE invoice_items SET taxable_value = total_price;
+
+ALTER TABLE recurring_invoice_items MODIFY COLUMN quantity DECIMAL(12,3) NOT NULL DEFAULT 1;
+ALTER TABLE recurring_invoice_items ADD COLUMN unit VARCHAR(30) NULL DEFAULT NULL COMMENT 'e.g. hours, months, pcs';
+ALTER TABLE recurring_invoice_items ADD COLUMN discount_type VARCHAR(20) NULL DEFAULT NULL COMMENT 'percentage or fixed; NULL = no discount';
+ALTER TABLE recurring_invoice_items ADD COLUMN discount_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE credit_note_items MODIFY COLUMN quantity DECIMAL(12,3) NOT NULL DEFAULT 1;
+ALTER TABLE credit_note_items ADD COLUMN unit VARCHAR(30) NULL DEFAULT NULL COMMENT 'e.g. hours, months, pcs';
+
+ALTER TABLE quotations ADD COLUMN discount_type VARCHAR(20) NULL DEFAULT NULL COMMENT 'Document discount: percentage or fixed; NULL = none';
+ALTER TABLE quotations ADD COLUMN discount_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE quotations ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'Document discount, before tax';
+
+ALTER TABLE invoices ADD COLUMN discount_type VARCHAR(20) NULL DEFAULT NULL COMMENT 'Document discount: percentage or fixed; NULL = none';
+ALTER TABLE invoices ADD COLUMN discount_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 COMMENT 'Document discount, before tax';
+
+ALTER TABLE recurring_invoices ADD COLUMN discount_type VARCHAR(20) NULL DEFAULT NULL COMMENT 'Document discount of generated invoices: percentage or fixed; NULL = none';
+ALTER TABLE recurring_invoices ADD COLUMN discount_value DECIMAL(10,2) NOT NULL DEFAULT 0;
@@ -0,0 +1,53 @@
+-- Accounting exports (Tally / QuickBooks / CSV)
+-- Issued invoices, payments, credit notes and refunds of a date range are exported as balanced journal entries in
+-- the workspace base currency: a generic double-entry CSV, a QuickBooks IIF file or Tally XML vouchers.
+-- accounting_settings holds the ledger (account) names of a workspace: receivables, sales, sales returns, the
+-- output tax ledgers, bank (optionally one per payment method) and exchange gain/loss. Workspaces without a row get
+-- the defaults.
+-- Every export is kept (accounting_exports, with the generated file) together with the documents it included
+-- (accounting_export_documents), so later exports of the same period skip them. Deleting an export releases its
+-- documents for the next one. See server/utils/accountingExport.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS accounting_settings (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NOT NULL,
+  ledgers JSON NULL DEFAULT NULL COMMENT 'Ledger name per account key (receivable, sales, cgst, bank, ...)',
+  payment_method_ledgers JSON NULL DEFAULT NULL COMMENT 'Ledger per payment method; others use the bank ledger',
+  use_client_ledgers TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Post receivables to a ledger named after the client (Tally party ledgers)',
+  tally_company VARCHAR(255) NULL DEFAULT NULL COMMENT 'Tally company the vouchers are imported into',
+  updated_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_accounting_settings_workspace (workspace_id),
+  CONSTRAINT fk_accounting_settings_workspace FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS accounting_exports (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NULL DEFAULT NULL,
+  format VARCHAR(20) NOT NULL COMMENT 'csv, iif or tally',
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  base_currency VARCHAR(3) NOT NULL,
+  invoice_count INT NOT NULL DEFAULT 0,
+  payment_count INT NOT NULL DEFAULT 0,
+  credit_note_count INT NOT NULL DEFAULT 0,
+  refund_count INT NOT NULL DEFAULT 0,
+  file_name VARCHAR(255) NOT NULL,
+  content LONGTEXT NOT NULL COMMENT 'The generated file, for downloading it again',
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_accounting_exports_workspace (workspace_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS accounting_export_documents (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  export_id INT NOT NULL,
+  document_type VARCHAR(20) NOT NULL COMMENT 'invoice, payment, credit_note or refund',
+  document_id INT NOT NULL,
+  INDEX idx_accounting_export_documents_document (document_type, document_id),
+  INDEX idx_accounting_export_documents_export (export_id),
+  CONSTRAINT fk_accounting_export_documents_export FOREIGN KEY (export_id) REFERENCES accounting_exports(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
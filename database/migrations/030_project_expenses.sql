@@ -0,0 +1,42 @@
+-- Project expenses and project cost
+-- Expenses record what a project cost outside of time: vendor, category, amount and currency (exchange_rate is the
+-- rate to the workspace base currency on the expense date, as on invoices), an optional receipt (a row of the files
+-- table) and whether the client is billed for it. Billable expenses are pulled into invoices as line items; the line
+-- keeps the expense in invoice_items.expense_id, and an expense counts as billed while an invoice that is not
+-- cancelled has such a line.
+-- Time is costed at the hourly cost rate of the user who logged it: users.cost_rate (base currency) is copied onto
+-- each new pm_time_logs row, so later rate changes leave logged time as it was.
+-- A project's actual cost is computed from its expenses and costed time logs (projects.actual_cost is only used for
+-- projects of workspaces without this migration). See server/utils/expenses.js.
+--
+-- Run once; if you get "Duplicate column" errors, the migration was already applied.
+
+CREATE TABLE IF NOT EXISTS expenses (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  workspace_id INT NOT NULL,
+  project_id INT NOT NULL,
+  expense_date DATE NOT NULL,
+  vendor VARCHAR(200) NULL DEFAULT NULL,
+  category VARCHAR(30) NOT NULL DEFAULT 'other' COMMENT 'software, hosting, hardware, travel, subcontractor, ...',
+  description TEXT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  exchange_rate DECIMAL(18,8) NULL DEFAULT NULL COMMENT 'Rate to the workspace base currency on expense_date',
+  receipt_file_id INT NULL DEFAULT NULL COMMENT 'Receipt uploaded to files',
+  is_billable TINYINT(1) NOT NULL DEFAULT 0,
+  created_by INT NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_expenses_project (project_id, expense_date),
+  INDEX idx_expenses_workspace (workspace_id, expense_date),
+  CONSTRAINT fk_expenses_workspace FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  CONSTRAINT fk_expenses_project FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  CONSTRAINT fk_expenses_receipt FOREIGN KEY (receipt_file_id) REFERENCES files(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE invoice_items ADD COLUMN expense_id INT NULL DEFAULT NULL COMMENT 'Billable expense the line bills';
+ALTER TABLE invoice_items ADD INDEX idx_invoice_items_expense (expense_id);
+
+ALTER TABLE users ADD COLUMN cost_rate DECIMAL(10,2) NULL DEFAULT NULL COMMENT 'Hourly cost in the workspace base currency';
+
+ALTER TABLE pm_time_logs ADD COLUMN cost_rate DECIMAL(10,2) NULL DEFAULT NULL COMMENT 'Hourly cost of the user when the time was logged';
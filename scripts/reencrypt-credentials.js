@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Re-encrypt stored credential passwords with the current key
+ * (legacy AES-256-CBC rows and rows on a rotated-out key).
+ * Usage: node scripts/reencrypt-credentials.js [--dry-run]
+ */
+
+require('dotenv').config();
+
+const { pool } = require('../server/config/database');
+const { initCredentialVault, reencryptCredentials } = require('../server/utils/credentialVault');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const { keyIds, currentKeyId } = initCredentialVault();
+
+  console.log(`\n🔑 Keys: ${keyIds.join(', ')} (current: ${currentKeyId})`);
+  if (dryRun) console.log('ℹ️  Dry run - nothing will be written');
+
+  const result = await reencryptCredentials({ dryRun });
+
+  console.log(`\n✅ Scanned ${result.scanned} credentials, ${dryRun ? 'would re-encrypt' : 're-encrypted'} ${result.reencrypted}`);
+  if (result.failed.length > 0) {
+    console.log(`❌ ${result.failed.length} could not be decrypted (missing key or damaged value):`);
+    result.failed.forEach((failure) => console.log(`   #${failure.id}: ${failure.error}`));
+    process.exitCode = 1;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Re-encryption failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -15,6 +15,8 @@ const fileRoutes = require('./routes/files');
 const credentialRoutes = require('./routes/credentials');
 const conversationRoutes = require('./routes/conversations');
 const notificationRoutes = require('./routes/notifications');
+const apiTokenRoutes = require('./routes/apiTokens');
+const auditRoutes = require('./routes/audit');
 const dashboardRoutes = require('./routes/dashboard');
 const userRoutes = require('./routes/users');
 const roleRoutes = require('./routes/roles');
@@ -37,10 +39,37 @@ const pmAssignmentRoutes = require('./routes/pm/assignments');
 const pmChatRoutes = require('./routes/pm/chat');
 const subscriptionRoutes = require('./routes/subscriptions');
 const inquiryRoutes = require('./routes/inquiries');
+const shareRoutes = require('./routes/shares');
+const payRoutes = require('./routes/pay');
+const quoteAcceptanceRoutes = require('./routes/quoteAcceptance');
+const recurringInvoiceRoutes = require('./routes/recurringInvoices');
+const creditNoteRoutes = require('./routes/creditNotes');
+const catalogRoutes = require('./routes/catalog');
+const expenseRoutes = require('./routes/expenses');
+const accountingExportRoutes = require('./routes/accountingExports');
+const jobRoutes = require('./routes/jobs');
+const { attachRealtime } = require('./utils/realtime');
+const { initCredentialVault } = require('./utils/credentialVault');
+const { startJobScheduler } = require('./utils/jobScheduler');
+const { registerScheduledJobs } = require('./utils/scheduledJobs');
+
+// Registered even where the scheduler is turned off, so the jobs admin view and manual runs still work
+registerScheduledJobs();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Client IPs (sessions, audit and access logs, rate limits) come from req.ip, so X-Forwarded-For is only
+// believed from the proxies named here: a hop count (1 on Render) or a comma-separated list of addresses/subnets.
+// Unset, the socket address is used and the header is ignored.
+const parseTrustProxy = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!trimmed || trimmed === 'false') return false;
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return trimmed.split(',').map((s) => s.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // CORS configuration - MUST BE FIRST
 // Supports single origin or comma-separated list in CORS_ORIGIN, e.g.
 // CORS_ORIGIN=http://localhost:3000,http://127.0.0.1:3000
@@ -119,7 +148,7 @@ app.use(
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'Content-Disposition'],
     optionsSuccessStatus: 200,
     preflightContinue: false,
   })
@@ -153,7 +182,9 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
 
-// Rate limiting - DISABLED per user request
+// Global rate limiting - DISABLED per user request.
+// Login, 2FA, forgot password, resend verification and public inquiries have their own
+// per-IP / per-account limits (middleware/rateLimit.js).
 // const limiter = rateLimit({
 //   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
 //   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000, // Increased to 1000 requests per windowMs for development
@@ -163,6 +194,9 @@ app.use(helmet({
 // });
 // app.use('/api/', limiter);
 
+// Payment gateway webhooks are signed over the raw body, so they skip the JSON parser
+app.use('/api/pay/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -186,16 +220,27 @@ app.use('/api/clients', clientRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/quotations', quotationRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/recurring-invoices', recurringInvoiceRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/catalog-items', catalogRoutes);
+app.use('/api/expenses', expenseRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/credentials', credentialRoutes);
 app.use('/api/conversations', conversationRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/api-tokens', apiTokenRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/accounting-exports', accountingExportRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/inquiries', inquiryRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/pay', payRoutes);
+app.use('/api/quote', quoteAcceptanceRoutes);
 app.use('/api/pm/workspaces', pmWorkspaceRoutes);
 app.use('/api/pm/user-stories', pmUserStoryRoutes);
 app.use('/api/pm/tasks', pmTaskRoutes);
@@ -279,17 +324,32 @@ app.use('*', (req, res) => {
 
 // Database connection and server start
 const startServer = async () => {
+  // Refuse to start without valid credential encryption keys (stored passwords would be unreadable)
+  try {
+    const { keyIds, currentKeyId } = initCredentialVault();
+    console.log(`🔑 Credential encryption keys loaded: ${keyIds.join(', ')} (current: ${currentKeyId})`);
+  } catch (error) {
+    console.error('❌ Credential encryption is misconfigured:', error.message);
+    process.exit(1);
+  }
+
   try {
     // Test database connection
     await db.query('SELECT 1');
     console.log('✅ Database connected successfully');
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🔗 API URL: http://localhost:${PORT}/api`);
     });
+
+    // WebSocket channel for PM chat / activity push (shares the HTTP port)
+    attachRealtime(server, { isOriginAllowed });
+
+    // Background jobs: recurring invoices, payment reminders and the nightly status transitions
+    startJobScheduler();
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
     process.exit(1);
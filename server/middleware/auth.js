@@ -1,6 +1,12 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
 const { isWorkspaceAccessAllowed } = require('../utils/workspaceUtils');
+const { signAccessToken, isAccessTokenRevoked } = require('../utils/sessionTokens');
+const { getTwoFactorState } = require('../utils/twoFactor');
+const { isApiToken, findActiveApiToken, touchApiToken } = require('../utils/apiTokens');
+
+// Endpoints that manage the account itself (password, 2FA, settings, API tokens) need an interactive session
+const SESSION_ONLY_BASE_URLS = ['/api/auth', '/api/settings', '/api/api-tokens'];
 
 async function getUserByIdSafe(userId) {
   // Get user with all multi-tenant fields
@@ -27,6 +33,197 @@ async function getUserByIdSafe(userId) {
   }
 }
 
+/**
+ * Load a user with permissions and workspace context, enforcing active account and trial checks.
+ * @param {number} userId - User ID
+ * @returns {Promise<{ user?: Object, error?: { status: number, message: string, code?: string, trial_ends_at?: string } }>}
+ */
+const loadAuthUser = async (userId) => {
+  // Get user from database (safe across schema versions)
+  const users = await getUserByIdSafe(userId);
+
+  if (users.length === 0) {
+    return { error: { status: 401, message: 'User not found' } };
+  }
+
+  const user = users[0];
+
+  if (!user.is_active) {
+    return { error: { status: 401, message: 'User account is deactivated' } };
+  }
+
+  // Get user's permissions from roles
+  // First, get role IDs from user_roles table or use the role from users table
+  let roleIds = [];
+
+  // Check if user has roles in user_roles table
+  const userRoles = await query(
+    'SELECT role_id FROM user_roles WHERE user_id = ?',
+    [user.id]
+  );
+
+  if (userRoles.length > 0) {
+    // User has roles in user_roles table
+    roleIds = userRoles.map(ur => ur.role_id);
+  } else {
+    // Fallback to role from users table
+    const roleFromTable = await query(
+      'SELECT id FROM roles WHERE name = ?',
+      [user.role]
+    );
+    if (roleFromTable.length > 0) {
+      roleIds = [roleFromTable[0].id];
+    }
+  }
+
+  // Get permissions for all user roles
+  let permissions = [];
+  if (roleIds.length > 0) {
+    const placeholders = roleIds.map(() => '?').join(',');
+    const permissionsResult = await query(
+      `SELECT DISTINCT p.module, p.action, p.id, p.description
+       FROM permissions p
+       INNER JOIN role_permissions rp ON p.id = rp.permission_id
+       WHERE rp.role_id IN (${placeholders})
+       ORDER BY p.module, p.action`,
+      roleIds
+    );
+    permissions = permissionsResult;
+  }
+
+  // Ensure client_id is properly set (convert to integer if exists)
+  if (user.client_id) {
+    user.client_id = parseInt(user.client_id);
+  }
+
+  // Get workspace context for multi-tenant support
+  let workspaceContext = null;
+  if (!user.is_super_admin && user.workspace_id) {
+    // Get workspace info (include trial/subscription for access check)
+    const workspaces = await query(
+      `SELECT id, name, slug, owner_id, plan_type, status, trial_ends_at, subscription_id 
+       FROM workspaces 
+       WHERE id = ? AND status IN ('active', 'suspended') AND (COALESCE(active, 1) = 1)`,
+      [user.workspace_id]
+    );
+    if (workspaces.length > 0) {
+      workspaceContext = workspaces[0];
+    }
+  } else if (!user.is_super_admin) {
+    // User doesn't have workspace_id, try to get from workspace_members
+    const memberships = await query(
+      `SELECT w.id, w.name, w.slug, w.owner_id, w.plan_type, w.status, w.trial_ends_at, w.subscription_id, wm.role as workspace_role
+       FROM workspace_members wm
+       INNER JOIN workspaces w ON wm.workspace_id = w.id AND (COALESCE(w.active, 1) = 1)
+       WHERE wm.user_id = ? AND wm.status = 'active' AND w.status IN ('active', 'suspended')
+       ORDER BY wm.joined_at DESC
+       LIMIT 1`,
+      [user.id]
+    );
+    if (memberships.length > 0) {
+      workspaceContext = memberships[0];
+      user.workspace_id = workspaceContext.id;
+    }
+  }
+
+  // Enforce trial/subscription: block if trial expired and no subscription
+  if (!user.is_super_admin && workspaceContext) {
+    const access = isWorkspaceAccessAllowed(workspaceContext);
+    if (!access.allowed && access.reason === 'trial_expired') {
+      return {
+        error: {
+          status: 403,
+          message: 'Your free trial has ended. Please upgrade or contact sales to continue.',
+          code: 'TRIAL_EXPIRED',
+          trial_ends_at: access.trial_ends_at,
+        }
+      };
+    }
+    // Suspended workspaces (e.g. by the trial expiry job) keep their members out
+    if (workspaceContext.status === 'suspended') {
+      return {
+        error: {
+          status: 403,
+          message: 'This workspace has been suspended. Please contact your administrator.',
+          code: 'WORKSPACE_SUSPENDED',
+        }
+      };
+    }
+  }
+
+  // Attach permissions and workspace context to the user object
+  user.permissions = permissions;
+  user.workspace = workspaceContext;
+  user.workspaceId = workspaceContext ? workspaceContext.id : null;
+  user.isSuperAdmin = user.is_super_admin === true || user.is_super_admin === 1;
+
+  // Workspace-enforced 2FA: members who have not enrolled yet may only reach the enrolment endpoints
+  const twoFactor = await getTwoFactorState(user.id, user.workspaceId);
+  user.two_factor_enabled = twoFactor.enabled;
+  user.twoFactorSetupRequired = !user.isSuperAdmin && twoFactor.required && !twoFactor.enabled;
+
+  return { user };
+};
+
+/**
+ * Resolve the authenticated user for a JWT: verifies the token, loads the user with
+ * permissions and workspace context, and enforces revocation, active account and trial checks.
+ * Shared by authenticateToken and the real-time socket handshake.
+ * JWT errors (JsonWebTokenError, TokenExpiredError) are thrown to the caller.
+ * @param {string} token - Raw JWT
+ * @returns {Promise<{ user?: Object, decoded?: Object, error?: { status: number, message: string, code?: string, trial_ends_at?: string } }>}
+ */
+const resolveAuthContext = async (token) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Reject logged-out tokens and tokens issued before "log out everywhere" / password change
+  if (await isAccessTokenRevoked(decoded)) {
+    return { error: { status: 401, message: 'Session has been revoked. Please log in again.', code: 'TOKEN_REVOKED' } };
+  }
+
+  const { user, error } = await loadAuthUser(decoded.userId);
+  if (error) return { error };
+
+  return { user, decoded };
+};
+
+/**
+ * Resolve the user for a personal API token. The user's permissions are narrowed to the token's scopes.
+ * @param {string} token - Plain "cms_pat_..." token
+ * @returns {Promise<{ user?: Object, apiToken?: Object, error?: Object }>}
+ */
+const resolveApiTokenContext = async (token) => {
+  let apiToken = null;
+  try {
+    apiToken = await findActiveApiToken(token);
+  } catch (err) {
+    if (err.code !== 'ER_NO_SUCH_TABLE') throw err;
+  }
+  if (!apiToken) {
+    return { error: { status: 401, message: 'Invalid, expired or revoked API token', code: 'INVALID_API_TOKEN' } };
+  }
+
+  const { user, error } = await loadAuthUser(apiToken.user_id);
+  if (error) return { error };
+
+  // Super admin bypasses every permission check, so scopes could not restrict it
+  if (user.isSuperAdmin) {
+    return { error: { status: 403, message: 'API tokens cannot be used with super admin accounts', code: 'INVALID_API_TOKEN' } };
+  }
+  // The token belongs to the workspace it was created in
+  if (Number(apiToken.workspace_id || 0) !== Number(user.workspaceId || 0)) {
+    return { error: { status: 401, message: 'API token is no longer valid for your workspace', code: 'INVALID_API_TOKEN' } };
+  }
+
+  user.permissions = user.permissions.filter(
+    perm => apiToken.scopes.includes(`${perm.module}:${perm.action}`)
+  );
+  user.apiToken = { id: apiToken.id, name: apiToken.name, scopes: apiToken.scopes };
+
+  return { user, apiToken };
+};
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -40,121 +237,44 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database (safe across schema versions)
-    const users = await getUserByIdSafe(decoded.userId);
-
-    if (users.length === 0) {
-      return res.status(401).json({
+    const usingApiToken = isApiToken(token);
+    if (usingApiToken && SESSION_ONLY_BASE_URLS.includes(req.baseUrl) && req.method !== 'GET') {
+      return res.status(403).json({
         success: false,
-        message: 'User not found'
+        message: 'This endpoint cannot be used with an API token',
+        code: 'API_TOKEN_NOT_ALLOWED'
       });
     }
 
-    const user = users[0];
+    const { user, decoded, apiToken, error } = usingApiToken
+      ? await resolveApiTokenContext(token)
+      : await resolveAuthContext(token);
 
-    if (!user.is_active) {
-      return res.status(401).json({
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json({
         success: false,
-        message: 'User account is deactivated'
+        ...body
       });
     }
 
-    // Get user's permissions from roles
-    // First, get role IDs from user_roles table or use the role from users table
-    let roleIds = [];
-    
-    // Check if user has roles in user_roles table
-    const userRoles = await query(
-      'SELECT role_id FROM user_roles WHERE user_id = ?',
-      [user.id]
-    );
-
-    if (userRoles.length > 0) {
-      // User has roles in user_roles table
-      roleIds = userRoles.map(ur => ur.role_id);
-    } else {
-      // Fallback to role from users table
-      const roleFromTable = await query(
-        'SELECT id FROM roles WHERE name = ?',
-        [user.role]
-      );
-      if (roleFromTable.length > 0) {
-        roleIds = [roleFromTable[0].id];
-      }
-    }
-
-    // Get permissions for all user roles
-    let permissions = [];
-    if (roleIds.length > 0) {
-      const placeholders = roleIds.map(() => '?').join(',');
-      const permissionsResult = await query(
-        `SELECT DISTINCT p.module, p.action, p.id, p.description
-         FROM permissions p
-         INNER JOIN role_permissions rp ON p.id = rp.permission_id
-         WHERE rp.role_id IN (${placeholders})
-         ORDER BY p.module, p.action`,
-        roleIds
-      );
-      permissions = permissionsResult;
-    }
-
-    // Ensure client_id is properly set (convert to integer if exists)
-    if (user.client_id) {
-      user.client_id = parseInt(user.client_id);
-    }
-
-    // Get workspace context for multi-tenant support
-    let workspaceContext = null;
-    if (!user.is_super_admin && user.workspace_id) {
-      // Get workspace info (include trial/subscription for access check)
-      const workspaces = await query(
-        `SELECT id, name, slug, owner_id, plan_type, status, trial_ends_at, subscription_id 
-         FROM workspaces 
-         WHERE id = ? AND status = 'active' AND (COALESCE(active, 1) = 1)`,
-        [user.workspace_id]
-      );
-      if (workspaces.length > 0) {
-        workspaceContext = workspaces[0];
-      }
-    } else if (!user.is_super_admin) {
-      // User doesn't have workspace_id, try to get from workspace_members
-      const memberships = await query(
-        `SELECT w.id, w.name, w.slug, w.owner_id, w.plan_type, w.status, w.trial_ends_at, w.subscription_id, wm.role as workspace_role
-         FROM workspace_members wm
-         INNER JOIN workspaces w ON wm.workspace_id = w.id AND (COALESCE(w.active, 1) = 1)
-         WHERE wm.user_id = ? AND wm.status = 'active' AND w.status = 'active'
-         ORDER BY wm.joined_at DESC
-         LIMIT 1`,
-        [user.id]
-      );
-      if (memberships.length > 0) {
-        workspaceContext = memberships[0];
-        user.workspace_id = workspaceContext.id;
-      }
-    }
-
-    // Enforce trial/subscription: block if trial expired and no subscription
-    if (!user.is_super_admin && workspaceContext) {
-      const access = isWorkspaceAccessAllowed(workspaceContext);
-      if (!access.allowed && access.reason === 'trial_expired') {
-        return res.status(403).json({
-          success: false,
-          message: 'Your free trial has ended. Please upgrade or contact sales to continue.',
-          code: 'TRIAL_EXPIRED',
-          trial_ends_at: access.trial_ends_at,
-        });
-      }
+    // Until enrolment is done, only /api/auth (profile, 2FA setup, logout) is reachable
+    if (user.twoFactorSetupRequired && req.baseUrl !== '/api/auth') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your workspace requires two-factor authentication. Please set it up in Settings to continue.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
     }
 
     // Add user, permissions, and workspace context to request object
     req.user = user;
-    req.user.permissions = permissions;
-    req.user.workspace = workspaceContext;
-    req.user.workspaceId = workspaceContext ? workspaceContext.id : null;
-    req.user.isSuperAdmin = user.is_super_admin === true || user.is_super_admin === 1;
+    // Token claims (jti, sid, exp) are needed by logout
+    req.tokenPayload = decoded;
+    if (apiToken) {
+      req.apiToken = user.apiToken;
+      touchApiToken(apiToken.id, req);
+    }
     
     next();
   } catch (error) {
@@ -168,7 +288,8 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        message: 'Token expired'
+        message: 'Token expired',
+        code: 'TOKEN_EXPIRED'
       });
     }
 
@@ -190,7 +311,8 @@ const authorizeRoles = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    // Role checks are not covered by API token scopes
+    if (!roles.includes(req.user.role) || req.user.apiToken) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
@@ -201,6 +323,18 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+// Check a single permission on a resolved user (super admin and legacy admin role have all permissions).
+// Requests made with an API token are also limited to the token's scopes.
+const userHasPermission = (user, module, action) => {
+  if (!user) return false;
+  if (user.apiToken && !user.apiToken.scopes.includes(`${module}:${action}`)) return false;
+  if (user.is_super_admin || user.isSuperAdmin) return true;
+  if (user.role === 'admin') return true;
+  return Boolean(user.permissions?.some(
+    perm => perm.module === module && perm.action === action
+  ));
+};
+
 // Permission-based authorization middleware
 const authorizePermission = (module, action) => {
   return (req, res, next) => {
@@ -211,22 +345,7 @@ const authorizePermission = (module, action) => {
       });
     }
 
-    // Super admin always has all permissions
-    if (req.user.is_super_admin || req.user.isSuperAdmin) {
-      return next();
-    }
-    
-    // Legacy: Admin role also has all permissions (backward compatibility)
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
-    // Check if user has the required permission
-    const hasPermission = req.user.permissions?.some(
-      perm => perm.module === module && perm.action === action
-    );
-
-    if (!hasPermission) {
+    if (!userHasPermission(req.user, module, action)) {
       return res.status(403).json({
         success: false,
         message: `Insufficient permissions: ${module}.${action} required`
@@ -247,21 +366,10 @@ const authorizeAnyPermission = (...permissions) => {
       });
     }
 
-    // Super admin always has all permissions
-    if (req.user.is_super_admin || req.user.isSuperAdmin) {
-      return next();
-    }
-    
-    // Legacy: Admin role also has all permissions (backward compatibility)
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
     // Check if user has at least one of the required permissions
+    // (super admin and legacy admin role pass; API tokens are limited to their scopes)
     const hasAnyPermission = permissions.some(([module, action]) =>
-      req.user.permissions?.some(
-        perm => perm.module === module && perm.action === action
-      )
+      userHasPermission(req.user, module, action)
     );
 
     if (!hasAnyPermission) {
@@ -281,24 +389,16 @@ const adminOnly = authorizeRoles('admin');
 // Manager and admin middleware
 const managerAndAdmin = authorizeRoles('admin', 'manager');
 
-// Generate JWT token with workspace context
-const generateToken = async (userId, workspaceId = null) => {
-  const payload = { userId };
-  
-  // Include workspace_id in token if not super admin
-  if (workspaceId) {
-    payload.workspaceId = workspaceId;
-  }
-  
-  return jwt.sign(
-    payload,
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Generate a short-lived access token with workspace context.
+// Logins should use createSession (utils/sessionTokens) so the token comes with a refresh token.
+const generateToken = async (userId, workspaceId = null, sessionId = null) => {
+  return signAccessToken(userId, workspaceId, sessionId);
 };
 
 module.exports = {
   authenticateToken,
+  resolveAuthContext,
+  userHasPermission,
   authorizeRoles,
   authorizePermission,
   authorizeAnyPermission,
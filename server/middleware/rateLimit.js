@@ -0,0 +1,219 @@
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Per-IP and per-account throttling for public / credential endpoints
+ * (login, 2FA, forgot password, resend verification, public inquiries, public share and pay links).
+ * - Hard limits (express-rate-limit) answer 429 once a window is used up.
+ * - Progressive delay slows every further failed attempt down (0.5s, 1s, 2s, ... up to 10s) before it is
+ *   processed, so guessing gets slower long before the hard limit or the account lockout
+ *   (utils/loginSecurity.js) is reached.
+ * Counters are kept in memory, per server instance. IPs come from req.ip, so behind a reverse proxy TRUST_PROXY
+ * must be set (server/index.js); express-rate-limit logs a warning when it sees X-Forwarded-For from an untrusted hop.
+ */
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+const LOGIN_RATE_LIMIT_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 20;
+
+const getIpKey = (req) => `ip:${req.ip || 'unknown'}`;
+
+const getAccountKey = (value) => {
+  const normalized = String(value || '').trim().toLowerCase();
+  return normalized ? `account:${normalized}` : null;
+};
+
+// Same body shape as every other API error; Retry-After is also sent as a header
+const rateLimitHandler = (req, res, next, options) => {
+  const resetTime = req.rateLimit && req.rateLimit.resetTime;
+  const retryAfter = resetTime
+    ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+    : Math.ceil(options.windowMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(options.statusCode).json({
+    success: false,
+    message: options.message,
+    code: 'RATE_LIMITED',
+    retry_after: retryAfter,
+  });
+};
+
+/**
+ * Create a hard limiter
+ * @param {Object} options - { windowMs, limit, message, keyGenerator, skipSuccessfulRequests }
+ */
+const createLimiter = ({ keyGenerator = getIpKey, ...options }) => rateLimit({
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: rateLimitHandler,
+  // Requests without the keyed field (e.g. no email in body) fall through to validation
+  skip: (req) => keyGenerator(req) === null,
+  keyGenerator,
+  ...options,
+});
+
+/**
+ * Create a progressive delay middleware
+ * @param {Object} options
+ * @param {number} options.windowMs - How long attempts are remembered
+ * @param {number} options.delayAfter - Attempts allowed without delay
+ * @param {number} options.delayMs - First delay; doubles with every further attempt
+ * @param {number} options.maxDelayMs - Delay cap
+ * @param {Function} options.keyGenerator - (req) => key or array of keys; the busiest key sets the delay
+ * @param {boolean} options.skipSuccessfulRequests - Only count responses with status >= 400
+ */
+const createProgressiveDelay = ({
+  windowMs,
+  delayAfter,
+  delayMs,
+  maxDelayMs,
+  keyGenerator = getIpKey,
+  skipSuccessfulRequests = false,
+}) => {
+  const hits = new Map();
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  if (pruneTimer.unref) pruneTimer.unref();
+
+  const getCount = (key) => {
+    const entry = hits.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return 0;
+    return entry.count;
+  };
+
+  const increment = (key) => {
+    const now = Date.now();
+    const entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      hits.set(key, { count: 1, resetAt: now + windowMs });
+    } else {
+      entry.count += 1;
+    }
+  };
+
+  return (req, res, next) => {
+    const keys = [].concat(keyGenerator(req)).filter(Boolean);
+    if (keys.length === 0) return next();
+
+    if (skipSuccessfulRequests) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) keys.forEach(increment);
+      });
+    } else {
+      keys.forEach(increment);
+    }
+
+    // Failures are only counted once the response is known, so include this attempt
+    const count = Math.max(...keys.map(getCount)) + (skipSuccessfulRequests ? 1 : 0);
+    const over = count - delayAfter;
+    if (over <= 0) return next();
+
+    const delay = Math.min(delayMs * (2 ** (over - 1)), maxDelayMs);
+    setTimeout(next, delay);
+  };
+};
+
+// Login and 2FA: failed attempts only, per IP and per username/email
+const loginLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: LOGIN_RATE_LIMIT_MAX,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed login attempts from this network. Please try again later.',
+});
+
+const loginDelay = createProgressiveDelay({
+  windowMs: FIFTEEN_MINUTES,
+  delayAfter: 3,
+  delayMs: 500,
+  maxDelayMs: 10000,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => [getIpKey(req), getAccountKey(req.body && req.body.username)],
+});
+
+// Forgot password / resend verification send emails: limit per IP and per target address
+const createEmailLimiters = (message) => [
+  createLimiter({ windowMs: ONE_HOUR, limit: 10, message }),
+  createLimiter({
+    windowMs: ONE_HOUR,
+    limit: 3,
+    message,
+    keyGenerator: (req) => getAccountKey(req.body && req.body.email),
+  }),
+];
+
+const forgotPasswordLimiter = createEmailLimiters('Too many password reset requests. Please try again later.');
+
+const resendVerificationLimiter = createEmailLimiters('Too many verification email requests. Please try again later.');
+
+// Public marketing-site form
+const inquiryLimiter = createLimiter({
+  windowMs: ONE_HOUR,
+  limit: 5,
+  message: 'Too many inquiries submitted. Please try again later.',
+});
+
+// Public share links: failed attempts (wrong passphrase, dead links) per IP, and per link for passphrase guessing
+const shareLinkLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 30,
+  skipSuccessfulRequests: true,
+  message: 'Too many attempts. Please try again later.',
+});
+
+const shareLinkDelay = createProgressiveDelay({
+  windowMs: FIFTEEN_MINUTES,
+  delayAfter: 3,
+  delayMs: 500,
+  maxDelayMs: 10000,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => [getIpKey(req), req.params && req.params.token ? `share:${req.params.token}` : null],
+});
+
+// Public pay links: unknown tokens per IP, and checkouts per IP (each one opens a session at the gateway)
+const payLinkLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 30,
+  skipSuccessfulRequests: true,
+  message: 'Too many attempts. Please try again later.',
+});
+
+const payCheckoutLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  message: 'Too many payment attempts. Please try again later.',
+});
+
+// Public quotation acceptance links: unknown tokens per IP, and accept/decline answers per IP
+const quoteLinkLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 30,
+  skipSuccessfulRequests: true,
+  message: 'Too many attempts. Please try again later.',
+});
+
+const quoteResponseLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  message: 'Too many attempts. Please try again later.',
+});
+
+module.exports = {
+  createLimiter,
+  createProgressiveDelay,
+  loginLimiter,
+  loginDelay,
+  forgotPasswordLimiter,
+  resendVerificationLimiter,
+  inquiryLimiter,
+  shareLinkLimiter,
+  shareLinkDelay,
+  payLinkLimiter,
+  payCheckoutLimiter,
+  quoteLinkLimiter,
+  quoteResponseLimiter,
+};
@@ -87,13 +87,7 @@ const workspaceContext = async (req, res, next) => {
 
     const workspace = workspaces[0];
 
-    if (workspace.status !== 'active') {
-      return res.status(403).json({
-        success: false,
-        message: 'Workspace is not active'
-      });
-    }
-
+    // Trial first: workspaces suspended by the trial expiry job still get the upgrade message
     const access = isWorkspaceAccessAllowed(workspace);
     if (!access.allowed && access.reason === 'trial_expired') {
       return res.status(403).json({
@@ -104,6 +98,13 @@ const workspaceContext = async (req, res, next) => {
       });
     }
 
+    if (workspace.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Workspace is not active'
+      });
+    }
+
     // Add workspace filter to request
     req.workspaceFilter = {
       column: 'workspace_id',
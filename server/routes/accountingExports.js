@@ -0,0 +1,323 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { body, validationResult, query: validatorQuery } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { workspaceContext } = require('../middleware/workspaceContext');
+const { hasCreditNoteSchema } = require('../utils/creditNotes');
+const {
+  EXPORT_FORMATS,
+  DOCUMENT_TYPES,
+  LEDGER_DEFAULTS,
+  LEDGER_KEYS,
+  MAX_LEDGER_LENGTH,
+  CONTENT_TYPES,
+  hasAccountingExportSchema,
+  getAccountingSettings,
+  saveAccountingSettings,
+  collectAccountingEntries,
+  createAccountingExport,
+} = require('../utils/accountingExport');
+
+// Accounting exports of invoices, payments, credit notes and refunds for Tally, QuickBooks or any double-entry
+// ledger (utils/accountingExport.js). Part of reporting: everything needs reports view.
+
+router.use(authenticateToken);
+router.use(workspaceContext);
+
+const canExport = authorizePermission('reports', 'view');
+
+const getWorkspaceId = (req) => req.workspaceId || req.workspaceFilter?.value || req.user?.workspace_id || req.user?.workspaceId || null;
+
+const validatePeriod = (location) => [
+  location('start_date').isISO8601().withMessage('Start date must be a valid date'),
+  location('end_date').isISO8601().withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      const startDate = (location === body ? req.body : req.query).start_date;
+      return !startDate || String(value).substring(0, 10) >= String(startDate).substring(0, 10);
+    })
+    .withMessage('End date must be on or after the start date'),
+  location('include_exported').optional().isBoolean().withMessage('Include exported must be true or false'),
+];
+
+const validateSettings = [
+  body('ledgers').optional().isObject().withMessage('Ledgers must be an object'),
+  ...LEDGER_KEYS.map((key) => body(`ledgers.${key}`).optional({ nullable: true }).isString().trim()
+    .isLength({ max: MAX_LEDGER_LENGTH }).withMessage(`Ledger names must be at most ${MAX_LEDGER_LENGTH} characters`)),
+  body('payment_method_ledgers').optional({ nullable: true }).isObject().withMessage('Payment method ledgers must be an object'),
+  body('use_client_ledgers').optional().isBoolean().withMessage('Use client ledgers must be true or false'),
+  body('tally_company').optional({ nullable: true }).isString().trim().isLength({ max: 255 }).withMessage('Tally company must be at most 255 characters'),
+];
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Accounting exports are not available. Please run the migration (029_accounting_exports.sql).'
+});
+
+const isMissingSchemaError = (error) => error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Workspace of the request, schema checked; sends the error response and returns null otherwise
+const requireExportWorkspace = async (req, res) => {
+  if (!(await hasAccountingExportSchema())) {
+    missingSchemaResponse(res);
+    return null;
+  }
+  const workspaceId = getWorkspaceId(req);
+  if (!workspaceId) {
+    res.status(400).json({ success: false, message: 'Workspace context required for accounting exports' });
+    return null;
+  }
+  return workspaceId;
+};
+
+// Period options from the query string or body; credit notes and refunds only once migration 024 is applied
+const getPeriodOptions = async (values, workspaceId) => {
+  const creditNotesReady = await hasCreditNoteSchema();
+  return {
+    workspaceId,
+    startDate: String(values.start_date).substring(0, 10),
+    endDate: String(values.end_date).substring(0, 10),
+    types: DOCUMENT_TYPES.filter((type) => creditNotesReady || !['credit_note', 'refund'].includes(type)),
+    includeExported: values.include_exported === true || values.include_exported === 'true',
+  };
+};
+
+const findExport = async (id, workspaceId, columns = 'ae.*') => {
+  const rows = await dbQuery(
+    `SELECT ${columns}, u.full_name as created_by_name
+     FROM accounting_exports ae
+     LEFT JOIN users u ON ae.created_by = u.id
+     WHERE ae.id = ? AND ae.workspace_id = ?`,
+    [id, workspaceId]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const EXPORT_COLUMNS = `ae.id, ae.format, ae.start_date, ae.end_date, ae.base_currency, ae.invoice_count, ae.payment_count,
+  ae.credit_note_count, ae.refund_count, ae.file_name, ae.created_by, ae.created_at`;
+
+// Ledger mappings of the workspace (defaults filled in)
+router.get('/settings', canExport, async (req, res) => {
+  try {
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    res.json({
+      success: true,
+      data: {
+        settings: await getAccountingSettings(workspaceId),
+        defaults: LEDGER_DEFAULTS,
+        formats: EXPORT_FORMATS,
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching accounting settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accounting settings'
+    });
+  }
+});
+
+// Save ledger mappings; blank ledger names go back to the defaults
+router.put('/settings', canExport, validateSettings, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    const settings = await saveAccountingSettings(workspaceId, req.body, req.user.id);
+    res.json({
+      success: true,
+      message: 'Ledger mappings saved successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error saving accounting settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save ledger mappings'
+    });
+  }
+});
+
+// What an export of the period would contain, without recording anything
+router.get('/preview', canExport, validatePeriod(validatorQuery), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    const entries = await collectAccountingEntries(await getPeriodOptions(req.query, workspaceId));
+    res.json({
+      success: true,
+      data: {
+        base_currency: entries.baseCurrency,
+        counts: entries.counts,
+        voucher_count: entries.vouchers.length,
+        already_exported: entries.alreadyExported,
+        skipped: entries.skipped,
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error previewing accounting export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview accounting export'
+    });
+  }
+});
+
+// Past exports, newest first (without the file content)
+router.get('/', canExport, [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const exports = await dbQuery(
+      `SELECT ${EXPORT_COLUMNS}, u.full_name as created_by_name
+       FROM accounting_exports ae
+       LEFT JOIN users u ON ae.created_by = u.id
+       WHERE ae.workspace_id = ?
+       ORDER BY ae.created_at DESC, ae.id DESC
+       LIMIT ? OFFSET ?`,
+      [workspaceId, limit, offset]
+    );
+    const countResult = await dbQuery('SELECT COUNT(*) as total FROM accounting_exports WHERE workspace_id = ?', [workspaceId]);
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        exports,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching accounting exports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accounting exports'
+    });
+  }
+});
+
+// Export the period's documents that no earlier export included (all of them with include_exported)
+router.post('/', canExport, [
+  body('format').isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  ...validatePeriod(body),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    const result = await createAccountingExport({
+      ...(await getPeriodOptions(req.body, workspaceId)),
+      format: req.body.format,
+      userId: req.user.id,
+    });
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to export: the period has no documents that were not exported already'
+      });
+    }
+
+    const record = await findExport(result.id, workspaceId, EXPORT_COLUMNS);
+    res.status(201).json({
+      success: true,
+      message: 'Accounting export created successfully',
+      data: { export: record, skipped: result.skipped }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error creating accounting export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create accounting export'
+    });
+  }
+});
+
+// Download the file of an export
+router.get('/:id/download', canExport, async (req, res) => {
+  try {
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    const record = await findExport(req.params.id, workspaceId);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accounting export not found'
+      });
+    }
+
+    res.setHeader('Content-Type', `${CONTENT_TYPES[record.format] || 'text/plain'}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${record.file_name}"`);
+    res.send(record.content);
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error downloading accounting export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download accounting export'
+    });
+  }
+});
+
+// Delete an export; its documents are included in the next export again
+router.delete('/:id', canExport, async (req, res) => {
+  try {
+    const workspaceId = await requireExportWorkspace(req, res);
+    if (!workspaceId) return;
+
+    const record = await findExport(req.params.id, workspaceId, 'ae.id');
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Accounting export not found'
+      });
+    }
+
+    await dbQuery('DELETE FROM accounting_exports WHERE id = ?', [record.id]);
+    res.json({
+      success: true,
+      message: 'Accounting export deleted; its documents will be exported again'
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error deleting accounting export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete accounting export'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, userHasPermission } = require('../middleware/auth');
+const { query: dbQuery } = require('../config/database');
+const {
+  MAX_EXPIRY_DAYS,
+  MAX_ACTIVE_TOKENS,
+  generateApiToken,
+  hashApiToken,
+  parseScopes,
+} = require('../utils/apiTokens');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Tokens are managed from an interactive session only, so a leaked token cannot mint new ones.
+// Every query filters by user_id = req.user.id: users only see and revoke their own tokens.
+router.use((req, res, next) => {
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be managed with an API token',
+      code: 'API_TOKEN_NOT_ALLOWED'
+    });
+  }
+  if (req.user.isSuperAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens are not available for super admin accounts'
+    });
+  }
+  next();
+});
+
+const missingTableResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'API tokens are not available. Please run the migration (013_api_tokens.sql).'
+});
+
+// Reject invalid ids (e.g. 0)
+const parseTokenId = (idParam) => {
+  const n = parseInt(idParam, 10);
+  if (Number.isNaN(n) || n < 1) return null;
+  return n;
+};
+
+const getTokenStatus = (row) => {
+  if (row.revoked_at) return 'revoked';
+  if (new Date(row.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+// Permissions the current user may grant to a token (their own, from the permissions table)
+const getGrantableScopes = async (user) => {
+  const permissions = await dbQuery(
+    'SELECT module, action, description FROM permissions ORDER BY module, action'
+  );
+  return permissions
+    .filter((perm) => userHasPermission(user, perm.module, perm.action))
+    .map((perm) => ({
+      scope: `${perm.module}:${perm.action}`,
+      module: perm.module,
+      action: perm.action,
+      description: perm.description
+    }));
+};
+
+// List the current user's tokens (the token itself is never returned after creation)
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await dbQuery(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at
+       FROM api_tokens
+       WHERE user_id = ?
+       ORDER BY revoked_at IS NULL DESC, created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        tokens: tokens.map((row) => ({
+          ...row,
+          scopes: parseScopes(row.scopes),
+          status: getTokenStatus(row)
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return missingTableResponse(res);
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API tokens'
+    });
+  }
+});
+
+// Scopes available for new tokens
+router.get('/scopes', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        scopes: await getGrantableScopes(req.user),
+        max_expiry_days: MAX_EXPIRY_DAYS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching API token scopes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch API token scopes'
+    });
+  }
+});
+
+// Create a token; the plain token is only returned in this response
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('Select at least one permission'),
+  body('scopes.*').isString().matches(/^[a-z_]+:[a-z_]+$/).withMessage('Scopes must look like "module:action"'),
+  body('expires_in_days').isInt({ min: 1, max: MAX_EXPIRY_DAYS }).withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const scopes = [...new Set(req.body.scopes)];
+    const grantable = new Set((await getGrantableScopes(req.user)).map((s) => s.scope));
+    const notAllowed = scopes.filter((scope) => !grantable.has(scope));
+    if (notAllowed.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not have: ${notAllowed.join(', ')}`
+      });
+    }
+
+    const [activeCount] = await dbQuery(
+      'SELECT COUNT(*) as total FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [req.user.id]
+    );
+    if (parseInt(activeCount.total, 10) >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_TOKENS} active API tokens. Revoke one first.`
+      });
+    }
+
+    const { token, prefix } = generateApiToken();
+    const expiresAt = new Date(Date.now() + parseInt(req.body.expires_in_days, 10) * 24 * 60 * 60 * 1000);
+
+    const result = await dbQuery(
+      `INSERT INTO api_tokens (user_id, workspace_id, name, token_hash, token_prefix, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.id, req.user.workspaceId || null, req.body.name, hashApiToken(token), prefix, JSON.stringify(scopes), expiresAt]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      data: {
+        id: result.insertId,
+        name: req.body.name,
+        token,
+        token_prefix: prefix,
+        scopes,
+        expires_at: expiresAt
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return missingTableResponse(res);
+    console.error('Error creating API token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API token'
+    });
+  }
+});
+
+// Revoke a token
+router.delete('/:id', async (req, res) => {
+  try {
+    const tokenId = parseTokenId(req.params.id);
+    if (tokenId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    const result = await dbQuery(
+      'UPDATE api_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [tokenId, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return missingTableResponse(res);
+    console.error('Error revoking API token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API token'
+    });
+  }
+});
+
+module.exports = router;
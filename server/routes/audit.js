@@ -0,0 +1,185 @@
+const express = require('express');
+const { query: validatorQuery, validationResult } = require('express-validator');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { query: dbQuery } = require('../config/database');
+const { getWorkspaceFilter } = require('../utils/dataFiltering');
+const { workspaceContext } = require('../middleware/workspaceContext');
+const { AUDITED_TABLES } = require('../utils/auditLogger');
+
+const router = express.Router();
+
+// Apply authentication and workspace context to all routes
+router.use(authenticateToken);
+router.use(workspaceContext);
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Audit log is not available. Please run the migration (014_activity_logs_workspace.sql).'
+});
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Audit trail, newest first. Workspace members see their workspace's entries; super admin sees all.
+router.get('/', authorizePermission('audit', 'view'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validatorQuery('table_name').optional({ checkFalsy: true }).isIn(AUDITED_TABLES).withMessage('Invalid entity type'),
+  validatorQuery('record_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid record ID is required'),
+  validatorQuery('user_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid user ID is required'),
+  validatorQuery('action').optional().isString().isLength({ max: 100 }).withMessage('Action must be a string'),
+  validatorQuery('date_from').optional({ checkFalsy: true }).isISO8601().withMessage('Valid start date is required'),
+  validatorQuery('date_to').optional({ checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
+  validatorQuery('search').optional().isString().withMessage('Search must be a string'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const offset = (page - 1) * limit;
+
+    const ws = getWorkspaceFilter(req, 'al', 'workspace_id');
+    let whereClause = 'WHERE 1=1' + ws.whereClause;
+    const whereParams = [...ws.whereParams];
+
+    if (req.query.table_name) {
+      whereClause += ' AND al.table_name = ?';
+      whereParams.push(req.query.table_name);
+    }
+
+    if (req.query.record_id) {
+      whereClause += ' AND al.record_id = ?';
+      whereParams.push(req.query.record_id);
+    }
+
+    if (req.query.user_id) {
+      whereClause += ' AND al.user_id = ?';
+      whereParams.push(req.query.user_id);
+    }
+
+    if (req.query.action) {
+      whereClause += ' AND al.action = ?';
+      whereParams.push(req.query.action);
+    }
+
+    if (req.query.date_from) {
+      whereClause += ' AND al.created_at >= ?';
+      whereParams.push(req.query.date_from);
+    }
+
+    if (req.query.date_to) {
+      // Inclusive end date
+      whereClause += ' AND al.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+      whereParams.push(req.query.date_to);
+    }
+
+    if (req.query.search) {
+      whereClause += ' AND (u.full_name LIKE ? OR u.email LIKE ? OR al.ip_address LIKE ? OR al.old_values LIKE ? OR al.new_values LIKE ?)';
+      const searchTerm = `%${req.query.search}%`;
+      whereParams.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+
+    const entries = await dbQuery(
+      `SELECT al.id, al.user_id, al.workspace_id, al.action, al.table_name, al.record_id,
+              al.old_values, al.new_values, al.ip_address, al.user_agent, al.created_at,
+              u.full_name as user_name, u.email as user_email
+       FROM activity_logs al
+       LEFT JOIN users u ON al.user_id = u.id
+       ${whereClause}
+       ORDER BY al.created_at DESC, al.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total
+       FROM activity_logs al
+       LEFT JOIN users u ON al.user_id = u.id
+       ${whereClause}`,
+      whereParams
+    );
+
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map((entry) => ({
+          ...entry,
+          old_values: parseJson(entry.old_values),
+          new_values: parseJson(entry.new_values)
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') return missingSchemaResponse(res);
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Values for the filter dropdowns
+router.get('/filters', authorizePermission('audit', 'view'), async (req, res) => {
+  try {
+    const ws = getWorkspaceFilter(req, 'al', 'workspace_id');
+    const whereClause = 'WHERE 1=1' + ws.whereClause;
+
+    const actions = await dbQuery(
+      `SELECT DISTINCT al.action FROM activity_logs al ${whereClause} ORDER BY al.action`,
+      ws.whereParams
+    );
+    const users = await dbQuery(
+      `SELECT DISTINCT u.id, u.full_name, u.email
+       FROM activity_logs al
+       INNER JOIN users u ON al.user_id = u.id
+       ${whereClause}
+       ORDER BY u.full_name`,
+      ws.whereParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        tables: AUDITED_TABLES,
+        actions: actions.map((row) => row.action),
+        users
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') return missingSchemaResponse(res);
+    console.error('Error fetching audit log filters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log filters'
+    });
+  }
+});
+
+module.exports = router;
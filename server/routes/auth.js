@@ -3,7 +3,43 @@ const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const { query, transaction } = require('../config/database');
-const { authenticateToken, generateToken } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  signAccessToken,
+  getExpiresIn,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserSessions,
+} = require('../utils/sessionTokens');
+const { disconnectUser } = require('../utils/realtime');
+const QRCode = require('qrcode');
+const { generateSecret, buildOtpauthUri, encryptSecret } = require('../utils/totp');
+const {
+  getTwoFactorState,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifyUserTotp,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  clearTwoFactor,
+  isMissingSchemaError,
+} = require('../utils/twoFactor');
+const {
+  getLockoutState,
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  getLockedResponse,
+} = require('../utils/loginSecurity');
+const {
+  loginLimiter,
+  loginDelay,
+  forgotPasswordLimiter,
+  resendVerificationLimiter,
+} = require('../middleware/rateLimit');
 const { generateUniqueSlug, getUserWorkspaceContext, isWorkspaceAccessAllowed } = require('../utils/workspaceUtils');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/email');
 
@@ -15,8 +51,90 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+// Trial/subscription gate shared by login, 2FA login and refresh; returns the 403 body or null
+const getTrialExpiredResponse = (workspaceContext) => {
+  if (!workspaceContext) return null;
+  const access = isWorkspaceAccessAllowed({
+    subscription_id: workspaceContext.subscription_id,
+    trial_ends_at: workspaceContext.trial_ends_at,
+  });
+  if (!access.allowed && access.reason === 'trial_expired') {
+    return {
+      success: false,
+      message: 'Your free trial has ended. Please upgrade or contact sales to continue.',
+      code: 'TRIAL_EXPIRED',
+      trial_ends_at: access.trial_ends_at,
+    };
+  }
+  return null;
+};
+
+// Finish a login (after password, and 2FA when enabled): record it, start a session and build the response
+const completeLogin = async (req, user, workspaceContext) => {
+  // Update last login
+  await query(
+    'UPDATE users SET last_login = NOW() WHERE id = ?',
+    [user.id]
+  );
+  await clearFailedLogins(user.id);
+  await recordLoginAttempt(req, { identifier: user.username || user.email, userId: user.id, success: true });
+
+  // Start a server-side session: short-lived access token + rotating refresh token
+  const { token, refreshToken, expiresIn } = await createSession(
+    user.id,
+    workspaceContext ? workspaceContext.workspace_id : null,
+    req
+  );
+
+  // Remove password and 2FA secrets from response
+  const {
+    password: _,
+    two_factor_secret: _secret,
+    two_factor_last_step: _lastStep,
+    failed_login_count: _failedCount,
+    locked_until: _lockedUntil,
+    ...userWithoutPassword
+  } = user;
+
+  // Prepare response with workspace info (include trial/subscription status for UI)
+  const workspacePayload = workspaceContext ? {
+    id: workspaceContext.workspace_id,
+    name: workspaceContext.workspace_name,
+    slug: workspaceContext.workspace_slug,
+    role: workspaceContext.workspace_role,
+    trial_ends_at: workspaceContext.trial_ends_at || null,
+    subscription_id: workspaceContext.subscription_id || null,
+    trial_active: isWorkspaceAccessAllowed({
+      subscription_id: workspaceContext.subscription_id,
+      trial_ends_at: workspaceContext.trial_ends_at,
+    }).allowed,
+  } : null;
+
+  return {
+    user: {
+      ...userWithoutPassword,
+      is_super_admin: user.is_super_admin === true || user.is_super_admin === 1,
+      email_verified: user.email_verified === true || user.email_verified === 1,
+      two_factor_enabled: Boolean(user.two_factor_enabled)
+    },
+    token,
+    refreshToken,
+    expiresIn,
+    workspace: workspacePayload,
+  };
+};
+
+// Compared against for unknown usernames, so they take as long to refuse as a wrong password
+let dummyPasswordHash = null;
+const getDummyPasswordHash = async () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+  }
+  return dummyPasswordHash;
+};
+
 // Login route
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', loginLimiter, loginDelay, loginValidation, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -36,29 +154,34 @@ router.post('/login', loginValidation, async (req, res) => {
       [username, username]
     );
 
-    if (users.length === 0) {
+    const user = users[0];
+
+    // The password is checked first and every failure gets the same 401, so unknown, locked and
+    // existing accounts look alike; lockout details are only shown to someone who knows the password.
+    // Wrong passwords keep counting while locked, so guessing through a lockout extends it.
+    const isValidPassword = await bcrypt.compare(password, user ? user.password : await getDummyPasswordHash());
+    if (!user) {
+      await recordLoginAttempt(req, { identifier: username, reason: 'unknown_user' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const user = users[0];
-
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordLoginAttempt(req, { identifier: username, userId: user.id, reason: 'invalid_password' });
+      await registerFailedLogin(user.id);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    await query(
-      'UPDATE users SET last_login = NOW() WHERE id = ?',
-      [user.id]
-    );
+    const lockout = getLockoutState(user);
+    if (lockout.locked) {
+      await recordLoginAttempt(req, { identifier: username, userId: user.id, reason: 'account_locked' });
+      return res.status(423).json(getLockedResponse(lockout.lockedUntil));
+    }
 
     // Check email verification (if not super admin)
     if (!user.is_super_admin && !user.email_verified) {
@@ -73,50 +196,24 @@ router.post('/login', loginValidation, async (req, res) => {
     const workspaceContext = await getUserWorkspaceContext(user.id);
 
     // Block login if workspace trial expired and no subscription
-    if (workspaceContext) {
-      const access = isWorkspaceAccessAllowed({
-        subscription_id: workspaceContext.subscription_id,
-        trial_ends_at: workspaceContext.trial_ends_at,
+    const trialExpired = getTrialExpiredResponse(workspaceContext);
+    if (trialExpired) {
+      return res.status(403).json(trialExpired);
+    }
+
+    // Second step required: hand out a short-lived challenge instead of a session
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requires_two_factor: true,
+          two_factor_token: signTwoFactorChallenge(user.id)
+        }
       });
-      if (!access.allowed && access.reason === 'trial_expired') {
-        return res.status(403).json({
-          success: false,
-          message: 'Your free trial has ended. Please upgrade or contact sales to continue.',
-          code: 'TRIAL_EXPIRED',
-          trial_ends_at: access.trial_ends_at,
-        });
-      }
     }
 
-    // Generate token with workspace context
-    const token = await generateToken(user.id, workspaceContext ? workspaceContext.workspace_id : null);
-
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
-
-    // Prepare response with workspace info (include trial/subscription status for UI)
-    const workspacePayload = workspaceContext ? {
-      id: workspaceContext.workspace_id,
-      name: workspaceContext.workspace_name,
-      slug: workspaceContext.workspace_slug,
-      role: workspaceContext.workspace_role,
-      trial_ends_at: workspaceContext.trial_ends_at || null,
-      subscription_id: workspaceContext.subscription_id || null,
-      trial_active: isWorkspaceAccessAllowed({
-        subscription_id: workspaceContext.subscription_id,
-        trial_ends_at: workspaceContext.trial_ends_at,
-      }).allowed,
-    } : null;
-
-    const responseData = {
-      user: {
-        ...userWithoutPassword,
-        is_super_admin: user.is_super_admin === true || user.is_super_admin === 1,
-        email_verified: user.email_verified === true || user.email_verified === 1
-      },
-      token,
-      workspace: workspacePayload,
-    };
+    const responseData = await completeLogin(req, user, workspaceContext);
 
     res.json({
       success: true,
@@ -135,6 +232,85 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Login step 2: exchange the challenge token and a TOTP or recovery code for a session
+router.post('/login/2fa', loginLimiter, loginDelay, [
+  body('two_factor_token').notEmpty().withMessage('Two-factor token is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(req.body.two_factor_token);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your sign-in attempt has expired. Please log in again.',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const users = await query('SELECT * FROM users WHERE id = ? AND is_active = 1', [userId]);
+    if (users.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    const user = users[0];
+
+    // The challenge is only issued after the correct password, so lockout details may be shown here
+    const lockout = getLockoutState(user);
+    if (lockout.locked) {
+      await recordLoginAttempt(req, { identifier: user.username || user.email, userId: user.id, reason: 'account_locked' });
+      return res.status(423).json(getLockedResponse(lockout.lockedUntil));
+    }
+
+    const verification = await verifySecondFactor(user.id, req.body.code);
+    if (!verification.valid) {
+      await recordLoginAttempt(req, { identifier: user.username || user.email, userId: user.id, reason: 'invalid_two_factor' });
+      const failure = await registerFailedLogin(user.id);
+      if (failure.locked) {
+        return res.status(423).json(getLockedResponse(failure.lockedUntil));
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const workspaceContext = await getUserWorkspaceContext(user.id);
+    const trialExpired = getTrialExpiredResponse(workspaceContext);
+    if (trialExpired) {
+      return res.status(403).json(trialExpired);
+    }
+
+    const responseData = await completeLogin(req, user, workspaceContext);
+    if (verification.method === 'recovery') {
+      responseData.recovery_codes_remaining = await countRecoveryCodes(user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: responseData
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
 // Get current user profile with permissions
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -186,6 +362,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
     // Ensure boolean values
     userData.is_super_admin = userData.is_super_admin === true || userData.is_super_admin === 1;
     userData.email_verified = userData.email_verified === true || userData.email_verified === 1;
+    userData.two_factor_enabled = Boolean(req.user.two_factor_enabled);
+    userData.two_factor_setup_required = Boolean(req.user.twoFactorSetupRequired);
 
     res.json({
       success: true,
@@ -412,9 +590,19 @@ router.put('/change-password', authenticateToken, [
       [hashedPassword, req.user.id]
     );
 
+    // Sign out every other device, then give this device a fresh session
+    await revokeAllUserSessions(req.user.id, 'password_change');
+    disconnectUser(req.user.id);
+    const session = await createSession(req.user.id, req.user.workspaceId, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other devices have been signed out.',
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -426,8 +614,247 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
+// Two-factor authentication status for the current user
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const users = await query(
+      'SELECT two_factor_enabled, two_factor_enabled_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const state = await getTwoFactorState(req.user.id, req.user.workspaceId);
+    const enabled = Boolean(users[0] && users[0].two_factor_enabled);
+
+    res.json({
+      success: true,
+      data: {
+        enabled,
+        enabled_at: enabled ? users[0].two_factor_enabled_at : null,
+        required_by_workspace: state.required,
+        recovery_codes_remaining: enabled ? await countRecoveryCodes(req.user.id) : 0
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      return res.status(501).json({
+        success: false,
+        message: 'Two-factor authentication is not available. Please run the migration (011_two_factor_auth.sql).'
+      });
+    }
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// Start enrolment: generate a secret and QR code (2FA is not active until /2fa/enable verifies a code)
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const users = await query('SELECT email, two_factor_enabled FROM users WHERE id = ?', [req.user.id]);
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (users[0].two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    const issuer = process.env.APP_NAME || 'Client Management System';
+    const otpauthUrl = buildOtpauthUri(secret, users[0].email, issuer);
+
+    await query(
+      'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+      [encryptSecret(secret), req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_url: otpauthUrl,
+        qr_code: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      return res.status(501).json({
+        success: false,
+        message: 'Two-factor authentication is not available. Please run the migration (011_two_factor_auth.sql).'
+      });
+    }
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Finish enrolment: verify the first code, enable 2FA and issue recovery codes
+router.post('/2fa/enable', authenticateToken, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your authenticator app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const users = await query(
+      'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const user = users[0];
+    if (!user || !user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+    if (user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!(await verifyUserTotp(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code. Check the time on your device and try again.'
+      });
+    }
+
+    await query(
+      'UPDATE users SET two_factor_enabled = 1, two_factor_enabled_at = NOW() WHERE id = ?',
+      [req.user.id]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Turn 2FA off (password + current code or recovery code). Not allowed when the workspace requires 2FA.
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const state = await getTwoFactorState(req.user.id, req.user.workspaceId);
+    if (state.required && !req.user.isSuperAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your workspace requires two-factor authentication, so it cannot be turned off.'
+      });
+    }
+
+    const users = await query('SELECT password FROM users WHERE id = ?', [req.user.id]);
+    const isValidPassword = users.length > 0 && await bcrypt.compare(req.body.password, users[0].password);
+    if (!isValidPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const verification = await verifySecondFactor(req.user.id, req.body.code);
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await clearTwoFactor(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Replace recovery codes (requires a current code); previous codes stop working
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const verification = await verifySecondFactor(req.user.id, req.body.code);
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
 // Forgot password: request reset link (always return generic success to avoid email enumeration)
-router.post('/forgot-password', [
+router.post('/forgot-password', forgotPasswordLimiter, [
   body('email').isEmail().withMessage('Valid email is required')
 ], async (req, res) => {
   try {
@@ -561,6 +988,12 @@ router.post('/reset-password', [
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     await query('UPDATE users SET password = ?, updated_at = NOW() WHERE id = ?', [hashedPassword, resetRow.user_id]);
     await query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?', [resetRow.id]);
+    // Proving ownership of the mailbox lifts a brute-force lockout
+    await clearFailedLogins(resetRow.user_id);
+
+    // Whoever had the old password should not stay signed in
+    await revokeAllUserSessions(resetRow.user_id, 'password_reset');
+    disconnectUser(resetRow.user_id);
 
     return res.status(200).json({
       success: true,
@@ -920,7 +1353,7 @@ router.get('/verify-email', async (req, res) => {
 });
 
 // Resend verification email
-router.post('/resend-verification', [
+router.post('/resend-verification', resendVerificationLimiter, [
   body('email').trim().isEmail().withMessage('Valid email is required')
 ], async (req, res) => {
   try {
@@ -1006,12 +1439,106 @@ router.post('/resend-verification', [
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+    if (rotated.error) {
+      const { status, ...body } = rotated.error;
+      return res.status(status).json({
+        success: false,
+        ...body
+      });
+    }
+
+    const users = await query('SELECT id, is_active, is_super_admin FROM users WHERE id = ?', [rotated.userId]);
+    if (users.length === 0 || !users[0].is_active) {
+      await revokeSession(rotated.sessionId, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Same trial/subscription rule as login
+    const workspaceContext = await getUserWorkspaceContext(rotated.userId);
+    const trialExpired = getTrialExpiredResponse(workspaceContext);
+    if (trialExpired) {
+      return res.status(403).json(trialExpired);
+    }
+
+    const token = signAccessToken(
+      rotated.userId,
+      workspaceContext ? workspaceContext.workspace_id : null,
+      rotated.sessionId
+    );
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token,
+        refreshToken: rotated.refreshToken,
+        expiresIn: getExpiresIn(token)
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+});
+
+// Logout: revoke this access token and its session's refresh token
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeAccessToken(req.tokenPayload);
+    await revokeSession(req.tokenPayload && req.tokenPayload.sid, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Log out everywhere: invalidate every access and refresh token of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllUserSessions(req.user.id, 'logout_all');
+    disconnectUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out from all devices'
+    });
+  }
 });
 
 module.exports = router;
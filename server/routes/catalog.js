@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizeAnyPermission } = require('../middleware/auth');
+const { body, validationResult, query: validatorQuery } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { getWorkspaceFilter } = require('../utils/dataFiltering');
+const { workspaceContext } = require('../middleware/workspaceContext');
+const { getAuditSnapshot, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const { isValidHsnSac } = require('../utils/gst');
+const { CATALOG_ITEM_TYPES } = require('../utils/catalog');
+
+// Products and services catalog for quotation and invoice line items (utils/catalog.js).
+// Anyone who can work with quotations or invoices can use it; used items are archived, not deleted.
+
+router.use(authenticateToken);
+router.use(workspaceContext);
+
+const canView = authorizeAnyPermission(['invoices', 'view'], ['quotations', 'view']);
+const canCreate = authorizeAnyPermission(['invoices', 'create'], ['quotations', 'create']);
+const canEdit = authorizeAnyPermission(['invoices', 'edit'], ['quotations', 'edit']);
+const canDelete = authorizeAnyPermission(['invoices', 'delete'], ['quotations', 'delete']);
+
+const validateCatalogItem = [
+  body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 200 }).withMessage('Name must be at most 200 characters'),
+  body('item_type').optional().isIn(CATALOG_ITEM_TYPES).withMessage(`Type must be one of: ${CATALOG_ITEM_TYPES.join(', ')}`),
+  body('sku').optional({ nullable: true }).trim().isLength({ max: 64 }).withMessage('SKU must be at most 64 characters'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+  body('unit').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Unit must be at most 30 characters'),
+  body('default_price').isFloat({ min: 0 }).withMessage('Default price must be a positive number'),
+  body('hsn_sac').optional({ nullable: true, checkFalsy: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('tax_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('GST rate must be between 0 and 100'),
+  body('is_active').optional().isBoolean().withMessage('Active must be true or false'),
+];
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'The catalog is not available. Please run the migration (027_catalog_items.sql).'
+});
+
+const isMissingSchemaError = (error) => error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const duplicateSkuResponse = (res) => res.status(409).json({
+  success: false,
+  message: 'Another catalog item already has this SKU'
+});
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+// Column values from the request body (empty strings are stored as NULL)
+const getItemValues = (bodyValues) => ({
+  item_type: bodyValues.item_type || 'service',
+  sku: hasValue(bodyValues.sku) ? String(bodyValues.sku).trim() : null,
+  name: String(bodyValues.name).trim(),
+  description: hasValue(bodyValues.description) ? bodyValues.description : null,
+  unit: hasValue(bodyValues.unit) ? String(bodyValues.unit).trim() : null,
+  default_price: parseFloat(bodyValues.default_price),
+  hsn_sac: hasValue(bodyValues.hsn_sac) ? String(bodyValues.hsn_sac).trim() : null,
+  tax_rate: hasValue(bodyValues.tax_rate) ? parseFloat(bodyValues.tax_rate) : null,
+});
+
+const formatItem = (item) => ({ ...item, is_active: Boolean(item.is_active) });
+
+// Load a catalog item in the current workspace, or null
+const findItem = async (req, id) => {
+  const ws = getWorkspaceFilter(req, 'ci', 'workspace_id');
+  const rows = await dbQuery(
+    `SELECT ci.*, u.full_name as created_by_name
+     FROM catalog_items ci
+     LEFT JOIN users u ON ci.created_by = u.id
+     WHERE ci.id = ? ${ws.whereClause}`,
+    [id, ...ws.whereParams]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Number of quotation, invoice and recurring invoice lines that reference the item
+const getItemUsage = async (itemId) => {
+  const rows = await dbQuery(
+    `SELECT
+      (SELECT COUNT(*) FROM quotation_items WHERE catalog_item_id = ?) as quotation_lines,
+      (SELECT COUNT(*) FROM invoice_items WHERE catalog_item_id = ?) as invoice_lines,
+      (SELECT COUNT(*) FROM recurring_invoice_items WHERE catalog_item_id = ?) as recurring_lines`,
+    [itemId, itemId, itemId]
+  );
+  const usage = rows[0];
+  return {
+    quotation_lines: Number(usage.quotation_lines),
+    invoice_lines: Number(usage.invoice_lines),
+    recurring_lines: Number(usage.recurring_lines),
+  };
+};
+
+// List catalog items (line item autocomplete uses ?status=active)
+router.get('/', canView, [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  validatorQuery('search').optional().isString().withMessage('Search must be a string'),
+  validatorQuery('item_type').optional({ checkFalsy: true }).isIn(CATALOG_ITEM_TYPES).withMessage('Valid type is required'),
+  validatorQuery('status').optional({ checkFalsy: true }).isIn(['active', 'archived', 'all']).withMessage('Status must be active, archived or all'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const ws = getWorkspaceFilter(req, 'ci', 'workspace_id');
+    let whereClause = `WHERE 1=1 ${ws.whereClause}`;
+    const whereParams = [...ws.whereParams];
+    const status = req.query.status || 'active';
+    if (status !== 'all') {
+      whereClause += ' AND ci.is_active = ?';
+      whereParams.push(status === 'active' ? 1 : 0);
+    }
+    if (req.query.item_type) {
+      whereClause += ' AND ci.item_type = ?';
+      whereParams.push(req.query.item_type);
+    }
+    if (req.query.search) {
+      whereClause += ' AND (ci.name LIKE ? OR ci.sku LIKE ? OR ci.description LIKE ?)';
+      const term = `%${req.query.search}%`;
+      whereParams.push(term, term, term);
+    }
+
+    const items = await dbQuery(
+      `SELECT ci.*
+       FROM catalog_items ci
+       ${whereClause}
+       ORDER BY ci.name, ci.id
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total FROM catalog_items ci ${whereClause}`,
+      whereParams
+    );
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(formatItem),
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching catalog items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog items'
+    });
+  }
+});
+
+// Get one catalog item with the number of lines that use it
+router.get('/:id', canView, async (req, res) => {
+  try {
+    const item = await findItem(req, req.params.id);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalog item not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { ...formatItem(item), usage: await getItemUsage(item.id) }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching catalog item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch catalog item'
+    });
+  }
+});
+
+// Create catalog item
+router.post('/', canCreate, validateCatalogItem, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const workspaceId = req.workspaceId || req.workspaceFilter?.value;
+    if (!workspaceId) {
+      return res.status(403).json({ success: false, message: 'Workspace context required' });
+    }
+
+    const values = getItemValues(req.body);
+    const result = await dbQuery(
+      `INSERT INTO catalog_items (
+        workspace_id, item_type, sku, name, description, unit, default_price, hsn_sac, tax_rate, is_active, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        workspaceId, values.item_type, values.sku, values.name, values.description, values.unit, values.default_price,
+        values.hsn_sac, values.tax_rate, req.body.is_active === false ? 0 : 1, req.user.id
+      ]
+    );
+
+    await auditCreate(req, 'catalog_items', result.insertId);
+    const item = await findItem(req, result.insertId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Catalog item created successfully',
+      data: formatItem(item)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return duplicateSkuResponse(res);
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error creating catalog item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create catalog item'
+    });
+  }
+});
+
+// Update catalog item (saved documents keep their own copy of the line)
+router.put('/:id', canEdit, validateCatalogItem, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const existing = await findItem(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalog item not found'
+      });
+    }
+
+    const values = getItemValues(req.body);
+    const before = await getAuditSnapshot('catalog_items', existing.id);
+    await dbQuery(
+      `UPDATE catalog_items SET
+        item_type = ?, sku = ?, name = ?, description = ?, unit = ?, default_price = ?, hsn_sac = ?, tax_rate = ?,
+        is_active = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        values.item_type, values.sku, values.name, values.description, values.unit, values.default_price,
+        values.hsn_sac, values.tax_rate, req.body.is_active === undefined ? existing.is_active : (req.body.is_active ? 1 : 0),
+        existing.id
+      ]
+    );
+    await auditUpdate(req, 'catalog_items', existing.id, before);
+
+    const item = await findItem(req, existing.id);
+    res.json({
+      success: true,
+      message: 'Catalog item updated successfully',
+      data: formatItem(item)
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return duplicateSkuResponse(res);
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error updating catalog item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update catalog item'
+    });
+  }
+});
+
+// Delete a catalog item that no document uses; used items are archived instead (PUT is_active = false)
+router.delete('/:id', canDelete, async (req, res) => {
+  try {
+    const existing = await findItem(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalog item not found'
+      });
+    }
+
+    const usage = await getItemUsage(existing.id);
+    if (usage.quotation_lines + usage.invoice_lines + usage.recurring_lines > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This item is used on quotations or invoices. Archive it instead so reports keep it.',
+        data: { usage }
+      });
+    }
+
+    const before = await getAuditSnapshot('catalog_items', existing.id);
+    await dbQuery('DELETE FROM catalog_items WHERE id = ?', [existing.id]);
+    await auditDelete(req, 'catalog_items', existing.id, before);
+
+    res.json({
+      success: true,
+      message: 'Catalog item deleted successfully'
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error deleting catalog item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete catalog item'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,13 @@ const bcrypt = require('bcryptjs');
 const { sendClientCredentials } = require('../utils/email');
 const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { getAuditSnapshot, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const { getClientBalances } = require('../utils/creditNotes');
+const { loadStatementClient, getClientStatement, writeStatementPdf } = require('../utils/clientStatements');
+const {
+  parseEmailList, getDocumentEmailDefaults, getDocumentEmailHistory, deliverDocumentEmail, saveClientCcEmails
+} = require('../utils/documentEmails');
+const { todayString } = require('../utils/dates');
 
 const router = express.Router();
 
@@ -25,6 +32,64 @@ const clientValidation = [
   body('tax_id').optional({ checkFalsy: true }).trim().isLength({ max: 50 }).withMessage('Tax ID must be 50 characters or less')
 ];
 
+// Statement period: start_date is optional (whole history), end_date defaults to today
+const statementPeriodValidation = (location) => [
+  location('start_date').optional({ checkFalsy: true }).isISO8601().withMessage('Start date must be a valid date'),
+  location('end_date').optional({ checkFalsy: true }).isISO8601().withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      const startDate = (location === body ? req.body : req.query).start_date;
+      return !startDate || String(value).substring(0, 10) >= String(startDate).substring(0, 10);
+    })
+    .withMessage('End date must be on or after the start date'),
+];
+
+const statementEmailValidation = [
+  ...statementPeriodValidation(body),
+  body('to').custom((value) => Array.isArray(value) || typeof value === 'string').withMessage('Recipients are required'),
+  body('cc').optional({ nullable: true }).custom((value) => Array.isArray(value) || typeof value === 'string').withMessage('CC must be a list of email addresses'),
+  body('subject').trim().notEmpty().withMessage('Subject is required').isLength({ max: 255 }).withMessage('Subject must be at most 255 characters'),
+  body('message').trim().notEmpty().withMessage('Message is required').isLength({ max: 10000 }).withMessage('Message is too long'),
+  body('attach_pdf').optional().isBoolean().withMessage('attach_pdf must be true or false'),
+  body('save_cc').optional().isBoolean().withMessage('save_cc must be true or false'),
+];
+
+/**
+ * Statement of account of the client in req.params.id for the period in `values` (query or body).
+ * Sends the error response and returns null when the request is invalid or the client is not accessible.
+ */
+const loadStatementForRequest = async (req, res, values) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const clientId = parseInt(req.params.id);
+  if (isNaN(clientId)) {
+    res.status(400).json({ success: false, message: 'Invalid client ID' });
+    return null;
+  }
+  if (!canAccessClientData(req, clientId)) {
+    res.status(403).json({ success: false, message: 'Access denied. You can only view your own client data.' });
+    return null;
+  }
+
+  const client = await loadStatementClient(clientId, getWorkspaceFilter(req, 'c', 'workspace_id'));
+  if (!client) {
+    res.status(404).json({ success: false, message: 'Client not found' });
+    return null;
+  }
+
+  return getClientStatement(client, {
+    startDate: values.start_date ? String(values.start_date).substring(0, 10) : null,
+    endDate: values.end_date ? String(values.end_date).substring(0, 10) : todayString(),
+  });
+};
+
 // Get all clients with pagination and search
 router.get('/', authorizePermission('clients', 'view'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -318,6 +383,8 @@ router.get('/:id', authorizePermission('clients', 'view'), async (req, res) => {
     client.projects = projects;
     client.conversations = conversations;
     client.invoices = invoices;
+    // Account balance per currency: invoiced less credit notes and payments net of refunds
+    client.balances = await getClientBalances(clientId);
 
     // Set cache control headers to prevent caching
     res.set({
@@ -339,6 +406,135 @@ router.get('/:id', authorizePermission('clients', 'view'), async (req, res) => {
   }
 });
 
+// Statement of account: opening balance, invoices, payments, credit notes and refunds with a running balance,
+// closing balance and aging per currency (start_date, end_date)
+router.get('/:id/statement', authorizePermission('invoices', 'view'), statementPeriodValidation(query), async (req, res) => {
+  try {
+    const statement = await loadStatementForRequest(req, res, req.query);
+    if (!statement) return;
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get client statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate statement'
+    });
+  }
+});
+
+// Download the statement of account as PDF
+router.get('/:id/statement/download', authorizePermission('invoices', 'view'), statementPeriodValidation(query), async (req, res) => {
+  try {
+    const statement = await loadStatementForRequest(req, res, req.query);
+    if (!statement) return;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Statement-${statement.end_date}.pdf"`);
+    await writeStatementPdf(statement, res);
+  } catch (error) {
+    console.error('Download client statement error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate statement PDF'
+      });
+    }
+  }
+});
+
+// Pre-filled email and earlier statement emails of the client
+router.get('/:id/statement/emails', authorizePermission('invoices', 'view'), statementPeriodValidation(query), async (req, res) => {
+  try {
+    const statement = await loadStatementForRequest(req, res, req.query);
+    if (!statement) return;
+
+    res.json({
+      success: true,
+      data: {
+        defaults: await getDocumentEmailDefaults('statement', statement),
+        history: await getDocumentEmailHistory('statement', statement.id)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Emailing statements is not available. Please run the migration (021_document_emails.sql).'
+      });
+    }
+    console.error('Get statement emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load statement emails'
+    });
+  }
+});
+
+// Email the statement of account (PDF attached) to the client; recorded as an outbound email conversation
+router.post('/:id/statement/send', authorizePermission('invoices', 'edit'), statementEmailValidation, async (req, res) => {
+  try {
+    const statement = await loadStatementForRequest(req, res, req.body);
+    if (!statement) return;
+
+    const to = parseEmailList(req.body.to);
+    const cc = parseEmailList(req.body.cc);
+    if (to.invalid.length > 0 || cc.invalid.length > 0 || to.emails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: to.emails.length === 0 && to.invalid.length === 0
+          ? 'At least one recipient is required'
+          : `Invalid email address: ${[...to.invalid, ...cc.invalid].join(', ')}`
+      });
+    }
+
+    const result = await deliverDocumentEmail({
+      documentType: 'statement',
+      document: statement,
+      to: to.emails,
+      cc: cc.emails,
+      subject: req.body.subject.trim(),
+      message: req.body.message.trim(),
+      attachPdf: req.body.attach_pdf !== false,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Failed to send statement: ${result.error || 'email could not be delivered'}`
+      });
+    }
+
+    if (req.body.save_cc) {
+      await saveClientCcEmails(statement.client_id, cc.emails);
+    }
+
+    res.json({
+      success: true,
+      message: 'Statement sent successfully',
+      data: {
+        email_id: result.emailId,
+        conversation_id: result.conversationId
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Emailing statements is not available. Please run the migration (021_document_emails.sql).'
+      });
+    }
+    console.error('Send statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send statement'
+    });
+  }
+});
+
 // Create new client
 router.post('/', authorizePermission('clients', 'create'), clientValidation, async (req, res) => {
   try {
@@ -478,6 +674,8 @@ router.post('/', authorizePermission('clients', 'create'), clientValidation, asy
       });
     }
 
+    await auditCreate(req, 'clients', newClient[0].id);
+
     // Auto-create client user account
     let userCreated = false;
     let userCredentials = null;
@@ -607,6 +805,7 @@ router.put('/:id', authorizePermission('clients', 'edit'), clientValidation, asy
         message: 'Client not found'
       });
     }
+    const before = await getAuditSnapshot('clients', clientId);
 
     // Check if email is already taken by another client
     if (email) {
@@ -637,6 +836,7 @@ router.put('/:id', authorizePermission('clients', 'edit'), clientValidation, asy
         tags ? JSON.stringify(tags) : null, onboarding_date, status, notes, clientId
       ]
     );
+    await auditUpdate(req, 'clients', clientId, before);
 
     // Get updated client
     const updatedClient = await dbQuery(
@@ -697,10 +897,14 @@ router.delete('/:id', authorizePermission('clients', 'delete'), async (req, res)
     }
 
     // Soft delete: keep data, hide from user
-    await dbQuery(
+    const before = await getAuditSnapshot('clients', clientId);
+    const deleteResult = await dbQuery(
       'UPDATE clients SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL',
       [clientId]
     );
+    if (deleteResult.affectedRows > 0) {
+      await auditDelete(req, 'clients', clientId, before);
+    }
 
     res.json({
       success: true,
@@ -1,10 +1,29 @@
 const express = require('express');
-const crypto = require('crypto');
 const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { body, validationResult, query: validatorQuery } = require('express-validator');
 const { query: dbQuery } = require('../config/database');
 const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { getAuditSnapshot, logAudit, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const { encryptCredential, decryptCredential } = require('../utils/credentialVault');
+const {
+  ACCESS_ACTIONS,
+  MAX_REASON_LENGTH,
+  isMissingSchemaError,
+  getReasonRequiredTypes,
+  logCredentialAccess,
+  getCredentialAccessLog,
+} = require('../utils/credentialAccess');
+const {
+  MAX_EXPIRY_HOURS,
+  MAX_VIEWS,
+  MAX_LABEL_LENGTH,
+  MIN_PASSPHRASE_LENGTH,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  revokeShareLinksForResource,
+} = require('../utils/shareLinks');
 
 const router = express.Router();
 
@@ -12,61 +31,58 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(workspaceContext);
 
-// Encryption key from environment or use default (should be set in production)
-// AES-256 requires a 32-byte (256-bit) key
-let ENCRYPTION_KEY;
-if (process.env.CREDENTIAL_ENCRYPTION_KEY) {
-  // If provided as hex string, convert to buffer
-  const keyString = process.env.CREDENTIAL_ENCRYPTION_KEY;
-  if (keyString.length === 64) {
-    // Hex string (64 chars = 32 bytes)
-    ENCRYPTION_KEY = Buffer.from(keyString, 'hex');
-  } else if (keyString.length === 32) {
-    // Raw string (32 chars, treat as UTF-8)
-    ENCRYPTION_KEY = Buffer.from(keyString, 'utf8');
-  } else {
-    // Invalid length, generate new one
-    console.warn('Invalid CREDENTIAL_ENCRYPTION_KEY length. Generating new key.');
-    ENCRYPTION_KEY = crypto.randomBytes(32);
-  }
-} else {
-  // Generate a random 32-byte key
-  ENCRYPTION_KEY = crypto.randomBytes(32);
-  console.warn('CREDENTIAL_ENCRYPTION_KEY not set. Using randomly generated key. This will cause issues with decryption after restart!');
-}
-
-const ALGORITHM = 'aes-256-cbc';
-
-// Helper function to encrypt password
-const encryptPassword = (text) => {
-  if (!text) return null;
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-};
-
-// Helper function to decrypt password
+// Passwords are encrypted with the credentials vault (AES-256-GCM, key rotation - see utils/credentialVault.js)
+// and never returned by the read/write endpoints; POST /:id/reveal returns one and logs the access.
+// Returns null when a value cannot be decrypted (unknown key, tampered value).
 const decryptPassword = (text) => {
   if (!text) return null;
   try {
-    const textParts = text.split(':');
-    if (textParts.length !== 2) {
-      throw new Error('Invalid encrypted format');
-    }
-    const iv = Buffer.from(textParts[0], 'hex');
-    const encryptedText = textParts[1];
-    const decipher = crypto.createDecipheriv(ALGORITHM, ENCRYPTION_KEY, iv);
-    let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
+    return decryptCredential(text);
   } catch (error) {
-    console.error('Error decrypting password:', error);
+    console.error('Error decrypting password:', error.message);
     return null;
   }
 };
 
+// Strip the encrypted password (and its key ID) from a credential returned to the client
+const maskCredential = (credential) => {
+  const { password, encryption_key_id: _keyId, ...rest } = credential;
+  return { ...rest, has_password: Boolean(password) };
+};
+
+// Load a credential the current user may access (workspace + client scoping), or null
+const findAccessibleCredential = async (req, credentialId) => {
+  const ws = getWorkspaceFilter(req, 'c', 'workspace_id');
+  const credentials = await dbQuery(
+    `SELECT 
+      c.*,
+      cl.full_name as client_name,
+      cl.company_name as client_company,
+      p.title as project_title,
+      u.full_name as created_by_name
+     FROM credentials c
+     LEFT JOIN clients cl ON c.client_id = cl.id
+     LEFT JOIN projects p ON c.project_id = p.id
+     LEFT JOIN users u ON c.created_by = u.id
+     WHERE c.id = ? ${ws.whereClause}`,
+    [credentialId, ...ws.whereParams]
+  );
+  if (credentials.length === 0) return null;
+  const credential = credentials[0];
+  if (credential.client_id && !canAccessClientData(req, credential.client_id)) return null;
+  return credential;
+};
+
+const shareLinksMissingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Share links are not available. Please run the migration (017_share_links.sql).'
+});
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Credential encryption schema is out of date. Please run the migration (015_credential_encryption_keys.sql).'
+});
+
 // Validation middleware
 const validateCredential = [
   body('title').trim().notEmpty().withMessage('Title is required'),
@@ -229,50 +245,25 @@ router.get('/', authorizePermission('credentials', 'view'), [
   }
 });
 
-// Get credential by ID (with decrypted password)
+// Get credential by ID (password masked - use POST /:id/reveal)
 router.get('/:id', authorizePermission('credentials', 'view'), async (req, res) => {
   try {
-    const credentialId = req.params.id;
-
-    const credentials = await dbQuery(
-      `SELECT 
-        c.*,
-        cl.full_name as client_name,
-        cl.company_name as client_company,
-        p.title as project_title,
-        u.full_name as created_by_name
-       FROM credentials c
-       LEFT JOIN clients cl ON c.client_id = cl.id
-       LEFT JOIN projects p ON c.project_id = p.id
-       LEFT JOIN users u ON c.created_by = u.id
-       WHERE c.id = ?`,
-      [credentialId]
-    );
-
-    if (credentials.length === 0) {
+    const credential = await findAccessibleCredential(req, req.params.id);
+    if (!credential) {
       return res.status(404).json({
         success: false,
         message: 'Credential not found'
       });
     }
 
-    const credential = credentials[0];
-
-    // Check if client user can access this credential's data
-    if (credential.client_id && !canAccessClientData(req, credential.client_id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. You can only view credentials associated with your account.'
-      });
-    }
-    
-    // Decrypt password for viewing
-    const decryptedPassword = decryptPassword(credential.password);
-    credential.password = decryptedPassword || '[Decryption Error]';
+    const reasonRequiredTypes = await getReasonRequiredTypes(credential.workspace_id);
 
     res.json({
       success: true,
-      data: credential
+      data: {
+        ...maskCredential(credential),
+        reveal_reason_required: reasonRequiredTypes.includes(credential.credential_type)
+      }
     });
   } catch (error) {
     console.error('Error fetching credential:', error);
@@ -344,14 +335,14 @@ router.post('/', authorizePermission('credentials', 'create'), validateCredentia
     }
 
     // Encrypt password
-    const encryptedPassword = encryptPassword(password);
+    const encrypted = encryptCredential(password);
 
     // Insert credential
     const result = await dbQuery(
       `INSERT INTO credentials (
         title, client_id, project_id, credential_type, url, ip_address,
-        username, email, password, notes, created_by, workspace_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        username, email, password, encryption_key_id, notes, created_by, workspace_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         title,
         client_id || null,
@@ -361,7 +352,8 @@ router.post('/', authorizePermission('credentials', 'create'), validateCredentia
         ip_address || null,
         username || null,
         email || null,
-        encryptedPassword,
+        encrypted.ciphertext,
+        encrypted.keyId,
         notes || null,
         req.user.id,
         workspaceId || null
@@ -369,6 +361,7 @@ router.post('/', authorizePermission('credentials', 'create'), validateCredentia
     );
 
     const credentialId = result.insertId;
+    await auditCreate(req, 'credentials', credentialId);
 
     // Fetch the created credential
     const credentials = await dbQuery(
@@ -386,17 +379,13 @@ router.post('/', authorizePermission('credentials', 'create'), validateCredentia
       [credentialId, ...getWorkspaceFilter(req, 'c', 'workspace_id').whereParams]
     );
 
-    const credential = credentials[0];
-    // Decrypt password for response
-    const decryptedPassword = decryptPassword(credential.password);
-    credential.password = decryptedPassword || '[Decryption Error]';
-
     res.status(201).json({
       success: true,
       message: 'Credential created successfully',
-      data: credential
+      data: maskCredential(credentials[0])
     });
   } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return missingSchemaResponse(res);
     console.error('Error creating credential:', error);
     res.status(500).json({
       success: false,
@@ -405,6 +394,270 @@ router.post('/', authorizePermission('credentials', 'create'), validateCredentia
   }
 });
 
+// Reveal (or copy) a password. Every call is logged; workspaces can require a reason for sensitive types.
+router.post('/:id/reveal', authorizePermission('credentials', 'view'), [
+  body('action').optional().isIn(ACCESS_ACTIONS).withMessage(`Action must be one of: ${ACCESS_ACTIONS.join(', ')}`),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: MAX_REASON_LENGTH }).withMessage(`Reason must be at most ${MAX_REASON_LENGTH} characters`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const credential = await findAccessibleCredential(req, req.params.id);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const reason = req.body.reason ? req.body.reason.trim() : '';
+    const reasonRequiredTypes = await getReasonRequiredTypes(credential.workspace_id);
+    if (!reason && reasonRequiredTypes.includes(credential.credential_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reveal this credential',
+        code: 'REVEAL_REASON_REQUIRED'
+      });
+    }
+
+    const password = decryptPassword(credential.password);
+    if (password === null) {
+      return res.status(500).json({
+        success: false,
+        message: 'This password could not be decrypted. Check the credential encryption keys.'
+      });
+    }
+
+    // Log before returning the password: no log, no reveal
+    await logCredentialAccess(req, {
+      credential,
+      action: req.body.action || 'reveal',
+      reason: reason || null
+    });
+
+    res.json({
+      success: true,
+      data: { password }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      return res.status(501).json({
+        success: false,
+        message: 'Credential access logging is not available. Please run the migration (016_credential_access_logs.sql).'
+      });
+    }
+    console.error('Error revealing credential:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reveal credential'
+    });
+  }
+});
+
+// Access history (reveals and copies) of a credential
+router.get('/:id/access-log', authorizePermission('credentials', 'view'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const credential = await findAccessibleCredential(req, req.params.id);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { entries, total } = await getCredentialAccessLog(credential.id, { limit, offset: (page - 1) * limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      return res.status(501).json({
+        success: false,
+        message: 'Credential access logging is not available. Please run the migration (016_credential_access_logs.sql).'
+      });
+    }
+    console.error('Error fetching credential access log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credential access log'
+    });
+  }
+});
+
+// Share links: let someone without an account open this credential once (or a few times) before a deadline
+router.get('/:id/share-links', authorizePermission('credentials', 'view'), async (req, res) => {
+  try {
+    const credential = await findAccessibleCredential(req, req.params.id);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const links = await listShareLinks('credential', credential.id);
+
+    res.json({
+      success: true,
+      data: links
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return shareLinksMissingSchemaResponse(res);
+    console.error('Error fetching credential share links:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch share links'
+    });
+  }
+});
+
+router.post('/:id/share-links', authorizePermission('credentials', 'edit'), [
+  body('expires_in_hours').isInt({ min: 1, max: MAX_EXPIRY_HOURS }).withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours`),
+  body('max_views').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: MAX_VIEWS }).withMessage(`Max views must be between 1 and ${MAX_VIEWS}`),
+  body('passphrase').optional({ nullable: true, checkFalsy: true }).isString().isLength({ min: MIN_PASSPHRASE_LENGTH, max: 128 }).withMessage(`Passphrase must be ${MIN_PASSPHRASE_LENGTH} to 128 characters`),
+  body('label').optional({ nullable: true }).isString().trim().isLength({ max: MAX_LABEL_LENGTH }).withMessage(`Label must be at most ${MAX_LABEL_LENGTH} characters`),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: MAX_REASON_LENGTH }).withMessage(`Reason must be at most ${MAX_REASON_LENGTH} characters`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const credential = await findAccessibleCredential(req, req.params.id);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    // Sharing hands the password out, so the workspace reveal policy applies here too
+    const reason = req.body.reason ? req.body.reason.trim() : '';
+    const reasonRequiredTypes = await getReasonRequiredTypes(credential.workspace_id);
+    if (!reason && reasonRequiredTypes.includes(credential.credential_type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to share this credential',
+        code: 'REVEAL_REASON_REQUIRED'
+      });
+    }
+
+    const { link, token } = await createShareLink(req, {
+      resourceType: 'credential',
+      resource: credential,
+      expiresInHours: parseInt(req.body.expires_in_hours),
+      maxViews: req.body.max_views ? parseInt(req.body.max_views) : null,
+      passphrase: req.body.passphrase || null,
+      label: req.body.label ? req.body.label.trim() : null
+    });
+
+    await logCredentialAccess(req, { credential, action: 'share', reason: reason || null });
+    await logAudit(req, {
+      action: 'share_link_created',
+      table: 'credentials',
+      recordId: credential.id,
+      newValues: {
+        share_link_id: link.id,
+        label: link.label,
+        expires_at: link.expires_at,
+        max_views: link.max_views,
+        has_passphrase: link.has_passphrase
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: { link, token }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return shareLinksMissingSchemaResponse(res);
+    console.error('Error creating credential share link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create share link'
+    });
+  }
+});
+
+router.delete('/:id/share-links/:linkId', authorizePermission('credentials', 'edit'), async (req, res) => {
+  try {
+    const credential = await findAccessibleCredential(req, req.params.id);
+    if (!credential) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credential not found'
+      });
+    }
+
+    const revoked = await revokeShareLink(req, 'credential', credential.id, req.params.linkId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found or already revoked'
+      });
+    }
+
+    await logAudit(req, {
+      action: 'share_link_revoked',
+      table: 'credentials',
+      recordId: credential.id,
+      newValues: { share_link_id: parseInt(req.params.linkId) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return shareLinksMissingSchemaResponse(res);
+    console.error('Error revoking credential share link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link'
+    });
+  }
+});
+
 // Update credential
 router.put('/:id', authorizePermission('credentials', 'edit'), [
   body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
@@ -531,9 +784,15 @@ router.put('/:id', authorizePermission('credentials', 'edit'), [
 
     if (password !== undefined) {
       // Encrypt new password
-      const encryptedPassword = encryptPassword(password);
-      updates.push('password = ?');
-      updateParams.push(encryptedPassword);
+      const encrypted = encryptCredential(password);
+      if (!encrypted) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password cannot be empty'
+        });
+      }
+      updates.push('password = ?', 'encryption_key_id = ?');
+      updateParams.push(encrypted.ciphertext, encrypted.keyId);
     }
 
     if (notes !== undefined) {
@@ -555,6 +814,7 @@ router.put('/:id', authorizePermission('credentials', 'edit'), [
       `UPDATE credentials SET ${updates.join(', ')} WHERE id = ? ${wsUpd.whereClause}`,
       [...updateParams, ...wsUpd.whereParams]
     );
+    await auditUpdate(req, 'credentials', credentialId, credentialCheck[0]);
 
     // Fetch updated credential
     const credentials = await dbQuery(
@@ -572,17 +832,13 @@ router.put('/:id', authorizePermission('credentials', 'edit'), [
       [credentialId, ...getWorkspaceFilter(req, 'c', 'workspace_id').whereParams]
     );
 
-    const credential = credentials[0];
-    // Decrypt password for response
-    const decryptedPassword = decryptPassword(credential.password);
-    credential.password = decryptedPassword || '[Decryption Error]';
-
     res.json({
       success: true,
       message: 'Credential updated successfully',
-      data: credential
+      data: maskCredential(credentials[0])
     });
   } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return missingSchemaResponse(res);
     console.error('Error updating credential:', error);
     res.status(500).json({
       success: false,
@@ -609,9 +865,13 @@ router.delete('/:id', authorizePermission('credentials', 'delete'), async (req,
       });
     }
 
+    const before = await getAuditSnapshot('credentials', credentialId);
+
     // Delete credential
     const wsD = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(`DELETE FROM credentials WHERE id = ? ${wsD.whereClause}`, [credentialId, ...wsD.whereParams]);
+    await auditDelete(req, 'credentials', credentialId, before);
+    await revokeShareLinksForResource(req, 'credential', credentialId);
 
     res.json({
       success: true,
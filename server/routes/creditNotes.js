@@ -0,0 +1,328 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { body, validationResult, query: validatorQuery } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
+const { workspaceContext } = require('../middleware/workspaceContext');
+const { auditCreate, auditUpdate, getAuditSnapshot } = require('../utils/auditLogger');
+const { DISCOUNT_TYPES, isValidHsnSac, calculateTaxBreakdown, formatPlaceOfSupply } = require('../utils/gst');
+const { issueCreditNote, cancelCreditNote, getCreditNoteTaxItems } = require('../utils/creditNotes');
+const { loadCreditNoteForPdf, writeCreditNotePdf } = require('../utils/invoicePdf');
+
+// Credit notes: corrections of issued invoices with their own numbering and PDF (utils/creditNotes.js).
+// Uses the invoices permissions; credit notes are cancelled, never edited or deleted.
+
+router.use(authenticateToken);
+router.use(workspaceContext);
+
+const validateCreditNote = [
+  body('invoice_id').isInt({ min: 1 }).withMessage('Valid invoice ID is required'),
+  body('credit_date').isISO8601().withMessage('Valid credit date is required'),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+  body('notes').optional({ nullable: true }).isString().withMessage('Notes must be a string'),
+  body('items').isArray({ min: 1 }).withMessage('At least one line item is required'),
+  body('items.*.item_name').trim().notEmpty().withMessage('Item name is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Unit must be at most 30 characters'),
+  body('items.*.unit_price').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('items.*.discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('items.*.discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('items.*.hsn_sac').optional({ nullable: true, checkFalsy: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('items.*.tax_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Item GST rate must be between 0 and 100'),
+  body('items.*.invoice_item_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid invoice item ID is required'),
+];
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Credit notes are not available. Please run the migrations (024_credit_notes.sql, 028_line_item_discounts.sql).'
+});
+
+const isMissingSchemaError = (error) => error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Reject invalid ids (e.g. 0) so we never return or modify another workspace's record
+const parseCreditNoteId = (idParam) => {
+  const n = parseInt(idParam, 10);
+  if (Number.isNaN(n) || n < 1) return null;
+  return n;
+};
+
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Credit note not found'
+});
+
+// Load a credit note in the current workspace (with invoice and client), or null
+const findCreditNote = async (req, id) => {
+  const ws = getWorkspaceFilter(req, 'cn', 'workspace_id');
+  const rows = await dbQuery(
+    `SELECT cn.*, i.invoice_number, i.total_amount as invoice_total, i.status as invoice_status,
+            c.full_name as client_name, c.company_name as client_company, c.email as client_email,
+            u.full_name as created_by_name, cu.full_name as cancelled_by_name
+     FROM credit_notes cn
+     INNER JOIN invoices i ON cn.invoice_id = i.id
+     LEFT JOIN clients c ON cn.client_id = c.id
+     LEFT JOIN users u ON cn.created_by = u.id
+     LEFT JOIN users cu ON cn.cancelled_by = cu.id
+     WHERE cn.id = ? ${ws.whereClause}`,
+    [id, ...ws.whereParams]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// List credit notes
+router.get('/', authorizePermission('invoices', 'view'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  validatorQuery('status').optional({ checkFalsy: true }).isIn(['issued', 'cancelled']).withMessage('Valid status is required'),
+  validatorQuery('client_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  validatorQuery('invoice_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid invoice ID is required'),
+  validatorQuery('search').optional().isString().withMessage('Search must be a string'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const ws = getWorkspaceFilter(req, 'cn', 'workspace_id');
+    const clientFilter = getClientFilter(req, 'cn', 'client_id');
+    let whereClause = `WHERE 1=1 ${ws.whereClause}${clientFilter.whereClause}`;
+    const whereParams = [...ws.whereParams, ...clientFilter.whereParams];
+    if (req.query.status) {
+      whereClause += ' AND cn.status = ?';
+      whereParams.push(req.query.status);
+    }
+    if (req.query.client_id && req.user.role !== 'client') {
+      whereClause += ' AND cn.client_id = ?';
+      whereParams.push(req.query.client_id);
+    }
+    if (req.query.invoice_id) {
+      whereClause += ' AND cn.invoice_id = ?';
+      whereParams.push(req.query.invoice_id);
+    }
+    if (req.query.search) {
+      whereClause += ' AND (cn.credit_note_number LIKE ? OR i.invoice_number LIKE ? OR c.full_name LIKE ? OR c.company_name LIKE ?)';
+      const term = `%${req.query.search}%`;
+      whereParams.push(term, term, term, term);
+    }
+
+    const creditNotes = await dbQuery(
+      `SELECT cn.*, i.invoice_number, c.full_name as client_name, c.company_name as client_company,
+              u.full_name as created_by_name
+       FROM credit_notes cn
+       INNER JOIN invoices i ON cn.invoice_id = i.id
+       LEFT JOIN clients c ON cn.client_id = c.id
+       LEFT JOIN users u ON cn.created_by = u.id
+       ${whereClause}
+       ORDER BY cn.credit_date DESC, cn.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total
+       FROM credit_notes cn
+       INNER JOIN invoices i ON cn.invoice_id = i.id
+       LEFT JOIN clients c ON cn.client_id = c.id
+       ${whereClause}`,
+      whereParams
+    );
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        credit_notes: creditNotes,
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching credit notes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit notes'
+    });
+  }
+});
+
+// Get credit note by ID (with items, GST summary and refunds paying it out)
+router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) => {
+  try {
+    const creditNoteId = parseCreditNoteId(req.params.id);
+    const creditNote = creditNoteId === null ? null : await findCreditNote(req, creditNoteId);
+    if (!creditNote) return sendNotFound(res);
+    if (!canAccessClientData(req, creditNote.client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view credit notes associated with your account.'
+      });
+    }
+
+    const items = await dbQuery('SELECT * FROM credit_note_items WHERE credit_note_id = ? ORDER BY id', [creditNote.id]);
+    const refunds = await dbQuery(
+      'SELECT id, payment_id, amount, refund_date, refund_method, reference_number FROM refunds WHERE credit_note_id = ? ORDER BY refund_date DESC',
+      [creditNote.id]
+    );
+    const taxSummary = creditNote.supply_type
+      ? calculateTaxBreakdown(getCreditNoteTaxItems(items), { defaultRate: creditNote.tax_rate, supplyType: creditNote.supply_type }).summary
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        ...creditNote,
+        place_of_supply_name: formatPlaceOfSupply(creditNote.place_of_supply),
+        items,
+        tax_summary: taxSummary,
+        refunds
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching credit note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch credit note'
+    });
+  }
+});
+
+// Issue a credit note against an invoice; its total is taken off the invoice balance
+router.post('/', authorizePermission('invoices', 'create'), validateCreditNote, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { invoice_id, credit_date, reason, notes, items } = req.body;
+    const ws = getWorkspaceFilter(req, '', 'workspace_id');
+    const invoices = await dbQuery(
+      `SELECT id, client_id FROM invoices WHERE id = ? ${ws.whereClause}`,
+      [invoice_id, ...ws.whereParams]
+    );
+    if (invoices.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (!canAccessClientData(req, invoices[0].client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only credit invoices associated with your account.'
+      });
+    }
+
+    const result = await issueCreditNote({
+      invoiceId: invoices[0].id,
+      items,
+      creditDate: String(credit_date).substring(0, 10),
+      reason: reason ? reason.trim() : null,
+      notes,
+      userId: req.user.id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await auditCreate(req, 'credit_notes', result.creditNoteId, 'credit_note_issued');
+
+    res.status(201).json({
+      success: true,
+      message: `Credit note ${result.creditNoteNumber} issued successfully`,
+      data: await findCreditNote(req, result.creditNoteId)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error issuing credit note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue credit note'
+    });
+  }
+});
+
+// Cancel a credit note; its amount is owed on the invoice again
+router.post('/:id/cancel', authorizePermission('invoices', 'edit'), async (req, res) => {
+  try {
+    const creditNoteId = parseCreditNoteId(req.params.id);
+    const creditNote = creditNoteId === null ? null : await findCreditNote(req, creditNoteId);
+    if (!creditNote) return sendNotFound(res);
+    if (!canAccessClientData(req, creditNote.client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage credit notes associated with your account.'
+      });
+    }
+
+    const before = await getAuditSnapshot('credit_notes', creditNote.id);
+    const result = await cancelCreditNote(creditNote.id, req.user.id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    await auditUpdate(req, 'credit_notes', creditNote.id, before, 'credit_note_cancelled');
+
+    res.json({
+      success: true,
+      message: 'Credit note cancelled successfully',
+      data: await findCreditNote(req, creditNote.id)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error cancelling credit note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel credit note'
+    });
+  }
+});
+
+// Download credit note as PDF
+router.get('/:id/download', authorizePermission('invoices', 'view'), async (req, res) => {
+  try {
+    const creditNoteId = parseCreditNoteId(req.params.id);
+    const creditNote = creditNoteId === null
+      ? null
+      : await loadCreditNoteForPdf(creditNoteId, getWorkspaceFilter(req, 'cn', 'workspace_id'));
+    if (!creditNote) return sendNotFound(res);
+    if (!canAccessClientData(req, creditNote.client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only download credit notes associated with your account.'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="CreditNote-${creditNote.credit_note_number}.pdf"`);
+
+    await writeCreditNotePdf(creditNote, res);
+  } catch (error) {
+    if (isMissingSchemaError(error) && !res.headersSent) return missingSchemaResponse(res);
+    console.error('Error generating credit note PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
+
+module.exports = router;
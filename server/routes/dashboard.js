@@ -3,6 +3,8 @@ const { authenticateToken, authorizePermission } = require('../middleware/auth')
 const { query } = require('../config/database');
 const { getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { getCurrencyConversion } = require('../utils/currency');
+const { getCreditedAmountSql } = require('../utils/creditNotes');
 
 const router = express.Router();
 
@@ -18,6 +20,11 @@ router.get('/overview', authorizePermission('dashboard', 'view'), async (req, re
     const wsClause = isSuperAdmin ? '' : ' AND workspace_id = ?';
     const wsOnlyClause = isSuperAdmin ? '' : ' WHERE workspace_id = ?';
     const repeat = (n) => (isSuperAdmin ? [] : Array(n).fill(workspaceId));
+    // Revenue figures are converted to the workspace base currency
+    const fx = await getCurrencyConversion(workspaceId);
+    const rate = fx.invoiceRate('i');
+    // Credit notes are netted out of revenue and outstanding amounts
+    const credited = await getCreditedAmountSql('i');
 
     // Get basic statistics
     const stats = await query(`
@@ -37,8 +44,8 @@ router.get('/overview', authorizePermission('dashboard', 'view'), async (req, re
         (SELECT COUNT(*) FROM conversations WHERE 1=1${wsClause}) as total_conversations,
         (SELECT COUNT(*) FROM users WHERE is_active = 1${wsClause}) as active_users,
         (SELECT COUNT(*) FROM users WHERE 1=1${wsClause}) as total_users,
-        (SELECT SUM(total_amount) FROM invoices WHERE status = 'paid'${wsClause}) as total_revenue,
-        (SELECT SUM(total_amount - paid_amount) FROM invoices WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as outstanding_amount
+        (SELECT SUM((i.total_amount - ${credited}) * ${rate}) FROM invoices i WHERE status = 'paid'${wsClause}) as total_revenue,
+        (SELECT SUM((i.total_amount - i.paid_amount - ${credited}) * ${rate}) FROM invoices i WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as outstanding_amount
     `, repeat(17));
 
     // Get recent activities
@@ -125,9 +132,9 @@ router.get('/overview', authorizePermission('dashboard', 'view'), async (req, re
       SELECT 
         DATE_FORMAT(invoice_date, '%Y-%m') as month,
         DATE_FORMAT(invoice_date, '%M %Y') as month_name,
-        SUM(CASE WHEN status = 'paid' THEN total_amount ELSE 0 END) as revenue,
+        SUM(CASE WHEN status = 'paid' THEN (total_amount - ${credited}) * ${rate} ELSE 0 END) as revenue,
         COUNT(*) as invoice_count
-      FROM invoices
+      FROM invoices i
       WHERE invoice_date >= DATE_SUB(NOW(), INTERVAL 6 MONTH)
         ${isSuperAdmin ? '' : ' AND workspace_id = ?'}
       GROUP BY DATE_FORMAT(invoice_date, '%Y-%m'), DATE_FORMAT(invoice_date, '%M %Y')
@@ -153,6 +160,7 @@ router.get('/overview', authorizePermission('dashboard', 'view'), async (req, re
     res.json({
       success: true,
       data: {
+        base_currency: fx.baseCurrency,
         stats: stats[0],
         recentActivities,
         upcomingDueDates,
@@ -177,6 +185,10 @@ router.get('/quick-stats', authorizePermission('dashboard', 'view'), async (req,
     const isSuperAdmin = req.isSuperAdmin === true;
     const wsClause = isSuperAdmin ? '' : ' AND workspace_id = ?';
     const repeat = (n) => (isSuperAdmin ? [] : Array(n).fill(workspaceId));
+    const fx = await getCurrencyConversion(workspaceId);
+    const rate = fx.invoiceRate('i');
+    // Credit notes are netted out of revenue and outstanding amounts
+    const credited = await getCreditedAmountSql('i');
 
     const quickStats = await query(`
       SELECT 
@@ -184,13 +196,13 @@ router.get('/quick-stats', authorizePermission('dashboard', 'view'), async (req,
         (SELECT COUNT(*) FROM projects WHERE 1=1${wsClause}) as total_projects,
         (SELECT COUNT(*) FROM quotations WHERE 1=1${wsClause}) as total_quotations,
         (SELECT COUNT(*) FROM invoices WHERE 1=1${wsClause}) as total_invoices,
-        (SELECT SUM(total_amount) FROM invoices WHERE status = 'paid'${wsClause}) as total_revenue,
-        (SELECT SUM(total_amount) FROM invoices WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as outstanding_amount
+        (SELECT SUM((i.total_amount - ${credited}) * ${rate}) FROM invoices i WHERE status = 'paid'${wsClause}) as total_revenue,
+        (SELECT SUM((i.total_amount - i.paid_amount - ${credited}) * ${rate}) FROM invoices i WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as outstanding_amount
     `, repeat(6));
 
     res.json({
       success: true,
-      data: quickStats[0]
+      data: { ...quickStats[0], base_currency: fx.baseCurrency }
     });
   } catch (error) {
     console.error('Quick stats error:', error);
@@ -0,0 +1,381 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { body, validationResult, query: validatorQuery } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
+const { workspaceContext } = require('../middleware/workspaceContext');
+const { getAuditSnapshot, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const { isValidCurrency, normaliseCurrency, captureExchangeRate } = require('../utils/currency');
+const { EXPENSE_CATEGORIES, hasExpenseSchema, getExpenseInvoiceSql } = require('../utils/expenses');
+
+// Project expenses (utils/expenses.js): part of project management, so they use the projects permissions.
+// Receipts are uploaded through /api/files and linked by receipt_file_id.
+
+router.use(authenticateToken);
+router.use(workspaceContext);
+
+const validateExpense = [
+  body('project_id').isInt({ min: 1 }).withMessage('Please select a project'),
+  body('expense_date').isISO8601().withMessage('Expense date must be a valid date'),
+  body('vendor').optional({ nullable: true }).trim().isLength({ max: 200 }).withMessage('Vendor must be at most 200 characters'),
+  body('category').optional({ checkFalsy: true }).isIn(EXPENSE_CATEGORIES).withMessage(`Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('currency').optional({ checkFalsy: true }).custom(isValidCurrency).withMessage('Currency must be a 3-letter code'),
+  body('exchange_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be a positive number'),
+  body('receipt_file_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid receipt file is required'),
+  body('is_billable').optional().isBoolean().withMessage('Billable must be true or false'),
+];
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Expenses are not available. Please run the migration (030_project_expenses.sql).'
+});
+
+const isMissingSchemaError = (error) => error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+// Column values from the request body (empty strings are stored as NULL)
+const getExpenseValues = (bodyValues) => ({
+  project_id: parseInt(bodyValues.project_id),
+  expense_date: String(bodyValues.expense_date).substring(0, 10),
+  vendor: hasValue(bodyValues.vendor) ? String(bodyValues.vendor).trim() : null,
+  category: bodyValues.category || 'other',
+  description: hasValue(bodyValues.description) ? bodyValues.description : null,
+  amount: parseFloat(bodyValues.amount),
+  currency: normaliseCurrency(bodyValues.currency) || 'USD',
+  receipt_file_id: hasValue(bodyValues.receipt_file_id) ? parseInt(bodyValues.receipt_file_id) : null,
+  is_billable: bodyValues.is_billable === true || bodyValues.is_billable === 'true' ? 1 : 0,
+});
+
+const formatExpense = (expense) => ({ ...expense, is_billable: Boolean(expense.is_billable) });
+
+const EXPENSE_SELECT = `SELECT e.*, p.title as project_title, p.client_id, c.full_name as client_name,
+    c.company_name as client_company, f.original_name as receipt_name, u.full_name as created_by_name,
+    ${getExpenseInvoiceSql('e')} as invoice_id
+   FROM expenses e
+   JOIN projects p ON e.project_id = p.id
+   LEFT JOIN clients c ON p.client_id = c.id
+   LEFT JOIN files f ON e.receipt_file_id = f.id
+   LEFT JOIN users u ON e.created_by = u.id`;
+
+// Load an expense in the current workspace (client users: their own projects only), or null
+const findExpense = async (req, id) => {
+  const ws = getWorkspaceFilter(req, 'e', 'workspace_id');
+  const rows = await dbQuery(
+    `SELECT expense.*, bi.invoice_number
+     FROM (${EXPENSE_SELECT} WHERE e.id = ? ${ws.whereClause}) expense
+     LEFT JOIN invoices bi ON bi.id = expense.invoice_id`,
+    [id, ...ws.whereParams]
+  );
+  if (rows.length === 0 || !canAccessClientData(req, rows[0].client_id)) return null;
+  return rows[0];
+};
+
+// Project and receipt of the request must belong to the workspace; returns an error message otherwise
+const checkReferences = async (req, values) => {
+  const wsProj = getWorkspaceFilter(req, '', 'workspace_id');
+  const projects = await dbQuery(
+    `SELECT id, client_id FROM projects WHERE id = ? AND deleted_at IS NULL ${wsProj.whereClause}`,
+    [values.project_id, ...wsProj.whereParams]
+  );
+  if (projects.length === 0 || !canAccessClientData(req, projects[0].client_id)) return 'Project not found';
+
+  if (values.receipt_file_id) {
+    const wsFile = getWorkspaceFilter(req, '', 'workspace_id');
+    const files = await dbQuery(
+      `SELECT id FROM files WHERE id = ? ${wsFile.whereClause}`,
+      [values.receipt_file_id, ...wsFile.whereParams]
+    );
+    if (files.length === 0) return 'Receipt file not found';
+  }
+  return null;
+};
+
+// List expenses (filters: project, category, billable, billed, date range, search)
+router.get('/', authorizePermission('projects', 'view'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  validatorQuery('search').optional().isString().withMessage('Search must be a string'),
+  validatorQuery('project_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid project ID is required'),
+  validatorQuery('client_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  validatorQuery('category').optional({ checkFalsy: true }).isIn(EXPENSE_CATEGORIES).withMessage('Valid category is required'),
+  validatorQuery('billable').optional({ checkFalsy: true }).isBoolean().withMessage('Billable must be true or false'),
+  validatorQuery('billed').optional({ checkFalsy: true }).isBoolean().withMessage('Billed must be true or false'),
+  validatorQuery('start_date').optional({ checkFalsy: true }).isISO8601().withMessage('Start date must be a valid date'),
+  validatorQuery('end_date').optional({ checkFalsy: true }).isISO8601().withMessage('End date must be a valid date'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!(await hasExpenseSchema())) return missingSchemaResponse(res);
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const ws = getWorkspaceFilter(req, 'e', 'workspace_id');
+    const clientFilter = getClientFilter(req, 'p', 'client_id');
+    let whereClause = `WHERE 1=1 ${ws.whereClause}${clientFilter.whereClause}`;
+    const whereParams = [...ws.whereParams, ...clientFilter.whereParams];
+    const { project_id, client_id, category, billable, billed, start_date, end_date, search } = req.query;
+
+    if (project_id) {
+      whereClause += ' AND e.project_id = ?';
+      whereParams.push(project_id);
+    }
+    if (client_id) {
+      whereClause += ' AND p.client_id = ?';
+      whereParams.push(client_id);
+    }
+    if (category) {
+      whereClause += ' AND e.category = ?';
+      whereParams.push(category);
+    }
+    if (billable) {
+      whereClause += ' AND e.is_billable = ?';
+      whereParams.push(billable === 'true' ? 1 : 0);
+    }
+    if (billed) {
+      whereClause += ` AND ${getExpenseInvoiceSql('e')} IS ${billed === 'true' ? 'NOT NULL' : 'NULL'}`;
+    }
+    if (start_date) {
+      whereClause += ' AND e.expense_date >= ?';
+      whereParams.push(start_date);
+    }
+    if (end_date) {
+      whereClause += ' AND e.expense_date <= ?';
+      whereParams.push(end_date);
+    }
+    if (search) {
+      whereClause += ' AND (e.vendor LIKE ? OR e.description LIKE ?)';
+      const term = `%${search}%`;
+      whereParams.push(term, term);
+    }
+
+    const expenses = await dbQuery(
+      `SELECT expense.*, bi.invoice_number
+       FROM (${EXPENSE_SELECT} ${whereClause}) expense
+       LEFT JOIN invoices bi ON bi.id = expense.invoice_id
+       ORDER BY expense.expense_date DESC, expense.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total FROM expenses e JOIN projects p ON e.project_id = p.id ${whereClause}`,
+      whereParams
+    );
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        expenses: expenses.map(formatExpense),
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expenses'
+    });
+  }
+});
+
+// Get one expense
+router.get('/:id', authorizePermission('projects', 'view'), async (req, res) => {
+  try {
+    if (!(await hasExpenseSchema())) return missingSchemaResponse(res);
+
+    const expense = await findExpense(req, req.params.id);
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatExpense(expense)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expense'
+    });
+  }
+});
+
+// Create expense; the exchange rate of the expense date is captured like on invoices
+router.post('/', authorizePermission('projects', 'edit'), validateExpense, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!(await hasExpenseSchema())) return missingSchemaResponse(res);
+
+    const workspaceId = req.workspaceId || req.workspaceFilter?.value;
+    if (!workspaceId) {
+      return res.status(403).json({ success: false, message: 'Workspace context required' });
+    }
+
+    const values = getExpenseValues(req.body);
+    const referenceError = await checkReferences(req, values);
+    if (referenceError) {
+      return res.status(400).json({ success: false, message: referenceError });
+    }
+
+    const result = await dbQuery(
+      `INSERT INTO expenses (
+        workspace_id, project_id, expense_date, vendor, category, description, amount, currency, receipt_file_id,
+        is_billable, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        workspaceId, values.project_id, values.expense_date, values.vendor, values.category, values.description,
+        values.amount, values.currency, values.receipt_file_id, values.is_billable, req.user.id
+      ]
+    );
+    await captureExchangeRate({
+      table: 'expenses',
+      id: result.insertId,
+      workspaceId,
+      currency: values.currency,
+      date: values.expense_date,
+      explicitRate: req.body.exchange_rate,
+    });
+
+    await auditCreate(req, 'expenses', result.insertId);
+    const expense = await findExpense(req, result.insertId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense created successfully',
+      data: formatExpense(expense)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error creating expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create expense'
+    });
+  }
+});
+
+// Update expense; a billed expense stays billable and on its project until it is taken off the invoice
+router.put('/:id', authorizePermission('projects', 'edit'), validateExpense, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    if (!(await hasExpenseSchema())) return missingSchemaResponse(res);
+
+    const existing = await findExpense(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const values = getExpenseValues(req.body);
+    if (existing.invoice_id && (!values.is_billable || values.project_id !== Number(existing.project_id))) {
+      return res.status(409).json({
+        success: false,
+        message: `This expense is billed on invoice ${existing.invoice_number}. Remove it from the invoice first.`
+      });
+    }
+    const referenceError = await checkReferences(req, values);
+    if (referenceError) {
+      return res.status(400).json({ success: false, message: referenceError });
+    }
+
+    const before = await getAuditSnapshot('expenses', existing.id);
+    await dbQuery(
+      `UPDATE expenses SET
+        project_id = ?, expense_date = ?, vendor = ?, category = ?, description = ?, amount = ?, currency = ?,
+        receipt_file_id = ?, is_billable = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        values.project_id, values.expense_date, values.vendor, values.category, values.description, values.amount,
+        values.currency, values.receipt_file_id, values.is_billable, existing.id
+      ]
+    );
+    await captureExchangeRate({
+      table: 'expenses',
+      id: existing.id,
+      workspaceId: existing.workspace_id,
+      currency: values.currency,
+      date: values.expense_date,
+      explicitRate: req.body.exchange_rate,
+    });
+    await auditUpdate(req, 'expenses', existing.id, before);
+
+    const expense = await findExpense(req, existing.id);
+    res.json({
+      success: true,
+      message: 'Expense updated successfully',
+      data: formatExpense(expense)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error updating expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update expense'
+    });
+  }
+});
+
+// Delete an expense that no invoice bills; the receipt stays in the project files
+router.delete('/:id', authorizePermission('projects', 'edit'), async (req, res) => {
+  try {
+    if (!(await hasExpenseSchema())) return missingSchemaResponse(res);
+
+    const existing = await findExpense(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+    if (existing.invoice_id) {
+      return res.status(409).json({
+        success: false,
+        message: `This expense is billed on invoice ${existing.invoice_number}. Remove it from the invoice first.`
+      });
+    }
+
+    const before = await getAuditSnapshot('expenses', existing.id);
+    await dbQuery('DELETE FROM expenses WHERE id = ?', [existing.id]);
+    await auditDelete(req, 'expenses', existing.id, before);
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error deleting expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete expense'
+    });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,17 @@ const { body, validationResult, query: validatorQuery } = require('express-valid
 const { query: dbQuery } = require('../config/database');
 const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { logAudit, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const {
+  MAX_EXPIRY_HOURS,
+  MAX_VIEWS,
+  MAX_LABEL_LENGTH,
+  MIN_PASSPHRASE_LENGTH,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  revokeShareLinksForResource,
+} = require('../utils/shareLinks');
 
 const router = express.Router();
 
@@ -49,6 +60,26 @@ const upload = multer({
   }
 });
 
+// Load a file the current user may access (workspace + client scoping), or null
+const findAccessibleFile = async (req, fileId) => {
+  const ws = getWorkspaceFilter(req, '', 'workspace_id');
+  const files = await dbQuery(
+    `SELECT * FROM files WHERE id = ? ${ws.whereClause}`,
+    [fileId, ...ws.whereParams]
+  );
+  if (files.length === 0) return null;
+  const file = files[0];
+  if (file.client_id && !canAccessClientData(req, file.client_id)) return null;
+  return file;
+};
+
+const isShareLinksSchemaMissing = (error) => error && error.code === 'ER_NO_SUCH_TABLE';
+
+const shareLinksMissingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Share links are not available. Please run the migration (017_share_links.sql).'
+});
+
 // Helper function to determine file type
 const getFileType = (mimeType) => {
   if (mimeType.startsWith('image/')) return 'image';
@@ -337,6 +368,7 @@ router.post('/upload', authorizePermission('files', 'upload'), upload.single('fi
     );
 
     const fileId = result.insertId;
+    await auditCreate(req, 'files', fileId, 'upload');
 
     // Fetch the created file
     const files = await dbQuery(
@@ -431,6 +463,133 @@ router.get('/:id/download', authorizePermission('files', 'download'), async (req
   }
 });
 
+// Share links: let someone without an account download this file before a deadline
+router.get('/:id/share-links', authorizePermission('files', 'view'), async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req, req.params.id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const links = await listShareLinks('file', file.id);
+
+    res.json({
+      success: true,
+      data: links
+    });
+  } catch (error) {
+    if (isShareLinksSchemaMissing(error)) return shareLinksMissingSchemaResponse(res);
+    console.error('Error fetching file share links:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch share links'
+    });
+  }
+});
+
+router.post('/:id/share-links', authorizePermission('files', 'edit'), [
+  body('expires_in_hours').isInt({ min: 1, max: MAX_EXPIRY_HOURS }).withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_HOURS} hours`),
+  body('max_views').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: MAX_VIEWS }).withMessage(`Max downloads must be between 1 and ${MAX_VIEWS}`),
+  body('passphrase').optional({ nullable: true, checkFalsy: true }).isString().isLength({ min: MIN_PASSPHRASE_LENGTH, max: 128 }).withMessage(`Passphrase must be ${MIN_PASSPHRASE_LENGTH} to 128 characters`),
+  body('label').optional({ nullable: true }).isString().trim().isLength({ max: MAX_LABEL_LENGTH }).withMessage(`Label must be at most ${MAX_LABEL_LENGTH} characters`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const file = await findAccessibleFile(req, req.params.id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { link, token } = await createShareLink(req, {
+      resourceType: 'file',
+      resource: file,
+      expiresInHours: parseInt(req.body.expires_in_hours),
+      maxViews: req.body.max_views ? parseInt(req.body.max_views) : null,
+      passphrase: req.body.passphrase || null,
+      label: req.body.label ? req.body.label.trim() : null
+    });
+
+    await logAudit(req, {
+      action: 'share_link_created',
+      table: 'files',
+      recordId: file.id,
+      newValues: {
+        share_link_id: link.id,
+        label: link.label,
+        expires_at: link.expires_at,
+        max_views: link.max_views,
+        has_passphrase: link.has_passphrase
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: { link, token }
+    });
+  } catch (error) {
+    if (isShareLinksSchemaMissing(error)) return shareLinksMissingSchemaResponse(res);
+    console.error('Error creating file share link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create share link'
+    });
+  }
+});
+
+router.delete('/:id/share-links/:linkId', authorizePermission('files', 'edit'), async (req, res) => {
+  try {
+    const file = await findAccessibleFile(req, req.params.id);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const revoked = await revokeShareLink(req, 'file', file.id, req.params.linkId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found or already revoked'
+      });
+    }
+
+    await logAudit(req, {
+      action: 'share_link_revoked',
+      table: 'files',
+      recordId: file.id,
+      newValues: { share_link_id: parseInt(req.params.linkId) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Share link revoked successfully'
+    });
+  } catch (error) {
+    if (isShareLinksSchemaMissing(error)) return shareLinksMissingSchemaResponse(res);
+    console.error('Error revoking file share link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link'
+    });
+  }
+});
+
 // Update file metadata
 router.put('/:id', authorizePermission('files', 'edit'), [
   body('client_id').optional().isInt({ min: 1 }).withMessage('Valid client ID is required'),
@@ -544,6 +703,7 @@ router.put('/:id', authorizePermission('files', 'edit'), [
       `UPDATE files SET ${updates.join(', ')} WHERE id = ? ${wsUpd.whereClause}`,
       [...updateParams, ...wsUpd.whereParams]
     );
+    await auditUpdate(req, 'files', fileId, fileCheck[0]);
 
     // Fetch updated file
     const files = await dbQuery(
@@ -607,6 +767,8 @@ router.delete('/:id', authorizePermission('files', 'delete'), async (req, res) =
     // Delete file record from database
     const wsD = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(`DELETE FROM files WHERE id = ? ${wsD.whereClause}`, [fileId, ...wsD.whereParams]);
+    await auditDelete(req, 'files', fileId, file);
+    await revokeShareLinksForResource(req, 'file', fileId);
 
     res.json({
       success: true,
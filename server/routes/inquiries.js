@@ -8,6 +8,7 @@ const ENQUIRY_TYPES = ['contact', 'get_started'];
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { inquiryLimiter } = require('../middleware/rateLimit');
 const { query: dbQuery } = require('../config/database');
 
 const router = express.Router();
@@ -34,9 +35,10 @@ const postValidation = [
   body('company').optional({ values: 'null' }).trim().isLength({ max: 255 }).withMessage('Company too long'),
 ];
 
-// POST /api/inquiries – public (no auth), from static marketing site forms
+// POST /api/inquiries – public (no auth), from static marketing site forms; rate limited per IP
 router.post(
   '/',
+  inquiryLimiter,
   postValidation,
   async (req, res) => {
     try {
@@ -5,6 +5,29 @@ const { body, validationResult, query: validatorQuery } = require('express-valid
 const { query: dbQuery } = require('../config/database');
 const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { getInvoiceBalance, updateInvoiceStatus } = require('../utils/invoiceStatus');
+const { getAuditSnapshot, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const {
+  DISCOUNT_TYPES,
+  isValidHsnSac,
+  resolveStateCode,
+  resolveDocumentTax,
+  calculateTaxBreakdown,
+  formatPlaceOfSupply,
+} = require('../utils/gst');
+const { captureExchangeRate } = require('../utils/currency');
+const { loadInvoiceForPdf, writeInvoicePdf } = require('../utils/invoicePdf');
+const { getActiveGateway, getInvoicePaymentUrl } = require('../utils/paymentGateway');
+const {
+  parseEmailList,
+  getDocumentEmailDefaults,
+  getDocumentEmailHistory,
+  deliverDocumentEmail,
+  saveClientCcEmails,
+} = require('../utils/documentEmails');
+const { getCreditedAmountSql, getInvoiceCredits, recordRefund } = require('../utils/creditNotes');
+const { resolveCatalogItemIds, getCatalogItemColumn } = require('../utils/catalog');
+const { resolveExpenseIds, getExpenseColumn } = require('../utils/expenses');
 
 // Apply authentication + workspace context to all routes
 router.use(authenticateToken);
@@ -32,14 +55,37 @@ const validateInvoice = [
   body('subtotal').isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
   body('tax_rate').isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
   body('currency').isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('exchange_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be a positive number'),
+  body('place_of_supply').optional({ nullable: true, checkFalsy: true }).custom((value) => resolveStateCode(value) !== null).withMessage('Place of supply must be a valid GST state code'),
+  body('items.*.hsn_sac').optional({ nullable: true, checkFalsy: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('items.*.tax_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Item GST rate must be between 0 and 100'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Unit must be at most 30 characters'),
+  body('items.*.discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('items.*.discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('items').optional().custom((items) => !Array.isArray(items)
+    || items.every((item) => !item || item.discount_type !== 'percentage' || Number(item.discount_value) <= 100))
+    .withMessage('Percentage discounts must be at most 100'),
+  body('discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number')
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || Number(value) <= 100).withMessage('Percentage discounts must be at most 100'),
 ];
 
 const validateInvoiceItem = [
   body('item_name').trim().notEmpty().withMessage('Item name is required'),
-  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
   body('unit_price').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
 ];
 
+const validateDocumentEmail = [
+  body('to').custom((value) => Array.isArray(value) || typeof value === 'string').withMessage('Recipients are required'),
+  body('cc').optional({ nullable: true }).custom((value) => Array.isArray(value) || typeof value === 'string').withMessage('CC must be a list of email addresses'),
+  body('subject').trim().notEmpty().withMessage('Subject is required').isLength({ max: 255 }).withMessage('Subject must be at most 255 characters'),
+  body('message').trim().notEmpty().withMessage('Message is required').isLength({ max: 10000 }).withMessage('Message is too long'),
+  body('attach_pdf').optional().isBoolean().withMessage('attach_pdf must be true or false'),
+  body('save_cc').optional().isBoolean().withMessage('save_cc must be true or false'),
+];
+
 // Helper function to generate invoice number
 const generateInvoiceNumber = async (req) => {
   const year = new Date().getFullYear();
@@ -52,64 +98,112 @@ const generateInvoiceNumber = async (req) => {
   return `INV-${year}-${count.toString().padStart(4, '0')}`;
 };
 
-// Helper function to calculate totals
-const calculateTotals = (items) => {
-  const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.unit_price), 0);
-  return { subtotal };
+// Helper function to calculate totals, discounts and the GST split (see utils/gst.js).
+// Without items the submitted subtotal is taxed as a single line. invoiceId: the invoice being updated, whose lines
+// keep the expenses they bill.
+const calculateInvoiceTax = async (req, workspaceId, clientId, invoiceId = null) => {
+  const { items, subtotal, tax_rate, place_of_supply, discount_type, discount_value } = req.body;
+  return resolveDocumentTax({
+    workspaceId,
+    clientId,
+    placeOfSupply: place_of_supply,
+    items: items && items.length > 0
+      ? await resolveExpenseIds(workspaceId, await resolveCatalogItemIds(workspaceId, items), invoiceId)
+      : [{ quantity: 1, unit_price: parseFloat(subtotal) || 0 }],
+    taxRate: tax_rate,
+    discountType: discount_type || null,
+    discountValue: discount_value,
+  });
 };
 
-// Helper function to update invoice status based on payment
-const updateInvoiceStatus = async (invoiceId) => {
-  const invoice = await dbQuery(
-    'SELECT total_amount, paid_amount, due_date, status FROM invoices WHERE id = ?',
-    [invoiceId]
-  );
-  
-  if (invoice.length === 0) return;
-  
-  const { total_amount, paid_amount, due_date, status: currentStatus } = invoice[0];
-  const total = parseFloat(total_amount) || 0;
-  const paid = parseFloat(paid_amount) || 0;
-  const dueDate = new Date(due_date);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  dueDate.setHours(0, 0, 0, 0);
-  
-  let newStatus = currentStatus || 'draft';
-  
-  // Don't change status if invoice is cancelled
-  if (currentStatus === 'cancelled') {
-    return;
+// Columns of an invoice line as returned by calculateTaxBreakdown (catalog and expense references come on top)
+const ITEM_COLUMNS = [
+  'item_name', 'description', 'quantity', 'unit', 'unit_price', 'discount_type', 'discount_value', 'discount_amount',
+  'total_price', 'taxable_value', 'hsn_sac', 'tax_rate', 'tax_amount'
+];
+
+const getItemValues = (line) => ITEM_COLUMNS.map((column) => line[column] ?? null);
+
+// Helper function to insert invoice items (lines as returned by calculateTaxBreakdown)
+const insertInvoiceItems = async (invoiceId, lines) => {
+  const catalog = await getCatalogItemColumn();
+  const expense = await getExpenseColumn();
+  for (const line of lines) {
+    await dbQuery(
+      `INSERT INTO invoice_items (
+        invoice_id, ${ITEM_COLUMNS.join(', ')}${catalog.column}${expense.column}
+      ) VALUES (?, ${ITEM_COLUMNS.map(() => '?').join(', ')}${catalog.placeholder}${expense.placeholder})`,
+      [invoiceId, ...getItemValues(line), ...catalog.values(line), ...expense.values(line)]
+    );
   }
-  
-  // Determine status based on payment and due date
-  if (paid >= total) {
-    // Fully paid
-    newStatus = 'paid';
-  } else if (paid > 0) {
-    // Partially paid
-    if (today > dueDate) {
-      newStatus = 'overdue'; // Overdue but partially paid
-    } else {
-      newStatus = 'partial';
-    }
-  } else {
-    // Not paid yet
-    if (today > dueDate) {
-      newStatus = 'overdue';
-    } else if (currentStatus === 'draft') {
-      newStatus = 'draft'; // Keep as draft if it was draft
-    } else {
-      newStatus = 'sent'; // Otherwise mark as sent
-    }
+};
+
+// Replace the lines of an invoice. Existing rows are updated in order, so their IDs (referenced by credit note
+// lines) are kept; extra lines are inserted and left-over rows deleted.
+const replaceInvoiceItems = async (invoiceId, lines) => {
+  const catalog = await getCatalogItemColumn();
+  const expense = await getExpenseColumn();
+  const existing = await dbQuery('SELECT id FROM invoice_items WHERE invoice_id = ? ORDER BY id', [invoiceId]);
+  const kept = existing.slice(0, lines.length);
+  for (const [index, row] of kept.entries()) {
+    const line = lines[index];
+    await dbQuery(
+      `UPDATE invoice_items SET ${ITEM_COLUMNS.map((column) => `${column} = ?`).join(', ')}${catalog.column ? `${catalog.column} = ?` : ''}${expense.column ? `${expense.column} = ?` : ''}
+       WHERE id = ?`,
+      [...getItemValues(line), ...catalog.values(line), ...expense.values(line), row.id]
+    );
   }
-  
-  await dbQuery(
-    'UPDATE invoices SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [newStatus, invoiceId]
-  );
+  await insertInvoiceItems(invoiceId, lines.slice(kept.length));
+  const removed = existing.slice(lines.length).map((row) => row.id);
+  if (removed.length > 0) {
+    await dbQuery(`DELETE FROM invoice_items WHERE id IN (${removed.map(() => '?').join(', ')})`, removed);
+  }
+};
+
+// Line fields that make up what an invoice charges
+const CHARGED_ITEM_COLUMNS = [
+  'item_name', 'description', 'quantity', 'unit', 'unit_price', 'discount_type', 'discount_value', 'hsn_sac', 'tax_rate'
+];
+
+const isSameValue = (stored, value) => {
+  const isEmpty = (v) => v === null || v === undefined || v === '';
+  if (isEmpty(stored) || isEmpty(value)) return isEmpty(stored) && isEmpty(value);
+  const storedNumber = Number(stored);
+  const number = Number(value);
+  if (!Number.isNaN(storedNumber) && !Number.isNaN(number)) return Math.abs(storedNumber - number) < 0.0005;
+  return String(stored).trim() === String(value).trim();
+};
+
+/**
+ * Whether saving `tax` would change what a stored invoice charges: its amounts, supply type or currency, or (when
+ * lines were submitted) any line
+ * @param {Object} invoice - invoices row
+ * @param {Array<Object>} storedItems - Its invoice_items rows, by id
+ * @param {Object} tax - From calculateInvoiceTax
+ * @param {boolean} withItems - Whether the request replaces the lines
+ * @param {string} currency
+ * @returns {boolean}
+ */
+const changesChargedAmounts = (invoice, storedItems, tax, withItems, currency) => {
+  const totalsChanged = [
+    [invoice.subtotal, tax.subtotal],
+    [invoice.discount_amount, tax.discountAmount],
+    [invoice.tax_amount, tax.taxAmount],
+    [invoice.total_amount, tax.totalAmount],
+    [invoice.supply_type, tax.supplyType],
+    [invoice.currency || 'USD', currency],
+  ].some(([stored, value]) => !isSameValue(stored, value));
+  if (totalsChanged || !withItems) return totalsChanged;
+  return storedItems.length !== tax.lines.length || tax.lines.some((line, index) => (
+    CHARGED_ITEM_COLUMNS.some((column) => {
+      const stored = column === 'tax_rate' ? storedItems[index].tax_rate ?? invoice.tax_rate : storedItems[index][column];
+      return !isSameValue(stored, line[column]);
+    })
+  ));
 };
 
+const gstMigrationMessage = 'GST tax breakdown or line item discounts are not available. Please run the migrations (019_gst_tax_breakdown.sql, 028_line_item_discounts.sql).';
+
 // Get all invoices with pagination and filters
 router.get('/', authorizePermission('invoices', 'view'), [
   validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -209,6 +303,7 @@ router.get('/', authorizePermission('invoices', 'view'), [
     }
 
     // Get invoices with client and project information
+    const creditedSql = await getCreditedAmountSql('i');
     const invoices = await dbQuery(
       `SELECT 
         i.*,
@@ -217,7 +312,7 @@ router.get('/', authorizePermission('invoices', 'view'), [
         c.email as client_email,
         COALESCE(p.title, NULL) as project_title,
         u.full_name as created_by_name,
-        (i.total_amount - COALESCE(i.paid_amount, 0)) as outstanding_amount
+        (i.total_amount - COALESCE(i.paid_amount, 0) - ${creditedSql}) as outstanding_amount
        FROM invoices i
        LEFT JOIN clients c ON i.client_id = c.id
        LEFT JOIN projects p ON i.project_id = p.id
@@ -305,6 +400,7 @@ router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) =>
         message: 'Workspace context required to view an invoice'
       });
     }
+    const creditedSql = await getCreditedAmountSql('i');
     const invoices = await dbQuery(
       `SELECT 
         i.*,
@@ -313,11 +409,13 @@ router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) =>
         c.email as client_email,
         c.phone as client_phone,
         c.address as client_address,
+        c.gst_number as client_gst_number,
+        c.state as client_state,
         COALESCE(p.title, NULL) as project_title,
         p.description as project_description,
         qt.quote_number as quotation_number,
         u.full_name as created_by_name,
-        (i.total_amount - COALESCE(i.paid_amount, 0)) as outstanding_amount
+        (i.total_amount - COALESCE(i.paid_amount, 0) - ${creditedSql}) as outstanding_amount
        FROM invoices i
        LEFT JOIN clients c ON i.client_id = c.id
        LEFT JOIN projects p ON i.project_id = p.id
@@ -351,6 +449,16 @@ router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) =>
       [resolvedInvoiceId]
     );
 
+    // GST summary by HSN/SAC and rate (empty for invoices without GST)
+    const taxSummary = invoice.supply_type
+      ? calculateTaxBreakdown(items, {
+        defaultRate: invoice.tax_rate,
+        supplyType: invoice.supply_type,
+        discountType: invoice.discount_type,
+        discountValue: invoice.discount_value,
+      }).summary
+      : [];
+
     // Get payment history for this invoice only
     let payments = [];
     try {
@@ -363,6 +471,10 @@ router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) =>
       console.log('Payments table not accessible or empty');
     }
 
+    // Credit notes and refunds (empty until migration 024 is applied)
+    const { creditNotes, refunds, refundedByPayment } = await getInvoiceCredits(resolvedInvoiceId);
+    payments = payments.map((payment) => ({ ...payment, refunded_amount: refundedByPayment[payment.id] || 0 }));
+
     res.set({
       'Cache-Control': 'no-cache, no-store, must-revalidate',
       'Pragma': 'no-cache',
@@ -373,8 +485,12 @@ router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) =>
       success: true,
       data: {
         ...invoice,
+        place_of_supply_name: formatPlaceOfSupply(invoice.place_of_supply),
         items,
-        payments
+        tax_summary: taxSummary,
+        payments,
+        credit_notes: creditNotes,
+        refunds
       }
     });
   } catch (error) {
@@ -406,10 +522,7 @@ router.post('/', authorizePermission('invoices', 'create'), validateInvoice, asy
       invoice_date,
       due_date,
       status,
-      subtotal,
       tax_rate,
-      tax_amount,
-      total_amount,
       currency,
       notes,
       items
@@ -463,27 +576,21 @@ router.post('/', authorizePermission('invoices', 'create'), validateInvoice, asy
     // Generate invoice number if not provided
     const finalInvoiceNumber = invoice_number || await generateInvoiceNumber(req);
 
-    // Calculate totals if not provided
-    let finalSubtotal = subtotal;
-    let finalTaxAmount = tax_amount;
-    let finalTotalAmount = total_amount;
-
-    if (items && items.length > 0) {
-      const calculated = calculateTotals(items);
-      finalSubtotal = calculated.subtotal;
-      finalTaxAmount = (finalSubtotal * (tax_rate || 0)) / 100;
-      finalTotalAmount = finalSubtotal + finalTaxAmount;
-    }
+    // Calculate totals and GST split from the items
+    const tax = await calculateInvoiceTax(req, workspaceId, client_id);
 
     // Insert invoice
     const result = await dbQuery(
       `INSERT INTO invoices (
         invoice_number, quotation_id, client_id, project_id, invoice_date, due_date,
-        status, subtotal, tax_rate, tax_amount, total_amount, currency, notes, created_by, workspace_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        status, subtotal, discount_type, discount_value, discount_amount, tax_rate, tax_amount, total_amount,
+        place_of_supply, supply_type, cgst_amount, sgst_amount, igst_amount, currency, notes, created_by, workspace_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         finalInvoiceNumber, quotation_id, client_id, project_id, invoice_date, due_date,
-        status, finalSubtotal, tax_rate || 0, finalTaxAmount, finalTotalAmount, currency || 'USD',
+        status, tax.subtotal, tax.discountType, tax.discountValue, tax.discountAmount, tax_rate || 0, tax.taxAmount,
+        tax.totalAmount, tax.placeOfSupply, tax.supplyType,
+        tax.cgstAmount, tax.sgstAmount, tax.igstAmount, currency || 'USD',
         notes, req.user.id, workspaceId || null
       ]
     );
@@ -526,23 +633,21 @@ router.post('/', authorizePermission('invoices', 'create'), validateInvoice, asy
 
     // Insert invoice items
     if (items && items.length > 0) {
-      for (const item of items) {
-        await dbQuery(
-          `INSERT INTO invoice_items (
-            invoice_id, item_name, description, quantity, unit_price, total_price
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            invoiceId,
-            item.item_name,
-            item.description,
-            item.quantity,
-            item.unit_price,
-            item.quantity * item.unit_price
-          ]
-        );
-      }
+      await insertInvoiceItems(invoiceId, tax.lines);
     }
 
+    // Capture the rate to the workspace base currency on the invoice date (see utils/currency.js)
+    await captureExchangeRate({
+      table: 'invoices',
+      id: invoiceId,
+      workspaceId,
+      currency: currency || 'USD',
+      date: invoice_date,
+      explicitRate: req.body.exchange_rate,
+    });
+
+    await auditCreate(req, 'invoices', invoiceId);
+
     // Fetch the created invoice
     const invoices = await dbQuery(
       `SELECT 
@@ -564,6 +669,9 @@ router.post('/', authorizePermission('invoices', 'create'), validateInvoice, asy
     });
   } catch (error) {
     console.error('Error creating invoice:', error);
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: gstMigrationMessage });
+    }
     // Return user-friendly message for duplicate invoice number
     if (error.code === 'ER_DUP_ENTRY' && error.sqlMessage && error.sqlMessage.includes('invoice_number')) {
       return res.status(409).json({
@@ -611,10 +719,7 @@ router.put('/:id', authorizePermission('invoices', 'edit'), validateInvoice, asy
       invoice_date,
       due_date,
       status,
-      subtotal,
       tax_rate,
-      tax_amount,
-      total_amount,
       currency,
       notes,
       items
@@ -623,7 +728,8 @@ router.put('/:id', authorizePermission('invoices', 'edit'), validateInvoice, asy
     // Check if invoice exists (scoped to workspace)
     const wsInv = getWorkspaceFilter(req, '', 'workspace_id');
     const invoiceCheck = await dbQuery(
-      `SELECT id FROM invoices WHERE id = ? ${wsInv.whereClause}`,
+      `SELECT *, DATE_FORMAT(invoice_date, '%Y-%m-%d') as invoice_day
+       FROM invoices WHERE id = ? ${wsInv.whereClause}`,
       [invoiceId, ...wsInv.whereParams]
     );
     if (invoiceCheck.length === 0) {
@@ -632,6 +738,7 @@ router.put('/:id', authorizePermission('invoices', 'edit'), validateInvoice, asy
         message: 'Invoice not found'
       });
     }
+    const before = await getAuditSnapshot('invoices', invoiceId);
 
     // Check if client exists
     const wsCli = getWorkspaceFilter(req, '', 'workspace_id');
@@ -676,16 +783,22 @@ router.put('/:id', authorizePermission('invoices', 'edit'), validateInvoice, asy
       }
     }
 
-    // Calculate totals if not provided
-    let finalSubtotal = subtotal;
-    let finalTaxAmount = tax_amount;
-    let finalTotalAmount = total_amount;
+    // Calculate totals and GST split from the items
+    const tax = await calculateInvoiceTax(req, invoiceCheck[0].workspace_id, client_id, invoiceId);
 
-    if (items && items.length > 0) {
-      const calculated = calculateTotals(items);
-      finalSubtotal = calculated.subtotal;
-      finalTaxAmount = (finalSubtotal * (tax_rate || 0)) / 100;
-      finalTotalAmount = finalSubtotal + finalTaxAmount;
+    // Once paid or credited, the invoice is corrected with credit notes: its lines (which credit note lines point
+    // at) and amounts stay as they are, like delete refuses such invoices
+    const withItems = Boolean(items && items.length > 0);
+    const paymentCheck = await dbQuery('SELECT id FROM payments WHERE invoice_id = ? LIMIT 1', [invoiceId]);
+    const credits = await getInvoiceCredits(invoiceId);
+    if (paymentCheck.length > 0 || credits.creditNotes.length > 0) {
+      const storedItems = await dbQuery('SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id', [invoiceId]);
+      if (changesChargedAmounts(invoiceCheck[0], storedItems, tax, withItems, currency || 'USD')) {
+        return res.status(409).json({
+          success: false,
+          message: 'This invoice has payments or credit notes, so its items and amounts can no longer be changed. Issue a credit note instead.'
+        });
+      }
     }
 
     // Update invoice
@@ -693,41 +806,41 @@ router.put('/:id', authorizePermission('invoices', 'edit'), validateInvoice, asy
     await dbQuery(
       `UPDATE invoices SET
         invoice_number = ?, quotation_id = ?, client_id = ?, project_id = ?, invoice_date = ?, due_date = ?,
-        status = ?, subtotal = ?, tax_rate = ?, tax_amount = ?, total_amount = ?, currency = ?,
-        notes = ?, updated_at = CURRENT_TIMESTAMP
+        status = ?, subtotal = ?, discount_type = ?, discount_value = ?, discount_amount = ?, tax_rate = ?, tax_amount = ?,
+        total_amount = ?, place_of_supply = ?, supply_type = ?, cgst_amount = ?, sgst_amount = ?, igst_amount = ?,
+        currency = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
        WHERE id = ? ${wsUpd.whereClause}`,
       [
         invoice_number, quotation_id, client_id, project_id, invoice_date, due_date,
-        status, finalSubtotal, tax_rate || 0, finalTaxAmount, finalTotalAmount, currency || 'USD',
+        status, tax.subtotal, tax.discountType, tax.discountValue, tax.discountAmount, tax_rate || 0, tax.taxAmount,
+        tax.totalAmount, tax.placeOfSupply, tax.supplyType,
+        tax.cgstAmount, tax.sgstAmount, tax.igstAmount, currency || 'USD',
         notes, invoiceId, ...wsUpd.whereParams
       ]
     );
 
-    // Update invoice items
-    if (items && items.length > 0) {
-      // Delete existing items
-      await dbQuery('DELETE FROM invoice_items WHERE invoice_id = ?', [invoiceId]);
-
-      // Insert new items
-      for (const item of items) {
-        await dbQuery(
-          `INSERT INTO invoice_items (
-            invoice_id, item_name, description, quantity, unit_price, total_price
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            invoiceId,
-            item.item_name,
-            item.description,
-            item.quantity,
-            item.unit_price,
-            item.quantity * item.unit_price
-          ]
-        );
-      }
+    // Update invoice items in place
+    if (withItems) {
+      await replaceInvoiceItems(invoiceId, tax.lines);
+    }
+
+    // Re-capture the exchange rate when the currency or date changed (or a rate was entered)
+    const current = invoiceCheck[0];
+    if (req.body.exchange_rate || !before || before.exchange_rate == null
+      || current.currency !== (currency || 'USD') || current.invoice_day !== String(invoice_date).substring(0, 10)) {
+      await captureExchangeRate({
+        table: 'invoices',
+        id: invoiceId,
+        workspaceId: current.workspace_id,
+        currency: currency || 'USD',
+        date: invoice_date,
+        explicitRate: req.body.exchange_rate,
+      });
     }
 
     // Update invoice status
-    await updateInvoiceStatus(invoiceId);
+    await updateInvoiceStatus(invoiceId, invoiceCheck[0].status);
+    await auditUpdate(req, 'invoices', invoiceId, before);
 
     // Fetch the updated invoice
     const invoices = await dbQuery(
@@ -750,6 +863,9 @@ router.put('/:id', authorizePermission('invoices', 'edit'), validateInvoice, asy
     });
   } catch (error) {
     console.error('Error updating invoice:', error);
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: gstMigrationMessage });
+    }
     if (error.code === 'ER_DUP_ENTRY' && error.sqlMessage && error.sqlMessage.includes('invoice_number')) {
       return res.status(409).json({
         success: false,
@@ -776,6 +892,7 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
   body('payment_date').isISO8601().withMessage('Valid payment date is required'),
   body('reference_number').optional().isString().withMessage('Reference number must be a string'),
   body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('exchange_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Exchange rate must be a positive number'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -829,7 +946,7 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
     const currentPaidAmount = parseFloat(invoice.paid_amount) || 0;
     const totalAmount = parseFloat(invoice.total_amount) || 0;
     const paymentAmount = parseFloat(amount);
-    const outstandingAmount = totalAmount - currentPaidAmount;
+    const outstandingAmount = getInvoiceBalance(invoice);
     
     // Check for negative or zero amounts
     if (paymentAmount <= 0) {
@@ -848,7 +965,7 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
     }
     
     // Check if invoice is already fully paid (with small tolerance for rounding)
-    if (currentPaidAmount >= totalAmount - 0.01) {
+    if (outstandingAmount <= 0.01) {
       return res.status(400).json({
         success: false,
         message: 'Invoice is already fully paid'
@@ -863,8 +980,10 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
       });
     }
 
+    const before = await getAuditSnapshot('invoices', invoiceId);
+
     // Insert payment record
-    await dbQuery(
+    const paymentResult = await dbQuery(
       `INSERT INTO payments (
         invoice_id, amount, payment_method, payment_date, reference_number, notes, created_by
       ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -876,8 +995,8 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
     // Update invoice paid amount
     const newPaidAmount = currentPaidAmount + paymentAmount;
     
-    // Ensure paid amount doesn't exceed total amount (safety check)
-    const finalPaidAmount = Math.min(newPaidAmount, totalAmount);
+    // Ensure paid amount doesn't exceed the amount left after credit notes (safety check)
+    const finalPaidAmount = Math.min(newPaidAmount, totalAmount - (parseFloat(invoice.credited_amount) || 0));
     
     const wsPaid = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(
@@ -886,9 +1005,23 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
     );
 
     // Update invoice status
-    await updateInvoiceStatus(invoiceId);
+    await updateInvoiceStatus(invoiceId, invoice.status);
+
+    // Rate on the payment date; the difference to the invoice rate is the realised FX gain/loss
+    await captureExchangeRate({
+      table: 'payments',
+      id: paymentResult.insertId,
+      workspaceId: invoice.workspace_id,
+      currency: invoice.currency || 'USD',
+      date: payment_date,
+      explicitRate: req.body.exchange_rate,
+    });
+
+    await auditCreate(req, 'payments', paymentResult.insertId, 'payment_recorded');
+    await auditUpdate(req, 'invoices', invoiceId, before, 'payment_recorded');
 
     // Fetch updated invoice with all related data
+    const creditedSql = await getCreditedAmountSql('i');
     const updatedInvoices = await dbQuery(
       `SELECT 
         i.*,
@@ -900,7 +1033,7 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
         p.title as project_title,
         qt.quote_number as quotation_number,
         u.full_name as created_by_name,
-        (i.total_amount - i.paid_amount) as outstanding_amount
+        (i.total_amount - i.paid_amount - ${creditedSql}) as outstanding_amount
        FROM invoices i
        LEFT JOIN clients c ON i.client_id = c.id
        LEFT JOIN projects p ON i.project_id = p.id
@@ -915,7 +1048,7 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
       message: 'Payment recorded successfully',
       data: {
         paid_amount: finalPaidAmount,
-        outstanding_amount: updatedInvoices[0].total_amount - finalPaidAmount,
+        outstanding_amount: getInvoiceBalance(updatedInvoices[0]),
         status: updatedInvoices[0].status,
         invoice: updatedInvoices[0]
       }
@@ -929,6 +1062,101 @@ router.post('/:id/payment', authorizePermission('invoices', 'record_payment'), [
   }
 });
 
+// Refund (part of) a payment; lowers the invoice's paid amount
+router.post('/:id/payments/:paymentId/refunds', authorizePermission('invoices', 'record_payment'), [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Refund amount must be greater than 0'),
+  body('refund_method').trim().notEmpty().withMessage('Refund method is required'),
+  body('refund_date').isISO8601().withMessage('Valid refund date is required'),
+  body('reference_number').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Reference number must be at most 100 characters'),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+  body('credit_note_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid credit note ID is required'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invoiceId = parseInvoiceId(req.params.id);
+    const paymentId = parseInvoiceId(req.params.paymentId);
+    if (invoiceId === null || paymentId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const ws = getWorkspaceFilter(req, '', 'workspace_id');
+    const invoiceCheck = await dbQuery(
+      `SELECT id, client_id FROM invoices WHERE id = ? ${ws.whereClause}`,
+      [invoiceId, ...ws.whereParams]
+    );
+    if (invoiceCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (!canAccessClientData(req, invoiceCheck[0].client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage payments for your own invoices.'
+      });
+    }
+
+    const before = await getAuditSnapshot('invoices', invoiceId);
+    const { amount, refund_method, refund_date, reference_number, reason, credit_note_id } = req.body;
+    const result = await recordRefund({
+      invoiceId,
+      paymentId,
+      amount: parseFloat(amount),
+      refundDate: String(refund_date).substring(0, 10),
+      refundMethod: refund_method.trim(),
+      referenceNumber: reference_number,
+      reason,
+      creditNoteId: credit_note_id ? parseInt(credit_note_id, 10) : null,
+      userId: req.user.id
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await auditCreate(req, 'refunds', result.refundId, 'refund_recorded');
+    await auditUpdate(req, 'invoices', invoiceId, before, 'refund_recorded');
+
+    const updatedInvoices = await dbQuery('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+    res.status(201).json({
+      success: true,
+      message: 'Refund recorded successfully',
+      data: {
+        refund_id: result.refundId,
+        paid_amount: updatedInvoices[0].paid_amount,
+        outstanding_amount: getInvoiceBalance(updatedInvoices[0]),
+        status: updatedInvoices[0].status
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Refunds are not available. Please run the migration (024_credit_notes.sql).'
+      });
+    }
+    console.error('Error recording refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record refund'
+    });
+  }
+});
+
 // Delete invoice
 router.delete('/:id', authorizePermission('invoices', 'delete'), async (req, res) => {
   try {
@@ -962,12 +1190,24 @@ router.delete('/:id', authorizePermission('invoices', 'delete'), async (req, res
       });
     }
 
+    // Credit notes keep their invoice (cancel them instead)
+    const credits = await getInvoiceCredits(invoiceId);
+    if (credits.creditNotes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete invoice with credit notes'
+      });
+    }
+
+    const before = await getAuditSnapshot('invoices', invoiceId);
+
     // Delete invoice items first
     await dbQuery('DELETE FROM invoice_items WHERE invoice_id = ?', [invoiceId]);
 
     // Delete invoice
     const wsD = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(`DELETE FROM invoices WHERE id = ? ${wsD.whereClause}`, [invoiceId, ...wsD.whereParams]);
+    await auditDelete(req, 'invoices', invoiceId, before);
 
     res.json({
       success: true,
@@ -986,6 +1226,7 @@ router.delete('/:id', authorizePermission('invoices', 'delete'), async (req, res
 router.get('/stats/overview', authorizePermission('invoices', 'view'), async (req, res) => {
   try {
     const ws = getWorkspaceFilter(req, '', 'workspace_id');
+    const creditedSql = await getCreditedAmountSql('invoices');
     const stats = await dbQuery(`
       SELECT
         COUNT(*) as total_invoices,
@@ -997,7 +1238,8 @@ router.get('/stats/overview', authorizePermission('invoices', 'view'), async (re
         COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_invoices,
         SUM(total_amount) as total_billed,
         SUM(paid_amount) as total_paid,
-        SUM(total_amount - paid_amount) as total_outstanding,
+        SUM(${creditedSql}) as total_credited,
+        SUM(total_amount - paid_amount - ${creditedSql}) as total_outstanding,
         AVG(total_amount) as avg_invoice_amount
       FROM invoices
       WHERE 1=1 ${ws.whereClause}
@@ -1055,43 +1297,14 @@ router.get('/:id/download', authorizePermission('invoices', 'view'), async (req,
         message: 'Invoice not found'
       });
     }
-    const PDFDocument = require('pdfkit');
-
-    // Fetch invoice data
-    const ws = getWorkspaceFilter(req, 'i', 'workspace_id');
-    const invoices = await dbQuery(
-      `SELECT 
-        i.*,
-        c.full_name as client_name,
-        c.company_name as client_company,
-        c.email as client_email,
-        c.phone as client_phone,
-        c.address as client_address,
-        c.city as client_city,
-        c.state as client_state,
-        c.country as client_country,
-        c.postal_code as client_postal_code,
-        p.title as project_title,
-        qt.quote_number as quotation_number,
-        u.full_name as created_by_name
-       FROM invoices i
-       LEFT JOIN clients c ON i.client_id = c.id
-       LEFT JOIN projects p ON i.project_id = p.id
-       LEFT JOIN quotations qt ON i.quotation_id = qt.id
-       LEFT JOIN users u ON i.created_by = u.id
-       WHERE i.id = ? ${ws.whereClause}`,
-      [invoiceId, ...ws.whereParams]
-    );
-
-    if (invoices.length === 0) {
+    const invoice = await loadInvoiceForPdf(invoiceId, getWorkspaceFilter(req, 'i', 'workspace_id'));
+    if (!invoice) {
       return res.status(404).json({
         success: false,
         message: 'Invoice not found'
       });
     }
 
-    const invoice = invoices[0];
-
     // Check if client user can access this invoice's data
     if (!canAccessClientData(req, invoice.client_id)) {
       return res.status(403).json({
@@ -1100,414 +1313,206 @@ router.get('/:id/download', authorizePermission('invoices', 'view'), async (req,
       });
     }
 
-    // Fetch workspace and optional invoice "From" details (workspace-isolated: invoice.workspace_id is already scoped)
-    let workspace = null;
-    if (invoice.workspace_id) {
-      try {
-        const wsRows = await dbQuery(
-          `SELECT id, name, invoice_from_name, invoice_from_email, invoice_from_phone, invoice_from_address 
-           FROM workspaces WHERE id = ?`,
-          [invoice.workspace_id]
-        );
-        if (wsRows.length > 0) workspace = wsRows[0];
-      } catch (wsErr) {
-        if (wsErr.code === 'ER_BAD_FIELD_ERROR') {
-          const fallback = await dbQuery('SELECT id, name FROM workspaces WHERE id = ?', [invoice.workspace_id]);
-          if (fallback.length > 0) workspace = fallback[0];
-        } else {
-          console.warn('Workspace fetch for PDF failed:', wsErr.message);
-        }
-      }
-    }
-    const hasConfiguredFrom = workspace && (
-      (workspace.invoice_from_name && String(workspace.invoice_from_name).trim()) ||
-      (workspace.invoice_from_email && String(workspace.invoice_from_email).trim()) ||
-      (workspace.invoice_from_phone && String(workspace.invoice_from_phone).trim()) ||
-      (workspace.invoice_from_address && String(workspace.invoice_from_address).trim())
-    );
-    const fromName = hasConfiguredFrom && workspace.invoice_from_name
-      ? String(workspace.invoice_from_name).trim()
-      : ((workspace && workspace.name) ? String(workspace.name) : (process.env.APP_NAME || 'Client Management System'));
-    const fromSubtext = hasConfiguredFrom ? null : ((workspace && workspace.name) ? 'Workspace' : 'System Administrator');
-    const fromEmail = (workspace && workspace.invoice_from_email) ? String(workspace.invoice_from_email).trim() : null;
-    const fromPhone = (workspace && workspace.invoice_from_phone) ? String(workspace.invoice_from_phone).trim() : null;
-    const fromAddress = (workspace && workspace.invoice_from_address) ? String(workspace.invoice_from_address).trim() : null;
-    const footerBrand = (workspace && workspace.name) ? String(workspace.name) : 'W | Technology';
-
-    // Get invoice items
-    const items = await dbQuery(
-      'SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id',
-      [invoiceId]
-    );
-
-    // Get payments for this invoice
-    const payments = await dbQuery(
-      'SELECT * FROM payments WHERE invoice_id = ? ORDER BY payment_date DESC, created_at DESC',
-      [invoiceId]
-    );
-
-    // Calculate subtotal from items if not present
-    if (!invoice.subtotal && items && items.length > 0) {
-      invoice.subtotal = items.reduce((sum, item) => sum + (parseFloat(item.total_price) || 0), 0);
-    }
-
-    // Create PDF document with optimized margins
-    const doc = new PDFDocument({ 
-      margin: 40, 
-      size: 'A4',
-      info: {
-        Title: `Invoice ${invoice.invoice_number}`,
-        Author: process.env.APP_NAME || 'Client Management System'
-      }
-    });
-    
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="Invoice-${invoice.invoice_number}.pdf"`);
 
-    // Pipe PDF to response
-    doc.pipe(res);
-
-    // Constants for layout (A4 = 595.28 x 841.89 pts; keep all content within contentWidth)
-    const pageWidth = doc.page.width;
-    const pageHeight = doc.page.height;
-    const margin = 40;
-    const contentWidth = Math.min(pageWidth - (margin * 2), 515); // cap so table/summary never overflow
-    const maxContentHeight = pageHeight - (margin * 2);
-    
-    // Table column layout - must fit within contentWidth (515)
-    const colLayout = {
-      item: { x: margin + 5, width: 72 },
-      desc: { x: margin + 82, width: 228 },
-      qty: { x: margin + 315, width: 32 },
-      unit: { x: margin + 352, width: 78 },
-      total: { x: margin + 435, width: 78 }
-    };
-
-    // Calculate available space for items (reserve space for header, from/to, summary, status badge, payment method, footer)
-    const headerHeight = 85;
-    const fromToHeight = 110;
-    const summaryHeight = 180;
-    const paymentMethodHeight = 20;
-    const footerHeight = 60;
-    const tableHeaderHeight = 28;
-    const itemRowMinHeight = 28;
-    const availableHeightForItems = maxContentHeight - headerHeight - fromToHeight - summaryHeight - paymentMethodHeight - footerHeight - tableHeaderHeight;
-    const maxItemsPerPage = Math.max(1, Math.floor(availableHeightForItems / (itemRowMinHeight + 12))); // assume some rows may be taller for wrapped desc
-
-    // Helper function to add header to each page
-    const addPageHeader = (pageNum = 1) => {
-      // Top border line
-      doc.strokeColor('#E5E7EB').lineWidth(1);
-      doc.moveTo(margin, margin).lineTo(pageWidth - margin, margin).stroke();
-      
-      // Title
-      doc.fontSize(28).font('Helvetica-Bold').fillColor('#111827');
-      doc.text('INVOICE', margin, margin + 10);
-      
-      // Invoice details (right aligned, within content width)
-      doc.fontSize(10).font('Helvetica').fillColor('#6B7280');
-      const contentRight = margin + contentWidth;
-      const headerBlockWidth = 200;
-      doc.text(`Invoice #: ${invoice.invoice_number}`, contentRight, margin + 15, { width: headerBlockWidth, align: 'right' });
-      doc.text(`Date: ${new Date(invoice.invoice_date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`, contentRight, margin + 30, { width: headerBlockWidth, align: 'right' });
-      doc.text(`Due Date: ${new Date(invoice.due_date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`, contentRight, margin + 45, { width: headerBlockWidth, align: 'right' });
-    };
-
-    // Helper function to add from/to section (uses workspace; when configured, uses invoice From details)
-    const addFromToSection = (startY) => {
-      doc.fontSize(9).fillColor('#6B7280').font('Helvetica-Bold');
-      doc.text('FROM:', margin, startY);
-      doc.fontSize(12).fillColor('#111827').font('Helvetica-Bold');
-      doc.text(fromName, margin, startY + 14);
-      let fromY = startY + 28;
-      if (fromSubtext) {
-        doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
-        doc.text(fromSubtext, margin, fromY);
-        fromY += 14;
-      }
-      if (fromEmail || fromPhone || fromAddress) {
-        doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
-        if (fromEmail) {
-          doc.text(fromEmail, margin, fromY);
-          fromY += 14;
-        }
-        if (fromPhone) {
-          doc.text(fromPhone, margin, fromY);
-          fromY += 14;
-        }
-        if (fromAddress) {
-          const addrLines = doc.heightOfString(fromAddress, { width: 200 });
-          doc.text(fromAddress, margin, fromY, { width: 200 });
-          fromY += Math.max(14, addrLines);
-        }
-      }
-      
-      // To section (within content width)
-      const toX = margin + 280;
-      const toBlockWidth = Math.max(200, (margin + contentWidth) - toX - 5);
-      doc.fontSize(9).fillColor('#6B7280').font('Helvetica-Bold');
-      doc.text('BILL TO:', toX, startY);
-      doc.fontSize(12).fillColor('#111827').font('Helvetica-Bold');
-      doc.text((invoice.client_name || '').toString(), toX, startY + 14, { width: toBlockWidth, ellipsis: true });
-
-      let toY = startY + 28;
-      if (invoice.client_company) {
-        doc.fontSize(10).fillColor('#374151').font('Helvetica');
-        doc.text(invoice.client_company.toString(), toX, toY, { width: toBlockWidth, ellipsis: true });
-        toY += 14;
-      }
-      if (invoice.client_address) {
-        doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
-        const addressLines = doc.heightOfString(invoice.client_address.toString(), { width: toBlockWidth });
-        doc.text(invoice.client_address.toString(), toX, toY, { width: toBlockWidth });
-        toY += Math.max(12, addressLines);
-      }
-      if (invoice.client_city || invoice.client_state || invoice.client_postal_code) {
-        const cityState = [invoice.client_city, invoice.client_state, invoice.client_postal_code].filter(Boolean).join(', ');
-        doc.text(cityState, toX, toY, { width: toBlockWidth, ellipsis: true });
-        toY += 12;
-      }
-      if (invoice.client_email) {
-        doc.text(`Email: ${invoice.client_email}`, toX, toY, { width: toBlockWidth, ellipsis: true });
-        toY += 12;
-      }
-      if (invoice.client_phone) {
-        doc.text(`Phone: ${invoice.client_phone}`, toX, toY, { width: toBlockWidth, ellipsis: true });
-      }
-    };
-
-    // Helper function to add table header
-    const addTableHeader = (y) => {
-      const tableLeft = margin;
-      const headerHeight = 28;
-
-      doc.rect(tableLeft, y, contentWidth, headerHeight).fill('#4F46E5');
-      doc.fontSize(10).fillColor('#FFFFFF').font('Helvetica-Bold');
-      doc.text('Item', colLayout.item.x, y + 9, { width: colLayout.item.width });
-      doc.text('Description', colLayout.desc.x, y + 9, { width: colLayout.desc.width });
-      doc.text('Qty', colLayout.qty.x, y + 9, { width: colLayout.qty.width, align: 'right' });
-      doc.text('Unit Price', colLayout.unit.x, y + 9, { width: colLayout.unit.width, align: 'right' });
-      doc.text('Total', colLayout.total.x, y + 9, { width: colLayout.total.width, align: 'right' });
-    };
-
-    // Helper function to add summary section (all content within contentWidth)
-    const addSummarySection = (y) => {
-      const summaryWidth = Math.min(200, contentWidth - 20);
-      const summaryRight = margin + contentWidth;
-      const summaryLeft = summaryRight - summaryWidth;
-      const labelWidth = 85;
-      const valueWidth = 105;
-
-      const subtotal = parseFloat(invoice.subtotal) || 0;
-      const taxRate = parseFloat(invoice.tax_rate) || 0;
-      const taxAmount = parseFloat(invoice.tax_amount) || 0;
-      const totalAmount = parseFloat(invoice.total_amount) || 0;
-      const paidAmount = parseFloat(invoice.paid_amount) || 0;
-      const outstanding = Math.max(0, totalAmount - paidAmount);
-
-      const boxHeight = 140;
-      doc.strokeColor('#E5E7EB').lineWidth(1);
-      doc.rect(summaryLeft, y - 10, summaryWidth, boxHeight).stroke();
-      doc.fillColor('#FAFBFC');
-      doc.rect(summaryLeft, y - 10, summaryWidth, boxHeight).fill();
-
-      doc.fontSize(10).font('Helvetica-Bold').fillColor('#111827');
-      doc.text('Summary', summaryLeft + 5, y - 5);
-
-      doc.strokeColor('#E5E7EB').lineWidth(0.5);
-      doc.moveTo(summaryLeft, y + 8).lineTo(summaryRight, y + 8).stroke();
-
-      // Value box must end at summaryRight (PDFKit uses x as left edge of box, so x = summaryRight - valueWidth)
-      const valueX = summaryRight - valueWidth;
-
-      doc.fontSize(10).font('Helvetica').fillColor('#111827');
-      doc.text('Subtotal:', summaryLeft + 5, y + 15, { width: labelWidth, align: 'right' });
-      doc.text(formatCurrencyForPdf(subtotal, invoice.currency), valueX, y + 15, { width: valueWidth, align: 'right' });
-
-      doc.text(`Tax (${taxRate.toFixed(2)}%):`, summaryLeft + 5, y + 32, { width: labelWidth, align: 'right' });
-      doc.text(formatCurrencyForPdf(taxAmount, invoice.currency), valueX, y + 32, { width: valueWidth, align: 'right' });
-
-      doc.strokeColor('#E5E7EB').lineWidth(0.5);
-      doc.moveTo(summaryLeft, y + 48).lineTo(summaryRight, y + 48).stroke();
-
-      doc.fontSize(13).font('Helvetica-Bold').fillColor('#111827');
-      doc.text('Total:', summaryLeft + 5, y + 55, { width: labelWidth, align: 'right' });
-      doc.text(formatCurrencyForPdf(totalAmount, invoice.currency), valueX, y + 55, { width: valueWidth, align: 'right' });
-
-      doc.fontSize(10).font('Helvetica').fillColor('#111827');
-      doc.text('Paid:', summaryLeft + 5, y + 75, { width: labelWidth, align: 'right' });
-      doc.text(formatCurrencyForPdf(paidAmount, invoice.currency), valueX, y + 75, { width: valueWidth, align: 'right' });
-
-      doc.fontSize(10).font('Helvetica-Bold').fillColor(outstanding > 0 ? '#DC2626' : '#10B981');
-      doc.text('Outstanding:', summaryLeft + 5, y + 92, { width: labelWidth, align: 'right' });
-      doc.text(formatCurrencyForPdf(outstanding, invoice.currency), valueX, y + 92, { width: valueWidth, align: 'right' });
-
-      const statusY = y + 118;
-      const statusColors = {
-        'draft': '#9CA3AF',
-        'sent': '#3B82F6',
-        'paid': '#10B981',
-        'partial': '#F59E0B',
-        'overdue': '#EF4444',
-        'cancelled': '#6B7280'
-      };
-      const statusColor = statusColors[invoice.status] || '#6B7280';
-      const statusText = invoice.status ? invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1) : 'Draft';
-      const badgeWidth = Math.min(90, summaryWidth - 10);
-      const statusX = summaryRight - badgeWidth - 5;
-
-      doc.roundedRect(statusX, statusY, badgeWidth, 18, 4).fill(statusColor);
-      doc.fontSize(9).fillColor('#FFFFFF').font('Helvetica-Bold');
-      doc.text(statusText, statusX + 4, statusY + 5, { width: badgeWidth - 8, align: 'center' });
-    };
-
-    // Helper function to add payment method section
-    const addPaymentMethodSection = (y) => {
-      if (!payments || payments.length === 0) {
-        return;
-      }
-      
-      // Get unique payment methods
-      const paymentMethods = [...new Set(payments.map(p => p.payment_method).filter(Boolean))];
-      
-      if (paymentMethods.length === 0) {
-        return;
-      }
-      
-      doc.fontSize(9).fillColor('#374151').font('Helvetica-Bold');
-      doc.text('Payment Type:', margin, y);
-      doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
-      doc.text(paymentMethods.join(', '), margin + 80, y);
-    };
-
-    // Helper function to add footer (uses workspace when available)
-    const addFooter = (pageNum, totalPages) => {
-      const footerY = pageHeight - margin - 50;
-      
-      // Footer divider line
-      doc.strokeColor('#E5E7EB').lineWidth(0.5);
-      doc.moveTo(margin, footerY - 15).lineTo(pageWidth - margin, footerY - 15).stroke();
-      
-      // Copyright and contact info – workspace name when available
-      doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
-      const copyrightText = `© ${new Date().getFullYear()} ${footerBrand}. All rights reserved.`;
-      doc.text(copyrightText, margin, footerY - 10, { width: contentWidth, align: 'center' });
-      
-      doc.fontSize(7).fillColor('#9CA3AF').font('Helvetica');
-      const contactText = 'For any queries, please contact your workspace administrator.';
-      doc.text(contactText, margin, footerY, { width: contentWidth, align: 'center' });
-      
-      // Generation info
-      const genY = footerY + 12;
-      doc.fontSize(7).fillColor('#9CA3AF').font('Helvetica');
-      const footerText = `Generated on ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}${totalPages > 1 ? ` | Page ${pageNum} of ${totalPages}` : ''}`;
-      doc.text(footerText, margin, genY, { width: contentWidth, align: 'center' });
-    };
-
-    // Calculate pagination
-    const totalItems = items && items.length > 0 ? items.length : 1;
-    const totalPages = Math.max(1, Math.ceil(totalItems / maxItemsPerPage));
-
-    // Generate pages
-    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-      if (pageNum > 1) {
-        doc.addPage();
-      }
-
-      // Add header
-      addPageHeader(pageNum);
-
-      // Add from/to section
-      const fromToY = margin + 85;
-      addFromToSection(fromToY);
-
-      // Calculate items for this page
-      const startIndex = (pageNum - 1) * maxItemsPerPage;
-      const endIndex = Math.min(startIndex + maxItemsPerPage, totalItems);
-      const pageItems = items && items.length > 0 ? items.slice(startIndex, endIndex) : [];
-
-      // Add table header
-      const tableHeaderY = fromToY + 110;
-      addTableHeader(tableHeaderY);
-
-      // Add items (columns and description wrap within contentWidth)
-      let currentY = tableHeaderY + 28;
-      const tableLeft = margin;
-
-      if (pageItems.length > 0) {
-        pageItems.forEach((item, index) => {
-          const descText = (item.description || 'N/A').toString();
-          doc.fontSize(8);
-          const descHeight = Math.ceil(doc.heightOfString(descText, { width: colLayout.desc.width }));
-          const rowHeight = Math.max(itemRowMinHeight, descHeight + 14);
-
-          if (currentY + rowHeight > pageHeight - margin - summaryHeight - paymentMethodHeight - footerHeight && pageNum < totalPages) {
-            return;
-          }
+    await writeInvoicePdf(invoice, res);
+  } catch (error) {
+    console.error('Error generating PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
 
-          const bgColor = (startIndex + index) % 2 === 0 ? '#F9FAFB' : '#FFFFFF';
-          doc.rect(tableLeft, currentY, contentWidth, rowHeight).fill(bgColor);
+// Online pay link of an invoice (the same link as in its emails and PDF)
+router.get('/:id/payment-link', authorizePermission('invoices', 'view'), async (req, res) => {
+  try {
+    const invoiceId = parseInvoiceId(req.params.id);
+    if (invoiceId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    const wsFilter = getWorkspaceFilter(req, '', 'workspace_id');
+    const invoices = await dbQuery(
+      `SELECT * FROM invoices WHERE id = ? ${wsFilter.whereClause}`,
+      [invoiceId, ...wsFilter.whereParams]
+    );
+    if (invoices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (!canAccessClientData(req, invoices[0].client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view invoices associated with your account.'
+      });
+    }
 
-          doc.fontSize(9).fillColor('#111827').font('Helvetica');
-          doc.text((item.item_name || 'N/A').toString(), colLayout.item.x, currentY + 8, { width: colLayout.item.width, ellipsis: true });
+    if (!('payment_token' in invoices[0])) {
+      return res.status(501).json({
+        success: false,
+        message: 'Online payments are not available. Please run the migration (023_online_payments.sql).'
+      });
+    }
+    const gateway = getActiveGateway();
+    if (!gateway) {
+      return res.status(400).json({
+        success: false,
+        message: 'Online payments are not configured (PAYMENT_GATEWAY).'
+      });
+    }
+    const url = await getInvoicePaymentUrl(invoices[0]);
+    if (!url) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only sent, partially paid or overdue invoices with an amount outstanding can be paid online.'
+      });
+    }
 
-          doc.fillColor('#6B7280').fontSize(8);
-          doc.text(descText, colLayout.desc.x, currentY + 8, { width: colLayout.desc.width });
+    res.json({
+      success: true,
+      data: { url, gateway: { key: gateway.key, name: gateway.name } }
+    });
+  } catch (error) {
+    console.error('Error fetching payment link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment link'
+    });
+  }
+});
 
-          doc.fillColor('#111827').fontSize(9);
-          doc.text(String(item.quantity || 0), colLayout.qty.x, currentY + 8, { width: colLayout.qty.width, align: 'right' });
-          doc.text(formatCurrencyForPdf(item.unit_price || 0, invoice.currency), colLayout.unit.x, currentY + 8, { width: colLayout.unit.width, align: 'right' });
-          doc.font('Helvetica-Bold');
-          doc.text(formatCurrencyForPdf(item.total_price || 0, invoice.currency), colLayout.total.x, currentY + 8, { width: colLayout.total.width, align: 'right' });
+// Email defaults (recipients, CC, subject, message) and send history of an invoice
+router.get('/:id/emails', authorizePermission('invoices', 'view'), async (req, res) => {
+  try {
+    const invoiceId = parseInvoiceId(req.params.id);
+    const invoice = invoiceId === null ? null : await loadInvoiceForPdf(invoiceId, getWorkspaceFilter(req, 'i', 'workspace_id'));
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (!canAccessClientData(req, invoice.client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view invoices associated with your account.'
+      });
+    }
 
-          currentY += rowHeight;
-        });
-      } else {
-        doc.rect(tableLeft, currentY, contentWidth, itemRowMinHeight).fill('#F9FAFB');
-        doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
-        doc.text('No items', colLayout.item.x, currentY + 9);
-        currentY += itemRowMinHeight;
+    res.json({
+      success: true,
+      data: {
+        defaults: await getDocumentEmailDefaults('invoice', invoice),
+        history: await getDocumentEmailHistory('invoice', invoiceId)
       }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Emailing invoices is not available. Please run the migration (021_document_emails.sql).'
+      });
+    }
+    console.error('Get invoice emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invoice emails'
+    });
+  }
+});
 
-      // Add summary section (only on last page)
-      if (pageNum === totalPages) {
-        // Ensure summary is positioned correctly
-        const minSummaryY = currentY + 15;
-        const maxSummaryY = pageHeight - margin - summaryHeight - paymentMethodHeight - footerHeight - 10;
-        const summaryY = Math.min(minSummaryY, maxSummaryY);
-        
-        addSummarySection(summaryY);
-
-        // Add payment method section (below status badge)
-        const paymentMethodY = summaryY + 180;
-        if (paymentMethodY + paymentMethodHeight < pageHeight - margin - footerHeight) {
-          addPaymentMethodSection(paymentMethodY);
-        }
+// Email an invoice (PDF attached) to the client; the send is recorded as an outbound email conversation
+router.post('/:id/send', authorizePermission('invoices', 'edit'), validateDocumentEmail, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
 
-        // Add notes if available and space permits
-        const notesY = paymentMethodY + 25;
-        if (invoice.notes && notesY + 50 < pageHeight - margin - footerHeight) {
-          doc.fontSize(9).fillColor('#111827').font('Helvetica-Bold');
-          doc.text('Notes:', margin, notesY);
-          doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
-          const notesHeight = doc.heightOfString(invoice.notes, { width: contentWidth - 100 });
-          doc.text(invoice.notes, margin, notesY + 12, { width: contentWidth - 100 });
-        }
-      }
+    const invoiceId = parseInvoiceId(req.params.id);
+    const invoice = invoiceId === null ? null : await loadInvoiceForPdf(invoiceId, getWorkspaceFilter(req, 'i', 'workspace_id'));
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    if (invoice.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancelled invoices cannot be sent'
+      });
+    }
 
-      // Add footer
-      addFooter(pageNum, totalPages);
+    const to = parseEmailList(req.body.to);
+    const cc = parseEmailList(req.body.cc);
+    if (to.invalid.length > 0 || cc.invalid.length > 0 || to.emails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: to.emails.length === 0 && to.invalid.length === 0
+          ? 'At least one recipient is required'
+          : `Invalid email address: ${[...to.invalid, ...cc.invalid].join(', ')}`
+      });
     }
 
-    // Finalize PDF
-    doc.end();
+    const result = await deliverDocumentEmail({
+      documentType: 'invoice',
+      document: invoice,
+      to: to.emails,
+      cc: cc.emails,
+      subject: req.body.subject.trim(),
+      message: req.body.message.trim(),
+      attachPdf: req.body.attach_pdf !== false,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Failed to send invoice: ${result.error || 'email could not be delivered'}`
+      });
+    }
+
+    if (req.body.save_cc) {
+      await saveClientCcEmails(invoice.client_id, cc.emails);
+    }
+    if (invoice.status === 'draft') {
+      const before = await getAuditSnapshot('invoices', invoiceId);
+      await dbQuery("UPDATE invoices SET status = 'sent' WHERE id = ?", [invoiceId]);
+      await auditUpdate(req, 'invoices', invoiceId, before, 'invoice_sent');
+    }
 
+    res.json({
+      success: true,
+      message: 'Invoice sent successfully',
+      data: {
+        email_id: result.emailId,
+        conversation_id: result.conversationId,
+        status: invoice.status === 'draft' ? 'sent' : invoice.status
+      }
+    });
   } catch (error) {
-    console.error('Error generating PDF:', error);
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Emailing invoices is not available. Please run the migration (021_document_emails.sql).'
+      });
+    }
+    console.error('Send invoice error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to generate PDF'
+      message: 'Failed to send invoice'
     });
   }
 });
@@ -1549,20 +1554,4 @@ function formatCurrency(amount, currency = 'USD') {
   }
 }
 
-// PDF-safe currency format: use ASCII-only prefix so symbols like ₹ render correctly in Helvetica
-function formatCurrencyForPdf(amount, currency = 'USD') {
-  let currencyCode = (currency || 'USD').toUpperCase().trim();
-  const currencyMap = { '₹': 'INR', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
-  if (currencyMap[currencyCode]) currencyCode = currencyMap[currencyCode];
-  if (currencyCode.length !== 3 || !/^[A-Z]{3}$/.test(currencyCode)) currencyCode = 'USD';
-
-  const num = Number(amount) || 0;
-  const formatted = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(num);
-  if (currencyCode === 'INR') return `INR ${formatted}`;
-  if (currencyCode === 'USD') return `$${formatted}`;
-  if (currencyCode === 'EUR') return `EUR ${formatted}`;
-  if (currencyCode === 'GBP') return `GBP ${formatted}`;
-  return `${currencyCode} ${formatted}`;
-}
-
 module.exports = router;
@@ -0,0 +1,209 @@
+/**
+ * Background jobs (super admin only)
+ * List scheduled jobs with their state, browse the run history, run a job now, pause or resume a job.
+ */
+
+const express = require('express');
+const { body, query: validatorQuery, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { query: dbQuery } = require('../config/database');
+const { getJob, getJobStates, runJob, setJobEnabled } = require('../utils/jobScheduler');
+
+const router = express.Router();
+
+const superAdminOnly = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+  if (!req.isSuperAdmin && !req.user.is_super_admin && !req.user.isSuperAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Super admin access required',
+    });
+  }
+  next();
+};
+
+router.use(authenticateToken);
+router.use(superAdminOnly);
+
+const isMissingSchemaError = (error) => ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Background jobs are not available. Please run the migration (022_scheduled_jobs.sql).',
+});
+
+const parseJson = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// GET /api/jobs - registered jobs with schedule, state and last run
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        jobs: await getJobStates(),
+        scheduler_enabled: process.env.JOB_SCHEDULER_ENABLED !== 'false',
+      },
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch jobs',
+    });
+  }
+});
+
+// GET /api/jobs/runs - run history, newest first
+router.get('/runs', [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validatorQuery('job_key').optional({ checkFalsy: true }).custom((value) => Boolean(getJob(value))).withMessage('Unknown job'),
+  validatorQuery('status').optional({ checkFalsy: true }).isIn(['running', 'success', 'failed']).withMessage('Invalid status'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array(),
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const whereParams = [];
+    if (req.query.job_key) {
+      whereClause += ' AND r.job_key = ?';
+      whereParams.push(req.query.job_key);
+    }
+    if (req.query.status) {
+      whereClause += ' AND r.status = ?';
+      whereParams.push(req.query.status);
+    }
+
+    const runs = await dbQuery(
+      `SELECT r.*, u.full_name as triggered_by_name
+       FROM scheduled_job_runs r
+       LEFT JOIN users u ON r.triggered_by_user = u.id
+       ${whereClause}
+       ORDER BY r.started_at DESC, r.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total FROM scheduled_job_runs r ${whereClause}`,
+      whereParams
+    );
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map((run) => ({
+          ...run,
+          job_name: getJob(run.job_key)?.name || run.job_key,
+          result: parseJson(run.result),
+        })),
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 },
+      },
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job runs',
+    });
+  }
+});
+
+// POST /api/jobs/:key/run - run a job now (also when paused); 409 while it is running elsewhere
+router.post('/:key/run', async (req, res) => {
+  try {
+    const job = getJob(req.params.key);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const outcome = await runJob(job.key, { triggeredBy: 'manual', userId: req.user.id });
+    if (outcome.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: `${job.name} is already running. Try again when it has finished.`,
+      });
+    }
+
+    res.status(outcome.status === 'success' ? 200 : 500).json({
+      success: outcome.status === 'success',
+      message: outcome.status === 'success' ? `${job.name} finished` : `${job.name} failed: ${outcome.error}`,
+      data: outcome,
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error running job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job',
+    });
+  }
+});
+
+// PATCH /api/jobs/:key - pause or resume a job on every instance
+router.patch('/:key', [
+  body('enabled').isBoolean().withMessage('enabled must be true or false'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array(),
+      });
+    }
+
+    const job = getJob(req.params.key);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    await setJobEnabled(job.key, enabled);
+    res.json({
+      success: true,
+      message: enabled ? `${job.name} resumed` : `${job.name} paused`,
+      data: { key: job.key, enabled },
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error updating job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update job',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,213 @@
 const express = require('express');
+const { query: validatorQuery, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { query: dbQuery } = require('../config/database');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Placeholder routes - to be implemented
-router.get('/', (req, res) => {
-  res.json({ success: true, message: 'Notifications route - to be implemented' });
+// Notifications are always scoped to the logged-in user, so no permission check is needed
+// beyond authentication: every query filters by user_id = req.user.id.
+
+// Reject invalid ids (e.g. 0)
+const parseNotificationId = (idParam) => {
+  const n = parseInt(idParam, 10);
+  if (Number.isNaN(n) || n < 1) return null;
+  return n;
+};
+
+// Get notifications for the current user with pagination
+router.get('/', [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validatorQuery('unread_only').optional().isIn(['true', 'false', '1', '0']).withMessage('unread_only must be a boolean'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const unreadOnly = req.query.unread_only === 'true' || req.query.unread_only === '1';
+
+    let whereClause = 'WHERE user_id = ?';
+    const whereParams = [req.user.id];
+
+    if (unreadOnly) {
+      whereClause += ' AND is_read = 0';
+    }
+
+    const notifications = await dbQuery(
+      `SELECT id, title, message, type, is_read, related_type, related_id, created_at
+       FROM notifications
+       ${whereClause}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total FROM notifications ${whereClause}`,
+      whereParams
+    );
+    const unreadResult = await dbQuery(
+      'SELECT COUNT(*) as unread_count FROM notifications WHERE user_id = ? AND is_read = 0',
+      [req.user.id]
+    );
+
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map((n) => ({ ...n, is_read: Boolean(n.is_read) })),
+        unread_count: parseInt(unreadResult[0].unread_count) || 0,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
 });
 
-router.put('/:id/read', (req, res) => {
-  res.json({ success: true, message: 'Mark notification read - to be implemented' });
+// Get unread notification count (used by the header bell)
+router.get('/unread-count', async (req, res) => {
+  try {
+    const [result] = await dbQuery(
+      'SELECT COUNT(*) as unread_count FROM notifications WHERE user_id = ? AND is_read = 0',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        unread_count: parseInt(result.unread_count) || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching unread notification count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch unread notification count'
+    });
+  }
 });
 
-router.delete('/:id', (req, res) => {
-  res.json({ success: true, message: 'Delete notification - to be implemented' });
+// Mark all notifications as read
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await dbQuery(
+      'UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updated: result.affectedRows || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error marking all notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notificationId = parseNotificationId(req.params.id);
+    if (notificationId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const result = await dbQuery(
+      'UPDATE notifications SET is_read = 1 WHERE id = ? AND user_id = ?',
+      [notificationId, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', async (req, res) => {
+  try {
+    const notificationId = parseNotificationId(req.params.id);
+    if (notificationId === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const result = await dbQuery(
+      'DELETE FROM notifications WHERE id = ? AND user_id = ?',
+      [notificationId, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,219 @@
+/**
+ * Public side of online invoice payments (no auth): the /pay/:token page and gateway webhooks.
+ * The pay link is included in invoice emails and PDFs (utils/paymentGateway.js getInvoicePaymentUrl).
+ * Webhooks are read as raw bodies (see index.js) so their signatures can be verified.
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { hasDiscountSchema } = require('../utils/gst');
+const { payLinkLimiter, payCheckoutLimiter } = require('../middleware/rateLimit');
+const { getClientIp } = require('../utils/requestMeta');
+const {
+  getGateway,
+  getActiveGateway,
+  outstandingOf,
+  isInvoicePayable,
+  loadInvoiceByPaymentToken,
+  createCheckout,
+  handleGatewayWebhook,
+} = require('../utils/paymentGateway');
+
+const router = express.Router();
+
+const isMissingSchemaError = (error) => ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'This payment link is invalid.',
+  code: 'PAY_LINK_NOT_FOUND'
+});
+
+// Why an invoice cannot be paid online
+const getNotPayableMessage = (invoice) => {
+  if (invoice.status === 'paid' || outstandingOf(invoice) <= 0.009) return 'This invoice has already been paid.';
+  if (invoice.status === 'cancelled') return 'This invoice has been cancelled.';
+  return 'This invoice cannot be paid online yet.';
+};
+
+// POST /api/pay/webhooks/:gateway – payment outcome from the gateway (signed; body is a raw Buffer)
+router.post('/webhooks/:gateway', async (req, res) => {
+  try {
+    const result = await handleGatewayWebhook(req.params.gateway, req.body, req.headers);
+    if (result.status === 'unknown_gateway') {
+      return res.status(404).json({ success: false, message: 'Unknown payment gateway' });
+    }
+    if (result.status === 'invalid_signature' || result.status === 'invalid_payload') {
+      console.warn(`Rejected ${req.params.gateway} webhook: ${result.status} (${getClientIp(req) || 'unknown IP'})`);
+      return res.status(400).json({
+        success: false,
+        message: result.status === 'invalid_signature' ? 'Invalid signature' : 'Invalid payload'
+      });
+    }
+    res.json({ success: true, message: 'Webhook received', data: { status: result.status } });
+  } catch (error) {
+    // 500 makes the gateway retry the event
+    console.error('Error processing payment webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+// GET /api/pay/:token – invoice summary for the pay page
+router.get('/:token', payLinkLimiter, async (req, res) => {
+  try {
+    const invoice = await loadInvoiceByPaymentToken(req.params.token);
+    if (!invoice) return sendNotFound(res);
+
+    // Units and line discounts need migration 028
+    const discountColumns = (await hasDiscountSchema()) ? ', unit, discount_amount' : '';
+    const items = await dbQuery(
+      `SELECT item_name, description, quantity, unit_price, total_price${discountColumns} FROM invoice_items WHERE invoice_id = ? ORDER BY id`,
+      [invoice.id]
+    );
+    const gateway = getActiveGateway();
+    const payable = Boolean(gateway) && isInvoicePayable(invoice);
+
+    res.json({
+      success: true,
+      data: {
+        invoice_number: invoice.invoice_number,
+        invoice_date: invoice.invoice_date,
+        due_date: invoice.due_date,
+        status: invoice.status,
+        currency: invoice.currency || 'USD',
+        subtotal: invoice.subtotal,
+        discount_amount: invoice.discount_amount || 0,
+        tax_amount: invoice.tax_amount,
+        total_amount: invoice.total_amount,
+        paid_amount: invoice.paid_amount,
+        credited_amount: invoice.credited_amount || 0,
+        outstanding_amount: outstandingOf(invoice),
+        client_name: invoice.client_company || invoice.client_name,
+        from_name: invoice.invoice_from_name || invoice.workspace_name || process.env.APP_NAME || null,
+        items,
+        payable,
+        not_payable_reason: payable ? null : (gateway ? getNotPayableMessage(invoice) : 'Online payment is not available for this invoice.'),
+        gateway: gateway ? { key: gateway.key, name: gateway.name } : null
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return sendNotFound(res);
+    console.error('Error loading pay link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invoice'
+    });
+  }
+});
+
+// POST /api/pay/:token/checkout – open a hosted checkout for the outstanding amount; answers the URL to redirect to
+router.post('/:token/checkout', payCheckoutLimiter, async (req, res) => {
+  try {
+    const invoice = await loadInvoiceByPaymentToken(req.params.token);
+    if (!invoice) return sendNotFound(res);
+
+    if (!getActiveGateway()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payment is not available for this invoice.'
+      });
+    }
+    if (!isInvoicePayable(invoice)) {
+      return res.status(400).json({
+        success: false,
+        message: getNotPayableMessage(invoice)
+      });
+    }
+
+    let checkout;
+    try {
+      checkout = await createCheckout(invoice, { ipAddress: getClientIp(req) });
+    } catch (gatewayError) {
+      if (isMissingSchemaError(gatewayError)) throw gatewayError;
+      console.error('Payment gateway checkout failed:', gatewayError);
+      return res.status(502).json({
+        success: false,
+        message: 'The payment provider could not be reached. Please try again later.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Checkout created',
+      data: { checkout_id: checkout.checkoutId, url: checkout.url }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return sendNotFound(res);
+    console.error('Error creating checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment'
+    });
+  }
+});
+
+// POST /api/pay/:token/mock-checkout – the mock gateway's checkout page completes or fails a checkout
+// by sending a signed webhook through the normal webhook handling
+router.post('/:token/mock-checkout', payCheckoutLimiter, [
+  body('checkout').isString().isLength({ min: 1, max: 255 }).withMessage('Checkout is required'),
+  body('outcome').isIn(['paid', 'failed']).withMessage('Outcome must be paid or failed'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const mockGateway = getGateway('mock');
+    const invoice = getActiveGateway() === mockGateway ? await loadInvoiceByPaymentToken(req.params.token) : null;
+    if (!invoice) return sendNotFound(res);
+
+    const checkouts = await dbQuery(
+      "SELECT * FROM payment_checkouts WHERE gateway = 'mock' AND gateway_checkout_id = ? AND invoice_id = ?",
+      [req.body.checkout, invoice.id]
+    );
+    if (checkouts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout not found'
+      });
+    }
+    if (checkouts[0].status !== 'created') {
+      return res.status(400).json({
+        success: false,
+        message: `This checkout is already ${checkouts[0].status}.`
+      });
+    }
+
+    const { rawBody, headers } = mockGateway.buildWebhook({
+      gatewayCheckoutId: checkouts[0].gateway_checkout_id,
+      outcome: req.body.outcome,
+      amount: checkouts[0].amount,
+      currency: checkouts[0].currency,
+    });
+    const result = await handleGatewayWebhook('mock', rawBody, headers);
+
+    res.json({
+      success: true,
+      message: req.body.outcome === 'paid' ? 'Payment completed' : 'Payment failed',
+      data: { status: result.status, outcome: req.body.outcome }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return sendNotFound(res);
+    console.error('Error completing mock checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete payment'
+    });
+  }
+});
+
+module.exports = router;
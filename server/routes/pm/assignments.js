@@ -4,6 +4,7 @@ const { authenticateToken, authorizePermission } = require('../../middleware/aut
 const { query: dbQuery } = require('../../config/database');
 const { checkProjectAvailable } = require('../../utils/pmProjectCheck');
 const { logAssignment } = require('../../utils/activityLogger');
+const { notifyAssignment } = require('../../utils/notificationService');
 
 const router = express.Router();
 
@@ -177,6 +178,11 @@ router.post('/user-stories/:id/assign', authorizePermission('projects', 'edit'),
       userId
     );
 
+    // Notify the new assignee
+    if (assignee_id && parseInt(assignee_id) !== parseInt(existingStory.assignee_id)) {
+      await notifyAssignment('user_story', existingStory, assignee_id, userId);
+    }
+
     // Get updated user story
     const [userStory] = await dbQuery(
       `SELECT 
@@ -308,6 +314,11 @@ router.post('/tasks/:id/assign', authorizePermission('projects', 'edit'), [
       userId
     );
 
+    // Notify the new assignee
+    if (assignee_id && parseInt(assignee_id) !== parseInt(existingTask.assignee_id)) {
+      await notifyAssignment('task', existingTask, assignee_id, userId);
+    }
+
     // Get updated task
     const [task] = await dbQuery(
       `SELECT 
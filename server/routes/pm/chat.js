@@ -3,6 +3,8 @@ const { body, validationResult, query } = require('express-validator');
 const { authenticateToken, authorizePermission } = require('../../middleware/auth');
 const { query: dbQuery } = require('../../config/database');
 const { checkProjectAvailable } = require('../../utils/pmProjectCheck');
+const { notifyChatMentions } = require('../../utils/notificationService');
+const { publishToWorkspace } = require('../../utils/realtime');
 
 const router = express.Router();
 
@@ -349,25 +351,40 @@ router.post('/room/:roomId/messages', authorizePermission('pm_chat', 'create'),
       [messageId]
     );
 
+    // Notify mentioned users
+    if (mentions && mentions.length > 0) {
+      await notifyChatMentions(mentions, createdMessage, userId);
+    }
+
+    const messageData = {
+      id: createdMessage.id,
+      chat_room_id: createdMessage.chat_room_id,
+      user_id: createdMessage.user_id,
+      user_name: createdMessage.user_name,
+      user_email: createdMessage.user_email,
+      user_avatar: createdMessage.user_avatar,
+      message: createdMessage.message,
+      mentions: createdMessage.mentions ? JSON.parse(createdMessage.mentions) : [],
+      is_system_message: Boolean(createdMessage.is_system_message),
+      parent_message_id: createdMessage.parent_message_id,
+      created_at: createdMessage.created_at,
+      updated_at: createdMessage.updated_at,
+      read_count: 1,
+      is_read_by_me: true
+    };
+
+    // Push to other connected workspace members (is_read_by_me is from the sender's view)
+    if (chatRoomForCheck) {
+      publishToWorkspace(chatRoomForCheck.workspace_id, 'chat:message', {
+        ...messageData,
+        is_read_by_me: false
+      }, { excludeUserId: userId });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: {
-        id: createdMessage.id,
-        chat_room_id: createdMessage.chat_room_id,
-        user_id: createdMessage.user_id,
-        user_name: createdMessage.user_name,
-        user_email: createdMessage.user_email,
-        user_avatar: createdMessage.user_avatar,
-        message: createdMessage.message,
-        mentions: createdMessage.mentions ? JSON.parse(createdMessage.mentions) : [],
-        is_system_message: Boolean(createdMessage.is_system_message),
-        parent_message_id: createdMessage.parent_message_id,
-        created_at: createdMessage.created_at,
-        updated_at: createdMessage.updated_at,
-        read_count: 1,
-        is_read_by_me: true
-      }
+      data: messageData
     });
   } catch (error) {
     console.error('Error sending message:', error);
@@ -453,6 +470,16 @@ router.post('/room/:roomId/messages/read', authorizePermission('pm_chat', 'view'
       [roomId, userId]
     );
 
+    // Let other members refresh read receipts
+    const [chatRoom] = await dbQuery('SELECT workspace_id FROM pm_chat_rooms WHERE id = ?', [roomId]);
+    if (chatRoom) {
+      publishToWorkspace(chatRoom.workspace_id, 'chat:read', {
+        chat_room_id: parseInt(roomId, 10),
+        user_id: userId,
+        message_ids: filteredMessageIds
+      }, { excludeUserId: userId });
+    }
+
     res.json({
       success: true,
       message: 'Messages marked as read',
@@ -4,6 +4,7 @@ const { authenticateToken, authorizePermission } = require('../../middleware/aut
 const { query: dbQuery } = require('../../config/database');
 const { checkProjectAvailable } = require('../../utils/pmProjectCheck');
 const { getEffectiveWorkspaceRole } = require('../../utils/roleMapper');
+const { unsubscribeUserFromWorkspace } = require('../../utils/realtime');
 
 const router = express.Router();
 
@@ -530,6 +531,8 @@ router.delete('/workspace/:workspaceId/members/:memberId', authorizePermission('
       'DELETE FROM pm_workspace_members WHERE id = ? AND workspace_id = ?',
       [memberId, workspaceId]
     );
+    // Stop pushing the workspace's chat and activity to their open sockets
+    unsubscribeUserFromWorkspace(workspaceId, member.user_id);
 
     res.json({
       success: true,
@@ -4,6 +4,7 @@ const { authenticateToken, authorizePermission } = require('../../middleware/aut
 const { query: dbQuery } = require('../../config/database');
 const { checkProjectAvailable } = require('../../utils/pmProjectCheck');
 const { logCreation, logUpdate, logDeletion, logStatusChange, logAssignment } = require('../../utils/activityLogger');
+const { notifyAssignment } = require('../../utils/notificationService');
 const { generateTaskReference, generateSubtaskReference } = require('../../utils/referenceNumberGenerator');
 
 const router = express.Router();
@@ -411,6 +412,10 @@ router.post('/', authorizePermission('projects', 'create'), [
       reference_number: referenceNumber
     });
 
+    if (assignee_id) {
+      await notifyAssignment('task', task, assignee_id, userId);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
@@ -569,6 +574,9 @@ router.put('/:id', authorizePermission('projects', 'edit'), [
     }
     if (assignee_id !== undefined && assignee_id !== existingTask.assignee_id) {
       await logAssignment(existingTask.workspace_id, 'task', taskId, existingTask.assignee_id, assignee_id, userId);
+      if (assignee_id) {
+        await notifyAssignment('task', task, assignee_id, userId);
+      }
     }
     // Log general update if other fields changed
     const hasOtherChanges = title !== undefined || description !== undefined || 
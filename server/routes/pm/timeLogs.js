@@ -3,6 +3,7 @@ const { body, validationResult, query: validatorQuery } = require('express-valid
 const { authenticateToken, authorizePermission } = require('../../middleware/auth');
 const { query: dbQuery } = require('../../config/database');
 const { checkProjectAvailable } = require('../../utils/pmProjectCheck');
+const { captureTimeLogCostRate } = require('../../utils/expenses');
 
 const router = express.Router();
 
@@ -375,6 +376,9 @@ router.post('/', authorizePermission('projects', 'edit'), [
 
     const timeLogId = result.insertId;
 
+    // Cost the time at the user's current hourly cost rate (project cost, see utils/expenses.js)
+    await captureTimeLogCostRate(timeLogId);
+
     // Get created time log
     const [timeLog] = await dbQuery(
       `SELECT 
@@ -4,6 +4,7 @@ const { authenticateToken, authorizePermission } = require('../../middleware/aut
 const { query: dbQuery } = require('../../config/database');
 const { checkProjectAvailable } = require('../../utils/pmProjectCheck');
 const { logCreation, logUpdate, logDeletion, logStatusChange, logAssignment } = require('../../utils/activityLogger');
+const { notifyAssignment } = require('../../utils/notificationService');
 const { generateUserStoryReference } = require('../../utils/referenceNumberGenerator');
 
 const router = express.Router();
@@ -376,6 +377,10 @@ router.post('/', authorizePermission('projects', 'create'), [
       reference_number: referenceNumber
     });
 
+    if (normalizedAssigneeId) {
+      await notifyAssignment('user_story', userStory, normalizedAssigneeId, userId);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User story created successfully',
@@ -549,6 +554,9 @@ router.put('/:id', authorizePermission('projects', 'edit'), [
     }
     if (assignee_id !== undefined && assignee_id !== existingStory.assignee_id) {
       await logAssignment(existingStory.workspace_id, 'user_story', storyId, existingStory.assignee_id, assignee_id, userId);
+      if (assignee_id) {
+        await notifyAssignment('user_story', userStory, assignee_id, userId);
+      }
     }
     // Log general update if other fields changed
     const hasOtherChanges = title !== undefined || description !== undefined || 
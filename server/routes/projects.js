@@ -5,6 +5,8 @@ const { body, validationResult, query: validatorQuery } = require('express-valid
 const { query: dbQuery } = require('../config/database');
 const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { getAuditSnapshot, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const { getProjectCosts } = require('../utils/expenses');
 
 // Apply authentication + workspace context to all routes
 router.use(authenticateToken);
@@ -446,6 +448,9 @@ router.get('/:id', authorizePermission('projects', 'view'), async (req, res) =>
       console.log('Files table not accessible or empty');
     }
 
+    // Actual cost from expenses and costed time (base currency); the stored actual_cost until migration 030
+    const costs = await getProjectCosts(project.id, project.workspace_id);
+
     res.set({
       'Cache-Control': 'no-cache, no-store, must-revalidate',
       'Pragma': 'no-cache',
@@ -456,6 +461,8 @@ router.get('/:id', authorizePermission('projects', 'view'), async (req, res) =>
       success: true,
       data: {
         ...project,
+        actual_cost: costs ? costs.actual_cost : project.actual_cost,
+        costs,
         invoices,
         quotations,
         files
@@ -611,6 +618,8 @@ router.post('/', authorizePermission('projects', 'create'), validateProject, asy
       }
     }
 
+    await auditCreate(req, 'projects', projectId);
+
     // Fetch the created project
     const projects = await dbQuery(
       `SELECT 
@@ -682,6 +691,7 @@ router.put('/:id', authorizePermission('projects', 'edit'), validateProject, asy
         message: 'Project not found'
       });
     }
+    const before = await getAuditSnapshot('projects', projectId);
 
     // Check if client exists
     const wsCli = getWorkspaceFilter(req, '', 'workspace_id');
@@ -721,6 +731,7 @@ router.put('/:id', authorizePermission('projects', 'edit'), validateProject, asy
         ...wsUpdate.whereParams
       ]
     );
+    await auditUpdate(req, 'projects', projectId, before);
 
     // Fetch the updated project
     const projects = await dbQuery(
@@ -785,10 +796,12 @@ router.delete('/:id', authorizePermission('projects', 'delete'), async (req, res
     }
 
     const wsd = getWorkspaceFilter(req, '', 'workspace_id');
+    const before = await getAuditSnapshot('projects', projectId);
     await dbQuery(
       `UPDATE projects SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL ${wsd.whereClause}`,
       [projectId, ...wsd.whereParams]
     );
+    await auditDelete(req, 'projects', projectId, before);
 
     res.json({
       success: true,
@@ -5,6 +5,28 @@ const { body, validationResult, query: validatorQuery } = require('express-valid
 const { query: dbQuery } = require('../config/database');
 const { getClientFilter, canAccessClientData, getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { notifyQuotationAccepted } = require('../utils/notificationService');
+const { getAuditSnapshot, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
+const {
+  DISCOUNT_TYPES,
+  isValidHsnSac,
+  resolveStateCode,
+  resolveDocumentTax,
+  calculateTaxBreakdown,
+  formatPlaceOfSupply,
+} = require('../utils/gst');
+const { convertQuotationToInvoice } = require('../utils/quotationConversion');
+const { recordQuotationRevision, getQuotationRevisions, getQuotationRevision, diffQuotationSnapshots } = require('../utils/quotationRevisions');
+const { getQuotationAcceptanceUrl, replaceAcceptanceLink, revokeAcceptanceLink } = require('../utils/quotationAcceptance');
+const { resolveCatalogItemIds, getCatalogItemColumn } = require('../utils/catalog');
+const { loadQuotationForPdf, writeQuotationPdf } = require('../utils/invoicePdf');
+const {
+  parseEmailList,
+  getDocumentEmailDefaults,
+  getDocumentEmailHistory,
+  deliverDocumentEmail,
+  saveClientCcEmails,
+} = require('../utils/documentEmails');
 
 // Apply authentication + workspace context to all routes
 router.use(authenticateToken);
@@ -31,14 +53,36 @@ const validateQuotation = [
   body('subtotal').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Subtotal must be a positive number'),
   body('tax_rate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
   body('currency').optional({ nullable: true }).isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('place_of_supply').optional({ nullable: true, checkFalsy: true }).custom((value) => resolveStateCode(value) !== null).withMessage('Place of supply must be a valid GST state code'),
+  body('items.*.hsn_sac').optional({ nullable: true, checkFalsy: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('items.*.tax_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Item GST rate must be between 0 and 100'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Unit must be at most 30 characters'),
+  body('items.*.discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('items.*.discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('items').optional().custom((items) => !Array.isArray(items)
+    || items.every((item) => !item || item.discount_type !== 'percentage' || Number(item.discount_value) <= 100))
+    .withMessage('Percentage discounts must be at most 100'),
+  body('discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number')
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || Number(value) <= 100).withMessage('Percentage discounts must be at most 100'),
 ];
 
 const validateQuotationItem = [
   body('item_name').trim().notEmpty().withMessage('Item name is required'),
-  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
   body('unit_price').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
 ];
 
+const validateDocumentEmail = [
+  body('to').custom((value) => Array.isArray(value) || typeof value === 'string').withMessage('Recipients are required'),
+  body('cc').optional({ nullable: true }).custom((value) => Array.isArray(value) || typeof value === 'string').withMessage('CC must be a list of email addresses'),
+  body('subject').trim().notEmpty().withMessage('Subject is required').isLength({ max: 255 }).withMessage('Subject must be at most 255 characters'),
+  body('message').trim().notEmpty().withMessage('Message is required').isLength({ max: 10000 }).withMessage('Message is too long'),
+  body('attach_pdf').optional().isBoolean().withMessage('attach_pdf must be true or false'),
+  body('save_cc').optional().isBoolean().withMessage('save_cc must be true or false'),
+];
+
 // Helper function to generate quote number
 const generateQuoteNumber = async (req) => {
   const year = new Date().getFullYear();
@@ -54,12 +98,54 @@ const generateQuoteNumber = async (req) => {
   return `QT-${year}-${count.toString().padStart(4, '0')}`;
 };
 
-// Helper function to calculate totals
-const calculateTotals = (items) => {
-  const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.unit_price), 0);
-  return { subtotal };
+// Helper function to calculate totals, discounts and the GST split (a quotation without items is taxed on its subtotal)
+const calculateQuotationTax = async (req, workspaceId, clientId) => {
+  const { items, subtotal, tax_rate, place_of_supply, discount_type, discount_value } = req.body;
+  return resolveDocumentTax({
+    workspaceId,
+    clientId,
+    placeOfSupply: place_of_supply,
+    items: items && items.length > 0
+      ? await resolveCatalogItemIds(workspaceId, items)
+      : [{ quantity: 1, unit_price: parseFloat(subtotal) || 0 }],
+    taxRate: tax_rate,
+    discountType: discount_type || null,
+    discountValue: discount_value,
+  });
+};
+
+// Helper function to insert quotation items (lines as returned by calculateTaxBreakdown)
+const insertQuotationItems = async (quotationId, lines) => {
+  const catalog = await getCatalogItemColumn();
+  for (const line of lines) {
+    await dbQuery(
+      `INSERT INTO quotation_items (
+        quotation_id, item_name, description, quantity, unit, unit_price, discount_type, discount_value, discount_amount,
+        total_price, taxable_value, hsn_sac, tax_rate, tax_amount${catalog.column}
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${catalog.placeholder})`,
+      [
+        quotationId,
+        line.item_name,
+        line.description ?? null,
+        line.quantity,
+        line.unit,
+        line.unit_price,
+        line.discount_type,
+        line.discount_value,
+        line.discount_amount,
+        line.total_price,
+        line.taxable_value,
+        line.hsn_sac,
+        line.tax_rate,
+        line.tax_amount,
+        ...catalog.values(line)
+      ]
+    );
+  }
 };
 
+const gstMigrationMessage = 'GST tax breakdown or line item discounts are not available. Please run the migrations (019_gst_tax_breakdown.sql, 028_line_item_discounts.sql).';
+
 // Get all quotations with pagination and filters
 router.get('/', authorizePermission('quotations', 'view'), [
   validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -260,6 +346,7 @@ router.get('/:id', authorizePermission('quotations', 'view'), async (req, res) =
         c.email as client_email,
         c.phone as client_phone,
         c.address as client_address,
+        c.gst_number as client_gst_number,
         p.title as project_title,
         p.description as project_description,
         u.full_name as created_by_name
@@ -295,6 +382,16 @@ router.get('/:id', authorizePermission('quotations', 'view'), async (req, res) =
       [resolvedQuotationId]
     );
 
+    // GST summary by HSN/SAC and rate (empty for quotations without GST)
+    const taxSummary = quotation.supply_type
+      ? calculateTaxBreakdown(items, {
+        defaultRate: quotation.tax_rate,
+        supplyType: quotation.supply_type,
+        discountType: quotation.discount_type,
+        discountValue: quotation.discount_value,
+      }).summary
+      : [];
+
     // Get related invoices (same workspace)
     let invoices = [];
     try {
@@ -318,7 +415,9 @@ router.get('/:id', authorizePermission('quotations', 'view'), async (req, res) =
       success: true,
       data: {
         ...quotation,
+        place_of_supply_name: formatPlaceOfSupply(quotation.place_of_supply),
         items,
+        tax_summary: taxSummary,
         invoices
       }
     });
@@ -350,10 +449,7 @@ router.post('/', authorizePermission('quotations', 'create'), validateQuotation,
       quote_date,
       valid_till_date,
       status,
-      subtotal,
       tax_rate,
-      tax_amount,
-      total_amount,
       currency,
       notes,
       terms_conditions,
@@ -401,18 +497,6 @@ router.post('/', authorizePermission('quotations', 'create'), validateQuotation,
     // Generate quote number if not provided
     const finalQuoteNumber = quote_number || await generateQuoteNumber(req);
 
-    // Calculate totals if not provided
-    let finalSubtotal = subtotal;
-    let finalTaxAmount = tax_amount;
-    let finalTotalAmount = total_amount;
-
-    if (items && items.length > 0) {
-      const calculated = calculateTotals(items);
-      finalSubtotal = calculated.subtotal;
-      finalTaxAmount = (finalSubtotal * (tax_rate || 0)) / 100;
-      finalTotalAmount = finalSubtotal + finalTaxAmount;
-    }
-
     if (workspaceId == null) {
       return res.status(400).json({
         success: false,
@@ -420,16 +504,22 @@ router.post('/', authorizePermission('quotations', 'create'), validateQuotation,
       });
     }
 
+    // Calculate totals and GST split from the items
+    const tax = await calculateQuotationTax(req, workspaceId, client_id);
+
     // Insert quotation
     const result = await dbQuery(
       `INSERT INTO quotations (
         quote_number, client_id, project_id, quote_date, valid_till_date,
-        status, subtotal, tax_rate, tax_amount, total_amount, currency,
-        notes, terms_conditions, created_by, workspace_id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        status, subtotal, discount_type, discount_value, discount_amount, tax_rate, tax_amount, total_amount,
+        place_of_supply, supply_type, cgst_amount, sgst_amount, igst_amount, currency, notes, terms_conditions,
+        created_by, workspace_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         finalQuoteNumber, client_id, project_id, quote_date, valid_till_date,
-        status, finalSubtotal, tax_rate || 0, finalTaxAmount, finalTotalAmount, currency || 'USD',
+        status, tax.subtotal, tax.discountType, tax.discountValue, tax.discountAmount, tax_rate || 0, tax.taxAmount,
+        tax.totalAmount, tax.placeOfSupply, tax.supplyType,
+        tax.cgstAmount, tax.sgstAmount, tax.igstAmount, currency || 'USD',
         notes, terms_conditions, req.user.id, workspaceId || null
       ]
     );
@@ -472,21 +562,12 @@ router.post('/', authorizePermission('quotations', 'create'), validateQuotation,
 
     // Insert quotation items
     if (items && items.length > 0) {
-      for (const item of items) {
-        await dbQuery(
-          `INSERT INTO quotation_items (
-            quotation_id, item_name, description, quantity, unit_price, total_price
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            quotationId,
-            item.item_name,
-            item.description,
-            item.quantity,
-            item.unit_price,
-            item.quantity * item.unit_price
-          ]
-        );
-      }
+      await insertQuotationItems(quotationId, tax.lines);
+    }
+
+    await auditCreate(req, 'quotations', quotationId);
+    if (status !== 'draft') {
+      await recordQuotationRevision(quotationId, req.user.id);
     }
 
     // Fetch the created quotation
@@ -510,6 +591,9 @@ router.post('/', authorizePermission('quotations', 'create'), validateQuotation,
     });
   } catch (error) {
     console.error('Error creating quotation:', error);
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: gstMigrationMessage });
+    }
     if (error.code === 'ER_DUP_ENTRY' && error.sqlMessage && error.sqlMessage.includes('quote_number')) {
       return res.status(409).json({
         success: false,
@@ -555,10 +639,7 @@ router.put('/:id', authorizePermission('quotations', 'edit'), validateQuotation,
       quote_date,
       valid_till_date,
       status,
-      subtotal,
       tax_rate,
-      tax_amount,
-      total_amount,
       currency,
       notes,
       terms_conditions,
@@ -568,7 +649,7 @@ router.put('/:id', authorizePermission('quotations', 'edit'), validateQuotation,
     // Check if quotation exists
     const wsQ = getWorkspaceFilter(req, '', 'workspace_id');
     const quotationCheck = await dbQuery(
-      `SELECT id FROM quotations WHERE id = ? ${wsQ.whereClause}`,
+      `SELECT id, quote_number, status, created_by, workspace_id FROM quotations WHERE id = ? ${wsQ.whereClause}`,
       [quotationId, ...wsQ.whereParams]
     );
     if (quotationCheck.length === 0) {
@@ -577,6 +658,11 @@ router.put('/:id', authorizePermission('quotations', 'edit'), validateQuotation,
         message: 'Quotation not found'
       });
     }
+    const before = await getAuditSnapshot('quotations', quotationId);
+    // A sent quotation is revised rather than overwritten: keep the version the client has seen
+    if (quotationCheck[0].status !== 'draft') {
+      await recordQuotationRevision(quotationId, req.user.id);
+    }
 
     // Check if client exists
     const wsC = getWorkspaceFilter(req, '', 'workspace_id');
@@ -606,29 +692,23 @@ router.put('/:id', authorizePermission('quotations', 'edit'), validateQuotation,
       }
     }
 
-    // Calculate totals if not provided
-    let finalSubtotal = subtotal;
-    let finalTaxAmount = tax_amount;
-    let finalTotalAmount = total_amount;
-
-    if (items && items.length > 0) {
-      const calculated = calculateTotals(items);
-      finalSubtotal = calculated.subtotal;
-      finalTaxAmount = (finalSubtotal * (tax_rate || 0)) / 100;
-      finalTotalAmount = finalSubtotal + finalTaxAmount;
-    }
+    // Calculate totals and GST split from the items
+    const tax = await calculateQuotationTax(req, quotationCheck[0].workspace_id, client_id);
 
     // Update quotation
     const wsUpd = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(
       `UPDATE quotations SET
         quote_number = ?, client_id = ?, project_id = ?, quote_date = ?, valid_till_date = ?,
-        status = ?, subtotal = ?, tax_rate = ?, tax_amount = ?, total_amount = ?, currency = ?,
-        notes = ?, terms_conditions = ?, updated_at = CURRENT_TIMESTAMP
+        status = ?, subtotal = ?, discount_type = ?, discount_value = ?, discount_amount = ?, tax_rate = ?, tax_amount = ?,
+        total_amount = ?, place_of_supply = ?, supply_type = ?, cgst_amount = ?, sgst_amount = ?, igst_amount = ?,
+        currency = ?, notes = ?, terms_conditions = ?, updated_at = CURRENT_TIMESTAMP
        WHERE id = ? ${wsUpd.whereClause}`,
       [
         quote_number, client_id, project_id, quote_date, valid_till_date,
-        status, finalSubtotal, tax_rate || 0, finalTaxAmount, finalTotalAmount, currency || 'USD',
+        status, tax.subtotal, tax.discountType, tax.discountValue, tax.discountAmount, tax_rate || 0, tax.taxAmount,
+        tax.totalAmount, tax.placeOfSupply, tax.supplyType,
+        tax.cgstAmount, tax.sgstAmount, tax.igstAmount, currency || 'USD',
         notes, terms_conditions, quotationId, ...wsUpd.whereParams
       ]
     );
@@ -639,21 +719,16 @@ router.put('/:id', authorizePermission('quotations', 'edit'), validateQuotation,
       await dbQuery('DELETE FROM quotation_items WHERE quotation_id = ?', [quotationId]);
 
       // Insert new items
-      for (const item of items) {
-        await dbQuery(
-          `INSERT INTO quotation_items (
-            quotation_id, item_name, description, quantity, unit_price, total_price
-          ) VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            quotationId,
-            item.item_name,
-            item.description,
-            item.quantity,
-            item.unit_price,
-            item.quantity * item.unit_price
-          ]
-        );
-      }
+      await insertQuotationItems(quotationId, tax.lines);
+    }
+
+    await auditUpdate(req, 'quotations', quotationId, before);
+    if (status !== 'draft') {
+      await recordQuotationRevision(quotationId, req.user.id);
+    }
+
+    if (status === 'accepted' && quotationCheck[0].status !== 'accepted') {
+      await notifyQuotationAccepted({ ...quotationCheck[0], quote_number: quote_number || quotationCheck[0].quote_number }, req.user.id);
     }
 
     // Fetch the updated quotation
@@ -677,6 +752,9 @@ router.put('/:id', authorizePermission('quotations', 'edit'), validateQuotation,
     });
   } catch (error) {
     console.error('Error updating quotation:', error);
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: gstMigrationMessage });
+    }
     if (error.code === 'ER_DUP_ENTRY' && error.sqlMessage && error.sqlMessage.includes('quote_number')) {
       return res.status(409).json({
         success: false,
@@ -733,12 +811,15 @@ router.delete('/:id', authorizePermission('quotations', 'delete'), async (req, r
       });
     }
 
+    const before = await getAuditSnapshot('quotations', quotationId);
+
     // Delete quotation items first
     await dbQuery('DELETE FROM quotation_items WHERE quotation_id = ?', [quotationId]);
 
     // Delete quotation
     const wsD = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(`DELETE FROM quotations WHERE id = ? ${wsD.whereClause}`, [quotationId, ...wsD.whereParams]);
+    await auditDelete(req, 'quotations', quotationId, before);
 
     res.json({
       success: true,
@@ -788,71 +869,7 @@ router.post('/:id/convert-to-invoice', authorizePermission('invoices', 'create')
       });
     }
 
-    const quotation = quotationCheck[0];
-
-    // Generate invoice number (global uniqueness: invoice_number is unique across all workspaces)
-    const year = new Date().getFullYear();
-    const invoiceCountResult = await dbQuery(
-      'SELECT COUNT(*) as count FROM invoices WHERE YEAR(created_at) = ?',
-      [year]
-    );
-    const nextSeq = (invoiceCountResult[0].count || 0) + 1;
-    const invoiceNumber = `INV-${year}-${nextSeq.toString().padStart(4, '0')}`;
-
-    // Create invoice (ensure no undefined bind params - mysql2 requires null for SQL NULL)
-    const workspaceId = req.workspaceId ?? req.workspaceFilter?.value ?? null;
-    const invoiceResult = await dbQuery(
-      `INSERT INTO invoices (
-        invoice_number, quotation_id, client_id, project_id, invoice_date, due_date,
-        status, subtotal, tax_rate, tax_amount, total_amount, currency, created_by, workspace_id
-      ) VALUES (?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        invoiceNumber ?? null,
-        quotationId ?? null,
-        quotation.client_id ?? null,
-        quotation.project_id ?? null,
-        invoiceDate,
-        dueDate,
-        quotation.subtotal ?? null,
-        quotation.tax_rate ?? null,
-        quotation.tax_amount ?? null,
-        quotation.total_amount ?? null,
-        quotation.currency ?? null,
-        req.user?.id ?? null,
-        workspaceId
-      ]
-    );
-
-    const invoiceId = invoiceResult.insertId;
-
-    // Copy quotation items to invoice items
-    const quotationItems = await dbQuery(
-      'SELECT * FROM quotation_items WHERE quotation_id = ?',
-      [quotationId]
-    );
-
-    for (const item of quotationItems) {
-      await dbQuery(
-        `INSERT INTO invoice_items (
-          invoice_id, item_name, description, quantity, unit_price, total_price
-        ) VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          invoiceId ?? null,
-          item.item_name ?? null,
-          item.description ?? null,
-          item.quantity ?? null,
-          item.unit_price ?? null,
-          item.total_price ?? null
-        ]
-      );
-    }
-
-    // Update quotation status
-    const wsq = getWorkspaceFilter(req, '', 'workspace_id');
-    await dbQuery(
-      `UPDATE quotations SET status = "accepted", updated_at = CURRENT_TIMESTAMP WHERE id = ? ${wsq.whereClause}`,
-      [quotationId, ...wsq.whereParams]
-    );
+    const { invoiceId, invoiceNumber } = await convertQuotationToInvoice(quotationCheck[0], { invoiceDate, dueDate, req });
 
     res.status(201).json({
       success: true,
@@ -861,6 +878,9 @@ router.post('/:id/convert-to-invoice', authorizePermission('invoices', 'create')
     });
   } catch (error) {
     console.error('Error converting quotation to invoice:', error);
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: gstMigrationMessage });
+    }
     if (error.code === 'ER_DUP_ENTRY' && error.sqlMessage && error.sqlMessage.includes('invoice_number')) {
       return res.status(409).json({
         success: false,
@@ -874,6 +894,407 @@ router.post('/:id/convert-to-invoice', authorizePermission('invoices', 'create')
   }
 });
 
+const revisionMigrationMessage = 'Quotation revisions are not available. Please run the migration (025_quotation_revisions.sql).';
+
+// Quotation of the request's workspace for the revision and acceptance routes (null when not found or not accessible)
+const loadQuotationForRevisions = async (req, quotationId) => {
+  if (quotationId === null) return null;
+  const ws = getWorkspaceFilter(req, '', 'workspace_id');
+  const rows = await dbQuery(
+    `SELECT * FROM quotations WHERE id = ? ${ws.whereClause}`,
+    [quotationId, ...ws.whereParams]
+  );
+  if (rows.length === 0 || !canAccessClientData(req, rows[0].client_id)) return null;
+  return rows[0];
+};
+
+// List the revisions of a quotation (recorded once it has been sent)
+router.get('/:id/revisions', authorizePermission('quotations', 'view'), async (req, res) => {
+  try {
+    const quotation = await loadQuotationForRevisions(req, parseQuotationId(req.params.id));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const revisions = await getQuotationRevisions(quotation.id);
+    res.json({
+      success: true,
+      data: {
+        current_revision: quotation.revision_number,
+        accepted_revision: quotation.accepted_revision,
+        revisions
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: revisionMigrationMessage });
+    }
+    console.error('Error fetching quotation revisions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotation revisions'
+    });
+  }
+});
+
+// One revision with its content and the changes since another revision (?compare_to=N, default: the previous one)
+router.get('/:id/revisions/:revision', authorizePermission('quotations', 'view'), [
+  validatorQuery('compare_to').optional().isInt({ min: 1 }).withMessage('compare_to must be a revision number'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const quotation = await loadQuotationForRevisions(req, parseQuotationId(req.params.id));
+    const revisionNumber = parseInt(req.params.revision, 10);
+    const revision = quotation && revisionNumber >= 1 ? await getQuotationRevision(quotation.id, revisionNumber) : null;
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const compareTo = req.query.compare_to ? parseInt(req.query.compare_to, 10) : revisionNumber - 1;
+    const baseRevision = compareTo >= 1 && compareTo !== revisionNumber ? await getQuotationRevision(quotation.id, compareTo) : null;
+    if (req.query.compare_to && !baseRevision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${compareTo} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...revision,
+        compare_to: baseRevision ? baseRevision.revision_number : null,
+        // Diffs always read from the older revision to the newer one
+        diff: baseRevision
+          ? (baseRevision.revision_number < revisionNumber
+            ? diffQuotationSnapshots(baseRevision.snapshot, revision.snapshot)
+            : diffQuotationSnapshots(revision.snapshot, baseRevision.snapshot))
+          : null
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: revisionMigrationMessage });
+    }
+    console.error('Error fetching quotation revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotation revision'
+    });
+  }
+});
+
+// Public acceptance link of a sent quotation; with { replace: true } earlier links stop working
+// (and a turned-off link is turned back on)
+router.post('/:id/acceptance-link', authorizePermission('quotations', 'edit'), [
+  body('replace').optional().isBoolean().withMessage('replace must be true or false'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let quotation = await loadQuotationForRevisions(req, parseQuotationId(req.params.id));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    if (quotation.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the quotation before sharing its acceptance link'
+      });
+    }
+    if (quotation.acceptance_link_version === undefined) {
+      return res.status(501).json({ success: false, message: revisionMigrationMessage });
+    }
+
+    const replace = req.body.replace === true || req.body.replace === 'true';
+    if (replace) {
+      const before = await getAuditSnapshot('quotations', quotation.id);
+      await replaceAcceptanceLink(quotation.id);
+      await auditUpdate(req, 'quotations', quotation.id, before, 'acceptance_link_replaced');
+      quotation = await loadQuotationForRevisions(req, quotation.id);
+    } else if (quotation.acceptance_link_revoked_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'The acceptance link has been turned off. Create a new link to share the quotation again.'
+      });
+    }
+
+    // The client answers a numbered revision, so make sure the current content has one
+    await recordQuotationRevision(quotation.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: { url: getQuotationAcceptanceUrl(quotation) }
+    });
+  } catch (error) {
+    console.error('Error creating quotation acceptance link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create acceptance link'
+    });
+  }
+});
+
+// Turn the acceptance link off until a new one is created
+router.delete('/:id/acceptance-link', authorizePermission('quotations', 'edit'), async (req, res) => {
+  try {
+    const quotation = await loadQuotationForRevisions(req, parseQuotationId(req.params.id));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    if (quotation.acceptance_link_version === undefined) {
+      return res.status(501).json({ success: false, message: revisionMigrationMessage });
+    }
+
+    const before = await getAuditSnapshot('quotations', quotation.id);
+    await revokeAcceptanceLink(quotation.id);
+    await auditUpdate(req, 'quotations', quotation.id, before, 'acceptance_link_revoked');
+
+    res.json({
+      success: true,
+      message: 'Acceptance link turned off'
+    });
+  } catch (error) {
+    console.error('Error turning off quotation acceptance link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off acceptance link'
+    });
+  }
+});
+
+// Whether online acceptance converts the quotation to an invoice (same permission as converting by hand)
+router.put('/:id/acceptance-settings', authorizePermission('invoices', 'create'), [
+  body('auto_convert_on_accept').isBoolean().withMessage('auto_convert_on_accept must be true or false'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const quotation = await loadQuotationForRevisions(req, parseQuotationId(req.params.id));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const autoConvert = req.body.auto_convert_on_accept === true || req.body.auto_convert_on_accept === 'true';
+    const before = await getAuditSnapshot('quotations', quotation.id);
+    await dbQuery('UPDATE quotations SET auto_convert_on_accept = ? WHERE id = ?', [autoConvert ? 1 : 0, quotation.id]);
+    await auditUpdate(req, 'quotations', quotation.id, before);
+
+    res.json({
+      success: true,
+      message: autoConvert
+        ? 'The quotation will be converted to an invoice when the client accepts it'
+        : 'The quotation will not be converted automatically',
+      data: { auto_convert_on_accept: autoConvert }
+    });
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({ success: false, message: revisionMigrationMessage });
+    }
+    console.error('Error updating quotation acceptance settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update acceptance settings'
+    });
+  }
+});
+
+// Download quotation as PDF
+router.get('/:id/download', authorizePermission('quotations', 'view'), async (req, res) => {
+  try {
+    const quotationId = parseQuotationId(req.params.id);
+    const quotation = quotationId === null ? null : await loadQuotationForPdf(quotationId, getWorkspaceFilter(req, 'q', 'workspace_id'));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    // Check if client user can access this quotation's data
+    if (!canAccessClientData(req, quotation.client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only download quotations associated with your account.'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Quotation-${quotation.quote_number}.pdf"`);
+
+    await writeQuotationPdf(quotation, res);
+  } catch (error) {
+    console.error('Error generating quotation PDF:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
+
+// Email defaults (recipients, CC, subject, message) and send history of a quotation
+router.get('/:id/emails', authorizePermission('quotations', 'view'), async (req, res) => {
+  try {
+    const quotationId = parseQuotationId(req.params.id);
+    const quotation = quotationId === null ? null : await loadQuotationForPdf(quotationId, getWorkspaceFilter(req, 'q', 'workspace_id'));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+    if (!canAccessClientData(req, quotation.client_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view quotations associated with your account.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        defaults: await getDocumentEmailDefaults('quotation', quotation),
+        history: await getDocumentEmailHistory('quotation', quotationId)
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Emailing quotations is not available. Please run the migration (021_document_emails.sql).'
+      });
+    }
+    console.error('Get quotation emails error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load quotation emails'
+    });
+  }
+});
+
+// Email a quotation to the client; the send is recorded as an outbound email conversation
+router.post('/:id/send', authorizePermission('quotations', 'edit'), validateDocumentEmail, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array()
+      });
+    }
+
+    const quotationId = parseQuotationId(req.params.id);
+    const quotation = quotationId === null ? null : await loadQuotationForPdf(quotationId, getWorkspaceFilter(req, 'q', 'workspace_id'));
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const to = parseEmailList(req.body.to);
+    const cc = parseEmailList(req.body.cc);
+    if (to.invalid.length > 0 || cc.invalid.length > 0 || to.emails.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: to.emails.length === 0 && to.invalid.length === 0
+          ? 'At least one recipient is required'
+          : `Invalid email address: ${[...to.invalid, ...cc.invalid].join(', ')}`
+      });
+    }
+
+    // Revision 1 is the version first sent to the client; the attached PDF shows the revision being sent
+    const revision = await recordQuotationRevision(quotationId, req.user.id);
+    if (revision) quotation.revision_number = revision.revisionNumber;
+
+    const result = await deliverDocumentEmail({
+      documentType: 'quotation',
+      document: quotation,
+      to: to.emails,
+      cc: cc.emails,
+      subject: req.body.subject.trim(),
+      message: req.body.message.trim(),
+      attachPdf: req.body.attach_pdf !== false,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `Failed to send quotation: ${result.error || 'email could not be delivered'}`
+      });
+    }
+
+    if (req.body.save_cc) {
+      await saveClientCcEmails(quotation.client_id, cc.emails);
+    }
+    if (quotation.status === 'draft') {
+      const before = await getAuditSnapshot('quotations', quotationId);
+      await dbQuery("UPDATE quotations SET status = 'sent' WHERE id = ?", [quotationId]);
+      await auditUpdate(req, 'quotations', quotationId, before, 'quotation_sent');
+    }
+
+    res.json({
+      success: true,
+      message: 'Quotation sent successfully',
+      data: {
+        email_id: result.emailId,
+        conversation_id: result.conversationId,
+        status: quotation.status === 'draft' ? 'sent' : quotation.status
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Emailing quotations is not available. Please run the migration (021_document_emails.sql).'
+      });
+    }
+    console.error('Send quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send quotation'
+    });
+  }
+});
+
 // Get quotation statistics
 router.get('/stats/overview', authorizePermission('quotations', 'view'), async (req, res) => {
   try {
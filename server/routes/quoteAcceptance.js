@@ -0,0 +1,159 @@
+/**
+ * Public side of quotation acceptance (no auth): the /quote/:token page where the client views the current
+ * revision of a quotation and accepts or declines it.
+ * The link is included in quotation emails (utils/quotationAcceptance.js getQuotationAcceptanceUrl).
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { hasDiscountSchema } = require('../utils/gst');
+const { quoteLinkLimiter, quoteResponseLimiter } = require('../middleware/rateLimit');
+const {
+  loadQuotationByAcceptanceToken,
+  getResponseBlockedReason,
+  acceptQuotation,
+  declineQuotation,
+} = require('../utils/quotationAcceptance');
+
+const router = express.Router();
+
+const isMissingSchemaError = (error) => ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'This quotation link is invalid.',
+  code: 'QUOTE_LINK_NOT_FOUND'
+});
+
+const validateRevision = body('revision_number').isInt({ min: 0 }).withMessage('Revision number is required');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: errors.array()[0].msg,
+    errors: errors.array()
+  });
+  return true;
+};
+
+// GET /api/quote/:token – current revision of the quotation for the acceptance page
+router.get('/:token', quoteLinkLimiter, async (req, res) => {
+  try {
+    const quotation = await loadQuotationByAcceptanceToken(req.params.token);
+    if (!quotation) return sendNotFound(res);
+
+    // Units and line discounts need migration 028
+    const discountColumns = (await hasDiscountSchema()) ? ', unit, discount_amount' : '';
+    const items = await dbQuery(
+      `SELECT item_name, description, quantity, unit_price, total_price${discountColumns} FROM quotation_items WHERE quotation_id = ? ORDER BY id`,
+      [quotation.id]
+    );
+    const blockedReason = getResponseBlockedReason(quotation);
+
+    res.json({
+      success: true,
+      data: {
+        quote_number: quotation.quote_number,
+        revision_number: quotation.revision_number,
+        quote_date: quotation.quote_date,
+        valid_till_date: quotation.valid_till_date,
+        status: quotation.status,
+        currency: quotation.currency || 'USD',
+        subtotal: quotation.subtotal,
+        discount_amount: quotation.discount_amount || 0,
+        tax_amount: quotation.tax_amount,
+        total_amount: quotation.total_amount,
+        notes: quotation.notes,
+        terms_conditions: quotation.terms_conditions,
+        client_name: quotation.client_company || quotation.client_name,
+        from_name: quotation.invoice_from_name || quotation.workspace_name || process.env.APP_NAME || null,
+        items,
+        can_respond: !blockedReason,
+        blocked_reason: blockedReason,
+        accepted_by_name: quotation.status === 'accepted' ? quotation.accepted_by_name : null,
+        accepted_at: quotation.status === 'accepted' ? quotation.accepted_at : null,
+        declined_at: quotation.status === 'declined' ? quotation.declined_at : null
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return sendNotFound(res);
+    console.error('Error loading quotation link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load quotation'
+    });
+  }
+});
+
+// POST /api/quote/:token/accept – accept the revision the client was shown, signed with their typed name
+router.post('/:token/accept', quoteResponseLimiter, [
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Please type your full name to accept'),
+  validateRevision,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const quotation = await loadQuotationByAcceptanceToken(req.params.token);
+    if (!quotation) return sendNotFound(res);
+
+    const result = await acceptQuotation(quotation, {
+      name: req.body.name.trim(),
+      revisionNumber: req.body.revision_number,
+      req
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quotation accepted',
+      data: { status: 'accepted', accepted_at: result.acceptedAt }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return sendNotFound(res);
+    console.error('Error accepting quotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept quotation'
+    });
+  }
+});
+
+// POST /api/quote/:token/decline – decline the revision the client was shown, with an optional reason
+router.post('/:token/decline', quoteResponseLimiter, [
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  validateRevision,
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+    const quotation = await loadQuotationByAcceptanceToken(req.params.token);
+    if (!quotation) return sendNotFound(res);
+
+    const result = await declineQuotation(quotation, {
+      reason: req.body.reason || null,
+      revisionNumber: req.body.revision_number,
+      req
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quotation declined',
+      data: { status: 'declined', declined_at: result.declinedAt }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return sendNotFound(res);
+    console.error('Error declining quotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline quotation'
+    });
+  }
+});
+
+module.exports = router;
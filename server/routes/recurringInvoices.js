@@ -0,0 +1,690 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { body, validationResult, query: validatorQuery } = require('express-validator');
+const { query: dbQuery, transaction } = require('../config/database');
+const { getWorkspaceFilter } = require('../utils/dataFiltering');
+const { workspaceContext } = require('../middleware/workspaceContext');
+const { logAudit } = require('../utils/auditLogger');
+const {
+  FREQUENCIES,
+  getNextRunDateFrom,
+  getUpcomingRunDates,
+  calculateAmounts,
+  generateRecurringInvoice,
+} = require('../utils/recurringInvoices');
+const { toDateString, todayString, addDays } = require('../utils/dates');
+const { DISCOUNT_TYPES, roundQuantity, isValidHsnSac } = require('../utils/gst');
+const { resolveCatalogItemIds, getCatalogItemColumn } = require('../utils/catalog');
+
+// Recurring invoice profiles (retainers): schedules that generate invoices automatically.
+// Uses the invoices permissions; the scheduler itself lives in utils/recurringInvoices.js.
+
+router.use(authenticateToken);
+router.use(workspaceContext);
+
+const validateProfile = [
+  body('title').trim().notEmpty().withMessage('Title is required').isLength({ max: 255 }).withMessage('Title is too long'),
+  body('client_id').isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  body('project_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid project ID is required'),
+  body('frequency').isIn(FREQUENCIES).withMessage(`Frequency must be one of: ${FREQUENCIES.join(', ')}`),
+  body('interval_count').optional().isInt({ min: 1, max: 12 }).withMessage('Repeat every must be between 1 and 12'),
+  body('day_of_month').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 31 }).withMessage('Day of month must be between 1 and 31'),
+  body('start_date').isISO8601().withMessage('Valid start date is required'),
+  body('end_date').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
+  body('payment_terms_days').optional().isInt({ min: 0, max: 365 }).withMessage('Payment terms must be between 0 and 365 days'),
+  body('tax_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+  body('auto_send').optional().isBoolean().withMessage('Auto-send must be true or false'),
+  body('items').isArray({ min: 1 }).withMessage('At least one line item is required'),
+  body('items.*.item_name').trim().notEmpty().withMessage('Item name is required'),
+  body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('Unit must be at most 30 characters'),
+  body('items.*.discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('items.*.discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('items.*.unit_price').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+  body('items.*.hsn_sac').optional({ nullable: true, checkFalsy: true }).custom(isValidHsnSac).withMessage('HSN/SAC code must be 4 to 8 digits'),
+  body('items.*.tax_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Item GST rate must be between 0 and 100'),
+  body('items').custom((items) => !Array.isArray(items)
+    || items.every((item) => !item || item.discount_type !== 'percentage' || Number(item.discount_value) <= 100))
+    .withMessage('Percentage discounts must be at most 100'),
+  body('discount_type').optional({ nullable: true, checkFalsy: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percentage or fixed'),
+  body('discount_value').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number')
+    .custom((value, { req }) => req.body.discount_type !== 'percentage' || Number(value) <= 100).withMessage('Percentage discounts must be at most 100'),
+];
+
+const missingSchemaResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Recurring invoices are not available. Please run the migrations (018_recurring_invoices.sql, 028_line_item_discounts.sql).'
+});
+
+const isMissingSchemaError = (error) => error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Document discount of a profile from the request body (none unless both type and a value are given)
+const getDiscountFromBody = (bodyValues) => (DISCOUNT_TYPES.includes(bodyValues.discount_type) && parseFloat(bodyValues.discount_value) > 0
+  ? { type: bodyValues.discount_type, value: parseFloat(bodyValues.discount_value) }
+  : { type: null, value: 0 });
+
+// Amounts of the invoice each profile generates, from its items and discount (one query for all profiles)
+const withAmounts = async (profiles) => {
+  if (profiles.length === 0) return [];
+  const items = await dbQuery(
+    `SELECT * FROM recurring_invoice_items WHERE recurring_invoice_id IN (${profiles.map(() => '?').join(', ')})
+     ORDER BY sort_order, id`,
+    profiles.map((profile) => profile.id)
+  );
+  return profiles.map((profile) => {
+    const amounts = calculateAmounts(
+      items.filter((item) => item.recurring_invoice_id === profile.id),
+      profile.tax_rate,
+      { discountType: profile.discount_type, discountValue: profile.discount_value }
+    );
+    return {
+      ...profile,
+      subtotal: amounts.subtotal,
+      discount_amount: amounts.discountAmount,
+      tax_total: amounts.taxAmount,
+      total_amount: amounts.totalAmount,
+    };
+  });
+};
+
+const formatProfile = (profile) => ({
+  ...profile,
+  auto_send: Boolean(profile.auto_send),
+  start_date: toDateString(profile.start_date),
+  end_date: toDateString(profile.end_date),
+  next_run_date: toDateString(profile.next_run_date),
+});
+
+// Load a profile in the current workspace, or null
+const findProfile = async (req, id) => {
+  const ws = getWorkspaceFilter(req, 'r', 'workspace_id');
+  const rows = await dbQuery(
+    `SELECT r.*, c.full_name as client_name, c.company_name as client_company, p.title as project_title,
+            u.full_name as created_by_name
+     FROM recurring_invoices r
+     LEFT JOIN clients c ON r.client_id = c.id
+     LEFT JOIN projects p ON r.project_id = p.id
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.id = ? ${ws.whereClause}`,
+    [id, ...ws.whereParams]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Client and project must exist in the workspace; returns an error message or null
+const checkClientAndProject = async (req, clientId, projectId) => {
+  const ws = getWorkspaceFilter(req, '', 'workspace_id');
+  const clients = await dbQuery(
+    `SELECT id FROM clients WHERE id = ? AND deleted_at IS NULL ${ws.whereClause}`,
+    [clientId, ...ws.whereParams]
+  );
+  if (clients.length === 0) return 'Client not found';
+  if (projectId) {
+    const projects = await dbQuery(
+      `SELECT id FROM projects WHERE id = ? AND deleted_at IS NULL ${ws.whereClause}`,
+      [projectId, ...ws.whereParams]
+    );
+    if (projects.length === 0) return 'Project not found';
+  }
+  return null;
+};
+
+// Schedule fields from the request body, with defaults
+const getScheduleFromBody = (bodyValues) => ({
+  frequency: bodyValues.frequency,
+  interval_count: parseInt(bodyValues.interval_count) || 1,
+  day_of_month: bodyValues.frequency === 'weekly' ? null : (parseInt(bodyValues.day_of_month) || null),
+  start_date: toDateString(bodyValues.start_date),
+  end_date: bodyValues.end_date ? toDateString(bodyValues.end_date) : null,
+});
+
+const SCHEDULE_FIELDS = ['frequency', 'interval_count', 'day_of_month', 'start_date', 'end_date'];
+
+// Day after the last invoiced run date, so an edited schedule never re-invoices a period
+const getLastRunDate = async (profileId) => {
+  const rows = await dbQuery(
+    `SELECT MAX(scheduled_for) as last_run FROM recurring_invoice_runs WHERE recurring_invoice_id = ? AND status = 'success'`,
+    [profileId]
+  );
+  return rows[0] && rows[0].last_run ? toDateString(rows[0].last_run) : null;
+};
+
+const getEarliestNextRun = (lastRunDate) => {
+  const today = todayString();
+  if (!lastRunDate) return today;
+  const dayAfter = addDays(lastRunDate, 1);
+  return dayAfter > today ? dayAfter : today;
+};
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+// items have their catalog_item_id resolved (resolveCatalogItemIds); catalog is from getCatalogItemColumn
+const replaceItems = async (connection, profileId, items, catalog) => {
+  await connection.execute('DELETE FROM recurring_invoice_items WHERE recurring_invoice_id = ?', [profileId]);
+  let sortOrder = 0;
+  for (const item of items) {
+    const hasDiscount = DISCOUNT_TYPES.includes(item.discount_type) && parseFloat(item.discount_value) > 0;
+    await connection.execute(
+      `INSERT INTO recurring_invoice_items (
+        recurring_invoice_id, item_name, description, quantity, unit, unit_price, discount_type, discount_value, hsn_sac,
+        tax_rate, sort_order${catalog.column}
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${catalog.placeholder})`,
+      [
+        profileId, item.item_name.trim(), item.description || null, roundQuantity(item.quantity),
+        hasValue(item.unit) ? String(item.unit).trim() : null, parseFloat(item.unit_price),
+        hasDiscount ? item.discount_type : null, hasDiscount ? parseFloat(item.discount_value) : 0,
+        item.hsn_sac ? String(item.hsn_sac).trim() : null, hasValue(item.tax_rate) ? parseFloat(item.tax_rate) : null, sortOrder,
+        ...catalog.values(item)
+      ]
+    );
+    sortOrder += 1;
+  }
+};
+
+// List recurring profiles
+router.get('/', authorizePermission('invoices', 'view'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
+  validatorQuery('status').optional({ checkFalsy: true }).isIn(['active', 'paused', 'completed']).withMessage('Valid status is required'),
+  validatorQuery('client_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid client ID is required'),
+  validatorQuery('search').optional().isString().withMessage('Search must be a string'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const ws = getWorkspaceFilter(req, 'r', 'workspace_id');
+    let whereClause = `WHERE 1=1 ${ws.whereClause}`;
+    const whereParams = [...ws.whereParams];
+    if (req.query.status) {
+      whereClause += ' AND r.status = ?';
+      whereParams.push(req.query.status);
+    }
+    if (req.query.client_id) {
+      whereClause += ' AND r.client_id = ?';
+      whereParams.push(req.query.client_id);
+    }
+    if (req.query.search) {
+      whereClause += ' AND (r.title LIKE ? OR c.full_name LIKE ? OR c.company_name LIKE ?)';
+      const term = `%${req.query.search}%`;
+      whereParams.push(term, term, term);
+    }
+
+    const profiles = await dbQuery(
+      `SELECT r.*, c.full_name as client_name, c.company_name as client_company, p.title as project_title
+       FROM recurring_invoices r
+       LEFT JOIN clients c ON r.client_id = c.id
+       LEFT JOIN projects p ON r.project_id = p.id
+       ${whereClause}
+       ORDER BY (r.status = 'active') DESC, r.next_run_date IS NULL, r.next_run_date, r.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total FROM recurring_invoices r LEFT JOIN clients c ON r.client_id = c.id ${whereClause}`,
+      whereParams
+    );
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        profiles: (await withAmounts(profiles)).map(formatProfile),
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching recurring invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring invoices'
+    });
+  }
+});
+
+// Upcoming runs of all active profiles within the next `days` days
+router.get('/upcoming', authorizePermission('invoices', 'view'), [
+  validatorQuery('days').optional().isInt({ min: 1, max: 366 }).withMessage('Days must be between 1 and 366'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const days = parseInt(req.query.days) || 30;
+    const until = addDays(todayString(), days);
+    const ws = getWorkspaceFilter(req, 'r', 'workspace_id');
+    const profiles = await withAmounts(await dbQuery(
+      `SELECT r.*, c.full_name as client_name, c.company_name as client_company
+       FROM recurring_invoices r
+       LEFT JOIN clients c ON r.client_id = c.id
+       WHERE r.status = 'active' AND r.next_run_date IS NOT NULL AND r.next_run_date <= ? ${ws.whereClause}`,
+      [until, ...ws.whereParams]
+    ));
+
+    const runs = [];
+    profiles.forEach((profile) => {
+      getUpcomingRunDates(profile, { until, limit: 60 }).forEach((date) => {
+        runs.push({
+          date,
+          due_date: addDays(date, parseInt(profile.payment_terms_days) || 0),
+          recurring_invoice_id: profile.id,
+          title: profile.title,
+          client_id: profile.client_id,
+          client_name: profile.client_name,
+          client_company: profile.client_company,
+          total_amount: profile.total_amount,
+          currency: profile.currency,
+          auto_send: Boolean(profile.auto_send)
+        });
+      });
+    });
+    runs.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.recurring_invoice_id - b.recurring_invoice_id));
+
+    res.json({
+      success: true,
+      data: { runs, until }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching upcoming recurring invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upcoming runs'
+    });
+  }
+});
+
+// Generation log (all profiles, or one with ?recurring_invoice_id=)
+router.get('/runs', authorizePermission('invoices', 'view'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validatorQuery('recurring_invoice_id').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid profile ID is required'),
+  validatorQuery('status').optional({ checkFalsy: true }).isIn(['pending', 'success', 'failed']).withMessage('Valid status is required'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const ws = getWorkspaceFilter(req, 'rr', 'workspace_id');
+    let whereClause = `WHERE 1=1 ${ws.whereClause}`;
+    const whereParams = [...ws.whereParams];
+    if (req.query.recurring_invoice_id) {
+      whereClause += ' AND rr.recurring_invoice_id = ?';
+      whereParams.push(req.query.recurring_invoice_id);
+    }
+    if (req.query.status) {
+      whereClause += ' AND rr.status = ?';
+      whereParams.push(req.query.status);
+    }
+
+    const runs = await dbQuery(
+      `SELECT rr.*, r.title as profile_title, i.invoice_number, i.total_amount, i.currency, i.status as invoice_status,
+              c.full_name as client_name, u.full_name as triggered_by_name
+       FROM recurring_invoice_runs rr
+       LEFT JOIN recurring_invoices r ON rr.recurring_invoice_id = r.id
+       LEFT JOIN invoices i ON rr.invoice_id = i.id
+       LEFT JOIN clients c ON r.client_id = c.id
+       LEFT JOIN users u ON rr.triggered_by_user = u.id
+       ${whereClause}
+       ORDER BY rr.created_at DESC, rr.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total FROM recurring_invoice_runs rr ${whereClause}`,
+      whereParams
+    );
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map((run) => ({ ...run, scheduled_for: toDateString(run.scheduled_for) })),
+        pagination: { page, limit, total, totalPages, hasNext: page < totalPages, hasPrev: page > 1 }
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching recurring invoice runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generation log'
+    });
+  }
+});
+
+// Get one profile with items and upcoming run dates
+router.get('/:id', authorizePermission('invoices', 'view'), async (req, res) => {
+  try {
+    const profile = await findProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    const items = await dbQuery(
+      'SELECT * FROM recurring_invoice_items WHERE recurring_invoice_id = ? ORDER BY sort_order, id',
+      [profile.id]
+    );
+    const { subtotal, discountAmount, taxAmount, totalAmount } = calculateAmounts(items, profile.tax_rate, {
+      discountType: profile.discount_type,
+      discountValue: profile.discount_value,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...formatProfile(profile),
+        items,
+        subtotal,
+        discount_amount: discountAmount,
+        tax_amount: taxAmount,
+        total_amount: totalAmount,
+        upcoming_runs: getUpcomingRunDates(profile, { limit: 6 })
+      }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error fetching recurring invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring invoice'
+    });
+  }
+});
+
+// Create profile
+router.post('/', authorizePermission('invoices', 'create'), validateProfile, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const workspaceId = req.workspaceId || req.workspaceFilter?.value;
+    if (!workspaceId && !req.isSuperAdmin) {
+      return res.status(403).json({ success: false, message: 'Workspace context required' });
+    }
+
+    const { title, client_id, project_id, payment_terms_days, tax_rate, currency, notes, auto_send, items } = req.body;
+    const clientError = await checkClientAndProject(req, client_id, project_id);
+    if (clientError) {
+      return res.status(400).json({ success: false, message: clientError });
+    }
+
+    const schedule = getScheduleFromBody(req.body);
+    if (schedule.end_date && schedule.end_date < schedule.start_date) {
+      return res.status(400).json({ success: false, message: 'End date must be on or after the start date' });
+    }
+    const nextRunDate = getNextRunDateFrom(schedule, getEarliestNextRun(null));
+    if (!nextRunDate) {
+      return res.status(400).json({ success: false, message: 'The schedule ends before its first run date' });
+    }
+
+    const lineItems = await resolveCatalogItemIds(workspaceId, items);
+    const catalog = await getCatalogItemColumn();
+    const discount = getDiscountFromBody(req.body);
+    const profileId = await transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `INSERT INTO recurring_invoices (
+          workspace_id, title, client_id, project_id, frequency, interval_count, day_of_month, start_date, end_date,
+          next_run_date, payment_terms_days, tax_rate, discount_type, discount_value, currency, notes, auto_send, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          workspaceId || null, title.trim(), client_id, project_id || null, schedule.frequency, schedule.interval_count,
+          schedule.day_of_month, schedule.start_date, schedule.end_date, nextRunDate,
+          payment_terms_days !== undefined ? parseInt(payment_terms_days) : 30, tax_rate || 0, discount.type,
+          discount.value, currency || 'USD', notes || null, auto_send ? 1 : 0, req.user.id
+        ]
+      );
+      await replaceItems(connection, result.insertId, lineItems, catalog);
+      return result.insertId;
+    });
+
+    await logAudit(req, {
+      action: 'recurring_profile_created',
+      table: 'invoices',
+      recordId: null,
+      newValues: { recurring_invoice_id: profileId, title: title.trim(), client_id, frequency: schedule.frequency, next_run_date: nextRunDate }
+    });
+
+    const profile = await findProfile(req, profileId);
+    res.status(201).json({
+      success: true,
+      message: 'Recurring invoice created successfully',
+      data: formatProfile(profile)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error creating recurring invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring invoice'
+    });
+  }
+});
+
+// Update profile (items are replaced; a schedule change recomputes the next run date)
+router.put('/:id', authorizePermission('invoices', 'edit'), validateProfile, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const existing = await findProfile(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    const { title, client_id, project_id, payment_terms_days, tax_rate, currency, notes, auto_send, items } = req.body;
+    const clientError = await checkClientAndProject(req, client_id, project_id);
+    if (clientError) {
+      return res.status(400).json({ success: false, message: clientError });
+    }
+
+    const schedule = getScheduleFromBody(req.body);
+    if (schedule.end_date && schedule.end_date < schedule.start_date) {
+      return res.status(400).json({ success: false, message: 'End date must be on or after the start date' });
+    }
+
+    let nextRunDate = toDateString(existing.next_run_date);
+    let status = existing.status;
+    const scheduleChanged = SCHEDULE_FIELDS.some((field) => {
+      const before = field.endsWith('_date') ? toDateString(existing[field]) : existing[field];
+      return String(before ?? '') !== String(schedule[field] ?? '');
+    });
+    if (scheduleChanged || status === 'completed') {
+      nextRunDate = getNextRunDateFrom(schedule, getEarliestNextRun(await getLastRunDate(existing.id)));
+      if (status !== 'paused') status = nextRunDate ? 'active' : 'completed';
+    }
+
+    const lineItems = await resolveCatalogItemIds(existing.workspace_id, items);
+    const catalog = await getCatalogItemColumn();
+    const discount = getDiscountFromBody(req.body);
+    await transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE recurring_invoices SET
+          title = ?, client_id = ?, project_id = ?, frequency = ?, interval_count = ?, day_of_month = ?, start_date = ?,
+          end_date = ?, next_run_date = ?, status = ?, payment_terms_days = ?, tax_rate = ?, discount_type = ?,
+          discount_value = ?, currency = ?, notes = ?, auto_send = ?, created_by = COALESCE(created_by, ?)
+         WHERE id = ?`,
+        [
+          title.trim(), client_id, project_id || null, schedule.frequency, schedule.interval_count, schedule.day_of_month,
+          schedule.start_date, schedule.end_date, nextRunDate, status,
+          payment_terms_days !== undefined ? parseInt(payment_terms_days) : existing.payment_terms_days,
+          tax_rate || 0, discount.type, discount.value, currency || existing.currency, notes || null, auto_send ? 1 : 0, req.user.id, existing.id
+        ]
+      );
+      await replaceItems(connection, existing.id, lineItems, catalog);
+    });
+
+    await logAudit(req, {
+      action: 'recurring_profile_updated',
+      table: 'invoices',
+      recordId: null,
+      newValues: { recurring_invoice_id: existing.id, title: title.trim(), next_run_date: nextRunDate, status }
+    });
+
+    const profile = await findProfile(req, existing.id);
+    res.json({
+      success: true,
+      message: 'Recurring invoice updated successfully',
+      data: formatProfile(profile)
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error updating recurring invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring invoice'
+    });
+  }
+});
+
+// Pause or resume. Resuming continues from today: dates missed while paused are not invoiced.
+router.put('/:id/status', authorizePermission('invoices', 'edit'), [
+  body('status').isIn(['active', 'paused']).withMessage('Status must be active or paused'),
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const profile = await findProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+    if (profile.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This schedule has ended. Edit its end date to continue it.'
+      });
+    }
+
+    let nextRunDate = toDateString(profile.next_run_date);
+    let status = req.body.status;
+    if (status === 'active' && profile.status === 'paused') {
+      nextRunDate = getNextRunDateFrom(profile, getEarliestNextRun(await getLastRunDate(profile.id)));
+      if (!nextRunDate) status = 'completed';
+    }
+
+    await dbQuery(
+      'UPDATE recurring_invoices SET status = ?, next_run_date = ? WHERE id = ?',
+      [status, nextRunDate, profile.id]
+    );
+    await logAudit(req, {
+      action: status === 'paused' ? 'recurring_profile_paused' : 'recurring_profile_resumed',
+      table: 'invoices',
+      recordId: null,
+      newValues: { recurring_invoice_id: profile.id, status, next_run_date: nextRunDate }
+    });
+
+    res.json({
+      success: true,
+      message: status === 'paused' ? 'Recurring invoice paused' : 'Recurring invoice resumed',
+      data: { status, next_run_date: nextRunDate }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error changing recurring invoice status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change status'
+    });
+  }
+});
+
+// Generate the next invoice now (instead of waiting for its run date); the schedule moves on one period
+router.post('/:id/generate', authorizePermission('invoices', 'create'), async (req, res) => {
+  try {
+    const profile = await findProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    const result = await generateRecurringInvoice(profile.id, { triggeredBy: 'manual', userId: req.user.id });
+    if (result.status !== 'success') {
+      return res.status(result.status === 'failed' ? 500 : 409).json({
+        success: false,
+        message: result.error || 'Invoice could not be generated'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${result.invoiceNumber} generated`,
+      data: { invoice_id: result.invoiceId, invoice_number: result.invoiceNumber }
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error generating recurring invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice'
+    });
+  }
+});
+
+// Delete profile (invoices it generated are kept)
+router.delete('/:id', authorizePermission('invoices', 'delete'), async (req, res) => {
+  try {
+    const profile = await findProfile(req, req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring invoice not found'
+      });
+    }
+
+    await transaction(async (connection) => {
+      await connection.execute('DELETE FROM recurring_invoice_runs WHERE recurring_invoice_id = ?', [profile.id]);
+      await connection.execute('DELETE FROM recurring_invoices WHERE id = ?', [profile.id]);
+    });
+    await logAudit(req, {
+      action: 'recurring_profile_deleted',
+      table: 'invoices',
+      recordId: null,
+      oldValues: { recurring_invoice_id: profile.id, title: profile.title, client_id: profile.client_id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring invoice deleted successfully'
+    });
+  } catch (error) {
+    if (isMissingSchemaError(error)) return missingSchemaResponse(res);
+    console.error('Error deleting recurring invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete recurring invoice'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,13 @@ const { authenticateToken, authorizePermission } = require('../middleware/auth')
 const { query: dbQuery } = require('../config/database');
 const { getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { formatPlaceOfSupply, hasDiscountSchema, round2 } = require('../utils/gst');
+const { getCurrencyConversion } = require('../utils/currency');
+const { hasCreditNoteSchema, getCreditedAmountSql } = require('../utils/creditNotes');
+const { hasCatalogSchema } = require('../utils/catalog');
+const { AGING_BUCKETS, getAgingBucket, getAgingBucketsSql } = require('../utils/clientStatements');
+const { todayString } = require('../utils/dates');
+const { hasExpenseSchema, getProjectCostSql, formatProjectCosts } = require('../utils/expenses');
 
 const router = express.Router();
 
@@ -20,7 +27,10 @@ const validateReportParams = [
   validatorQuery('format').optional().isIn(['json', 'pdf', 'excel', 'csv']).withMessage('Format must be json, pdf, excel, or csv'),
 ];
 
-// Get financial report
+// Workspace of the report; amounts are converted to its base currency
+const getReportWorkspaceId = (req) => req.workspaceId || req.workspaceFilter?.value || req.user?.workspace_id || req.user?.workspaceId || null;
+
+// Get financial report (amounts in the workspace base currency, see utils/currency.js)
 router.get('/financial', authorizePermission('reports', 'view'), validateReportParams, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -33,6 +43,11 @@ router.get('/financial', authorizePermission('reports', 'view'), validateReportP
     }
 
     const { start_date, end_date, client_id, project_id } = req.query;
+    const fx = await getCurrencyConversion(getReportWorkspaceId(req));
+    const rate = fx.invoiceRate('i');
+    // Revenue is net of credit notes; paid amounts are already net of refunds
+    const creditNotesReady = await hasCreditNoteSchema();
+    const credited = await getCreditedAmountSql('i');
 
     // Build WHERE clause
     let whereClause = 'WHERE 1=1';
@@ -72,10 +87,12 @@ router.get('/financial', authorizePermission('reports', 'view'), validateReportP
         SUM(CASE WHEN status = 'partial' THEN 1 ELSE 0 END) as partial_invoices,
         SUM(CASE WHEN status = 'overdue' THEN 1 ELSE 0 END) as overdue_invoices,
         SUM(CASE WHEN status = 'draft' THEN 1 ELSE 0 END) as draft_invoices,
-        SUM(total_amount) as total_amount,
-        SUM(paid_amount) as total_paid,
-        SUM(total_amount - paid_amount) as total_outstanding,
-        AVG(total_amount) as average_invoice_amount
+        SUM((total_amount - ${credited}) * ${rate}) as total_amount,
+        SUM(${credited} * ${rate}) as total_credited,
+        SUM(paid_amount * ${rate}) as total_paid,
+        SUM((total_amount - paid_amount - ${credited}) * ${rate}) as total_outstanding,
+        AVG((total_amount - ${credited}) * ${rate}) as average_invoice_amount,
+        SUM(CASE WHEN ${rate} IS NULL THEN 1 ELSE 0 END) as unconverted_invoices
       FROM invoices i
       ${whereClause}
     `, whereParams);
@@ -86,9 +103,9 @@ router.get('/financial', authorizePermission('reports', 'view'), validateReportP
         DATE_FORMAT(invoice_date, '%Y-%m') as month,
         DATE_FORMAT(invoice_date, '%M %Y') as month_name,
         COUNT(*) as invoice_count,
-        SUM(total_amount) as total_amount,
-        SUM(paid_amount) as total_paid,
-        SUM(total_amount - paid_amount) as outstanding
+        SUM((total_amount - ${credited}) * ${rate}) as total_amount,
+        SUM(paid_amount * ${rate}) as total_paid,
+        SUM((total_amount - paid_amount - ${credited}) * ${rate}) as outstanding
       FROM invoices i
       ${whereClause}
       GROUP BY DATE_FORMAT(invoice_date, '%Y-%m'), DATE_FORMAT(invoice_date, '%M %Y')
@@ -132,9 +149,9 @@ router.get('/financial', authorizePermission('reports', 'view'), validateReportP
         c.full_name,
         c.company_name,
         COUNT(i.id) as invoice_count,
-        SUM(i.total_amount) as total_amount,
-        SUM(i.paid_amount) as total_paid,
-        SUM(i.total_amount - i.paid_amount) as outstanding
+        SUM((i.total_amount - ${credited}) * ${rate}) as total_amount,
+        SUM(i.paid_amount * ${rate}) as total_paid,
+        SUM((i.total_amount - i.paid_amount - ${credited}) * ${rate}) as outstanding
       FROM clients c
       INNER JOIN invoices i ON c.id = i.client_id
       ${revenueByClientWhere}
@@ -159,30 +176,140 @@ router.get('/financial', authorizePermission('reports', 'view'), validateReportP
         paymentParams.push(end_date);
       }
 
-      paymentHistory = await dbQuery(`
+      const paymentRate = fx.paymentRate('p', 'i');
+      if (creditNotesReady) {
+        // Refunds count against the day they were paid out, at the rate of the refunded payment
+        const refundWhere = paymentWhere.replace(/p\.payment_date/g, 'r.refund_date');
+        paymentHistory = await dbQuery(`
+          SELECT 
+            day as payment_date,
+            SUM(payment_count) as payment_count,
+            SUM(paid) as total_amount,
+            SUM(refund_count) as refund_count,
+            SUM(refunded) as refunded_amount,
+            SUM(paid) - SUM(refunded) as net_amount
+          FROM (
+            SELECT DATE_FORMAT(p.payment_date, '%Y-%m-%d') as day, 1 as payment_count, p.amount * ${paymentRate} as paid,
+                   0 as refund_count, 0 as refunded
+            FROM payments p
+            INNER JOIN invoices i ON p.invoice_id = i.id ${paymentWs.whereClause}
+            ${paymentWhere}
+            UNION ALL
+            SELECT DATE_FORMAT(r.refund_date, '%Y-%m-%d') as day, 0, 0, 1, r.amount * ${paymentRate}
+            FROM refunds r
+            INNER JOIN payments p ON r.payment_id = p.id
+            INNER JOIN invoices i ON r.invoice_id = i.id ${paymentWs.whereClause}
+            ${refundWhere}
+          ) movements
+          GROUP BY day
+          ORDER BY payment_date DESC
+          LIMIT 30
+        `, [...paymentParams, ...paymentParams]);
+      } else {
+        paymentHistory = await dbQuery(`
+          SELECT 
+            DATE_FORMAT(p.payment_date, '%Y-%m-%d') as payment_date,
+            COUNT(*) as payment_count,
+            SUM(p.amount * ${paymentRate}) as total_amount
+          FROM payments p
+          INNER JOIN invoices i ON p.invoice_id = i.id ${paymentWs.whereClause}
+          ${paymentWhere}
+          GROUP BY DATE_FORMAT(p.payment_date, '%Y-%m-%d')
+          ORDER BY payment_date DESC
+          LIMIT 30
+        `, paymentParams);
+      }
+    } catch (error) {
+      console.warn('Payment history query failed:', error.message);
+      // Continue without payment history if table doesn't exist or query fails
+    }
+
+    // Realised FX gain/loss: foreign-currency payments valued at the payment-date rate vs the invoice rate
+    let fxGainLoss = [];
+    try {
+      const paymentWs = getWorkspaceFilter(req, 'i', 'workspace_id');
+      let fxWhere = 'WHERE i.currency <> ?';
+      const fxParams = [...paymentWs.whereParams, fx.baseCurrency];
+      if (start_date) {
+        fxWhere += ' AND p.payment_date >= ?';
+        fxParams.push(start_date);
+      }
+      if (end_date) {
+        fxWhere += ' AND p.payment_date <= ?';
+        fxParams.push(end_date);
+      }
+      if (client_id) {
+        fxWhere += ' AND i.client_id = ?';
+        fxParams.push(client_id);
+      }
+      if (project_id) {
+        fxWhere += ' AND i.project_id = ?';
+        fxParams.push(project_id);
+      }
+
+      const paymentRate = fx.paymentRate('p', 'i');
+      fxGainLoss = await dbQuery(`
         SELECT 
-          DATE_FORMAT(p.payment_date, '%Y-%m-%d') as payment_date,
+          i.currency,
           COUNT(*) as payment_count,
-          SUM(p.amount) as total_amount
+          SUM(p.amount) as amount,
+          SUM(p.amount * ${rate}) as invoiced_value,
+          SUM(p.amount * ${paymentRate}) as received_value,
+          SUM(p.amount * (${paymentRate} - ${rate})) as gain_loss
         FROM payments p
         INNER JOIN invoices i ON p.invoice_id = i.id ${paymentWs.whereClause}
-        ${paymentWhere}
-        GROUP BY DATE_FORMAT(p.payment_date, '%Y-%m-%d')
-        ORDER BY payment_date DESC
-        LIMIT 30
-      `, paymentParams);
+        ${fxWhere}
+        GROUP BY i.currency
+        ORDER BY i.currency
+      `, fxParams);
     } catch (error) {
-      console.warn('Payment history query failed:', error.message);
-      // Continue without payment history if table doesn't exist or query fails
+      console.warn('FX gain/loss query failed:', error.message);
+    }
+
+    // Refunds paid out in the period (by refund date)
+    let totalRefunded = 0;
+    if (creditNotesReady) {
+      const refundWs = getWorkspaceFilter(req, 'i', 'workspace_id');
+      let refundWhere = 'WHERE 1=1';
+      const refundParams = [...refundWs.whereParams];
+      if (start_date) {
+        refundWhere += ' AND r.refund_date >= ?';
+        refundParams.push(start_date);
+      }
+      if (end_date) {
+        refundWhere += ' AND r.refund_date <= ?';
+        refundParams.push(end_date);
+      }
+      if (client_id) {
+        refundWhere += ' AND i.client_id = ?';
+        refundParams.push(client_id);
+      }
+      if (project_id) {
+        refundWhere += ' AND i.project_id = ?';
+        refundParams.push(project_id);
+      }
+      const refundTotals = await dbQuery(`
+        SELECT SUM(r.amount * ${fx.paymentRate('p', 'i')}) as total_refunded
+        FROM refunds r
+        INNER JOIN payments p ON r.payment_id = p.id
+        INNER JOIN invoices i ON r.invoice_id = i.id ${refundWs.whereClause}
+        ${refundWhere}
+      `, refundParams);
+      totalRefunded = Number(refundTotals[0]?.total_refunded) || 0;
     }
 
     res.json({
       success: true,
       data: {
-        summary: invoiceStats[0],
+        base_currency: fx.baseCurrency,
+        summary: { ...invoiceStats[0], total_refunded: totalRefunded },
         revenue_by_month: revenueByMonth,
         revenue_by_client: revenueByClient,
         payment_history: paymentHistory,
+        fx_gain_loss: {
+          total: fxGainLoss.reduce((sum, row) => sum + (Number(row.gain_loss) || 0), 0),
+          by_currency: fxGainLoss,
+        },
         filters: {
           start_date: start_date || null,
           end_date: end_date || null,
@@ -219,7 +346,10 @@ router.get('/client-performance', authorizePermission('reports', 'view'), valida
     const whereParams = [];
 
     // Workspace filter for everyone including super admin (show only their workspace)
-    const workspaceIdClient = req.workspaceId || req.workspaceFilter?.value || req.user?.workspace_id || req.user?.workspaceId;
+    const workspaceIdClient = getReportWorkspaceId(req);
+    const fx = await getCurrencyConversion(workspaceIdClient);
+    const rate = fx.invoiceRate('i');
+    const credited = await getCreditedAmountSql('i');
     if (workspaceIdClient) {
       whereClause += ' AND c.workspace_id = ?';
       whereParams.push(workspaceIdClient);
@@ -250,9 +380,10 @@ router.get('/client-performance', authorizePermission('reports', 'view'), valida
         COUNT(DISTINCT CASE WHEN p.status = 'completed' THEN p.id END) as completed_projects,
         COUNT(DISTINCT q.id) as quotation_count,
         COUNT(DISTINCT i.id) as invoice_count,
-        COALESCE(SUM(i.total_amount), 0) as total_invoiced,
-        COALESCE(SUM(i.paid_amount), 0) as total_paid,
-        COALESCE(SUM(i.total_amount - i.paid_amount), 0) as outstanding_amount,
+        COALESCE(SUM((i.total_amount - ${credited}) * ${rate}), 0) as total_invoiced,
+        COALESCE(SUM(${credited} * ${rate}), 0) as total_credited,
+        COALESCE(SUM(i.paid_amount * ${rate}), 0) as total_paid,
+        COALESCE(SUM((i.total_amount - i.paid_amount - ${credited}) * ${rate}), 0) as outstanding_amount,
         COUNT(DISTINCT f.id) as file_count,
         COUNT(DISTINCT conv.id) as conversation_count
       FROM clients c
@@ -296,6 +427,7 @@ router.get('/client-performance', authorizePermission('reports', 'view'), valida
     res.json({
       success: true,
       data: {
+        base_currency: fx.baseCurrency,
         clients: clientStats,
         status_distribution: statusDistribution,
         total_clients: clientStats.length,
@@ -328,6 +460,19 @@ router.get('/project-performance', authorizePermission('reports', 'view'), valid
     }
 
     const { start_date, end_date, client_id } = req.query;
+    const fx = await getCurrencyConversion(getReportWorkspaceId(req));
+    const credited = await getCreditedAmountSql('i');
+
+    // Cost from expenses and costed time, and revenue (issued invoices before tax, net of issued credit notes),
+    // both in the base currency; until migration 030 the stored actual_cost is the cost
+    const costed = await hasExpenseSchema();
+    const costSql = costed ? getProjectCostSql('p', fx) : {};
+    const creditedBeforeTax = (await hasCreditNoteSchema())
+      ? ` - COALESCE((SELECT SUM(rcn.total_amount - rcn.tax_amount) FROM credit_notes rcn
+           WHERE rcn.invoice_id = ri.id AND rcn.status = 'issued'), 0)`
+      : '';
+    const revenueSql = `(SELECT COALESCE(SUM((ri.total_amount - ri.tax_amount${creditedBeforeTax}) * ${fx.invoiceRate('ri')}), 0)
+      FROM invoices ri WHERE ri.project_id = p.id AND ri.status NOT IN ('draft', 'cancelled'))`;
 
     let whereClause = 'WHERE 1=1';
     const whereParams = [];
@@ -367,10 +512,12 @@ router.get('/project-performance', authorizePermission('reports', 'view'), valid
         c.company_name,
         DATEDIFF(COALESCE(p.end_date, CURDATE()), p.start_date) as duration_days,
         COUNT(DISTINCT i.id) as invoice_count,
-        COALESCE(SUM(i.total_amount), 0) as total_invoiced,
+        COALESCE(SUM((i.total_amount - ${credited}) * ${fx.invoiceRate('i')}), 0) as total_invoiced,
         COUNT(DISTINCT q.id) as quotation_count,
         COUNT(DISTINCT f.id) as file_count,
-        COUNT(DISTINCT conv.id) as conversation_count
+        COUNT(DISTINCT conv.id) as conversation_count,
+        ${Object.entries(costSql).map(([key, sql]) => `${sql} as ${key},`).join('\n        ')}
+        ${revenueSql} as revenue
       FROM projects p
       LEFT JOIN clients c ON p.client_id = c.id
       LEFT JOIN invoices i ON p.id = i.project_id
@@ -382,6 +529,19 @@ router.get('/project-performance', authorizePermission('reports', 'view'), valid
       ORDER BY p.created_at DESC
     `, whereParams);
 
+    const projects = projectStats.map((project) => {
+      const costs = costed ? formatProjectCosts(project) : { actual_cost: project.actual_cost === null ? null : round2(project.actual_cost) };
+      const revenue = round2(project.revenue);
+      const margin = costs.actual_cost === null ? null : round2(revenue - costs.actual_cost);
+      return {
+        ...project,
+        ...costs,
+        revenue,
+        margin,
+        margin_percent: margin !== null && revenue > 0 ? round2((margin / revenue) * 100) : null,
+      };
+    });
+
     // Get project status distribution
     const statusDistribution = await dbQuery(`
       SELECT 
@@ -407,9 +567,26 @@ router.get('/project-performance', authorizePermission('reports', 'view'), valid
     res.json({
       success: true,
       data: {
-        projects: projectStats,
-        status_distribution: statusDistribution,
+        base_currency: fx.baseCurrency,
+        projects,
+        status_distribution: costed
+          ? statusDistribution.map((row) => {
+            const ofStatus = projects.filter((project) => project.status === row.status);
+            return {
+              ...row,
+              avg_actual_cost: ofStatus.length > 0
+                ? round2(ofStatus.reduce((sum, project) => sum + project.actual_cost, 0) / ofStatus.length)
+                : null,
+            };
+          })
+          : statusDistribution,
         type_distribution: typeDistribution,
+        totals: {
+          revenue: round2(projects.reduce((sum, project) => sum + project.revenue, 0)),
+          actual_cost: round2(projects.reduce((sum, project) => sum + (project.actual_cost || 0), 0)),
+          margin: round2(projects.reduce((sum, project) => sum + (project.margin || 0), 0)),
+        },
+        costed,
         total_projects: projectStats.length,
         filters: {
           start_date: start_date || null,
@@ -441,6 +618,9 @@ router.get('/invoices', authorizePermission('reports', 'view'), validateReportPa
     }
 
     const { start_date, end_date, client_id, status } = req.query;
+    const fx = await getCurrencyConversion(getReportWorkspaceId(req));
+    const rate = fx.invoiceRate('i');
+    const credited = await getCreditedAmountSql('i');
 
     let whereClause = 'WHERE 1=1';
     const whereParams = [];
@@ -479,10 +659,13 @@ router.get('/invoices', authorizePermission('reports', 'view'), validateReportPa
         i.due_date,
         i.total_amount,
         i.paid_amount,
-        i.total_amount - i.paid_amount as outstanding_amount,
+        ${credited} as credited_amount,
+        i.total_amount - i.paid_amount - ${credited} as outstanding_amount,
         i.status,
         i.tax_rate,
         i.tax_amount,
+        i.currency,
+        ${rate} as exchange_rate,
         c.full_name as client_name,
         c.company_name,
         c.email as client_email,
@@ -494,7 +677,7 @@ router.get('/invoices', authorizePermission('reports', 'view'), validateReportPa
       LEFT JOIN projects p ON i.project_id = p.id
       LEFT JOIN payments pay ON i.id = pay.invoice_id
       ${whereClause}
-      GROUP BY i.id, i.invoice_number, i.invoice_date, i.due_date, i.total_amount, i.paid_amount, i.status, i.tax_rate, i.tax_amount, c.full_name, c.company_name, c.email, p.title
+      GROUP BY i.id, i.invoice_number, i.invoice_date, i.due_date, i.total_amount, i.paid_amount, i.status, i.tax_rate, i.tax_amount, i.currency, c.full_name, c.company_name, c.email, p.title
       ORDER BY i.invoice_date DESC
     `, whereParams);
 
@@ -503,9 +686,10 @@ router.get('/invoices', authorizePermission('reports', 'view'), validateReportPa
       SELECT 
         status,
         COUNT(*) as count,
-        SUM(total_amount) as total_amount,
-        SUM(paid_amount) as total_paid,
-        SUM(total_amount - paid_amount) as total_outstanding
+        SUM((total_amount - ${credited}) * ${rate}) as total_amount,
+        SUM(${credited} * ${rate}) as total_credited,
+        SUM(paid_amount * ${rate}) as total_paid,
+        SUM((total_amount - paid_amount - ${credited}) * ${rate}) as total_outstanding
       FROM invoices i
       ${whereClause}
       GROUP BY status
@@ -514,6 +698,7 @@ router.get('/invoices', authorizePermission('reports', 'view'), validateReportPa
     res.json({
       success: true,
       data: {
+        base_currency: fx.baseCurrency,
         invoices,
         status_summary: statusSummary,
         total_invoices: invoices.length,
@@ -535,6 +720,478 @@ router.get('/invoices', authorizePermission('reports', 'view'), validateReportPa
   }
 });
 
+// Get accounts receivable aging: outstanding balances of issued invoices by days past due (the invoice date when
+// there is no due date) per client, in the base currency. With client_id the client's open invoices are listed too.
+router.get('/aging', authorizePermission('reports', 'view'), validateReportParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { client_id } = req.query;
+    const asOf = todayString();
+    const fx = await getCurrencyConversion(getReportWorkspaceId(req));
+    const rate = fx.invoiceRate('i');
+    const credited = await getCreditedAmountSql('i');
+    const outstanding = `(i.total_amount - i.paid_amount - ${credited})`;
+    // asOf is generated here (YYYY-MM-DD), so it can be inlined into every bucket condition
+    const daysPastDue = `DATEDIFF('${asOf}', COALESCE(i.due_date, i.invoice_date))`;
+
+    let whereClause = `WHERE i.status NOT IN ('draft', 'cancelled') AND ${outstanding} > 0.005`;
+    const whereParams = [];
+
+    // Workspace filter (primary)
+    const ws = getWorkspaceFilter(req, 'i', 'workspace_id');
+    whereClause += ws.whereClause;
+    whereParams.push(...ws.whereParams);
+
+    if (client_id) {
+      whereClause += ' AND i.client_id = ?';
+      whereParams.push(client_id);
+    }
+
+    const clientRows = await dbQuery(`
+      SELECT
+        i.client_id,
+        c.full_name as client_name,
+        c.company_name,
+        c.email as client_email,
+        COUNT(*) as invoice_count,
+        MIN(COALESCE(i.due_date, i.invoice_date)) as oldest_due_date,
+        ${getAgingBucketsSql(daysPastDue, `${outstanding} * ${rate}`)},
+        COALESCE(SUM(${outstanding} * ${rate}), 0) as total,
+        SUM(CASE WHEN ${rate} IS NULL THEN 1 ELSE 0 END) as unconverted_invoices
+      FROM invoices i
+      LEFT JOIN clients c ON i.client_id = c.id
+      ${whereClause}
+      GROUP BY i.client_id, c.full_name, c.company_name, c.email
+      ORDER BY total DESC
+    `, whereParams);
+
+    const amountKeys = [...AGING_BUCKETS.map((bucket) => bucket.key), 'total'];
+    const clients = clientRows.map((row) => ({
+      ...row,
+      invoice_count: Number(row.invoice_count),
+      unconverted_invoices: Number(row.unconverted_invoices),
+      ...amountKeys.reduce((amounts, key) => ({ ...amounts, [key]: round2(row[key]) }), {}),
+    }));
+    const totals = amountKeys.reduce((sums, key) => ({
+      ...sums,
+      [key]: round2(clients.reduce((total, row) => total + row[key], 0)),
+    }), {
+      invoice_count: clients.reduce((total, row) => total + row.invoice_count, 0),
+      unconverted_invoices: clients.reduce((total, row) => total + row.unconverted_invoices, 0),
+    });
+
+    // Drill-down: the open invoices of one client, oldest due first
+    let invoices = null;
+    if (client_id) {
+      const invoiceRows = await dbQuery(`
+        SELECT
+          i.id,
+          i.invoice_number,
+          i.invoice_date,
+          i.due_date,
+          i.status,
+          i.currency,
+          i.total_amount,
+          i.paid_amount,
+          ${credited} as credited_amount,
+          ${outstanding} as outstanding_amount,
+          ${outstanding} * ${rate} as outstanding_base,
+          ${daysPastDue} as days_past_due
+        FROM invoices i
+        ${whereClause}
+        ORDER BY COALESCE(i.due_date, i.invoice_date), i.id
+      `, whereParams);
+      invoices = invoiceRows.map((row) => ({
+        ...row,
+        outstanding_amount: round2(row.outstanding_amount),
+        outstanding_base: row.outstanding_base === null ? null : round2(row.outstanding_base),
+        days_overdue: Math.max(0, Number(row.days_past_due)),
+        bucket: getAgingBucket(Number(row.days_past_due)),
+      }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        base_currency: fx.baseCurrency,
+        as_of: asOf,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        clients,
+        totals,
+        invoices,
+        filters: {
+          client_id: client_id || null,
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Aging report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate aging report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get GST report: taxable value and CGST/SGST/IGST of issued invoices, by supply type, rate/HSN and place of supply
+router.get('/gst', authorizePermission('reports', 'view'), validateReportParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { start_date, end_date, client_id } = req.query;
+
+    // Drafts and cancelled invoices are not reported
+    let whereClause = "WHERE i.supply_type IS NOT NULL AND i.status NOT IN ('draft', 'cancelled')";
+    const whereParams = [];
+
+    // Workspace filter (primary)
+    const ws = getWorkspaceFilter(req, 'i', 'workspace_id');
+    whereClause += ws.whereClause;
+    whereParams.push(...ws.whereParams);
+
+    if (start_date) {
+      whereClause += ' AND i.invoice_date >= ?';
+      whereParams.push(start_date);
+    }
+
+    if (end_date) {
+      whereClause += ' AND i.invoice_date <= ?';
+      whereParams.push(end_date);
+    }
+
+    if (client_id) {
+      whereClause += ' AND i.client_id = ?';
+      whereParams.push(client_id);
+    }
+
+    // Tax is charged on the discounted value (migration 028): the subtotal less the document discount per invoice,
+    // the discounted taxable_value per line
+    const discounted = await hasDiscountSchema();
+    const invoiceTaxable = discounted ? '(i.subtotal - i.discount_amount)' : 'i.subtotal';
+    const lineTaxable = discounted ? 'ii.taxable_value' : 'ii.total_price';
+
+    const totals = await dbQuery(`
+      SELECT 
+        COUNT(*) as invoice_count,
+        COALESCE(SUM(${invoiceTaxable}), 0) as taxable_value,
+        COALESCE(SUM(i.cgst_amount), 0) as cgst_amount,
+        COALESCE(SUM(i.sgst_amount), 0) as sgst_amount,
+        COALESCE(SUM(i.igst_amount), 0) as igst_amount,
+        COALESCE(SUM(i.tax_amount), 0) as tax_amount,
+        COALESCE(SUM(i.total_amount), 0) as total_amount
+      FROM invoices i
+      ${whereClause}
+    `, whereParams);
+
+    const bySupplyType = await dbQuery(`
+      SELECT 
+        i.supply_type,
+        COUNT(*) as invoice_count,
+        SUM(${invoiceTaxable}) as taxable_value,
+        SUM(i.cgst_amount) as cgst_amount,
+        SUM(i.sgst_amount) as sgst_amount,
+        SUM(i.igst_amount) as igst_amount
+      FROM invoices i
+      ${whereClause}
+      GROUP BY i.supply_type
+    `, whereParams);
+
+    // Line level: CGST/SGST split per line the same way invoices store it (CGST takes the odd paisa)
+    const byRate = await dbQuery(`
+      SELECT 
+        COALESCE(ii.tax_rate, i.tax_rate) as tax_rate,
+        ii.hsn_sac,
+        COUNT(*) as line_count,
+        SUM(${lineTaxable}) as taxable_value,
+        SUM(CASE WHEN i.supply_type = 'intra_state' THEN CEIL(ROUND(ii.tax_amount * 100) / 2) / 100 ELSE 0 END) as cgst_amount,
+        SUM(CASE WHEN i.supply_type = 'intra_state' THEN FLOOR(ROUND(ii.tax_amount * 100) / 2) / 100 ELSE 0 END) as sgst_amount,
+        SUM(CASE WHEN i.supply_type = 'inter_state' THEN ii.tax_amount ELSE 0 END) as igst_amount
+      FROM invoice_items ii
+      INNER JOIN invoices i ON ii.invoice_id = i.id
+      ${whereClause}
+      GROUP BY COALESCE(ii.tax_rate, i.tax_rate), ii.hsn_sac
+      ORDER BY tax_rate DESC, ii.hsn_sac
+    `, whereParams);
+
+    const byPlaceOfSupply = await dbQuery(`
+      SELECT 
+        i.place_of_supply,
+        COUNT(*) as invoice_count,
+        SUM(${invoiceTaxable}) as taxable_value,
+        SUM(i.tax_amount) as tax_amount
+      FROM invoices i
+      ${whereClause}
+      GROUP BY i.place_of_supply
+      ORDER BY taxable_value DESC
+    `, whereParams);
+
+    // Credit notes issued in the period reduce the tax payable (by credit date, like a GSTR-1 credit note)
+    let creditNotes = null;
+    if (await hasCreditNoteSchema()) {
+      let creditWhere = "WHERE cn.supply_type IS NOT NULL AND cn.status = 'issued'";
+      const creditParams = [];
+      const creditWs = getWorkspaceFilter(req, 'cn', 'workspace_id');
+      creditWhere += creditWs.whereClause;
+      creditParams.push(...creditWs.whereParams);
+      if (start_date) {
+        creditWhere += ' AND cn.credit_date >= ?';
+        creditParams.push(start_date);
+      }
+      if (end_date) {
+        creditWhere += ' AND cn.credit_date <= ?';
+        creditParams.push(end_date);
+      }
+      if (client_id) {
+        creditWhere += ' AND cn.client_id = ?';
+        creditParams.push(client_id);
+      }
+      const creditTotals = await dbQuery(`
+        SELECT 
+          COUNT(*) as credit_note_count,
+          COALESCE(SUM(cn.subtotal), 0) as taxable_value,
+          COALESCE(SUM(cn.cgst_amount), 0) as cgst_amount,
+          COALESCE(SUM(cn.sgst_amount), 0) as sgst_amount,
+          COALESCE(SUM(cn.igst_amount), 0) as igst_amount,
+          COALESCE(SUM(cn.tax_amount), 0) as tax_amount,
+          COALESCE(SUM(cn.total_amount), 0) as total_amount
+        FROM credit_notes cn
+        ${creditWhere}
+      `, creditParams);
+      creditNotes = creditTotals[0];
+    }
+
+    const net = {};
+    ['taxable_value', 'cgst_amount', 'sgst_amount', 'igst_amount', 'tax_amount', 'total_amount'].forEach((key) => {
+      net[key] = (Number(totals[0][key]) || 0) - (creditNotes ? Number(creditNotes[key]) || 0 : 0);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        summary: totals[0],
+        credit_notes: creditNotes,
+        net,
+        by_supply_type: bySupplyType,
+        by_rate: byRate,
+        by_place_of_supply: byPlaceOfSupply.map((row) => ({
+          ...row,
+          place_of_supply_name: formatPlaceOfSupply(row.place_of_supply)
+        })),
+        filters: {
+          start_date: start_date || null,
+          end_date: end_date || null,
+          client_id: client_id || null,
+        }
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'GST report is not available. Please run the migration (019_gst_tax_breakdown.sql).'
+      });
+    }
+    console.error('GST report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate GST report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Revenue by catalog item: line totals excluding tax of issued invoices (by invoice date, drafts and cancelled
+// excluded), net of the credit notes issued against them, in the workspace base currency. Lines not picked from the
+// catalog are grouped under catalog_item_id null.
+router.get('/catalog-revenue', authorizePermission('reports', 'view'), validateReportParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await hasCatalogSchema())) {
+      return res.status(501).json({
+        success: false,
+        message: 'Revenue by catalog item is not available. Please run the migration (027_catalog_items.sql).'
+      });
+    }
+
+    const { start_date, end_date, client_id, project_id } = req.query;
+    const fx = await getCurrencyConversion(getReportWorkspaceId(req));
+    const rate = fx.invoiceRate('i');
+
+    let whereClause = "WHERE i.status NOT IN ('draft', 'cancelled')";
+    const whereParams = [];
+
+    // Workspace filter (primary)
+    const ws = getWorkspaceFilter(req, 'i', 'workspace_id');
+    whereClause += ws.whereClause;
+    whereParams.push(...ws.whereParams);
+
+    if (start_date) {
+      whereClause += ' AND i.invoice_date >= ?';
+      whereParams.push(start_date);
+    }
+
+    if (end_date) {
+      whereClause += ' AND i.invoice_date <= ?';
+      whereParams.push(end_date);
+    }
+
+    if (client_id) {
+      whereClause += ' AND i.client_id = ?';
+      whereParams.push(client_id);
+    }
+
+    if (project_id) {
+      whereClause += ' AND i.project_id = ?';
+      whereParams.push(project_id);
+    }
+
+    // Revenue net of line and document discounts (migration 028)
+    const lineAmount = (await hasDiscountSchema()) ? 'ii.taxable_value' : 'ii.total_price';
+
+    const invoiced = await dbQuery(`
+      SELECT 
+        ii.catalog_item_id,
+        COUNT(*) as line_count,
+        COUNT(DISTINCT i.id) as invoice_count,
+        COALESCE(SUM(ii.quantity), 0) as quantity,
+        COALESCE(SUM(${lineAmount} * ${rate}), 0) as invoiced_amount,
+        SUM(CASE WHEN ${rate} IS NULL THEN 1 ELSE 0 END) as unconverted_lines
+      FROM invoice_items ii
+      INNER JOIN invoices i ON ii.invoice_id = i.id
+      ${whereClause}
+      GROUP BY ii.catalog_item_id
+    `, whereParams);
+
+    // Credit note lines count against the catalog item of the invoice line they credit, at the invoice's rate
+    let credited = [];
+    if (await hasCreditNoteSchema()) {
+      credited = await dbQuery(`
+        SELECT 
+          ii.catalog_item_id,
+          COALESCE(SUM(cni.total_price * ${rate}), 0) as credited_amount
+        FROM credit_note_items cni
+        INNER JOIN credit_notes cn ON cni.credit_note_id = cn.id AND cn.status = 'issued'
+        INNER JOIN invoices i ON cn.invoice_id = i.id
+        LEFT JOIN invoice_items ii ON cni.invoice_item_id = ii.id
+        ${whereClause}
+        GROUP BY ii.catalog_item_id
+      `, whereParams);
+    }
+
+    const rows = new Map();
+    const getRow = (catalogItemId) => {
+      const key = catalogItemId ? Number(catalogItemId) : null;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          catalog_item_id: key,
+          line_count: 0,
+          invoice_count: 0,
+          quantity: 0,
+          invoiced_amount: 0,
+          credited_amount: 0,
+          unconverted_lines: 0,
+        });
+      }
+      return rows.get(key);
+    };
+    invoiced.forEach((row) => {
+      Object.assign(getRow(row.catalog_item_id), {
+        line_count: Number(row.line_count),
+        invoice_count: Number(row.invoice_count),
+        quantity: Number(row.quantity),
+        invoiced_amount: Number(row.invoiced_amount),
+        unconverted_lines: Number(row.unconverted_lines),
+      });
+    });
+    credited.forEach((row) => {
+      getRow(row.catalog_item_id).credited_amount = Number(row.credited_amount);
+    });
+
+    const catalogIds = [...rows.keys()].filter((id) => id !== null);
+    const catalogItems = catalogIds.length > 0
+      ? await dbQuery(
+        `SELECT id, name, sku, item_type, unit, is_active FROM catalog_items WHERE id IN (${catalogIds.map(() => '?').join(', ')})`,
+        catalogIds
+      )
+      : [];
+    const catalogById = new Map(catalogItems.map((item) => [Number(item.id), item]));
+
+    const items = [...rows.values()].map((row) => {
+      const item = row.catalog_item_id !== null ? catalogById.get(row.catalog_item_id) : null;
+      return {
+        ...row,
+        name: item ? item.name : null,
+        sku: item ? item.sku : null,
+        item_type: item ? item.item_type : null,
+        unit: item ? item.unit : null,
+        is_active: item ? Boolean(item.is_active) : null,
+        net_amount: row.invoiced_amount - row.credited_amount,
+      };
+    });
+    // Catalog items by net revenue, lines not from the catalog last
+    items.sort((a, b) => {
+      if ((a.catalog_item_id === null) !== (b.catalog_item_id === null)) return a.catalog_item_id === null ? 1 : -1;
+      return b.net_amount - a.net_amount;
+    });
+
+    const sum = (field) => items.reduce((total, row) => total + row[field], 0);
+    const fromCatalog = items.filter((row) => row.catalog_item_id !== null);
+
+    res.json({
+      success: true,
+      data: {
+        base_currency: fx.baseCurrency,
+        summary: {
+          invoiced_amount: sum('invoiced_amount'),
+          credited_amount: sum('credited_amount'),
+          net_amount: sum('net_amount'),
+          catalog_net_amount: fromCatalog.reduce((total, row) => total + row.net_amount, 0),
+          catalog_item_count: fromCatalog.length,
+          unconverted_lines: sum('unconverted_lines'),
+        },
+        items,
+        filters: {
+          start_date: start_date || null,
+          end_date: end_date || null,
+          client_id: client_id || null,
+          project_id: project_id || null,
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Catalog revenue report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate revenue by catalog item report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Get summary report (all key metrics)
 // Super admin also sees only their workspace data (req.workspaceId = Super admin workspace)
 router.get('/summary', authorizePermission('reports', 'view'), async (req, res) => {
@@ -542,8 +1199,11 @@ router.get('/summary', authorizePermission('reports', 'view'), async (req, res)
     const workspaceId = req.workspaceId || req.workspaceFilter?.value;
     const wsClause = workspaceId ? ' AND workspace_id = ?' : ' AND 1=0';
     const repeat = (n) => (workspaceId ? Array(n).fill(workspaceId) : []);
+    const fx = await getCurrencyConversion(workspaceId);
+    const rate = fx.invoiceRate('i');
+    const credited = await getCreditedAmountSql('i');
 
-    // Get all key metrics
+    // Get all key metrics (revenue in the workspace base currency)
     const summary = await dbQuery(`
       SELECT 
         (SELECT COUNT(*) FROM clients WHERE 1=1${wsClause}) as total_clients,
@@ -556,8 +1216,8 @@ router.get('/summary', authorizePermission('reports', 'view'), async (req, res)
         (SELECT COUNT(*) FROM invoices WHERE 1=1${wsClause}) as total_invoices,
         (SELECT COUNT(*) FROM invoices WHERE status = 'paid'${wsClause}) as paid_invoices,
         (SELECT COUNT(*) FROM invoices WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as unpaid_invoices,
-        (SELECT SUM(total_amount) FROM invoices WHERE status = 'paid'${wsClause}) as total_revenue,
-        (SELECT SUM(total_amount - paid_amount) FROM invoices WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as outstanding_amount,
+        (SELECT SUM((i.total_amount - ${credited}) * ${rate}) FROM invoices i WHERE status = 'paid'${wsClause}) as total_revenue,
+        (SELECT SUM((i.total_amount - i.paid_amount - ${credited}) * ${rate}) FROM invoices i WHERE status IN ('sent', 'partial', 'overdue')${wsClause}) as outstanding_amount,
         (SELECT COUNT(*) FROM files WHERE 1=1${wsClause}) as total_files,
         (SELECT COUNT(*) FROM credentials WHERE 1=1${wsClause}) as total_credentials,
         (SELECT COUNT(*) FROM conversations WHERE 1=1${wsClause}) as total_conversations,
@@ -566,7 +1226,7 @@ router.get('/summary', authorizePermission('reports', 'view'), async (req, res)
 
     res.json({
       success: true,
-      data: summary[0]
+      data: { ...summary[0], base_currency: fx.baseCurrency }
     });
   } catch (error) {
     console.error('Summary report error:', error);
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult, query: validatorQuery } = require('express-validator');
 const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { query: dbQuery } = require('../config/database');
+const { logAudit, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
 
 const router = express.Router();
 
@@ -108,6 +109,19 @@ router.get('/permissions/list', authorizePermission('roles', 'view'), async (req
   }
 });
 
+// Permissions of a role as "module:action" keys, for the audit trail
+const getRolePermissionKeys = async (roleId) => {
+  const rows = await dbQuery(
+    `SELECT p.module, p.action
+     FROM permissions p
+     INNER JOIN role_permissions rp ON p.id = rp.permission_id
+     WHERE rp.role_id = ?
+     ORDER BY p.module, p.action`,
+    [roleId]
+  );
+  return rows.map((row) => `${row.module}:${row.action}`);
+};
+
 // Update role permissions
 router.put('/:id/permissions', authorizePermission('roles', 'edit'), [
   body('permission_ids').isArray().withMessage('permission_ids must be an array'),
@@ -144,6 +158,8 @@ router.put('/:id/permissions', authorizePermission('roles', 'edit'), [
       });
     }
 
+    const previousPermissions = await getRolePermissionKeys(roleId);
+
     // Remove existing permissions
     await dbQuery('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
 
@@ -175,6 +191,14 @@ router.put('/:id/permissions', authorizePermission('roles', 'edit'), [
     const updatedRole = roles[0];
     updatedRole.permissions = permissions;
 
+    await logAudit(req, {
+      action: 'permissions_updated',
+      table: 'roles',
+      recordId: roleId,
+      oldValues: { permissions: previousPermissions },
+      newValues: { permissions: permissions.map((p) => `${p.module}:${p.action}`) }
+    });
+
     res.json({
       success: true,
       message: 'Role permissions updated successfully',
@@ -239,6 +263,8 @@ router.post('/', authorizePermission('roles', 'edit'), [
       }
     }
 
+    await auditCreate(req, 'roles', roleId);
+
     // Fetch created role
     const roles = await dbQuery('SELECT * FROM roles WHERE id = ?', [roleId]);
     const permissions = await dbQuery(
@@ -329,6 +355,7 @@ router.put('/:id', authorizePermission('roles', 'edit'), [
       `UPDATE roles SET ${updates.join(', ')} WHERE id = ?`,
       updateParams
     );
+    await auditUpdate(req, 'roles', roleId, roleCheck[0]);
 
     // Fetch updated role
     const roles = await dbQuery('SELECT * FROM roles WHERE id = ?', [roleId]);
@@ -391,6 +418,7 @@ router.delete('/:id', authorizePermission('roles', 'edit'), async (req, res) =>
 
     // Delete role (permissions will be deleted via CASCADE)
     await dbQuery('DELETE FROM roles WHERE id = ?', [roleId]);
+    await auditDelete(req, 'roles', roleId, roleCheck[0]);
 
     res.json({
       success: true,
@@ -456,6 +484,13 @@ router.post('/:id/assign-user', authorizePermission('roles', 'edit'), [
       throw error;
     }
 
+    await logAudit(req, {
+      action: 'user_assigned',
+      table: 'roles',
+      recordId: roleId,
+      newValues: { user_id: Number(user_id) }
+    });
+
     res.json({
       success: true,
       message: 'Role assigned to user successfully'
@@ -475,10 +510,18 @@ router.delete('/:id/assign-user/:userId', authorizePermission('roles', 'edit'),
     const roleId = req.params.id;
     const userId = req.params.userId;
 
-    await dbQuery(
+    const result = await dbQuery(
       'DELETE FROM user_roles WHERE user_id = ? AND role_id = ?',
       [userId, roleId]
     );
+    if (result.affectedRows > 0) {
+      await logAudit(req, {
+        action: 'user_unassigned',
+        table: 'roles',
+        recordId: roleId,
+        oldValues: { user_id: Number(userId) }
+      });
+    }
 
     res.json({
       success: true,
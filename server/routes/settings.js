@@ -1,14 +1,42 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { CREDENTIAL_TYPES, getReasonRequiredTypes, setReasonRequiredTypes } = require('../utils/credentialAccess');
+const { GST_STATES, normaliseGstin, isValidGstin, getStateByCode, getStateCodeFromGstin } = require('../utils/gst');
+const {
+  DEFAULT_BASE_CURRENCY,
+  COMMON_CURRENCIES,
+  normaliseCurrency,
+  isValidCurrency,
+  getBaseCurrency,
+  parseExchangeRateCsv,
+} = require('../utils/currency');
+const { normaliseReminderSettings, saveReminderSettings } = require('../utils/documentEmails');
+const {
+  FIELD_KEYS,
+  IMAGE_KINDS,
+  MAX_IMAGE_BYTES,
+  MAX_FOOTER_LENGTH,
+  MAX_BANK_DETAILS_LENGTH,
+  MAX_SIGNATURE_LABEL_LENGTH,
+  ACCENT_COLOR_PATTERN,
+  normaliseTemplateSettings,
+  detectImageType,
+  getDocumentTemplate,
+  saveDocumentTemplate,
+  saveTemplateImage,
+  toDataUrl,
+} = require('../utils/documentTemplates');
+const { writeTemplatePreviewPdf } = require('../utils/invoicePdf');
 
 const router = express.Router();
 
 // Helper: get current workspace id for the user (for workspace-scoped settings)
 const getWorkspaceId = (req) => req.user.workspaceId || req.user.workspace_id || (req.user.workspace && req.user.workspace.id) || null;
 
-// Helper: user is workspace administrator (can edit workspace invoice-from settings)
+// Helper: user is workspace administrator (can edit workspace invoice-from and security settings)
 const canEditWorkspaceInvoiceFrom = (req) => {
   if (req.user.is_super_admin || req.user.isSuperAdmin) return true;
   if (req.user.role === 'admin') return true;
@@ -348,6 +376,855 @@ router.put('/workspace-invoice-from', authenticateToken, [
   }
 });
 
+// Get workspace security policy (require 2FA for members). Any workspace member can view.
+router.get('/workspace-security', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    const rows = await query('SELECT id, require_two_factor FROM workspaces WHERE id = ?', [workspaceId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    res.json({
+      success: true,
+      data: {
+        require_two_factor: Boolean(rows[0].require_two_factor),
+        can_edit: canEditWorkspaceInvoiceFrom(req),
+      },
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Security settings are not available. Please run the migration (011_two_factor_auth.sql).',
+      });
+    }
+    console.error('Get workspace security error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+// Update workspace security policy. Only workspace administrators can update.
+router.put('/workspace-security', [
+  body('require_two_factor').isBoolean().withMessage('require_two_factor must be a boolean'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update security settings.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const requireTwoFactor = req.body.require_two_factor === true || req.body.require_two_factor === 'true';
+
+    // The administrator turning this on must already use 2FA, otherwise they would lock themselves out
+    if (requireTwoFactor && !req.user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for the workspace.',
+      });
+    }
+
+    await query(
+      'UPDATE workspaces SET require_two_factor = ?, updated_at = NOW() WHERE id = ?',
+      [requireTwoFactor ? 1 : 0, workspaceId]
+    );
+    res.json({
+      success: true,
+      message: requireTwoFactor
+        ? 'Two-factor authentication is now required for all workspace members'
+        : 'Two-factor authentication is now optional',
+      data: { require_two_factor: requireTwoFactor },
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Security settings are not available. Please run the migration (011_two_factor_auth.sql).',
+      });
+    }
+    console.error('Update workspace security error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+// Get workspace GST registration (GSTIN and state used for CGST/SGST vs IGST). Any workspace member can view.
+router.get('/workspace-gst', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    const rows = await query('SELECT id, gstin, gst_state_code FROM workspaces WHERE id = ?', [workspaceId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    res.json({
+      success: true,
+      data: {
+        gstin: rows[0].gstin || '',
+        gst_state_code: rows[0].gst_state_code || '',
+        states: GST_STATES.filter((state) => state.code !== '96'),
+        can_edit: canEditWorkspaceInvoiceFrom(req),
+      },
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'GST settings are not available. Please run the migration (019_gst_tax_breakdown.sql).',
+      });
+    }
+    console.error('Get workspace GST error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+// Update workspace GST registration. Only workspace administrators can update.
+// Clearing the state turns GST off: new documents get a single tax line again.
+router.put('/workspace-gst', [
+  body('gstin').optional({ nullable: true, checkFalsy: true }).custom(isValidGstin).withMessage('GSTIN must be a valid 15-character GST number'),
+  body('gst_state_code').optional({ nullable: true, checkFalsy: true }).custom((value) => Boolean(getStateByCode(value))).withMessage('Valid GST state is required'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update GST settings.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const gstin = normaliseGstin(req.body.gstin) || null;
+    const gstinState = getStateCodeFromGstin(gstin);
+    const stateCode = req.body.gst_state_code ? getStateByCode(req.body.gst_state_code).code : gstinState;
+    if (gstin && gstinState !== stateCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'The GSTIN belongs to a different state than the one selected.',
+      });
+    }
+
+    await query(
+      'UPDATE workspaces SET gstin = ?, gst_state_code = ?, updated_at = NOW() WHERE id = ?',
+      [gstin, stateCode || null, workspaceId]
+    );
+    res.json({
+      success: true,
+      message: 'GST settings updated successfully',
+      data: { gstin: gstin || '', gst_state_code: stateCode || '' },
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'GST settings are not available. Please run the migration (019_gst_tax_breakdown.sql).',
+      });
+    }
+    console.error('Update workspace GST error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+const currencyMigrationResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Multi-currency is not available. Please run the migration (020_multi_currency.sql).',
+});
+
+const isCurrencySchemaError = (err) => err && ['ER_BAD_FIELD_ERROR', 'ER_NO_SUCH_TABLE'].includes(err.code);
+
+// Upsert one exchange rate (one rate per currency and day)
+const saveExchangeRate = (workspaceId, { currency, rate, rate_date }, source, userId) => query(
+  `INSERT INTO exchange_rates (workspace_id, currency, rate_date, rate, source, created_by)
+   VALUES (?, ?, ?, ?, ?, ?)
+   ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source), updated_at = NOW()`,
+  [workspaceId, currency, rate_date, rate, source, userId || null]
+);
+
+// Get workspace base currency (reports convert to it). Any workspace member can view.
+// locked: invoices already captured a rate against the current base currency, so it can no longer change.
+router.get('/workspace-currency', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    const rows = await query('SELECT id, base_currency FROM workspaces WHERE id = ?', [workspaceId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    const captured = await query(
+      'SELECT COUNT(*) as count FROM invoices WHERE workspace_id = ? AND exchange_rate IS NOT NULL',
+      [workspaceId]
+    );
+    res.json({
+      success: true,
+      data: {
+        base_currency: rows[0].base_currency || DEFAULT_BASE_CURRENCY,
+        currencies: COMMON_CURRENCIES,
+        locked: captured[0].count > 0,
+        can_edit: canEditWorkspaceInvoiceFrom(req),
+      },
+    });
+  } catch (err) {
+    if (isCurrencySchemaError(err)) return currencyMigrationResponse(res);
+    console.error('Get workspace currency error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+// Update workspace base currency. Only workspace administrators can update, and only before invoices have
+// captured rates and while no exchange rates are stored (both are expressed in the current base currency).
+router.put('/workspace-currency', [
+  body('base_currency').custom(isValidCurrency).withMessage('Base currency must be a 3-letter currency code'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update the base currency.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const baseCurrency = normaliseCurrency(req.body.base_currency);
+    const current = await getBaseCurrency(workspaceId);
+    if (baseCurrency !== current) {
+      const captured = await query(
+        'SELECT COUNT(*) as count FROM invoices WHERE workspace_id = ? AND exchange_rate IS NOT NULL',
+        [workspaceId]
+      );
+      if (captured[0].count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `The base currency cannot be changed: invoices already captured exchange rates to ${current}.`,
+        });
+      }
+      const rates = await query('SELECT COUNT(*) as count FROM exchange_rates WHERE workspace_id = ?', [workspaceId]);
+      if (rates[0].count > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Delete the stored exchange rates first; they are expressed in ${current}.`,
+        });
+      }
+      await query('UPDATE workspaces SET base_currency = ?, updated_at = NOW() WHERE id = ?', [baseCurrency, workspaceId]);
+    }
+    res.json({
+      success: true,
+      message: 'Base currency updated successfully',
+      data: { base_currency: baseCurrency },
+    });
+  } catch (err) {
+    if (isCurrencySchemaError(err)) return currencyMigrationResponse(res);
+    console.error('Update workspace currency error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+// List workspace exchange rates (newest first). Any workspace member can view.
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    const currency = normaliseCurrency(req.query.currency);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const params = [workspaceId];
+    let where = 'WHERE er.workspace_id = ?';
+    if (currency) {
+      where += ' AND er.currency = ?';
+      params.push(currency);
+    }
+    const rates = await query(
+      `SELECT er.id, er.currency, DATE_FORMAT(er.rate_date, '%Y-%m-%d') as rate_date, er.rate, er.source,
+              er.updated_at, u.full_name as created_by_name
+       FROM exchange_rates er
+       LEFT JOIN users u ON er.created_by = u.id
+       ${where}
+       ORDER BY er.rate_date DESC, er.currency ASC
+       LIMIT ${limit}`,
+      params
+    );
+    res.json({
+      success: true,
+      data: {
+        base_currency: await getBaseCurrency(workspaceId),
+        rates: rates.map((rate) => ({ ...rate, rate: Number(rate.rate) })),
+      },
+    });
+  } catch (err) {
+    if (isCurrencySchemaError(err)) return currencyMigrationResponse(res);
+    console.error('Get exchange rates error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load exchange rates' });
+  }
+});
+
+// Add or replace the rate of a currency on a day. Only workspace administrators can update.
+router.post('/exchange-rates', [
+  body('currency').custom(isValidCurrency).withMessage('Currency must be a 3-letter currency code'),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('rate_date').isISO8601().withMessage('Valid rate date is required'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can manage exchange rates.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const currency = normaliseCurrency(req.body.currency);
+    const baseCurrency = await getBaseCurrency(workspaceId);
+    if (currency === baseCurrency) {
+      return res.status(400).json({
+        success: false,
+        message: `${currency} is the base currency; its rate is always 1.`,
+      });
+    }
+    const rate = {
+      currency,
+      rate: parseFloat(req.body.rate),
+      rate_date: String(req.body.rate_date).split('T')[0],
+    };
+    await saveExchangeRate(workspaceId, rate, 'manual', req.user.id);
+    res.json({
+      success: true,
+      message: 'Exchange rate saved',
+      data: rate,
+    });
+  } catch (err) {
+    if (isCurrencySchemaError(err)) return currencyMigrationResponse(res);
+    console.error('Save exchange rate error:', err);
+    res.status(500).json({ success: false, message: 'Failed to save exchange rate' });
+  }
+});
+
+// Import exchange rates from CSV text (currency,rate[,date]); existing rates for the same day are replaced.
+router.post('/exchange-rates/import', [
+  body('csv').isString().notEmpty().withMessage('CSV content is required'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can manage exchange rates.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const baseCurrency = await getBaseCurrency(workspaceId);
+    const { rows, errors: parseErrors } = parseExchangeRateCsv(req.body.csv);
+    const importErrors = [...parseErrors];
+    let imported = 0;
+    for (const row of rows) {
+      if (row.currency === baseCurrency) {
+        importErrors.push({ line: row.line, message: `${row.currency} is the base currency` });
+        continue;
+      }
+      await saveExchangeRate(workspaceId, row, 'csv', req.user.id);
+      imported += 1;
+    }
+    if (imported === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No exchange rates were imported',
+        data: { imported, errors: importErrors },
+      });
+    }
+    res.json({
+      success: true,
+      message: `${imported} exchange rate${imported === 1 ? '' : 's'} imported`,
+      data: { imported, errors: importErrors },
+    });
+  } catch (err) {
+    if (isCurrencySchemaError(err)) return currencyMigrationResponse(res);
+    console.error('Import exchange rates error:', err);
+    res.status(500).json({ success: false, message: 'Failed to import exchange rates' });
+  }
+});
+
+// Delete an exchange rate. Rates already captured on invoices and payments are kept.
+router.delete('/exchange-rates/:id', async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can manage exchange rates.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    const result = await query('DELETE FROM exchange_rates WHERE id = ? AND workspace_id = ?', [req.params.id, workspaceId]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Exchange rate not found' });
+    }
+    res.json({ success: true, message: 'Exchange rate deleted' });
+  } catch (err) {
+    if (isCurrencySchemaError(err)) return currencyMigrationResponse(res);
+    console.error('Delete exchange rate error:', err);
+    res.status(500).json({ success: false, message: 'Failed to delete exchange rate' });
+  }
+});
+
+// Get workspace credential policy (credential types that need a reason to reveal). Any workspace member can view.
+router.get('/credential-policy', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    res.json({
+      success: true,
+      data: {
+        reason_required_types: await getReasonRequiredTypes(workspaceId),
+        credential_types: CREDENTIAL_TYPES,
+        can_edit: canEditWorkspaceInvoiceFrom(req),
+      },
+    });
+  } catch (err) {
+    console.error('Get credential policy error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+// Update workspace credential policy. Only workspace administrators can update.
+router.put('/credential-policy', [
+  body('reason_required_types').isArray().withMessage('reason_required_types must be an array'),
+  body('reason_required_types.*').isIn(CREDENTIAL_TYPES).withMessage('Invalid credential type'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update security settings.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const types = await setReasonRequiredTypes(workspaceId, req.body.reason_required_types);
+    res.json({
+      success: true,
+      message: 'Credential access policy updated',
+      data: { reason_required_types: types },
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Credential access policy is not available. Please run the migration (016_credential_access_logs.sql).',
+      });
+    }
+    console.error('Update credential policy error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+// Get workspace payment reminder schedule. Any workspace member can view.
+router.get('/payment-reminders', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    const rows = await query('SELECT id, payment_reminder_settings FROM workspaces WHERE id = ?', [workspaceId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    res.json({
+      success: true,
+      data: {
+        ...normaliseReminderSettings(rows[0].payment_reminder_settings),
+        can_edit: canEditWorkspaceInvoiceFrom(req),
+      },
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Payment reminders are not available. Please run the migration (021_document_emails.sql).',
+      });
+    }
+    console.error('Get payment reminders error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+// Update workspace payment reminder schedule. Only workspace administrators can update.
+router.put('/payment-reminders', [
+  body('enabled').isBoolean().withMessage('enabled must be true or false'),
+  body('days_before').optional().isInt({ min: 0, max: 60 }).withMessage('Days before due must be between 0 and 60'),
+  body('on_due_date').optional().isBoolean().withMessage('on_due_date must be true or false'),
+  body('overdue_every_days').optional().isInt({ min: 0, max: 90 }).withMessage('Overdue interval must be between 0 and 90 days'),
+  body('max_overdue_reminders').optional().isInt({ min: 0, max: 12 }).withMessage('Overdue reminders must be between 0 and 12'),
+], async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update payment reminders.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const { enabled, days_before, on_due_date, overdue_every_days, max_overdue_reminders } = req.body;
+    const settings = await saveReminderSettings(workspaceId, {
+      enabled, days_before, on_due_date, overdue_every_days, max_overdue_reminders,
+    });
+    res.json({
+      success: true,
+      message: 'Payment reminders updated successfully',
+      data: settings,
+    });
+  } catch (err) {
+    if (err.code === 'ER_BAD_FIELD_ERROR') {
+      return res.status(501).json({
+        success: false,
+        message: 'Payment reminders are not available. Please run the migration (021_document_emails.sql).',
+      });
+    }
+    console.error('Update payment reminders error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+const documentTemplateMigrationResponse = (res) => res.status(501).json({
+  success: false,
+  message: 'Document templates are not available. Please run the migration (026_document_templates.sql).',
+});
+
+const isDocumentTemplateSchemaError = (err) => err && ['ER_BAD_FIELD_ERROR', 'ER_NO_SUCH_TABLE'].includes(err.code);
+
+const validateDocumentTemplate = [
+  body('accent_color').optional().matches(ACCENT_COLOR_PATTERN).withMessage('Accent colour must be a hex colour such as #4F46E5'),
+  body('footer_text').optional({ nullable: true }).isString().isLength({ max: MAX_FOOTER_LENGTH }).withMessage(`Footer text must be at most ${MAX_FOOTER_LENGTH} characters`),
+  body('bank_details').optional({ nullable: true }).isString().isLength({ max: MAX_BANK_DETAILS_LENGTH }).withMessage(`Bank details must be at most ${MAX_BANK_DETAILS_LENGTH} characters`),
+  body('bank_details_on_quotations').optional().isBoolean().withMessage('bank_details_on_quotations must be true or false'),
+  body('signature_label').optional({ nullable: true }).isString().isLength({ max: MAX_SIGNATURE_LABEL_LENGTH }).withMessage(`Signature label must be at most ${MAX_SIGNATURE_LABEL_LENGTH} characters`),
+  body('field_order').optional().isArray().withMessage('field_order must be a list'),
+  body('field_order.*').optional().isIn(FIELD_KEYS).withMessage(`field_order may only contain ${FIELD_KEYS.join(', ')}`),
+];
+
+// Logo and signature uploads are kept in memory and stored in document_templates
+const templateImageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES },
+}).single('image');
+
+const formatDocumentTemplate = (template) => ({
+  accent_color: template.accent_color,
+  footer_text: template.footer_text,
+  bank_details: template.bank_details,
+  bank_details_on_quotations: template.bank_details_on_quotations,
+  signature_label: template.signature_label,
+  field_order: template.field_order,
+  logo: toDataUrl(template.logo, template.logo_type),
+  signature: toDataUrl(template.signature, template.signature_type),
+});
+
+// Get the workspace's document template (PDF and email branding). Any workspace member can view.
+router.get('/document-template', async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required. Please ensure you are in a workspace.',
+      });
+    }
+    const template = await getDocumentTemplate(workspaceId, { requireSchema: true });
+    res.json({
+      success: true,
+      data: {
+        ...formatDocumentTemplate(template),
+        field_keys: FIELD_KEYS,
+        max_image_bytes: MAX_IMAGE_BYTES,
+        can_edit: canEditWorkspaceInvoiceFrom(req),
+      },
+    });
+  } catch (err) {
+    if (isDocumentTemplateSchemaError(err)) return documentTemplateMigrationResponse(res);
+    console.error('Get document template error:', err);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+// Update the document template (everything but the images). Only workspace administrators can update.
+router.put('/document-template', validateDocumentTemplate, async (req, res) => {
+  try {
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update the document template.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const current = await getDocumentTemplate(workspaceId, { requireSchema: true });
+    const settings = await saveDocumentTemplate(workspaceId, { ...current, ...req.body }, req.user.id);
+    res.json({
+      success: true,
+      message: 'Document template updated successfully',
+      data: settings,
+    });
+  } catch (err) {
+    if (isDocumentTemplateSchemaError(err)) return documentTemplateMigrationResponse(res);
+    console.error('Update document template error:', err);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+// Sample invoice or quotation PDF with unsaved template settings (live preview). Any workspace member can preview.
+router.post('/document-template/preview', [
+  ...validateDocumentTemplate,
+  body('document_type').optional().isIn(['invoice', 'quotation']).withMessage('document_type must be invoice or quotation'),
+], async (req, res) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors.array(),
+      });
+    }
+
+    const current = await getDocumentTemplate(workspaceId);
+    const template = { ...current, ...normaliseTemplateSettings({ ...current, ...req.body }) };
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline; filename="template-preview.pdf"');
+    await writeTemplatePreviewPdf({ workspaceId, documentType: req.body.document_type || 'invoice', template }, res);
+  } catch (err) {
+    console.error('Document template preview error:', err);
+    res.status(500).json({ success: false, message: 'Failed to render preview' });
+  }
+});
+
+// Upload the logo or signature (multipart field "image"; PNG or JPEG). Only workspace administrators can update.
+router.post('/document-template/:kind', (req, res, next) => {
+  templateImageUpload(req, res, (err) => {
+    if (!err) return next();
+    res.status(400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE'
+        ? `The image must be at most ${Math.round(MAX_IMAGE_BYTES / 1024)} KB`
+        : 'The image could not be uploaded',
+    });
+  });
+}, async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!IMAGE_KINDS.includes(kind)) {
+      return res.status(404).json({ success: false, message: 'Unknown template image' });
+    }
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update the document template.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+    const contentType = req.file ? detectImageType(req.file.buffer) : null;
+    if (!contentType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a PNG or JPEG image',
+      });
+    }
+
+    await saveTemplateImage(workspaceId, kind, req.file.buffer, contentType, req.user.id);
+    res.json({
+      success: true,
+      message: kind === 'logo' ? 'Logo uploaded successfully' : 'Signature uploaded successfully',
+      data: { [kind]: toDataUrl(req.file.buffer, contentType) },
+    });
+  } catch (err) {
+    if (isDocumentTemplateSchemaError(err)) return documentTemplateMigrationResponse(res);
+    console.error('Upload document template image error:', err);
+    res.status(500).json({ success: false, message: 'Failed to upload image' });
+  }
+});
+
+// Remove the logo or signature. Only workspace administrators can update.
+router.delete('/document-template/:kind', async (req, res) => {
+  try {
+    const { kind } = req.params;
+    if (!IMAGE_KINDS.includes(kind)) {
+      return res.status(404).json({ success: false, message: 'Unknown template image' });
+    }
+    if (!canEditWorkspaceInvoiceFrom(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace administrators can update the document template.',
+      });
+    }
+    const workspaceId = getWorkspaceId(req);
+    if (!workspaceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace context required.',
+      });
+    }
+
+    await saveTemplateImage(workspaceId, kind, null, null, req.user.id);
+    res.json({
+      success: true,
+      message: kind === 'logo' ? 'Logo removed' : 'Signature removed',
+    });
+  } catch (err) {
+    if (isDocumentTemplateSchemaError(err)) return documentTemplateMigrationResponse(res);
+    console.error('Remove document template image error:', err);
+    res.status(500).json({ success: false, message: 'Failed to remove image' });
+  }
+});
+
 // Test SMTP connection (super admin only)
 router.post('/smtp/test', superAdminOnly, [
   body('host').notEmpty().withMessage('Host is required'),
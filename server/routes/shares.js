@@ -0,0 +1,266 @@
+/**
+ * Public side of share links (no auth): the /share/:token page for credentials and files.
+ * Links are created and revoked from /api/credentials/:id/share-links and /api/files/:id/share-links.
+ * Every access is logged in share_link_access_logs, including refused ones.
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const { body, validationResult } = require('express-validator');
+const { query: dbQuery } = require('../config/database');
+const { shareLinkLimiter, shareLinkDelay } = require('../middleware/rateLimit');
+const { decryptCredential } = require('../utils/credentialVault');
+const { logCredentialAccess } = require('../utils/credentialAccess');
+const {
+  getShareLinkStatus,
+  findShareLinkByToken,
+  verifySharePassphrase,
+  consumeShareView,
+  logShareAccess,
+} = require('../utils/shareLinks');
+
+const router = express.Router();
+
+const STATUS_MESSAGES = {
+  revoked: 'This link has been revoked.',
+  expired: 'This link has expired.',
+  exhausted: 'This link has already been used the maximum number of times.',
+};
+
+const sendUnavailable = (res, status) => res.status(410).json({
+  success: false,
+  message: STATUS_MESSAGES[status],
+  code: `SHARE_LINK_${status.toUpperCase()}`
+});
+
+// Find the link for a token; answers 404/410 (and logs refused access) when it cannot be used
+const loadUsableLink = async (req, res) => {
+  const link = await findShareLinkByToken(req.params.token);
+  if (!link) {
+    res.status(404).json({
+      success: false,
+      message: 'This link is invalid.',
+      code: 'SHARE_LINK_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const status = getShareLinkStatus(link);
+  if (status !== 'active') {
+    await logShareAccess(req, link, status);
+    sendUnavailable(res, status);
+    return null;
+  }
+  return link;
+};
+
+// Checks the passphrase; answers 403 (and logs the attempt) when it is missing or wrong
+const checkPassphrase = async (req, res, link) => {
+  const passphrase = req.body.passphrase || '';
+  if (await verifySharePassphrase(link, passphrase)) return true;
+
+  await logShareAccess(req, link, 'wrong_passphrase');
+  res.status(403).json({
+    success: false,
+    message: passphrase ? 'Incorrect passphrase.' : 'A passphrase is required to open this link.',
+    code: passphrase ? 'SHARE_PASSPHRASE_INVALID' : 'SHARE_PASSPHRASE_REQUIRED'
+  });
+  return false;
+};
+
+const handleError = (res, error, action) => {
+  if (error.code === 'ER_NO_SUCH_TABLE') {
+    return res.status(404).json({
+      success: false,
+      message: 'This link is invalid.',
+      code: 'SHARE_LINK_NOT_FOUND'
+    });
+  }
+  console.error(`Error ${action} shared item:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Failed to open shared item'
+  });
+};
+
+const passphraseValidation = [
+  body('passphrase').optional({ nullable: true }).isString().isLength({ max: 128 }).withMessage('Invalid passphrase'),
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// GET /api/share/:token – what the link is, before anything is revealed (does not count as a view)
+router.get('/:token', shareLinkLimiter, shareLinkDelay, async (req, res) => {
+  try {
+    const link = await loadUsableLink(req, res);
+    if (!link) return;
+
+    // Names are only shown up front when no passphrase protects the link
+    let name = null;
+    let fileSize = null;
+    if (!link.passphrase_hash) {
+      if (link.resource_type === 'credential') {
+        const rows = await dbQuery('SELECT title FROM credentials WHERE id = ?', [link.resource_id]);
+        name = rows.length > 0 ? rows[0].title : null;
+      } else {
+        const rows = await dbQuery('SELECT original_name, file_size FROM files WHERE id = ?', [link.resource_id]);
+        name = rows.length > 0 ? rows[0].original_name : null;
+        fileSize = rows.length > 0 ? rows[0].file_size : null;
+      }
+    }
+
+    await logShareAccess(req, link, 'opened');
+
+    res.json({
+      success: true,
+      data: {
+        resource_type: link.resource_type,
+        label: link.label,
+        name,
+        file_size: fileSize,
+        requires_passphrase: Boolean(link.passphrase_hash),
+        expires_at: link.expires_at,
+        views_remaining: link.max_views === null ? null : Math.max(0, link.max_views - link.view_count)
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'loading');
+  }
+});
+
+// POST /api/share/:token/reveal – credential details including the password (counts as a view)
+router.post('/:token/reveal', shareLinkLimiter, shareLinkDelay, passphraseValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const link = await loadUsableLink(req, res);
+    if (!link) return;
+    if (link.resource_type !== 'credential') {
+      return res.status(400).json({
+        success: false,
+        message: 'This link does not share a credential.'
+      });
+    }
+    if (!(await checkPassphrase(req, res, link))) return;
+
+    const credentials = await dbQuery(
+      'SELECT id, workspace_id, title, credential_type, url, username, email, password FROM credentials WHERE id = ?',
+      [link.resource_id]
+    );
+    if (credentials.length === 0) {
+      await logShareAccess(req, link, 'revoked');
+      return sendUnavailable(res, 'revoked');
+    }
+    const credential = credentials[0];
+
+    let password;
+    try {
+      password = decryptCredential(credential.password);
+    } catch (error) {
+      console.error('Error decrypting shared credential:', error.message);
+      return res.status(500).json({
+        success: false,
+        message: 'This credential could not be opened. Please contact the sender.'
+      });
+    }
+
+    if (!(await consumeShareView(link.id))) {
+      await logShareAccess(req, link, 'exhausted');
+      return sendUnavailable(res, 'exhausted');
+    }
+
+    // Log before returning the password: no log, no reveal
+    await logShareAccess(req, link, 'viewed');
+    try {
+      // Also list the view in the credential's own access history
+      await logCredentialAccess(req, { credential, action: 'share_view', reason: link.label || null });
+    } catch (error) {
+      console.error('Failed to add share view to credential access log:', error.message);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        title: credential.title,
+        credential_type: credential.credential_type,
+        url: credential.url,
+        username: credential.username,
+        email: credential.email,
+        password
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'revealing');
+  }
+});
+
+// POST /api/share/:token/download – the shared file (counts as a view)
+router.post('/:token/download', shareLinkLimiter, shareLinkDelay, passphraseValidation, async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const link = await loadUsableLink(req, res);
+    if (!link) return;
+    if (link.resource_type !== 'file') {
+      return res.status(400).json({
+        success: false,
+        message: 'This link does not share a file.'
+      });
+    }
+    if (!(await checkPassphrase(req, res, link))) return;
+
+    const files = await dbQuery(
+      'SELECT id, original_name, file_path, mime_type FROM files WHERE id = ?',
+      [link.resource_id]
+    );
+    if (files.length === 0) {
+      await logShareAccess(req, link, 'revoked');
+      return sendUnavailable(res, 'revoked');
+    }
+    const file = files[0];
+
+    try {
+      await fs.access(file.file_path);
+    } catch (error) {
+      console.error('Shared file missing on disk:', file.file_path);
+      return res.status(404).json({
+        success: false,
+        message: 'File not found on disk'
+      });
+    }
+
+    if (!(await consumeShareView(link.id))) {
+      await logShareAccess(req, link, 'exhausted');
+      return sendUnavailable(res, 'exhausted');
+    }
+    await logShareAccess(req, link, 'downloaded');
+
+    res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.original_name)}"`);
+    res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
+    res.sendFile(path.resolve(file.file_path), (err) => {
+      if (err) {
+        console.error('Shared download error:', err);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: 'Failed to download file'
+          });
+        }
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'downloading');
+  }
+});
+
+module.exports = router;
@@ -116,6 +116,16 @@ router.patch(
         );
       }
 
+      // Reactivate a workspace suspended by the trial expiry job once its trial is extended or cleared;
+      // workspaces suspended for any other reason stay suspended
+      if (trial_ends_at === undefined || trial_ends_at === null || new Date(trial_ends_at) > new Date()) {
+        await dbQuery(
+          `UPDATE workspaces SET status = 'active', suspension_reason = NULL
+           WHERE id = ? AND status = 'suspended' AND suspension_reason = 'trial_expired'`,
+          [workspaceId]
+        );
+      }
+
       const [updated] = await dbQuery(
         'SELECT id, name, slug, trial_ends_at, subscription_id, status FROM workspaces WHERE id = ? AND (COALESCE(active, 1) = 1)',
         [workspaceId]
@@ -6,6 +6,11 @@ const bcrypt = require('bcryptjs');
 const { sendClientCredentials } = require('../utils/email');
 const { getWorkspaceFilter } = require('../utils/dataFiltering');
 const { workspaceContext } = require('../middleware/workspaceContext');
+const { revokeAllUserSessions } = require('../utils/sessionTokens');
+const { disconnectUser } = require('../utils/realtime');
+const { clearTwoFactor } = require('../utils/twoFactor');
+const { clearFailedLogins } = require('../utils/loginSecurity');
+const { getAuditSnapshot, logAudit, auditCreate, auditUpdate, auditDelete } = require('../utils/auditLogger');
 
 const router = express.Router();
 
@@ -103,6 +108,9 @@ router.get('/', authorizePermission('users', 'view'), [
         u.is_active,
         u.client_id,
         u.last_login,
+        u.two_factor_enabled,
+        u.failed_login_count,
+        u.locked_until,
         u.created_at,
         u.updated_at,
         c.full_name as client_name,
@@ -168,6 +176,106 @@ router.get('/', authorizePermission('users', 'view'), [
   }
 });
 
+// Login attempt log (failed and successful sign-ins) for admin review.
+// Super admin sees every attempt, including unknown usernames; others see attempts on their workspace's users.
+router.get('/login-attempts', authorizePermission('users', 'edit'), [
+  validatorQuery('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  validatorQuery('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validatorQuery('user_id').optional().isInt({ min: 1 }).withMessage('Valid user ID is required'),
+  validatorQuery('success').optional().isBoolean().withMessage('success must be a boolean'),
+  validatorQuery('search').optional().isString().withMessage('Search must be a string'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const isSuperAdmin = req.isSuperAdmin === true;
+
+    let whereClause = 'WHERE 1=1';
+    const whereParams = [];
+
+    if (!isSuperAdmin) {
+      const ws = getWorkspaceFilter(req, 'u', 'workspace_id');
+      whereClause += ' AND u.id IS NOT NULL' + ws.whereClause;
+      whereParams.push(...ws.whereParams);
+    }
+
+    if (req.query.user_id) {
+      whereClause += ' AND la.user_id = ?';
+      whereParams.push(req.query.user_id);
+    }
+
+    if (req.query.success !== undefined && req.query.success !== '') {
+      whereClause += ' AND la.success = ?';
+      whereParams.push(req.query.success === 'true' ? 1 : 0);
+    }
+
+    if (req.query.search) {
+      whereClause += ' AND (la.identifier LIKE ? OR la.ip_address LIKE ?)';
+      const searchTerm = `%${req.query.search}%`;
+      whereParams.push(searchTerm, searchTerm);
+    }
+
+    const attempts = await dbQuery(
+      `SELECT la.id, la.user_id, la.identifier, la.success, la.failure_reason, la.ip_address, la.user_agent, la.created_at,
+              u.full_name as user_name, u.email as user_email, u.locked_until
+       FROM login_attempts la
+       LEFT JOIN users u ON la.user_id = u.id
+       ${whereClause}
+       ORDER BY la.created_at DESC, la.id DESC
+       LIMIT ? OFFSET ?`,
+      [...whereParams, limit, offset]
+    );
+
+    const countResult = await dbQuery(
+      `SELECT COUNT(*) as total
+       FROM login_attempts la
+       LEFT JOIN users u ON la.user_id = u.id
+       ${whereClause}`,
+      whereParams
+    );
+
+    const total = countResult[0].total;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return res.status(501).json({
+        success: false,
+        message: 'Login attempt log is not available. Please run the migration (012_login_security.sql).'
+      });
+    }
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login attempts'
+    });
+  }
+});
+
 // Get user by ID
 router.get('/:id', authorizePermission('users', 'view'), async (req, res) => {
   try {
@@ -360,6 +468,7 @@ router.post('/', authorizePermission('users', 'create'), validateUser, async (re
       );
       if (fallback?.[0]?.id) userId = Number(fallback[0].id);
     }
+    await auditCreate(req, 'users', userId);
 
     // Fetch the created user
     const users = await dbQuery(
@@ -426,6 +535,7 @@ router.put('/:id', authorizePermission('users', 'edit'), [
   body('role').optional().isIn(['admin', 'po', 'manager', 'accountant', 'client', 'viewer']).withMessage('Valid role is required'),
   body('client_id').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Valid client ID is required'),
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean'),
+  body('cost_rate').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Cost rate must be zero or a positive number'),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -445,7 +555,8 @@ router.put('/:id', authorizePermission('users', 'edit'), [
       password,
       role,
       client_id,
-      is_active
+      is_active,
+      cost_rate
     } = req.body;
 
     // Check if user exists
@@ -540,6 +651,12 @@ router.put('/:id', authorizePermission('users', 'edit'), [
       updateParams.push(is_active);
     }
 
+    // Hourly cost of the user's logged time (migration 030)
+    if (cost_rate !== undefined) {
+      updates.push('cost_rate = ?');
+      updateParams.push(cost_rate === null || cost_rate === '' ? null : parseFloat(cost_rate));
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({
         success: false,
@@ -554,6 +671,18 @@ router.put('/:id', authorizePermission('users', 'edit'), [
       `UPDATE users SET ${updates.join(', ')} WHERE id = ? ${wsUpd.whereClause}`,
       [...updateParams, ...wsUpd.whereParams]
     );
+    await auditUpdate(req, 'users', userId, userCheck[0]);
+
+    // A new password or deactivation ends the user's existing sessions
+    const deactivated = is_active !== undefined && (is_active === false || is_active === 'false' || is_active === 0);
+    if (password !== undefined || deactivated) {
+      await revokeAllUserSessions(userId, deactivated ? 'deactivated' : 'password_reset');
+      disconnectUser(userId);
+    }
+    // An admin-set password also lifts a brute-force lockout
+    if (password !== undefined) {
+      await clearFailedLogins(userId);
+    }
 
     // Fetch updated user
     const users = await dbQuery(
@@ -583,6 +712,12 @@ router.put('/:id', authorizePermission('users', 'edit'), [
       data: users[0]
     });
   } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR' && req.body.cost_rate !== undefined) {
+      return res.status(501).json({
+        success: false,
+        message: 'Cost rates are not available. Please run the migration (030_project_expenses.sql).'
+      });
+    }
     console.error('Error updating user:', error);
     res.status(500).json({
       success: false,
@@ -617,9 +752,12 @@ router.delete('/:id', authorizePermission('users', 'delete'), async (req, res) =
       });
     }
 
+    const before = await getAuditSnapshot('users', userId);
+
     // Delete user
     const wsD = getWorkspaceFilter(req, '', 'workspace_id');
     await dbQuery(`DELETE FROM users WHERE id = ? ${wsD.whereClause}`, [userId, ...wsD.whereParams]);
+    await auditDelete(req, 'users', userId, before);
 
     res.json({
       success: true,
@@ -634,6 +772,89 @@ router.delete('/:id', authorizePermission('users', 'delete'), async (req, res) =
   }
 });
 
+// Reset a user's two-factor authentication (lost device). They can enrol again after signing in.
+router.post('/:id/reset-2fa', authorizePermission('users', 'edit'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const ws = getWorkspaceFilter(req, '', 'workspace_id');
+    const userCheck = await dbQuery(
+      `SELECT id, two_factor_enabled FROM users WHERE id = ? ${ws.whereClause}`,
+      [userId, ...ws.whereParams]
+    );
+    if (userCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!userCheck[0].two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    await clearTwoFactor(userId);
+    // Existing sessions were established with the old second factor
+    await revokeAllUserSessions(userId, 'two_factor_reset');
+    disconnectUser(userId);
+    await logAudit(req, {
+      action: 'reset_2fa',
+      table: 'users',
+      recordId: userId,
+      oldValues: { two_factor_enabled: 1 },
+      newValues: { two_factor_enabled: 0 }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The user must sign in again.'
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+// Unlock an account locked after repeated failed logins
+router.post('/:id/unlock', authorizePermission('users', 'edit'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    const ws = getWorkspaceFilter(req, '', 'workspace_id');
+    const userCheck = await dbQuery(
+      `SELECT id FROM users WHERE id = ? ${ws.whereClause}`,
+      [userId, ...ws.whereParams]
+    );
+    if (userCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = await getAuditSnapshot('users', userId);
+    await clearFailedLogins(userId);
+    await auditUpdate(req, 'users', userId, before, 'unlock');
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user'
+    });
+  }
+});
+
 // Assign projects to user
 router.post('/:id/projects', authorizePermission('users', 'edit'), [
   body('project_ids').isArray().withMessage('project_ids must be an array'),
@@ -699,6 +920,8 @@ router.post('/:id/projects', authorizePermission('users', 'edit'), [
       `);
     }
 
+    const previousAssignments = await dbQuery('SELECT project_id FROM user_projects WHERE user_id = ? ORDER BY project_id', [userId]);
+
     // Remove existing assignments
     await dbQuery('DELETE FROM user_projects WHERE user_id = ?', [userId]);
 
@@ -716,6 +939,14 @@ router.post('/:id/projects', authorizePermission('users', 'edit'), [
       }
     }
 
+    await logAudit(req, {
+      action: 'projects_assigned',
+      table: 'users',
+      recordId: userId,
+      oldValues: { project_ids: previousAssignments.map((row) => row.project_id) },
+      newValues: { project_ids: project_ids.map(Number).sort((a, b) => a - b) }
+    });
+
     res.json({
       success: true,
       message: 'Projects assigned successfully'
@@ -0,0 +1,530 @@
+const { query, transaction } = require('../config/database');
+const { round2 } = require('./gst');
+const { getCurrencyConversion } = require('./currency');
+const { toDateString } = require('./dates');
+
+/**
+ * Accounting exports: issued invoices, payments, credit notes and refunds of a period as balanced journal vouchers
+ * in the workspace base currency, written as a generic double-entry CSV, a QuickBooks IIF file or Tally XML.
+ * Ledger names come from the workspace's accounting_settings (LEDGER_DEFAULTS otherwise). Every export records the
+ * documents it included (accounting_export_documents) and later exports skip them unless asked not to.
+ * Documents without a known exchange rate are left out (and not recorded) until a rate is stored.
+ *
+ * Vouchers:
+ * - Invoice (Sales): Dr client receivable total; Cr sales (taxable value), Cr CGST/SGST/IGST or tax
+ * - Payment (Receipt): Dr bank at the payment's rate; Cr receivable at the invoice's rate; the difference goes to
+ *   exchange gain/loss
+ * - Credit note (Credit Note): Dr sales returns and the taxes; Cr receivable
+ * - Refund (Payment): Dr receivable; Cr bank, at the refunded payment's rate
+ */
+
+const EXPORT_FORMATS = ['csv', 'iif', 'tally'];
+const DOCUMENT_TYPES = ['invoice', 'payment', 'credit_note', 'refund'];
+
+const LEDGER_DEFAULTS = {
+  receivable: 'Accounts Receivable',
+  sales: 'Sales',
+  sales_returns: 'Sales Returns',
+  cgst: 'Output CGST',
+  sgst: 'Output SGST',
+  igst: 'Output IGST',
+  tax: 'Sales Tax Payable',
+  bank: 'Bank',
+  fx_gain_loss: 'Exchange Gain/Loss',
+};
+const LEDGER_KEYS = Object.keys(LEDGER_DEFAULTS);
+
+const MAX_LEDGER_LENGTH = 100;
+const MAX_PAYMENT_METHOD_LENGTH = 50;
+const MAX_COMPANY_LENGTH = 255;
+
+const FILE_EXTENSIONS = { csv: 'csv', iif: 'iif', tally: 'xml' };
+const CONTENT_TYPES = { csv: 'text/csv', iif: 'text/plain', tally: 'application/xml' };
+
+const isMissingSchemaError = (error) => ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const trimTo = (value, maxLength) => String(value == null ? '' : value).trim().substring(0, maxLength);
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Settings with every ledger filled in (blank names fall back to the defaults) and the payment method ledgers
+ * trimmed; methods mapped to a blank ledger are dropped
+ */
+const normaliseAccountingSettings = (raw) => {
+  const settings = raw && typeof raw === 'object' ? raw : {};
+  const ledgers = parseJson(settings.ledgers) || {};
+  const methodLedgers = parseJson(settings.payment_method_ledgers) || {};
+  return {
+    ledgers: LEDGER_KEYS.reduce((result, key) => {
+      result[key] = trimTo(ledgers[key], MAX_LEDGER_LENGTH) || LEDGER_DEFAULTS[key];
+      return result;
+    }, {}),
+    payment_method_ledgers: Object.entries(methodLedgers && typeof methodLedgers === 'object' ? methodLedgers : {})
+      .reduce((result, [method, ledger]) => {
+        const key = trimTo(method, MAX_PAYMENT_METHOD_LENGTH);
+        const name = trimTo(ledger, MAX_LEDGER_LENGTH);
+        if (key && name) result[key] = name;
+        return result;
+      }, {}),
+    use_client_ledgers: settings.use_client_ledgers === undefined
+      ? true
+      : settings.use_client_ledgers === true || settings.use_client_ledgers === 1 || settings.use_client_ledgers === 'true',
+    tally_company: trimTo(settings.tally_company, MAX_COMPANY_LENGTH),
+  };
+};
+
+let exportSchemaReady = false;
+
+/**
+ * Whether accounting exports (migration 029) are available. Cached once true.
+ * @returns {Promise<boolean>}
+ */
+const hasAccountingExportSchema = async () => {
+  if (exportSchemaReady) return true;
+  try {
+    await query('SELECT id FROM accounting_settings LIMIT 0');
+    await query('SELECT id FROM accounting_exports LIMIT 0');
+    await query('SELECT id FROM accounting_export_documents LIMIT 0');
+    exportSchemaReady = true;
+    return true;
+  } catch (error) {
+    if (isMissingSchemaError(error)) return false;
+    throw error;
+  }
+};
+
+/**
+ * Ledger settings of a workspace, defaults filled in
+ * @param {number} workspaceId
+ * @returns {Promise<Object>}
+ */
+const getAccountingSettings = async (workspaceId) => {
+  const rows = await query('SELECT * FROM accounting_settings WHERE workspace_id = ?', [workspaceId]);
+  return normaliseAccountingSettings(rows[0]);
+};
+
+/**
+ * Save the ledger settings of a workspace
+ * @returns {Promise<Object>} The normalised settings
+ */
+const saveAccountingSettings = async (workspaceId, values, userId = null) => {
+  const settings = normaliseAccountingSettings(values);
+  await query(
+    `INSERT INTO accounting_settings (workspace_id, ledgers, payment_method_ledgers, use_client_ledgers, tally_company, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       ledgers = VALUES(ledgers), payment_method_ledgers = VALUES(payment_method_ledgers),
+       use_client_ledgers = VALUES(use_client_ledgers), tally_company = VALUES(tally_company), updated_by = VALUES(updated_by)`,
+    [
+      workspaceId, JSON.stringify(settings.ledgers), JSON.stringify(settings.payment_method_ledgers),
+      settings.use_client_ledgers ? 1 : 0, settings.tally_company || null, userId,
+    ]
+  );
+  return settings;
+};
+
+// Documents of the period, each with the rate(s) converting it to the base currency (NULL when unknown)
+const loadDocuments = async ({ workspaceId, startDate, endDate, types, includeExported }) => {
+  const fx = await getCurrencyConversion(workspaceId);
+  const invoiceRate = fx.invoiceRate('i');
+  const paymentRate = fx.paymentRate('p', 'i');
+  const notExported = (type, column) => (includeExported
+    ? ''
+    : `AND NOT EXISTS (SELECT 1 FROM accounting_export_documents aed WHERE aed.document_type = '${type}' AND aed.document_id = ${column})`);
+  const exportedCount = async (type, sql, params) => {
+    const rows = await query(
+      `SELECT COUNT(*) as count FROM (${sql}) d
+       WHERE EXISTS (SELECT 1 FROM accounting_export_documents aed WHERE aed.document_type = ? AND aed.document_id = d.id)`,
+      [...params, type]
+    );
+    return Number(rows[0].count);
+  };
+  const party = "COALESCE(NULLIF(c.company_name, ''), c.full_name, 'Unknown client')";
+  const result = { baseCurrency: fx.baseCurrency, invoices: [], payments: [], creditNotes: [], refunds: [], alreadyExported: 0 };
+
+  if (types.includes('invoice')) {
+    const sql = `SELECT i.id, i.invoice_number, i.invoice_date, i.currency, i.total_amount, i.tax_amount, i.cgst_amount,
+              i.sgst_amount, i.igst_amount, i.supply_type, ${party} as party, ${invoiceRate} as rate
+       FROM invoices i
+       LEFT JOIN clients c ON i.client_id = c.id
+       WHERE i.workspace_id = ? AND i.invoice_date BETWEEN ? AND ? AND i.status NOT IN ('draft', 'cancelled')
+         AND i.total_amount <> 0`;
+    const params = [workspaceId, startDate, endDate];
+    result.invoices = await query(`${sql} ${notExported('invoice', 'i.id')} ORDER BY i.invoice_date, i.id`, params);
+    if (!includeExported) result.alreadyExported += await exportedCount('invoice', sql, params);
+  }
+
+  if (types.includes('payment')) {
+    const sql = `SELECT p.id, p.payment_date, p.amount, p.payment_method, p.reference_number, i.invoice_number, i.currency,
+              ${party} as party, ${paymentRate} as rate, ${invoiceRate} as invoice_rate
+       FROM payments p
+       INNER JOIN invoices i ON p.invoice_id = i.id
+       LEFT JOIN clients c ON i.client_id = c.id
+       WHERE i.workspace_id = ? AND p.payment_date BETWEEN ? AND ? AND p.amount <> 0`;
+    const params = [workspaceId, startDate, endDate];
+    result.payments = await query(`${sql} ${notExported('payment', 'p.id')} ORDER BY p.payment_date, p.id`, params);
+    if (!includeExported) result.alreadyExported += await exportedCount('payment', sql, params);
+  }
+
+  if (types.includes('credit_note')) {
+    const sql = `SELECT cn.id, cn.credit_note_number, cn.credit_date, cn.currency, cn.total_amount, cn.tax_amount,
+              cn.cgst_amount, cn.sgst_amount, cn.igst_amount, cn.supply_type, i.invoice_number, ${party} as party,
+              COALESCE(cn.exchange_rate, ${invoiceRate}) as rate
+       FROM credit_notes cn
+       INNER JOIN invoices i ON cn.invoice_id = i.id
+       LEFT JOIN clients c ON cn.client_id = c.id
+       WHERE cn.workspace_id = ? AND cn.credit_date BETWEEN ? AND ? AND cn.status = 'issued' AND cn.total_amount <> 0`;
+    const params = [workspaceId, startDate, endDate];
+    result.creditNotes = await query(`${sql} ${notExported('credit_note', 'cn.id')} ORDER BY cn.credit_date, cn.id`, params);
+    if (!includeExported) result.alreadyExported += await exportedCount('credit_note', sql, params);
+  }
+
+  if (types.includes('refund')) {
+    const sql = `SELECT r.id, r.refund_date, r.amount, r.refund_method, r.reference_number, i.invoice_number, i.currency,
+              ${party} as party, ${paymentRate} as rate
+       FROM refunds r
+       INNER JOIN payments p ON r.payment_id = p.id
+       INNER JOIN invoices i ON r.invoice_id = i.id
+       LEFT JOIN clients c ON i.client_id = c.id
+       WHERE r.workspace_id = ? AND r.refund_date BETWEEN ? AND ? AND r.amount <> 0`;
+    const params = [workspaceId, startDate, endDate];
+    result.refunds = await query(`${sql} ${notExported('refund', 'r.id')} ORDER BY r.refund_date, r.id`, params);
+    if (!includeExported) result.alreadyExported += await exportedCount('refund', sql, params);
+  }
+
+  return result;
+};
+
+const toBase = (amount, rate) => round2((Number(amount) || 0) * Number(rate));
+
+// Output tax lines of an invoice or credit note in the base currency (zero amounts left out)
+const getTaxLines = (document, ledgers) => {
+  const rate = document.rate;
+  const lines = document.supply_type
+    ? [[ledgers.cgst, document.cgst_amount], [ledgers.sgst, document.sgst_amount], [ledgers.igst, document.igst_amount]]
+    : [[ledgers.tax, document.tax_amount]];
+  return lines
+    .map(([ledger, amount]) => ({ ledger, amount: toBase(amount, rate) }))
+    .filter((line) => line.amount !== 0);
+};
+
+const methodLabel = (method) => String(method || '').replace(/_/g, ' ');
+
+/**
+ * Journal vouchers of the loaded documents. Receivable lines are flagged `party` (the client); every voucher balances.
+ * Documents without a rate are returned in `skipped`.
+ * @returns {{ vouchers: Array<Object>, skipped: Array<{ document_type, document_id, number, reason }> }}
+ */
+const buildVouchers = (documents, settings) => {
+  const { ledgers } = settings;
+  const bankLedger = (method) => settings.payment_method_ledgers[method] || ledgers.bank;
+  const vouchers = [];
+  const skipped = [];
+  const hasRate = (document, type, number, rates = [document.rate]) => {
+    if (rates.every((rate) => rate !== null && rate !== undefined)) return true;
+    skipped.push({ document_type: type, document_id: document.id, number, reason: `No exchange rate for ${document.currency}` });
+    return false;
+  };
+
+  documents.invoices.forEach((invoice) => {
+    if (!hasRate(invoice, 'invoice', invoice.invoice_number)) return;
+    const total = toBase(invoice.total_amount, invoice.rate);
+    const taxes = getTaxLines(invoice, ledgers);
+    const sales = round2(total - taxes.reduce((sum, line) => sum + line.amount, 0));
+    vouchers.push({
+      document_type: 'invoice',
+      document_id: invoice.id,
+      voucher_type: 'Sales',
+      date: toDateString(invoice.invoice_date),
+      number: invoice.invoice_number,
+      reference: invoice.invoice_number,
+      party: invoice.party,
+      narration: `Invoice ${invoice.invoice_number} to ${invoice.party}`,
+      lines: [
+        { ledger: ledgers.receivable, party: true, debit: total, credit: 0 },
+        { ledger: ledgers.sales, debit: 0, credit: sales },
+        ...taxes.map((line) => ({ ledger: line.ledger, debit: 0, credit: line.amount })),
+      ],
+    });
+  });
+
+  documents.payments.forEach((payment) => {
+    const number = `PAY-${payment.id}`;
+    if (!hasRate(payment, 'payment', number, [payment.rate, payment.invoice_rate])) return;
+    const received = toBase(payment.amount, payment.rate);
+    const settled = toBase(payment.amount, payment.invoice_rate);
+    const difference = round2(received - settled);
+    const lines = [
+      { ledger: bankLedger(payment.payment_method), debit: received, credit: 0 },
+      { ledger: ledgers.receivable, party: true, debit: 0, credit: settled },
+    ];
+    if (difference !== 0) {
+      lines.push({ ledger: ledgers.fx_gain_loss, debit: difference < 0 ? -difference : 0, credit: difference > 0 ? difference : 0 });
+    }
+    vouchers.push({
+      document_type: 'payment',
+      document_id: payment.id,
+      voucher_type: 'Receipt',
+      date: toDateString(payment.payment_date),
+      number,
+      reference: payment.reference_number || payment.invoice_number,
+      party: payment.party,
+      narration: `Payment for invoice ${payment.invoice_number} by ${methodLabel(payment.payment_method)}`
+        + (payment.reference_number ? ` (ref ${payment.reference_number})` : ''),
+      lines,
+    });
+  });
+
+  documents.creditNotes.forEach((creditNote) => {
+    if (!hasRate(creditNote, 'credit_note', creditNote.credit_note_number)) return;
+    const total = toBase(creditNote.total_amount, creditNote.rate);
+    const taxes = getTaxLines(creditNote, ledgers);
+    const returns = round2(total - taxes.reduce((sum, line) => sum + line.amount, 0));
+    vouchers.push({
+      document_type: 'credit_note',
+      document_id: creditNote.id,
+      voucher_type: 'Credit Note',
+      date: toDateString(creditNote.credit_date),
+      number: creditNote.credit_note_number,
+      reference: creditNote.invoice_number,
+      party: creditNote.party,
+      narration: `Credit note ${creditNote.credit_note_number} against invoice ${creditNote.invoice_number}`,
+      lines: [
+        { ledger: ledgers.sales_returns, debit: returns, credit: 0 },
+        ...taxes.map((line) => ({ ledger: line.ledger, debit: line.amount, credit: 0 })),
+        { ledger: ledgers.receivable, party: true, debit: 0, credit: total },
+      ],
+    });
+  });
+
+  documents.refunds.forEach((refund) => {
+    const number = `REF-${refund.id}`;
+    if (!hasRate(refund, 'refund', number)) return;
+    const amount = toBase(refund.amount, refund.rate);
+    vouchers.push({
+      document_type: 'refund',
+      document_id: refund.id,
+      voucher_type: 'Payment',
+      date: toDateString(refund.refund_date),
+      number,
+      reference: refund.reference_number || refund.invoice_number,
+      party: refund.party,
+      narration: `Refund to ${refund.party} for invoice ${refund.invoice_number} by ${methodLabel(refund.refund_method)}`,
+      lines: [
+        { ledger: ledgers.receivable, party: true, debit: amount, credit: 0 },
+        { ledger: bankLedger(refund.refund_method), debit: 0, credit: amount },
+      ],
+    });
+  });
+
+  vouchers.sort((a, b) => a.date.localeCompare(b.date) || DOCUMENT_TYPES.indexOf(a.document_type) - DOCUMENT_TYPES.indexOf(b.document_type));
+  return { vouchers, skipped };
+};
+
+// Ledger of a line in CSV and Tally: receivables go to the client's own ledger when the workspace uses party ledgers
+const lineLedger = (line, voucher, settings) => (line.party && settings.use_client_ledgers ? voucher.party : line.ledger);
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generic double-entry CSV: one row per ledger line
+ */
+const writeCsv = (vouchers, settings, baseCurrency) => {
+  const rows = [['Date', 'Voucher Type', 'Voucher Number', 'Reference', 'Party', 'Ledger', 'Debit', 'Credit', 'Currency', 'Narration']];
+  vouchers.forEach((voucher) => {
+    voucher.lines.forEach((line) => {
+      rows.push([
+        voucher.date, voucher.voucher_type, voucher.number, voucher.reference, voucher.party,
+        lineLedger(line, voucher, settings), line.debit ? formatAmount(line.debit) : '', line.credit ? formatAmount(line.credit) : '',
+        baseCurrency, voucher.narration,
+      ]);
+    });
+  });
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+// IIF fields are tab separated: tabs and line breaks inside a value become spaces
+const iifCell = (value) => (value == null ? '' : String(value).replace(/[\t\r\n]+/g, ' '));
+
+const toIifDate = (date) => {
+  const [year, month, day] = date.split('-');
+  return `${month}/${day}/${year}`;
+};
+
+/**
+ * QuickBooks IIF: every voucher as a general journal transaction (debits positive, credits negative); receivable
+ * lines carry the client as the customer name
+ */
+const writeIif = (vouchers) => {
+  const header = ['TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'];
+  const lines = [`!TRNS\t${header.join('\t')}`, `!SPL\t${header.join('\t')}`, '!ENDTRNS'];
+  vouchers.forEach((voucher) => {
+    voucher.lines.forEach((line, index) => {
+      lines.push([
+        index === 0 ? 'TRNS' : 'SPL', 'GENERAL JOURNAL', toIifDate(voucher.date), line.ledger, line.party ? voucher.party : '',
+        formatAmount(round2(line.debit - line.credit)), voucher.number, voucher.narration,
+      ].map(iifCell).join('\t'));
+    });
+    lines.push('ENDTRNS');
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const xmlEscape = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Tally XML import of vouchers (Sales, Receipt, Credit Note and Payment voucher types). Tally amounts are negative
+ * for debits (ISDEEMEDPOSITIVE Yes) and positive for credits.
+ */
+const writeTallyXml = (vouchers, settings) => {
+  const company = settings.tally_company
+    ? `\n        <STATICVARIABLES>\n          <SVCURRENTCOMPANY>${xmlEscape(settings.tally_company)}</SVCURRENTCOMPANY>\n        </STATICVARIABLES>`
+    : '';
+  const voucherXml = vouchers.map((voucher) => {
+    const entries = voucher.lines.map((line) => {
+      const isDebit = line.debit > 0;
+      const amount = isDebit ? -line.debit : line.credit;
+      return [
+        '            <ALLLEDGERENTRIES.LIST>',
+        `              <LEDGERNAME>${xmlEscape(lineLedger(line, voucher, settings))}</LEDGERNAME>`,
+        `              <ISDEEMEDPOSITIVE>${isDebit ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+        `              <AMOUNT>${formatAmount(amount)}</AMOUNT>`,
+        '            </ALLLEDGERENTRIES.LIST>',
+      ].join('\n');
+    }).join('\n');
+    return [
+      `        <TALLYMESSAGE xmlns:UDF="TallyUDF">`,
+      `          <VOUCHER VCHTYPE="${xmlEscape(voucher.voucher_type)}" ACTION="Create">`,
+      `            <DATE>${voucher.date.replace(/-/g, '')}</DATE>`,
+      `            <VOUCHERTYPENAME>${xmlEscape(voucher.voucher_type)}</VOUCHERTYPENAME>`,
+      `            <VOUCHERNUMBER>${xmlEscape(voucher.number)}</VOUCHERNUMBER>`,
+      `            <REFERENCE>${xmlEscape(voucher.reference)}</REFERENCE>`,
+      `            <PARTYLEDGERNAME>${xmlEscape(settings.use_client_ledgers ? voucher.party : settings.ledgers.receivable)}</PARTYLEDGERNAME>`,
+      `            <NARRATION>${xmlEscape(voucher.narration)}</NARRATION>`,
+      entries,
+      '          </VOUCHER>',
+      '        </TALLYMESSAGE>',
+    ].join('\n');
+  }).join('\n');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '  <HEADER>',
+    '    <TALLYREQUEST>Import Data</TALLYREQUEST>',
+    '  </HEADER>',
+    '  <BODY>',
+    '    <IMPORTDATA>',
+    '      <REQUESTDESC>',
+    `        <REPORTNAME>Vouchers</REPORTNAME>${company}`,
+    '      </REQUESTDESC>',
+    '      <REQUESTDATA>',
+    voucherXml,
+    '      </REQUESTDATA>',
+    '    </IMPORTDATA>',
+    '  </BODY>',
+    '</ENVELOPE>',
+    '',
+  ].join('\n');
+};
+
+const WRITERS = { csv: writeCsv, iif: writeIif, tally: writeTallyXml };
+
+const countByType = (vouchers) => DOCUMENT_TYPES.reduce((counts, type) => {
+  counts[type] = vouchers.filter((voucher) => voucher.document_type === type).length;
+  return counts;
+}, {});
+
+/**
+ * Vouchers of a period without recording anything (preview, and the first step of an export)
+ * @param {Object} options
+ * @param {number} options.workspaceId
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @param {string[]} [options.types] - Document types (default all)
+ * @param {boolean} [options.includeExported=false] - Also include documents of earlier exports
+ * @returns {Promise<{ baseCurrency, settings, vouchers, skipped, counts, alreadyExported }>}
+ */
+const collectAccountingEntries = async ({ workspaceId, startDate, endDate, types = DOCUMENT_TYPES, includeExported = false }) => {
+  const settings = await getAccountingSettings(workspaceId);
+  const documents = await loadDocuments({ workspaceId, startDate, endDate, types, includeExported });
+  const { vouchers, skipped } = buildVouchers(documents, settings);
+  return {
+    baseCurrency: documents.baseCurrency,
+    settings,
+    vouchers,
+    skipped,
+    counts: countByType(vouchers),
+    alreadyExported: documents.alreadyExported,
+  };
+};
+
+/**
+ * Generate an export file and record it with its documents. Null when the period has nothing to export.
+ * @param {Object} options - As collectAccountingEntries, plus format ('csv', 'iif' or 'tally') and userId
+ * @returns {Promise<{ id, file_name, counts, skipped }|null>}
+ */
+const createAccountingExport = async ({ format, userId = null, ...options }) => {
+  const { baseCurrency, settings, vouchers, skipped, counts } = await collectAccountingEntries(options);
+  if (vouchers.length === 0) return null;
+  const content = WRITERS[format](vouchers, settings, baseCurrency);
+  const fileName = `accounting-${options.startDate}-to-${options.endDate}.${FILE_EXTENSIONS[format]}`;
+
+  const exportId = await transaction(async (connection) => {
+    const [result] = await connection.execute(
+      `INSERT INTO accounting_exports (
+        workspace_id, format, start_date, end_date, base_currency, invoice_count, payment_count, credit_note_count,
+        refund_count, file_name, content, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        options.workspaceId, format, options.startDate, options.endDate, baseCurrency, counts.invoice, counts.payment,
+        counts.credit_note, counts.refund, fileName, content, userId,
+      ]
+    );
+    for (const voucher of vouchers) {
+      await connection.execute(
+        'INSERT INTO accounting_export_documents (export_id, document_type, document_id) VALUES (?, ?, ?)',
+        [result.insertId, voucher.document_type, voucher.document_id]
+      );
+    }
+    return result.insertId;
+  });
+
+  return { id: exportId, file_name: fileName, counts, skipped };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  DOCUMENT_TYPES,
+  LEDGER_DEFAULTS,
+  LEDGER_KEYS,
+  MAX_LEDGER_LENGTH,
+  CONTENT_TYPES,
+  normaliseAccountingSettings,
+  hasAccountingExportSchema,
+  getAccountingSettings,
+  saveAccountingSettings,
+  buildVouchers,
+  writeCsv,
+  writeIif,
+  writeTallyXml,
+  collectAccountingEntries,
+  createAccountingExport,
+};
@@ -1,4 +1,5 @@
 const { query: dbQuery } = require('../config/database');
+const { publishToWorkspace } = require('./realtime');
 
 /**
  * Log an activity to the pm_activities table
@@ -33,7 +34,7 @@ const logActivity = async (activityData) => {
     const oldValueStr = old_value ? (typeof old_value === 'object' ? JSON.stringify(old_value) : old_value) : null;
     const newValueStr = new_value ? (typeof new_value === 'object' ? JSON.stringify(new_value) : new_value) : null;
 
-    await dbQuery(
+    const result = await dbQuery(
       `INSERT INTO pm_activities 
        (workspace_id, entity_type, entity_id, action, old_value, new_value, performed_by)
        VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -47,6 +48,17 @@ const logActivity = async (activityData) => {
         performed_by,
       ]
     );
+
+    // Tell connected clients a new activity exists; they refetch the feed themselves
+    if (workspace_id) {
+      publishToWorkspace(workspace_id, 'activity:created', {
+        id: result.insertId,
+        entity_type,
+        entity_id,
+        action,
+        performed_by,
+      });
+    }
   } catch (error) {
     // Don't throw error - activity logging should not break the main flow
     console.error('Error logging activity:', error);
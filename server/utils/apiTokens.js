@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { getClientIp } = require('./requestMeta');
+
+/**
+ * Personal API tokens: long-lived bearer credentials for scripts and integrations.
+ * Tokens look like "cms_pat_<random>" so authenticateToken can tell them apart from session JWTs.
+ * Only the SHA-256 hash is stored; the plain token is shown once, at creation.
+ */
+
+const API_TOKEN_PREFIX = 'cms_pat_';
+const MAX_EXPIRY_DAYS = 365;
+const MAX_ACTIVE_TOKENS = 25;
+// last_used_at is refreshed at most this often to avoid a write on every request
+const TOUCH_INTERVAL_SECONDS = 60;
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Generate a new plain token and its display prefix
+ * @returns {{ token: string, prefix: string }}
+ */
+const generateApiToken = () => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+  return { token, prefix: token.substring(0, API_TOKEN_PREFIX.length + 6) };
+};
+
+const parseScopes = (scopes) => {
+  if (!scopes) return [];
+  if (Array.isArray(scopes)) return scopes;
+  try {
+    const parsed = JSON.parse(scopes);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Look up an active (not revoked, not expired) token
+ * @param {string} token - Plain token from the Authorization header
+ * @returns {Promise<Object|null>} - Token row with scopes as an array
+ */
+const findActiveApiToken = async (token) => {
+  const rows = await query(
+    `SELECT id, user_id, workspace_id, name, scopes, expires_at
+     FROM api_tokens
+     WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+    [hashApiToken(token)]
+  );
+  if (rows.length === 0) return null;
+  return { ...rows[0], scopes: parseScopes(rows[0].scopes) };
+};
+
+/**
+ * Record token usage (throttled). Never throws.
+ */
+const touchApiToken = async (tokenId, req) => {
+  try {
+    await query(
+      `UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = ?
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL ${TOUCH_INTERVAL_SECONDS} SECOND)`,
+      [getClientIp(req), tokenId]
+    );
+  } catch (error) {
+    console.error('Failed to record API token usage:', error.message);
+  }
+};
+
+module.exports = {
+  API_TOKEN_PREFIX,
+  MAX_EXPIRY_DAYS,
+  MAX_ACTIVE_TOKENS,
+  isApiToken,
+  hashApiToken,
+  generateApiToken,
+  parseScopes,
+  findActiveApiToken,
+  touchApiToken,
+};
@@ -0,0 +1,199 @@
+const { query: dbQuery } = require('../config/database');
+const { getClientIp, getUserAgent } = require('./requestMeta');
+
+/**
+ * Audit trail for CRM entities, written to activity_logs (the PM side uses activityLogger.js / pm_activities).
+ * Typical use in a route:
+ *   const before = await getAuditSnapshot('invoices', id);
+ *   ...UPDATE...
+ *   await auditUpdate(req, 'invoices', id, before);
+ * Updates store only the changed fields; creates and deletes store the whole record.
+ * Logging never throws - a failed audit write must not break the request.
+ */
+
+const AUDITED_TABLES = [
+  'clients',
+  'projects',
+  'quotations',
+  'quotation_items',
+  'invoices',
+  'invoice_items',
+  'payments',
+  'credit_notes',
+  'refunds',
+  'catalog_items',
+  'expenses',
+  'credentials',
+  'files',
+  'users',
+  'roles',
+];
+
+// Never written to the log; a change is still recorded as "[redacted]"
+const REDACTED_FIELDS = ['password', 'two_factor_secret', 'two_factor_last_step', 'token_hash', 'email_verification_token'];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'last_login'];
+
+const REDACTED = '[redacted]';
+
+// Line items are part of the document: snapshots include them as an "items" field
+const ITEM_TABLES = {
+  quotations: { table: 'quotation_items', foreignKey: 'quotation_id' },
+  invoices: { table: 'invoice_items', foreignKey: 'invoice_id' },
+  credit_notes: { table: 'credit_note_items', foreignKey: 'credit_note_id' },
+};
+
+let missingSchemaWarned = false;
+
+const normalizeValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const sanitizeRecord = (record) => {
+  if (!record) return null;
+  const result = {};
+  Object.keys(record).forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    result[field] = REDACTED_FIELDS.includes(field) ? REDACTED : normalizeValue(record[field]);
+  });
+  return result;
+};
+
+/**
+ * Field-level diff between two versions of a record
+ * @returns {{ oldValues: Object, newValues: Object, changed: string[] }}
+ */
+const diffRecords = (before, after) => {
+  const oldValues = {};
+  const newValues = {};
+  const changed = [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const oldValue = normalizeValue(before ? before[field] : null);
+    const newValue = normalizeValue(after ? after[field] : null);
+    // DECIMAL columns come back as strings; compare loosely so "10.00" and 10 are equal
+    if (oldValue === newValue || String(oldValue) === String(newValue)) return;
+
+    changed.push(field);
+    const redacted = REDACTED_FIELDS.includes(field);
+    oldValues[field] = redacted ? REDACTED : oldValue;
+    newValues[field] = redacted ? REDACTED : newValue;
+  });
+
+  return { oldValues, newValues, changed };
+};
+
+/**
+ * Load the current version of a record (call before an update/delete and after a create/update)
+ * @param {string} table - One of AUDITED_TABLES
+ * @param {number} id - Record ID
+ * @returns {Promise<Object|null>}
+ */
+const getAuditSnapshot = async (table, id) => {
+  if (!AUDITED_TABLES.includes(table) || !id) return null;
+  try {
+    const rows = await dbQuery(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    if (rows.length === 0) return null;
+    const snapshot = rows[0];
+
+    const itemTable = ITEM_TABLES[table];
+    if (itemTable) {
+      const items = await dbQuery(
+        `SELECT * FROM ${itemTable.table} WHERE ${itemTable.foreignKey} = ? ORDER BY id`,
+        [id]
+      );
+      snapshot.items = items.map(({ id: _id, created_at: _c, updated_at: _u, [itemTable.foreignKey]: _fk, ...item }) => item);
+    }
+    return snapshot;
+  } catch (error) {
+    console.error(`Audit snapshot failed for ${table} #${id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Write an audit entry
+ * @param {Object} req - Express request (user, workspace, IP, user agent)
+ * @param {Object} entry
+ * @param {string} entry.action - create, update, delete or a specific action (payment_recorded, permissions_updated, ...)
+ * @param {string} entry.table - Entity table
+ * @param {number} entry.recordId - Entity ID
+ * @param {Object} [entry.oldValues] - Values before the change
+ * @param {Object} [entry.newValues] - Values after the change
+ */
+const logAudit = async (req, { action, table, recordId, oldValues = null, newValues = null }) => {
+  try {
+    const user = req && req.user;
+    await dbQuery(
+      `INSERT INTO activity_logs (user_id, workspace_id, action, table_name, record_id, old_values, new_values, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user ? user.id : null,
+        user ? (user.workspaceId || null) : null,
+        action,
+        table,
+        recordId || null,
+        oldValues ? JSON.stringify(oldValues) : null,
+        newValues ? JSON.stringify(newValues) : null,
+        getClientIp(req),
+        getUserAgent(req),
+      ]
+    );
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR' || error.code === 'ER_NO_SUCH_TABLE') {
+      if (!missingSchemaWarned) {
+        missingSchemaWarned = true;
+        console.warn('⚠️  Audit log schema missing - run database/migrations/014_activity_logs_workspace.sql');
+      }
+      return;
+    }
+    console.error('Error writing audit log:', error);
+  }
+};
+
+/**
+ * Log a newly created record (loads it so defaults and generated numbers are included)
+ */
+const auditCreate = async (req, table, recordId, action = 'create') => {
+  const after = await getAuditSnapshot(table, recordId);
+  await logAudit(req, { action, table, recordId, newValues: sanitizeRecord(after) });
+};
+
+/**
+ * Log the changed fields of an updated record; nothing is written when nothing changed
+ * @param {Object|null} before - Snapshot taken before the update
+ */
+const auditUpdate = async (req, table, recordId, before, action = 'update') => {
+  if (!before) return;
+  const after = await getAuditSnapshot(table, recordId);
+  if (!after) return;
+  const { oldValues, newValues, changed } = diffRecords(before, after);
+  if (changed.length === 0) return;
+  await logAudit(req, { action, table, recordId, oldValues, newValues });
+};
+
+/**
+ * Log a deleted record
+ * @param {Object|null} before - Snapshot taken before the delete
+ */
+const auditDelete = async (req, table, recordId, before, action = 'delete') => {
+  await logAudit(req, { action, table, recordId, oldValues: sanitizeRecord(before) });
+};
+
+module.exports = {
+  AUDITED_TABLES,
+  diffRecords,
+  sanitizeRecord,
+  getAuditSnapshot,
+  logAudit,
+  auditCreate,
+  auditUpdate,
+  auditDelete,
+};
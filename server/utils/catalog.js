@@ -0,0 +1,67 @@
+const { query } = require('../config/database');
+
+/**
+ * Products and services catalog (migration 027).
+ * Lines of quotations, invoices and recurring profiles picked from the catalog keep its id in catalog_item_id;
+ * name, price and tax are copied onto the line, so catalog edits never change saved documents.
+ */
+
+const CATALOG_ITEM_TYPES = ['product', 'service'];
+
+let catalogSchemaReady = false;
+
+// Line items are saved without the catalog reference until migration 027 is applied
+const hasCatalogSchema = async () => {
+  if (catalogSchemaReady) return true;
+  try {
+    await query('SELECT id FROM catalog_items LIMIT 0');
+    await query('SELECT catalog_item_id FROM invoice_items LIMIT 0');
+    await query('SELECT catalog_item_id FROM quotation_items LIMIT 0');
+    await query('SELECT catalog_item_id FROM recurring_invoice_items LIMIT 0');
+    catalogSchemaReady = true;
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR' || error.code === 'ER_NO_SUCH_TABLE') return false;
+    throw error;
+  }
+};
+
+/**
+ * catalog_item_id column for line item INSERTs: `column` and `placeholder` are appended to the column and VALUES
+ * lists, `values(line)` to the parameters. All empty until migration 027 is applied.
+ * @returns {Promise<{ column: string, placeholder: string, values: Function }>}
+ */
+const getCatalogItemColumn = async () => ((await hasCatalogSchema())
+  ? { column: ', catalog_item_id', placeholder: ', ?', values: (line) => [line.catalog_item_id || null] }
+  : { column: '', placeholder: '', values: () => [] });
+
+/**
+ * Items with catalog_item_id kept only when it is an item of the workspace's catalog (archived items included, so
+ * editing an older document keeps its references); any other value becomes null.
+ * @param {number|null} workspaceId
+ * @param {Array<Object>} items
+ * @returns {Promise<Array<Object>>}
+ */
+const resolveCatalogItemIds = async (workspaceId, items) => {
+  const list = Array.isArray(items) ? items : [];
+  const ids = [...new Set(list.map((item) => parseInt(item && item.catalog_item_id, 10)).filter((id) => id > 0))];
+  let known = new Set();
+  if (ids.length > 0 && workspaceId && (await hasCatalogSchema())) {
+    const rows = await query(
+      `SELECT id FROM catalog_items WHERE workspace_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+      [workspaceId, ...ids]
+    );
+    known = new Set(rows.map((row) => Number(row.id)));
+  }
+  return list.map((item) => {
+    const id = parseInt(item && item.catalog_item_id, 10);
+    return { ...item, catalog_item_id: known.has(id) ? id : null };
+  });
+};
+
+module.exports = {
+  CATALOG_ITEM_TYPES,
+  hasCatalogSchema,
+  getCatalogItemColumn,
+  resolveCatalogItemIds,
+};
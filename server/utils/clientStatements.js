@@ -0,0 +1,542 @@
+const PDFDocument = require('pdfkit');
+const { PassThrough } = require('stream');
+const { query } = require('../config/database');
+const { round2 } = require('./gst');
+const { hasCreditNoteSchema } = require('./creditNotes');
+const { getDocumentTemplate } = require('./documentTemplates');
+const { formatCurrencyForPdf } = require('./invoicePdf');
+const { toDateString, todayString } = require('./dates');
+
+/**
+ * Client statements of account and receivables aging.
+ * A statement lists a client's issued invoices (debit), payments and credit notes (credit) and refunds (debit) with a
+ * running balance, per currency: an opening balance before the period, the period's transactions and the closing
+ * balance, which matches total - paid - credited of the client's invoices. Invoices still open at the end of the
+ * period are aged by days past their due date (the invoice date when there is none) into AGING_BUCKETS.
+ * GET /api/reports/aging ages current balances the same way in the workspace base currency.
+ */
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30 days', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60 days', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90 days', maxDays: 90 },
+  { key: 'days_90_plus', label: '90+ days', maxDays: null },
+];
+
+// Transactions on the same day: the invoice first, then what settles it
+const TRANSACTION_ORDER = ['invoice', 'payment', 'credit_note', 'refund'];
+
+/**
+ * Aging bucket of an amount that is `daysOverdue` days past due (0 or less = not yet due)
+ * @param {number} daysOverdue
+ * @returns {string} Bucket key
+ */
+const getAgingBucket = (daysOverdue) => AGING_BUCKETS
+  .find((bucket) => bucket.maxDays === null || daysOverdue <= bucket.maxDays).key;
+
+/**
+ * SQL select list summing an amount into one column per aging bucket (current, days_1_30, ...)
+ * @param {string} daysSql - Days past due, e.g. DATEDIFF(?, COALESCE(i.due_date, i.invoice_date))
+ * @param {string} amountSql - Amount to sum
+ * @returns {string}
+ */
+const getAgingBucketsSql = (daysSql, amountSql) => {
+  let previousMax = null;
+  return AGING_BUCKETS.map((bucket) => {
+    const conditions = [];
+    if (previousMax !== null) conditions.push(`${daysSql} > ${previousMax}`);
+    if (bucket.maxDays !== null) conditions.push(`${daysSql} <= ${bucket.maxDays}`);
+    previousMax = bucket.maxDays;
+    return `COALESCE(SUM(CASE WHEN ${conditions.join(' AND ')} THEN ${amountSql} ELSE 0 END), 0) as \`${bucket.key}\``;
+  }).join(',\n        ');
+};
+
+const emptyAging = () => AGING_BUCKETS.reduce((aging, bucket) => ({ ...aging, [bucket.key]: 0 }), { total: 0 });
+
+const toUtcDays = (value) => {
+  const [year, month, day] = toDateString(value).split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / 86400000;
+};
+
+const daysBetween = (from, to) => Math.round(toUtcDays(to) - toUtcDays(from));
+
+const methodLabel = (method) => String(method || '').replace(/_/g, ' ');
+
+/**
+ * Load a client with the columns a statement prints
+ * @param {number} clientId
+ * @param {{ whereClause: string, whereParams: Array }} workspaceFilter - getWorkspaceFilter(req, 'c', 'workspace_id')
+ * @returns {Promise<Object|null>}
+ */
+const loadStatementClient = async (clientId, workspaceFilter) => {
+  const rows = await query(
+    `SELECT c.id, c.workspace_id, c.full_name, c.company_name, c.email, c.phone, c.address, c.city, c.state,
+            c.postal_code, c.country, c.gst_number
+     FROM clients c
+     WHERE c.id = ? ${workspaceFilter.whereClause}`,
+    [clientId, ...workspaceFilter.whereParams]
+  );
+  return rows[0] || null;
+};
+
+// Every transaction of the client up to endDate, oldest first; settlements only count for invoices the statement
+// shows, i.e. dated up to endDate too
+const loadTransactions = async (clientId, endDate) => {
+  const creditNotesReady = await hasCreditNoteSchema();
+  const issued = "i.status NOT IN ('draft', 'cancelled')";
+
+  const invoices = await query(
+    `SELECT i.id, i.invoice_number, i.invoice_date, i.due_date, i.currency, i.total_amount
+     FROM invoices i
+     WHERE i.client_id = ? AND ${issued} AND i.invoice_date <= ?`,
+    [clientId, endDate]
+  );
+  const payments = await query(
+    `SELECT p.id, p.invoice_id, p.payment_date, p.amount, p.payment_method, p.reference_number, i.invoice_number, i.currency
+     FROM payments p
+     INNER JOIN invoices i ON p.invoice_id = i.id
+     WHERE i.client_id = ? AND ${issued} AND p.payment_date <= ? AND i.invoice_date <= ?`,
+    [clientId, endDate, endDate]
+  );
+  const creditNotes = creditNotesReady ? await query(
+    `SELECT cn.id, cn.invoice_id, cn.credit_note_number, cn.credit_date, cn.total_amount, i.invoice_number, i.currency
+     FROM credit_notes cn
+     INNER JOIN invoices i ON cn.invoice_id = i.id
+     WHERE i.client_id = ? AND ${issued} AND cn.status = 'issued' AND cn.credit_date <= ? AND i.invoice_date <= ?`,
+    [clientId, endDate, endDate]
+  ) : [];
+  const refunds = creditNotesReady ? await query(
+    `SELECT r.id, r.invoice_id, r.refund_date, r.amount, r.refund_method, r.reference_number, i.invoice_number, i.currency
+     FROM refunds r
+     INNER JOIN invoices i ON r.invoice_id = i.id
+     WHERE i.client_id = ? AND ${issued} AND r.refund_date <= ? AND i.invoice_date <= ?`,
+    [clientId, endDate, endDate]
+  ) : [];
+
+  const transactions = [
+    ...invoices.map((invoice) => ({
+      type: 'invoice',
+      id: invoice.id,
+      invoice_id: invoice.id,
+      date: toDateString(invoice.invoice_date),
+      due_date: toDateString(invoice.due_date),
+      reference: invoice.invoice_number,
+      description: 'Invoice',
+      currency: invoice.currency || 'USD',
+      debit: round2(invoice.total_amount),
+      credit: 0,
+    })),
+    ...payments.map((payment) => ({
+      type: 'payment',
+      id: payment.id,
+      invoice_id: payment.invoice_id,
+      date: toDateString(payment.payment_date),
+      reference: payment.reference_number || payment.invoice_number,
+      description: `Payment for ${payment.invoice_number}${payment.payment_method ? ` (${methodLabel(payment.payment_method)})` : ''}`,
+      currency: payment.currency || 'USD',
+      debit: 0,
+      credit: round2(payment.amount),
+    })),
+    ...creditNotes.map((creditNote) => ({
+      type: 'credit_note',
+      id: creditNote.id,
+      invoice_id: creditNote.invoice_id,
+      date: toDateString(creditNote.credit_date),
+      reference: creditNote.credit_note_number,
+      description: `Credit note against ${creditNote.invoice_number}`,
+      currency: creditNote.currency || 'USD',
+      debit: 0,
+      credit: round2(creditNote.total_amount),
+    })),
+    ...refunds.map((refund) => ({
+      type: 'refund',
+      id: refund.id,
+      invoice_id: refund.invoice_id,
+      date: toDateString(refund.refund_date),
+      reference: refund.reference_number || refund.invoice_number,
+      description: `Refund for ${refund.invoice_number}${refund.refund_method ? ` (${methodLabel(refund.refund_method)})` : ''}`,
+      currency: refund.currency || 'USD',
+      debit: round2(refund.amount),
+      credit: 0,
+    })),
+  ];
+  return transactions.sort((a, b) => a.date.localeCompare(b.date)
+    || TRANSACTION_ORDER.indexOf(a.type) - TRANSACTION_ORDER.indexOf(b.type)
+    || a.id - b.id);
+};
+
+// Open invoices at the end of the period, aged on that date. Invoices are collected first, so a payment dated
+// before its invoice still settles it.
+const getAging = (transactions, endDate) => {
+  const invoices = new Map();
+  transactions.forEach((transaction) => {
+    if (transaction.type === 'invoice') {
+      invoices.set(transaction.invoice_id, { ...transaction, balance: 0 });
+    }
+  });
+  transactions.forEach((transaction) => {
+    const invoice = invoices.get(transaction.invoice_id);
+    if (invoice) invoice.balance = round2(invoice.balance + transaction.debit - transaction.credit);
+  });
+
+  const aging = emptyAging();
+  const openInvoices = [];
+  invoices.forEach((invoice) => {
+    if (invoice.balance <= 0.005) return;
+    const daysOverdue = daysBetween(invoice.due_date || invoice.date, endDate);
+    const bucket = getAgingBucket(daysOverdue);
+    aging[bucket] = round2(aging[bucket] + invoice.balance);
+    aging.total = round2(aging.total + invoice.balance);
+    openInvoices.push({
+      invoice_id: invoice.invoice_id,
+      invoice_number: invoice.reference,
+      invoice_date: invoice.date,
+      due_date: invoice.due_date,
+      balance: invoice.balance,
+      days_overdue: Math.max(0, daysOverdue),
+      bucket,
+    });
+  });
+  return { aging, openInvoices };
+};
+
+/**
+ * Statement of account of a client, one section per currency the client was invoiced in
+ * @param {Object} client - Row from loadStatementClient
+ * @param {Object} [options]
+ * @param {string|null} [options.startDate] - YYYY-MM-DD; null for the whole history (opening balance 0)
+ * @param {string} [options.endDate] - YYYY-MM-DD, default today
+ * @returns {Promise<Object>} Client columns (client_*), id (the client, key of statement emails), start_date, end_date
+ *   and currencies: [{ currency, opening_balance, transactions (with running balance), closing_balance, aging, open_invoices }]
+ */
+const getClientStatement = async (client, { startDate = null, endDate = todayString() } = {}) => {
+  const transactions = await loadTransactions(client.id, endDate);
+  const currencies = [...new Set(transactions.map((transaction) => transaction.currency))].sort();
+
+  const sections = currencies.map((currency) => {
+    const ofCurrency = transactions.filter((transaction) => transaction.currency === currency);
+    const before = startDate ? ofCurrency.filter((transaction) => transaction.date < startDate) : [];
+    const openingBalance = round2(before.reduce((sum, transaction) => sum + transaction.debit - transaction.credit, 0));
+    let balance = openingBalance;
+    const periodTransactions = ofCurrency
+      .filter((transaction) => !startDate || transaction.date >= startDate)
+      .map((transaction) => {
+        balance = round2(balance + transaction.debit - transaction.credit);
+        return { ...transaction, balance };
+      });
+    const { aging, openInvoices } = getAging(ofCurrency, endDate);
+    return {
+      currency,
+      opening_balance: openingBalance,
+      transactions: periodTransactions,
+      closing_balance: balance,
+      total_debit: round2(periodTransactions.reduce((sum, transaction) => sum + transaction.debit, 0)),
+      total_credit: round2(periodTransactions.reduce((sum, transaction) => sum + transaction.credit, 0)),
+      aging,
+      open_invoices: openInvoices,
+    };
+  }).filter((section) => section.transactions.length > 0 || section.opening_balance !== 0 || section.closing_balance !== 0);
+
+  return {
+    id: client.id,
+    client_id: client.id,
+    workspace_id: client.workspace_id,
+    client_name: client.full_name,
+    client_company: client.company_name,
+    client_email: client.email,
+    client_phone: client.phone,
+    client_address: client.address,
+    client_city: client.city,
+    client_state: client.state,
+    client_postal_code: client.postal_code,
+    client_gst_number: client.gst_number,
+    start_date: startDate,
+    end_date: endDate,
+    currencies: sections,
+  };
+};
+
+const formatPdfDate = (value) => {
+  const [year, month, day] = toDateString(value).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC',
+  });
+};
+
+const formatSignedCurrency = (amount, currency) => (amount < 0
+  ? `-${formatCurrencyForPdf(-amount, currency)}`
+  : formatCurrencyForPdf(amount, currency));
+
+// Workspace name and "invoice from" details for the From block (without migration columns: the name only)
+const loadStatementSender = async (workspaceId) => {
+  const fallbackName = process.env.APP_NAME || 'Client Management System';
+  if (!workspaceId) return { name: fallbackName, brand: fallbackName, lines: [] };
+  let workspace = {};
+  try {
+    const rows = await query(
+      'SELECT name, invoice_from_name, invoice_from_email, invoice_from_phone, invoice_from_address FROM workspaces WHERE id = ?',
+      [workspaceId]
+    );
+    workspace = rows[0] || {};
+  } catch (error) {
+    if (error.code !== 'ER_BAD_FIELD_ERROR') throw error;
+    const rows = await query('SELECT name FROM workspaces WHERE id = ?', [workspaceId]);
+    workspace = rows[0] || {};
+  }
+  const trimmed = (value) => (value ? String(value).trim() : '');
+  return {
+    name: trimmed(workspace.invoice_from_name) || workspace.name || fallbackName,
+    brand: workspace.name || fallbackName,
+    lines: [workspace.invoice_from_email, workspace.invoice_from_phone, workspace.invoice_from_address].map(trimmed).filter(Boolean),
+  };
+};
+
+/**
+ * Render a statement of account PDF into a writable stream: From/To, then per currency the transactions with a
+ * running balance between the opening and closing balance, and the aging of what is still open
+ * @param {Object} statement - From getClientStatement
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>}
+ */
+const writeStatementPdf = async (statement, output) => {
+  const sender = await loadStatementSender(statement.workspace_id);
+  const template = await getDocumentTemplate(statement.workspace_id);
+  const accentColor = template.accent_color;
+
+  const doc = new PDFDocument({
+    margin: 40,
+    size: 'A4',
+    bufferPages: true,
+    info: {
+      Title: `Statement of account - ${statement.client_company || statement.client_name || ''}`,
+      Author: process.env.APP_NAME || 'Client Management System'
+    }
+  });
+  doc.pipe(output);
+
+  let logo = null;
+  if (template.logo) {
+    try {
+      const image = doc.openImage(template.logo);
+      const scale = Math.min(120 / image.width, 45 / image.height, 1);
+      logo = { image, width: image.width * scale, height: image.height * scale };
+    } catch (imageErr) {
+      console.warn('Template image for PDF failed:', imageErr.message);
+    }
+  }
+
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+  const margin = 40;
+  const contentWidth = Math.min(pageWidth - (margin * 2), 515);
+  const contentBottom = pageHeight - margin - 70;
+  const rowHeight = 18;
+  const columns = {
+    date: { x: margin + 5, width: 62 },
+    reference: { x: margin + 70, width: 85 },
+    description: { x: margin + 158, width: 127 },
+    debit: { x: margin + 288, width: 72 },
+    credit: { x: margin + 363, width: 72 },
+    balance: { x: margin + 438, width: 75 },
+  };
+
+  const addPageHeader = () => {
+    doc.strokeColor('#E5E7EB').lineWidth(1);
+    doc.moveTo(margin, margin).lineTo(pageWidth - margin, margin).stroke();
+    let titleX = margin;
+    if (logo) {
+      doc.image(logo.image, margin, margin + 8, { width: logo.width, height: logo.height });
+      titleX += logo.width + 12;
+    }
+    doc.fontSize(20).font('Helvetica-Bold').fillColor('#111827');
+    doc.text('STATEMENT OF ACCOUNT', titleX, margin + 14, { width: 300 });
+
+    const headerLines = [
+      `Date: ${formatPdfDate(statement.end_date)}`,
+      statement.start_date
+        ? `Period: ${formatPdfDate(statement.start_date)} - ${formatPdfDate(statement.end_date)}`
+        : `All transactions to ${formatPdfDate(statement.end_date)}`,
+    ];
+    doc.fontSize(9).font('Helvetica').fillColor('#6B7280');
+    headerLines.forEach((line, index) => {
+      doc.text(line, margin + contentWidth - 220, margin + 15 + (index * 14), { width: 220, align: 'right' });
+    });
+  };
+
+  const addFromToSection = (startY) => {
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica-Bold');
+    doc.text('FROM:', margin, startY);
+    doc.fontSize(12).fillColor('#111827').font('Helvetica-Bold');
+    doc.text(sender.name, margin, startY + 14, { width: 240, ellipsis: true });
+    let fromY = startY + 30;
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+    sender.lines.forEach((line) => {
+      doc.text(line, margin, fromY, { width: 240, height: 24, ellipsis: true });
+      fromY += Math.min(24, Math.max(12, doc.heightOfString(line, { width: 240 })));
+    });
+
+    const toX = margin + 280;
+    const toWidth = margin + contentWidth - toX;
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica-Bold');
+    doc.text('STATEMENT FOR:', toX, startY);
+    doc.fontSize(12).fillColor('#111827').font('Helvetica-Bold');
+    doc.text(String(statement.client_name || ''), toX, startY + 14, { width: toWidth, ellipsis: true });
+    let toY = startY + 30;
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+    [
+      statement.client_company,
+      statement.client_address,
+      [statement.client_city, statement.client_state, statement.client_postal_code].filter(Boolean).join(', '),
+      statement.client_email && `Email: ${statement.client_email}`,
+      statement.client_gst_number && `GSTIN: ${statement.client_gst_number}`,
+    ].filter(Boolean).forEach((line) => {
+      doc.text(String(line), toX, toY, { width: toWidth, height: 24, ellipsis: true });
+      toY += Math.min(24, Math.max(12, doc.heightOfString(String(line), { width: toWidth })));
+    });
+  };
+
+  const addTableHeader = (y) => {
+    doc.rect(margin, y, contentWidth, rowHeight + 4).fill(accentColor);
+    doc.fontSize(9).fillColor('#FFFFFF').font('Helvetica-Bold');
+    const textY = y + 7;
+    doc.text('Date', columns.date.x, textY, { width: columns.date.width });
+    doc.text('Reference', columns.reference.x, textY, { width: columns.reference.width });
+    doc.text('Description', columns.description.x, textY, { width: columns.description.width });
+    doc.text('Debit', columns.debit.x, textY, { width: columns.debit.width, align: 'right' });
+    doc.text('Credit', columns.credit.x, textY, { width: columns.credit.width, align: 'right' });
+    doc.text('Balance', columns.balance.x, textY, { width: columns.balance.width, align: 'right' });
+    return y + rowHeight + 4;
+  };
+
+  let y;
+  const newPage = () => {
+    doc.addPage();
+    addPageHeader();
+    y = margin + 80;
+  };
+  // Start a new page when `height` does not fit; tables repeat their header
+  const ensureSpace = (height, tableHeader = false) => {
+    if (y + height <= contentBottom) return;
+    newPage();
+    if (tableHeader) y = addTableHeader(y);
+  };
+
+  const addRow = (row, index, currency, { bold = false } = {}) => {
+    ensureSpace(rowHeight, true);
+    if (index % 2 === 0) doc.rect(margin, y, contentWidth, rowHeight).fill('#F9FAFB');
+    doc.fontSize(8).fillColor('#111827').font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    const textY = y + 5;
+    const cell = (text, column, align = 'left') => doc.text(text, column.x, textY, {
+      width: column.width, height: rowHeight - 4, align, ellipsis: true
+    });
+    cell(row.date ? formatPdfDate(row.date) : '', columns.date);
+    cell(row.reference || '', columns.reference);
+    cell(row.description || '', columns.description);
+    cell(row.debit ? formatCurrencyForPdf(row.debit, currency) : '', columns.debit, 'right');
+    cell(row.credit ? formatCurrencyForPdf(row.credit, currency) : '', columns.credit, 'right');
+    cell(formatSignedCurrency(row.balance, currency), columns.balance, 'right');
+    y += rowHeight;
+  };
+
+  const addAging = (section) => {
+    const boxes = [...AGING_BUCKETS.map((bucket) => ({ label: bucket.label, amount: section.aging[bucket.key] })),
+      { label: 'Total due', amount: section.aging.total, bold: true }];
+    const boxWidth = contentWidth / boxes.length;
+    ensureSpace(50);
+    doc.fontSize(9).fillColor('#111827').font('Helvetica-Bold');
+    doc.text(`Amounts due by age on ${formatPdfDate(statement.end_date)}`, margin, y);
+    y += 14;
+    boxes.forEach((box, index) => {
+      const x = margin + (index * boxWidth);
+      doc.strokeColor('#E5E7EB').lineWidth(0.5).rect(x, y, boxWidth, 30).stroke();
+      doc.fontSize(7.5).fillColor('#6B7280').font('Helvetica');
+      doc.text(box.label, x + 3, y + 4, { width: boxWidth - 6, align: 'center' });
+      doc.fontSize(8.5).fillColor(box.amount > 0 && index > 0 && !box.bold ? '#DC2626' : '#111827')
+        .font(box.bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(formatCurrencyForPdf(box.amount, section.currency), x + 3, y + 16, { width: boxWidth - 6, align: 'center', ellipsis: true });
+    });
+    y += 44;
+  };
+
+  addPageHeader();
+  addFromToSection(margin + 75);
+  y = margin + 170;
+
+  if (statement.currencies.length === 0) {
+    doc.fontSize(10).fillColor('#6B7280').font('Helvetica');
+    doc.text('No transactions up to the statement date.', margin, y, { width: contentWidth });
+  }
+
+  statement.currencies.forEach((section) => {
+    ensureSpace(rowHeight * 4 + 20);
+    doc.fontSize(10).fillColor('#111827').font('Helvetica-Bold');
+    doc.text(`Amounts in ${section.currency}`, margin, y);
+    y += 16;
+    y = addTableHeader(y);
+    addRow({
+      date: statement.start_date,
+      description: statement.start_date ? 'Opening balance' : 'Balance brought forward',
+      balance: section.opening_balance,
+    }, 0, section.currency, { bold: true });
+    section.transactions.forEach((transaction, index) => addRow(transaction, index + 1, section.currency));
+    addRow({
+      date: statement.end_date,
+      description: 'Closing balance',
+      debit: section.total_debit,
+      credit: section.total_credit,
+      balance: section.closing_balance,
+    }, section.transactions.length + 1, section.currency, { bold: true });
+    y += 10;
+    addAging(section);
+  });
+
+  if (statement.currencies.some((section) => section.closing_balance < 0)) {
+    ensureSpace(14);
+    doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+    doc.text('A negative balance is credit in your favour.', margin, y, { width: contentWidth });
+  }
+
+  // Footer on every page once the page count is known
+  const { start, count } = doc.bufferedPageRange();
+  for (let index = start; index < start + count; index++) {
+    doc.switchToPage(index);
+    const footerY = pageHeight - margin - 50;
+    doc.strokeColor('#E5E7EB').lineWidth(0.5);
+    doc.moveTo(margin, footerY - 15).lineTo(pageWidth - margin, footerY - 15).stroke();
+    doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+    doc.text(`© ${new Date().getFullYear()} ${sender.brand}. All rights reserved.`, margin, footerY - 10, { width: contentWidth, align: 'center' });
+    doc.fontSize(7).fillColor('#9CA3AF');
+    doc.text(template.footer_text || 'For any queries, please contact your workspace administrator.', margin, footerY, {
+      width: contentWidth, align: 'center', height: 10, ellipsis: true
+    });
+    const generated = `Generated on ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`;
+    doc.text(`${generated}${count > 1 ? ` | Page ${index - start + 1} of ${count}` : ''}`, margin, footerY + 12, { width: contentWidth, align: 'center' });
+  }
+
+  doc.end();
+};
+
+/**
+ * Render a statement of account PDF into a Buffer (email attachments)
+ * @param {Object} statement - From getClientStatement
+ * @returns {Promise<Buffer>}
+ */
+const renderStatementPdf = (statement) => new Promise((resolve, reject) => {
+  const chunks = [];
+  const collector = new PassThrough();
+  collector.on('data', (chunk) => chunks.push(chunk));
+  collector.on('end', () => resolve(Buffer.concat(chunks)));
+  collector.on('error', reject);
+  writeStatementPdf(statement, collector).catch(reject);
+});
+
+module.exports = {
+  AGING_BUCKETS,
+  getAgingBucket,
+  getAgingBucketsSql,
+  loadStatementClient,
+  getClientStatement,
+  writeStatementPdf,
+  renderStatementPdf,
+};
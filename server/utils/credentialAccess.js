@@ -0,0 +1,112 @@
+const { query } = require('../config/database');
+const { getClientIp, getUserAgent } = require('./requestMeta');
+
+/**
+ * Reveal-on-demand for credential passwords: per-workspace "reason required" policy and the access log.
+ */
+
+const CREDENTIAL_TYPES = ['admin_panel', 'hosting', 'domain', 'ftp', 'database', 'api', 'other'];
+const ACCESS_ACTIONS = ['reveal', 'copy'];
+const MAX_REASON_LENGTH = 500;
+
+const isMissingSchemaError = (error) => Boolean(error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code));
+
+const parseTypes = (value) => {
+  if (!value) return [];
+  let types = value;
+  if (typeof value === 'string') {
+    try {
+      types = JSON.parse(value);
+    } catch (error) {
+      return [];
+    }
+  }
+  return Array.isArray(types) ? types.filter((type) => CREDENTIAL_TYPES.includes(type)) : [];
+};
+
+/**
+ * Credential types that need a reason before their password is revealed
+ * @param {number|null} workspaceId
+ * @returns {Promise<string[]>} - empty when the workspace has no policy (or before migration 016)
+ */
+const getReasonRequiredTypes = async (workspaceId) => {
+  if (!workspaceId) return [];
+  try {
+    const rows = await query('SELECT credential_reason_types FROM workspaces WHERE id = ?', [workspaceId]);
+    return rows.length > 0 ? parseTypes(rows[0].credential_reason_types) : [];
+  } catch (error) {
+    if (isMissingSchemaError(error)) return [];
+    throw error;
+  }
+};
+
+/**
+ * Save the workspace policy
+ * @param {number} workspaceId
+ * @param {string[]} types - Subset of CREDENTIAL_TYPES
+ * @returns {Promise<string[]>} - The stored types
+ */
+const setReasonRequiredTypes = async (workspaceId, types) => {
+  const cleaned = [...new Set(parseTypes(types))];
+  await query(
+    'UPDATE workspaces SET credential_reason_types = ?, updated_at = NOW() WHERE id = ?',
+    [cleaned.length > 0 ? JSON.stringify(cleaned) : null, workspaceId]
+  );
+  return cleaned;
+};
+
+/**
+ * Record a reveal or copy. Throws (including when the table is missing): a reveal must not happen unlogged.
+ * @param {Object} req - Express request (user, IP, user agent)
+ * @param {Object} entry
+ * @param {Object} entry.credential - Credential row (id, workspace_id)
+ * @param {string} entry.action - reveal or copy
+ * @param {string|null} [entry.reason]
+ */
+const logCredentialAccess = async (req, { credential, action, reason = null }) => {
+  await query(
+    `INSERT INTO credential_access_logs (credential_id, workspace_id, user_id, action, reason, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      credential.id,
+      credential.workspace_id || null,
+      req.user ? req.user.id : null,
+      action,
+      reason ? String(reason).substring(0, MAX_REASON_LENGTH) : null,
+      getClientIp(req),
+      getUserAgent(req),
+    ]
+  );
+};
+
+/**
+ * Access history of one credential, newest first
+ */
+const getCredentialAccessLog = async (credentialId, { limit = 50, offset = 0 } = {}) => {
+  const entries = await query(
+    `SELECT cal.id, cal.user_id, cal.action, cal.reason, cal.ip_address, cal.user_agent, cal.created_at,
+            u.full_name as user_name, u.email as user_email
+     FROM credential_access_logs cal
+     LEFT JOIN users u ON cal.user_id = u.id
+     WHERE cal.credential_id = ?
+     ORDER BY cal.created_at DESC, cal.id DESC
+     LIMIT ? OFFSET ?`,
+    [credentialId, limit, offset]
+  );
+  const countResult = await query(
+    'SELECT COUNT(*) as total FROM credential_access_logs WHERE credential_id = ?',
+    [credentialId]
+  );
+  return { entries, total: countResult[0].total };
+};
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  ACCESS_ACTIONS,
+  MAX_REASON_LENGTH,
+  isMissingSchemaError,
+  getReasonRequiredTypes,
+  setReasonRequiredTypes,
+  logCredentialAccess,
+  getCredentialAccessLog,
+};
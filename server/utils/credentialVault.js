@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+/**
+ * Encryption for stored credential passwords (the credentials vault).
+ *
+ * Values are AES-256-GCM, stored as "v2:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts); the key ID is
+ * also kept in credentials.encryption_key_id so rotation progress can be queried.
+ * Several keys can be active at once so existing rows keep decrypting while a new key is rolled out:
+ *   CREDENTIAL_ENCRYPTION_KEYS=2024:<64 hex>,2025:<64 hex>   - additional keys, "id:key" pairs
+ *   CREDENTIAL_ENCRYPTION_KEY_ID=2025                        - key used for new values
+ *   CREDENTIAL_ENCRYPTION_KEY=<64 hex>                       - registered as key ID "default"
+ * Rows written before v2 ("<iv hex>:<ciphertext hex>", AES-256-CBC) were encrypted with CREDENTIAL_ENCRYPTION_KEY;
+ * they still decrypt with the "default" key until reencryptCredentials() migrates them.
+ * A missing or malformed key is a configuration error: initCredentialVault() throws and the server refuses to start.
+ */
+
+const FORMAT_VERSION = 'v2';
+const DEFAULT_KEY_ID = 'default';
+const GCM_ALGORITHM = 'aes-256-gcm';
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+let keyring = null;
+
+// 64 hex characters, or (as accepted before v2) a 32-character raw string
+const parseKey = (value, name) => {
+  const keyString = String(value || '').trim();
+  if (/^[0-9a-fA-F]{64}$/.test(keyString)) return Buffer.from(keyString, 'hex');
+  if (keyString.length === 32) return Buffer.from(keyString, 'utf8');
+  throw new Error(`${name} must be a 64-character hex string (32 bytes)`);
+};
+
+const loadKeyring = () => {
+  const keys = new Map();
+
+  if (process.env.CREDENTIAL_ENCRYPTION_KEY) {
+    keys.set(DEFAULT_KEY_ID, parseKey(process.env.CREDENTIAL_ENCRYPTION_KEY, 'CREDENTIAL_ENCRYPTION_KEY'));
+  }
+
+  const extraKeys = (process.env.CREDENTIAL_ENCRYPTION_KEYS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  extraKeys.forEach((entry) => {
+    const separator = entry.indexOf(':');
+    const keyId = separator > 0 ? entry.slice(0, separator) : '';
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new Error('CREDENTIAL_ENCRYPTION_KEYS entries must look like "<keyId>:<64 hex>" (key ID: letters, digits, _ or -)');
+    }
+    if (keys.has(keyId)) {
+      throw new Error(`Credential encryption key ID "${keyId}" is defined twice`);
+    }
+    keys.set(keyId, parseKey(entry.slice(separator + 1), `CREDENTIAL_ENCRYPTION_KEYS (${keyId})`));
+  });
+
+  if (keys.size === 0) {
+    throw new Error('CREDENTIAL_ENCRYPTION_KEY is not set. Generate one with: node scripts/generate-secrets.js');
+  }
+
+  const currentKeyId = process.env.CREDENTIAL_ENCRYPTION_KEY_ID
+    || (keys.has(DEFAULT_KEY_ID) ? DEFAULT_KEY_ID : null);
+  if (!currentKeyId) {
+    throw new Error('CREDENTIAL_ENCRYPTION_KEY_ID must name the key used for new credentials');
+  }
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`CREDENTIAL_ENCRYPTION_KEY_ID "${currentKeyId}" is not a configured key`);
+  }
+
+  return { keys, currentKeyId };
+};
+
+/**
+ * Load and validate the configured keys. Called at startup; throws on a missing or malformed key.
+ * @returns {{ keyIds: string[], currentKeyId: string }}
+ */
+const initCredentialVault = () => {
+  keyring = loadKeyring();
+  return { keyIds: [...keyring.keys.keys()], currentKeyId: keyring.currentKeyId };
+};
+
+const getKeyring = () => {
+  if (!keyring) initCredentialVault();
+  return keyring;
+};
+
+const getKey = (keyId) => {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) throw new Error(`Credential encryption key "${keyId}" is not configured`);
+  return key;
+};
+
+const isLegacyValue = (stored) => typeof stored === 'string' && !stored.startsWith(`${FORMAT_VERSION}:`);
+
+/**
+ * Key ID a stored value was encrypted with (legacy CBC values use the "default" key)
+ */
+const getValueKeyId = (stored) => {
+  if (!stored) return null;
+  if (isLegacyValue(stored)) return DEFAULT_KEY_ID;
+  return String(stored).split(':')[1] || null;
+};
+
+/**
+ * Encrypt a credential password with the current key
+ * @returns {{ ciphertext: string, keyId: string }|null} - null for an empty value
+ */
+const encryptCredential = (text) => {
+  if (text === null || text === undefined || text === '') return null;
+  const { currentKeyId } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(GCM_ALGORITHM, getKey(currentKeyId), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return {
+    ciphertext: [FORMAT_VERSION, currentKeyId, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':'),
+    keyId: currentKeyId,
+  };
+};
+
+const decryptLegacy = (stored) => {
+  const textParts = stored.split(':');
+  if (textParts.length !== 2) {
+    throw new Error('Invalid encrypted format');
+  }
+  const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, getKey(DEFAULT_KEY_ID), Buffer.from(textParts[0], 'hex'));
+  let decrypted = decipher.update(textParts[1], 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+  return decrypted;
+};
+
+/**
+ * Decrypt a stored value (v2 GCM or legacy CBC). Throws when the key is unknown or the value was tampered with.
+ */
+const decryptCredential = (stored) => {
+  if (!stored) return null;
+  if (isLegacyValue(stored)) return decryptLegacy(stored);
+
+  const parts = String(stored).split(':');
+  if (parts.length !== 5) {
+    throw new Error('Invalid encrypted format');
+  }
+  const [, keyId, ivB64, tagB64, dataB64] = parts;
+  const decipher = crypto.createDecipheriv(GCM_ALGORITHM, getKey(keyId), Buffer.from(ivB64, 'base64'));
+  decipher.setAuthTag(Buffer.from(tagB64, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(dataB64, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * True when a stored value is legacy CBC or encrypted with a key other than the current one
+ */
+const needsReencryption = (stored) => {
+  if (!stored) return false;
+  return isLegacyValue(stored) || getValueKeyId(stored) !== getKeyring().currentKeyId;
+};
+
+/**
+ * Re-encrypt every credential that is legacy CBC or not on the current key.
+ * Rows are updated only if unchanged since they were read, so it is safe to run while the app is serving requests.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Count what would change without writing
+ * @param {number} [options.batchSize=200]
+ * @returns {Promise<{ scanned: number, reencrypted: number, failed: Array<{ id: number, error: string }> }>}
+ */
+const reencryptCredentials = async ({ dryRun = false, batchSize = 200 } = {}) => {
+  const result = { scanned: 0, reencrypted: 0, failed: [] };
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await query(
+      `SELECT id, password FROM credentials WHERE id > ? ORDER BY id LIMIT ${Number(batchSize)}`,
+      [lastId]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      result.scanned += 1;
+      if (!needsReencryption(row.password)) continue;
+
+      try {
+        const plain = decryptCredential(row.password);
+        if (!dryRun) {
+          const { ciphertext, keyId } = encryptCredential(plain);
+          await query(
+            'UPDATE credentials SET password = ?, encryption_key_id = ? WHERE id = ? AND password = ?',
+            [ciphertext, keyId, row.id, row.password]
+          );
+        }
+        result.reencrypted += 1;
+      } catch (error) {
+        result.failed.push({ id: row.id, error: error.message });
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_KEY_ID,
+  initCredentialVault,
+  encryptCredential,
+  decryptCredential,
+  getValueKeyId,
+  needsReencryption,
+  reencryptCredentials,
+};
@@ -0,0 +1,370 @@
+const { query, transaction } = require('../config/database');
+const { calculateTaxBreakdown, round2 } = require('./gst');
+const { getInvoiceBalance, updateInvoiceStatus } = require('./invoiceStatus');
+const { toDateString } = require('./dates');
+
+/**
+ * Credit notes and refunds (migration 024).
+ * A credit note corrects an issued invoice without editing it: its lines are taxed like the invoice (same GST
+ * supply type) and issued credit notes are summed into invoices.credited_amount, so the invoice balance is
+ * total - paid - credited. A refund returns (part of) a payment and lowers the invoice's paid_amount.
+ * Both run under a lock on the invoice so concurrent requests cannot credit or refund more than allowed.
+ */
+
+// Drafts are edited instead; cancelled invoices owe nothing
+const CREDITABLE_STATUSES = ['sent', 'partial', 'overdue', 'paid'];
+
+let creditNoteSchemaReady = false;
+
+// Reports and lists leave credits out until migration 024 is applied
+const hasCreditNoteSchema = async () => {
+  if (creditNoteSchemaReady) return true;
+  try {
+    await query('SELECT credited_amount FROM invoices LIMIT 0');
+    await query('SELECT id FROM credit_notes LIMIT 0');
+    await query('SELECT id FROM refunds LIMIT 0');
+    creditNoteSchemaReady = true;
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR' || error.code === 'ER_NO_SUCH_TABLE') return false;
+    throw error;
+  }
+};
+
+/**
+ * SQL for the credited amount of an invoice row ('0' until migration 024 is applied)
+ * @param {string} [alias='i'] - Alias of the invoices table
+ * @returns {Promise<string>}
+ */
+const getCreditedAmountSql = async (alias = 'i') => ((await hasCreditNoteSchema()) ? `${alias}.credited_amount` : '0');
+
+// CN-YYYY-NNNN, numbered per workspace and year of the credit date (credit notes are never deleted). Locks the
+// workspace row until the transaction ends, so credit notes issued at the same time (on any invoice of the
+// workspace) are numbered one after the other instead of taking the same number.
+const getNextCreditNoteNumber = async (connection, workspaceId, creditDate) => {
+  const year = Number(creditDate.substring(0, 4));
+  if (workspaceId) {
+    await connection.execute('SELECT id FROM workspaces WHERE id = ? FOR UPDATE', [workspaceId]);
+  }
+  const [[countRow]] = await connection.execute(
+    'SELECT COUNT(*) as count FROM credit_notes WHERE YEAR(credit_date) = ? AND workspace_id <=> ?',
+    [year, workspaceId]
+  );
+  let sequence = Number(countRow.count) + 1;
+  for (;;) {
+    const candidate = `CN-${year}-${String(sequence).padStart(4, '0')}`;
+    const [existing] = await connection.execute(
+      'SELECT id FROM credit_notes WHERE credit_note_number = ? AND workspace_id <=> ?',
+      [candidate, workspaceId]
+    );
+    if (existing.length === 0) return candidate;
+    sequence += 1;
+  }
+};
+
+// The invoice's document discount as a percentage of its subtotal, so a partial credit gets its share of a fixed
+// discount too (0 when the invoice has none, or migration 028 is not applied)
+const getDocumentDiscountPercent = (invoice) => {
+  const subtotal = parseFloat(invoice.subtotal) || 0;
+  const discount = parseFloat(invoice.discount_amount) || 0;
+  if (subtotal <= 0 || discount <= 0) return 0;
+  return invoice.discount_type === 'percentage' ? Number(invoice.discount_value) : (discount * 100) / subtotal;
+};
+
+/**
+ * Issue a credit note against an invoice.
+ * Lines are priced like the invoice: quantity x unit_price less the line discount, less a share of the invoice's
+ * document discount (allocated as calculateTaxBreakdown does), and taxed on the rest. The credit note stores the
+ * discounted values (credit notes have no discounts of their own), and a line that credits an invoice line cannot
+ * credit more than is left of that line's taxable value.
+ * @param {Object} params
+ * @param {number} params.invoiceId
+ * @param {Array<{ item_name, description?, quantity, unit?, unit_price, discount_type?, discount_value?, hsn_sac?, tax_rate?, invoice_item_id? }>} params.items
+ * @param {string} params.creditDate - YYYY-MM-DD
+ * @param {string} [params.reason]
+ * @param {string} [params.notes]
+ * @param {number} params.userId
+ * @returns {Promise<{ creditNoteId?: number, creditNoteNumber?: string, totalAmount?: number, error?: string }>}
+ */
+const issueCreditNote = async ({ invoiceId, items, creditDate, reason = null, notes = null, userId }) => {
+  const result = await transaction(async (connection) => {
+    const [[invoice]] = await connection.execute('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
+    if (!invoice) return { error: 'Invoice not found' };
+    if (!CREDITABLE_STATUSES.includes(invoice.status)) {
+      return { error: 'Only issued invoices can be credited; edit drafts instead' };
+    }
+
+    const discountPercent = getDocumentDiscountPercent(invoice);
+    const tax = calculateTaxBreakdown(items, {
+      defaultRate: invoice.tax_rate,
+      supplyType: invoice.supply_type || null,
+      discountType: discountPercent > 0 ? 'percentage' : null,
+      discountValue: discountPercent,
+    });
+    const creditable = round2((parseFloat(invoice.total_amount) || 0) - (parseFloat(invoice.credited_amount) || 0));
+    if (tax.totalAmount <= 0) return { error: 'Credit note total must be greater than 0' };
+    if (tax.totalAmount > creditable + 0.005) {
+      return {
+        error: `Credit note total (${tax.totalAmount.toFixed(2)}) exceeds the amount of the invoice not yet credited (${creditable.toFixed(2)} ${invoice.currency || 'USD'})`
+      };
+    }
+
+    // Lines may point at the invoice line they credit (references to other invoices are ignored); together with
+    // earlier issued credit notes they cannot credit more than the line's taxable value
+    const [invoiceItems] = await connection.execute(
+      'SELECT id, item_name, total_price, taxable_value FROM invoice_items WHERE invoice_id = ?',
+      [invoice.id]
+    );
+    const invoiceItemsById = new Map(invoiceItems.map((item) => [Number(item.id), item]));
+    const [creditedRows] = await connection.execute(
+      `SELECT cni.invoice_item_id, SUM(cni.total_price) as credited
+       FROM credit_note_items cni
+       JOIN credit_notes cn ON cn.id = cni.credit_note_id AND cn.status = 'issued'
+       WHERE cn.invoice_id = ? AND cni.invoice_item_id IS NOT NULL
+       GROUP BY cni.invoice_item_id`,
+      [invoice.id]
+    );
+    const creditedByItem = new Map(creditedRows.map((row) => [Number(row.invoice_item_id), parseFloat(row.credited) || 0]));
+    const lines = tax.lines.map((line) => {
+      const invoiceItemId = parseInt(line.invoice_item_id, 10);
+      return { ...line, invoice_item_id: invoiceItemsById.has(invoiceItemId) ? invoiceItemId : null };
+    });
+    for (const [invoiceItemId, invoiceItem] of invoiceItemsById) {
+      const crediting = round2(lines
+        .filter((line) => line.invoice_item_id === invoiceItemId)
+        .reduce((sum, line) => sum + line.taxable_value, 0));
+      if (crediting === 0) continue;
+      const taxableValue = parseFloat(invoiceItem.taxable_value ?? invoiceItem.total_price) || 0;
+      const left = round2(taxableValue - (creditedByItem.get(invoiceItemId) || 0));
+      if (crediting > left + 0.005) {
+        return {
+          error: `Credit for "${invoiceItem.item_name}" (${crediting.toFixed(2)}) exceeds what is left to credit on that invoice line (${Math.max(left, 0).toFixed(2)} ${invoice.currency || 'USD'})`
+        };
+      }
+    }
+
+    const number = await getNextCreditNoteNumber(connection, invoice.workspace_id, creditDate);
+    const [insertResult] = await connection.execute(
+      `INSERT INTO credit_notes (
+        workspace_id, credit_note_number, invoice_id, client_id, credit_date, reason, status, subtotal, tax_rate,
+        tax_amount, total_amount, place_of_supply, supply_type, cgst_amount, sgst_amount, igst_amount,
+        currency, exchange_rate, notes, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, 'issued', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        invoice.workspace_id || null, number, invoice.id, invoice.client_id, creditDate, reason || null,
+        tax.taxableValue, invoice.tax_rate || 0, tax.taxAmount, tax.totalAmount, invoice.place_of_supply || null,
+        invoice.supply_type || null, tax.cgstAmount, tax.sgstAmount, tax.igstAmount, invoice.currency || 'USD',
+        invoice.exchange_rate ?? null, notes || null, userId || null
+      ]
+    );
+    const creditNoteId = insertResult.insertId;
+
+    // Lines are stored at their discounted value; the unit price is that value per unit
+    for (const line of lines) {
+      await connection.execute(
+        `INSERT INTO credit_note_items (
+          credit_note_id, invoice_item_id, item_name, description, quantity, unit, unit_price, total_price, hsn_sac,
+          tax_rate, tax_amount
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          creditNoteId, line.invoice_item_id, line.item_name, line.description || null, line.quantity, line.unit,
+          line.quantity > 0 ? round2(line.taxable_value / line.quantity) : 0, line.taxable_value, line.hsn_sac,
+          line.tax_rate, line.tax_amount
+        ]
+      );
+    }
+
+    await connection.execute(
+      'UPDATE invoices SET credited_amount = credited_amount + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [tax.totalAmount, invoice.id]
+    );
+    return { creditNoteId, creditNoteNumber: number, totalAmount: tax.totalAmount, previousStatus: invoice.status };
+  });
+  if (result.error) return result;
+
+  await updateInvoiceStatus(invoiceId, result.previousStatus);
+  return result;
+};
+
+/**
+ * Stored credit note lines as input for calculateTaxBreakdown: each line at its stored total, which is exact where
+ * the net unit price is rounded
+ * @param {Array<Object>} items - credit_note_items rows
+ * @returns {Array<Object>}
+ */
+const getCreditNoteTaxItems = (items) => items.map((item) => ({ ...item, quantity: 1, unit_price: item.total_price }));
+
+/**
+ * Cancel an issued credit note: its amount is owed on the invoice again.
+ * Credit notes that were paid out with a refund cannot be cancelled.
+ * @param {number} creditNoteId
+ * @param {number} userId
+ * @returns {Promise<{ invoiceId?: number, error?: string }>}
+ */
+const cancelCreditNote = async (creditNoteId, userId) => {
+  const result = await transaction(async (connection) => {
+    const [[creditNote]] = await connection.execute('SELECT * FROM credit_notes WHERE id = ?', [creditNoteId]);
+    if (!creditNote) return { error: 'Credit note not found' };
+    // Lock order: invoice first, as when issuing
+    const [[invoice]] = await connection.execute('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [creditNote.invoice_id]);
+    const [[locked]] = await connection.execute('SELECT * FROM credit_notes WHERE id = ? FOR UPDATE', [creditNoteId]);
+    if (locked.status !== 'issued') return { error: 'Credit note is already cancelled' };
+
+    const [refunds] = await connection.execute('SELECT id FROM refunds WHERE credit_note_id = ? LIMIT 1', [creditNoteId]);
+    if (refunds.length > 0) return { error: 'Credit note has been refunded and cannot be cancelled' };
+
+    await connection.execute(
+      "UPDATE credit_notes SET status = 'cancelled', cancelled_by = ?, cancelled_at = ? WHERE id = ?",
+      [userId || null, new Date(), creditNoteId]
+    );
+    await connection.execute(
+      'UPDATE invoices SET credited_amount = GREATEST(credited_amount - ?, 0), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [locked.total_amount, invoice.id]
+    );
+    return { invoiceId: invoice.id, previousStatus: invoice.status };
+  });
+  if (result.error) return result;
+
+  await updateInvoiceStatus(result.invoiceId, result.previousStatus);
+  return result;
+};
+
+/**
+ * Refund (part of) a payment. Lowers the invoice's paid_amount; the payment keeps its amount.
+ * @param {Object} params
+ * @param {number} params.invoiceId
+ * @param {number} params.paymentId
+ * @param {number} params.amount
+ * @param {string} params.refundDate - YYYY-MM-DD
+ * @param {string} params.refundMethod
+ * @param {string} [params.referenceNumber]
+ * @param {string} [params.reason]
+ * @param {number} [params.creditNoteId] - Issued credit note of the same invoice that this refund pays out
+ * @param {number} params.userId
+ * @returns {Promise<{ refundId?: number, error?: string }>}
+ */
+const recordRefund = async ({
+  invoiceId, paymentId, amount, refundDate, refundMethod, referenceNumber = null, reason = null, creditNoteId = null, userId
+}) => {
+  const result = await transaction(async (connection) => {
+    const [[invoice]] = await connection.execute('SELECT * FROM invoices WHERE id = ? FOR UPDATE', [invoiceId]);
+    if (!invoice) return { error: 'Invoice not found' };
+    const [[payment]] = await connection.execute(
+      'SELECT * FROM payments WHERE id = ? AND invoice_id = ?',
+      [paymentId, invoiceId]
+    );
+    if (!payment) return { error: 'Payment not found' };
+
+    const [[refunded]] = await connection.execute(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM refunds WHERE payment_id = ?',
+      [paymentId]
+    );
+    const refundable = round2((parseFloat(payment.amount) || 0) - (parseFloat(refunded.total) || 0));
+    const refundAmount = round2(amount);
+    if (refundAmount > refundable + 0.005) {
+      return { error: `Refund cannot exceed the unrefunded amount of this payment (${refundable.toFixed(2)} ${invoice.currency || 'USD'})` };
+    }
+    if (toDateString(refundDate) < toDateString(payment.payment_date)) {
+      return { error: 'Refund date cannot be before the payment date' };
+    }
+
+    if (creditNoteId) {
+      const [[creditNote]] = await connection.execute(
+        "SELECT id FROM credit_notes WHERE id = ? AND invoice_id = ? AND status = 'issued'",
+        [creditNoteId, invoiceId]
+      );
+      if (!creditNote) return { error: 'Credit note not found on this invoice' };
+    }
+
+    const [insertResult] = await connection.execute(
+      `INSERT INTO refunds (
+        workspace_id, payment_id, invoice_id, credit_note_id, amount, refund_date, refund_method, reference_number, reason, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        invoice.workspace_id || null, paymentId, invoiceId, creditNoteId || null, refundAmount, refundDate,
+        refundMethod, referenceNumber || null, reason || null, userId || null
+      ]
+    );
+    await connection.execute(
+      'UPDATE invoices SET paid_amount = GREATEST(paid_amount - ?, 0), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [refundAmount, invoiceId]
+    );
+    return { refundId: insertResult.insertId, previousStatus: invoice.status };
+  });
+  if (result.error) return result;
+
+  await updateInvoiceStatus(invoiceId, result.previousStatus);
+  return result;
+};
+
+/**
+ * Credit notes and refunds of an invoice, newest first; refunds are also totalled per payment
+ * @param {number} invoiceId
+ * @returns {Promise<{ creditNotes: Array, refunds: Array, refundedByPayment: Object<number, number> }>}
+ */
+const getInvoiceCredits = async (invoiceId) => {
+  if (!(await hasCreditNoteSchema())) return { creditNotes: [], refunds: [], refundedByPayment: {} };
+  const creditNotes = await query(
+    `SELECT id, credit_note_number, credit_date, reason, status, subtotal, tax_amount, total_amount, currency, created_at
+     FROM credit_notes WHERE invoice_id = ? ORDER BY credit_date DESC, id DESC`,
+    [invoiceId]
+  );
+  const refunds = await query(
+    `SELECT r.*, cn.credit_note_number, u.full_name as created_by_name
+     FROM refunds r
+     LEFT JOIN credit_notes cn ON r.credit_note_id = cn.id
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.invoice_id = ? ORDER BY r.refund_date DESC, r.id DESC`,
+    [invoiceId]
+  );
+  const refundedByPayment = {};
+  refunds.forEach((refund) => {
+    refundedByPayment[refund.payment_id] = round2((refundedByPayment[refund.payment_id] || 0) + (parseFloat(refund.amount) || 0));
+  });
+  return { creditNotes, refunds, refundedByPayment };
+};
+
+/**
+ * Account balance of a client per currency: issued invoices (drafts and cancelled excluded), less credit notes
+ * and payments net of refunds. A negative balance is credit owed to the client.
+ * @param {number} clientId
+ * @returns {Promise<Array<{ currency, invoice_count, invoiced, credited, paid, refunded, balance }>>}
+ */
+const getClientBalances = async (clientId) => {
+  const ready = await hasCreditNoteSchema();
+  const rows = await query(
+    `SELECT
+      i.currency,
+      COUNT(*) as invoice_count,
+      COALESCE(SUM(i.total_amount), 0) as invoiced,
+      COALESCE(SUM(${ready ? 'i.credited_amount' : '0'}), 0) as credited,
+      COALESCE(SUM(i.paid_amount), 0) as paid,
+      ${ready ? 'COALESCE(SUM((SELECT SUM(r.amount) FROM refunds r WHERE r.invoice_id = i.id)), 0)' : '0'} as refunded
+     FROM invoices i
+     WHERE i.client_id = ? AND i.status NOT IN ('draft', 'cancelled')
+     GROUP BY i.currency
+     ORDER BY i.currency`,
+    [clientId]
+  );
+  return rows.map((row) => ({
+    currency: row.currency || 'USD',
+    invoice_count: Number(row.invoice_count),
+    invoiced: round2(row.invoiced),
+    credited: round2(row.credited),
+    paid: round2(row.paid),
+    refunded: round2(row.refunded),
+    balance: getInvoiceBalance({ total_amount: row.invoiced, paid_amount: row.paid, credited_amount: row.credited }),
+  }));
+};
+
+module.exports = {
+  CREDITABLE_STATUSES,
+  hasCreditNoteSchema,
+  getCreditedAmountSql,
+  issueCreditNote,
+  getCreditNoteTaxItems,
+  cancelCreditNote,
+  recordRefund,
+  getInvoiceCredits,
+  getClientBalances,
+};
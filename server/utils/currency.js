@@ -0,0 +1,208 @@
+const { query } = require('../config/database');
+
+/**
+ * Multi-currency: workspace base currency, stored exchange rates and base-currency conversion for reports.
+ * exchange_rates.rate is the value of 1 unit of a currency in the workspace's base currency on rate_date.
+ * Invoices and payments capture the latest rate on or before their date (exchange_rate; 1 for the base currency).
+ * Reports convert with the captured rate and fall back to the stored rates for rows saved without one.
+ * Realised FX gain/loss of a payment = amount x (payment rate - invoice rate), in the base currency.
+ */
+
+const DEFAULT_BASE_CURRENCY = 'USD';
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+// Currencies offered in the UI (any 3-letter ISO code is accepted)
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD', 'SGD', 'AED', 'JPY', 'CHF'];
+
+const normaliseCurrency = (value) => (value ? String(value).trim().toUpperCase() : '');
+
+const isValidCurrency = (value) => CURRENCY_PATTERN.test(normaliseCurrency(value));
+
+const roundRate = (value) => Math.round(Number(value) * 1e8) / 1e8;
+
+/**
+ * Base currency of a workspace ('USD' when not set or migration 020 not run)
+ */
+const getBaseCurrency = async (workspaceId) => {
+  if (!workspaceId) return DEFAULT_BASE_CURRENCY;
+  try {
+    const rows = await query('SELECT base_currency FROM workspaces WHERE id = ?', [workspaceId]);
+    return normaliseCurrency(rows[0] && rows[0].base_currency) || DEFAULT_BASE_CURRENCY;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return DEFAULT_BASE_CURRENCY;
+    throw error;
+  }
+};
+
+/**
+ * Rate of `currency` in the workspace base currency on `date` (latest stored rate on or before it).
+ * 1 for the base currency; null when no rate is stored.
+ * @param {number} workspaceId
+ * @param {string} currency
+ * @param {string|Date} date
+ * @returns {Promise<number|null>}
+ */
+const getExchangeRate = async (workspaceId, currency, date) => {
+  const code = normaliseCurrency(currency) || DEFAULT_BASE_CURRENCY;
+  const baseCurrency = await getBaseCurrency(workspaceId);
+  if (code === baseCurrency) return 1;
+  if (!workspaceId) return null;
+  try {
+    const rows = await query(
+      `SELECT rate FROM exchange_rates
+       WHERE workspace_id = ? AND currency = ? AND rate_date <= ?
+       ORDER BY rate_date DESC LIMIT 1`,
+      [workspaceId, code, date || new Date()]
+    );
+    return rows.length > 0 ? Number(rows[0].rate) : null;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return null;
+    throw error;
+  }
+};
+
+/**
+ * Rate to store on an invoice, payment or expense: an explicit rate from the request wins, else the stored rate
+ */
+const resolveExchangeRate = async (workspaceId, currency, date, explicitRate) => {
+  const rate = parseFloat(explicitRate);
+  if (Number.isFinite(rate) && rate > 0) return roundRate(rate);
+  return getExchangeRate(workspaceId, currency, date);
+};
+
+const CAPTURE_TABLES = ['invoices', 'payments', 'expenses'];
+
+/**
+ * Resolve and store the exchange rate of a saved invoice, payment or expense (NULL when no rate is known yet).
+ * A no-op until migration 020 is applied, so saving documents keeps working without it.
+ * @param {Object} options
+ * @param {'invoices'|'payments'|'expenses'} options.table
+ * @param {number} options.id
+ * @param {number} options.workspaceId
+ * @param {string} options.currency - Invoice or expense currency
+ * @param {string|Date} options.date - Invoice, payment or expense date
+ * @param {number|string} [options.explicitRate] - Rate entered by the user, overrides the stored rates
+ * @returns {Promise<number|null>} The stored rate
+ */
+const captureExchangeRate = async ({ table, id, workspaceId, currency, date, explicitRate }) => {
+  if (!CAPTURE_TABLES.includes(table) || !id) return null;
+  try {
+    const rate = await resolveExchangeRate(workspaceId, currency, date, explicitRate);
+    await query(`UPDATE ${table} SET exchange_rate = ? WHERE id = ?`, [rate, id]);
+    return rate;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return null;
+    throw error;
+  }
+};
+
+let currencySchemaReady = false;
+
+// Reports keep summing raw amounts until migration 020 is applied
+const hasCurrencySchema = async () => {
+  if (currencySchemaReady) return true;
+  try {
+    await query('SELECT i.exchange_rate, p.exchange_rate FROM invoices i, payments p LIMIT 0');
+    await query('SELECT rate FROM exchange_rates LIMIT 0');
+    currencySchemaReady = true;
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR' || error.code === 'ER_NO_SUCH_TABLE') return false;
+    throw error;
+  }
+};
+
+// Base-currency rate of a row: the captured rate, 1 when already in the base currency, else the latest stored rate
+const rateSql = ({ rateColumn, currencyColumn, workspaceColumn, dateColumn }, baseCurrency) => `COALESCE(
+  ${rateColumn},
+  CASE WHEN ${currencyColumn} = '${baseCurrency}' THEN 1 END,
+  (SELECT er.rate FROM exchange_rates er
+   WHERE er.workspace_id = ${workspaceColumn} AND er.currency = ${currencyColumn} AND er.rate_date <= ${dateColumn}
+   ORDER BY er.rate_date DESC LIMIT 1)
+)`;
+
+/**
+ * SQL builders for converting report amounts to the workspace base currency.
+ * invoiceRate(alias) / paymentRate(paymentAlias, invoiceAlias) / expenseRate(alias) return a rate expression (NULL
+ * when no rate is known); toBase(amountSql, rateSql) multiplies. Without migration 020 every rate is 1 (amounts are
+ * summed as stored).
+ * @param {number} workspaceId
+ * @returns {Promise<{ baseCurrency: string, invoiceRate: Function, paymentRate: Function, expenseRate: Function,
+ *   toBase: Function }>}
+ */
+const getCurrencyConversion = async (workspaceId) => {
+  const baseCurrency = await getBaseCurrency(workspaceId);
+  const ready = await hasCurrencySchema();
+  // The base currency is validated (3 letters), so it is safe to inline
+  const base = isValidCurrency(baseCurrency) ? baseCurrency : DEFAULT_BASE_CURRENCY;
+  return {
+    baseCurrency: base,
+    invoiceRate: (alias = 'i') => (ready
+      ? rateSql({
+        rateColumn: `${alias}.exchange_rate`,
+        currencyColumn: `${alias}.currency`,
+        workspaceColumn: `${alias}.workspace_id`,
+        dateColumn: `${alias}.invoice_date`,
+      }, base)
+      : '1'),
+    paymentRate: (paymentAlias = 'p', invoiceAlias = 'i') => (ready
+      ? rateSql({
+        rateColumn: `${paymentAlias}.exchange_rate`,
+        currencyColumn: `${invoiceAlias}.currency`,
+        workspaceColumn: `${invoiceAlias}.workspace_id`,
+        dateColumn: `${paymentAlias}.payment_date`,
+      }, base)
+      : '1'),
+    expenseRate: (alias = 'e') => (ready
+      ? rateSql({
+        rateColumn: `${alias}.exchange_rate`,
+        currencyColumn: `${alias}.currency`,
+        workspaceColumn: `${alias}.workspace_id`,
+        dateColumn: `${alias}.expense_date`,
+      }, base)
+      : '1'),
+    toBase: (amountSql, rate) => `(${amountSql}) * ${rate}`,
+  };
+};
+
+/**
+ * Parse exchange rates from CSV text: columns currency, rate and optional date (YYYY-MM-DD, default today).
+ * A header row is optional; `;` and tab separators are accepted too.
+ * @returns {{ rows: Array<{ currency, rate, rate_date, line }>, errors: Array<{ line, message }> }}
+ */
+const parseExchangeRateCsv = (text, defaultDate) => {
+  const rows = [];
+  const errors = [];
+  const fallbackDate = defaultDate || new Date().toISOString().split('T')[0];
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    const cells = rawLine.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ''));
+    if (cells.every((cell) => cell === '')) return;
+    if (index === 0 && !isValidCurrency(cells[0]) && isNaN(parseFloat(cells[1]))) return; // header
+    const [currency, rate, date] = cells;
+    const value = parseFloat(rate);
+    const rateDate = date || fallbackDate;
+    if (!isValidCurrency(currency)) {
+      errors.push({ line, message: `Invalid currency "${currency}"` });
+    } else if (!Number.isFinite(value) || value <= 0) {
+      errors.push({ line, message: `Invalid rate "${rate}"` });
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate) || Number.isNaN(new Date(rateDate).getTime())) {
+      errors.push({ line, message: `Invalid date "${date}" (use YYYY-MM-DD)` });
+    } else {
+      rows.push({ currency: normaliseCurrency(currency), rate: roundRate(value), rate_date: rateDate, line });
+    }
+  });
+  return { rows, errors };
+};
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  COMMON_CURRENCIES,
+  normaliseCurrency,
+  isValidCurrency,
+  getBaseCurrency,
+  getExchangeRate,
+  resolveExchangeRate,
+  captureExchangeRate,
+  getCurrencyConversion,
+  parseExchangeRateCsv,
+};
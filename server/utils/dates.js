@@ -0,0 +1,46 @@
+/**
+ * Calendar dates as "YYYY-MM-DD" strings in server-local time, the way DATE columns are read and written.
+ * Shared by invoices, quotations, recurring profiles, statements, notifications and scheduled jobs.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Normalise a DATE column value (mysql2 returns local-midnight Date objects) or ISO string to "YYYY-MM-DD"
+ */
+const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).substring(0, 10);
+};
+
+const todayString = () => toDateString(new Date());
+
+const parseParts = (dateString) => dateString.split('-').map(Number);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const addDays = (dateString, days) => {
+  const [year, month, day] = parseParts(dateString);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// Move by whole months and land on dayOfMonth, clamped to the length of the target month (31 -> 28 Feb)
+const addMonths = (dateString, months, dayOfMonth) => {
+  const [year, month, day] = parseParts(dateString);
+  const monthIndex = (month - 1) + months;
+  const targetYear = year + Math.floor(monthIndex / 12);
+  const targetMonth = ((monthIndex % 12) + 12) % 12 + 1;
+  const targetDay = Math.min(dayOfMonth || day, daysInMonth(targetYear, targetMonth));
+  return `${targetYear}-${pad(targetMonth)}-${pad(targetDay)}`;
+};
+
+module.exports = {
+  toDateString,
+  todayString,
+  addDays,
+  addMonths,
+};
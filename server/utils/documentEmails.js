@@ -0,0 +1,485 @@
+const { query } = require('../config/database');
+const { sendDocumentEmail } = require('./email');
+const {
+  loadInvoiceForPdf, renderInvoicePdf, renderQuotationPdf, formatCurrencyForPdf
+} = require('./invoicePdf');
+const { toDateString, todayString, addDays } = require('./dates');
+const { getInvoicePaymentUrl } = require('./paymentGateway');
+const { getQuotationAcceptanceUrl } = require('./quotationAcceptance');
+const { getInvoiceBalance } = require('./invoiceStatus');
+const { getDocumentTemplate } = require('./documentTemplates');
+const { renderStatementPdf } = require('./clientStatements');
+
+/**
+ * Emailing invoices, quotations and statements of account to clients, and scheduled payment reminders.
+ * Every email is recorded in document_emails and, once delivered, as an outbound email conversation.
+ * Reminders (before the due date, on the due date, every N days overdue) claim a reminder_key per invoice first,
+ * so each goes out once; invoices that are paid, cancelled or still draft get none.
+ */
+
+// Emailed document types: attachment label, number and PDF (statements are keyed by the client and named by their date)
+const DOCUMENT_EMAIL_TYPES = {
+  invoice: { label: 'Invoice', getNumber: (document) => document.invoice_number, renderPdf: renderInvoicePdf },
+  quotation: { label: 'Quotation', getNumber: (document) => document.quote_number, renderPdf: renderQuotationPdf },
+  statement: { label: 'Statement', getNumber: (document) => document.end_date, renderPdf: renderStatementPdf },
+};
+const REMINDABLE_STATUSES = ['sent', 'partial', 'overdue'];
+
+const REMINDER_DEFAULTS = {
+  enabled: false,
+  days_before: 3,
+  on_due_date: true,
+  overdue_every_days: 7,
+  max_overdue_reminders: 3,
+};
+
+const EMAIL_PATTERN = /^[^\s@,;<>]+@[^\s@,;<>]+\.[^\s@,;<>]+$/;
+
+const clampInt = (value, min, max, fallback) => {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+};
+
+/**
+ * Reminder settings with defaults filled in and numbers clamped (0 days = that reminder is off)
+ */
+const normaliseReminderSettings = (raw) => {
+  let value = raw;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      value = null;
+    }
+  }
+  const settings = { ...REMINDER_DEFAULTS, ...(value && typeof value === 'object' ? value : {}) };
+  return {
+    enabled: settings.enabled === true || settings.enabled === 'true' || settings.enabled === 1,
+    days_before: clampInt(settings.days_before, 0, 60, REMINDER_DEFAULTS.days_before),
+    on_due_date: settings.on_due_date === true || settings.on_due_date === 'true' || settings.on_due_date === 1,
+    overdue_every_days: clampInt(settings.overdue_every_days, 0, 90, REMINDER_DEFAULTS.overdue_every_days),
+    max_overdue_reminders: clampInt(settings.max_overdue_reminders, 0, 12, REMINDER_DEFAULTS.max_overdue_reminders),
+  };
+};
+
+const getReminderSettings = async (workspaceId) => {
+  if (!workspaceId) return { ...REMINDER_DEFAULTS };
+  try {
+    const rows = await query('SELECT payment_reminder_settings FROM workspaces WHERE id = ?', [workspaceId]);
+    return normaliseReminderSettings(rows[0] && rows[0].payment_reminder_settings);
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return { ...REMINDER_DEFAULTS };
+    throw error;
+  }
+};
+
+const saveReminderSettings = async (workspaceId, values) => {
+  const settings = normaliseReminderSettings(values);
+  await query(
+    'UPDATE workspaces SET payment_reminder_settings = ?, updated_at = NOW() WHERE id = ?',
+    [JSON.stringify(settings), workspaceId]
+  );
+  return settings;
+};
+
+/**
+ * Split a list of addresses (array or comma/semicolon separated string)
+ * @returns {{ emails: string[], invalid: string[] }}
+ */
+const parseEmailList = (value) => {
+  const parts = (Array.isArray(value) ? value : String(value || '').split(/[,;\n]/))
+    .map((email) => String(email || '').trim())
+    .filter(Boolean);
+  const emails = [];
+  const invalid = [];
+  parts.forEach((email) => {
+    if (!EMAIL_PATTERN.test(email)) invalid.push(email);
+    else if (!emails.some((existing) => existing.toLowerCase() === email.toLowerCase())) emails.push(email);
+  });
+  return { emails, invalid };
+};
+
+// Sender shown to clients: the workspace "invoice from" name/email, else the workspace name
+const getWorkspaceSender = async (workspaceId) => {
+  const fallbackName = process.env.APP_NAME || 'Client Management System';
+  if (!workspaceId) return { name: fallbackName, email: null };
+  try {
+    const rows = await query('SELECT name, invoice_from_name, invoice_from_email FROM workspaces WHERE id = ?', [workspaceId]);
+    const ws = rows[0] || {};
+    return {
+      name: (ws.invoice_from_name && String(ws.invoice_from_name).trim()) || ws.name || fallbackName,
+      email: (ws.invoice_from_email && String(ws.invoice_from_email).trim()) || null,
+    };
+  } catch (error) {
+    if (error.code !== 'ER_BAD_FIELD_ERROR') throw error;
+    const rows = await query('SELECT name FROM workspaces WHERE id = ?', [workspaceId]);
+    return { name: (rows[0] && rows[0].name) || fallbackName, email: null };
+  }
+};
+
+const formatDate = (value) => {
+  const date = toDateString(value);
+  if (!date) return '-';
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC',
+  });
+};
+
+const daysBetween = (from, to) => {
+  const toUtc = (value) => {
+    const [year, month, day] = toDateString(value).split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+};
+
+const outstandingOf = (invoice) => Math.max(0, getInvoiceBalance(invoice));
+
+/**
+ * Default subject and message of an invoice email
+ * @param {Object} invoice - Row from loadInvoiceForPdf
+ * @param {string} senderName
+ * @param {string|null} [reminderKey] - null for the first send, else before / due / overdue_N
+ */
+const getInvoiceEmailText = (invoice, senderName, reminderKey = null) => {
+  const number = invoice.invoice_number;
+  const dueDate = formatDate(invoice.due_date);
+  const total = formatCurrencyForPdf(invoice.total_amount, invoice.currency);
+  const outstanding = formatCurrencyForPdf(outstandingOf(invoice), invoice.currency);
+  const greeting = `Dear ${invoice.client_name || 'Customer'},`;
+  const closing = `Best regards,\n${senderName}`;
+
+  if (!reminderKey) {
+    return {
+      subject: `Invoice ${number} from ${senderName}`,
+      message: `${greeting}\n\nPlease find attached invoice ${number} for ${total}, due on ${dueDate}.\n\nThank you for your business.\n\n${closing}`,
+    };
+  }
+  if (reminderKey === 'before') {
+    return {
+      subject: `Reminder: invoice ${number} is due on ${dueDate}`,
+      message: `${greeting}\n\nThis is a friendly reminder that invoice ${number} (${outstanding} outstanding) is due on ${dueDate}. The invoice is attached for your reference.\n\nIf you have already paid, please disregard this email.\n\n${closing}`,
+    };
+  }
+  if (reminderKey === 'due') {
+    return {
+      subject: `Invoice ${number} is due today`,
+      message: `${greeting}\n\nInvoice ${number} (${outstanding} outstanding) is due today. The invoice is attached for your reference.\n\nIf you have already paid, please disregard this email.\n\n${closing}`,
+    };
+  }
+  return {
+    subject: `Overdue: invoice ${number} was due on ${dueDate}`,
+    message: `${greeting}\n\nOur records show that invoice ${number} was due on ${dueDate} and ${outstanding} is still outstanding. Please arrange payment at your earliest convenience; the invoice is attached.\n\nIf you have already paid, please let us know so we can update our records.\n\n${closing}`,
+  };
+};
+
+const getQuotationEmailText = (quotation, senderName) => ({
+  subject: `Quotation ${quotation.quote_number} from ${senderName}`,
+  message: `Dear ${quotation.client_name || 'Customer'},\n\nPlease find attached our quotation ${quotation.quote_number} for ${formatCurrencyForPdf(quotation.total_amount, quotation.currency)}${quotation.valid_till_date ? `, valid until ${formatDate(quotation.valid_till_date)}` : ''}.\n\nWe look forward to working with you.\n\nBest regards,\n${senderName}`,
+});
+
+// Closing balance of each currency of a statement, e.g. "INR 1,200.00 and $300.00"
+const formatStatementBalances = (statement) => statement.currencies
+  .map((section) => formatCurrencyForPdf(section.closing_balance, section.currency))
+  .join(' and ');
+
+const getStatementEmailText = (statement, senderName) => {
+  const period = statement.start_date
+    ? `for ${formatDate(statement.start_date)} to ${formatDate(statement.end_date)}`
+    : `as of ${formatDate(statement.end_date)}`;
+  const due = statement.currencies.filter((section) => section.closing_balance > 0);
+  const balanceText = due.length > 0
+    ? `The balance due is ${formatStatementBalances({ currencies: due })}.`
+    : 'There is no balance due on your account.';
+  return {
+    subject: `Statement of account from ${senderName}`,
+    message: `Dear ${statement.client_name || 'Customer'},\n\nPlease find attached your statement of account ${period}. ${balanceText}\n\nIf anything on the statement does not match your records, please let us know.\n\nBest regards,\n${senderName}`,
+  };
+};
+
+// Stored CC addresses of the client (empty until migration 021)
+const getClientCcEmails = async (clientId) => {
+  try {
+    const rows = await query('SELECT billing_cc_emails FROM clients WHERE id = ?', [clientId]);
+    return parseEmailList(rows[0] && rows[0].billing_cc_emails).emails;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return [];
+    throw error;
+  }
+};
+
+const saveClientCcEmails = async (clientId, emails) => {
+  await query('UPDATE clients SET billing_cc_emails = ? WHERE id = ?', [emails.length > 0 ? emails.join(', ') : null, clientId]);
+};
+
+/**
+ * Pre-filled send form of a document: recipients, CC, subject and message
+ * @param {'invoice'|'quotation'|'statement'} documentType
+ * @param {Object} document - Row from loadInvoiceForPdf / loadQuotationForPdf, or a getClientStatement statement
+ */
+const getDocumentEmailDefaults = async (documentType, document) => {
+  const sender = await getWorkspaceSender(document.workspace_id);
+  const getText = { invoice: getInvoiceEmailText, quotation: getQuotationEmailText, statement: getStatementEmailText }[documentType];
+  const text = getText(document, sender.name);
+  return {
+    to: document.client_email ? [document.client_email] : [],
+    cc: await getClientCcEmails(document.client_id),
+    ...text,
+  };
+};
+
+/**
+ * Emails already sent for a document, newest first
+ */
+const getDocumentEmailHistory = async (documentType, documentId) => query(
+  `SELECT de.id, de.email_type, de.reminder_key, de.recipients, de.cc, de.subject, de.status, de.error_message,
+          de.has_attachment, de.created_at, u.full_name as sent_by_name
+   FROM document_emails de
+   LEFT JOIN users u ON de.sent_by = u.id
+   WHERE de.document_type = ? AND de.document_id = ?
+   ORDER BY de.created_at DESC, de.id DESC
+   LIMIT 50`,
+  [documentType, documentId]
+);
+
+const documentDetails = (documentType, document) => {
+  if (documentType === 'invoice') {
+    return [
+      { label: 'Invoice', value: document.invoice_number },
+      { label: 'Invoice date', value: formatDate(document.invoice_date) },
+      { label: 'Due date', value: formatDate(document.due_date) },
+      { label: 'Total', value: formatCurrencyForPdf(document.total_amount, document.currency) },
+      { label: 'Outstanding', value: formatCurrencyForPdf(outstandingOf(document), document.currency) },
+    ];
+  }
+  if (documentType === 'statement') {
+    return [
+      ...(document.start_date ? [{ label: 'From', value: formatDate(document.start_date) }] : []),
+      { label: document.start_date ? 'To' : 'As of', value: formatDate(document.end_date) },
+      { label: 'Balance', value: document.currencies.length > 0 ? formatStatementBalances(document) : '-' },
+    ];
+  }
+  return [
+    { label: 'Quotation', value: document.quote_number },
+    { label: 'Quote date', value: formatDate(document.quote_date) },
+    ...(document.valid_till_date ? [{ label: 'Valid until', value: formatDate(document.valid_till_date) }] : []),
+    { label: 'Total', value: formatCurrencyForPdf(document.total_amount, document.currency) },
+  ];
+};
+
+/**
+ * Send an invoice, quotation or statement email and record it (document_emails + conversation).
+ * Reminders pass a reminderKey: a second attempt for the same key is skipped (returns { skipped: true }).
+ * @param {Object} options
+ * @param {'invoice'|'quotation'|'statement'} options.documentType
+ * @param {Object} options.document - Row from loadInvoiceForPdf / loadQuotationForPdf, or a getClientStatement statement
+ * @param {string[]} options.to
+ * @param {string[]} [options.cc]
+ * @param {string} options.subject
+ * @param {string} options.message
+ * @param {boolean} [options.attachPdf=true] - Attach the document's PDF
+ * @param {number|null} [options.userId] - Sender; null for automatic emails
+ * @param {string|null} [options.reminderKey]
+ * @returns {Promise<{ success: boolean, skipped?: boolean, emailId?: number, conversationId?: number, error?: string }>}
+ */
+const deliverDocumentEmail = async ({
+  documentType,
+  document,
+  to,
+  cc = [],
+  subject,
+  message,
+  attachPdf = true,
+  userId = null,
+  reminderKey = null,
+}) => {
+  const emailType = DOCUMENT_EMAIL_TYPES[documentType];
+  if (!emailType) throw new Error(`Unknown document type: ${documentType}`);
+  const number = emailType.getNumber(document);
+  const attachmentName = `${emailType.label}-${number}.pdf`;
+  const withPdf = Boolean(attachPdf);
+
+  let emailId;
+  try {
+    const result = await query(
+      `INSERT INTO document_emails (
+        workspace_id, document_type, document_id, email_type, reminder_key, recipients, cc, subject, status, has_attachment, sent_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+      [
+        document.workspace_id || null, documentType, document.id, reminderKey ? 'reminder' : 'send', reminderKey,
+        to.join(', ').substring(0, 1000), cc.length > 0 ? cc.join(', ').substring(0, 1000) : null,
+        String(subject).substring(0, 255), withPdf ? 1 : 0, userId
+      ]
+    );
+    emailId = result.insertId;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY' && reminderKey) return { success: false, skipped: true };
+    throw error;
+  }
+
+  let sendResult;
+  try {
+    // A draft is marked sent once it has been emailed, so its PDF, pay link and acceptance link already treat it as sent
+    const sentDocument = document.status === 'draft' ? { ...document, status: 'sent' } : document;
+    const attachments = withPdf
+      ? [{ filename: attachmentName, content: await emailType.renderPdf(sentDocument), contentType: 'application/pdf' }]
+      : [];
+    const sender = await getWorkspaceSender(document.workspace_id);
+    const template = await getDocumentTemplate(document.workspace_id);
+    const payUrl = documentType === 'invoice' ? await getInvoicePaymentUrl(sentDocument) : null;
+    // Quotations link to the page where the client accepts or declines them
+    const acceptUrl = documentType === 'quotation' ? await getQuotationAcceptanceUrl(sentDocument) : null;
+    sendResult = await sendDocumentEmail({
+      to,
+      cc,
+      subject,
+      message,
+      title: documentType === 'statement' ? 'Statement of account' : `${emailType.label} ${number}`,
+      details: documentDetails(documentType, document),
+      senderName: sender.name,
+      replyTo: sender.email,
+      attachments,
+      action: payUrl ? { label: 'Pay now', url: payUrl } : (acceptUrl ? { label: 'View and accept', url: acceptUrl } : null),
+      brand: {
+        accentColor: template.accent_color,
+        footerText: template.footer_text,
+        logo: template.logo ? { content: template.logo, contentType: template.logo_type } : null,
+      },
+    });
+  } catch (error) {
+    sendResult = { success: false, error: error.message };
+  }
+
+  if (!sendResult.success) {
+    await query(
+      "UPDATE document_emails SET status = 'failed', error_message = ? WHERE id = ?",
+      [String(sendResult.error || 'Unknown error').substring(0, 1000), emailId]
+    );
+    return { success: false, emailId, error: sendResult.error };
+  }
+
+  // The conversation is the client-facing record of the send (created_by falls back to the document owner)
+  const conversation = await query(
+    `INSERT INTO conversations (
+      client_id, project_id, conversation_type, subject, message, direction, created_by, workspace_id
+    ) VALUES (?, ?, 'email', ?, ?, 'outbound', ?, ?)`,
+    [
+      document.client_id, document.project_id || null, String(subject).substring(0, 200),
+      `${message}\n\nTo: ${to.join(', ')}${cc.length > 0 ? `\nCC: ${cc.join(', ')}` : ''}${withPdf ? `\nAttachment: ${attachmentName}` : ''}`,
+      userId || document.created_by, document.workspace_id || null
+    ]
+  );
+  await query(
+    "UPDATE document_emails SET status = 'sent', conversation_id = ? WHERE id = ?",
+    [conversation.insertId || null, emailId]
+  );
+  return { success: true, emailId, conversationId: conversation.insertId };
+};
+
+/**
+ * Email an invoice to the client's address and stored CC with the default subject and message (PDF attached).
+ * Used for invoices sent without the send dialog, e.g. recurring profiles with auto_send.
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+const sendInvoiceEmail = async (invoiceId, { userId = null } = {}) => {
+  const invoice = await loadInvoiceForPdf(invoiceId);
+  if (!invoice) return { success: false, error: 'Invoice not found' };
+  if (!invoice.client_email) return { success: false, error: 'Client has no email address' };
+  const defaults = await getDocumentEmailDefaults('invoice', invoice);
+  return deliverDocumentEmail({
+    documentType: 'invoice',
+    document: invoice,
+    to: defaults.to,
+    cc: defaults.cc,
+    subject: defaults.subject,
+    message: defaults.message,
+    userId,
+  });
+};
+
+/**
+ * Which reminder an invoice is due for today, or null
+ * @param {Object} invoice - due_date
+ * @param {Object} settings - normalised reminder settings
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string|null} before, due or overdue_N
+ */
+const getDueReminderKey = (invoice, settings, today) => {
+  if (!invoice.due_date) return null;
+  const daysToDue = daysBetween(today, invoice.due_date);
+  if (daysToDue > 0) {
+    return settings.days_before > 0 && daysToDue <= settings.days_before ? 'before' : null;
+  }
+  if (daysToDue === 0) return settings.on_due_date ? 'due' : null;
+  if (settings.overdue_every_days <= 0 || settings.max_overdue_reminders <= 0) return null;
+  const stage = Math.floor(-daysToDue / settings.overdue_every_days);
+  if (stage < 1) return null;
+  return `overdue_${Math.min(stage, settings.max_overdue_reminders)}`;
+};
+
+/**
+ * Send the payment reminders that are due today in every workspace that has them enabled
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const processPaymentReminders = async () => {
+  const summary = { sent: 0, failed: 0 };
+  const today = todayString();
+  const workspaces = await query('SELECT id, payment_reminder_settings FROM workspaces WHERE payment_reminder_settings IS NOT NULL');
+
+  for (const workspace of workspaces) {
+    const settings = normaliseReminderSettings(workspace.payment_reminder_settings);
+    if (!settings.enabled) continue;
+
+    // Due within days_before, or overdue within the last overdue stage (plus one interval to catch up)
+    const latest = addDays(today, settings.days_before);
+    const earliest = addDays(today, -settings.overdue_every_days * (settings.max_overdue_reminders + 1));
+    const invoices = await query(
+      `SELECT id, due_date FROM invoices
+       WHERE workspace_id = ? AND status IN (${REMINDABLE_STATUSES.map(() => '?').join(', ')})
+         AND total_amount - paid_amount > 0.009 AND due_date BETWEEN ? AND ?
+       ORDER BY due_date, id`,
+      [workspace.id, ...REMINDABLE_STATUSES, earliest, latest]
+    );
+
+    for (const candidate of invoices) {
+      const reminderKey = getDueReminderKey(candidate, settings, today);
+      if (!reminderKey) continue;
+      const invoice = await loadInvoiceForPdf(candidate.id);
+      if (!invoice || !invoice.client_email) continue;
+
+      const sender = await getWorkspaceSender(invoice.workspace_id);
+      const text = getInvoiceEmailText(invoice, sender.name, reminderKey);
+      const result = await deliverDocumentEmail({
+        documentType: 'invoice',
+        document: invoice,
+        to: [invoice.client_email],
+        cc: await getClientCcEmails(invoice.client_id),
+        subject: text.subject,
+        message: text.message,
+        reminderKey,
+      });
+      if (result.success) summary.sent += 1;
+      else if (!result.skipped) summary.failed += 1;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  REMINDER_DEFAULTS,
+  normaliseReminderSettings,
+  getReminderSettings,
+  saveReminderSettings,
+  parseEmailList,
+  getInvoiceEmailText,
+  getClientCcEmails,
+  saveClientCcEmails,
+  getDocumentEmailDefaults,
+  getDocumentEmailHistory,
+  deliverDocumentEmail,
+  sendInvoiceEmail,
+  getDueReminderKey,
+  processPaymentReminders,
+};
@@ -0,0 +1,167 @@
+const { query } = require('../config/database');
+
+/**
+ * Branded document templates: one per workspace (document_templates), used by the invoice, quotation and
+ * credit note PDFs (utils/invoicePdf.js) and by document emails. Workspaces without a template, and servers
+ * without migration 026, get TEMPLATE_DEFAULTS.
+ */
+
+// Blocks printed under the totals, in this order unless the template says otherwise
+const FIELD_KEYS = ['notes', 'terms', 'bank_details', 'signature'];
+
+const IMAGE_KINDS = ['logo', 'signature'];
+const MAX_IMAGE_BYTES = 512 * 1024;
+const MAX_FOOTER_LENGTH = 300;
+const MAX_BANK_DETAILS_LENGTH = 2000;
+const MAX_SIGNATURE_LABEL_LENGTH = 100;
+const ACCENT_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const TEMPLATE_DEFAULTS = {
+  accent_color: '#4F46E5',
+  footer_text: '',
+  bank_details: '',
+  bank_details_on_quotations: false,
+  signature_label: 'Authorised Signatory',
+  field_order: FIELD_KEYS,
+};
+
+const isMissingSchemaError = (error) => ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code);
+
+const trimTo = (value, maxLength) => String(value == null ? '' : value).trim().substring(0, maxLength);
+
+/**
+ * Known block keys in the given order, each once, followed by the ones that were left out
+ * @param {string[]|string|null} value - Array or JSON array
+ * @returns {string[]}
+ */
+const normaliseFieldOrder = (value) => {
+  let order = value;
+  if (typeof order === 'string') {
+    try {
+      order = JSON.parse(order);
+    } catch (e) {
+      order = null;
+    }
+  }
+  const known = (Array.isArray(order) ? order : []).filter((key, index, list) => FIELD_KEYS.includes(key) && list.indexOf(key) === index);
+  return [...known, ...FIELD_KEYS.filter((key) => !known.includes(key))];
+};
+
+/**
+ * Template settings (everything but the images) with defaults filled in, text trimmed and the colour checked
+ */
+const normaliseTemplateSettings = (raw) => {
+  const settings = { ...TEMPLATE_DEFAULTS, ...(raw && typeof raw === 'object' ? raw : {}) };
+  return {
+    accent_color: ACCENT_COLOR_PATTERN.test(settings.accent_color) ? settings.accent_color.toUpperCase() : TEMPLATE_DEFAULTS.accent_color,
+    footer_text: trimTo(settings.footer_text, MAX_FOOTER_LENGTH),
+    bank_details: trimTo(settings.bank_details, MAX_BANK_DETAILS_LENGTH),
+    bank_details_on_quotations: settings.bank_details_on_quotations === true || settings.bank_details_on_quotations === 1 || settings.bank_details_on_quotations === 'true',
+    signature_label: trimTo(settings.signature_label, MAX_SIGNATURE_LABEL_LENGTH),
+    field_order: normaliseFieldOrder(settings.field_order),
+  };
+};
+
+/**
+ * PNG or JPEG from the file's first bytes (the only formats pdfkit can embed), else null
+ * @param {Buffer} buffer
+ * @returns {'image/png'|'image/jpeg'|null}
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return 'image/png';
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  return null;
+};
+
+/**
+ * Template of a workspace with its images
+ * @param {number|null} workspaceId
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSchema=false] - Throw instead of returning the defaults when migration 026 is missing
+ * @returns {Promise<Object>} Settings plus logo / signature (Buffer or null) and logo_type / signature_type
+ */
+const getDocumentTemplate = async (workspaceId, { requireSchema = false } = {}) => {
+  const empty = { ...normaliseTemplateSettings(null), logo: null, logo_type: null, signature: null, signature_type: null };
+  if (!workspaceId) return empty;
+  try {
+    const rows = await query('SELECT * FROM document_templates WHERE workspace_id = ?', [workspaceId]);
+    if (rows.length === 0) return empty;
+    const row = rows[0];
+    return {
+      ...normaliseTemplateSettings(row),
+      logo: row.logo || null,
+      logo_type: row.logo ? row.logo_type : null,
+      signature: row.signature || null,
+      signature_type: row.signature ? row.signature_type : null,
+    };
+  } catch (error) {
+    if (isMissingSchemaError(error) && !requireSchema) return empty;
+    throw error;
+  }
+};
+
+/**
+ * Save the template settings of a workspace (images are kept)
+ * @returns {Promise<Object>} The normalised settings
+ */
+const saveDocumentTemplate = async (workspaceId, values, userId = null) => {
+  const settings = normaliseTemplateSettings(values);
+  await query(
+    `INSERT INTO document_templates (
+      workspace_id, accent_color, footer_text, bank_details, bank_details_on_quotations, signature_label, field_order, updated_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      accent_color = VALUES(accent_color), footer_text = VALUES(footer_text), bank_details = VALUES(bank_details),
+      bank_details_on_quotations = VALUES(bank_details_on_quotations), signature_label = VALUES(signature_label),
+      field_order = VALUES(field_order), updated_by = VALUES(updated_by)`,
+    [
+      workspaceId, settings.accent_color, settings.footer_text || null, settings.bank_details || null,
+      settings.bank_details_on_quotations ? 1 : 0, settings.signature_label || null,
+      JSON.stringify(settings.field_order), userId
+    ]
+  );
+  return settings;
+};
+
+/**
+ * Replace or remove the logo or signature of a workspace's template
+ * @param {number} workspaceId
+ * @param {'logo'|'signature'} kind
+ * @param {Buffer|null} content - null removes the image
+ * @param {string|null} contentType - From detectImageType
+ */
+const saveTemplateImage = async (workspaceId, kind, content, contentType, userId = null) => {
+  if (!IMAGE_KINDS.includes(kind)) throw new Error(`Unknown template image: ${kind}`);
+  // kind is one of IMAGE_KINDS, so the column names below are fixed
+  await query(
+    `INSERT INTO document_templates (workspace_id, ${kind}, ${kind}_type, updated_by) VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE ${kind} = VALUES(${kind}), ${kind}_type = VALUES(${kind}_type), updated_by = VALUES(updated_by)`,
+    [workspaceId, content, content ? contentType : null, userId]
+  );
+};
+
+/**
+ * Image as a data URL (settings page), or null
+ */
+const toDataUrl = (content, contentType) => (content && contentType
+  ? `data:${contentType};base64,${Buffer.from(content).toString('base64')}`
+  : null);
+
+module.exports = {
+  FIELD_KEYS,
+  IMAGE_KINDS,
+  MAX_IMAGE_BYTES,
+  MAX_FOOTER_LENGTH,
+  MAX_BANK_DETAILS_LENGTH,
+  MAX_SIGNATURE_LABEL_LENGTH,
+  ACCENT_COLOR_PATTERN,
+  TEMPLATE_DEFAULTS,
+  normaliseFieldOrder,
+  normaliseTemplateSettings,
+  detectImageType,
+  getDocumentTemplate,
+  saveDocumentTemplate,
+  saveTemplateImage,
+  toDataUrl,
+};
@@ -67,8 +67,9 @@ const sendViaSendGridApi = async (apiKey, mailOptions) => {
   const fromMatch = fromRaw.match(/<([^>]+)>/);
   const fromEmail = (fromMatch ? fromMatch[1] : fromRaw).trim();
 
-  const toRaw = mailOptions.to || '';
-  const to = Array.isArray(toRaw) ? toRaw : String(toRaw).split(',').map((s) => s.trim()).filter(Boolean);
+  const toList = (raw) => (Array.isArray(raw) ? raw : String(raw || '').split(',').map((s) => s.trim()).filter(Boolean));
+  const to = toList(mailOptions.to);
+  const cc = toList(mailOptions.cc);
 
   if (!fromEmail) throw new Error('SendGrid: from email is required');
   if (!to.length) throw new Error('SendGrid: to email is required');
@@ -77,14 +78,27 @@ const sendViaSendGridApi = async (apiKey, mailOptions) => {
     personalizations: [
       {
         to: to.map((email) => ({ email })),
+        ...(cc.length ? { cc: cc.map((email) => ({ email })) } : {}),
         subject: mailOptions.subject || '',
       },
     ],
+    ...(mailOptions.replyTo ? { reply_to: { email: mailOptions.replyTo } } : {}),
     from: { email: fromEmail, name: APP_NAME },
     content: [
       ...(mailOptions.text ? [{ type: 'text/plain', value: mailOptions.text }] : []),
       ...(mailOptions.html ? [{ type: 'text/html', value: mailOptions.html }] : []),
     ],
+    ...(mailOptions.attachments && mailOptions.attachments.length
+      ? {
+        attachments: mailOptions.attachments.map((file) => ({
+          filename: file.filename,
+          type: file.contentType || 'application/octet-stream',
+          content: Buffer.from(file.content).toString('base64'),
+          // Inline images (e.g. a logo shown as <img src="cid:...">) keep their content ID
+          ...(file.cid ? { disposition: 'inline', content_id: file.cid } : { disposition: 'attachment' }),
+        })),
+      }
+      : {}),
   };
 
   await sendGridRequest({ method: 'POST', path: '/v3/mail/send', apiKey, body: payload });
@@ -204,7 +218,9 @@ const createTransporter = async () => {
       sendMail: async (options) => {
         console.log('=== EMAIL (Not Sent - SMTP not configured) ===');
         console.log('To:', options.to);
+        if (options.cc) console.log('CC:', options.cc);
         console.log('Subject:', options.subject);
+        if (options.attachments) console.log('Attachments:', options.attachments.map((file) => file.filename).join(', '));
         console.log('HTML:', options.html);
         console.log('==========================================');
         return { messageId: 'console-log' };
@@ -487,8 +503,103 @@ const sendPasswordResetEmail = async (userData, resetToken) => {
   }
 };
 
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Footer of document emails: they come from the workspace, so it carries the workspace's name and footer text
+const getDocumentEmailFooter = (senderName, footerText) => `
+    <div style="border-top: 2px solid #e5e7eb; margin-top: 40px; padding-top: 30px; text-align: center; color: #6b7280; font-size: 12px;">
+      ${footerText ? `<p style="margin: 0 0 10px 0;">${escapeHtml(footerText).replace(/\n/g, '<br>')}</p>` : ''}
+      <p style="margin: 15px 0 0 0; font-size: 11px;">
+        © ${new Date().getFullYear()} ${escapeHtml(senderName)}. All rights reserved.
+      </p>
+    </div>
+  `;
+
+/**
+ * Send an invoice or quotation email to a client (message written by the user, optional PDF attachment)
+ * @param {Object} options
+ * @param {string[]} options.to
+ * @param {string[]} [options.cc]
+ * @param {string} options.subject
+ * @param {string} options.message - Plain text; blank lines separate paragraphs
+ * @param {string} options.title - Heading, e.g. "Invoice INV-2025-0001"
+ * @param {Array<{ label: string, value: string }>} [options.details] - Summary rows (amount, due date, ...)
+ * @param {string} [options.senderName] - Workspace / "invoice from" name shown as the sender
+ * @param {string} [options.replyTo] - Workspace billing address for replies
+ * @param {Array<{ filename: string, content: Buffer, contentType: string }>} [options.attachments]
+ * @param {{ label: string, url: string }|null} [options.action] - Button below the summary, e.g. the invoice pay link
+ * @param {{ accentColor?: string, footerText?: string, logo?: { content: Buffer, contentType: string }|null }|null} [options.brand]
+ *   Workspace document template: header and button colour, footer text and a logo above the heading
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+const sendDocumentEmail = async ({
+  to, cc = [], subject, message, title, details = [], senderName, replyTo, attachments = [], action = null, brand = null,
+}) => {
+  try {
+    const smtpConfig = await getSmtpConfig();
+    const transporter = await createTransporter();
+    const fromEmail = smtpConfig?.from || smtpConfig?.auth?.user || process.env.SMTP_FROM || process.env.SMTP_USER || 'noreply@example.com';
+    const displayName = String(senderName || APP_NAME).replace(/"/g, '');
+    const fromAddress = `"${displayName}" <${fromEmail}>`;
+
+    const accentColor = (brand && brand.accentColor) || '#4F46E5';
+    const logo = brand && brand.logo
+      ? { filename: `logo.${brand.logo.contentType === 'image/png' ? 'png' : 'jpg'}`, content: brand.logo.content, contentType: brand.logo.contentType, cid: 'document-logo' }
+      : null;
+
+    const paragraphs = String(message || '').split(/\n{2,}/).map((p) => p.trim()).filter(Boolean);
+    const detailRows = details
+      .map((row) => `<tr><td style="padding: 8px; font-weight: bold; width: 140px;">${escapeHtml(row.label)}</td><td style="padding: 8px;">${escapeHtml(row.value)}</td></tr>`)
+      .join('');
+
+    const mailOptions = {
+      from: fromAddress,
+      to: to.join(', '),
+      ...(cc.length ? { cc: cc.join(', ') } : {}),
+      ...(replyTo ? { replyTo } : {}),
+      subject,
+      attachments: logo ? [...attachments, logo] : attachments,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${escapeHtml(title)}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          ${logo ? `<div style="text-align: center; margin-bottom: 16px;"><img src="cid:${logo.cid}" alt="${escapeHtml(displayName)}" style="max-height: 60px; max-width: 200px;"></div>` : ''}
+          <div style="background-color: ${accentColor}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0; font-size: 22px;">${escapeHtml(title)}</h1>
+          </div>
+          <div style="background-color: #f9fafb; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 8px 8px;">
+            ${paragraphs.map((p) => `<p style="font-size: 16px; margin: 0 0 16px 0;">${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('')}
+            ${detailRows ? `<div style="background-color: white; border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px; margin: 20px 0;"><table style="width: 100%; border-collapse: collapse;">${detailRows}</table></div>` : ''}
+            ${action ? `<div style="text-align: center; margin: 30px 0;"><a href="${escapeHtml(action.url)}" target="_blank" rel="noopener noreferrer" style="display: inline-block; background-color: ${accentColor}; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">${escapeHtml(action.label)}</a></div>` : ''}
+            ${getDocumentEmailFooter(displayName, brand && brand.footerText)}
+          </div>
+        </body>
+        </html>
+      `,
+      text: `${paragraphs.join('\n\n')}\n\n${details.map((row) => `${row.label}: ${row.value}`).join('\n')}${action ? `\n\n${action.label}: ${action.url}` : ''}\n\n---\n${brand && brand.footerText ? `${brand.footerText}\n` : ''}© ${new Date().getFullYear()} ${displayName}. All rights reserved.`,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Document email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending document email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendClientCredentials,
+  sendDocumentEmail,
   sendVerificationEmail,
   sendPasswordResetEmail,
   createTransporter,
@@ -0,0 +1,182 @@
+const { query } = require('../config/database');
+const { getCurrencyConversion } = require('./currency');
+const { round2 } = require('./gst');
+
+/**
+ * Project expenses and project cost (migration 030).
+ * A project's actual cost = its expenses (in the workspace base currency) + its costed time: hours logged on the tasks
+ * of the project's PM workspaces x the hourly cost rate of the user (copied onto the time log when it is logged).
+ * Billable expenses are billed through invoice lines (invoice_items.expense_id); an expense is billed while an invoice
+ * that is not cancelled has such a line, so deleting or cancelling the invoice releases it again.
+ */
+
+const EXPENSE_CATEGORIES = ['software', 'hosting', 'hardware', 'travel', 'subcontractor', 'materials', 'fees', 'other'];
+
+let expenseSchemaReady = false;
+
+// Expenses, time costing and billing expenses need migration 030
+const hasExpenseSchema = async () => {
+  if (expenseSchemaReady) return true;
+  try {
+    await query('SELECT id FROM expenses LIMIT 0');
+    await query('SELECT expense_id FROM invoice_items LIMIT 0');
+    await query('SELECT cost_rate FROM users LIMIT 0');
+    await query('SELECT cost_rate FROM pm_time_logs LIMIT 0');
+    expenseSchemaReady = true;
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR' || error.code === 'ER_NO_SUCH_TABLE') return false;
+    throw error;
+  }
+};
+
+/**
+ * SQL subquery: id of the invoice that bills the expense `alias`.id (NULL while unbilled)
+ * @param {string} [alias]
+ * @returns {string}
+ */
+const getExpenseInvoiceSql = (alias = 'e') => `(SELECT ii.invoice_id FROM invoice_items ii
+   JOIN invoices bi ON bi.id = ii.invoice_id
+   WHERE ii.expense_id = ${alias}.id AND bi.status <> 'cancelled'
+   ORDER BY ii.invoice_id LIMIT 1)`;
+
+/**
+ * expense_id column for invoice line INSERTs, like getCatalogItemColumn (utils/catalog.js): `column` and
+ * `placeholder` are appended to the column and VALUES lists, `values(line)` to the parameters. All empty until
+ * migration 030 is applied.
+ * @returns {Promise<{ column: string, placeholder: string, values: Function }>}
+ */
+const getExpenseColumn = async () => ((await hasExpenseSchema())
+  ? { column: ', expense_id', placeholder: ', ?', values: (line) => [line.expense_id || null] }
+  : { column: '', placeholder: '', values: () => [] });
+
+/**
+ * Invoice items with expense_id kept only for billable expenses of the workspace that no other invoice bills (each
+ * expense on one line only); any other value becomes null, so the line is saved as an ordinary line.
+ * @param {number|null} workspaceId
+ * @param {Array<Object>} items
+ * @param {number|null} [invoiceId] - The invoice being edited; its own lines keep their expenses
+ * @returns {Promise<Array<Object>>}
+ */
+const resolveExpenseIds = async (workspaceId, items, invoiceId = null) => {
+  const list = Array.isArray(items) ? items : [];
+  const ids = [...new Set(list.map((item) => parseInt(item && item.expense_id, 10)).filter((id) => id > 0))];
+  let billable = new Set();
+  if (ids.length > 0 && workspaceId && (await hasExpenseSchema())) {
+    const rows = await query(
+      `SELECT e.id, ${getExpenseInvoiceSql('e')} as invoice_id
+       FROM expenses e
+       WHERE e.workspace_id = ? AND e.is_billable = 1 AND e.id IN (${ids.map(() => '?').join(', ')})`,
+      [workspaceId, ...ids]
+    );
+    billable = new Set(rows
+      .filter((row) => row.invoice_id === null || Number(row.invoice_id) === Number(invoiceId))
+      .map((row) => Number(row.id)));
+  }
+  const used = new Set();
+  return list.map((item) => {
+    const id = parseInt(item && item.expense_id, 10);
+    const keep = billable.has(id) && !used.has(id);
+    if (keep) used.add(id);
+    return { ...item, expense_id: keep ? id : null };
+  });
+};
+
+/**
+ * Copy the user's hourly cost rate onto a new time log. A no-op until migration 030 is applied.
+ * @param {number} timeLogId
+ */
+const captureTimeLogCostRate = async (timeLogId) => {
+  try {
+    await query(
+      `UPDATE pm_time_logs tl
+       JOIN users u ON u.id = tl.user_id
+       SET tl.cost_rate = u.cost_rate
+       WHERE tl.id = ?`,
+      [timeLogId]
+    );
+  } catch (error) {
+    if (error.code !== 'ER_BAD_FIELD_ERROR') throw error;
+  }
+};
+
+/**
+ * SQL subqueries of the cost of project `projectAlias`.id in the base currency (see getCurrencyConversion):
+ * expense_cost, labour_cost, labour_hours, uncosted_hours (logged by users without a cost rate) and
+ * unconverted_expenses (expenses without an exchange rate, left out of expense_cost).
+ * @param {string} projectAlias
+ * @param {Object} fx - From getCurrencyConversion
+ * @returns {Object<string, string>}
+ */
+const getProjectCostSql = (projectAlias, fx) => {
+  const rate = fx.expenseRate('e');
+  const timeLogs = `FROM pm_time_logs tl
+     JOIN pm_tasks t ON t.id = tl.task_id
+     JOIN pm_user_stories us ON us.id = t.user_story_id
+     JOIN pm_workspaces pw ON pw.id = us.workspace_id
+     JOIN users u ON u.id = tl.user_id
+     WHERE pw.project_id = ${projectAlias}.id`;
+  return {
+    expense_cost: `(SELECT COALESCE(SUM(e.amount * ${rate}), 0) FROM expenses e WHERE e.project_id = ${projectAlias}.id)`,
+    unconverted_expenses: `(SELECT COUNT(*) FROM expenses e WHERE e.project_id = ${projectAlias}.id AND ${rate} IS NULL)`,
+    labour_cost: `(SELECT COALESCE(SUM(tl.hours * COALESCE(tl.cost_rate, u.cost_rate)), 0) ${timeLogs})`,
+    labour_hours: `(SELECT COALESCE(SUM(tl.hours), 0) ${timeLogs})`,
+    uncosted_hours: `(SELECT COALESCE(SUM(tl.hours), 0) ${timeLogs} AND COALESCE(tl.cost_rate, u.cost_rate) IS NULL)`,
+  };
+};
+
+/**
+ * Numbers of a project cost row selected with getProjectCostSql, plus actual_cost = expense_cost + labour_cost
+ * @param {Object} row
+ * @returns {Object}
+ */
+const formatProjectCosts = (row) => {
+  const expenseCost = round2(row.expense_cost);
+  const labourCost = round2(row.labour_cost);
+  return {
+    expense_cost: expenseCost,
+    labour_cost: labourCost,
+    actual_cost: round2(expenseCost + labourCost),
+    labour_hours: round2(row.labour_hours),
+    uncosted_hours: round2(row.uncosted_hours),
+    unconverted_expenses: Number(row.unconverted_expenses) || 0,
+  };
+};
+
+/**
+ * Cost of one project in the workspace base currency, with the billable expenses not billed yet
+ * @param {number} projectId
+ * @param {number|null} workspaceId
+ * @returns {Promise<Object|null>} null until migration 030 is applied
+ */
+const getProjectCosts = async (projectId, workspaceId) => {
+  if (!(await hasExpenseSchema())) return null;
+  const fx = await getCurrencyConversion(workspaceId);
+  const costSql = getProjectCostSql('p', fx);
+  const rows = await query(
+    `SELECT ${Object.entries(costSql).map(([key, sql]) => `${sql} as ${key}`).join(',\n       ')},
+       (SELECT COALESCE(SUM(e.amount * ${fx.expenseRate('e')}), 0) FROM expenses e
+        WHERE e.project_id = p.id AND e.is_billable = 1 AND ${getExpenseInvoiceSql('e')} IS NULL) as unbilled_billable
+     FROM projects p
+     WHERE p.id = ?`,
+    [projectId]
+  );
+  if (rows.length === 0) return null;
+  return {
+    base_currency: fx.baseCurrency,
+    ...formatProjectCosts(rows[0]),
+    unbilled_billable: round2(rows[0].unbilled_billable),
+  };
+};
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  hasExpenseSchema,
+  getExpenseInvoiceSql,
+  getExpenseColumn,
+  resolveExpenseIds,
+  captureTimeLogCostRate,
+  getProjectCostSql,
+  formatProjectCosts,
+  getProjectCosts,
+};
@@ -0,0 +1,360 @@
+const { query } = require('../config/database');
+
+/**
+ * Indian GST: place of supply, supply type and the CGST/SGST/IGST split of quotations and invoices.
+ * A workspace is GST-registered when it has a state code (workspaces.gst_state_code). For its documents:
+ *   - place of supply = the client's state (from the client's GSTIN, else the client's state name;
+ *     clients outside India are "96 - Foreign Country"; unknown falls back to the workspace's own state)
+ *   - same state as the workspace -> intra_state: tax split equally into CGST + SGST
+ *   - any other state / abroad     -> inter_state: all IGST
+ * Documents of workspaces without GST settings keep a single tax line (supply_type NULL).
+ * Every line carries its own rate (defaulting to the document's tax_rate) and an optional HSN/SAC code.
+ */
+
+const GST_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+  { code: '96', name: 'Foreign Country' },
+  { code: '97', name: 'Other Territory' },
+];
+
+const FOREIGN_COUNTRY_CODE = '96';
+const SUPPLY_TYPES = ['intra_state', 'inter_state'];
+// Common GST slabs, offered as suggestions in the UI (any rate 0-100 is accepted)
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// Older or alternative spellings found in client addresses
+const STATE_ALIASES = {
+  'orissa': '21',
+  'pondicherry': '34',
+  'new delhi': '07',
+  'nct of delhi': '07',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35',
+  'daman and diu': '26',
+  'dadra and nagar haveli': '26',
+  'uttaranchal': '05',
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const HSN_SAC_PATTERN = /^[0-9]{4,8}$/;
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normaliseGstin = (gstin) => (gstin ? String(gstin).trim().toUpperCase() : '');
+
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(normaliseGstin(gstin));
+
+const isValidHsnSac = (code) => HSN_SAC_PATTERN.test(String(code || '').trim());
+
+const getStateByCode = (code) => GST_STATES.find((state) => state.code === String(code || '').padStart(2, '0')) || null;
+
+/**
+ * GST state code from a state code, a state name or a GSTIN-style "29" prefix; null when unknown
+ */
+const resolveStateCode = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (/^[0-9]{1,2}$/.test(text)) {
+    const state = getStateByCode(text);
+    return state ? state.code : null;
+  }
+  const lower = text.toLowerCase().replace(/\s+/g, ' ');
+  if (STATE_ALIASES[lower]) return STATE_ALIASES[lower];
+  const state = GST_STATES.find((s) => s.name.toLowerCase() === lower || s.name.toLowerCase().replace(/ and /g, ' & ') === lower);
+  return state ? state.code : null;
+};
+
+const getStateCodeFromGstin = (gstin) => {
+  const value = normaliseGstin(gstin);
+  return isValidGstin(value) ? resolveStateCode(value.substring(0, 2)) : null;
+};
+
+const isIndia = (country) => {
+  if (!country || !String(country).trim()) return true;
+  return ['india', 'in', 'ind', 'bharat'].includes(String(country).trim().toLowerCase());
+};
+
+/**
+ * Place of supply for a client: GSTIN state, then state name; "96" for clients abroad; null when unknown
+ * @param {{ gst_number?: string, state?: string, country?: string }} client
+ */
+const getClientPlaceOfSupply = (client) => {
+  if (!client) return null;
+  if (!isIndia(client.country)) return FOREIGN_COUNTRY_CODE;
+  return getStateCodeFromGstin(client.gst_number) || resolveStateCode(client.state);
+};
+
+/**
+ * 'intra_state' (CGST + SGST) when supplier and place of supply are the same state, otherwise 'inter_state' (IGST).
+ * null when the supplier is not GST-registered.
+ */
+const getSupplyType = (supplierStateCode, placeOfSupply) => {
+  if (!supplierStateCode) return null;
+  const place = placeOfSupply || supplierStateCode;
+  return place === supplierStateCode ? 'intra_state' : 'inter_state';
+};
+
+// Discounts on a line or a whole document (migration 028)
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Quantities are stored with 3 decimals (7.5 hours, 0.25 kg)
+const roundQuantity = (value) => Math.round((Number(value) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Discount on an amount: a percentage of it (at most 100) or a fixed amount, never more than the amount itself
+ * @param {number} amount
+ * @param {string|null} type - 'percentage', 'fixed' or null (no discount)
+ * @param {number} value
+ * @returns {number}
+ */
+const calculateDiscount = (amount, type, value) => {
+  const discountValue = Number(value) || 0;
+  if (!DISCOUNT_TYPES.includes(type) || discountValue <= 0 || amount <= 0) return 0;
+  const discount = type === 'percentage' ? round2((amount * Math.min(discountValue, 100)) / 100) : round2(discountValue);
+  return Math.min(discount, amount);
+};
+
+/**
+ * Line and document tax for a set of items.
+ * A line's total_price is quantity x unit_price less its own discount. The document discount is spread over the lines
+ * in proportion to their total_price (the shares add up to the discount exactly), and each line is taxed on the rest
+ * (taxable_value) at its own tax_rate (or the document's defaultRate), rounded to paise; intra-state tax is split into
+ * CGST and SGST per line (CGST gets the odd paisa). The summary groups lines by HSN/SAC code and rate, as printed in
+ * the tax table of a GST invoice.
+ * @param {Array<{quantity, unit_price, tax_rate?, hsn_sac?, unit?, discount_type?, discount_value?}>} items
+ * @param {Object} options
+ * @param {number} [options.defaultRate=0]
+ * @param {string|null} [options.supplyType] - 'intra_state', 'inter_state' or null (single tax line)
+ * @param {string|null} [options.discountType] - Document discount: 'percentage', 'fixed' or null
+ * @param {number} [options.discountValue=0]
+ */
+const calculateTaxBreakdown = (items, { defaultRate = 0, supplyType = null, discountType = null, discountValue = 0 } = {}) => {
+  const priced = (items || []).map((item) => {
+    const quantity = roundQuantity(Number(item.quantity) || 0);
+    const grossAmount = round2(quantity * (Number(item.unit_price) || 0));
+    const lineDiscountType = DISCOUNT_TYPES.includes(item.discount_type) && Number(item.discount_value) > 0
+      ? item.discount_type
+      : null;
+    const discountAmount = calculateDiscount(grossAmount, lineDiscountType, item.discount_value);
+    return {
+      ...item,
+      quantity,
+      unit: item.unit ? String(item.unit).trim() : null,
+      discount_type: lineDiscountType,
+      discount_value: lineDiscountType ? round2(item.discount_value) : 0,
+      discount_amount: discountAmount,
+      total_price: round2(grossAmount - discountAmount),
+    };
+  });
+
+  const subtotal = round2(priced.reduce((total, line) => total + line.total_price, 0));
+  const documentDiscountType = DISCOUNT_TYPES.includes(discountType) && Number(discountValue) > 0 ? discountType : null;
+  const discountAmount = calculateDiscount(subtotal, documentDiscountType, discountValue);
+
+  // Share of the document discount up to and including each line, in paise, so the shares add up exactly
+  let runningTotal = 0;
+  let allocated = 0;
+  const lines = priced.map((line) => {
+    runningTotal = round2(runningTotal + line.total_price);
+    const allocatedSoFar = subtotal > 0 ? Math.round((discountAmount * 100 * runningTotal) / subtotal) / 100 : 0;
+    const share = round2(allocatedSoFar - allocated);
+    allocated = allocatedSoFar;
+    const taxableValue = round2(line.total_price - share);
+
+    const hasOwnRate = line.tax_rate !== null && line.tax_rate !== undefined && line.tax_rate !== '';
+    const taxRate = Number(hasOwnRate ? line.tax_rate : defaultRate) || 0;
+    const taxAmount = round2((taxableValue * taxRate) / 100);
+    let cgstAmount = 0;
+    let sgstAmount = 0;
+    let igstAmount = 0;
+    if (supplyType === 'intra_state') {
+      const paise = Math.round(taxAmount * 100);
+      cgstAmount = Math.ceil(paise / 2) / 100;
+      sgstAmount = Math.floor(paise / 2) / 100;
+    } else if (supplyType === 'inter_state') {
+      igstAmount = taxAmount;
+    }
+    return {
+      ...line,
+      hsn_sac: line.hsn_sac ? String(line.hsn_sac).trim() : null,
+      tax_rate: taxRate,
+      taxable_value: taxableValue,
+      tax_amount: taxAmount,
+      cgst_amount: cgstAmount,
+      sgst_amount: sgstAmount,
+      igst_amount: igstAmount,
+    };
+  });
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+
+  const groups = new Map();
+  lines.forEach((line) => {
+    const key = `${line.hsn_sac || ''}|${line.tax_rate}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        hsn_sac: line.hsn_sac,
+        tax_rate: line.tax_rate,
+        taxable_value: 0,
+        cgst_amount: 0,
+        sgst_amount: 0,
+        igst_amount: 0,
+        tax_amount: 0,
+      });
+    }
+    const group = groups.get(key);
+    ['taxable_value', 'cgst_amount', 'sgst_amount', 'igst_amount', 'tax_amount'].forEach((field) => {
+      group[field] = round2(group[field] + line[field]);
+    });
+  });
+
+  const taxAmount = sum('tax_amount');
+  return {
+    supplyType,
+    lines,
+    summary: [...groups.values()],
+    subtotal,
+    discountType: documentDiscountType,
+    discountValue: documentDiscountType ? round2(discountValue) : 0,
+    discountAmount,
+    taxableValue: round2(subtotal - discountAmount),
+    taxAmount,
+    cgstAmount: sum('cgst_amount'),
+    sgstAmount: sum('sgst_amount'),
+    igstAmount: sum('igst_amount'),
+    totalAmount: round2(subtotal - discountAmount + taxAmount),
+  };
+};
+
+/**
+ * GST registration of a workspace: { gstin, state_code } or null when not configured (or migration 019 not run)
+ */
+const getWorkspaceGstSettings = async (workspaceId) => {
+  if (!workspaceId) return null;
+  try {
+    const rows = await query('SELECT gstin, gst_state_code FROM workspaces WHERE id = ?', [workspaceId]);
+    if (rows.length === 0 || !rows[0].gst_state_code) return null;
+    return { gstin: rows[0].gstin || null, state_code: rows[0].gst_state_code };
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return null;
+    throw error;
+  }
+};
+
+/**
+ * Tax for a quotation/invoice being saved: place of supply (explicit, else from the client), supply type and breakdown
+ * @param {Object} params
+ * @param {number} params.workspaceId
+ * @param {number} params.clientId
+ * @param {string} [params.placeOfSupply] - State code chosen on the document; overrides the client's state
+ * @param {Array} params.items
+ * @param {number} [params.taxRate] - Default rate for lines without their own
+ * @param {string|null} [params.discountType] - Document discount: 'percentage', 'fixed' or null
+ * @param {number} [params.discountValue]
+ */
+const resolveDocumentTax = async ({
+  workspaceId, clientId, placeOfSupply = null, items, taxRate = 0, discountType = null, discountValue = 0
+}) => {
+  const gstSettings = await getWorkspaceGstSettings(workspaceId);
+  let place = null;
+  if (gstSettings) {
+    place = resolveStateCode(placeOfSupply);
+    if (!place && clientId) {
+      const clients = await query('SELECT gst_number, state, country FROM clients WHERE id = ?', [clientId]);
+      place = getClientPlaceOfSupply(clients[0]);
+    }
+    place = place || gstSettings.state_code;
+  }
+  const supplyType = gstSettings ? getSupplyType(gstSettings.state_code, place) : null;
+  return {
+    placeOfSupply: place,
+    ...calculateTaxBreakdown(items, { defaultRate: taxRate, supplyType, discountType, discountValue }),
+  };
+};
+
+/**
+ * "29 - Karnataka" for display
+ */
+const formatPlaceOfSupply = (code) => {
+  const state = getStateByCode(code);
+  return state ? `${state.code} - ${state.name}` : null;
+};
+
+let discountSchemaReady = false;
+
+/**
+ * Whether line item units and discounts (migration 028) are available. Cached once true.
+ * @returns {Promise<boolean>}
+ */
+const hasDiscountSchema = async () => {
+  if (discountSchemaReady) return true;
+  try {
+    await query('SELECT discount_amount FROM invoices LIMIT 0');
+    await query('SELECT taxable_value FROM invoice_items LIMIT 0');
+    discountSchemaReady = true;
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  GST_STATES,
+  GST_RATES,
+  SUPPLY_TYPES,
+  DISCOUNT_TYPES,
+  FOREIGN_COUNTRY_CODE,
+  round2,
+  roundQuantity,
+  calculateDiscount,
+  normaliseGstin,
+  isValidGstin,
+  isValidHsnSac,
+  getStateByCode,
+  resolveStateCode,
+  getStateCodeFromGstin,
+  getClientPlaceOfSupply,
+  getSupplyType,
+  calculateTaxBreakdown,
+  getWorkspaceGstSettings,
+  resolveDocumentTax,
+  formatPlaceOfSupply,
+  hasDiscountSchema,
+};
@@ -0,0 +1,1010 @@
+const PDFDocument = require('pdfkit');
+const { PassThrough } = require('stream');
+const { query: dbQuery } = require('../config/database');
+const { calculateTaxBreakdown, getWorkspaceGstSettings, formatPlaceOfSupply } = require('./gst');
+const { getInvoicePaymentUrl } = require('./paymentGateway');
+const { getInvoiceBalance } = require('./invoiceStatus');
+const { getDocumentTemplate } = require('./documentTemplates');
+const { getBaseCurrency } = require('./currency');
+const { getCreditNoteTaxItems } = require('./creditNotes');
+
+// Invoice, credit note and quotation PDFs (pdfkit): served by GET /api/invoices/:id/download,
+// GET /api/credit-notes/:id/download and GET /api/quotations/:id/download, and attached to document emails.
+// Branding (logo, accent colour, footer, bank details, signature, block order) comes from the workspace's
+// document template (utils/documentTemplates.js).
+
+const NO_WORKSPACE_FILTER = { whereClause: '', whereParams: [] };
+
+/**
+ * Load an invoice with the client, project, quotation and creator columns used by the PDF and invoice emails
+ * @param {number} invoiceId
+ * @param {{ whereClause: string, whereParams: Array }} [workspaceFilter] - getWorkspaceFilter(req, 'i', 'workspace_id')
+ * @returns {Promise<Object|null>}
+ */
+const loadInvoiceForPdf = async (invoiceId, workspaceFilter = NO_WORKSPACE_FILTER) => {
+  const invoices = await dbQuery(
+    `SELECT 
+      i.*,
+      c.full_name as client_name,
+      c.company_name as client_company,
+      c.email as client_email,
+      c.phone as client_phone,
+      c.address as client_address,
+      c.city as client_city,
+      c.state as client_state,
+      c.country as client_country,
+      c.postal_code as client_postal_code,
+      c.gst_number as client_gst_number,
+      p.title as project_title,
+      qt.quote_number as quotation_number,
+      u.full_name as created_by_name
+     FROM invoices i
+     LEFT JOIN clients c ON i.client_id = c.id
+     LEFT JOIN projects p ON i.project_id = p.id
+     LEFT JOIN quotations qt ON i.quotation_id = qt.id
+     LEFT JOIN users u ON i.created_by = u.id
+     WHERE i.id = ? ${workspaceFilter.whereClause}`,
+    [invoiceId, ...workspaceFilter.whereParams]
+  );
+  return invoices[0] || null;
+};
+
+/**
+ * Quantity without trailing zeros: 7.5, 2, 0.125
+ */
+function formatQuantity(quantity) {
+  return String(Number((Number(quantity) || 0).toFixed(3)));
+}
+
+// PDF-safe currency format: use ASCII-only prefix so symbols like ₹ render correctly in Helvetica
+function formatCurrencyForPdf(amount, currency = 'USD') {
+  let currencyCode = (currency || 'USD').toUpperCase().trim();
+  const currencyMap = { '₹': 'INR', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+  if (currencyMap[currencyCode]) currencyCode = currencyMap[currencyCode];
+  if (currencyCode.length !== 3 || !/^[A-Z]{3}$/.test(currencyCode)) currencyCode = 'USD';
+
+  const num = Number(amount) || 0;
+  const formatted = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(num);
+  if (currencyCode === 'INR') return `INR ${formatted}`;
+  if (currencyCode === 'USD') return `$${formatted}`;
+  if (currencyCode === 'EUR') return `EUR ${formatted}`;
+  if (currencyCode === 'GBP') return `GBP ${formatted}`;
+  return `${currencyCode} ${formatted}`;
+}
+
+/**
+ * Load a credit note with the invoice and client columns used by its PDF
+ * @param {number} creditNoteId
+ * @param {{ whereClause: string, whereParams: Array }} [workspaceFilter] - getWorkspaceFilter(req, 'cn', 'workspace_id')
+ * @returns {Promise<Object|null>}
+ */
+const loadCreditNoteForPdf = async (creditNoteId, workspaceFilter = NO_WORKSPACE_FILTER) => {
+  const creditNotes = await dbQuery(
+    `SELECT 
+      cn.*,
+      i.invoice_number,
+      i.invoice_date,
+      c.full_name as client_name,
+      c.company_name as client_company,
+      c.email as client_email,
+      c.phone as client_phone,
+      c.address as client_address,
+      c.city as client_city,
+      c.state as client_state,
+      c.country as client_country,
+      c.postal_code as client_postal_code,
+      c.gst_number as client_gst_number,
+      u.full_name as created_by_name
+     FROM credit_notes cn
+     INNER JOIN invoices i ON cn.invoice_id = i.id
+     LEFT JOIN clients c ON cn.client_id = c.id
+     LEFT JOIN users u ON cn.created_by = u.id
+     WHERE cn.id = ? ${workspaceFilter.whereClause}`,
+    [creditNoteId, ...workspaceFilter.whereParams]
+  );
+  return creditNotes[0] || null;
+};
+
+/**
+ * Load a quotation with the client, project and creator columns used by its PDF and quotation emails
+ * @param {number} quotationId
+ * @param {{ whereClause: string, whereParams: Array }} [workspaceFilter] - getWorkspaceFilter(req, 'q', 'workspace_id')
+ * @returns {Promise<Object|null>}
+ */
+const loadQuotationForPdf = async (quotationId, workspaceFilter = NO_WORKSPACE_FILTER) => {
+  const quotations = await dbQuery(
+    `SELECT 
+      q.*,
+      c.full_name as client_name,
+      c.company_name as client_company,
+      c.email as client_email,
+      c.phone as client_phone,
+      c.address as client_address,
+      c.city as client_city,
+      c.state as client_state,
+      c.country as client_country,
+      c.postal_code as client_postal_code,
+      c.gst_number as client_gst_number,
+      p.title as project_title,
+      u.full_name as created_by_name
+     FROM quotations q
+     LEFT JOIN clients c ON q.client_id = c.id
+     LEFT JOIN projects p ON q.project_id = p.id
+     LEFT JOIN users u ON q.created_by = u.id
+     WHERE q.id = ? ${workspaceFilter.whereClause}`,
+    [quotationId, ...workspaceFilter.whereParams]
+  );
+  return quotations[0] || null;
+};
+
+const formatPdfDate = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Render a document (invoice, credit note or quotation) into a writable stream. All share the From/To block, the item
+ * table with GST columns, the tax summary and the footer; the layout holds what differs.
+ * @param {Object} invoice - Document row with client columns (loadInvoiceForPdf / loadCreditNoteForPdf / loadQuotationForPdf)
+ * @param {import('stream').Writable} output
+ * @param {Object} layout
+ * @param {'invoice'|'quotation'|'credit_note'} layout.documentType - Invoices print the template's bank details,
+ *   quotations only when the template says so
+ * @param {string} layout.title - Heading, e.g. 'TAX INVOICE'
+ * @param {string} layout.infoTitle - PDF metadata title
+ * @param {string[]} layout.headerLines - Number and dates, right aligned under the heading
+ * @param {string} layout.toLabel - 'BILL TO:', 'CREDIT TO:' or 'QUOTE FOR:'
+ * @param {Array} layout.items - Line items
+ * @param {Array} [layout.taxItems] - Lines the GST tax table is computed from, if not the line items
+ * @param {Array} [layout.payments] - Payments (their methods are listed under the summary)
+ * @param {string|null} [layout.payUrl] - Pay online link
+ * @param {Array<{ label: string, amount: number, bold?: boolean, color?: string }>} [layout.balanceRows] - Rows under the total
+ * @param {string|null} [layout.notes]
+ * @param {string|null} [layout.terms] - Terms and conditions
+ * @param {Object} [layout.template] - Document template to use instead of the workspace's (settings preview)
+ * @returns {Promise<void>}
+ */
+const writeDocumentPdf = async (invoice, output, {
+  documentType, title, infoTitle, headerLines, toLabel, items, payments = [], payUrl = null, balanceRows = [],
+  notes = null, terms = null, template: templateOverride = null, taxItems = items
+}) => {
+  // Fetch workspace and optional invoice "From" details (workspace-isolated: invoice.workspace_id is already scoped)
+  let workspace = null;
+  if (invoice.workspace_id) {
+    try {
+      const wsRows = await dbQuery(
+        `SELECT id, name, invoice_from_name, invoice_from_email, invoice_from_phone, invoice_from_address 
+         FROM workspaces WHERE id = ?`,
+        [invoice.workspace_id]
+      );
+      if (wsRows.length > 0) workspace = wsRows[0];
+    } catch (wsErr) {
+      if (wsErr.code === 'ER_BAD_FIELD_ERROR') {
+        const fallback = await dbQuery('SELECT id, name FROM workspaces WHERE id = ?', [invoice.workspace_id]);
+        if (fallback.length > 0) workspace = fallback[0];
+      } else {
+        console.warn('Workspace fetch for PDF failed:', wsErr.message);
+      }
+    }
+  }
+  const hasConfiguredFrom = workspace && (
+    (workspace.invoice_from_name && String(workspace.invoice_from_name).trim()) ||
+    (workspace.invoice_from_email && String(workspace.invoice_from_email).trim()) ||
+    (workspace.invoice_from_phone && String(workspace.invoice_from_phone).trim()) ||
+    (workspace.invoice_from_address && String(workspace.invoice_from_address).trim())
+  );
+  const fromName = hasConfiguredFrom && workspace.invoice_from_name
+    ? String(workspace.invoice_from_name).trim()
+    : ((workspace && workspace.name) ? String(workspace.name) : (process.env.APP_NAME || 'Client Management System'));
+  const fromSubtext = hasConfiguredFrom ? null : ((workspace && workspace.name) ? 'Workspace' : 'System Administrator');
+  const fromEmail = (workspace && workspace.invoice_from_email) ? String(workspace.invoice_from_email).trim() : null;
+  const fromPhone = (workspace && workspace.invoice_from_phone) ? String(workspace.invoice_from_phone).trim() : null;
+  const fromAddress = (workspace && workspace.invoice_from_address) ? String(workspace.invoice_from_address).trim() : null;
+  const footerBrand = (workspace && workspace.name) ? String(workspace.name) : (process.env.APP_NAME || 'Client Management System');
+  const template = templateOverride || await getDocumentTemplate(invoice.workspace_id);
+  const accentColor = template.accent_color;
+  const bankDetails = documentType === 'invoice' || (documentType === 'quotation' && template.bank_details_on_quotations)
+    ? template.bank_details
+    : null;
+
+  // Calculate subtotal from items if not present
+  if (!invoice.subtotal && items && items.length > 0) {
+    invoice.subtotal = items.reduce((sum, item) => sum + (parseFloat(item.total_price) || 0), 0);
+  }
+
+  // GST invoices: supplier GSTIN, place of supply, HSN/SAC + rate columns and a tax breakdown table
+  const isGstInvoice = Boolean(invoice.supply_type);
+  const gstSettings = isGstInvoice ? await getWorkspaceGstSettings(invoice.workspace_id) : null;
+  const placeOfSupplyName = formatPlaceOfSupply(invoice.place_of_supply);
+  const taxSummary = isGstInvoice
+    ? calculateTaxBreakdown(taxItems, {
+      defaultRate: invoice.tax_rate,
+      supplyType: invoice.supply_type,
+      discountType: invoice.discount_type,
+      discountValue: invoice.discount_value,
+    }).summary
+    : [];
+
+  // Rows of the summary box between subtotal and total: the document discount (shown negative), then
+  // CGST + SGST (intra-state), IGST (inter-state) or a single tax line
+  const taxRows = [];
+  const documentDiscount = parseFloat(invoice.discount_amount) || 0;
+  if (documentDiscount > 0) {
+    const discountLabel = invoice.discount_type === 'percentage'
+      ? `Discount (${formatQuantity(invoice.discount_value)}%):`
+      : 'Discount:';
+    taxRows.push([discountLabel, -documentDiscount]);
+  }
+  if (invoice.supply_type === 'intra_state') {
+    taxRows.push(['CGST:', invoice.cgst_amount], ['SGST:', invoice.sgst_amount]);
+  } else if (invoice.supply_type === 'inter_state') {
+    taxRows.push(['IGST:', invoice.igst_amount]);
+  } else {
+    const invoiceTaxRate = parseFloat(invoice.tax_rate) || 0;
+    const lineRates = new Set(items.map((item) => (item.tax_rate == null ? invoiceTaxRate : parseFloat(item.tax_rate))));
+    taxRows.push([lineRates.size > 1 ? 'Tax:' : `Tax (${invoiceTaxRate.toFixed(2)}%):`, invoice.tax_amount]);
+  }
+  const extraTaxRowsHeight = (taxRows.length - 1) * 17;
+  const extraBalanceRowsHeight = Math.max(0, balanceRows.length - 2) * 17;
+
+  // Create PDF document with optimized margins
+  const doc = new PDFDocument({ 
+    margin: 40, 
+    size: 'A4',
+    info: {
+      Title: infoTitle,
+      Author: process.env.APP_NAME || 'Client Management System'
+    }
+  });
+  
+  doc.pipe(output);
+
+  // Template images (a broken image is left out rather than failing the whole PDF)
+  const openTemplateImage = (content, maxWidth, maxHeight) => {
+    if (!content) return null;
+    try {
+      const image = doc.openImage(content);
+      const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+      return { image, width: image.width * scale, height: image.height * scale };
+    } catch (imageErr) {
+      console.warn('Template image for PDF failed:', imageErr.message);
+      return null;
+    }
+  };
+  const logo = openTemplateImage(template.logo, 120, 45);
+  const signature = openTemplateImage(template.signature, 150, 45);
+
+  // Constants for layout (A4 = 595.28 x 841.89 pts; keep all content within contentWidth)
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+  const margin = 40;
+  const contentWidth = Math.min(pageWidth - (margin * 2), 515); // cap so table/summary never overflow
+  const maxContentHeight = pageHeight - (margin * 2);
+  
+  // Table column layout - must fit within contentWidth (515); GST invoices narrow the description for HSN/SAC and rate
+  const colLayout = isGstInvoice ? {
+    item: { x: margin + 5, width: 72 },
+    hsn: { x: margin + 82, width: 45 },
+    desc: { x: margin + 132, width: 135 },
+    rate: { x: margin + 272, width: 38 },
+    qty: { x: margin + 315, width: 32 },
+    unit: { x: margin + 352, width: 78 },
+    total: { x: margin + 435, width: 78 }
+  } : {
+    item: { x: margin + 5, width: 72 },
+    desc: { x: margin + 82, width: 228 },
+    qty: { x: margin + 315, width: 32 },
+    unit: { x: margin + 352, width: 78 },
+    total: { x: margin + 435, width: 78 }
+  };
+
+  // Calculate available space for items (reserve space for header, from/to, summary, status badge, payment method, footer)
+  const headerHeight = 85;
+  const fromToHeight = 110;
+  const summaryHeight = 180 + extraTaxRowsHeight + extraBalanceRowsHeight;
+  const paymentMethodHeight = 20;
+  const footerHeight = 60;
+  const tableHeaderHeight = 28;
+  const itemRowMinHeight = 28;
+  const availableHeightForItems = maxContentHeight - headerHeight - fromToHeight - summaryHeight - paymentMethodHeight - footerHeight - tableHeaderHeight;
+  const maxItemsPerPage = Math.max(1, Math.floor(availableHeightForItems / (itemRowMinHeight + 12))); // assume some rows may be taller for wrapped desc
+
+  // Helper function to add header to each page
+  const addPageHeader = (pageNum = 1) => {
+    // Top border line
+    doc.strokeColor('#E5E7EB').lineWidth(1);
+    doc.moveTo(margin, margin).lineTo(pageWidth - margin, margin).stroke();
+    
+    // Logo, then the title beside it
+    let titleX = margin;
+    if (logo) {
+      doc.image(logo.image, margin, margin + 8, { width: logo.width, height: logo.height });
+      titleX += logo.width + 12;
+    }
+    doc.fontSize(28).font('Helvetica-Bold').fillColor('#111827');
+    doc.text(title, titleX, margin + 10);
+    
+    // Document details (right aligned, within content width)
+    doc.fontSize(10).font('Helvetica').fillColor('#6B7280');
+    const contentRight = margin + contentWidth;
+    const headerBlockWidth = 200;
+    const detailLines = placeOfSupplyName ? [...headerLines, `Place of Supply: ${placeOfSupplyName}`] : headerLines;
+    detailLines.forEach((line, index) => {
+      doc.text(line, contentRight, margin + 15 + (index * 15), { width: headerBlockWidth, align: 'right' });
+    });
+  };
+
+  // Helper function to add from/to section (uses workspace; when configured, uses invoice From details)
+  const addFromToSection = (startY) => {
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica-Bold');
+    doc.text('FROM:', margin, startY);
+    doc.fontSize(12).fillColor('#111827').font('Helvetica-Bold');
+    doc.text(fromName, margin, startY + 14);
+    let fromY = startY + 28;
+    if (fromSubtext) {
+      doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+      doc.text(fromSubtext, margin, fromY);
+      fromY += 14;
+    }
+    if (fromEmail || fromPhone || fromAddress) {
+      doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+      if (fromEmail) {
+        doc.text(fromEmail, margin, fromY);
+        fromY += 14;
+      }
+      if (fromPhone) {
+        doc.text(fromPhone, margin, fromY);
+        fromY += 14;
+      }
+      if (fromAddress) {
+        const addrLines = doc.heightOfString(fromAddress, { width: 200 });
+        doc.text(fromAddress, margin, fromY, { width: 200 });
+        fromY += Math.max(14, addrLines);
+      }
+    }
+    if (gstSettings && gstSettings.gstin) {
+      doc.fontSize(9).fillColor('#374151').font('Helvetica-Bold');
+      doc.text(`GSTIN: ${gstSettings.gstin}`, margin, fromY);
+    }
+    
+    // To section (within content width)
+    const toX = margin + 280;
+    const toBlockWidth = Math.max(200, (margin + contentWidth) - toX - 5);
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica-Bold');
+    doc.text(toLabel, toX, startY);
+    doc.fontSize(12).fillColor('#111827').font('Helvetica-Bold');
+    doc.text((invoice.client_name || '').toString(), toX, startY + 14, { width: toBlockWidth, ellipsis: true });
+
+    let toY = startY + 28;
+    if (invoice.client_company) {
+      doc.fontSize(10).fillColor('#374151').font('Helvetica');
+      doc.text(invoice.client_company.toString(), toX, toY, { width: toBlockWidth, ellipsis: true });
+      toY += 14;
+    }
+    if (invoice.client_address) {
+      doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+      const addressLines = doc.heightOfString(invoice.client_address.toString(), { width: toBlockWidth });
+      doc.text(invoice.client_address.toString(), toX, toY, { width: toBlockWidth });
+      toY += Math.max(12, addressLines);
+    }
+    if (invoice.client_city || invoice.client_state || invoice.client_postal_code) {
+      const cityState = [invoice.client_city, invoice.client_state, invoice.client_postal_code].filter(Boolean).join(', ');
+      doc.text(cityState, toX, toY, { width: toBlockWidth, ellipsis: true });
+      toY += 12;
+    }
+    if (invoice.client_email) {
+      doc.text(`Email: ${invoice.client_email}`, toX, toY, { width: toBlockWidth, ellipsis: true });
+      toY += 12;
+    }
+    if (invoice.client_phone) {
+      doc.text(`Phone: ${invoice.client_phone}`, toX, toY, { width: toBlockWidth, ellipsis: true });
+      toY += 12;
+    }
+    if (isGstInvoice && invoice.client_gst_number) {
+      doc.fontSize(9).fillColor('#374151').font('Helvetica-Bold');
+      doc.text(`GSTIN: ${invoice.client_gst_number}`, toX, toY, { width: toBlockWidth, ellipsis: true });
+    }
+  };
+
+  // Helper function to add table header
+  const addTableHeader = (y) => {
+    const tableLeft = margin;
+    const headerHeight = 28;
+
+    doc.rect(tableLeft, y, contentWidth, headerHeight).fill(accentColor);
+    doc.fontSize(10).fillColor('#FFFFFF').font('Helvetica-Bold');
+    doc.text('Item', colLayout.item.x, y + 9, { width: colLayout.item.width });
+    if (isGstInvoice) {
+      doc.text('HSN/SAC', colLayout.hsn.x, y + 9, { width: colLayout.hsn.width });
+      doc.text('GST %', colLayout.rate.x, y + 9, { width: colLayout.rate.width, align: 'right' });
+    }
+    doc.text('Description', colLayout.desc.x, y + 9, { width: colLayout.desc.width });
+    doc.text('Qty', colLayout.qty.x, y + 9, { width: colLayout.qty.width, align: 'right' });
+    doc.text('Unit Price', colLayout.unit.x, y + 9, { width: colLayout.unit.width, align: 'right' });
+    doc.text('Total', colLayout.total.x, y + 9, { width: colLayout.total.width, align: 'right' });
+  };
+
+  // Helper function to add summary section (all content within contentWidth)
+  const addSummarySection = (y) => {
+    const summaryWidth = Math.min(200, contentWidth - 20);
+    const summaryRight = margin + contentWidth;
+    const summaryLeft = summaryRight - summaryWidth;
+    const labelWidth = 85;
+    const valueWidth = 105;
+
+    const subtotal = parseFloat(invoice.subtotal) || 0;
+    const totalAmount = parseFloat(invoice.total_amount) || 0;
+    const o = extraTaxRowsHeight;
+
+    const boxHeight = 140 + o + extraBalanceRowsHeight;
+    doc.strokeColor('#E5E7EB').lineWidth(1);
+    doc.rect(summaryLeft, y - 10, summaryWidth, boxHeight).stroke();
+    doc.fillColor('#FAFBFC');
+    doc.rect(summaryLeft, y - 10, summaryWidth, boxHeight).fill();
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#111827');
+    doc.text('Summary', summaryLeft + 5, y - 5);
+
+    doc.strokeColor('#E5E7EB').lineWidth(0.5);
+    doc.moveTo(summaryLeft, y + 8).lineTo(summaryRight, y + 8).stroke();
+
+    // Value box must end at summaryRight (PDFKit uses x as left edge of box, so x = summaryRight - valueWidth)
+    const valueX = summaryRight - valueWidth;
+
+    doc.fontSize(10).font('Helvetica').fillColor('#111827');
+    doc.text('Subtotal:', summaryLeft + 5, y + 15, { width: labelWidth, align: 'right' });
+    doc.text(formatCurrencyForPdf(subtotal, invoice.currency), valueX, y + 15, { width: valueWidth, align: 'right' });
+
+    taxRows.forEach(([label, amount], index) => {
+      const value = parseFloat(amount) || 0;
+      const formatted = value < 0
+        ? `-${formatCurrencyForPdf(-value, invoice.currency)}`
+        : formatCurrencyForPdf(value, invoice.currency);
+      doc.text(label, summaryLeft + 5, y + 32 + (index * 17), { width: labelWidth, align: 'right' });
+      doc.text(formatted, valueX, y + 32 + (index * 17), { width: valueWidth, align: 'right' });
+    });
+
+    doc.strokeColor('#E5E7EB').lineWidth(0.5);
+    doc.moveTo(summaryLeft, y + 48 + o).lineTo(summaryRight, y + 48 + o).stroke();
+
+    doc.fontSize(13).font('Helvetica-Bold').fillColor('#111827');
+    doc.text('Total:', summaryLeft + 5, y + 55 + o, { width: labelWidth, align: 'right' });
+    doc.text(formatCurrencyForPdf(totalAmount, invoice.currency), valueX, y + 55 + o, { width: valueWidth, align: 'right' });
+
+    balanceRows.forEach((row, index) => {
+      const rowY = y + 75 + o + (index * 17);
+      doc.fontSize(10).font(row.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(row.color || '#111827');
+      doc.text(row.label, summaryLeft + 5, rowY, { width: labelWidth, align: 'right' });
+      doc.text(formatCurrencyForPdf(row.amount, invoice.currency), valueX, rowY, { width: valueWidth, align: 'right' });
+    });
+
+    const statusY = y + 118 + o + extraBalanceRowsHeight;
+    const statusColors = {
+      'draft': '#9CA3AF',
+      'sent': '#3B82F6',
+      'paid': '#10B981',
+      'partial': '#F59E0B',
+      'overdue': '#EF4444',
+      'issued': '#3B82F6',
+      'cancelled': '#6B7280',
+      'accepted': '#10B981',
+      'declined': '#EF4444',
+      'expired': '#F59E0B'
+    };
+    const statusColor = statusColors[invoice.status] || '#6B7280';
+    const statusText = invoice.status ? invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1) : 'Draft';
+    const badgeWidth = Math.min(90, summaryWidth - 10);
+    const statusX = summaryRight - badgeWidth - 5;
+
+    doc.roundedRect(statusX, statusY, badgeWidth, 18, 4).fill(statusColor);
+    doc.fontSize(9).fillColor('#FFFFFF').font('Helvetica-Bold');
+    doc.text(statusText, statusX + 4, statusY + 5, { width: badgeWidth - 8, align: 'center' });
+  };
+
+  // Helper function to add the GST breakdown table (taxable value and tax per HSN/SAC code and rate)
+  const addTaxBreakdownTable = (x, y, width) => {
+    const isIntraState = invoice.supply_type === 'intra_state';
+    const columns = isIntraState
+      ? [['HSN/SAC', 0.17], ['Taxable Value', 0.24], ['Rate', 0.11], ['CGST', 0.24], ['SGST', 0.24]]
+      : [['HSN/SAC', 0.2], ['Taxable Value', 0.3], ['Rate', 0.14], ['IGST', 0.36]];
+    let colX = x;
+    const cols = columns.map(([label, share]) => {
+      const col = { label, x: colX, width: Math.floor(width * share) };
+      colX += col.width;
+      return col;
+    });
+    const rowHeight = 14;
+    const cellText = (text, col, rowY, options = {}) => {
+      doc.text(text, col.x + 3, rowY + 4, { width: col.width - 6, align: col === cols[0] ? 'left' : 'right', ...options });
+    };
+    const rowValues = (row) => [
+      row.hsn_sac || '-',
+      formatCurrencyForPdf(row.taxable_value, invoice.currency),
+      `${Number(row.tax_rate).toFixed(2).replace(/\.?0+$/, '')}%`,
+      ...(isIntraState
+        ? [formatCurrencyForPdf(row.cgst_amount, invoice.currency), formatCurrencyForPdf(row.sgst_amount, invoice.currency)]
+        : [formatCurrencyForPdf(row.igst_amount, invoice.currency)])
+    ];
+
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#111827');
+    doc.text('GST Breakdown', x, y - 5);
+    let rowY = y + 10;
+    doc.rect(x, rowY, width, rowHeight + 2).fill('#EEF2FF');
+    doc.fontSize(7.5).font('Helvetica-Bold').fillColor('#374151');
+    cols.forEach((col) => cellText(col.label, col, rowY));
+    rowY += rowHeight + 2;
+
+    doc.font('Helvetica').fillColor('#111827');
+    taxSummary.forEach((row) => {
+      rowValues(row).forEach((value, index) => cellText(value, cols[index], rowY, { ellipsis: true }));
+      rowY += rowHeight;
+    });
+
+    const totals = {
+      hsn_sac: 'Total',
+      taxable_value: taxSummary.reduce((sum, row) => sum + row.taxable_value, 0),
+      tax_rate: 0,
+      cgst_amount: invoice.cgst_amount,
+      sgst_amount: invoice.sgst_amount,
+      igst_amount: invoice.igst_amount
+    };
+    doc.strokeColor('#E5E7EB').lineWidth(0.5);
+    doc.moveTo(x, rowY).lineTo(x + width, rowY).stroke();
+    doc.font('Helvetica-Bold');
+    rowValues(totals).forEach((value, index) => {
+      if (index !== 2) cellText(value, cols[index], rowY, { ellipsis: true });
+    });
+    return rowY + rowHeight - y;
+  };
+  // Rows that fit beside the summary box; longer breakdowns get a page of their own
+  const maxInlineTaxRows = Math.floor((140 + extraTaxRowsHeight - 44) / 14);
+  const taxTableOnOwnPage = isGstInvoice && taxSummary.length > maxInlineTaxRows;
+
+  // Helper function to add payment method section
+  const addPaymentMethodSection = (y) => {
+    if (!payments || payments.length === 0) {
+      return;
+    }
+    
+    // Get unique payment methods
+    const paymentMethods = [...new Set(payments.map(p => p.payment_method).filter(Boolean))];
+    
+    if (paymentMethods.length === 0) {
+      return;
+    }
+    
+    doc.fontSize(9).fillColor('#374151').font('Helvetica-Bold');
+    doc.text('Payment Type:', margin, y);
+    doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+    doc.text(paymentMethods.join(', '), margin + 80, y);
+  };
+
+  // Helper function to add footer (uses workspace when available)
+  const addFooter = (pageNum, totalPages) => {
+    const footerY = pageHeight - margin - 50;
+    
+    // Footer divider line
+    doc.strokeColor('#E5E7EB').lineWidth(0.5);
+    doc.moveTo(margin, footerY - 15).lineTo(pageWidth - margin, footerY - 15).stroke();
+    
+    // Copyright and contact info – workspace name when available
+    doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+    const copyrightText = `© ${new Date().getFullYear()} ${footerBrand}. All rights reserved.`;
+    doc.text(copyrightText, margin, footerY - 10, { width: contentWidth, align: 'center' });
+    
+    // The template's footer text (e.g. registered office, website) replaces the default contact line
+    doc.fontSize(7).fillColor('#9CA3AF').font('Helvetica');
+    const contactText = template.footer_text || 'For any queries, please contact your workspace administrator.';
+    doc.text(contactText, margin, footerY, { width: contentWidth, align: 'center', height: 10, ellipsis: true });
+    
+    // Generation info
+    const genY = footerY + 12;
+    doc.fontSize(7).fillColor('#9CA3AF').font('Helvetica');
+    const footerText = `Generated on ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}${totalPages > 1 ? ` | Page ${pageNum} of ${totalPages}` : ''}`;
+    doc.text(footerText, margin, genY, { width: contentWidth, align: 'center' });
+  };
+
+  // Blocks under the totals in the template's order: notes, terms and bank details (heading and wrapped text),
+  // and the signature image with its label
+  const closingSections = template.field_order.map((key) => {
+    if (key === 'notes' && notes) return { label: 'Notes', text: String(notes) };
+    if (key === 'terms' && terms) return { label: 'Terms & Conditions', text: String(terms) };
+    if (key === 'bank_details' && bankDetails) return { label: 'Payment Details', text: String(bankDetails) };
+    if (key === 'signature' && signature) return { label: 'Signature', image: signature };
+    return null;
+  }).filter(Boolean);
+  const getClosingSectionHeight = (section, width) => {
+    if (section.image) return 14 + section.image.height + 18 + 10;
+    doc.fontSize(8).font('Helvetica');
+    return 12 + Math.ceil(doc.heightOfString(section.text, { width })) + 10;
+  };
+  const addClosingSections = (y, width) => {
+    let sectionY = y;
+    closingSections.forEach((section) => {
+      if (section.image) {
+        doc.fontSize(9).fillColor('#111827').font('Helvetica-Bold');
+        doc.text(`For ${fromName}`, margin, sectionY, { width });
+        doc.image(section.image.image, margin, sectionY + 14, { width: section.image.width, height: section.image.height });
+        const lineY = sectionY + 14 + section.image.height + 4;
+        doc.strokeColor('#D1D5DB').lineWidth(0.5);
+        doc.moveTo(margin, lineY).lineTo(margin + 150, lineY).stroke();
+        doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+        doc.text(template.signature_label || 'Authorised Signatory', margin, lineY + 4, { width: 150 });
+      } else {
+        doc.fontSize(9).fillColor('#111827').font('Helvetica-Bold');
+        doc.text(`${section.label}:`, margin, sectionY);
+        doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+        doc.text(section.text, margin, sectionY + 12, { width });
+      }
+      sectionY += getClosingSectionHeight(section, width);
+    });
+  };
+
+  const getItemRowHeight = (item) => {
+    doc.fontSize(8);
+    const descHeight = Math.ceil(doc.heightOfString((item.description || 'N/A').toString(), { width: colLayout.desc.width }));
+    return Math.max(itemRowMinHeight, descHeight + 14);
+  };
+
+  // Positions under the item table on the last page of items: summary, payment type, pay link, then the closing blocks
+  const getClosingLayout = (itemsEndY) => {
+    const summaryY = Math.min(itemsEndY + 15, pageHeight - margin - summaryHeight - paymentMethodHeight - footerHeight - 10);
+    const paymentMethodY = summaryY + summaryHeight;
+    const payLinkY = paymentMethodY + (payments && payments.length > 0 ? 14 : 0);
+    const showPayLink = Boolean(payUrl) && payLinkY + 14 < pageHeight - margin - footerHeight;
+    return { summaryY, paymentMethodY, payLinkY, showPayLink, closingY: showPayLink ? payLinkY + 25 : paymentMethodY + 25 };
+  };
+
+  // Calculate pagination
+  const totalItems = items && items.length > 0 ? items.length : 1;
+  const itemPages = Math.max(1, Math.ceil(totalItems / maxItemsPerPage));
+  const fromToY = margin + 85;
+  const tableHeaderY = fromToY + 110;
+
+  // Closing blocks that do not fit under the summary get a page of their own
+  const lastPageItems = items && items.length > 0 ? items.slice((itemPages - 1) * maxItemsPerPage) : [];
+  const lastPageItemsHeight = lastPageItems.length > 0
+    ? lastPageItems.reduce((sum, item) => sum + getItemRowHeight(item), 0)
+    : itemRowMinHeight;
+  const closingWidth = contentWidth - 100;
+  const closingHeight = closingSections.reduce((sum, section) => sum + getClosingSectionHeight(section, closingWidth), 0);
+  const closingOnOwnPage = closingSections.length > 0 &&
+    getClosingLayout(tableHeaderY + 28 + lastPageItemsHeight).closingY + closingHeight > pageHeight - margin - footerHeight;
+
+  const totalPages = itemPages + (closingOnOwnPage ? 1 : 0) + (taxTableOnOwnPage ? 1 : 0);
+
+  // Generate pages
+  for (let pageNum = 1; pageNum <= itemPages; pageNum++) {
+    if (pageNum > 1) {
+      doc.addPage();
+    }
+
+    // Add header
+    addPageHeader(pageNum);
+
+    // Add from/to section
+    addFromToSection(fromToY);
+
+    // Calculate items for this page
+    const startIndex = (pageNum - 1) * maxItemsPerPage;
+    const endIndex = Math.min(startIndex + maxItemsPerPage, totalItems);
+    const pageItems = items && items.length > 0 ? items.slice(startIndex, endIndex) : [];
+
+    // Add table header
+    addTableHeader(tableHeaderY);
+
+    // Add items (columns and description wrap within contentWidth)
+    let currentY = tableHeaderY + 28;
+    const tableLeft = margin;
+
+    if (pageItems.length > 0) {
+      pageItems.forEach((item, index) => {
+        const descText = (item.description || 'N/A').toString();
+        const rowHeight = getItemRowHeight(item);
+
+        if (currentY + rowHeight > pageHeight - margin - summaryHeight - paymentMethodHeight - footerHeight && pageNum < itemPages) {
+          return;
+        }
+
+        const bgColor = (startIndex + index) % 2 === 0 ? '#F9FAFB' : '#FFFFFF';
+        doc.rect(tableLeft, currentY, contentWidth, rowHeight).fill(bgColor);
+
+        doc.fontSize(9).fillColor('#111827').font('Helvetica');
+        doc.text((item.item_name || 'N/A').toString(), colLayout.item.x, currentY + 8, { width: colLayout.item.width, ellipsis: true });
+
+        doc.fillColor('#6B7280').fontSize(8);
+        doc.text(descText, colLayout.desc.x, currentY + 8, { width: colLayout.desc.width });
+
+        if (isGstInvoice) {
+          const lineRate = item.tax_rate == null ? parseFloat(invoice.tax_rate) || 0 : parseFloat(item.tax_rate);
+          doc.fillColor('#111827').fontSize(8);
+          doc.text(item.hsn_sac || '-', colLayout.hsn.x, currentY + 8, { width: colLayout.hsn.width });
+          doc.text(`${lineRate.toFixed(2).replace(/\.?0+$/, '')}%`, colLayout.rate.x, currentY + 8, { width: colLayout.rate.width, align: 'right' });
+        }
+
+        doc.fillColor('#111827').fontSize(9);
+        doc.text(formatQuantity(item.quantity), colLayout.qty.x, currentY + 8, { width: colLayout.qty.width, align: 'right' });
+        doc.text(formatCurrencyForPdf(item.unit_price || 0, invoice.currency), colLayout.unit.x, currentY + 8, { width: colLayout.unit.width, align: 'right' });
+        doc.font('Helvetica-Bold');
+        doc.text(formatCurrencyForPdf(item.total_price || 0, invoice.currency), colLayout.total.x, currentY + 8, { width: colLayout.total.width, align: 'right' });
+
+        // Unit under the quantity, line discount under the (discounted) total
+        doc.font('Helvetica').fillColor('#6B7280').fontSize(7);
+        if (item.unit) {
+          doc.text(String(item.unit), colLayout.qty.x - 8, currentY + 19, { width: colLayout.qty.width + 8, align: 'right', ellipsis: true });
+        }
+        if (parseFloat(item.discount_amount) > 0) {
+          const lineDiscount = item.discount_type === 'percentage'
+            ? `${formatQuantity(item.discount_value)}%`
+            : formatCurrencyForPdf(item.discount_amount, invoice.currency);
+          doc.text(`after ${lineDiscount} off`, colLayout.total.x, currentY + 19, { width: colLayout.total.width, align: 'right' });
+        }
+
+        currentY += rowHeight;
+      });
+    } else {
+      doc.rect(tableLeft, currentY, contentWidth, itemRowMinHeight).fill('#F9FAFB');
+      doc.fontSize(9).fillColor('#6B7280').font('Helvetica');
+      doc.text('No items', colLayout.item.x, currentY + 9);
+      currentY += itemRowMinHeight;
+    }
+
+    // Add summary section (only on last page)
+    if (pageNum === itemPages) {
+      // Ensure summary is positioned correctly
+      const { summaryY, paymentMethodY, payLinkY, showPayLink, closingY } = getClosingLayout(currentY);
+
+      addSummarySection(summaryY);
+
+      // GST breakdown beside the summary box (or a pointer to its own page)
+      if (isGstInvoice) {
+        const tableWidth = contentWidth - Math.min(200, contentWidth - 20) - 15;
+        if (taxTableOnOwnPage) {
+          doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+          doc.text('GST breakdown by HSN/SAC is on the last page.', margin, summaryY, { width: tableWidth });
+        } else {
+          addTaxBreakdownTable(margin, summaryY, tableWidth);
+        }
+      }
+
+      // Add payment method section (below status badge)
+      if (paymentMethodY + paymentMethodHeight < pageHeight - margin - footerHeight) {
+        addPaymentMethodSection(paymentMethodY);
+      }
+
+      // Pay online link (below the payment type line, when there is one)
+      if (showPayLink) {
+        doc.fontSize(9).fillColor('#374151').font('Helvetica-Bold');
+        doc.text('Pay online:', margin, payLinkY);
+        doc.fontSize(9).fillColor(accentColor).font('Helvetica');
+        doc.text(payUrl, margin + 80, payLinkY, { width: contentWidth - 80, link: payUrl, underline: true });
+      }
+
+      // Add the closing blocks, or a pointer to their page
+      if (closingOnOwnPage) {
+        doc.fontSize(8).fillColor('#6B7280').font('Helvetica');
+        doc.text(`${closingSections.map((section) => section.label).join(', ')}: see the next page.`, margin, closingY, { width: closingWidth });
+      } else {
+        addClosingSections(closingY, closingWidth);
+      }
+    }
+
+    // Add footer
+    addFooter(pageNum, totalPages);
+  }
+
+  if (closingOnOwnPage) {
+    doc.addPage();
+    addPageHeader(itemPages + 1);
+    addClosingSections(margin + 95, contentWidth);
+    addFooter(itemPages + 1, totalPages);
+  }
+
+  if (taxTableOnOwnPage) {
+    doc.addPage();
+    addPageHeader(totalPages);
+    addTaxBreakdownTable(margin, margin + 95, contentWidth);
+    addFooter(totalPages, totalPages);
+  }
+
+  // Finalize PDF
+  doc.end();
+};
+
+/**
+ * Render an invoice PDF into a writable stream (an HTTP response or a buffer collector)
+ * @param {Object} invoice - Row from loadInvoiceForPdf
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>}
+ */
+const writeInvoicePdf = async (invoice, output) => {
+  // Get invoice items
+  const items = await dbQuery(
+    'SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id',
+    [invoice.id]
+  );
+
+  // Get payments for this invoice
+  const payments = await dbQuery(
+    'SELECT * FROM payments WHERE invoice_id = ? ORDER BY payment_date DESC, created_at DESC',
+    [invoice.id]
+  );
+
+  // Pay link when the invoice can be paid online (a PDF is still produced if the link cannot be created)
+  let payUrl = null;
+  try {
+    payUrl = await getInvoicePaymentUrl(invoice);
+  } catch (payErr) {
+    console.warn('Pay link for PDF failed:', payErr.message);
+  }
+
+  const paidAmount = parseFloat(invoice.paid_amount) || 0;
+  const creditedAmount = parseFloat(invoice.credited_amount) || 0;
+  const outstanding = Math.max(0, getInvoiceBalance(invoice));
+  const balanceRows = [{ label: 'Paid:', amount: paidAmount }];
+  if (creditedAmount > 0) balanceRows.push({ label: 'Credited:', amount: creditedAmount });
+  balanceRows.push({ label: 'Outstanding:', amount: outstanding, bold: true, color: outstanding > 0 ? '#DC2626' : '#10B981' });
+
+  await writeDocumentPdf(invoice, output, {
+    documentType: 'invoice',
+    title: invoice.supply_type ? 'TAX INVOICE' : 'INVOICE',
+    infoTitle: `Invoice ${invoice.invoice_number}`,
+    headerLines: [
+      `Invoice #: ${invoice.invoice_number}`,
+      `Date: ${formatPdfDate(invoice.invoice_date)}`,
+      `Due Date: ${formatPdfDate(invoice.due_date)}`,
+    ],
+    toLabel: 'BILL TO:',
+    items,
+    payments,
+    payUrl,
+    balanceRows,
+    notes: invoice.notes,
+  });
+};
+
+/**
+ * Render a credit note PDF into a writable stream
+ * @param {Object} creditNote - Row from loadCreditNoteForPdf
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>}
+ */
+const writeCreditNotePdf = async (creditNote, output) => {
+  const items = await dbQuery(
+    'SELECT * FROM credit_note_items WHERE credit_note_id = ? ORDER BY id',
+    [creditNote.id]
+  );
+
+  await writeDocumentPdf(creditNote, output, {
+    documentType: 'credit_note',
+    title: 'CREDIT NOTE',
+    infoTitle: `Credit Note ${creditNote.credit_note_number}`,
+    headerLines: [
+      `Credit Note #: ${creditNote.credit_note_number}`,
+      `Date: ${formatPdfDate(creditNote.credit_date)}`,
+      `Against Invoice: ${creditNote.invoice_number}`,
+    ],
+    toLabel: 'CREDIT TO:',
+    items,
+    taxItems: getCreditNoteTaxItems(items),
+    notes: [creditNote.reason && `Reason: ${creditNote.reason}`, creditNote.notes].filter(Boolean).join('\n\n') || null,
+  });
+};
+
+/**
+ * Render a quotation PDF into a writable stream
+ * @param {Object} quotation - Row from loadQuotationForPdf
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>}
+ */
+const writeQuotationPdf = async (quotation, output) => {
+  const items = await dbQuery(
+    'SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY id',
+    [quotation.id]
+  );
+
+  await writeDocumentPdf(quotation, output, {
+    documentType: 'quotation',
+    title: 'QUOTATION',
+    infoTitle: `Quotation ${quotation.quote_number}`,
+    headerLines: [
+      `Quote #: ${quotation.quote_number}`,
+      `Date: ${formatPdfDate(quotation.quote_date)}`,
+      quotation.valid_till_date && `Valid Until: ${formatPdfDate(quotation.valid_till_date)}`,
+      quotation.revision_number > 1 && `Revision: ${quotation.revision_number}`,
+    ].filter(Boolean),
+    toLabel: 'QUOTE FOR:',
+    items,
+    notes: quotation.notes,
+    terms: quotation.terms_conditions,
+  });
+};
+
+/**
+ * Render a sample invoice or quotation with a template that has not been saved yet (settings live preview)
+ * @param {Object} options
+ * @param {number} options.workspaceId - For the From block and the currency
+ * @param {'invoice'|'quotation'} options.documentType
+ * @param {Object} options.template - Settings with the saved images (getDocumentTemplate merged with the form)
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>}
+ */
+const writeTemplatePreviewPdf = async ({ workspaceId, documentType, template }, output) => {
+  const today = new Date();
+  const validUntil = new Date(today);
+  validUntil.setDate(validUntil.getDate() + 30);
+  const items = [
+    { item_name: 'Website design', description: 'Home page and five inner pages', quantity: 1, unit_price: 1200, total_price: 1200 },
+    { item_name: 'Development', description: 'Front end and content management setup', quantity: 40, unit: 'hours', unit_price: 45, total_price: 1800 },
+    { item_name: 'Hosting', description: 'Annual hosting and maintenance', quantity: 1, unit_price: 300, total_price: 300 },
+  ];
+  const sample = {
+    workspace_id: workspaceId,
+    status: 'sent',
+    currency: await getBaseCurrency(workspaceId),
+    client_name: 'Sample Client',
+    client_company: 'Sample Client Pvt Ltd',
+    client_address: '12 Market Street',
+    client_city: 'Pune',
+    client_state: 'Maharashtra',
+    client_postal_code: '411001',
+    client_email: 'accounts@example.com',
+    subtotal: 3300,
+    tax_rate: 18,
+    tax_amount: 594,
+    total_amount: 3894,
+  };
+  const isQuotation = documentType === 'quotation';
+
+  await writeDocumentPdf(sample, output, {
+    documentType: isQuotation ? 'quotation' : 'invoice',
+    title: isQuotation ? 'QUOTATION' : 'INVOICE',
+    infoTitle: 'Template preview',
+    headerLines: isQuotation
+      ? ['Quote #: QT-SAMPLE', `Date: ${formatPdfDate(today)}`, `Valid Until: ${formatPdfDate(validUntil)}`]
+      : ['Invoice #: INV-SAMPLE', `Date: ${formatPdfDate(today)}`, `Due Date: ${formatPdfDate(validUntil)}`],
+    toLabel: isQuotation ? 'QUOTE FOR:' : 'BILL TO:',
+    items,
+    balanceRows: isQuotation ? [] : [
+      { label: 'Paid:', amount: 0 },
+      { label: 'Outstanding:', amount: sample.total_amount, bold: true, color: '#DC2626' },
+    ],
+    notes: 'Thank you for your business.',
+    terms: isQuotation ? '50% advance on acceptance, balance on delivery. Prices exclude third-party licences.' : null,
+    template,
+  });
+};
+
+// Collect what a write*Pdf function streams into a Buffer
+const renderPdfBuffer = (writePdf, document) => new Promise((resolve, reject) => {
+  const chunks = [];
+  const collector = new PassThrough();
+  collector.on('data', (chunk) => chunks.push(chunk));
+  collector.on('end', () => resolve(Buffer.concat(chunks)));
+  collector.on('error', reject);
+  writePdf(document, collector).catch(reject);
+});
+
+/**
+ * Render an invoice PDF into a Buffer (email attachments)
+ * @param {Object} invoice - Row from loadInvoiceForPdf
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) => renderPdfBuffer(writeInvoicePdf, invoice);
+
+/**
+ * Render a quotation PDF into a Buffer (email attachments)
+ * @param {Object} quotation - Row from loadQuotationForPdf
+ * @returns {Promise<Buffer>}
+ */
+const renderQuotationPdf = (quotation) => renderPdfBuffer(writeQuotationPdf, quotation);
+
+module.exports = {
+  loadInvoiceForPdf,
+  loadCreditNoteForPdf,
+  loadQuotationForPdf,
+  writeInvoicePdf,
+  writeCreditNotePdf,
+  writeQuotationPdf,
+  writeTemplatePreviewPdf,
+  renderInvoicePdf,
+  renderQuotationPdf,
+  formatCurrencyForPdf,
+};
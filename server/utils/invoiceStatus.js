@@ -0,0 +1,81 @@
+const { query: dbQuery } = require('../config/database');
+const { notifyInvoiceOverdue } = require('./notificationService');
+
+// Invoice status after a payment, credit note, refund or edit: used by the invoice routes, online payments
+// (paymentGateway.js) and credit notes (creditNotes.js)
+
+/**
+ * Amount still owed on an invoice: total - paid - credited (credit notes, migration 024).
+ * Negative when credit notes or payments exceed the total, i.e. credit owed to the client.
+ * @param {{ total_amount, paid_amount, credited_amount? }} invoice
+ * @returns {number}
+ */
+const getInvoiceBalance = (invoice) => Math.round((
+  (parseFloat(invoice.total_amount) || 0)
+  - (parseFloat(invoice.paid_amount) || 0)
+  - (parseFloat(invoice.credited_amount) || 0)
+) * 100) / 100;
+
+/**
+ * Set an invoice's status from its paid and credited amounts and due date (paid, partial, overdue, sent; drafts stay drafts)
+ * and notify the creator when it becomes overdue. Cancelled invoices are left alone.
+ * @param {number} invoiceId
+ * @param {string|null} [previousStatus] - Status before the current request changed it (so a manual switch to 'overdue' still notifies)
+ */
+const updateInvoiceStatus = async (invoiceId, previousStatus = null) => {
+  // SELECT *: credited_amount only exists once migration 024 is applied
+  const invoice = await dbQuery('SELECT * FROM invoices WHERE id = ?', [invoiceId]);
+  
+  if (invoice.length === 0) return;
+  
+  const { due_date, status: currentStatus } = invoice[0];
+  const balance = getInvoiceBalance(invoice[0]);
+  const settled = (parseFloat(invoice[0].paid_amount) || 0) + (parseFloat(invoice[0].credited_amount) || 0);
+  const dueDate = new Date(due_date);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  dueDate.setHours(0, 0, 0, 0);
+  
+  let newStatus = currentStatus || 'draft';
+  
+  // Don't change status if invoice is cancelled
+  if (currentStatus === 'cancelled') {
+    return;
+  }
+  
+  // Determine status based on payment and due date (credit notes count as settled)
+  if (balance <= 0) {
+    // Fully paid or credited
+    newStatus = 'paid';
+  } else if (settled > 0) {
+    // Partially paid
+    if (today > dueDate) {
+      newStatus = 'overdue'; // Overdue but partially paid
+    } else {
+      newStatus = 'partial';
+    }
+  } else {
+    // Not paid yet
+    if (today > dueDate) {
+      newStatus = 'overdue';
+    } else if (currentStatus === 'draft') {
+      newStatus = 'draft'; // Keep as draft if it was draft
+    } else {
+      newStatus = 'sent'; // Otherwise mark as sent
+    }
+  }
+  
+  await dbQuery(
+    'UPDATE invoices SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [newStatus, invoiceId]
+  );
+
+  if (newStatus === 'overdue' && (previousStatus || currentStatus) !== 'overdue') {
+    await notifyInvoiceOverdue(invoice[0]);
+  }
+};
+
+module.exports = {
+  getInvoiceBalance,
+  updateInvoiceStatus,
+};
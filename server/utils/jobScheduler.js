@@ -0,0 +1,235 @@
+const os = require('os');
+const { query } = require('../config/database');
+
+/**
+ * In-process job scheduler with persisted state (scheduled_jobs) and run history (scheduled_job_runs).
+ * Every instance checks once a minute; a due job runs on the instance that takes its lock, so it never runs twice
+ * at the same time. A lock expires after lockMinutes, so a crashed instance does not block a job forever.
+ * Schedules: { everyMinutes: n } or { dailyAt: 'HH:MM' } (server local time).
+ */
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`.substring(0, 100);
+const TICK_INTERVAL_MS = 60 * 1000;
+const FIRST_TICK_DELAY_MS = 30 * 1000;
+const DEFAULT_LOCK_MINUTES = 30;
+
+const jobs = new Map();
+
+/**
+ * Register a job (see scheduledJobs.js)
+ * @param {Object} job
+ * @param {string} job.key - Unique key, stored in scheduled_jobs.job_key
+ * @param {string} job.name
+ * @param {string} job.description
+ * @param {{ everyMinutes?: number, dailyAt?: string }} job.schedule
+ * @param {Function} job.handler - async () => summary object (stored with the run)
+ * @param {boolean} [job.enabled=true] - false when turned off by environment variable
+ * @param {number} [job.lockMinutes=30] - Longest expected run
+ */
+const registerJob = (job) => {
+  jobs.set(job.key, { enabled: true, lockMinutes: DEFAULT_LOCK_MINUTES, ...job });
+};
+
+const getJob = (key) => jobs.get(key) || null;
+
+/**
+ * Next run time of a schedule after `from`
+ */
+const computeNextRunAt = (schedule, from = new Date()) => {
+  if (schedule.everyMinutes) {
+    return new Date(from.getTime() + schedule.everyMinutes * 60 * 1000);
+  }
+  const [hours, minutes] = String(schedule.dailyAt || '00:00').split(':').map((part) => parseInt(part, 10) || 0);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+const describeSchedule = (schedule) => (schedule.everyMinutes
+  ? `Every ${schedule.everyMinutes} minute${schedule.everyMinutes === 1 ? '' : 's'}`
+  : `Daily at ${schedule.dailyAt}`);
+
+let jobRowsReady = false;
+
+// Create the state row of every registered job (interval jobs are due straight away, daily jobs at their time)
+const ensureJobRows = async () => {
+  if (jobRowsReady) return;
+  const now = new Date();
+  for (const job of jobs.values()) {
+    await query(
+      'INSERT IGNORE INTO scheduled_jobs (job_key, next_run_at) VALUES (?, ?)',
+      [job.key, job.schedule.everyMinutes ? now : computeNextRunAt(job.schedule, now)]
+    );
+  }
+  jobRowsReady = true;
+};
+
+// Take the job's lock; scheduled runs also require the job to be enabled and due
+const acquireLock = async (job, { dueOnly, now }) => {
+  const lockedUntil = new Date(now.getTime() + job.lockMinutes * 60 * 1000);
+  const result = await query(
+    `UPDATE scheduled_jobs SET locked_by = ?, locked_until = ?
+     WHERE job_key = ? AND (locked_until IS NULL OR locked_until < ?)
+     ${dueOnly ? 'AND enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?' : ''}`,
+    dueOnly ? [INSTANCE_ID, lockedUntil, job.key, now, now] : [INSTANCE_ID, lockedUntil, job.key, now]
+  );
+  return result.affectedRows === 1;
+};
+
+/**
+ * Run a job now if its lock is free. Scheduled runs (the default) are skipped unless the job is enabled and due.
+ * @param {string} key
+ * @param {Object} [options]
+ * @param {'schedule'|'manual'} [options.triggeredBy='schedule']
+ * @param {number|null} [options.userId] - User who started a manual run
+ * @returns {Promise<{ status: 'success'|'failed'|'skipped', runId?: number, result?: Object, error?: string }>}
+ */
+const runJob = async (key, { triggeredBy = 'schedule', userId = null } = {}) => {
+  const job = getJob(key);
+  if (!job) throw new Error(`Unknown job: ${key}`);
+  await ensureJobRows();
+
+  const startedAt = new Date();
+  if (!(await acquireLock(job, { dueOnly: triggeredBy === 'schedule', now: startedAt }))) {
+    return { status: 'skipped' };
+  }
+
+  let runId = null;
+  let status = 'success';
+  let result = null;
+  let errorMessage = null;
+  try {
+    // Holding the lock: any run still marked running belongs to an instance that stopped mid-run
+    await query(
+      "UPDATE scheduled_job_runs SET status = 'failed', error_message = 'Interrupted (instance stopped while running)' WHERE job_key = ? AND status = 'running'",
+      [job.key]
+    );
+    const run = await query(
+      `INSERT INTO scheduled_job_runs (job_key, status, triggered_by, triggered_by_user, instance_id, started_at)
+       VALUES (?, 'running', ?, ?, ?, ?)`,
+      [job.key, triggeredBy, userId, INSTANCE_ID, startedAt]
+    );
+    runId = run.insertId || null;
+    result = (await job.handler()) || null;
+  } catch (error) {
+    status = 'failed';
+    errorMessage = String(error.message || error).substring(0, 1000);
+    console.error(`Scheduled job ${job.key} failed:`, error);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - startedAt.getTime();
+  if (runId) {
+    await query(
+      'UPDATE scheduled_job_runs SET status = ?, finished_at = ?, duration_ms = ?, result = ?, error_message = ? WHERE id = ?',
+      [status, finishedAt, durationMs, result ? JSON.stringify(result) : null, errorMessage, runId]
+    );
+  }
+  await query(
+    `UPDATE scheduled_jobs
+     SET last_run_at = ?, last_status = ?, last_duration_ms = ?, next_run_at = ?, locked_by = NULL, locked_until = NULL
+     WHERE job_key = ? AND locked_by = ?`,
+    [startedAt, status, durationMs, computeNextRunAt(job.schedule, finishedAt), job.key, INSTANCE_ID]
+  );
+
+  return status === 'success' ? { status, runId, result } : { status, runId, error: errorMessage };
+};
+
+/**
+ * Registered jobs with their persisted state, for the admin view
+ */
+const getJobStates = async () => {
+  await ensureJobRows();
+  const rows = await query('SELECT * FROM scheduled_jobs');
+  const now = new Date();
+  return [...jobs.values()].map((job) => {
+    const row = rows.find((r) => r.job_key === job.key) || {};
+    return {
+      key: job.key,
+      name: job.name,
+      description: job.description,
+      schedule: describeSchedule(job.schedule),
+      available: job.enabled,
+      enabled: row.enabled === undefined ? true : Boolean(row.enabled),
+      running: Boolean(row.locked_until && new Date(row.locked_until) > now),
+      locked_by: row.locked_by || null,
+      next_run_at: row.next_run_at || null,
+      last_run_at: row.last_run_at || null,
+      last_status: row.last_status || null,
+      last_duration_ms: row.last_duration_ms === undefined ? null : row.last_duration_ms,
+    };
+  });
+};
+
+/**
+ * Pause or resume a job on every instance
+ */
+const setJobEnabled = async (key, enabled) => {
+  const job = getJob(key);
+  if (!job) throw new Error(`Unknown job: ${key}`);
+  await ensureJobRows();
+  await query(
+    'UPDATE scheduled_jobs SET enabled = ?, next_run_at = COALESCE(next_run_at, ?) WHERE job_key = ?',
+    [enabled ? 1 : 0, computeNextRunAt(job.schedule), key]
+  );
+};
+
+let schedulerTimer = null;
+let isTicking = false;
+
+const stopJobScheduler = () => {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+const hasWork = (result) => Boolean(result) && Object.values(result).some((value) => typeof value === 'number' && value > 0);
+
+const runSchedulerTick = async () => {
+  if (isTicking) return;
+  isTicking = true;
+  try {
+    for (const job of jobs.values()) {
+      if (!job.enabled) continue;
+      const outcome = await runJob(job.key);
+      if (outcome.status === 'success' && hasWork(outcome.result)) {
+        console.log(`⏱️  ${job.name}: ${JSON.stringify(outcome.result)}`);
+      }
+    }
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') {
+      console.warn('⚠️  Job scheduler schema missing - run database/migrations/022_scheduled_jobs.sql');
+      stopJobScheduler();
+      return;
+    }
+    console.error('Job scheduler error:', error);
+  } finally {
+    isTicking = false;
+  }
+};
+
+/**
+ * Check for due jobs every minute. Disabled with JOB_SCHEDULER_ENABLED=false
+ * (other instances keep running the jobs; a job is locked while it runs).
+ */
+const startJobScheduler = () => {
+  if (schedulerTimer || process.env.JOB_SCHEDULER_ENABLED === 'false') return false;
+  schedulerTimer = setInterval(runSchedulerTick, TICK_INTERVAL_MS);
+  if (schedulerTimer.unref) schedulerTimer.unref();
+  const firstRun = setTimeout(runSchedulerTick, FIRST_TICK_DELAY_MS);
+  if (firstRun.unref) firstRun.unref();
+  return true;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  registerJob,
+  getJob,
+  computeNextRunAt,
+  describeSchedule,
+  runJob,
+  getJobStates,
+  setJobEnabled,
+  startJobScheduler,
+  stopJobScheduler,
+};
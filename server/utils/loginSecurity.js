@@ -0,0 +1,144 @@
+const { query } = require('../config/database');
+const { getClientIp, getUserAgent } = require('./requestMeta');
+
+/**
+ * Per-account brute-force protection: login attempt log and temporary lockout.
+ * Per-IP throttling lives in middleware/rateLimit.js.
+ * - Every consecutive failed password or 2FA code increments users.failed_login_count.
+ * - Each time it reaches a multiple of LOGIN_MAX_FAILED_ATTEMPTS the account is locked; the lockout
+ *   doubles with every round (15m, 30m, 1h, ...) up to 24 hours.
+ * - A successful login or an admin unlock resets the counter.
+ */
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const MISSING_SCHEMA_CODES = ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'];
+let missingSchemaWarned = false;
+
+const isMissingSchemaError = (error) => Boolean(error && MISSING_SCHEMA_CODES.includes(error.code));
+
+const warnMissingSchema = () => {
+  if (!missingSchemaWarned) {
+    missingSchemaWarned = true;
+    console.warn('⚠️  Login security schema missing - run database/migrations/012_login_security.sql to enable account lockout');
+  }
+};
+
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase().substring(0, 255);
+
+/**
+ * Lockout duration for the given number of consecutive failures
+ * @returns {number} - Minutes (0 when the count does not trigger a lockout)
+ */
+const getLockoutMinutes = (failedCount) => {
+  if (failedCount < MAX_FAILED_ATTEMPTS || failedCount % MAX_FAILED_ATTEMPTS !== 0) return 0;
+  const round = failedCount / MAX_FAILED_ATTEMPTS;
+  return Math.min(LOCKOUT_MINUTES * (2 ** (round - 1)), MAX_LOCKOUT_MINUTES);
+};
+
+/**
+ * Check whether a user row is currently locked
+ * @param {Object} user - Row with locked_until
+ * @returns {{ locked: boolean, lockedUntil: Date|null }}
+ */
+const getLockoutState = (user) => {
+  const lockedUntil = user && user.locked_until ? new Date(user.locked_until) : null;
+  if (lockedUntil && lockedUntil > new Date()) {
+    return { locked: true, lockedUntil };
+  }
+  return { locked: false, lockedUntil: null };
+};
+
+/**
+ * Record a login attempt for the admin review log. Never throws.
+ * @param {Object} req - Express request (IP and user agent)
+ * @param {Object} attempt - { identifier, userId, success, reason }
+ */
+const recordLoginAttempt = async (req, { identifier, userId = null, success = false, reason = null }) => {
+  try {
+    await query(
+      `INSERT INTO login_attempts (user_id, identifier, success, failure_reason, ip_address, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, normalizeIdentifier(identifier), success ? 1 : 0, success ? null : reason, getClientIp(req), getUserAgent(req)]
+    );
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      warnMissingSchema();
+      return;
+    }
+    console.error('Failed to record login attempt:', error.message);
+  }
+};
+
+/**
+ * Count a failed password / 2FA code against the account and lock it when the threshold is reached
+ * @param {number} userId - User ID
+ * @returns {Promise<{ locked: boolean, lockedUntil: Date|null, attemptsRemaining: number|null }>}
+ */
+const registerFailedLogin = async (userId) => {
+  try {
+    await query('UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = ?', [userId]);
+    const [row] = await query('SELECT failed_login_count FROM users WHERE id = ?', [userId]);
+    const failedCount = row ? parseInt(row.failed_login_count, 10) : 0;
+
+    const lockoutMinutes = getLockoutMinutes(failedCount);
+    if (lockoutMinutes > 0) {
+      const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+      await query('UPDATE users SET locked_until = ? WHERE id = ?', [lockedUntil, userId]);
+      console.warn(`⚠️  Account ${userId} locked for ${lockoutMinutes} minute(s) after ${failedCount} failed login attempts`);
+      return { locked: true, lockedUntil, attemptsRemaining: 0 };
+    }
+
+    return {
+      locked: false,
+      lockedUntil: null,
+      attemptsRemaining: MAX_FAILED_ATTEMPTS - (failedCount % MAX_FAILED_ATTEMPTS),
+    };
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      warnMissingSchema();
+      return { locked: false, lockedUntil: null, attemptsRemaining: null };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reset the failure counter and lift any lockout (successful login or admin unlock)
+ */
+const clearFailedLogins = async (userId) => {
+  try {
+    await query('UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?', [userId]);
+  } catch (error) {
+    if (isMissingSchemaError(error)) {
+      warnMissingSchema();
+      return;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Build the 423 response body for a locked account
+ */
+const getLockedResponse = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 60000));
+  return {
+    success: false,
+    message: `Too many failed login attempts. Your account is locked for ${minutes} more minute(s). Try again later or ask an administrator to unlock it.`,
+    code: 'ACCOUNT_LOCKED',
+    locked_until: lockedUntil,
+  };
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  getLockoutState,
+  recordLoginAttempt,
+  registerFailedLogin,
+  clearFailedLogins,
+  getLockedResponse,
+  isMissingSchemaError,
+};
@@ -0,0 +1,275 @@
+const { query: dbQuery } = require('../config/database');
+const { toDateString } = require('./dates');
+
+const NOTIFICATION_TYPES = ['info', 'success', 'warning', 'error', 'reminder'];
+const RELATED_TYPES = ['client', 'project', 'invoice', 'quotation', 'user_story', 'task', 'chat', 'general'];
+
+/**
+ * Create an in-app notification for a single user
+ * @param {Object} notificationData - Notification data
+ * @param {number} notificationData.user_id - Recipient user ID
+ * @param {string} notificationData.title - Short title shown in the bell dropdown
+ * @param {string} notificationData.message - Notification body
+ * @param {string} notificationData.type - info | success | warning | error | reminder (default: info)
+ * @param {string} notificationData.related_type - Entity type the notification links to (default: general)
+ * @param {number} notificationData.related_id - Entity ID the notification links to (optional)
+ * @returns {Promise<number|null>} - Inserted notification ID, or null when nothing was created
+ */
+const createNotification = async (notificationData) => {
+  try {
+    const {
+      user_id,
+      title,
+      message,
+      type = 'info',
+      related_type = 'general',
+      related_id = null,
+    } = notificationData;
+
+    // Validate required fields
+    if (!user_id || !title || !message) {
+      console.error('Notification creation failed: Missing required fields', notificationData);
+      return null;
+    }
+
+    const result = await dbQuery(
+      `INSERT INTO notifications (user_id, title, message, type, related_type, related_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        user_id,
+        String(title).substring(0, 200),
+        message,
+        NOTIFICATION_TYPES.includes(type) ? type : 'info',
+        RELATED_TYPES.includes(related_type) ? related_type : 'general',
+        related_id || null,
+      ]
+    );
+
+    return result.insertId || null;
+  } catch (error) {
+    // Don't throw error - notifications should not break the main flow
+    console.error('Error creating notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Create the same notification for several users.
+ * Duplicate recipients and the acting user (performedBy) are skipped.
+ */
+const notifyUsers = async (userIds, notificationData, performedBy = null) => {
+  const recipients = [...new Set((userIds || []).map((id) => parseInt(id, 10)).filter((id) => id > 0))]
+    .filter((id) => !performedBy || id !== parseInt(performedBy, 10));
+
+  for (const userId of recipients) {
+    await createNotification({ ...notificationData, user_id: userId });
+  }
+};
+
+/**
+ * Notify a user that a user story or task has been assigned to them
+ * @param {string} entityType - 'user_story' or 'task'
+ * @param {Object} entity - Row with id, title and optional reference_number
+ * @param {number} assigneeId - Newly assigned user
+ * @param {number} performedBy - User who made the assignment
+ */
+const notifyAssignment = async (entityType, entity, assigneeId, performedBy) => {
+  if (!assigneeId || !entity) return;
+
+  const [assigner] = await dbQuery('SELECT full_name FROM users WHERE id = ?', [performedBy]).catch(() => []);
+  const label = entityType === 'task' ? 'task' : 'user story';
+  const reference = entity.reference_number ? `${entity.reference_number} ` : '';
+
+  await notifyUsers([assigneeId], {
+    title: `New ${label} assigned to you`,
+    message: `${assigner?.full_name || 'Someone'} assigned you the ${label} ${reference}"${entity.title || ''}"`,
+    type: 'info',
+    related_type: entityType,
+    related_id: entity.id,
+  }, performedBy);
+};
+
+/**
+ * Notify users mentioned in a PM chat message
+ * @param {number[]} mentionedUserIds - User IDs from the message `mentions` array
+ * @param {Object} chatMessage - Created message row (id, message, chat_room_id)
+ * @param {number} performedBy - Message author
+ */
+const notifyChatMentions = async (mentionedUserIds, chatMessage, performedBy) => {
+  if (!mentionedUserIds || mentionedUserIds.length === 0 || !chatMessage) return;
+
+  const [author] = await dbQuery('SELECT full_name FROM users WHERE id = ?', [performedBy]).catch(() => []);
+  const [room] = await dbQuery(
+    `SELECT cr.workspace_id, w.name as workspace_name
+     FROM pm_chat_rooms cr
+     LEFT JOIN pm_workspaces w ON cr.workspace_id = w.id
+     WHERE cr.id = ?`,
+    [chatMessage.chat_room_id]
+  ).catch(() => []);
+
+  const preview = String(chatMessage.message || '');
+  await notifyUsers(mentionedUserIds, {
+    title: `${author?.full_name || 'Someone'} mentioned you${room?.workspace_name ? ` in ${room.workspace_name}` : ''}`,
+    message: preview.length > 200 ? `${preview.substring(0, 197)}...` : preview,
+    type: 'info',
+    related_type: 'chat',
+    related_id: room?.workspace_id || null,
+  }, performedBy);
+};
+
+/**
+ * Notify the invoice creator that an invoice has become overdue.
+ * Only one overdue notification is created per invoice and recipient.
+ * @param {Object} invoice - Invoice row (id, invoice_number, due_date, created_by)
+ */
+const notifyInvoiceOverdue = async (invoice) => {
+  if (!invoice || !invoice.created_by) return;
+
+  try {
+    const existing = await dbQuery(
+      `SELECT id FROM notifications
+       WHERE user_id = ? AND related_type = 'invoice' AND related_id = ? AND type = 'warning'
+       LIMIT 1`,
+      [invoice.created_by, invoice.id]
+    );
+    if (existing.length > 0) return;
+  } catch (error) {
+    console.error('Error checking existing overdue notification:', error);
+    return;
+  }
+
+  const dueDate = toDateString(invoice.due_date);
+  await createNotification({
+    user_id: invoice.created_by,
+    title: `Invoice ${invoice.invoice_number} is overdue`,
+    message: `Invoice ${invoice.invoice_number}${dueDate ? ` was due on ${dueDate}` : ' is past its due date'} and has not been fully paid.`,
+    type: 'warning',
+    related_type: 'invoice',
+    related_id: invoice.id,
+  });
+};
+
+/**
+ * Notify the invoice creator that the client paid online through the payment gateway
+ * @param {Object} invoice - Invoice row (id, invoice_number, created_by)
+ * @param {string} amount - Formatted amount paid
+ * @param {string} gatewayName - e.g. Stripe
+ */
+const notifyOnlinePaymentReceived = async (invoice, amount, gatewayName) => {
+  if (!invoice || !invoice.created_by) return null;
+
+  return createNotification({
+    user_id: invoice.created_by,
+    title: `Payment received for invoice ${invoice.invoice_number}`,
+    message: `The client paid ${amount} online via ${gatewayName}.`,
+    type: 'success',
+    related_type: 'invoice',
+    related_id: invoice.id,
+  });
+};
+
+/**
+ * Notify the quotation creator that a quotation was accepted
+ * @param {Object} quotation - Quotation row (id, quote_number, created_by)
+ * @param {number|null} performedBy - User who accepted it (null when accepted outside the app)
+ */
+const notifyQuotationAccepted = async (quotation, performedBy = null) => {
+  if (!quotation || !quotation.created_by) return;
+
+  await notifyUsers([quotation.created_by], {
+    title: `Quotation ${quotation.quote_number} accepted`,
+    message: `Quotation ${quotation.quote_number} has been accepted and is ready to be converted to an invoice.`,
+    type: 'success',
+    related_type: 'quotation',
+    related_id: quotation.id,
+  }, performedBy);
+};
+
+/**
+ * Notify the quotation creator that the client accepted a quotation through its acceptance link
+ * @param {Object} quotation - Quotation row (id, quote_number, created_by)
+ * @param {string} acceptedBy - Name typed by the client
+ * @param {string|null} invoiceNumber - Invoice created from the quotation automatically, if any
+ */
+const notifyQuotationAcceptedOnline = async (quotation, acceptedBy, invoiceNumber = null) => {
+  if (!quotation || !quotation.created_by) return;
+
+  await createNotification({
+    user_id: quotation.created_by,
+    title: `Quotation ${quotation.quote_number} accepted`,
+    message: invoiceNumber
+      ? `${acceptedBy} accepted quotation ${quotation.quote_number} online. Draft invoice ${invoiceNumber} was created from it.`
+      : `${acceptedBy} accepted quotation ${quotation.quote_number} online. It is ready to be converted to an invoice.`,
+    type: 'success',
+    related_type: 'quotation',
+    related_id: quotation.id,
+  });
+};
+
+/**
+ * Notify the quotation creator that the client declined a quotation through its acceptance link
+ * @param {Object} quotation - Quotation row (id, quote_number, created_by)
+ * @param {string|null} reason - Reason given by the client
+ */
+const notifyQuotationDeclined = async (quotation, reason = null) => {
+  if (!quotation || !quotation.created_by) return;
+
+  await createNotification({
+    user_id: quotation.created_by,
+    title: `Quotation ${quotation.quote_number} declined`,
+    message: `The client declined quotation ${quotation.quote_number} online.${reason ? ` Reason: ${reason}` : ''}`,
+    type: 'warning',
+    related_type: 'quotation',
+    related_id: quotation.id,
+  });
+};
+
+/**
+ * Notify the quotation creator that a sent quotation passed its validity date
+ * @param {Object} quotation - Quotation row (id, quote_number, valid_till_date, created_by)
+ */
+const notifyQuotationExpired = async (quotation) => {
+  if (!quotation || !quotation.created_by) return;
+
+  const validTill = toDateString(quotation.valid_till_date);
+  await createNotification({
+    user_id: quotation.created_by,
+    title: `Quotation ${quotation.quote_number} expired`,
+    message: `Quotation ${quotation.quote_number}${validTill ? ` was valid until ${validTill}` : ''} and has been marked as expired.`,
+    type: 'info',
+    related_type: 'quotation',
+    related_id: quotation.id,
+  });
+};
+
+/**
+ * Remind the author of a conversation that its follow-up date has come
+ * @param {Object} conversation - Conversation row (id, client_id, client_name, subject, follow_up_date, created_by)
+ */
+const notifyFollowUpDue = async (conversation) => {
+  if (!conversation || !conversation.created_by) return null;
+
+  const followUpDate = toDateString(conversation.follow_up_date);
+  return createNotification({
+    user_id: conversation.created_by,
+    title: `Follow up with ${conversation.client_name || 'client'}`,
+    message: `${conversation.subject ? `"${conversation.subject}"` : 'A conversation'} has a follow-up due${followUpDate ? ` on ${followUpDate}` : ''}.`,
+    type: 'reminder',
+    related_type: 'client',
+    related_id: conversation.client_id,
+  });
+};
+
+module.exports = {
+  createNotification,
+  notifyUsers,
+  notifyAssignment,
+  notifyChatMentions,
+  notifyInvoiceOverdue,
+  notifyOnlinePaymentReceived,
+  notifyQuotationAccepted,
+  notifyQuotationAcceptedOnline,
+  notifyQuotationDeclined,
+  notifyQuotationExpired,
+  notifyFollowUpDue,
+};
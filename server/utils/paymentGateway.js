@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { logAudit } = require('./auditLogger');
+const { captureExchangeRate } = require('./currency');
+const { getInvoiceBalance, updateInvoiceStatus } = require('./invoiceStatus');
+const { notifyOnlinePaymentReceived } = require('./notificationService');
+const { todayString } = require('./dates');
+const mockGateway = require('./paymentGateways/mock');
+const razorpayGateway = require('./paymentGateways/razorpay');
+const stripeGateway = require('./paymentGateways/stripe');
+
+/**
+ * Online invoice payments. The active gateway is chosen with PAYMENT_GATEWAY (mock, razorpay or stripe);
+ * without one, invoices get no pay link. Clients open the pay link (/pay/:token), are redirected to the gateway's
+ * hosted checkout, and the gateway's signed webhook records the payment and updates the invoice.
+ *
+ * A gateway adapter (paymentGateways/*.js) implements:
+ * - key, name
+ * - isConfigured() - keys present (the mock gateway: not in production)
+ * - createCheckout({ checkout, invoice, amount, currency, payUrl, returnUrl, cancelUrl }) => { gatewayCheckoutId, url }
+ * - verifyWebhook(rawBody, headers) => boolean
+ * - parseWebhook(rawBody, headers) => { eventId, type, outcome: 'paid'|'failed'|'expired'|null,
+ *     gatewayCheckoutId, gatewayPaymentId, amount (major units), currency }
+ */
+
+const GATEWAYS = {
+  [mockGateway.key]: mockGateway,
+  [razorpayGateway.key]: razorpayGateway,
+  [stripeGateway.key]: stripeGateway,
+};
+
+const PAYABLE_STATUSES = ['sent', 'partial', 'overdue'];
+const PAYMENT_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,64}$/;
+// An unfinished checkout for the same amount is reused for this long instead of opening a new one
+const CHECKOUT_REUSE_MINUTES = 30;
+
+const getGateway = (key) => GATEWAYS[key] || null;
+
+/**
+ * The configured gateway, or null when online payments are off
+ */
+const getActiveGateway = () => {
+  const gateway = getGateway(String(process.env.PAYMENT_GATEWAY || '').trim().toLowerCase());
+  return gateway && gateway.isConfigured() ? gateway : null;
+};
+
+const outstandingOf = (invoice) => Math.max(0, getInvoiceBalance(invoice));
+
+const isInvoicePayable = (invoice) => PAYABLE_STATUSES.includes(invoice.status) && outstandingOf(invoice) > 0.009;
+
+const buildPayUrl = (token) => `${process.env.CLIENT_URL || process.env.APP_URL || 'http://localhost:3000'}/pay/${token}`;
+
+// Audit entries of webhooks have no user
+const systemRequest = (workspaceId) => ({ user: { id: null, workspaceId: workspaceId || null }, headers: {} });
+
+// Pay link token of an invoice, created the first time the link is needed
+const ensurePaymentToken = async (invoice) => {
+  if (invoice.payment_token) return invoice.payment_token;
+  await query(
+    'UPDATE invoices SET payment_token = ? WHERE id = ? AND payment_token IS NULL',
+    [crypto.randomBytes(32).toString('base64url'), invoice.id]
+  );
+  const rows = await query('SELECT payment_token FROM invoices WHERE id = ?', [invoice.id]);
+  return rows.length > 0 ? rows[0].payment_token : null;
+};
+
+/**
+ * Pay link of an invoice for emails and the PDF, or null when it cannot be paid online
+ * (no gateway, draft/paid/cancelled, nothing outstanding, or migration 023 not run)
+ * @param {Object} invoice - Invoice row (id, status, total_amount, paid_amount, payment_token)
+ * @returns {Promise<string|null>}
+ */
+const getInvoicePaymentUrl = async (invoice) => {
+  if (!invoice || !getActiveGateway() || !isInvoicePayable(invoice)) return null;
+  try {
+    const token = await ensurePaymentToken(invoice);
+    return token ? buildPayUrl(token) : null;
+  } catch (error) {
+    if (error.code === 'ER_BAD_FIELD_ERROR') return null;
+    throw error;
+  }
+};
+
+/**
+ * Invoice of a pay link with the client and the workspace "invoice from" name, or null
+ */
+const loadInvoiceByPaymentToken = async (token) => {
+  if (!PAYMENT_TOKEN_PATTERN.test(String(token || ''))) return null;
+  const rows = await query(
+    `SELECT i.*, c.full_name as client_name, c.company_name as client_company, c.email as client_email,
+            w.name as workspace_name, w.invoice_from_name
+     FROM invoices i
+     LEFT JOIN clients c ON i.client_id = c.id
+     LEFT JOIN workspaces w ON i.workspace_id = w.id
+     WHERE i.payment_token = ?`,
+    [token]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Open a hosted checkout for the outstanding amount of an invoice with the active gateway
+ * @param {Object} invoice - Row from loadInvoiceByPaymentToken (payable)
+ * @param {Object} [options] - { ipAddress }
+ * @returns {Promise<{ checkoutId: number, url: string }>}
+ */
+const createCheckout = async (invoice, { ipAddress = null } = {}) => {
+  const gateway = getActiveGateway();
+  if (!gateway) throw new Error('Online payments are not configured');
+  const amount = outstandingOf(invoice);
+  const currency = String(invoice.currency || 'USD').toUpperCase();
+
+  const reusable = await query(
+    `SELECT id, checkout_url FROM payment_checkouts
+     WHERE invoice_id = ? AND gateway = ? AND status = 'created' AND amount = ? AND currency = ?
+       AND checkout_url IS NOT NULL AND created_at > ?
+     ORDER BY id DESC LIMIT 1`,
+    [invoice.id, gateway.key, amount, currency, new Date(Date.now() - CHECKOUT_REUSE_MINUTES * 60 * 1000)]
+  );
+  if (reusable.length > 0) return { checkoutId: reusable[0].id, url: reusable[0].checkout_url };
+
+  const result = await query(
+    `INSERT INTO payment_checkouts (invoice_id, workspace_id, gateway, amount, currency, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [invoice.id, invoice.workspace_id || null, gateway.key, amount, currency, ipAddress]
+  );
+  const checkout = { id: result.insertId, invoice_id: invoice.id, amount, currency };
+  const payUrl = buildPayUrl(invoice.payment_token);
+
+  try {
+    const created = await gateway.createCheckout({
+      checkout,
+      invoice,
+      amount,
+      currency,
+      payUrl,
+      returnUrl: `${payUrl}?status=success`,
+      cancelUrl: `${payUrl}?status=cancelled`,
+    });
+    await query(
+      'UPDATE payment_checkouts SET gateway_checkout_id = ?, checkout_url = ? WHERE id = ?',
+      [created.gatewayCheckoutId, String(created.url).substring(0, 1000), checkout.id]
+    );
+    return { checkoutId: checkout.id, url: created.url };
+  } catch (error) {
+    await query(
+      "UPDATE payment_checkouts SET status = 'failed', error_message = ? WHERE id = ?",
+      [String(error.message || error).substring(0, 1000), checkout.id]
+    );
+    throw error;
+  }
+};
+
+// Write a paid checkout to payments and the invoice (once per checkout, under lock)
+const recordGatewayPayment = async (gateway, checkout, event) => {
+  if (event.currency && event.currency.toUpperCase() !== String(checkout.currency).toUpperCase()) {
+    throw new Error(`Paid in ${event.currency}, checkout was in ${checkout.currency}`);
+  }
+  const amount = event.amount === null || event.amount === undefined ? parseFloat(checkout.amount) : event.amount;
+  const gatewayPaymentId = String(event.gatewayPaymentId || event.eventId).substring(0, 255);
+
+  const recorded = await transaction(async (connection) => {
+    const [[locked]] = await connection.execute('SELECT * FROM payment_checkouts WHERE id = ? FOR UPDATE', [checkout.id]);
+    if (locked.status === 'paid') return null;
+
+    const [[invoice]] = await connection.execute(
+      'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+      [locked.invoice_id]
+    );
+    if (!invoice) throw new Error('Invoice not found');
+
+    const [paymentResult] = await connection.execute(
+      `INSERT INTO payments (
+        invoice_id, amount, payment_method, payment_date, reference_number, notes, created_by, gateway, gateway_payment_id
+      ) VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?)`,
+      [
+        invoice.id, amount, gateway.name, todayString(), gatewayPaymentId.substring(0, 100),
+        `Paid online (checkout #${locked.id})`, gateway.key, gatewayPaymentId
+      ]
+    );
+
+    // Same cap as manual payments; an overpayment stays visible on the payment itself
+    const payableAmount = (parseFloat(invoice.total_amount) || 0) - (parseFloat(invoice.credited_amount) || 0);
+    const paidAmount = Math.min((parseFloat(invoice.paid_amount) || 0) + amount, Math.max(payableAmount, 0));
+    await connection.execute(
+      'UPDATE invoices SET paid_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [paidAmount, invoice.id]
+    );
+    await connection.execute(
+      "UPDATE payment_checkouts SET status = 'paid', payment_id = ?, completed_at = ? WHERE id = ?",
+      [paymentResult.insertId, new Date(), locked.id]
+    );
+    return { invoice, paymentId: paymentResult.insertId, paidAmount };
+  });
+  if (!recorded) return { alreadyRecorded: true };
+
+  const { invoice, paymentId } = recorded;
+  await updateInvoiceStatus(invoice.id, invoice.status);
+  await captureExchangeRate({
+    table: 'payments',
+    id: paymentId,
+    workspaceId: invoice.workspace_id,
+    currency: invoice.currency || 'USD',
+    date: todayString(),
+  });
+  await logAudit(systemRequest(invoice.workspace_id), {
+    action: 'payment_received_online',
+    table: 'payments',
+    recordId: paymentId,
+    newValues: { invoice_id: invoice.id, amount, gateway: gateway.key, gateway_payment_id: gatewayPaymentId },
+  });
+  await notifyOnlinePaymentReceived(invoice, `${invoice.currency || 'USD'} ${amount.toFixed(2)}`, gateway.name);
+  return { paymentId, invoiceId: invoice.id };
+};
+
+/**
+ * Process a gateway webhook. Only signed events of a configured gateway are accepted, and each event once
+ * (an event that failed earlier is processed again when the gateway retries it).
+ * @param {string} gatewayKey
+ * @param {Buffer} rawBody - Unparsed request body (signatures are computed over it)
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {Promise<{ status: 'processed'|'duplicate'|'ignored'|'invalid_signature'|'invalid_payload'|'unknown_gateway' }>}
+ *   Throws when recording fails, so the gateway retries.
+ */
+const handleGatewayWebhook = async (gatewayKey, rawBody, headers) => {
+  const gateway = getGateway(gatewayKey);
+  if (!gateway || !gateway.isConfigured()) return { status: 'unknown_gateway' };
+  if (!Buffer.isBuffer(rawBody) || !gateway.verifyWebhook(rawBody, headers)) return { status: 'invalid_signature' };
+
+  let event;
+  try {
+    event = gateway.parseWebhook(rawBody, headers);
+  } catch (error) {
+    return { status: 'invalid_payload' };
+  }
+  if (!event.eventId) return { status: 'invalid_payload' };
+  const eventId = String(event.eventId).substring(0, 255);
+
+  let eventRowId;
+  try {
+    const result = await query(
+      'INSERT INTO payment_gateway_events (gateway, event_id, event_type, payload) VALUES (?, ?, ?, ?)',
+      [gateway.key, eventId, event.type ? String(event.type).substring(0, 100) : null, rawBody.toString('utf8')]
+    );
+    eventRowId = result.insertId;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+    const [existing] = await query(
+      'SELECT id, status FROM payment_gateway_events WHERE gateway = ? AND event_id = ?',
+      [gateway.key, eventId]
+    );
+    if (!existing || ['processed', 'ignored'].includes(existing.status)) return { status: 'duplicate' };
+    eventRowId = existing.id;
+  }
+
+  const finishEvent = (status, checkoutId = null, errorMessage = null) => query(
+    'UPDATE payment_gateway_events SET status = ?, checkout_id = ?, error_message = ?, processed_at = ? WHERE id = ?',
+    [status, checkoutId, errorMessage ? String(errorMessage).substring(0, 1000) : null, new Date(), eventRowId]
+  );
+
+  const checkouts = event.outcome && event.gatewayCheckoutId
+    ? await query(
+      'SELECT * FROM payment_checkouts WHERE gateway = ? AND gateway_checkout_id = ?',
+      [gateway.key, String(event.gatewayCheckoutId)]
+    )
+    : [];
+  if (checkouts.length === 0) {
+    await finishEvent('ignored', null, event.outcome ? 'No matching checkout' : null);
+    return { status: 'ignored' };
+  }
+  const checkout = checkouts[0];
+
+  try {
+    let result = {};
+    if (event.outcome === 'paid') {
+      result = await recordGatewayPayment(gateway, checkout, event);
+    } else {
+      await query(
+        "UPDATE payment_checkouts SET status = ?, completed_at = ? WHERE id = ? AND status = 'created'",
+        [event.outcome, new Date(), checkout.id]
+      );
+    }
+    await finishEvent('processed', checkout.id);
+    return { status: 'processed', outcome: event.outcome, checkoutId: checkout.id, ...result };
+  } catch (error) {
+    await finishEvent('failed', checkout.id, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  PAYABLE_STATUSES,
+  getGateway,
+  getActiveGateway,
+  outstandingOf,
+  isInvoicePayable,
+  getInvoicePaymentUrl,
+  loadInvoiceByPaymentToken,
+  createCheckout,
+  handleGatewayWebhook,
+};
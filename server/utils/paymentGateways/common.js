@@ -0,0 +1,79 @@
+const https = require('https');
+const crypto = require('crypto');
+
+// Helpers shared by the payment gateway adapters (see ../paymentGateway.js)
+
+const REQUEST_TIMEOUT_MS = 20 * 1000;
+
+// Currencies without minor units; all others are sent to the gateways in cents / paise
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+const isZeroDecimal = (currency) => ZERO_DECIMAL_CURRENCIES.includes(String(currency || '').toUpperCase());
+
+const toMinorUnits = (amount, currency) => Math.round(Number(amount) * (isZeroDecimal(currency) ? 1 : 100));
+
+const fromMinorUnits = (amount, currency) => (isZeroDecimal(currency)
+  ? Number(amount)
+  : Math.round(Number(amount)) / 100);
+
+const hmacSha256Hex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex signatures
+const safeEqualHex = (received, expected) => {
+  if (typeof received !== 'string' || typeof expected !== 'string') return false;
+  const a = Buffer.from(received.trim(), 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * HTTPS request to a gateway API; resolves with the parsed JSON body, rejects on a non-2xx answer
+ * @param {Object} options - { hostname, method, path, headers, body (string) }
+ * @returns {Promise<Object>}
+ */
+const gatewayRequest = ({ hostname, method, path, headers = {}, body = null }) => new Promise((resolve, reject) => {
+  const req = https.request(
+    {
+      hostname,
+      port: 443,
+      method,
+      path,
+      headers: {
+        Accept: 'application/json',
+        ...headers,
+        ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+    },
+    (res) => {
+      let data = '';
+      res.on('data', (chunk) => (data += chunk));
+      res.on('end', () => {
+        let parsed = null;
+        try {
+          parsed = data ? JSON.parse(data) : {};
+        } catch (error) {
+          parsed = null;
+        }
+        const ok = res.statusCode && res.statusCode >= 200 && res.statusCode < 300;
+        if (!ok || !parsed) {
+          const detail = parsed && parsed.error ? (parsed.error.description || parsed.error.message) : null;
+          return reject(new Error(`${hostname} API error (${res.statusCode}): ${detail || data || 'No response body'}`));
+        }
+        resolve(parsed);
+      });
+    }
+  );
+  req.on('timeout', () => req.destroy(new Error(`${hostname} did not answer in time`)));
+  req.on('error', reject);
+  if (body) req.write(body);
+  req.end();
+});
+
+module.exports = {
+  toMinorUnits,
+  fromMinorUnits,
+  hmacSha256Hex,
+  safeEqualHex,
+  gatewayRequest,
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { toMinorUnits, fromMinorUnits, hmacSha256Hex, safeEqualHex } = require('./common');
+
+/**
+ * Local mock gateway for development and testing without a gateway account.
+ * Its "hosted checkout" is the /pay/:token/mock-checkout page, whose buttons send a signed webhook through the
+ * same verification and recording path as the real gateways. Never available with NODE_ENV=production.
+ */
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const getWebhookSecret = () => process.env.PAYMENT_MOCK_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+const EVENT_OUTCOMES = {
+  'checkout.paid': 'paid',
+  'checkout.failed': 'failed',
+};
+
+module.exports = {
+  key: 'mock',
+  name: 'Mock gateway',
+
+  // Only when chosen explicitly: its webhook secret has a well-known default
+  isConfigured: () => process.env.NODE_ENV !== 'production'
+    && String(process.env.PAYMENT_GATEWAY || '').trim().toLowerCase() === 'mock',
+
+  createCheckout: async ({ payUrl }) => {
+    const gatewayCheckoutId = `mock_chk_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+      gatewayCheckoutId,
+      url: `${payUrl}/mock-checkout?checkout=${gatewayCheckoutId}`,
+    };
+  },
+
+  verifyWebhook: (rawBody, headers) => safeEqualHex(headers[SIGNATURE_HEADER], hmacSha256Hex(getWebhookSecret(), rawBody)),
+
+  parseWebhook: (rawBody) => {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const data = event.data || {};
+    return {
+      eventId: event.id,
+      type: event.type,
+      outcome: EVENT_OUTCOMES[event.type] || null,
+      gatewayCheckoutId: data.checkout_id || null,
+      gatewayPaymentId: data.payment_id || null,
+      amount: data.amount === undefined ? null : fromMinorUnits(data.amount, data.currency),
+      currency: data.currency || null,
+    };
+  },
+
+  /**
+   * Signed webhook as the mock checkout page sends it
+   * @param {Object} options - { gatewayCheckoutId, outcome: 'paid'|'failed', amount, currency }
+   * @returns {{ rawBody: Buffer, headers: Object }}
+   */
+  buildWebhook: ({ gatewayCheckoutId, outcome, amount, currency }) => {
+    const rawBody = Buffer.from(JSON.stringify({
+      id: `evt_mock_${crypto.randomBytes(12).toString('hex')}`,
+      type: outcome === 'paid' ? 'checkout.paid' : 'checkout.failed',
+      data: {
+        checkout_id: gatewayCheckoutId,
+        payment_id: outcome === 'paid' ? `mock_pay_${crypto.randomBytes(12).toString('hex')}` : null,
+        amount: toMinorUnits(amount, currency),
+        currency,
+      },
+    }));
+    return { rawBody, headers: { [SIGNATURE_HEADER]: hmacSha256Hex(getWebhookSecret(), rawBody) } };
+  },
+};
@@ -0,0 +1,74 @@
+const { toMinorUnits, fromMinorUnits, hmacSha256Hex, safeEqualHex, gatewayRequest } = require('./common');
+
+/**
+ * Razorpay: hosted checkout through Payment Links (POST /v1/payment_links).
+ * Webhooks (payment_link.paid, payment_link.expired, payment_link.cancelled) are signed with the webhook secret:
+ * X-Razorpay-Signature = hex HMAC-SHA256 of the raw body.
+ * Env: RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET
+ */
+
+const API_HOST = 'api.razorpay.com';
+
+const EVENT_OUTCOMES = {
+  'payment_link.paid': 'paid',
+  'payment_link.expired': 'expired',
+  'payment_link.cancelled': 'expired',
+};
+
+module.exports = {
+  key: 'razorpay',
+  name: 'Razorpay',
+
+  isConfigured: () => Boolean(
+    process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && process.env.RAZORPAY_WEBHOOK_SECRET
+  ),
+
+  createCheckout: async ({ checkout, invoice, amount, currency, returnUrl }) => {
+    const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+    const link = await gatewayRequest({
+      hostname: API_HOST,
+      method: 'POST',
+      path: '/v1/payment_links',
+      headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        amount: toMinorUnits(amount, currency),
+        currency,
+        accept_partial: false,
+        description: `Invoice ${invoice.invoice_number}`,
+        reference_id: `checkout_${checkout.id}`,
+        customer: {
+          name: invoice.client_name || undefined,
+          email: invoice.client_email || undefined,
+        },
+        notify: { sms: false, email: false },
+        reminder_enable: false,
+        notes: { invoice_id: String(invoice.id), checkout_id: String(checkout.id) },
+        callback_url: returnUrl,
+        callback_method: 'get',
+      }),
+    });
+    return { gatewayCheckoutId: link.id, url: link.short_url };
+  },
+
+  verifyWebhook: (rawBody, headers) => Boolean(process.env.RAZORPAY_WEBHOOK_SECRET) && safeEqualHex(
+    headers['x-razorpay-signature'],
+    hmacSha256Hex(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody)
+  ),
+
+  parseWebhook: (rawBody, headers) => {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const payload = event.payload || {};
+    const link = (payload.payment_link && payload.payment_link.entity) || {};
+    const payment = (payload.payment && payload.payment.entity) || {};
+    return {
+      // Razorpay retries deliver the same X-Razorpay-Event-Id
+      eventId: headers['x-razorpay-event-id'] || `${event.event}:${link.id || ''}:${payment.id || ''}`,
+      type: event.event,
+      outcome: EVENT_OUTCOMES[event.event] || null,
+      gatewayCheckoutId: link.id || null,
+      gatewayPaymentId: payment.id || null,
+      amount: payment.amount === undefined ? null : fromMinorUnits(payment.amount, payment.currency),
+      currency: payment.currency || link.currency || null,
+    };
+  },
+};
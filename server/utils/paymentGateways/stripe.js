@@ -0,0 +1,92 @@
+const { toMinorUnits, fromMinorUnits, hmacSha256Hex, safeEqualHex, gatewayRequest } = require('./common');
+
+/**
+ * Stripe: hosted checkout through Checkout Sessions (POST /v1/checkout/sessions).
+ * Webhooks (checkout.session.completed, .async_payment_succeeded, .async_payment_failed, .expired) are signed:
+ * Stripe-Signature "t=<timestamp>,v1=<hex HMAC-SHA256 of `${t}.${raw body}`>"; older than 5 minutes is rejected.
+ * Env: STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET
+ */
+
+const API_HOST = 'api.stripe.com';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const parseSignatureHeader = (header) => String(header || '').split(',').reduce((parts, item) => {
+  const [key, value] = item.split('=');
+  if (key && value) {
+    const name = key.trim();
+    parts[name] = [...(parts[name] || []), value.trim()];
+  }
+  return parts;
+}, {});
+
+// completed is only a payment once payment_status is paid (bank debits complete later)
+const getOutcome = (type, session) => {
+  if (type === 'checkout.session.completed') return session.payment_status === 'paid' ? 'paid' : null;
+  if (type === 'checkout.session.async_payment_succeeded') return 'paid';
+  if (type === 'checkout.session.async_payment_failed') return 'failed';
+  if (type === 'checkout.session.expired') return 'expired';
+  return null;
+};
+
+module.exports = {
+  key: 'stripe',
+  name: 'Stripe',
+
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_WEBHOOK_SECRET),
+
+  createCheckout: async ({ checkout, invoice, amount, currency, returnUrl, cancelUrl }) => {
+    const params = new URLSearchParams({
+      mode: 'payment',
+      success_url: returnUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: String(checkout.id),
+      'line_items[0][quantity]': '1',
+      'line_items[0][price_data][currency]': currency.toLowerCase(),
+      'line_items[0][price_data][unit_amount]': String(toMinorUnits(amount, currency)),
+      'line_items[0][price_data][product_data][name]': `Invoice ${invoice.invoice_number}`,
+      'metadata[invoice_id]': String(invoice.id),
+      'metadata[checkout_id]': String(checkout.id),
+      'payment_intent_data[metadata][invoice_id]': String(invoice.id),
+    });
+    if (invoice.client_email) params.set('customer_email', invoice.client_email);
+
+    const session = await gatewayRequest({
+      hostname: API_HOST,
+      method: 'POST',
+      path: '/v1/checkout/sessions',
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: params.toString(),
+    });
+    return { gatewayCheckoutId: session.id, url: session.url };
+  },
+
+  verifyWebhook: (rawBody, headers) => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const parts = parseSignatureHeader(headers['stripe-signature']);
+    const timestamp = parts.t && parseInt(parts.t[0], 10);
+    if (!secret || !timestamp || !parts.v1) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+    const expected = hmacSha256Hex(secret, `${timestamp}.${rawBody.toString('utf8')}`);
+    return parts.v1.some((signature) => safeEqualHex(signature, expected));
+  },
+
+  parseWebhook: (rawBody) => {
+    const event = JSON.parse(rawBody.toString('utf8'));
+    const session = (event.data && event.data.object) || {};
+    const currency = session.currency ? session.currency.toUpperCase() : null;
+    return {
+      eventId: event.id,
+      type: event.type,
+      outcome: event.type && event.type.startsWith('checkout.session.') ? getOutcome(event.type, session) : null,
+      gatewayCheckoutId: session.id || null,
+      gatewayPaymentId: session.payment_intent || null,
+      amount: session.amount_total === undefined || session.amount_total === null
+        ? null
+        : fromMinorUnits(session.amount_total, currency),
+      currency,
+    };
+  },
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { getAuditSnapshot, auditUpdate } = require('./auditLogger');
+const { getClientIp, getUserAgent } = require('./requestMeta');
+const { toDateString, todayString } = require('./dates');
+const { convertQuotationToInvoice } = require('./quotationConversion');
+const { notifyQuotationAcceptedOnline, notifyQuotationDeclined } = require('./notificationService');
+
+/**
+ * Online acceptance of quotations (migration 025).
+ * A sent quotation has a public acceptance link (/quote/:token, included in quotation emails) where the client
+ * sees the current revision and accepts it by typing their name, or declines it. The client must answer the
+ * revision they were shown: if the quotation is revised in the meantime, the answer is refused and the page
+ * reloads the new revision. Acceptance records the name, IP, user agent, time and revision and, when
+ * auto_convert_on_accept is set, converts the quotation to a draft invoice.
+ * The link is signed rather than stored: its token is the quotation ID and link version with an HMAC of both, so a
+ * copy of the database or a backup cannot be used to answer a quotation. Staff can turn the link off
+ * (acceptance_link_revoked_at) or replace it; replacing raises acceptance_link_version, which voids every earlier link.
+ */
+
+const ACCEPTANCE_TOKEN_PATTERN = /^(\d{1,10})-(\d{1,10})-([A-Za-z0-9_-]{43})$/;
+
+const buildAcceptanceUrl = (token) => `${process.env.CLIENT_URL || process.env.APP_URL || 'http://localhost:3000'}/quote/${token}`;
+
+// Signed with a derived secret so a link can never pass as another kind of token; changing JWT_SECRET voids all links
+const getAcceptanceLinkSecret = () => `${process.env.JWT_SECRET}:quotation-acceptance`;
+
+const signAcceptanceLink = (quotationId, version) => crypto
+  .createHmac('sha256', getAcceptanceLinkSecret())
+  .update(`${quotationId}:${version}`)
+  .digest('base64url');
+
+// Quotation ID and link version of a correctly signed token, or null
+const verifyAcceptanceToken = (token) => {
+  const match = ACCEPTANCE_TOKEN_PATTERN.exec(String(token || ''));
+  if (!match) return null;
+  const [, quotationId, version, signature] = match;
+  const expected = Buffer.from(signAcceptanceLink(quotationId, version));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return { quotationId: parseInt(quotationId, 10), version: parseInt(version, 10) };
+};
+
+// Audit entries of client answers have no user, but keep the client's IP and user agent
+const clientRequest = (req, workspaceId) => ({
+  user: { id: null, workspaceId: workspaceId || null },
+  headers: req.headers,
+  ip: req.ip,
+  socket: req.socket,
+});
+
+/**
+ * Acceptance link of a quotation for emails and the quotation page, or null for drafts, while the link is
+ * turned off and until migration 025 is applied
+ * @param {Object} quotation - Quotation row (id, status, acceptance_link_version, acceptance_link_revoked_at)
+ * @returns {string|null}
+ */
+const getQuotationAcceptanceUrl = (quotation) => {
+  if (!quotation || quotation.status === 'draft') return null;
+  if (quotation.acceptance_link_version === undefined || quotation.acceptance_link_revoked_at) return null;
+  const version = quotation.acceptance_link_version;
+  return buildAcceptanceUrl(`${quotation.id}-${version}-${signAcceptanceLink(quotation.id, version)}`);
+};
+
+/**
+ * Replace the acceptance link of a quotation: earlier links stop working and a turned-off link is turned back on
+ * @param {number} quotationId - Quotation ID
+ */
+const replaceAcceptanceLink = async (quotationId) => {
+  await query(
+    `UPDATE quotations SET acceptance_link_version = acceptance_link_version + 1, acceptance_link_revoked_at = NULL
+     WHERE id = ?`,
+    [quotationId]
+  );
+};
+
+/**
+ * Turn the acceptance link of a quotation off until it is replaced
+ * @param {number} quotationId - Quotation ID
+ */
+const revokeAcceptanceLink = async (quotationId) => {
+  await query(
+    'UPDATE quotations SET acceptance_link_revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND acceptance_link_revoked_at IS NULL',
+    [quotationId]
+  );
+};
+
+/**
+ * Quotation of an acceptance link with the client and the workspace "invoice from" name, or null
+ * (drafts, turned-off and replaced links do not work)
+ */
+const loadQuotationByAcceptanceToken = async (token) => {
+  const link = verifyAcceptanceToken(token);
+  if (!link) return null;
+  const rows = await query(
+    `SELECT q.*, c.full_name as client_name, c.company_name as client_company,
+            w.name as workspace_name, w.invoice_from_name
+     FROM quotations q
+     LEFT JOIN clients c ON q.client_id = c.id
+     LEFT JOIN workspaces w ON q.workspace_id = w.id
+     WHERE q.id = ?`,
+    [link.quotationId]
+  );
+  const quotation = rows[0];
+  if (!quotation || quotation.status === 'draft' || quotation.acceptance_link_revoked_at) return null;
+  return Number(quotation.acceptance_link_version) === link.version ? quotation : null;
+};
+
+const isPastValidity = (quotation) => Boolean(quotation.valid_till_date) && toDateString(quotation.valid_till_date) < todayString();
+
+/**
+ * Why the client cannot answer a quotation, or null when it can be accepted or declined
+ * @param {Object} quotation - Quotation row
+ * @returns {string|null}
+ */
+const getResponseBlockedReason = (quotation) => {
+  if (quotation.status === 'accepted') return 'This quotation has already been accepted.';
+  if (quotation.status === 'declined') return 'This quotation has been declined.';
+  if (quotation.status === 'expired' || isPastValidity(quotation)) return 'This quotation has expired. Please contact the sender for a new one.';
+  if (quotation.status !== 'sent') return 'This quotation cannot be answered online.';
+  return null;
+};
+
+const REVISED_MESSAGE = 'This quotation has been revised since you opened it. Please review the latest version.';
+
+/**
+ * Accept a quotation on behalf of the client
+ * @param {Object} quotation - Row from loadQuotationByAcceptanceToken
+ * @param {Object} options
+ * @param {string} options.name - Name typed by the client
+ * @param {number} options.revisionNumber - Revision the client was shown
+ * @param {Object} options.req - Public request (IP and user agent)
+ * @returns {Promise<{ error?: string, status?: number, acceptedAt?: Date, invoice?: Object|null }>}
+ */
+const acceptQuotation = async (quotation, { name, revisionNumber, req }) => {
+  const blocked = getResponseBlockedReason(quotation);
+  if (blocked) return { error: blocked, status: 400 };
+  if (Number(revisionNumber) !== Number(quotation.revision_number)) return { error: REVISED_MESSAGE, status: 409 };
+
+  const auditRequest = clientRequest(req, quotation.workspace_id);
+  const acceptedAt = new Date();
+  const before = await getAuditSnapshot('quotations', quotation.id);
+  // Conditional on status and revision so a concurrent edit or answer wins over this one
+  const result = await query(
+    `UPDATE quotations SET status = 'accepted', accepted_by_name = ?, accepted_ip = ?, accepted_user_agent = ?,
+       accepted_at = ?, accepted_revision = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'sent' AND revision_number = ?`,
+    [name, getClientIp(req), getUserAgent(req), acceptedAt, quotation.revision_number, quotation.id, quotation.revision_number]
+  );
+  if (result.affectedRows === 0) return { error: REVISED_MESSAGE, status: 409 };
+  await auditUpdate(auditRequest, 'quotations', quotation.id, before, 'quotation_accepted_online');
+
+  // The acceptance stands even if the conversion fails; staff can still convert it by hand
+  let invoice = null;
+  if (quotation.auto_convert_on_accept) {
+    try {
+      const existing = await query('SELECT id FROM invoices WHERE quotation_id = ? LIMIT 1', [quotation.id]);
+      if (existing.length === 0) {
+        invoice = await convertQuotationToInvoice({ ...quotation, status: 'accepted' }, { req: auditRequest });
+      }
+    } catch (error) {
+      console.error(`Automatic conversion of quotation ${quotation.quote_number} failed:`, error);
+    }
+  }
+
+  await notifyQuotationAcceptedOnline(quotation, name, invoice ? invoice.invoiceNumber : null);
+  return { acceptedAt, invoice };
+};
+
+/**
+ * Decline a quotation on behalf of the client
+ * @param {Object} quotation - Row from loadQuotationByAcceptanceToken
+ * @param {Object} options
+ * @param {string|null} options.reason - Reason given by the client
+ * @param {number} options.revisionNumber - Revision the client was shown
+ * @param {Object} options.req - Public request (IP and user agent)
+ * @returns {Promise<{ error?: string, status?: number, declinedAt?: Date }>}
+ */
+const declineQuotation = async (quotation, { reason = null, revisionNumber, req }) => {
+  const blocked = getResponseBlockedReason(quotation);
+  if (blocked) return { error: blocked, status: 400 };
+  if (Number(revisionNumber) !== Number(quotation.revision_number)) return { error: REVISED_MESSAGE, status: 409 };
+
+  const declinedAt = new Date();
+  const before = await getAuditSnapshot('quotations', quotation.id);
+  const result = await query(
+    `UPDATE quotations SET status = 'declined', declined_at = ?, decline_reason = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'sent' AND revision_number = ?`,
+    [declinedAt, reason, quotation.id, quotation.revision_number]
+  );
+  if (result.affectedRows === 0) return { error: REVISED_MESSAGE, status: 409 };
+  await auditUpdate(clientRequest(req, quotation.workspace_id), 'quotations', quotation.id, before, 'quotation_declined_online');
+
+  await notifyQuotationDeclined(quotation, reason);
+  return { declinedAt };
+};
+
+module.exports = {
+  getQuotationAcceptanceUrl,
+  replaceAcceptanceLink,
+  revokeAcceptanceLink,
+  loadQuotationByAcceptanceToken,
+  getResponseBlockedReason,
+  acceptQuotation,
+  declineQuotation,
+};
@@ -0,0 +1,144 @@
+const { query } = require('../config/database');
+const { getAuditSnapshot, auditCreate, auditUpdate } = require('./auditLogger');
+const { captureExchangeRate } = require('./currency');
+const { toDateString } = require('./dates');
+const { getCatalogItemColumn } = require('./catalog');
+const { calculateTaxBreakdown } = require('./gst');
+
+/**
+ * Converting an accepted quotation to a draft invoice: POST /api/quotations/:id/convert-to-invoice, and
+ * automatically when a client accepts a quotation online with auto_convert_on_accept set.
+ */
+
+/**
+ * Create a draft invoice with the line items, discounts and GST split of an accepted quotation; the totals are
+ * recomputed from the items the same way as when the quotation was saved
+ * @param {Object} quotation - Quotation row (status accepted)
+ * @param {Object} options
+ * @param {string} [options.invoiceDate] - YYYY-MM-DD; defaults to today
+ * @param {string} [options.dueDate] - YYYY-MM-DD; defaults to 30 days after today
+ * @param {Object} options.req - Request for the audit entries (a system request for online acceptance)
+ * @returns {Promise<{ invoiceId: number, invoiceNumber: string }>}
+ */
+const convertQuotationToInvoice = async (quotation, { invoiceDate = null, dueDate = null, req }) => {
+  // invoice_date and due_date are NOT NULL columns
+  const today = new Date();
+  if (!invoiceDate) invoiceDate = toDateString(today);
+  if (!dueDate) {
+    const due = new Date(today);
+    due.setDate(due.getDate() + 30);
+    dueDate = toDateString(due);
+  }
+
+  // Generate invoice number (global uniqueness: invoice_number is unique across all workspaces)
+  const year = new Date().getFullYear();
+  const invoiceCountResult = await query(
+    'SELECT COUNT(*) as count FROM invoices WHERE YEAR(created_at) = ?',
+    [year]
+  );
+  const nextSeq = (invoiceCountResult[0].count || 0) + 1;
+  const invoiceNumber = `INV-${year}-${nextSeq.toString().padStart(4, '0')}`;
+
+  const quotationItems = await query(
+    'SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY id',
+    [quotation.id]
+  );
+  // Same supply type as the quotation; a quotation without items is taxed on its subtotal
+  const tax = calculateTaxBreakdown(
+    quotationItems.length > 0 ? quotationItems : [{ quantity: 1, unit_price: quotation.subtotal }],
+    {
+      defaultRate: quotation.tax_rate,
+      supplyType: quotation.supply_type || null,
+      discountType: quotation.discount_type || null,
+      discountValue: quotation.discount_value,
+    }
+  );
+
+  // Create invoice (ensure no undefined bind params - mysql2 requires null for SQL NULL).
+  // Online acceptance has no user: the invoice belongs to the quotation's creator.
+  const workspaceId = req.workspaceId ?? req.workspaceFilter?.value ?? quotation.workspace_id ?? null;
+  const invoiceResult = await query(
+    `INSERT INTO invoices (
+      invoice_number, quotation_id, client_id, project_id, invoice_date, due_date,
+      status, subtotal, discount_type, discount_value, discount_amount, tax_rate, tax_amount, total_amount,
+      place_of_supply, supply_type, cgst_amount, sgst_amount, igst_amount, currency, created_by, workspace_id
+    ) VALUES (?, ?, ?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      invoiceNumber ?? null,
+      quotation.id ?? null,
+      quotation.client_id ?? null,
+      quotation.project_id ?? null,
+      invoiceDate,
+      dueDate,
+      tax.subtotal,
+      tax.discountType,
+      tax.discountValue,
+      tax.discountAmount,
+      quotation.tax_rate ?? null,
+      tax.taxAmount,
+      tax.totalAmount,
+      quotation.place_of_supply ?? null,
+      quotation.supply_type ?? null,
+      tax.cgstAmount,
+      tax.sgstAmount,
+      tax.igstAmount,
+      quotation.currency ?? null,
+      req.user?.id ?? quotation.created_by ?? null,
+      workspaceId
+    ]
+  );
+
+  const invoiceId = invoiceResult.insertId;
+
+  await captureExchangeRate({
+    table: 'invoices',
+    id: invoiceId,
+    workspaceId: quotation.workspace_id ?? workspaceId,
+    currency: quotation.currency,
+    date: invoiceDate,
+  });
+
+  // Copy quotation items to invoice items
+  const catalog = await getCatalogItemColumn();
+  for (const item of quotationItems.length > 0 ? tax.lines : []) {
+    await query(
+      `INSERT INTO invoice_items (
+        invoice_id, item_name, description, quantity, unit, unit_price, discount_type, discount_value, discount_amount,
+        total_price, taxable_value, hsn_sac, tax_rate, tax_amount${catalog.column}
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${catalog.placeholder})`,
+      [
+        invoiceId ?? null,
+        item.item_name ?? null,
+        item.description ?? null,
+        item.quantity,
+        item.unit,
+        item.unit_price ?? null,
+        item.discount_type,
+        item.discount_value,
+        item.discount_amount,
+        item.total_price,
+        item.taxable_value,
+        item.hsn_sac,
+        item.tax_rate,
+        item.tax_amount,
+        ...catalog.values(item)
+      ]
+    );
+  }
+
+  await auditCreate(req, 'invoices', invoiceId, 'convert_from_quotation');
+
+  // Update quotation status
+  const quotationBefore = await getAuditSnapshot('quotations', quotation.id);
+  await query(
+    'UPDATE quotations SET status = "accepted", updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [quotation.id]
+  );
+  await auditUpdate(req, 'quotations', quotation.id, quotationBefore, 'converted_to_invoice');
+
+  return { invoiceId, invoiceNumber };
+};
+
+module.exports = {
+  convertQuotationToInvoice,
+};
@@ -0,0 +1,187 @@
+const { query, transaction } = require('../config/database');
+const { toDateString } = require('./dates');
+
+/**
+ * Quotation revisions (migration 025).
+ * Once a quotation has been sent, each version of its content is kept in quotation_revisions as a JSON snapshot
+ * of the header fields and line items, numbered from 1 (the version that was sent). recordQuotationRevision is
+ * called after every write to a sent quotation and only adds a revision when the content changed, so status
+ * changes alone do not create one. quotations.revision_number is the current revision.
+ */
+
+// Header fields kept in a revision, with the labels used by the diff
+const REVISION_FIELDS = [
+  { field: 'quote_number', label: 'Quote number' },
+  { field: 'client_name', label: 'Client' },
+  { field: 'project_title', label: 'Project' },
+  { field: 'quote_date', label: 'Quote date' },
+  { field: 'valid_till_date', label: 'Valid until' },
+  { field: 'currency', label: 'Currency' },
+  { field: 'place_of_supply', label: 'Place of supply' },
+  { field: 'tax_rate', label: 'Tax rate' },
+  { field: 'subtotal', label: 'Subtotal' },
+  { field: 'discount_amount', label: 'Discount' },
+  { field: 'tax_amount', label: 'Tax' },
+  { field: 'total_amount', label: 'Total' },
+  { field: 'notes', label: 'Notes' },
+  { field: 'terms_conditions', label: 'Terms & conditions' },
+];
+
+const ITEM_FIELDS = [
+  'item_name', 'description', 'quantity', 'unit', 'unit_price', 'discount_type', 'discount_value', 'discount_amount',
+  'total_price', 'hsn_sac', 'tax_rate', 'tax_amount',
+];
+
+const NUMERIC_FIELDS = ['tax_rate', 'subtotal', 'tax_amount', 'total_amount', 'quantity', 'unit_price', 'total_price'];
+// Discounts (migration 028): no discount is stored as 0 but is missing from older snapshots
+const DISCOUNT_FIELDS = ['discount_value', 'discount_amount'];
+const DATE_FIELDS = ['quote_date', 'valid_till_date'];
+
+const normalizeField = (field, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (DATE_FIELDS.includes(field)) return toDateString(value);
+  if (NUMERIC_FIELDS.includes(field)) return Number(value);
+  if (DISCOUNT_FIELDS.includes(field)) return Number(value) || null;
+  return value;
+};
+
+const pickFields = (row, fields) => fields.reduce((result, field) => {
+  result[field] = normalizeField(field, row[field]);
+  return result;
+}, {});
+
+// DECIMAL columns come back as strings and stored snapshots as numbers; compare loosely
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+const parseSnapshot = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Current content of a quotation as a revision snapshot (read with the given connection inside a transaction)
+const buildSnapshot = async (connection, quotationId) => {
+  const [rows] = await connection.execute(
+    `SELECT q.*, c.full_name as client_name, c.company_name as client_company, p.title as project_title
+     FROM quotations q
+     LEFT JOIN clients c ON q.client_id = c.id
+     LEFT JOIN projects p ON q.project_id = p.id
+     WHERE q.id = ? FOR UPDATE`,
+    [quotationId]
+  );
+  if (rows.length === 0) return null;
+  const quotation = rows[0];
+  const [items] = await connection.execute(
+    'SELECT * FROM quotation_items WHERE quotation_id = ? ORDER BY id',
+    [quotationId]
+  );
+  return {
+    quotation,
+    snapshot: {
+      ...pickFields({ ...quotation, client_name: quotation.client_company || quotation.client_name }, REVISION_FIELDS.map(({ field }) => field)),
+      items: items.map((item) => pickFields(item, ITEM_FIELDS)),
+    },
+  };
+};
+
+/**
+ * Field and line item differences between two revision snapshots.
+ * Lines are matched by item name (the items of a quotation are rewritten on every edit, so their IDs change).
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {{ fields: Object[], items: Object[] }} fields: { field, label, before, after };
+ *   items: { change: 'added'|'removed'|'changed', before, after, fields }
+ */
+const diffQuotationSnapshots = (before, after) => {
+  const fields = REVISION_FIELDS
+    .filter(({ field }) => !sameValue(before[field], after[field]))
+    .map(({ field, label }) => ({ field, label, before: before[field] ?? null, after: after[field] ?? null }));
+
+  const remaining = [...(after.items || [])];
+  const items = [];
+  (before.items || []).forEach((item) => {
+    const matchIndex = remaining.findIndex((candidate) => candidate.item_name === item.item_name);
+    if (matchIndex === -1) {
+      items.push({ change: 'removed', before: item, after: null, fields: [] });
+      return;
+    }
+    const [match] = remaining.splice(matchIndex, 1);
+    const changed = ITEM_FIELDS.filter((field) => !sameValue(item[field], match[field]));
+    if (changed.length > 0) items.push({ change: 'changed', before: item, after: match, fields: changed });
+  });
+  remaining.forEach((item) => items.push({ change: 'added', before: null, after: item, fields: [] }));
+
+  return { fields, items };
+};
+
+const hasChanges = (diff) => diff.fields.length > 0 || diff.items.length > 0;
+
+/**
+ * Store the current content of a quotation as a new revision if it differs from the latest one.
+ * Returns null until migration 025 is applied, so quotation writes keep working without it.
+ * @param {number} quotationId
+ * @param {number|null} userId - Editor; null for changes made outside a staff request
+ * @returns {Promise<{ revisionNumber: number, created: boolean }|null>}
+ */
+const recordQuotationRevision = async (quotationId, userId = null) => {
+  try {
+    return await transaction(async (connection) => {
+      const current = await buildSnapshot(connection, quotationId);
+      if (!current) return null;
+
+      const [latest] = await connection.execute(
+        'SELECT revision_number, snapshot FROM quotation_revisions WHERE quotation_id = ? ORDER BY revision_number DESC LIMIT 1',
+        [quotationId]
+      );
+      if (latest.length > 0 && !hasChanges(diffQuotationSnapshots(parseSnapshot(latest[0].snapshot), current.snapshot))) {
+        return { revisionNumber: latest[0].revision_number, created: false };
+      }
+
+      const revisionNumber = latest.length > 0 ? latest[0].revision_number + 1 : 1;
+      await connection.execute(
+        `INSERT INTO quotation_revisions (quotation_id, workspace_id, revision_number, snapshot, total_amount, currency, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          quotationId, current.quotation.workspace_id || null, revisionNumber, JSON.stringify(current.snapshot),
+          current.snapshot.total_amount || 0, current.snapshot.currency || 'USD', userId
+        ]
+      );
+      await connection.execute('UPDATE quotations SET revision_number = ? WHERE id = ?', [revisionNumber, quotationId]);
+      return { revisionNumber, created: true };
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE' || error.code === 'ER_BAD_FIELD_ERROR') return null;
+    throw error;
+  }
+};
+
+/**
+ * Revisions of a quotation, newest first (without their snapshots)
+ */
+const getQuotationRevisions = async (quotationId) => query(
+  `SELECT r.id, r.revision_number, r.total_amount, r.currency, r.created_at, r.created_by, u.full_name as created_by_name
+   FROM quotation_revisions r
+   LEFT JOIN users u ON r.created_by = u.id
+   WHERE r.quotation_id = ?
+   ORDER BY r.revision_number DESC`,
+  [quotationId]
+);
+
+/**
+ * One revision of a quotation with its snapshot, or null
+ */
+const getQuotationRevision = async (quotationId, revisionNumber) => {
+  const rows = await query(
+    `SELECT r.*, u.full_name as created_by_name
+     FROM quotation_revisions r
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.quotation_id = ? AND r.revision_number = ?`,
+    [quotationId, revisionNumber]
+  );
+  if (rows.length === 0) return null;
+  return { ...rows[0], snapshot: parseSnapshot(rows[0].snapshot) };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  recordQuotationRevision,
+  getQuotationRevisions,
+  getQuotationRevision,
+  diffQuotationSnapshots,
+};
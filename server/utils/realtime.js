@@ -0,0 +1,307 @@
+/**
+ * Real-time push channel (WebSocket) for PM chat and activity feeds.
+ *
+ * Clients connect to ws(s)://<api-host>/api/realtime and pass the access token as a WebSocket
+ * subprotocol pair ['bearer', <JWT>] (Sec-WebSocket-Protocol header; browsers cannot set Authorization
+ * on a WebSocket, and a query parameter would end up in proxy and access logs). Other clients may send
+ * Authorization: Bearer <JWT> instead. The token is checked like authenticateToken (resolveAuthContext).
+ * After connecting they subscribe to PM workspaces (pm_workspaces.id); access uses the same membership
+ * check as the PM routes.
+ *
+ * Client -> server messages:
+ *   { type: 'subscribe', workspace_id }
+ *   { type: 'unsubscribe', workspace_id }
+ *   { type: 'typing', workspace_id, is_typing }
+ *
+ * Server -> client events:
+ *   { type: 'ready', user_id }
+ *   { type: 'subscribed' | 'unsubscribed', workspace_id }
+ *   { type: 'chat:message' | 'chat:read' | 'chat:typing' | 'activity:created', workspace_id, data }
+ *   { type: 'error', message }
+ *
+ * Subscriptions are held in memory, so events only reach sockets connected to the same
+ * server instance that handled the write.
+ */
+
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const { query: dbQuery } = require('../config/database');
+const { resolveAuthContext, userHasPermission } = require('../middleware/auth');
+
+const REALTIME_PATH = '/api/realtime';
+// Subprotocol the server agrees to; the token is offered as the protocol after it
+const AUTH_PROTOCOL = 'bearer';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Permission required to receive each event type (module, action)
+const EVENT_PERMISSIONS = {
+  'chat:message': ['pm_chat', 'view'],
+  'chat:read': ['pm_chat', 'view'],
+  'chat:typing': ['pm_chat', 'view'],
+  'activity:created': ['projects', 'view'],
+};
+
+let wss = null;
+// pm workspace id -> Set of sockets
+const workspaceSubscribers = new Map();
+
+const send = (socket, payload) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+};
+
+/**
+ * Check that a user can access a PM workspace (member or creator)
+ */
+const canAccessPmWorkspace = async (userId, workspaceId) => {
+  const [workspaceAccess] = await dbQuery(
+    `SELECT wm.role
+     FROM pm_workspace_members wm
+     WHERE wm.workspace_id = ? AND wm.user_id = ?
+     UNION
+     SELECT 'owner' as role
+     FROM pm_workspaces w
+     WHERE w.id = ? AND w.created_by = ?`,
+    [workspaceId, userId, workspaceId, userId]
+  );
+  return Boolean(workspaceAccess);
+};
+
+const subscribe = async (socket, workspaceId) => {
+  if (!workspaceId) {
+    return send(socket, { type: 'error', message: 'workspace_id is required' });
+  }
+
+  const hasAnyPermission = userHasPermission(socket.user, 'projects', 'view') ||
+    userHasPermission(socket.user, 'pm_chat', 'view');
+  if (!hasAnyPermission || !(await canAccessPmWorkspace(socket.user.id, workspaceId))) {
+    return send(socket, {
+      type: 'error',
+      workspace_id: workspaceId,
+      message: 'Access denied. You do not have access to this workspace.'
+    });
+  }
+
+  if (!workspaceSubscribers.has(workspaceId)) {
+    workspaceSubscribers.set(workspaceId, new Set());
+  }
+  workspaceSubscribers.get(workspaceId).add(socket);
+  socket.workspaces.add(workspaceId);
+
+  send(socket, { type: 'subscribed', workspace_id: workspaceId });
+};
+
+const unsubscribe = (socket, workspaceId) => {
+  const subscribers = workspaceSubscribers.get(workspaceId);
+  if (subscribers) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) {
+      workspaceSubscribers.delete(workspaceId);
+    }
+  }
+  socket.workspaces.delete(workspaceId);
+};
+
+/**
+ * Push an event to every socket subscribed to a PM workspace
+ * @param {number} workspaceId - PM workspace ID (pm_workspaces.id)
+ * @param {string} type - Event type (chat:message, chat:read, chat:typing, activity:created)
+ * @param {Object} data - Event payload
+ * @param {Object} options - { excludeUserId } to skip the user who triggered the event
+ */
+const publishToWorkspace = (workspaceId, type, data, options = {}) => {
+  const subscribers = workspaceSubscribers.get(parseInt(workspaceId, 10));
+  if (!subscribers || subscribers.size === 0) return;
+
+  const [module, action] = EVENT_PERMISSIONS[type] || [];
+  const payload = { type, workspace_id: parseInt(workspaceId, 10), data };
+
+  subscribers.forEach((socket) => {
+    if (options.excludeUserId && socket.user.id === options.excludeUserId) return;
+    if (module && !userHasPermission(socket.user, module, action)) return;
+    send(socket, payload);
+  });
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(socket, { type: 'error', message: 'Invalid message format' });
+  }
+
+  const workspaceId = parseInt(message.workspace_id, 10) || null;
+
+  switch (message.type) {
+    case 'subscribe':
+      return subscribe(socket, workspaceId);
+    case 'unsubscribe':
+      unsubscribe(socket, workspaceId);
+      return send(socket, { type: 'unsubscribed', workspace_id: workspaceId });
+    case 'typing':
+      if (!socket.workspaces.has(workspaceId) || !userHasPermission(socket.user, 'pm_chat', 'view')) return;
+      return publishToWorkspace(workspaceId, 'chat:typing', {
+        user_id: socket.user.id,
+        user_name: socket.user.full_name,
+        is_typing: Boolean(message.is_typing),
+      }, { excludeUserId: socket.user.id });
+    default:
+      return send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+  }
+};
+
+/**
+ * Authenticate an upgrade request; resolves to { user, decoded } or { status, message }
+ */
+const getUpgradeToken = (request) => {
+  const protocols = String(request.headers['sec-websocket-protocol'] || '').split(',').map((value) => value.trim());
+  const index = protocols.indexOf(AUTH_PROTOCOL);
+  if (index !== -1 && protocols[index + 1]) return protocols[index + 1];
+  const authHeader = request.headers['authorization'];
+  return authHeader ? authHeader.split(' ')[1] : null;
+};
+
+const authenticateUpgrade = async (request) => {
+  const token = getUpgradeToken(request);
+
+  if (!token) {
+    return { status: 401, message: 'Access token required' };
+  }
+
+  try {
+    const { user, decoded, error } = await resolveAuthContext(token);
+    if (error) return error;
+    if (user.twoFactorSetupRequired) return { status: 403, message: 'Two-factor authentication setup required' };
+    return { user, decoded };
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') return { status: 401, message: 'Invalid token' };
+    if (error.name === 'TokenExpiredError') return { status: 401, message: 'Token expired' };
+    console.error('Realtime auth error:', error);
+    return { status: 500, message: 'Authentication error' };
+  }
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  const statusText = { 401: 'Unauthorized', 403: 'Forbidden', 500: 'Internal Server Error' }[status] || 'Bad Request';
+  socket.write(`HTTP/1.1 ${status} ${statusText}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${message}`);
+  socket.destroy();
+};
+
+/**
+ * Attach the WebSocket server to the HTTP server returned by app.listen()
+ * @param {import('http').Server} server - HTTP server
+ * @param {Object} options - { isOriginAllowed } origin check shared with CORS
+ */
+const attachRealtime = (server, options = {}) => {
+  const { isOriginAllowed = () => true } = options;
+
+  // Answer with the auth protocol only, never echo the token
+  wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: 16 * 1024,
+    handleProtocols: (protocols) => (protocols.has(AUTH_PROTOCOL) ? AUTH_PROTOCOL : false),
+  });
+
+  server.on('upgrade', async (request, socket, head) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname !== REALTIME_PATH) {
+      return socket.destroy();
+    }
+
+    if (!isOriginAllowed(request.headers.origin) && process.env.NODE_ENV === 'production') {
+      return rejectUpgrade(socket, 403, 'Origin not allowed');
+    }
+
+    const auth = await authenticateUpgrade(request);
+    if (!auth.user) {
+      return rejectUpgrade(socket, auth.status, auth.message);
+    }
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      ws.user = auth.user;
+      ws.tokenExpiresAt = auth.decoded && auth.decoded.exp ? auth.decoded.exp * 1000 : null;
+      wss.emit('connection', ws, request);
+    });
+  });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.workspaces = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => {
+      handleMessage(socket, raw).catch((error) => {
+        console.error('Realtime message error:', error);
+        send(socket, { type: 'error', message: 'Failed to process message' });
+      });
+    });
+    socket.on('close', () => {
+      [...socket.workspaces].forEach((workspaceId) => unsubscribe(socket, workspaceId));
+    });
+    socket.on('error', (error) => {
+      console.error('Realtime socket error:', error.message);
+    });
+
+    send(socket, { type: 'ready', user_id: socket.user.id });
+  });
+
+  // Heartbeat: drop dead connections and connections whose token has expired
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (socket.isAlive === false) {
+        return socket.terminate();
+      }
+      if (socket.tokenExpiresAt && Date.now() >= socket.tokenExpiresAt) {
+        return socket.close(4001, 'Token expired');
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  console.log(`✅ Realtime channel attached at ${REALTIME_PATH}`);
+  return wss;
+};
+
+/**
+ * Close every socket of a user (logout everywhere, password change, deactivation)
+ * @param {number} userId - User ID
+ */
+const disconnectUser = (userId) => {
+  if (!wss) return;
+  wss.clients.forEach((socket) => {
+    if (socket.user && socket.user.id === parseInt(userId, 10)) {
+      socket.close(4001, 'Session revoked');
+    }
+  });
+};
+
+/**
+ * Drop a user's sockets from a PM workspace once they are removed from it; a later subscribe is checked again
+ * @param {number} workspaceId - PM workspace ID (pm_workspaces.id)
+ * @param {number} userId - User ID
+ */
+const unsubscribeUserFromWorkspace = (workspaceId, userId) => {
+  const id = parseInt(workspaceId, 10);
+  const subscribers = workspaceSubscribers.get(id);
+  if (!subscribers) return;
+  [...subscribers].forEach((socket) => {
+    if (socket.user && socket.user.id === parseInt(userId, 10)) {
+      unsubscribe(socket, id);
+      send(socket, { type: 'unsubscribed', workspace_id: id });
+    }
+  });
+};
+
+module.exports = {
+  attachRealtime,
+  publishToWorkspace,
+  disconnectUser,
+  unsubscribeUserFromWorkspace,
+};
@@ -0,0 +1,317 @@
+const { query, transaction } = require('../config/database');
+const { logAudit } = require('./auditLogger');
+const { calculateTaxBreakdown, resolveDocumentTax } = require('./gst');
+const { captureExchangeRate } = require('./currency');
+const { getCatalogItemColumn } = require('./catalog');
+const { toDateString, todayString, addDays, addMonths } = require('./dates');
+
+/**
+ * Recurring invoice profiles: schedule maths and invoice generation (run by the recurring_invoices job, see scheduledJobs.js).
+ * Dates are handled as "YYYY-MM-DD" strings so time zones never shift a run by a day.
+ * A run is claimed in recurring_invoice_runs (unique per profile + date) before anything is written, so a date
+ * is never invoiced twice - not by two scheduler ticks, two server instances, or a manual "generate now".
+ */
+
+const FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const PROFILE_STATUSES = ['active', 'paused', 'completed'];
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, yearly: 12 };
+// Missed runs (e.g. server down for a while) are caught up, at most this many per profile per tick
+const MAX_CATCH_UP_RUNS = 12;
+// A run left 'pending' this long was interrupted (crash/restart) and may be claimed again
+const STALE_PENDING_MINUTES = 15;
+
+// ---- Schedule -----------------------------------------------------------
+
+/**
+ * First run on or after start_date (for monthly-style schedules: the first day_of_month on or after it)
+ */
+const getFirstRunDate = ({ frequency, start_date, day_of_month }) => {
+  const start = toDateString(start_date);
+  if (frequency === 'weekly' || !day_of_month) return start;
+  const sameMonth = addMonths(start, 0, day_of_month);
+  return sameMonth >= start ? sameMonth : addMonths(start, 1, day_of_month);
+};
+
+/**
+ * Run date that follows fromDate
+ */
+const getFollowingRunDate = ({ frequency, interval_count, day_of_month }, fromDate) => {
+  const from = toDateString(fromDate);
+  const interval = Math.max(1, parseInt(interval_count) || 1);
+  if (frequency === 'weekly') return addDays(from, 7 * interval);
+  return addMonths(from, MONTHS_PER_PERIOD[frequency] * interval, day_of_month);
+};
+
+const isPastEnd = (profile, dateString) => Boolean(profile.end_date) && dateString > toDateString(profile.end_date);
+
+/**
+ * First run date of the schedule on or after fromDate, or null when the schedule ends before it.
+ * Used for new profiles, schedule edits and resuming: missed dates are not back-filled.
+ */
+const getNextRunDateFrom = (profile, fromDate) => {
+  const from = toDateString(fromDate);
+  let date = getFirstRunDate(profile);
+  while (date < from) {
+    date = getFollowingRunDate(profile, date);
+  }
+  return isPastEnd(profile, date) ? null : date;
+};
+
+/**
+ * Upcoming run dates of a profile (starting with next_run_date)
+ * @param {Object} profile
+ * @param {Object} [options]
+ * @param {string} [options.until] - Last date to include ("YYYY-MM-DD")
+ * @param {number} [options.limit=12]
+ * @returns {string[]}
+ */
+const getUpcomingRunDates = (profile, { until = null, limit = 12 } = {}) => {
+  const dates = [];
+  if (profile.status !== 'active' || !profile.next_run_date) return dates;
+  let date = toDateString(profile.next_run_date);
+  while (dates.length < limit && !isPastEnd(profile, date) && (!until || date <= until)) {
+    dates.push(date);
+    date = getFollowingRunDate(profile, date);
+  }
+  return dates;
+};
+
+// ---- Generation ---------------------------------------------------------
+
+// Lines without their own GST rate use the profile's tax_rate; the profile discount applies to every invoice
+const calculateAmounts = (items, taxRate, { discountType = null, discountValue = 0 } = {}) => {
+  const { subtotal, discountAmount, taxAmount, totalAmount } = calculateTaxBreakdown(items, {
+    defaultRate: taxRate,
+    discountType,
+    discountValue,
+  });
+  return { subtotal, discountAmount, taxAmount, totalAmount };
+};
+
+// INV-YYYY-NNNN like invoices.js, numbered per workspace; skips numbers already taken (invoice_number is unique)
+const getNextInvoiceNumber = async (connection, workspaceId, invoiceDate) => {
+  const year = Number(invoiceDate.substring(0, 4));
+  const [[countRow]] = await connection.execute(
+    'SELECT COUNT(*) as count FROM invoices WHERE YEAR(created_at) = ? AND workspace_id <=> ?',
+    [year, workspaceId]
+  );
+  let sequence = Number(countRow.count) + 1;
+  for (;;) {
+    const candidate = `INV-${year}-${String(sequence).padStart(4, '0')}`;
+    const [existing] = await connection.execute('SELECT id FROM invoices WHERE invoice_number = ?', [candidate]);
+    if (existing.length === 0) return candidate;
+    sequence += 1;
+  }
+};
+
+/**
+ * Claim a run date. Returns the run ID, or null when the date was already invoiced or is being invoiced.
+ * Failed runs (and pending runs that were interrupted) can be claimed again.
+ */
+const claimRun = async (profile, scheduledFor, { triggeredBy, userId }) => {
+  try {
+    const result = await query(
+      `INSERT INTO recurring_invoice_runs (recurring_invoice_id, workspace_id, scheduled_for, triggered_by, triggered_by_user)
+       VALUES (?, ?, ?, ?, ?)`,
+      [profile.id, profile.workspace_id || null, scheduledFor, triggeredBy, userId || null]
+    );
+    return result.insertId;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+  }
+
+  const result = await query(
+    `UPDATE recurring_invoice_runs
+     SET status = 'pending', error_message = NULL, triggered_by = ?, triggered_by_user = ?, created_at = NOW(), completed_at = NULL
+     WHERE recurring_invoice_id = ? AND scheduled_for = ?
+       AND (status = 'failed' OR (status = 'pending' AND created_at < NOW() - INTERVAL ${STALE_PENDING_MINUTES} MINUTE))`,
+    [triggeredBy, userId || null, profile.id, scheduledFor]
+  );
+  if (result.affectedRows === 0) return null;
+  const rows = await query(
+    'SELECT id FROM recurring_invoice_runs WHERE recurring_invoice_id = ? AND scheduled_for = ?',
+    [profile.id, scheduledFor]
+  );
+  return rows.length > 0 ? rows[0].id : null;
+};
+
+/**
+ * Generate the invoice for a profile's next run date and advance the schedule
+ * @param {number} profileId
+ * @param {Object} [options]
+ * @param {string} [options.triggeredBy='scheduler'] - scheduler or manual
+ * @param {number|null} [options.userId] - User who triggered a manual run
+ * @returns {Promise<{ status: 'success'|'failed'|'skipped', runId?: number, invoiceId?: number, invoiceNumber?: string, error?: string }>}
+ */
+const generateRecurringInvoice = async (profileId, { triggeredBy = 'scheduler', userId = null } = {}) => {
+  const profiles = await query('SELECT * FROM recurring_invoices WHERE id = ?', [profileId]);
+  if (profiles.length === 0) return { status: 'skipped', error: 'Profile not found' };
+  const profile = profiles[0];
+  if (profile.status !== 'active' || !profile.next_run_date) {
+    return { status: 'skipped', error: 'Profile is not active' };
+  }
+
+  const scheduledFor = toDateString(profile.next_run_date);
+  const runId = await claimRun(profile, scheduledFor, { triggeredBy, userId });
+  if (!runId) return { status: 'skipped', error: 'This run date is already being invoiced' };
+
+  try {
+    const catalog = await getCatalogItemColumn();
+    const { invoiceId, invoiceNumber } = await transaction(async (connection) => {
+      // Re-read under lock: another request may have edited or advanced the profile meanwhile
+      const [[locked]] = await connection.execute('SELECT * FROM recurring_invoices WHERE id = ? FOR UPDATE', [profile.id]);
+      if (!locked || locked.status !== 'active' || toDateString(locked.next_run_date) !== scheduledFor) {
+        throw new Error('Schedule changed while generating; will retry on the next run');
+      }
+      const createdBy = locked.created_by || userId;
+      if (!createdBy) {
+        throw new Error('Profile has no owner; edit and save it to take ownership');
+      }
+
+      const [items] = await connection.execute(
+        'SELECT * FROM recurring_invoice_items WHERE recurring_invoice_id = ? ORDER BY sort_order, id',
+        [locked.id]
+      );
+      if (items.length === 0) throw new Error('Profile has no line items');
+
+      const tax = await resolveDocumentTax({
+        workspaceId: locked.workspace_id,
+        clientId: locked.client_id,
+        items,
+        taxRate: locked.tax_rate,
+        discountType: locked.discount_type || null,
+        discountValue: locked.discount_value,
+      });
+      const number = await getNextInvoiceNumber(connection, locked.workspace_id, scheduledFor);
+      const dueDate = addDays(scheduledFor, parseInt(locked.payment_terms_days) || 0);
+
+      const [insertResult] = await connection.execute(
+        `INSERT INTO invoices (
+          invoice_number, client_id, project_id, invoice_date, due_date, status, subtotal, discount_type, discount_value,
+          discount_amount, tax_rate, tax_amount, total_amount, place_of_supply, supply_type, cgst_amount, sgst_amount,
+          igst_amount, currency, notes, created_by, workspace_id, recurring_invoice_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          number, locked.client_id, locked.project_id || null, scheduledFor, dueDate,
+          locked.auto_send ? 'sent' : 'draft', tax.subtotal, tax.discountType, tax.discountValue, tax.discountAmount,
+          locked.tax_rate || 0, tax.taxAmount, tax.totalAmount,
+          tax.placeOfSupply, tax.supplyType, tax.cgstAmount, tax.sgstAmount, tax.igstAmount,
+          locked.currency || 'USD', locked.notes || null, createdBy, locked.workspace_id || null, locked.id
+        ]
+      );
+      let newInvoiceId = Number(insertResult.insertId) || 0;
+      if (newInvoiceId <= 0) {
+        // Same recovery as POST /api/invoices for tables whose AUTO_INCREMENT returns 0
+        const [[nextRow]] = await connection.execute('SELECT COALESCE(MAX(id), 0) + 1 AS next_id FROM invoices WHERE id > 0');
+        newInvoiceId = Number(nextRow.next_id);
+        await connection.execute('UPDATE invoices SET id = ? WHERE id = 0 AND invoice_number = ? LIMIT 1', [newInvoiceId, number]);
+      }
+
+      for (const line of tax.lines) {
+        await connection.execute(
+          `INSERT INTO invoice_items (
+            invoice_id, item_name, description, quantity, unit, unit_price, discount_type, discount_value, discount_amount,
+            total_price, taxable_value, hsn_sac, tax_rate, tax_amount${catalog.column}
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?${catalog.placeholder})`,
+          [
+            newInvoiceId, line.item_name, line.description || null, line.quantity, line.unit, line.unit_price,
+            line.discount_type, line.discount_value, line.discount_amount, line.total_price, line.taxable_value,
+            line.hsn_sac, line.tax_rate, line.tax_amount, ...catalog.values(line)
+          ]
+        );
+      }
+
+      const nextRunDate = getFollowingRunDate(locked, scheduledFor);
+      const finished = isPastEnd(locked, nextRunDate);
+      await connection.execute(
+        `UPDATE recurring_invoices
+         SET next_run_date = ?, status = ?, occurrences_generated = occurrences_generated + 1, last_run_at = NOW()
+         WHERE id = ?`,
+        [finished ? null : nextRunDate, finished ? 'completed' : 'active', locked.id]
+      );
+      await connection.execute(
+        `UPDATE recurring_invoice_runs SET status = 'success', invoice_id = ?, completed_at = NOW() WHERE id = ?`,
+        [newInvoiceId, runId]
+      );
+
+      return { invoiceId: newInvoiceId, invoiceNumber: number };
+    });
+
+    await captureExchangeRate({
+      table: 'invoices',
+      id: invoiceId,
+      workspaceId: profile.workspace_id,
+      currency: profile.currency || 'USD',
+      date: scheduledFor,
+    });
+
+    await logAudit(
+      { user: { id: userId, workspaceId: profile.workspace_id }, headers: {} },
+      {
+        action: 'recurring_generated',
+        table: 'invoices',
+        recordId: invoiceId,
+        newValues: { recurring_invoice_id: profile.id, invoice_number: invoiceNumber, scheduled_for: scheduledFor, triggered_by: triggeredBy }
+      }
+    );
+
+    if (profile.auto_send) {
+      // Required here: documentEmails uses this module's date helpers. The invoice is already generated,
+      // so a failed email is only logged (it can be sent again from the invoice).
+      const { sendInvoiceEmail } = require('./documentEmails');
+      try {
+        const sent = await sendInvoiceEmail(invoiceId, { userId });
+        if (!sent.success) console.warn(`Recurring invoice ${invoiceNumber} was not emailed: ${sent.error}`);
+      } catch (error) {
+        console.warn(`Recurring invoice ${invoiceNumber} was not emailed:`, error.message);
+      }
+    }
+    return { status: 'success', runId, invoiceId, invoiceNumber };
+  } catch (error) {
+    console.error(`Recurring invoice #${profile.id} (${scheduledFor}) failed:`, error.message);
+    await query(
+      `UPDATE recurring_invoice_runs SET status = 'failed', error_message = ?, completed_at = NOW() WHERE id = ?`,
+      [String(error.message).substring(0, 1000), runId]
+    );
+    return { status: 'failed', runId, error: error.message };
+  }
+};
+
+/**
+ * Generate every invoice that is due (next_run_date on or before today), catching up missed runs
+ * @returns {Promise<{ generated: number, failed: number, skipped: number }>}
+ */
+const processDueRecurringInvoices = async () => {
+  const summary = { generated: 0, failed: 0, skipped: 0 };
+  const today = todayString();
+  const due = await query(
+    `SELECT id FROM recurring_invoices WHERE status = 'active' AND next_run_date IS NOT NULL AND next_run_date <= ? ORDER BY next_run_date, id`,
+    [today]
+  );
+
+  for (const { id } of due) {
+    for (let i = 0; i < MAX_CATCH_UP_RUNS; i += 1) {
+      const result = await generateRecurringInvoice(id);
+      if (result.status === 'success') summary.generated += 1;
+      else if (result.status === 'failed') summary.failed += 1;
+      else summary.skipped += 1;
+      if (result.status !== 'success') break;
+
+      const [profile] = await query('SELECT status, next_run_date FROM recurring_invoices WHERE id = ?', [id]);
+      if (!profile || profile.status !== 'active' || !profile.next_run_date || toDateString(profile.next_run_date) > today) break;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  FREQUENCIES,
+  PROFILE_STATUSES,
+  getFirstRunDate,
+  getFollowingRunDate,
+  getNextRunDateFrom,
+  getUpcomingRunDates,
+  calculateAmounts,
+  generateRecurringInvoice,
+  processDueRecurringInvoices,
+};
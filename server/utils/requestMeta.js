@@ -0,0 +1,30 @@
+/**
+ * Request metadata helpers (client IP and user agent) for audit and session records.
+ */
+
+/**
+ * Get the client IP. Uses req.ip, which only honours X-Forwarded-For from the proxies trusted with
+ * TRUST_PROXY (see server/index.js), so a client cannot pick its own address.
+ * @param {Object} req - Express request (or Node IncomingMessage)
+ * @returns {string|null}
+ */
+const getClientIp = (req) => {
+  if (!req) return null;
+  const ip = req.ip || (req.socket && req.socket.remoteAddress) || null;
+  return ip ? String(ip).replace(/^::ffff:/, '').substring(0, 45) : null;
+};
+
+/**
+ * Get the User-Agent header, truncated to fit VARCHAR(500) columns
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const getUserAgent = (req) => {
+  const userAgent = req && req.headers && req.headers['user-agent'];
+  return userAgent ? String(userAgent).substring(0, 500) : null;
+};
+
+module.exports = {
+  getClientIp,
+  getUserAgent,
+};
@@ -0,0 +1,199 @@
+const { query } = require('../config/database');
+const { registerJob } = require('./jobScheduler');
+const { logAudit } = require('./auditLogger');
+const { notifyInvoiceOverdue, notifyQuotationExpired, notifyFollowUpDue } = require('./notificationService');
+const { processDueRecurringInvoices } = require('./recurringInvoices');
+const { todayString, addDays, toDateString } = require('./dates');
+const { processPaymentReminders } = require('./documentEmails');
+
+/**
+ * Background jobs run by the job scheduler (jobScheduler.js).
+ * Nightly jobs apply time-based status changes that otherwise only happened when a record was touched.
+ * Each job is safe to run again: it only picks up records that still need the change.
+ */
+
+const NIGHTLY_TIME = /^\d{1,2}:\d{2}$/.test(process.env.JOB_NIGHTLY_TIME || '') ? process.env.JOB_NIGHTLY_TIME : '02:00';
+// Follow-ups older than this when first seen (e.g. right after upgrading) are not notified
+const FOLLOW_UP_LOOKBACK_DAYS = 7;
+
+const intervalMinutes = (value, fallback) => parseInt(value, 10) || fallback;
+
+// Audit entries of the scheduler have no user
+const systemRequest = (workspaceId) => ({ user: { id: null, workspaceId: workspaceId || null }, headers: {} });
+
+/**
+ * Mark sent and partially paid invoices past their due date as overdue (and notify their creators)
+ */
+const markOverdueInvoices = async () => {
+  const invoices = await query(
+    `SELECT id, invoice_number, created_by, due_date, status, workspace_id FROM invoices
+     WHERE status IN ('sent', 'partial') AND due_date < ? AND total_amount - paid_amount > 0.009`,
+    [todayString()]
+  );
+  let marked = 0;
+  for (const invoice of invoices) {
+    const result = await query(
+      "UPDATE invoices SET status = 'overdue', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?",
+      [invoice.id, invoice.status]
+    );
+    if (result.affectedRows !== 1) continue;
+    marked += 1;
+    await notifyInvoiceOverdue(invoice);
+    await logAudit(systemRequest(invoice.workspace_id), {
+      action: 'marked_overdue',
+      table: 'invoices',
+      recordId: invoice.id,
+      oldValues: { status: invoice.status },
+      newValues: { status: 'overdue' },
+    });
+  }
+  return { marked };
+};
+
+/**
+ * Expire sent quotations whose valid_till_date has passed (drafts are left alone until they are sent)
+ */
+const expireQuotations = async () => {
+  const quotations = await query(
+    `SELECT id, quote_number, created_by, valid_till_date, workspace_id FROM quotations
+     WHERE status = 'sent' AND valid_till_date IS NOT NULL AND valid_till_date < ?`,
+    [todayString()]
+  );
+  let expired = 0;
+  for (const quotation of quotations) {
+    const result = await query(
+      "UPDATE quotations SET status = 'expired' WHERE id = ? AND status = 'sent'",
+      [quotation.id]
+    );
+    if (result.affectedRows !== 1) continue;
+    expired += 1;
+    await notifyQuotationExpired(quotation);
+    await logAudit(systemRequest(quotation.workspace_id), {
+      action: 'expired',
+      table: 'quotations',
+      recordId: quotation.id,
+      oldValues: { status: 'sent' },
+      newValues: { status: 'expired' },
+    });
+  }
+  return { expired };
+};
+
+/**
+ * Suspend workspaces whose trial has ended without a subscription.
+ * Extending the trial (Subscriptions) reactivates them; suspension_reason keeps other suspensions apart.
+ */
+const suspendExpiredTrials = async () => {
+  const workspaces = await query(
+    `SELECT id, trial_ends_at FROM workspaces
+     WHERE status = 'active' AND COALESCE(active, 1) = 1 AND subscription_id IS NULL
+       AND trial_ends_at IS NOT NULL AND trial_ends_at < ?`,
+    [new Date()]
+  );
+  let suspended = 0;
+  for (const workspace of workspaces) {
+    const result = await query(
+      `UPDATE workspaces SET status = 'suspended', suspension_reason = 'trial_expired'
+       WHERE id = ? AND status = 'active' AND subscription_id IS NULL`,
+      [workspace.id]
+    );
+    if (result.affectedRows !== 1) continue;
+    suspended += 1;
+    await logAudit(systemRequest(workspace.id), {
+      action: 'trial_suspended',
+      table: 'workspaces',
+      recordId: workspace.id,
+      oldValues: { status: 'active' },
+      newValues: { status: 'suspended', suspension_reason: 'trial_expired', trial_ends_at: workspace.trial_ends_at },
+    });
+  }
+  return { suspended };
+};
+
+/**
+ * Notify conversation authors of follow-ups that are due, once per follow-up date
+ */
+const notifyDueFollowUps = async () => {
+  const today = todayString();
+  const conversations = await query(
+    `SELECT c.id, c.client_id, c.subject, c.follow_up_date, c.created_by, cl.full_name as client_name
+     FROM conversations c
+     LEFT JOIN clients cl ON c.client_id = cl.id
+     WHERE c.follow_up_date BETWEEN ? AND ?
+       AND (c.follow_up_notified_for IS NULL OR c.follow_up_notified_for <> c.follow_up_date)`,
+    [addDays(today, -FOLLOW_UP_LOOKBACK_DAYS), today]
+  );
+  let notified = 0;
+  for (const conversation of conversations) {
+    await notifyFollowUpDue(conversation);
+    await query(
+      'UPDATE conversations SET follow_up_notified_for = ? WHERE id = ?',
+      [toDateString(conversation.follow_up_date), conversation.id]
+    );
+    notified += 1;
+  }
+  return { notified };
+};
+
+/**
+ * Register the jobs with the scheduler (called once at startup)
+ */
+const registerScheduledJobs = () => {
+  registerJob({
+    key: 'recurring_invoices',
+    name: 'Recurring invoices',
+    description: 'Generates invoices from recurring profiles whose run date has come',
+    schedule: { everyMinutes: intervalMinutes(process.env.RECURRING_INVOICE_CHECK_MINUTES, 60) },
+    enabled: process.env.RECURRING_INVOICES_ENABLED !== 'false',
+    handler: processDueRecurringInvoices,
+  });
+
+  registerJob({
+    key: 'payment_reminders',
+    name: 'Payment reminders',
+    description: 'Emails payment reminders before, on and after invoice due dates',
+    schedule: { everyMinutes: intervalMinutes(process.env.PAYMENT_REMINDER_CHECK_MINUTES, 60) },
+    enabled: process.env.PAYMENT_REMINDERS_ENABLED !== 'false',
+    handler: processPaymentReminders,
+  });
+
+  registerJob({
+    key: 'mark_overdue_invoices',
+    name: 'Overdue invoices',
+    description: 'Marks sent and partially paid invoices past their due date as overdue',
+    schedule: { dailyAt: NIGHTLY_TIME },
+    handler: markOverdueInvoices,
+  });
+
+  registerJob({
+    key: 'expire_quotations',
+    name: 'Expire quotations',
+    description: 'Marks sent quotations past their valid-till date as expired',
+    schedule: { dailyAt: NIGHTLY_TIME },
+    handler: expireQuotations,
+  });
+
+  registerJob({
+    key: 'suspend_expired_trials',
+    name: 'Suspend expired trials',
+    description: 'Suspends workspaces whose trial has ended without a subscription',
+    schedule: { dailyAt: NIGHTLY_TIME },
+    handler: suspendExpiredTrials,
+  });
+
+  registerJob({
+    key: 'follow_up_reminders',
+    name: 'Follow-up reminders',
+    description: 'Notifies conversation authors when a follow-up date is due',
+    schedule: { dailyAt: NIGHTLY_TIME },
+    handler: notifyDueFollowUps,
+  });
+};
+
+module.exports = {
+  registerScheduledJobs,
+  markOverdueInvoices,
+  expireQuotations,
+  suspendExpiredTrials,
+  notifyDueFollowUps,
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const { getClientIp, getUserAgent } = require('./requestMeta');
+
+/**
+ * Server-side sessions.
+ * - Access tokens: short-lived JWTs with a jti (for the denylist) and sid (session id).
+ * - Refresh tokens: opaque random strings, stored hashed in auth_refresh_tokens and rotated on every use.
+ *   Re-using a rotated refresh token revokes the whole session (token theft detection).
+ * - users.tokens_valid_after: every token issued before it is rejected (log out everywhere, password change).
+ */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+// A rotated token presented again within this window is treated as a concurrent refresh
+// (e.g. two browser tabs), not as theft
+const ROTATION_GRACE_SECONDS = 30;
+
+const MISSING_SCHEMA_CODES = ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'];
+let missingSchemaWarned = false;
+
+const isMissingSchemaError = (error) => Boolean(error && MISSING_SCHEMA_CODES.includes(error.code));
+
+const warnMissingSchema = () => {
+  if (!missingSchemaWarned) {
+    missingSchemaWarned = true;
+    console.warn('⚠️  Session tables missing - run database/migrations/010_auth_sessions.sql to enable token revocation');
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// DATETIME columns store whole seconds; JWT iat is whole seconds too
+const nowToSecond = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+/**
+ * Sign a short-lived access token
+ * @param {number} userId - User ID
+ * @param {number|null} workspaceId - Tenant workspace ID (omitted for super admins)
+ * @param {string|null} sessionId - Session the token belongs to
+ */
+const signAccessToken = (userId, workspaceId = null, sessionId = null) => {
+  const payload = { userId };
+
+  // Include workspace_id in token if not super admin
+  if (workspaceId) {
+    payload.workspaceId = workspaceId;
+  }
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+const getExpiresIn = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : null;
+};
+
+const insertRefreshToken = async (userId, sessionId, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  await query(
+    `INSERT INTO auth_refresh_tokens (user_id, session_id, token_hash, expires_at, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, sessionId, hashToken(refreshToken), expiresAt, getClientIp(req), getUserAgent(req)]
+  );
+
+  return refreshToken;
+};
+
+/**
+ * Start a new session after a successful login
+ * @returns {Promise<{ token: string, refreshToken: string|null, expiresIn: number|null, sessionId: string|null }>}
+ *   refreshToken is null when the session tables have not been migrated yet
+ */
+const createSession = async (userId, workspaceId, req) => {
+  const sessionId = crypto.randomUUID();
+
+  try {
+    const refreshToken = await insertRefreshToken(userId, sessionId, req);
+    const token = signAccessToken(userId, workspaceId, sessionId);
+    return { token, refreshToken, expiresIn: getExpiresIn(token), sessionId };
+  } catch (error) {
+    if (!isMissingSchemaError(error)) throw error;
+    warnMissingSchema();
+    const token = signAccessToken(userId, workspaceId);
+    return { token, refreshToken: null, expiresIn: getExpiresIn(token), sessionId: null };
+  }
+};
+
+/**
+ * Revoke every refresh token of a session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  if (!sessionId) return;
+  try {
+    await query(
+      `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+       WHERE session_id = ? AND revoked_at IS NULL`,
+      [reason, sessionId]
+    );
+  } catch (error) {
+    if (!isMissingSchemaError(error)) throw error;
+    warnMissingSchema();
+  }
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {Object} req - Express request (IP / user agent of the new token)
+ * @returns {Promise<{ userId?: number, sessionId?: string, refreshToken?: string, error?: { status: number, message: string, code: string } }>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const rows = await query(
+    `SELECT id, user_id, session_id, expires_at, revoked_at, revoked_reason,
+            TIMESTAMPDIFF(SECOND, revoked_at, NOW()) as revoked_seconds_ago
+     FROM auth_refresh_tokens
+     WHERE token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+
+  if (rows.length === 0) {
+    return { error: { status: 401, message: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' } };
+  }
+
+  const row = rows[0];
+
+  if (row.revoked_at) {
+    if (row.revoked_reason === 'rotated') {
+      if (row.revoked_seconds_ago !== null && row.revoked_seconds_ago <= ROTATION_GRACE_SECONDS) {
+        return { error: { status: 401, message: 'Refresh token already rotated', code: 'REFRESH_TOKEN_ROTATED' } };
+      }
+      // An old token from this session is being replayed: assume it leaked and end the session
+      await revokeSession(row.session_id, 'reuse_detected');
+      console.warn(`⚠️  Refresh token reuse detected for user ${row.user_id}, session ${row.session_id} revoked`);
+    }
+    return { error: { status: 401, message: 'Session has been revoked. Please log in again.', code: 'SESSION_REVOKED' } };
+  }
+
+  if (new Date(row.expires_at) <= new Date()) {
+    return { error: { status: 401, message: 'Session expired. Please log in again.', code: 'SESSION_EXPIRED' } };
+  }
+
+  // Guard against two requests rotating the same token at once
+  const result = await query(
+    `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated'
+     WHERE id = ? AND revoked_at IS NULL`,
+    [row.id]
+  );
+  if (result.affectedRows === 0) {
+    return { error: { status: 401, message: 'Refresh token already rotated', code: 'REFRESH_TOKEN_ROTATED' } };
+  }
+
+  const newRefreshToken = await insertRefreshToken(row.user_id, row.session_id, req);
+
+  return { userId: row.user_id, sessionId: row.session_id, refreshToken: newRefreshToken };
+};
+
+/**
+ * Add an access token to the denylist until it expires
+ * @param {Object} decoded - Verified JWT payload (jti, exp, userId)
+ */
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) return;
+  try {
+    const expiresAt = decoded.exp ? new Date(decoded.exp * 1000) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+    await query(
+      'INSERT IGNORE INTO revoked_access_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+      [decoded.jti, decoded.userId, expiresAt]
+    );
+    // Keep the denylist small: entries are useless once the token has expired anyway
+    await query('DELETE FROM revoked_access_tokens WHERE expires_at < NOW()');
+  } catch (error) {
+    if (!isMissingSchemaError(error)) throw error;
+    warnMissingSchema();
+  }
+};
+
+/**
+ * Invalidate every access and refresh token of a user ("log out everywhere")
+ * @param {number} userId - User ID
+ * @param {string} reason - logout_all | password_change | password_reset | deactivated
+ */
+const revokeAllUserSessions = async (userId, reason = 'logout_all') => {
+  try {
+    await query('UPDATE users SET tokens_valid_after = ? WHERE id = ?', [nowToSecond(), userId]);
+    await query(
+      `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+       WHERE user_id = ? AND revoked_at IS NULL`,
+      [reason, userId]
+    );
+  } catch (error) {
+    if (!isMissingSchemaError(error)) throw error;
+    warnMissingSchema();
+  }
+};
+
+/**
+ * Check whether a verified access token has been revoked (denylisted jti or issued before tokens_valid_after)
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+const isAccessTokenRevoked = async (decoded) => {
+  try {
+    const rows = await query(
+      `SELECT u.tokens_valid_after,
+              (SELECT COUNT(*) FROM revoked_access_tokens r WHERE r.jti = ?) as denylisted
+       FROM users u
+       WHERE u.id = ?`,
+      [decoded.jti || '', decoded.userId]
+    );
+    if (rows.length === 0) return false;
+
+    const { tokens_valid_after: validAfter, denylisted } = rows[0];
+    if (parseInt(denylisted, 10) > 0) return true;
+    if (validAfter && decoded.iat && decoded.iat * 1000 < new Date(validAfter).getTime()) return true;
+    return false;
+  } catch (error) {
+    if (!isMissingSchemaError(error)) throw error;
+    warnMissingSchema();
+    return false;
+  }
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserSessions,
+  isAccessTokenRevoked,
+  getExpiresIn,
+};
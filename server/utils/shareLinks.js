@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { query } = require('../config/database');
+const { getClientIp, getUserAgent } = require('./requestMeta');
+
+/**
+ * Expiring share links for credentials and files (public /share/:token page).
+ * A link has an expiry, an optional view limit and an optional passphrase, and can be revoked early.
+ * Only the SHA-256 hash of the token is stored; the plain token is returned once, at creation.
+ */
+
+const SHARE_RESOURCE_TYPES = ['credential', 'file'];
+const MAX_EXPIRY_HOURS = 30 * 24;
+const MAX_VIEWS = 100;
+const MAX_LABEL_LENGTH = 255;
+const MIN_PASSPHRASE_LENGTH = 6;
+const ACCESS_LOG_ENTRIES_PER_LINK = 50;
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateShareToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Why a link can no longer be used, or 'active'
+ * @returns {'active'|'revoked'|'expired'|'exhausted'}
+ */
+const getShareLinkStatus = (link) => {
+  if (link.revoked_at) return 'revoked';
+  if (new Date(link.expires_at).getTime() <= Date.now()) return 'expired';
+  if (link.max_views !== null && link.max_views !== undefined && link.view_count >= link.max_views) return 'exhausted';
+  return 'active';
+};
+
+// Owner-facing shape: never includes the token or passphrase hash
+const formatShareLink = (link) => ({
+  id: link.id,
+  resource_type: link.resource_type,
+  resource_id: link.resource_id,
+  label: link.label,
+  has_passphrase: Boolean(link.passphrase_hash),
+  expires_at: link.expires_at,
+  max_views: link.max_views,
+  view_count: link.view_count,
+  views_remaining: link.max_views === null ? null : Math.max(0, link.max_views - link.view_count),
+  last_accessed_at: link.last_accessed_at,
+  created_by: link.created_by,
+  created_by_name: link.created_by_name || null,
+  revoked_at: link.revoked_at,
+  created_at: link.created_at,
+  status: getShareLinkStatus(link),
+});
+
+/**
+ * Create a share link
+ * @param {Object} req - Express request (creator)
+ * @param {Object} options
+ * @param {string} options.resourceType - credential or file
+ * @param {Object} options.resource - Credential or file row (id, workspace_id)
+ * @param {number} options.expiresInHours - 1 to MAX_EXPIRY_HOURS
+ * @param {number|null} [options.maxViews] - null for unlimited until expiry
+ * @param {string|null} [options.passphrase]
+ * @param {string|null} [options.label]
+ * @returns {Promise<{ link: Object, token: string }>}
+ */
+const createShareLink = async (req, { resourceType, resource, expiresInHours, maxViews = null, passphrase = null, label = null }) => {
+  const token = generateShareToken();
+  const passphraseHash = passphrase ? await bcrypt.hash(String(passphrase), 12) : null;
+  const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  const result = await query(
+    `INSERT INTO share_links
+      (workspace_id, resource_type, resource_id, token_hash, label, passphrase_hash, expires_at, max_views, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      resource.workspace_id || null,
+      resourceType,
+      resource.id,
+      hashShareToken(token),
+      label || null,
+      passphraseHash,
+      expiresAt,
+      maxViews || null,
+      req.user ? req.user.id : null,
+    ]
+  );
+
+  const rows = await query('SELECT * FROM share_links WHERE id = ?', [result.insertId]);
+  return { link: formatShareLink(rows[0]), token };
+};
+
+/**
+ * Links of one credential or file, newest first, each with its recent access log
+ */
+const listShareLinks = async (resourceType, resourceId) => {
+  const links = await query(
+    `SELECT sl.*, u.full_name as created_by_name
+     FROM share_links sl
+     LEFT JOIN users u ON sl.created_by = u.id
+     WHERE sl.resource_type = ? AND sl.resource_id = ?
+     ORDER BY sl.created_at DESC, sl.id DESC`,
+    [resourceType, resourceId]
+  );
+  if (links.length === 0) return [];
+
+  const entries = await query(
+    `SELECT id, share_link_id, outcome, ip_address, user_agent, created_at
+     FROM share_link_access_logs
+     WHERE share_link_id IN (${links.map(() => '?').join(', ')})
+     ORDER BY created_at DESC, id DESC`,
+    links.map((link) => link.id)
+  );
+
+  return links.map((link) => ({
+    ...formatShareLink(link),
+    access_log: entries
+      .filter((entry) => entry.share_link_id === link.id)
+      .slice(0, ACCESS_LOG_ENTRIES_PER_LINK),
+  }));
+};
+
+/**
+ * Revoke one link of a resource
+ * @returns {Promise<boolean>} - false when the link does not exist or was already revoked
+ */
+const revokeShareLink = async (req, resourceType, resourceId, linkId) => {
+  const result = await query(
+    `UPDATE share_links SET revoked_at = NOW(), revoked_by = ?
+     WHERE id = ? AND resource_type = ? AND resource_id = ? AND revoked_at IS NULL`,
+    [req.user ? req.user.id : null, linkId, resourceType, resourceId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Revoke every open link of a resource (when it is deleted). Never throws.
+ */
+const revokeShareLinksForResource = async (req, resourceType, resourceId) => {
+  try {
+    await query(
+      `UPDATE share_links SET revoked_at = NOW(), revoked_by = ?
+       WHERE resource_type = ? AND resource_id = ? AND revoked_at IS NULL`,
+      [req.user ? req.user.id : null, resourceType, resourceId]
+    );
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return;
+    console.error(`Failed to revoke share links for ${resourceType} #${resourceId}:`, error.message);
+  }
+};
+
+/**
+ * Look up a link by its plain token (any status)
+ */
+const findShareLinkByToken = async (token) => {
+  if (!token) return null;
+  const rows = await query('SELECT * FROM share_links WHERE token_hash = ?', [hashShareToken(token)]);
+  return rows.length > 0 ? rows[0] : null;
+};
+
+const verifySharePassphrase = async (link, passphrase) => {
+  if (!link.passphrase_hash) return true;
+  if (!passphrase) return false;
+  return bcrypt.compare(String(passphrase), link.passphrase_hash);
+};
+
+/**
+ * Count one view/download. Atomic, so concurrent requests cannot exceed max_views.
+ * @returns {Promise<boolean>} - false when the link stopped being usable in the meantime
+ */
+const consumeShareView = async (linkId) => {
+  const result = await query(
+    `UPDATE share_links SET view_count = view_count + 1, last_accessed_at = NOW()
+     WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       AND (max_views IS NULL OR view_count < max_views)`,
+    [linkId]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Record a public access. Throws: a view must not be served unlogged.
+ * @param {string} outcome - opened, viewed, downloaded, wrong_passphrase, expired, revoked or exhausted
+ */
+const logShareAccess = async (req, link, outcome) => {
+  await query(
+    'INSERT INTO share_link_access_logs (share_link_id, outcome, ip_address, user_agent) VALUES (?, ?, ?, ?)',
+    [link.id, outcome, getClientIp(req), getUserAgent(req)]
+  );
+};
+
+module.exports = {
+  SHARE_RESOURCE_TYPES,
+  MAX_EXPIRY_HOURS,
+  MAX_VIEWS,
+  MAX_LABEL_LENGTH,
+  MIN_PASSPHRASE_LENGTH,
+  getShareLinkStatus,
+  formatShareLink,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  revokeShareLinksForResource,
+  findShareLinkByToken,
+  verifySharePassphrase,
+  consumeShareView,
+  logShareAccess,
+};
@@ -0,0 +1,181 @@
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/database');
+const {
+  verifyTotp,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  normalizeRecoveryCode,
+} = require('./totp');
+
+/**
+ * Two-factor authentication state and login challenge helpers (see utils/totp.js for the TOTP maths).
+ */
+
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Challenge tokens are signed with a derived secret so they can never be used as access tokens
+const getChallengeSecret = () => `${process.env.JWT_SECRET}:two-factor-challenge`;
+
+const isMissingSchemaError = (error) => Boolean(error && ['ER_NO_SUCH_TABLE', 'ER_BAD_FIELD_ERROR'].includes(error.code));
+
+/**
+ * Get a user's 2FA status and whether their workspace requires it
+ * @returns {Promise<{ enabled: boolean, required: boolean }>} - both false before migration 011 is applied
+ */
+const getTwoFactorState = async (userId, workspaceId = null) => {
+  try {
+    const rows = await query(
+      `SELECT u.two_factor_enabled,
+              (SELECT w.require_two_factor FROM workspaces w WHERE w.id = ?) as require_two_factor
+       FROM users u
+       WHERE u.id = ?`,
+      [workspaceId, userId]
+    );
+    if (rows.length === 0) return { enabled: false, required: false };
+    return {
+      enabled: Boolean(rows[0].two_factor_enabled),
+      required: Boolean(rows[0].require_two_factor),
+    };
+  } catch (error) {
+    if (isMissingSchemaError(error)) return { enabled: false, required: false };
+    throw error;
+  }
+};
+
+/**
+ * Sign the short-lived token that links the password step of login to the code step
+ */
+const signTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: 'two_factor_login' }, getChallengeSecret(), { expiresIn: CHALLENGE_EXPIRES_IN });
+};
+
+/**
+ * Verify a challenge token; returns the user ID or null when invalid/expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    return decoded.purpose === 'two_factor_login' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a TOTP code against a user's stored secret and record the step so it cannot be replayed
+ * @param {Object} user - Row with id, two_factor_secret, two_factor_last_step
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>}
+ */
+const verifyUserTotp = async (user, code) => {
+  if (!user || !user.two_factor_secret) return false;
+
+  let secret;
+  try {
+    secret = decryptSecret(user.two_factor_secret);
+  } catch (error) {
+    console.error('Failed to decrypt two-factor secret for user', user.id, error.message);
+    return false;
+  }
+
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+  if (user.two_factor_last_step !== null && user.two_factor_last_step !== undefined &&
+      step <= parseInt(user.two_factor_last_step, 10)) {
+    return false;
+  }
+
+  const result = await query(
+    `UPDATE users SET two_factor_last_step = ?
+     WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+    [step, user.id, step]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Consume a one-time recovery code
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (userId, code) => {
+  if (normalizeRecoveryCode(code).length !== 10) return false;
+  const result = await query(
+    'UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashRecoveryCode(code)]
+  );
+  return result.affectedRows > 0;
+};
+
+/**
+ * Verify the second factor during login or a sensitive action: a TOTP code or a recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<{ valid: boolean, method?: 'totp'|'recovery' }>}
+ */
+const verifySecondFactor = async (userId, code) => {
+  const users = await query(
+    'SELECT id, two_factor_enabled, two_factor_secret, two_factor_last_step FROM users WHERE id = ?',
+    [userId]
+  );
+  if (users.length === 0 || !users[0].two_factor_enabled) {
+    return { valid: false };
+  }
+
+  if (/^\d{6}$/.test(String(code || '').replace(/\s/g, ''))) {
+    return (await verifyUserTotp(users[0], code)) ? { valid: true, method: 'totp' } : { valid: false };
+  }
+
+  return (await consumeRecoveryCode(userId, code)) ? { valid: true, method: 'recovery' } : { valid: false };
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @returns {Promise<string[]>} - Plain codes, to be shown to the user once
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  const placeholders = codes.map(() => '(?, ?)').join(',');
+  await query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ${placeholders}`,
+    codes.flatMap((code) => [userId, hashRecoveryCode(code)])
+  );
+  return codes;
+};
+
+/**
+ * Count unused recovery codes
+ */
+const countRecoveryCodes = async (userId) => {
+  const [row] = await query(
+    'SELECT COUNT(*) as remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return parseInt(row.remaining, 10) || 0;
+};
+
+/**
+ * Turn 2FA off and remove the secret and recovery codes (user disable or admin reset)
+ */
+const clearTwoFactor = async (userId) => {
+  await query(
+    `UPDATE users
+     SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  await query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+};
+
+module.exports = {
+  getTwoFactorState,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifyUserTotp,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  clearTwoFactor,
+  isMissingSchemaError,
+};